@@ -15,13 +15,15 @@ module.exports = {
   // Rate limiting
   MESSAGE_DELETE_DELAY: 200, // ms between message deletions
   KICK_COOLDOWN: 10000, // 10 seconds cooldown between kicks for same user
+  BULK_CONFIRM_WINDOW: 5 * 60 * 1000, // 5 minutes to reply "confirm" to a --dry / #preview of a bulk removal
   
   // Features
   FEATURES: {
     INVITE_LINK_DETECTION: true,
     AUTO_KICK_BLACKLISTED: true, // Re-enabled with minimal Firebase usage
     FIREBASE_INTEGRATION: false, // Disabled - not using Firebase
-    RESTRICT_COUNTRY_CODES: true, // Auto-kick +1 and +6 numbers
+    RESTRICT_COUNTRY_CODES: true, // Per-group country policy (#countrypolicy / #botforeign)
+    CROSS_POST_DETECTION: true, // Same promo pasted into many groups → delete everywhere + one alert
     BYPASS_BOT_ADMIN_CHECK: true, // Workaround for LID format bot detection issues
     AUTO_TRANSLATION: false, // Auto-translate non-Hebrew replies to Hebrew
     STEALTH_MODE: true, // Enable human-like behavior to avoid detection
@@ -39,6 +41,14 @@ module.exports = {
     BULLYWATCH_GPT_ANALYSIS: true, // Use GPT-5-mini for ambiguous cases (Layer 4, requires OPENAI_API_KEY)
   },
   
+  // Cross-group duplicate spam (services/crossPostService.js, needs Redis)
+  CROSS_POST: {
+    GROUPS_THRESHOLD: 3,    // Same content in this many groups...
+    WINDOW_MINUTES: 10,     // ...within this window → deleted everywhere + one alert
+    MIN_TEXT_LENGTH: 20,    // Shorter texts ("good morning") are never fingerprinted
+    NEW_JOINER_HOURS: 24,   // Members who joined this recently are counted together, even from different numbers
+  },
+
   // Regex patterns
   PATTERNS: {
     INVITE_LINK: /https?:\/\/(chat\.)?whatsapp\.com\/(chat\/)?([A-Za-z0-9]{6,})/gi,
@@ -142,6 +152,15 @@ module.exports = {
   // Google Safe Browsing API (free - checks URLs against Google's threat database)
   GOOGLE_SAFE_BROWSING_API_KEY: process.env.GOOGLE_SAFE_BROWSING_API_KEY || '',
 
+  // Local HTTP admin API (services/adminApiService.js)
+  // Disabled unless ADMIN_API_TOKEN is set; requests need "Authorization: Bearer <token>"
+  ADMIN_API: {
+    HOST: process.env.ADMIN_API_HOST || '127.0.0.1', // Loopback only - put a proxy in front for remote tooling
+    PORT: parseInt(process.env.ADMIN_API_PORT || '3010', 10),
+    TOKEN: process.env.ADMIN_API_TOKEN || '',
+    MAX_BODY_BYTES: 1024 * 1024, // 1MB per request (bulk lists of numbers)
+  },
+
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
 };
\ No newline at end of file
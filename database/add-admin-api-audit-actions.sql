@@ -0,0 +1,24 @@
+-- database/add-admin-api-audit-actions.sql
+-- Audit actions for admin API writes that had none: group_category (PUT /api/groups/:groupId/category)
+-- and bullywatch_toggle (PUT /api/bullywatch and /api/bullywatch/:groupId).
+-- Must match AUDIT_ACTIONS in database/groupService.js.
+-- Requires database/add-url-policy.sql.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-admin-api-audit-actions.sql','utf8'))"
+
+BEGIN;
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS action_type_check;
+
+ALTER TABLE audit_log
+  ADD CONSTRAINT action_type_check CHECK (action IN (
+    'kick', 'ban', 'warn',
+    'blacklist', 'unblacklist', 'whitelist', 'unwhitelist',
+    'mute', 'unmute',
+    'message_delete', 'url_block', 'image_delete',
+    'bullywatch_alert', 'bullywatch_toggle', 'translate_toggle', 'strike_policy', 'country_policy', 'flood_policy',
+    'probation_policy', 'probation_approve', 'captcha_policy', 'url_policy', 'group_category',
+    'role_grant', 'role_revoke', 'kick_undo',
+    'sync', 'join', 'leave'
+  ));
+
+COMMIT;
@@ -0,0 +1,43 @@
+-- database/add-admin-roles.sql
+-- Roles for #grant / #revoke so several moderators can run the bot, not just ADMIN_PHONE.
+-- A grant is global (whatsapp_group_id NULL) or scoped to one group. config.ADMIN_PHONE,
+-- ALERT_PHONE and ADMIN_LID stay owners without a row here. See services/roleService.js.
+-- Also adds the role_grant / role_revoke audit actions (must match AUDIT_ACTIONS in database/groupService.js).
+-- Requires database/add-audit-action-types.sql.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-admin-roles.sql','utf8'))"
+
+CREATE TABLE IF NOT EXISTS admin_roles (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(50) NOT NULL,              -- Phone number or LID digits (no @domain)
+    role VARCHAR(20) NOT NULL,
+    whatsapp_group_id VARCHAR(50),           -- NULL = global grant
+    granted_by VARCHAR(50),
+    granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT admin_role_check CHECK (role IN ('owner', 'moderator', 'group-admin', 'reviewer')),
+    CONSTRAINT group_admin_scope_check CHECK (role <> 'group-admin' OR whatsapp_group_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_roles_unique
+    ON admin_roles (phone, role, (COALESCE(whatsapp_group_id, '')));
+CREATE INDEX IF NOT EXISTS idx_admin_roles_group ON admin_roles(whatsapp_group_id);
+
+COMMENT ON TABLE admin_roles IS 'Bot role grants managed with #grant / #revoke (owner, moderator, group-admin, reviewer)';
+COMMENT ON COLUMN admin_roles.whatsapp_group_id IS 'Group the grant applies to; NULL = all groups';
+
+BEGIN;
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS action_type_check;
+
+ALTER TABLE audit_log
+  ADD CONSTRAINT action_type_check CHECK (action IN (
+    'kick', 'ban', 'warn',
+    'blacklist', 'unblacklist', 'whitelist', 'unwhitelist',
+    'mute', 'unmute',
+    'message_delete', 'url_block', 'image_delete',
+    'bullywatch_alert', 'translate_toggle', 'strike_policy',
+    'role_grant', 'role_revoke',
+    'sync', 'join', 'leave'
+  ));
+
+COMMIT;
@@ -0,0 +1,37 @@
+-- database/add-audit-action-types.sql
+-- Replaces the hard-coded audit_log action list with the full set of actions the bot performs
+-- (mute, url_block, image_delete, bullywatch_alert, translate_toggle, ...). Must match
+-- AUDIT_ACTIONS in database/groupService.js.
+-- Requires database/add-audit-log-context.sql (rule / outcome columns).
+-- Safe to re-run: existing rows are re-labelled before the new constraint is validated.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-audit-action-types.sql','utf8'))"
+
+BEGIN;
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS action_type_check;
+
+-- Generic 'delete' rows (written before typed actions existed) get the specific action their rule implies
+UPDATE audit_log SET action = 'url_block'      WHERE action = 'delete' AND rule IN ('url_blacklist', 'url_alert');
+UPDATE audit_log SET action = 'image_delete'   WHERE action = 'delete' AND rule = 'image_moderation';
+UPDATE audit_log SET action = 'message_delete' WHERE action = 'delete';
+
+-- Mark metadata of legacy rows as schema version 0 so readers can tell untyped rows apart
+UPDATE audit_log
+SET metadata = jsonb_build_object('v', 0) || COALESCE(metadata, '{}'::jsonb)
+WHERE metadata IS NULL OR NOT (metadata ? 'v');
+
+-- Runs in one transaction: if any row still has an unknown action, nothing changes
+ALTER TABLE audit_log
+  ADD CONSTRAINT action_type_check CHECK (action IN (
+    'kick', 'ban', 'warn',
+    'blacklist', 'unblacklist', 'whitelist', 'unwhitelist',
+    'mute', 'unmute',
+    'message_delete', 'url_block', 'image_delete',
+    'bullywatch_alert', 'translate_toggle', 'strike_policy',
+    'sync', 'join', 'leave'
+  ));
+
+COMMIT;
+
+COMMENT ON COLUMN audit_log.action IS 'Action type; see AUDIT_ACTIONS in database/groupService.js';
+COMMENT ON COLUMN audit_log.metadata IS 'Typed per-action fields; v = metadata schema version (0 = legacy row), extra = undeclared fields';
@@ -0,0 +1,24 @@
+-- database/add-audit-log-context.sql
+-- Gives every audit_log row the context needed to reconstruct a moderation action
+-- (who did it, to whom, in which group, under which rule, what was posted, what happened),
+-- and allows 'delete' for URL / image message removals.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-audit-log-context.sql','utf8'))"
+
+ALTER TABLE audit_log
+  ADD COLUMN IF NOT EXISTS whatsapp_group_id VARCHAR(50),   -- Raw group JID (rows are written even if the group isn't synced)
+  ADD COLUMN IF NOT EXISTS target_phone      VARCHAR(50),   -- Phone number or LID of the affected user (without @domain)
+  ADD COLUMN IF NOT EXISTS actor             VARCHAR(100),  -- Admin phone, or 'auto:<rule>' for automatic enforcement
+  ADD COLUMN IF NOT EXISTS rule              VARCHAR(50),   -- invite_link, blacklist, country_code, url_blacklist, image_moderation, manual, ...
+  ADD COLUMN IF NOT EXISTS message_snippet   TEXT,          -- First 200 chars of the offending message, if any
+  ADD COLUMN IF NOT EXISTS outcome           VARCHAR(30);   -- success, failed, partial
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS action_type_check;
+ALTER TABLE audit_log
+  ADD CONSTRAINT action_type_check CHECK (action IN ('kick', 'ban', 'warn', 'delete', 'blacklist', 'unblacklist', 'sync', 'join', 'leave'));
+
+CREATE INDEX IF NOT EXISTS idx_audit_target_phone ON audit_log(target_phone, timestamp DESC) WHERE target_phone IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_audit_whatsapp_group ON audit_log(whatsapp_group_id, timestamp DESC) WHERE whatsapp_group_id IS NOT NULL;
+
+COMMENT ON COLUMN audit_log.actor IS 'Who triggered the action: admin phone, or auto:<rule> for bot enforcement';
+COMMENT ON COLUMN audit_log.rule IS 'Moderation rule that fired (invite_link, blacklist, country_code, url_blacklist, image_moderation, manual, ...)';
+COMMENT ON COLUMN audit_log.outcome IS 'Result of the action: success, failed or partial';
@@ -0,0 +1,11 @@
+-- database/add-auto-translate-bilingual.sql
+-- Bilingual auto-translation: #autotranslate bilingual he,ru stores from='he', to='ru' with
+-- auto_translate_bilingual = TRUE, so Hebrew messages get a Russian translation and Russian
+-- messages a Hebrew one. FALSE = one-way (from → to), as before.
+-- Requires database/add-auto-translate-column.sql.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-auto-translate-bilingual.sql','utf8'))"
+
+ALTER TABLE groups
+  ADD COLUMN IF NOT EXISTS auto_translate_bilingual BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN groups.auto_translate_bilingual IS 'TRUE = translate both ways between auto_translate_from and auto_translate_to';
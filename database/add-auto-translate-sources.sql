@@ -0,0 +1,10 @@
+-- database/add-auto-translate-sources.sql
+-- Widens auto_translate_from so a group can auto-translate from several languages:
+-- #autotranslate on ru+ar,he stores 'ru+ar'. A single code ('ru') is still valid.
+-- Requires database/add-auto-translate-column.sql.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-auto-translate-sources.sql','utf8'))"
+
+ALTER TABLE groups
+  ALTER COLUMN auto_translate_from TYPE VARCHAR(20);
+
+COMMENT ON COLUMN groups.auto_translate_from IS 'Auto-translate source language(s), joined with + (e.g. ru+ar); NULL = disabled';
@@ -0,0 +1,46 @@
+-- database/add-country-policy.sql
+-- Per-group country-code policy set with #countrypolicy (replaces the hard-coded +1/+6 rule).
+-- mode 'allow' keeps only the listed prefixes, 'block' removes the listed prefixes;
+-- action 'kick' removes violators, 'warn' only alerts the admins. +972 is never affected.
+-- Groups that already had restrict_country_codes = true keep the old behaviour (block +1/+6, kick).
+-- Also adds the country_policy audit action (must match AUDIT_ACTIONS in database/groupService.js).
+-- Requires database/add-restrict-country-codes-column.sql and database/add-admin-roles.sql.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-country-policy.sql','utf8'))"
+
+ALTER TABLE groups
+  ADD COLUMN IF NOT EXISTS country_policy_mode     VARCHAR(10),   -- NULL/off, allow, block
+  ADD COLUMN IF NOT EXISTS country_policy_prefixes TEXT[],        -- Calling-code prefixes without '+', e.g. {972,44}
+  ADD COLUMN IF NOT EXISTS country_policy_action   VARCHAR(10) DEFAULT 'kick';  -- kick, warn
+
+ALTER TABLE groups DROP CONSTRAINT IF EXISTS country_policy_mode_check;
+ALTER TABLE groups
+  ADD CONSTRAINT country_policy_mode_check CHECK (country_policy_mode IS NULL OR country_policy_mode IN ('off', 'allow', 'block'));
+ALTER TABLE groups DROP CONSTRAINT IF EXISTS country_policy_action_check;
+ALTER TABLE groups
+  ADD CONSTRAINT country_policy_action_check CHECK (country_policy_action IS NULL OR country_policy_action IN ('kick', 'warn'));
+
+-- Carry over groups protected by #botforeign before policies existed
+UPDATE groups
+SET country_policy_mode = 'block', country_policy_prefixes = '{1,6}', country_policy_action = 'kick'
+WHERE restrict_country_codes = true AND country_policy_mode IS NULL;
+
+COMMENT ON COLUMN groups.country_policy_mode IS 'Country-code policy (#countrypolicy): allow = only listed prefixes, block = listed prefixes removed, off/NULL = none';
+COMMENT ON COLUMN groups.country_policy_prefixes IS 'Calling-code prefixes the policy lists, without +';
+COMMENT ON COLUMN groups.country_policy_action IS 'kick = remove violators, warn = alert admins only';
+
+BEGIN;
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS action_type_check;
+
+ALTER TABLE audit_log
+  ADD CONSTRAINT action_type_check CHECK (action IN (
+    'kick', 'ban', 'warn',
+    'blacklist', 'unblacklist', 'whitelist', 'unwhitelist',
+    'mute', 'unmute',
+    'message_delete', 'url_block', 'image_delete',
+    'bullywatch_alert', 'translate_toggle', 'strike_policy', 'country_policy',
+    'role_grant', 'role_revoke',
+    'sync', 'join', 'leave'
+  ));
+
+COMMIT;
@@ -0,0 +1,30 @@
+-- database/add-flood-rules.sql
+-- Per-group flood rules set with #flood (see services/floodService.js):
+-- { "messages": {...}, "repeat": {...}, "media": {...} }, each { count, seconds, action, muteMinutes }.
+-- action 'delete' removes messages over the limit, 'mute' also mutes repeat offenders,
+-- 'alert' also tells the admins. NULL / {} = no flood rules.
+-- Also adds the flood_policy audit action (must match AUDIT_ACTIONS in database/groupService.js).
+-- Requires database/add-kick-undo.sql.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-flood-rules.sql','utf8'))"
+
+ALTER TABLE groups
+  ADD COLUMN IF NOT EXISTS flood_rules JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN groups.flood_rules IS 'Flood rules by type (messages, repeat, media): count per seconds per user, and the response (set via #flood)';
+
+BEGIN;
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS action_type_check;
+
+ALTER TABLE audit_log
+  ADD CONSTRAINT action_type_check CHECK (action IN (
+    'kick', 'ban', 'warn',
+    'blacklist', 'unblacklist', 'whitelist', 'unwhitelist',
+    'mute', 'unmute',
+    'message_delete', 'url_block', 'image_delete',
+    'bullywatch_alert', 'translate_toggle', 'strike_policy', 'country_policy', 'flood_policy',
+    'role_grant', 'role_revoke', 'kick_undo',
+    'sync', 'join', 'leave'
+  ));
+
+COMMIT;
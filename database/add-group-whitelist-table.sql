@@ -0,0 +1,18 @@
+-- database/add-group-whitelist-table.sql
+-- Per-group whitelist: trusted members of one community who should bypass
+-- moderation in that group only. Global whitelisting stays on users.is_whitelisted.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-group-whitelist-table.sql','utf8'))"
+
+CREATE TABLE IF NOT EXISTS group_whitelist (
+    id SERIAL PRIMARY KEY,
+    whatsapp_group_id VARCHAR(50) NOT NULL,  -- e.g., "120363377715487594@g.us"
+    phone_number VARCHAR(50) NOT NULL,       -- Phone number or LID (without @domain)
+    added_by VARCHAR(100),                   -- JID of the admin who ran #whitelist ... here
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_group_whitelist UNIQUE (whatsapp_group_id, phone_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_whitelist_group ON group_whitelist(whatsapp_group_id);
+
+COMMENT ON TABLE group_whitelist IS 'Users whitelisted in a single group only (global whitelist is users.is_whitelisted)';
@@ -0,0 +1,31 @@
+-- database/add-join-captcha.sql
+-- Per-group join captcha set with #captcha (see services/captchaService.js):
+-- { "type": "math"|"reply"|"question", "minutes": 5, "question": "...", "answer": "..." }
+-- New members must answer within "minutes" or are removed; their messages are deleted until they do.
+-- NULL = captcha off. question/answer are only set for type "question".
+-- Also adds the captcha_policy audit action (must match AUDIT_ACTIONS in database/groupService.js).
+-- Requires database/add-probation.sql.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-join-captcha.sql','utf8'))"
+
+ALTER TABLE groups
+  ADD COLUMN IF NOT EXISTS join_captcha JSONB;
+
+COMMENT ON COLUMN groups.join_captcha IS 'Join captcha for new members: type, minutes to answer, optional question/answer (set via #captcha); NULL = off';
+
+BEGIN;
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS action_type_check;
+
+ALTER TABLE audit_log
+  ADD CONSTRAINT action_type_check CHECK (action IN (
+    'kick', 'ban', 'warn',
+    'blacklist', 'unblacklist', 'whitelist', 'unwhitelist',
+    'mute', 'unmute',
+    'message_delete', 'url_block', 'image_delete',
+    'bullywatch_alert', 'translate_toggle', 'strike_policy', 'country_policy', 'flood_policy',
+    'probation_policy', 'probation_approve', 'captcha_policy',
+    'role_grant', 'role_revoke', 'kick_undo',
+    'sync', 'join', 'leave'
+  ));
+
+COMMIT;
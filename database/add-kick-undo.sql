@@ -0,0 +1,23 @@
+-- database/add-kick-undo.sql
+-- Adds the kick_undo audit action: an admin replied "undo" to a kick alert within 24h
+-- (user unblacklisted, violations cleared, re-added or sent the rejoin link).
+-- Must match AUDIT_ACTIONS in database/groupService.js.
+-- Requires database/add-country-policy.sql.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-kick-undo.sql','utf8'))"
+
+BEGIN;
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS action_type_check;
+
+ALTER TABLE audit_log
+  ADD CONSTRAINT action_type_check CHECK (action IN (
+    'kick', 'ban', 'warn',
+    'blacklist', 'unblacklist', 'whitelist', 'unwhitelist',
+    'mute', 'unmute',
+    'message_delete', 'url_block', 'image_delete',
+    'bullywatch_alert', 'translate_toggle', 'strike_policy', 'country_policy',
+    'role_grant', 'role_revoke', 'kick_undo',
+    'sync', 'join', 'leave'
+  ));
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- database/add-kicked-users-table.sql
+-- Rejoin registry: every kick with the group's invite link and admins at kick time,
+-- so #rejoinlinks and #unblacklist can send users back weeks later (survives restarts).
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-kicked-users-table.sql','utf8'))"
+
+CREATE TABLE IF NOT EXISTS kicked_users (
+    id SERIAL PRIMARY KEY,
+    user_phone VARCHAR(50) NOT NULL,          -- Phone number or LID (without @domain)
+    user_jid VARCHAR(100),                    -- Original JID at kick time
+    whatsapp_group_id VARCHAR(50) NOT NULL,   -- e.g., "120363377715487594@g.us"
+    group_name VARCHAR(255),
+    group_invite_link TEXT,                   -- Invite link captured at kick time
+    admin_list JSONB DEFAULT '[]',            -- [{name, phone, isLID}] fallback contacts if the link fails
+    reason TEXT,                              -- e.g., "Sent invite link", "Kicked by admin"
+    kicked_by VARCHAR(100),                   -- Admin JID, or "auto:<rule>" for automatic kicks
+    kicked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    can_rejoin BOOLEAN DEFAULT false,         -- Set when the user is unblacklisted
+    approved_at TIMESTAMP,
+    rejoined_at TIMESTAMP,
+
+    CONSTRAINT unique_kick_per_group UNIQUE (user_phone, whatsapp_group_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_kicked_users_phone ON kicked_users(user_phone);
+CREATE INDEX IF NOT EXISTS idx_kicked_users_kicked_at ON kicked_users(kicked_at);
+
+COMMENT ON TABLE kicked_users IS 'Latest kick per user per group with invite link + admins, used for rejoin links after unblacklisting';
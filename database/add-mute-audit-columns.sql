@@ -0,0 +1,12 @@
+-- database/add-mute-audit-columns.sql
+-- Records who issued each #mute and why, so #mutes / #unmute can answer
+-- "who muted this user and when does it end?".
+-- Requires add-mutes-table.sql to have been applied first.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-mute-audit-columns.sql','utf8'))"
+
+ALTER TABLE mutes
+  ADD COLUMN IF NOT EXISTS muted_by VARCHAR(100) DEFAULT NULL,  -- JID of the admin who issued #mute
+  ADD COLUMN IF NOT EXISTS reason   TEXT         DEFAULT NULL;  -- Free-text reason given after the duration
+
+COMMENT ON COLUMN mutes.muted_by IS 'JID of the admin who issued the mute';
+COMMENT ON COLUMN mutes.reason IS 'Reason text from "#mute <minutes> <reason>"';
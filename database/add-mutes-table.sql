@@ -0,0 +1,19 @@
+-- database/add-mutes-table.sql
+-- Persists #mute so muted users stay muted across restarts.
+-- Mutes are scoped per group: a user muted in one group can still talk in others.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-mutes-table.sql','utf8'))"
+
+CREATE TABLE IF NOT EXISTS mutes (
+    id SERIAL PRIMARY KEY,
+    whatsapp_group_id VARCHAR(50) NOT NULL,  -- e.g., "120363377715487594@g.us"
+    user_jid VARCHAR(100) NOT NULL,          -- Normalized JID (jidKey) of the muted user
+    muted_until TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_mute_per_group UNIQUE (whatsapp_group_id, user_jid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mutes_group ON mutes(whatsapp_group_id);
+CREATE INDEX IF NOT EXISTS idx_mutes_until ON mutes(muted_until);
+
+COMMENT ON TABLE mutes IS 'Active per-group user mutes created by #mute (expired rows are purged on load)';
@@ -0,0 +1,29 @@
+-- database/add-offensive-message-review.sql
+-- Stores the bullywatch analysis behind each flagged message (score breakdown, context
+-- window, nano/GPT verdicts) and the reviewer's verdict from the bullywatch dashboard.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-offensive-message-review.sql','utf8'))"
+
+ALTER TABLE offensive_messages
+  ADD COLUMN IF NOT EXISTS score           INTEGER,       -- Final bullywatch score
+  ADD COLUMN IF NOT EXISTS severity        VARCHAR(20),   -- SAFE / MONITOR / ALERT / RED-1 ... / CRITICAL
+  ADD COLUMN IF NOT EXISTS categories      TEXT[],        -- Detected categories (insult, threat, ...)
+  ADD COLUMN IF NOT EXISTS score_breakdown JSONB,         -- scoringService breakdown (base, add-ons, multipliers, formula)
+  ADD COLUMN IF NOT EXISTS context_window  JSONB,         -- Messages sent just before the flagged one
+  ADD COLUMN IF NOT EXISTS nano_verdict    JSONB,         -- Ensemble votes (nano + sentiment)
+  ADD COLUMN IF NOT EXISTS gpt_verdict     JSONB,         -- Raw gptAnalysisService result
+  ADD COLUMN IF NOT EXISTS review_verdict  VARCHAR(20),   -- true_positive / false_positive
+  ADD COLUMN IF NOT EXISTS reviewed_by     VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS reviewed_at     TIMESTAMP;
+
+ALTER TABLE offensive_messages DROP CONSTRAINT IF EXISTS review_verdict_check;
+ALTER TABLE offensive_messages
+  ADD CONSTRAINT review_verdict_check
+  CHECK (review_verdict IS NULL OR review_verdict IN ('true_positive', 'false_positive'));
+
+CREATE INDEX IF NOT EXISTS idx_offensive_messages_unreviewed
+    ON offensive_messages(detected_at DESC)
+    WHERE review_verdict IS NULL;
+
+COMMENT ON COLUMN offensive_messages.score_breakdown IS 'scoringService breakdown at detection time';
+COMMENT ON COLUMN offensive_messages.context_window IS 'Preceding group messages ({sender, senderName, text, timestamp}) captured at detection time';
+COMMENT ON COLUMN offensive_messages.review_verdict IS 'Reviewer verdict from the bullywatch dashboard; fed to feedbackService';
@@ -0,0 +1,33 @@
+-- database/add-probation.sql
+-- Per-group new-member probation set with #probation (see services/probationService.js):
+-- for probation_hours after joining, or until probation_messages clean messages, a new member's
+-- links, media, forwards and mention-all messages are deleted and held for admin approval.
+-- NULL probation_hours = probation off. NULL probation_messages = time limit only.
+-- Also adds the probation_policy and probation_approve audit actions (must match AUDIT_ACTIONS in database/groupService.js).
+-- Requires database/add-flood-rules.sql.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-probation.sql','utf8'))"
+
+ALTER TABLE groups
+  ADD COLUMN IF NOT EXISTS probation_hours    INTEGER,   -- Hours a new member stays on probation (NULL = off)
+  ADD COLUMN IF NOT EXISTS probation_messages INTEGER;   -- Clean messages that end probation early (NULL = time only)
+
+COMMENT ON COLUMN groups.probation_hours IS 'New-member probation length in hours (set via #probation); NULL = off';
+COMMENT ON COLUMN groups.probation_messages IS 'Probation ends after this many clean messages, if sooner than probation_hours';
+
+BEGIN;
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS action_type_check;
+
+ALTER TABLE audit_log
+  ADD CONSTRAINT action_type_check CHECK (action IN (
+    'kick', 'ban', 'warn',
+    'blacklist', 'unblacklist', 'whitelist', 'unwhitelist',
+    'mute', 'unmute',
+    'message_delete', 'url_block', 'image_delete',
+    'bullywatch_alert', 'translate_toggle', 'strike_policy', 'country_policy', 'flood_policy',
+    'probation_policy', 'probation_approve',
+    'role_grant', 'role_revoke', 'kick_undo',
+    'sync', 'join', 'leave'
+  ));
+
+COMMIT;
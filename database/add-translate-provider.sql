@@ -0,0 +1,15 @@
+-- database/add-translate-provider.sql
+-- Per-group translation provider set with #autotranslate provider google|openai|stub
+-- (see services/translationProviders.js). NULL = the default order: Google, then OpenAI.
+-- The chosen provider is tried first; the other configured providers are the fallback.
+-- Requires database/add-auto-translate-column.sql.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-translate-provider.sql','utf8'))"
+
+ALTER TABLE groups
+  ADD COLUMN IF NOT EXISTS translate_provider VARCHAR(10) DEFAULT NULL;  -- google, openai, stub
+
+ALTER TABLE groups DROP CONSTRAINT IF EXISTS translate_provider_check;
+ALTER TABLE groups
+  ADD CONSTRAINT translate_provider_check CHECK (translate_provider IS NULL OR translate_provider IN ('google', 'openai', 'stub'));
+
+COMMENT ON COLUMN groups.translate_provider IS 'Translation provider tried first for this group (#autotranslate provider); NULL = default order';
@@ -0,0 +1,11 @@
+-- database/add-translation-glossary.sql
+-- Per-group translation glossary set with #glossary add מורה=учительница (see utils/translationGlossary.js):
+-- [{ "source", "target", "sourceLang", "targetLang", "addedBy", "addedAt" }], at most 100 terms.
+-- Enforced by services/translationService on every translation in the group. NULL / [] = no glossary.
+-- Requires database/add-auto-translate-column.sql.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-translation-glossary.sql','utf8'))"
+
+ALTER TABLE groups
+  ADD COLUMN IF NOT EXISTS translation_glossary JSONB DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN groups.translation_glossary IS 'Terms every translation in this group must use (set via #glossary)';
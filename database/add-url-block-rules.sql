@@ -0,0 +1,26 @@
+-- database/add-url-block-rules.sql
+-- Global URL block list (#urlblock, admin API, URL alert reply 3), previously url_blacklist.json.
+-- Rule types: domain (evil.com + subdomains), wildcard (*.spam.tld), path (bit.ly/abc*),
+-- regex (/casino\d+/i, tested against the full URL). See services/urlBlacklistService.js.
+-- Shared by every bot instance; an existing url_blacklist.json is imported on the next start.
+-- Expired rules are ignored and purged on load.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-url-block-rules.sql','utf8'))"
+
+CREATE TABLE IF NOT EXISTS url_block_rules (
+    id SERIAL PRIMARY KEY,
+    rule_type VARCHAR(10) NOT NULL,          -- domain, wildcard, path, regex
+    pattern TEXT NOT NULL,                   -- e.g. "evil.com", "*.spam.tld", "bit.ly/abc*", "/casino\d+/i"
+    added_by VARCHAR(100),                   -- Admin phone or "admin_api"
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP,                    -- NULL = never expires
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    last_hit_at TIMESTAMP,
+
+    CONSTRAINT url_block_rule_type_check CHECK (rule_type IN ('domain', 'wildcard', 'path', 'regex')),
+    CONSTRAINT unique_url_block_rule UNIQUE (rule_type, pattern)
+);
+
+CREATE INDEX IF NOT EXISTS idx_url_block_rules_expires ON url_block_rules(expires_at);
+
+COMMENT ON TABLE url_block_rules IS 'Global URL block list: matching links are auto-deleted in every group';
+COMMENT ON COLUMN url_block_rules.hit_count IS 'Messages deleted because of this rule';
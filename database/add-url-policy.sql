@@ -0,0 +1,40 @@
+-- database/add-url-policy.sql
+-- Per-group URL policy set with #urlpolicy (see utils/urlPolicy.js), replacing the hard-coded
+-- allowed-domain list. mode 'alert' asks the admins about unknown links, 'delete' removes them,
+-- 'off' leaves only the global block list. url_allow_domains adds to the default allowed domains;
+-- url_deny_domains are always deleted ('*' = every link not explicitly allowed).
+-- NULL mode = 'alert' with no extra domains (the previous behaviour).
+-- Also adds the url_policy audit action (must match AUDIT_ACTIONS in database/groupService.js).
+-- Requires database/add-join-captcha.sql.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-url-policy.sql','utf8'))"
+
+ALTER TABLE groups
+  ADD COLUMN IF NOT EXISTS url_policy_mode   VARCHAR(10),   -- NULL/alert, delete, off
+  ADD COLUMN IF NOT EXISTS url_allow_domains TEXT[],        -- e.g. {edu.gov.il,education.gov.il}
+  ADD COLUMN IF NOT EXISTS url_deny_domains  TEXT[];        -- e.g. {bit.ly} or {*}
+
+ALTER TABLE groups DROP CONSTRAINT IF EXISTS url_policy_mode_check;
+ALTER TABLE groups
+  ADD CONSTRAINT url_policy_mode_check CHECK (url_policy_mode IS NULL OR url_policy_mode IN ('alert', 'delete', 'off'));
+
+COMMENT ON COLUMN groups.url_policy_mode IS 'URL policy (#urlpolicy): alert = ask admins about unknown links, delete = remove them, off = global block list only';
+COMMENT ON COLUMN groups.url_allow_domains IS 'Domains allowed in this group on top of the defaults';
+COMMENT ON COLUMN groups.url_deny_domains IS 'Domains always deleted in this group; * = all links not allowed';
+
+BEGIN;
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS action_type_check;
+
+ALTER TABLE audit_log
+  ADD CONSTRAINT action_type_check CHECK (action IN (
+    'kick', 'ban', 'warn',
+    'blacklist', 'unblacklist', 'whitelist', 'unwhitelist',
+    'mute', 'unmute',
+    'message_delete', 'url_block', 'image_delete',
+    'bullywatch_alert', 'translate_toggle', 'strike_policy', 'country_policy', 'flood_policy',
+    'probation_policy', 'probation_approve', 'captcha_policy', 'url_policy',
+    'role_grant', 'role_revoke', 'kick_undo',
+    'sync', 'join', 'leave'
+  ));
+
+COMMIT;
@@ -0,0 +1,28 @@
+-- database/add-warnings-ledger.sql
+-- Persists invite-link warnings (one row per warning) so strikes survive restarts,
+-- and adds a per-group strike policy used by warningService.
+-- Run once: node -e "require('./database/connection').initDatabase(process.env.DATABASE_URL); require('./database/connection').query(require('fs').readFileSync('./database/add-warnings-ledger.sql','utf8'))"
+
+CREATE TABLE IF NOT EXISTS warnings (
+    id SERIAL PRIMARY KEY,
+    whatsapp_group_id VARCHAR(50) NOT NULL,  -- e.g., "120363377715487594@g.us"
+    user_phone VARCHAR(50) NOT NULL,         -- Phone number or LID (without @domain)
+    user_jid VARCHAR(100),                   -- Original sender JID
+    group_name VARCHAR(255),
+    invite_link TEXT,
+    warned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL             -- warned_at + group's strike_expiry_days
+);
+
+CREATE INDEX IF NOT EXISTS idx_warnings_user_group ON warnings(user_phone, whatsapp_group_id);
+CREATE INDEX IF NOT EXISTS idx_warnings_expires ON warnings(expires_at);
+
+ALTER TABLE groups
+  ADD COLUMN IF NOT EXISTS strike_warnings_before_kick INTEGER DEFAULT 0,      -- 0 = kick on first invite link
+  ADD COLUMN IF NOT EXISTS strike_expiry_days          INTEGER DEFAULT 7,      -- Warnings older than this no longer count
+  ADD COLUMN IF NOT EXISTS strike_auto_blacklist       BOOLEAN DEFAULT false;  -- Blacklist automatically on the kicking strike
+
+COMMENT ON TABLE warnings IS 'Invite-link warning ledger (one row per warning); active strikes are rows with expires_at > NOW()';
+COMMENT ON COLUMN groups.strike_warnings_before_kick IS 'Invite-link warnings allowed before the bot kicks (set via #strikepolicy)';
+COMMENT ON COLUMN groups.strike_expiry_days IS 'Days after which an invite-link warning stops counting';
+COMMENT ON COLUMN groups.strike_auto_blacklist IS 'If true, the kicking strike also adds the user to the blacklist';
@@ -156,6 +156,99 @@ async function unblacklistUser(phoneNumber) {
     console.log(`[${getTimestamp()}] ✅ Unblacklisted user: ${phoneNumber}`);
 }
 
+/**
+ * Get all globally whitelisted users
+ * @returns {Promise<Array>} List of whitelisted users
+ */
+async function getWhitelistedUsers() {
+    const result = await query(`
+        SELECT phone_number, lid, whitelisted_at, notes
+        FROM users
+        WHERE is_whitelisted = true
+        ORDER BY whitelisted_at DESC NULLS LAST
+    `);
+
+    return result.rows;
+}
+
+/**
+ * Add user to the global whitelist
+ * @param {string} phoneNumber - Phone number
+ */
+async function whitelistUser(phoneNumber) {
+    // Use UPSERT to create user if doesn't exist, then whitelist
+    await query(`
+        INSERT INTO users (phone_number, is_whitelisted, whitelisted_at)
+        VALUES ($1, true, NOW())
+        ON CONFLICT (phone_number)
+        DO UPDATE SET
+            is_whitelisted = true,
+            whitelisted_at = NOW()
+    `, [phoneNumber]);
+
+    console.log(`[${getTimestamp()}] ✅ Whitelisted user: ${phoneNumber}`);
+}
+
+/**
+ * Remove user from the global whitelist
+ * @param {string} phoneNumber - Phone number
+ */
+async function unwhitelistUser(phoneNumber) {
+    await query(`
+        UPDATE users
+        SET is_whitelisted = false,
+            whitelisted_at = NULL
+        WHERE phone_number = $1
+    `, [phoneNumber]);
+
+    console.log(`[${getTimestamp()}] 🗑️ Unwhitelisted user: ${phoneNumber}`);
+}
+
+/**
+ * Get all per-group whitelist entries
+ * @returns {Promise<Array>} Rows of { whatsapp_group_id, phone_number, added_by, created_at }
+ */
+async function getGroupWhitelistEntries() {
+    const result = await query(`
+        SELECT whatsapp_group_id, phone_number, added_by, created_at
+        FROM group_whitelist
+        ORDER BY created_at DESC
+    `);
+
+    return result.rows;
+}
+
+/**
+ * Whitelist a user in one group only
+ * @param {string} whatsappGroupId - WhatsApp group ID
+ * @param {string} phoneNumber - Phone number or LID (without @domain)
+ * @param {string|null} addedBy - JID of the admin who added the entry
+ */
+async function addGroupWhitelist(whatsappGroupId, phoneNumber, addedBy = null) {
+    await query(`
+        INSERT INTO group_whitelist (whatsapp_group_id, phone_number, added_by)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (whatsapp_group_id, phone_number)
+        DO UPDATE SET added_by = EXCLUDED.added_by
+    `, [whatsappGroupId, phoneNumber, addedBy]);
+
+    console.log(`[${getTimestamp()}] ✅ Whitelisted ${phoneNumber} in group ${whatsappGroupId}`);
+}
+
+/**
+ * Remove a user's whitelist entry for one group
+ * @param {string} whatsappGroupId - WhatsApp group ID
+ * @param {string} phoneNumber - Phone number or LID (without @domain)
+ */
+async function removeGroupWhitelist(whatsappGroupId, phoneNumber) {
+    await query(`
+        DELETE FROM group_whitelist
+        WHERE whatsapp_group_id = $1 AND phone_number = $2
+    `, [whatsappGroupId, phoneNumber]);
+
+    console.log(`[${getTimestamp()}] 🗑️ Removed ${phoneNumber} from whitelist of group ${whatsappGroupId}`);
+}
+
 /**
  * Get power users (users in most groups)
  * @param {number} limit - Number of results
@@ -289,6 +382,22 @@ async function getViolations(phoneNumber) {
     return user?.violations || {};
 }
 
+/**
+ * Reset a user's violation counts (undoing an automated kick)
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<boolean>} true when the user had a record
+ */
+async function clearViolations(phoneNumber) {
+    const result = await query(`
+        UPDATE users
+        SET violations = '{}'::jsonb
+        WHERE phone_number = $1
+    `, [phoneNumber]);
+
+    console.log(`[${getTimestamp()}] 🧽 Cleared violations: ${phoneNumber}`);
+    return (result.rowCount || 0) > 0;
+}
+
 /**
  * Format violations object into readable string
  * @param {Object} violations - Violations object
@@ -304,26 +413,196 @@ function formatViolations(violations) {
         .join(', ');
 }
 
+const AUDIT_SNIPPET_MAX = 200;
+
+// Bump when the metadata shape of any action changes (legacy rows are migrated to v: 0)
+const AUDIT_METADATA_VERSION = 1;
+
+/**
+ * Every action the bot records in audit_log, with the typed metadata fields it carries.
+ * Field types: 'string' | 'number' | 'boolean'. Keep in sync with action_type_check
+ * (first defined in database/add-audit-action-types.sql, latest in database/add-admin-api-audit-actions.sql).
+ */
+const AUDIT_ACTIONS = {
+    kick:             { groupName: 'string', deferred: 'boolean' },
+    ban:              { inGroup: 'boolean' },
+    warn:             { warningNumber: 'number', warningsBeforeKick: 'number', expiryDays: 'number' },
+    blacklist:        { automatic: 'boolean' },
+    unblacklist:      { source: 'string' },
+    whitelist:        { scope: 'string' },
+    unwhitelist:      { scope: 'string' },
+    mute:             { scope: 'string', minutes: 'number', mutedUntil: 'string' },
+    unmute:           { scope: 'string' },
+    message_delete:   { messageId: 'string' },
+    url_block:        { url: 'string', finalUrl: 'string', domain: 'string', blacklistedUrl: 'boolean', ruleType: 'string', pattern: 'string' },
+    image_delete:     { verdict: 'string', confidence: 'number' },
+    bullywatch_alert: { score: 'number', severity: 'string', categories: 'string', monitorMode: 'boolean', autoDeleted: 'boolean' },
+    bullywatch_toggle: { enabled: 'boolean', className: 'string', monitorMode: 'boolean' },
+    translate_toggle: { enabled: 'boolean', from: 'string', to: 'string', bilingual: 'boolean', provider: 'string', glossary: 'string', term: 'string', translation: 'string' },
+    strike_policy:    { warningsBeforeKick: 'number', expiryDays: 'number', autoBlacklist: 'boolean' },
+    role_grant:       { role: 'string', scope: 'string' },
+    role_revoke:      { role: 'string', scope: 'string' },
+    country_policy:   { mode: 'string', prefixes: 'string', policyAction: 'string' },
+    flood_policy:     { floodType: 'string', limit: 'number', windowSeconds: 'number', response: 'string', muteMinutes: 'number' },
+    probation_policy: { hours: 'number', messages: 'number' },
+    probation_approve: { heldReason: 'string' },
+    captcha_policy:   { challenge: 'string', minutes: 'number' },
+    url_policy:       { mode: 'string', allow: 'string', deny: 'string' },
+    group_category:   { category: 'string' },
+    kick_undo:        { kickReason: 'string', readded: 'boolean', rejoinLinkSent: 'boolean', violationsCleared: 'boolean' },
+    sync:             {},
+    join:             {},
+    leave:            {}
+};
+
+function coerceAuditField(value, type) {
+    if (type === 'number') {
+        const num = Number(value);
+        return Number.isFinite(num) ? num : undefined;
+    }
+    if (type === 'boolean') {
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === 1) return true;
+        if (value === 'false' || value === 0) return false;
+        return undefined;
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.join(', ');
+    return typeof value === 'object' ? undefined : String(value);
+}
+
+/**
+ * Build the typed metadata object stored with an audit row.
+ * Declared fields are coerced to their type; anything undeclared or of the wrong type
+ * is kept under `extra` so no information is lost.
+ * @param {string} action - Key of AUDIT_ACTIONS
+ * @param {Object} metadata - Raw metadata from the caller
+ * @returns {Object|null} { v, ...fields, extra? } or null for an unknown action
+ */
+function buildAuditMetadata(action, metadata = {}) {
+    const schema = AUDIT_ACTIONS[action];
+    if (!schema) return null;
+
+    const typed = { v: AUDIT_METADATA_VERSION };
+    const extra = {};
+
+    for (const [key, value] of Object.entries(metadata || {})) {
+        if (value === undefined || value === null) continue;
+
+        const coerced = schema[key] ? coerceAuditField(value, schema[key]) : undefined;
+        if (coerced !== undefined) {
+            typed[key] = coerced;
+        } else {
+            extra[key] = value;
+        }
+    }
+
+    if (Object.keys(extra).length > 0) {
+        typed.extra = extra;
+    }
+    return typed;
+}
+
 /**
  * Log audit event
- * @param {string} action - Action type
+ * @param {string} action - One of AUDIT_ACTIONS (kick, ban, warn, mute, url_block, image_delete, ...)
  * @param {Object} details - Action details
+ * @param {string} details.whatsappGroupId - Group JID the action happened in
+ * @param {string} details.targetPhone - Affected user's phone/LID or JID
+ * @param {string} details.actor - Admin phone, or 'auto:<rule>' for automatic enforcement
+ * @param {string} details.rule - Rule that fired (invite_link, blacklist, country_code, manual, ...)
+ * @param {string} details.messageSnippet - Offending message text (truncated to 200 chars)
+ * @param {string} details.outcome - success, failed or partial
+ * @param {Object} details.metadata - Action-specific fields (see AUDIT_ACTIONS)
+ * @returns {Promise<boolean>} False for an unknown action or a DB error
  */
 async function logAudit(action, details = {}) {
+    const metadata = buildAuditMetadata(action, details.metadata);
+    if (!metadata) {
+        console.error(`[${getTimestamp()}] ❌ Unknown audit action "${action}" - not logged`);
+        return false;
+    }
+
     try {
+        const targetPhone = details.targetPhone ? String(details.targetPhone).split('@')[0] : null;
+        let snippet = details.messageSnippet || null;
+        if (snippet && snippet.length > AUDIT_SNIPPET_MAX) {
+            snippet = snippet.substring(0, AUDIT_SNIPPET_MAX) + '…';
+        }
+
         await query(`
-            INSERT INTO audit_log (action, group_id, user_id, admin_phone, reason, metadata)
-            VALUES ($1, $2, $3, $4, $5, $6)
+            INSERT INTO audit_log (
+                action, group_id, user_id, admin_phone, reason, metadata,
+                whatsapp_group_id, target_phone, actor, rule, message_snippet, outcome
+            )
+            VALUES (
+                $1,
+                COALESCE($2, (SELECT id FROM groups WHERE whatsapp_group_id = $7)),
+                COALESCE($3, (SELECT id FROM users WHERE phone_number = $8 OR lid = $8 LIMIT 1)),
+                $4, $5, $6, $7, $8, $9, $10, $11, $12
+            )
         `, [
             action,
             details.groupId || null,
             details.userId || null,
             details.adminPhone || null,
             details.reason || null,
-            JSON.stringify(details.metadata || {})
+            JSON.stringify(metadata),
+            details.whatsappGroupId || null,
+            targetPhone,
+            details.actor || null,
+            details.rule || null,
+            snippet,
+            details.outcome || 'success'
         ]);
+        return true;
     } catch (error) {
         console.error(`[${getTimestamp()}] ❌ Failed to log audit:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Query the audit log
+ * @param {Object} filters
+ * @param {string} filters.targetPhone - Only rows for this user (phone/LID)
+ * @param {string} filters.whatsappGroupId - Only rows for this group
+ * @param {number} filters.days - Look-back window in days (default 7)
+ * @param {number} filters.limit - Max rows (default 20)
+ * @returns {Promise<Array>} Newest first
+ */
+async function getAuditLog(filters = {}) {
+    const days = filters.days || 7;
+    const limit = filters.limit || 20;
+    const conditions = [`a.timestamp > NOW() - ($1::int * INTERVAL '1 day')`];
+    const params = [days];
+
+    if (filters.targetPhone) {
+        params.push(String(filters.targetPhone).split('@')[0]);
+        conditions.push(`a.target_phone = $${params.length}`);
+    }
+    if (filters.whatsappGroupId) {
+        params.push(filters.whatsappGroupId);
+        conditions.push(`a.whatsapp_group_id = $${params.length}`);
+    }
+    params.push(limit);
+
+    try {
+        const result = await query(`
+            SELECT a.timestamp, a.action, a.whatsapp_group_id, a.target_phone, a.actor,
+                   a.rule, a.reason, a.message_snippet, a.outcome, a.admin_phone, a.metadata,
+                   g.name AS group_name
+            FROM audit_log a
+            LEFT JOIN groups g ON g.whatsapp_group_id = a.whatsapp_group_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY a.timestamp DESC
+            LIMIT $${params.length}
+        `, params);
+
+        return result.rows;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to read audit log:`, error.message);
+        return [];
     }
 }
 
@@ -780,68 +1059,139 @@ async function upsertGroup(groupMetadata) {
     }
 }
 
-async function setRestrictCountryCodes(whatsappGroupId, enabled) {
+// Country policy cache (5 minutes TTL)
+const countryPolicyCache = new Map(); // groupId -> {value: policy, expiresAt: number}
+const COUNTRY_POLICY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Get the country-code policy for a group (off if not configured).
+ * Groups that only have the old restrict_country_codes flag get the legacy +1/+6 block.
+ * @param {string} whatsappGroupId
+ * @returns {Promise<{mode: string, prefixes: string[], action: string}>} See utils/countryPolicy.js
+ */
+async function getCountryPolicy(whatsappGroupId) {
+    const { DEFAULT_COUNTRY_POLICY, COUNTRY_POLICY_OFF } = require('../utils/countryPolicy');
+
+    const cached = countryPolicyCache.get(whatsappGroupId);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
     try {
-        const result = await query(`
-            UPDATE groups
-            SET restrict_country_codes = $2
-            WHERE whatsapp_group_id = $1
-            RETURNING name, restrict_country_codes
-        `, [whatsappGroupId, enabled]);
+        let row;
+        try {
+            const result = await query(`
+                SELECT country_policy_mode, country_policy_prefixes, country_policy_action, restrict_country_codes
+                FROM groups
+                WHERE whatsapp_group_id = $1
+            `, [whatsappGroupId]);
+            row = result.rows[0];
+        } catch (error) {
+            if (error.code !== '42703') throw error;
+            // database/add-country-policy.sql not applied yet - fall back to the boolean flag
+            const result = await query(`
+                SELECT restrict_country_codes FROM groups WHERE whatsapp_group_id = $1
+            `, [whatsappGroupId]);
+            row = result.rows[0];
+        }
 
-        if (result.rows.length > 0) {
-            const status = enabled ? 'enabled' : 'disabled';
-            console.log(`[${getTimestamp()}] ✅ Restrict country codes ${status} for ${result.rows[0].name}`);
-            return true;
+        let value;
+        if (row && row.country_policy_mode) {
+            value = {
+                mode: row.country_policy_mode,
+                prefixes: row.country_policy_prefixes || [],
+                action: row.country_policy_action || 'kick'
+            };
+        } else if (row && row.restrict_country_codes) {
+            value = { ...DEFAULT_COUNTRY_POLICY, prefixes: [...DEFAULT_COUNTRY_POLICY.prefixes] };
         } else {
-            console.log(`[${getTimestamp()}] ❌ Group not found: ${whatsappGroupId}`);
-            return false;
+            value = { ...COUNTRY_POLICY_OFF, prefixes: [] };
         }
+
+        countryPolicyCache.set(whatsappGroupId, { value, expiresAt: Date.now() + COUNTRY_POLICY_CACHE_TTL });
+        return value;
     } catch (error) {
-        console.error(`[${getTimestamp()}] ❌ Failed to set restrict_country_codes:`, error.message);
-        return false;
+        console.error(`[${getTimestamp()}] ❌ Failed to get country policy:`, error.message);
+        return { ...COUNTRY_POLICY_OFF, prefixes: [] };
     }
 }
 
-async function isRestrictCountryCodesEnabled(whatsappGroupId) {
+/**
+ * Set the country-code policy for a group (also keeps restrict_country_codes in step).
+ * @param {string} whatsappGroupId
+ * @param {{mode: string, prefixes: string[], action: string}} policy
+ * @returns {Promise<boolean>}
+ */
+async function setCountryPolicy(whatsappGroupId, policy) {
     try {
         const result = await query(`
-            SELECT restrict_country_codes
-            FROM groups
+            UPDATE groups
+            SET country_policy_mode     = $2,
+                country_policy_prefixes = $3,
+                country_policy_action   = $4,
+                restrict_country_codes  = $5
             WHERE whatsapp_group_id = $1
-        `, [whatsappGroupId]);
+            RETURNING name
+        `, [whatsappGroupId, policy.mode, policy.prefixes, policy.action, policy.mode !== 'off']);
 
-        return result.rows[0]?.restrict_country_codes || false;
+        countryPolicyCache.delete(whatsappGroupId); // invalidate
+        if (result.rows.length > 0) {
+            console.log(`[${getTimestamp()}] ✅ Country policy set for ${result.rows[0].name}: ${policy.mode} ${policy.prefixes.join(',')} (${policy.action})`);
+            return true;
+        }
+        console.log(`[${getTimestamp()}] ❌ Group not found: ${whatsappGroupId}`);
+        return false;
     } catch (error) {
-        console.error(`[${getTimestamp()}] ❌ Failed to check restrict_country_codes:`, error.message);
+        console.error(`[${getTimestamp()}] ❌ Failed to set country policy:`, error.message);
         return false;
     }
 }
 
 // ─── Per-group auto-translate ────────────────────────────────────────────────
-const autoTranslateCache = new Map(); // groupId -> {value: {from,to}|null, expiresAt: number}
+const autoTranslateCache = new Map(); // groupId -> {value: {from,to,sources,bilingual,targets}|null, expiresAt: number}
 const AUTO_TRANSLATE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
 /**
  * Get per-group auto-translation setting.
  * @param {string} whatsappGroupId
- * @returns {Promise<{from:string,to:string}|null>} {from,to} if enabled, null if disabled.
+ * @returns {Promise<{from:string,to:string,sources:string[],bilingual:boolean,targets:Object<string,string>}|null>}
+ *   null if disabled. from may hold several source languages joined with '+' (e.g. 'ru+ar'); sources is
+ *   that list split. A bilingual group translates both ways, so from and to are both sources.
+ *   targets maps each source language to the language its messages are translated into.
  */
 async function getGroupAutoTranslate(whatsappGroupId) {
     const cached = autoTranslateCache.get(whatsappGroupId);
     if (cached && cached.expiresAt > Date.now()) return cached.value;
 
     try {
-        const result = await query(`
-            SELECT auto_translate_from, auto_translate_to
-            FROM groups
-            WHERE whatsapp_group_id = $1
-        `, [whatsappGroupId]);
+        let row;
+        try {
+            const result = await query(`
+                SELECT auto_translate_from, auto_translate_to, auto_translate_bilingual
+                FROM groups
+                WHERE whatsapp_group_id = $1
+            `, [whatsappGroupId]);
+            row = result.rows[0];
+        } catch (error) {
+            if (error.code !== '42703') throw error;
+            // database/add-auto-translate-bilingual.sql not applied yet - one-way only
+            const result = await query(`
+                SELECT auto_translate_from, auto_translate_to
+                FROM groups
+                WHERE whatsapp_group_id = $1
+            `, [whatsappGroupId]);
+            row = result.rows[0];
+        }
 
-        const row = result.rows[0];
-        const value = (row && row.auto_translate_from && row.auto_translate_to)
-            ? { from: row.auto_translate_from, to: row.auto_translate_to }
-            : null;
+        let value = null;
+        if (row && row.auto_translate_from && row.auto_translate_to) {
+            const from = row.auto_translate_from;
+            const to = row.auto_translate_to;
+            const bilingual = row.auto_translate_bilingual === true;
+            const sources = bilingual ? [from, to] : from.split('+');
+            const targets = bilingual
+                ? { [from]: to, [to]: from }
+                : Object.fromEntries(sources.map(source => [source, to]));
+            value = { from, to, sources, bilingual, targets };
+        }
 
         autoTranslateCache.set(whatsappGroupId, { value, expiresAt: Date.now() + AUTO_TRANSLATE_CACHE_TTL });
         return value;
@@ -854,23 +1204,38 @@ async function getGroupAutoTranslate(whatsappGroupId) {
 /**
  * Enable per-group auto-translation.
  * @param {string} whatsappGroupId
- * @param {string} fromLang ISO 639-1 source language code (e.g. 'ru')
+ * @param {string} fromLang ISO 639-1 source language code (e.g. 'ru'), or several joined with '+' (e.g. 'ru+ar')
  * @param {string} toLang   ISO 639-1 target language code (e.g. 'he')
+ * @param {boolean} [bilingual=false] Translate both ways between fromLang and toLang (one code each)
  * @returns {Promise<boolean>}
  */
-async function setGroupAutoTranslate(whatsappGroupId, fromLang, toLang) {
+async function setGroupAutoTranslate(whatsappGroupId, fromLang, toLang, bilingual = false) {
     try {
-        const result = await query(`
-            UPDATE groups
-            SET auto_translate_from = $2,
-                auto_translate_to   = $3
-            WHERE whatsapp_group_id = $1
-            RETURNING whatsapp_group_id
-        `, [whatsappGroupId, fromLang, toLang]);
+        let result;
+        try {
+            result = await query(`
+                UPDATE groups
+                SET auto_translate_from      = $2,
+                    auto_translate_to        = $3,
+                    auto_translate_bilingual = $4
+                WHERE whatsapp_group_id = $1
+                RETURNING whatsapp_group_id
+            `, [whatsappGroupId, fromLang, toLang, bilingual]);
+        } catch (error) {
+            // Without database/add-auto-translate-bilingual.sql only one-way translation can be stored
+            if (error.code !== '42703' || bilingual) throw error;
+            result = await query(`
+                UPDATE groups
+                SET auto_translate_from = $2,
+                    auto_translate_to   = $3
+                WHERE whatsapp_group_id = $1
+                RETURNING whatsapp_group_id
+            `, [whatsappGroupId, fromLang, toLang]);
+        }
 
         autoTranslateCache.delete(whatsappGroupId); // invalidate
         if (result.rows.length > 0) {
-            console.log(`[${getTimestamp()}] ✅ Auto-translate enabled for ${whatsappGroupId}: ${fromLang} → ${toLang}`);
+            console.log(`[${getTimestamp()}] ✅ Auto-translate enabled for ${whatsappGroupId}: ${fromLang} ${bilingual ? '⇄' : '→'} ${toLang}`);
             return true;
         }
         console.log(`[${getTimestamp()}] ❌ Group not found for auto-translate: ${whatsappGroupId}`);
@@ -909,6 +1274,434 @@ async function disableGroupAutoTranslate(whatsappGroupId) {
     }
 }
 
+// Strike policy cache (5 minutes TTL)
+const strikePolicyCache = new Map(); // groupId -> {value: policy, expiresAt: number}
+const STRIKE_POLICY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Kick on the first invite link, as before strike policies existed; warnings are opt-in via #strikepolicy
+const DEFAULT_STRIKE_POLICY = Object.freeze({
+    warningsBeforeKick: 0,
+    expiryDays: 7,
+    autoBlacklist: false
+});
+
+/**
+ * Get the invite-link strike policy for a group (defaults if not configured).
+ * @param {string} whatsappGroupId
+ * @returns {Promise<{warningsBeforeKick: number, expiryDays: number, autoBlacklist: boolean}>}
+ */
+async function getStrikePolicy(whatsappGroupId) {
+    const cached = strikePolicyCache.get(whatsappGroupId);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    try {
+        const result = await query(`
+            SELECT strike_warnings_before_kick, strike_expiry_days, strike_auto_blacklist
+            FROM groups
+            WHERE whatsapp_group_id = $1
+        `, [whatsappGroupId]);
+
+        const row = result.rows[0];
+        const value = row ? {
+            warningsBeforeKick: row.strike_warnings_before_kick ?? DEFAULT_STRIKE_POLICY.warningsBeforeKick,
+            expiryDays: row.strike_expiry_days ?? DEFAULT_STRIKE_POLICY.expiryDays,
+            autoBlacklist: row.strike_auto_blacklist ?? DEFAULT_STRIKE_POLICY.autoBlacklist
+        } : { ...DEFAULT_STRIKE_POLICY };
+
+        strikePolicyCache.set(whatsappGroupId, { value, expiresAt: Date.now() + STRIKE_POLICY_CACHE_TTL });
+        return value;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to get strike policy:`, error.message);
+        return { ...DEFAULT_STRIKE_POLICY };
+    }
+}
+
+/**
+ * Set the invite-link strike policy for a group.
+ * @param {string} whatsappGroupId
+ * @param {{warningsBeforeKick: number, expiryDays: number, autoBlacklist: boolean}} policy
+ * @returns {Promise<boolean>}
+ */
+async function setStrikePolicy(whatsappGroupId, policy) {
+    try {
+        const result = await query(`
+            UPDATE groups
+            SET strike_warnings_before_kick = $2,
+                strike_expiry_days          = $3,
+                strike_auto_blacklist       = $4
+            WHERE whatsapp_group_id = $1
+            RETURNING whatsapp_group_id
+        `, [whatsappGroupId, policy.warningsBeforeKick, policy.expiryDays, policy.autoBlacklist]);
+
+        strikePolicyCache.delete(whatsappGroupId); // invalidate
+        if (result.rows.length > 0) {
+            console.log(`[${getTimestamp()}] ✅ Strike policy set for ${whatsappGroupId}: ${policy.warningsBeforeKick} warning(s), ${policy.expiryDays}d expiry, auto-blacklist ${policy.autoBlacklist ? 'on' : 'off'}`);
+            return true;
+        }
+        console.log(`[${getTimestamp()}] ❌ Group not found for strike policy: ${whatsappGroupId}`);
+        return false;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to set strike policy:`, error.message);
+        return false;
+    }
+}
+
+// Flood rules cache (5 minutes TTL) - read on every group message
+const floodRulesCache = new Map(); // groupId -> {value: rules, expiresAt: number}
+const FLOOD_RULES_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Get a group's flood rules (empty object when none are configured).
+ * @param {string} whatsappGroupId
+ * @returns {Promise<Object>} { messages?, repeat?, media? }, each { count, seconds, action, muteMinutes }
+ */
+async function getFloodRules(whatsappGroupId) {
+    const cached = floodRulesCache.get(whatsappGroupId);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    try {
+        const result = await query(`
+            SELECT flood_rules
+            FROM groups
+            WHERE whatsapp_group_id = $1
+        `, [whatsappGroupId]);
+
+        const value = result.rows[0]?.flood_rules || {};
+        floodRulesCache.set(whatsappGroupId, { value, expiresAt: Date.now() + FLOOD_RULES_CACHE_TTL });
+        return value;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to get flood rules:`, error.message);
+        return {};
+    }
+}
+
+/**
+ * Replace a group's flood rules.
+ * @param {string} whatsappGroupId
+ * @param {Object} rules - { messages?, repeat?, media? } ({} turns flood protection off)
+ * @returns {Promise<boolean>}
+ */
+async function setFloodRules(whatsappGroupId, rules) {
+    try {
+        const result = await query(`
+            UPDATE groups
+            SET flood_rules = $2
+            WHERE whatsapp_group_id = $1
+            RETURNING name
+        `, [whatsappGroupId, JSON.stringify(rules)]);
+
+        floodRulesCache.delete(whatsappGroupId); // invalidate
+        if (result.rows.length > 0) {
+            console.log(`[${getTimestamp()}] ✅ Flood rules set for ${result.rows[0].name}: ${Object.keys(rules).join(', ') || 'off'}`);
+            return true;
+        }
+        console.log(`[${getTimestamp()}] ❌ Group not found for flood rules: ${whatsappGroupId}`);
+        return false;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to set flood rules:`, error.message);
+        return false;
+    }
+}
+
+// Probation policy cache (5 minutes TTL) - read on every join and message
+const probationPolicyCache = new Map(); // groupId -> {value: policy|null, expiresAt: number}
+const PROBATION_POLICY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Get a group's new-member probation policy.
+ * @param {string} whatsappGroupId
+ * @returns {Promise<{hours: number, messages: number|null}|null>} null when probation is off
+ */
+async function getProbationPolicy(whatsappGroupId) {
+    const cached = probationPolicyCache.get(whatsappGroupId);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    try {
+        const result = await query(`
+            SELECT probation_hours, probation_messages
+            FROM groups
+            WHERE whatsapp_group_id = $1
+        `, [whatsappGroupId]);
+
+        const row = result.rows[0];
+        const value = row && row.probation_hours
+            ? { hours: row.probation_hours, messages: row.probation_messages || null }
+            : null;
+
+        probationPolicyCache.set(whatsappGroupId, { value, expiresAt: Date.now() + PROBATION_POLICY_CACHE_TTL });
+        return value;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to get probation policy:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Set or clear a group's new-member probation policy.
+ * @param {string} whatsappGroupId
+ * @param {{hours: number, messages: number|null}|null} policy - null turns probation off
+ * @returns {Promise<boolean>}
+ */
+async function setProbationPolicy(whatsappGroupId, policy) {
+    try {
+        const result = await query(`
+            UPDATE groups
+            SET probation_hours    = $2,
+                probation_messages = $3
+            WHERE whatsapp_group_id = $1
+            RETURNING name
+        `, [whatsappGroupId, policy ? policy.hours : null, policy ? policy.messages || null : null]);
+
+        probationPolicyCache.delete(whatsappGroupId); // invalidate
+        if (result.rows.length > 0) {
+            console.log(`[${getTimestamp()}] ✅ Probation set for ${result.rows[0].name}: ${policy ? `${policy.hours}h / ${policy.messages || '-'} messages` : 'off'}`);
+            return true;
+        }
+        console.log(`[${getTimestamp()}] ❌ Group not found for probation policy: ${whatsappGroupId}`);
+        return false;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to set probation policy:`, error.message);
+        return false;
+    }
+}
+
+// Join captcha cache (5 minutes TTL) - read on every join
+const joinCaptchaCache = new Map(); // groupId -> {value: settings|null, expiresAt: number}
+const JOIN_CAPTCHA_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Get a group's join captcha settings.
+ * @param {string} whatsappGroupId
+ * @returns {Promise<{type: string, minutes: number, question?: string, answer?: string}|null>} null when the captcha is off
+ */
+async function getJoinCaptcha(whatsappGroupId) {
+    const cached = joinCaptchaCache.get(whatsappGroupId);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    try {
+        const result = await query(`
+            SELECT join_captcha
+            FROM groups
+            WHERE whatsapp_group_id = $1
+        `, [whatsappGroupId]);
+
+        const value = result.rows[0]?.join_captcha || null;
+        joinCaptchaCache.set(whatsappGroupId, { value, expiresAt: Date.now() + JOIN_CAPTCHA_CACHE_TTL });
+        return value;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to get join captcha:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Set or clear a group's join captcha.
+ * @param {string} whatsappGroupId
+ * @param {{type: string, minutes: number, question?: string, answer?: string}|null} settings - null turns the captcha off
+ * @returns {Promise<boolean>}
+ */
+async function setJoinCaptcha(whatsappGroupId, settings) {
+    try {
+        const result = await query(`
+            UPDATE groups
+            SET join_captcha = $2
+            WHERE whatsapp_group_id = $1
+            RETURNING name
+        `, [whatsappGroupId, settings ? JSON.stringify(settings) : null]);
+
+        joinCaptchaCache.delete(whatsappGroupId); // invalidate
+        if (result.rows.length > 0) {
+            console.log(`[${getTimestamp()}] ✅ Join captcha set for ${result.rows[0].name}: ${settings ? `${settings.type} / ${settings.minutes} min` : 'off'}`);
+            return true;
+        }
+        console.log(`[${getTimestamp()}] ❌ Group not found for join captcha: ${whatsappGroupId}`);
+        return false;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to set join captcha:`, error.message);
+        return false;
+    }
+}
+
+// URL policy cache (5 minutes TTL) - read for every group message with a link
+const urlPolicyCache = new Map(); // groupId -> {value: policy, expiresAt: number}
+const URL_POLICY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Get the URL policy for a group (alert mode with the default allowed domains if not configured).
+ * @param {string} whatsappGroupId
+ * @returns {Promise<{mode: string, allow: string[], deny: string[]}>} See utils/urlPolicy.js
+ */
+async function getUrlPolicy(whatsappGroupId) {
+    const { DEFAULT_URL_POLICY } = require('../utils/urlPolicy');
+
+    const cached = urlPolicyCache.get(whatsappGroupId);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    try {
+        const result = await query(`
+            SELECT url_policy_mode, url_allow_domains, url_deny_domains
+            FROM groups
+            WHERE whatsapp_group_id = $1
+        `, [whatsappGroupId]);
+
+        const row = result.rows[0];
+        const value = {
+            mode: row?.url_policy_mode || DEFAULT_URL_POLICY.mode,
+            allow: row?.url_allow_domains || [],
+            deny: row?.url_deny_domains || []
+        };
+        urlPolicyCache.set(whatsappGroupId, { value, expiresAt: Date.now() + URL_POLICY_CACHE_TTL });
+        return value;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to get URL policy:`, error.message);
+        return { ...DEFAULT_URL_POLICY, allow: [], deny: [] };
+    }
+}
+
+/**
+ * Set the URL policy for a group.
+ * @param {string} whatsappGroupId
+ * @param {{mode: string, allow: string[], deny: string[]}} policy
+ * @returns {Promise<boolean>}
+ */
+async function setUrlPolicy(whatsappGroupId, policy) {
+    try {
+        const result = await query(`
+            UPDATE groups
+            SET url_policy_mode   = $2,
+                url_allow_domains = $3,
+                url_deny_domains  = $4
+            WHERE whatsapp_group_id = $1
+            RETURNING name
+        `, [whatsappGroupId, policy.mode, policy.allow, policy.deny]);
+
+        urlPolicyCache.delete(whatsappGroupId); // invalidate
+        if (result.rows.length > 0) {
+            console.log(`[${getTimestamp()}] ✅ URL policy set for ${result.rows[0].name}: ${policy.mode} (allow ${policy.allow.length}, deny ${policy.deny.length})`);
+            return true;
+        }
+        console.log(`[${getTimestamp()}] ❌ Group not found for URL policy: ${whatsappGroupId}`);
+        return false;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to set URL policy:`, error.message);
+        return false;
+    }
+}
+
+// Translation provider cache (5 minutes TTL) - read for every translation in a group
+const translateProviderCache = new Map(); // groupId -> {value: provider|null, expiresAt: number}
+const TRANSLATE_PROVIDER_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Get the translation provider a group chose (#autotranslate provider).
+ * @param {string} whatsappGroupId
+ * @returns {Promise<string|null>} 'google' | 'openai' | 'stub', or null for the default order
+ */
+async function getTranslateProvider(whatsappGroupId) {
+    const cached = translateProviderCache.get(whatsappGroupId);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    try {
+        const result = await query(`
+            SELECT translate_provider
+            FROM groups
+            WHERE whatsapp_group_id = $1
+        `, [whatsappGroupId]);
+
+        const value = result.rows[0]?.translate_provider || null;
+        translateProviderCache.set(whatsappGroupId, { value, expiresAt: Date.now() + TRANSLATE_PROVIDER_CACHE_TTL });
+        return value;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to get translation provider:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Set (or with null, clear) a group's translation provider.
+ * @param {string} whatsappGroupId
+ * @param {string|null} provider
+ * @returns {Promise<boolean>}
+ */
+async function setTranslateProvider(whatsappGroupId, provider) {
+    try {
+        const result = await query(`
+            UPDATE groups
+            SET translate_provider = $2
+            WHERE whatsapp_group_id = $1
+            RETURNING name
+        `, [whatsappGroupId, provider]);
+
+        translateProviderCache.delete(whatsappGroupId); // invalidate
+        if (result.rows.length > 0) {
+            console.log(`[${getTimestamp()}] ✅ Translation provider for ${result.rows[0].name}: ${provider || 'default'}`);
+            return true;
+        }
+        console.log(`[${getTimestamp()}] ❌ Group not found for translation provider: ${whatsappGroupId}`);
+        return false;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to set translation provider:`, error.message);
+        return false;
+    }
+}
+
+// Translation glossary cache (5 minutes TTL) - read for every translation in a group
+const translationGlossaryCache = new Map(); // groupId -> {value: entries, expiresAt: number}
+const TRANSLATION_GLOSSARY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Get a group's translation glossary (#glossary).
+ * @param {string} whatsappGroupId
+ * @returns {Promise<Object[]>} [{ source, target, sourceLang, targetLang, addedBy, addedAt }] - see utils/translationGlossary.js
+ */
+async function getTranslationGlossary(whatsappGroupId) {
+    const cached = translationGlossaryCache.get(whatsappGroupId);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    try {
+        const result = await query(`
+            SELECT translation_glossary
+            FROM groups
+            WHERE whatsapp_group_id = $1
+        `, [whatsappGroupId]);
+
+        const value = result.rows[0]?.translation_glossary || [];
+        translationGlossaryCache.set(whatsappGroupId, { value, expiresAt: Date.now() + TRANSLATION_GLOSSARY_CACHE_TTL });
+        return value;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to get translation glossary:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Replace a group's translation glossary.
+ * @param {string} whatsappGroupId
+ * @param {Object[]} entries
+ * @returns {Promise<boolean>}
+ */
+async function setTranslationGlossary(whatsappGroupId, entries) {
+    try {
+        const result = await query(`
+            UPDATE groups
+            SET translation_glossary = $2
+            WHERE whatsapp_group_id = $1
+            RETURNING name
+        `, [whatsappGroupId, JSON.stringify(entries)]);
+
+        translationGlossaryCache.delete(whatsappGroupId); // invalidate
+        if (result.rows.length > 0) {
+            console.log(`[${getTimestamp()}] ✅ Translation glossary for ${result.rows[0].name}: ${entries.length} terms`);
+            return true;
+        }
+        console.log(`[${getTimestamp()}] ❌ Group not found for translation glossary: ${whatsappGroupId}`);
+        return false;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to set translation glossary:`, error.message);
+        return false;
+    }
+}
+
 module.exports = {
     getAllGroups,
     getGroupByWhatsAppId,
@@ -918,6 +1711,12 @@ module.exports = {
     getBlacklistedUsers,
     blacklistUser,
     unblacklistUser,
+    getWhitelistedUsers,
+    whitelistUser,
+    unwhitelistUser,
+    getGroupWhitelistEntries,
+    addGroupWhitelist,
+    removeGroupWhitelist,
     getPowerUsers,
     getUsersByCountry,
     exportAllPhoneNumbers,
@@ -925,8 +1724,12 @@ module.exports = {
     searchUsers,
     incrementViolation,
     getViolations,
+    clearViolations,
     formatViolations,
+    AUDIT_ACTIONS,
+    buildAuditMetadata,
     logAudit,
+    getAuditLog,
     markMine,
     unmarkMine,
     getMyGroups,
@@ -943,9 +1746,24 @@ module.exports = {
     setGroupClassName,
     getBullywatchGroups,
     upsertGroup,  // Auto-register groups on join
-    setRestrictCountryCodes,
-    isRestrictCountryCodesEnabled,
+    getCountryPolicy,
+    setCountryPolicy,
     getGroupAutoTranslate,
     setGroupAutoTranslate,
-    disableGroupAutoTranslate
+    disableGroupAutoTranslate,
+    DEFAULT_STRIKE_POLICY,
+    getStrikePolicy,
+    setStrikePolicy,
+    getFloodRules,
+    setFloodRules,
+    getProbationPolicy,
+    setProbationPolicy,
+    getJoinCaptcha,
+    setJoinCaptcha,
+    getUrlPolicy,
+    setUrlPolicy,
+    getTranslateProvider,
+    setTranslateProvider,
+    getTranslationGlossary,
+    setTranslationGlossary
 };
@@ -11,7 +11,8 @@ const formatTimestamp = () => `[${getTimestamp()}]`;
 /**
  * Save an offensive message to the database
  *
- * @param {Object} data - Message data
+ * @param {Object} data - Message data (score/severity/categories/scoreBreakdown/contextWindow/
+ *                        nanoVerdict/gptVerdict are optional bullywatch details for the dashboard)
  * @returns {Promise<number>} - ID of saved message
  */
 async function saveOffensiveMessage(data) {
@@ -24,12 +25,36 @@ async function saveOffensiveMessage(data) {
         senderJid,
         messageText,
         matchedWords,
-        gptAnalysis
+        gptAnalysis,
+        score,
+        severity,
+        categories,
+        scoreBreakdown,
+        contextWindow,
+        nanoVerdict,
+        gptVerdict
     } = data;
 
-    try {
-        const result = await query(`
-            INSERT INTO offensive_messages (
+    const baseParams = [
+        messageId,
+        whatsappGroupId,
+        groupName,
+        senderPhone,
+        senderName,
+        senderJid,
+        messageText,
+        matchedWords || [],
+        gptAnalysis?.analyzed || false,
+        gptAnalysis?.severity || null,
+        gptAnalysis?.confidence || null,
+        gptAnalysis?.category || null,
+        gptAnalysis?.explanation || null,
+        gptAnalysis?.emotionalImpact || null,
+        gptAnalysis?.recommendation || null,
+        gptAnalysis?.cost || null
+    ];
+
+    const baseColumns = `
                 message_id,
                 whatsapp_group_id,
                 group_name,
@@ -45,27 +70,43 @@ async function saveOffensiveMessage(data) {
                 gpt_explanation,
                 gpt_emotional_impact,
                 gpt_recommendation,
-                gpt_cost
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-            RETURNING id
-        `, [
-            messageId,
-            whatsappGroupId,
-            groupName,
-            senderPhone,
-            senderName,
-            senderJid,
-            messageText,
-            matchedWords || [],
-            gptAnalysis?.analyzed || false,
-            gptAnalysis?.severity || null,
-            gptAnalysis?.confidence || null,
-            gptAnalysis?.category || null,
-            gptAnalysis?.explanation || null,
-            gptAnalysis?.emotionalImpact || null,
-            gptAnalysis?.recommendation || null,
-            gptAnalysis?.cost || null
-        ]);
+                gpt_cost`;
+
+    try {
+        let result;
+        try {
+            result = await query(`
+                INSERT INTO offensive_messages (${baseColumns},
+                    score,
+                    severity,
+                    categories,
+                    score_breakdown,
+                    context_window,
+                    nano_verdict,
+                    gpt_verdict
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+                          $17, $18, $19, $20, $21, $22, $23)
+                RETURNING id
+            `, [
+                ...baseParams,
+                Number.isFinite(score) ? Math.round(score) : null,
+                severity || null,
+                categories || null,
+                scoreBreakdown ? JSON.stringify(scoreBreakdown) : null,
+                contextWindow ? JSON.stringify(contextWindow) : null,
+                nanoVerdict ? JSON.stringify(nanoVerdict) : null,
+                gptVerdict ? JSON.stringify(gptVerdict) : null
+            ]);
+        } catch (error) {
+            // 42703 = undefined_column: add-offensive-message-review.sql not applied yet
+            if (error.code !== '42703') throw error;
+            console.warn(`${formatTimestamp()} ⚠️  offensive_messages review columns missing - run database/add-offensive-message-review.sql`);
+            result = await query(`
+                INSERT INTO offensive_messages (${baseColumns}
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+                RETURNING id
+            `, baseParams);
+        }
 
         const id = result.rows[0].id;
         console.log(`${formatTimestamp()} 💾 Saved offensive message to DB (ID: ${id})`);
@@ -192,10 +233,111 @@ async function getOffensiveMessageStats(whatsappGroupId = null) {
     }
 }
 
+/**
+ * List flagged messages for the review dashboard (newest first)
+ *
+ * @param {Object} filters - { status: 'pending'|'reviewed'|'all', whatsappGroupId, days, limit, offset }
+ * @returns {Promise<Array>} - Array of messages
+ */
+async function listFlaggedMessages({ status = 'pending', whatsappGroupId = null, days = 30, limit = 50, offset = 0 } = {}) {
+    try {
+        const params = [days];
+        let sql = `
+            SELECT *
+            FROM offensive_messages
+            WHERE detected_at > NOW() - ($1::int * INTERVAL '1 day')
+        `;
+
+        if (status === 'pending') {
+            sql += ' AND review_verdict IS NULL';
+        } else if (status === 'reviewed') {
+            sql += ' AND review_verdict IS NOT NULL';
+        }
+
+        if (whatsappGroupId) {
+            params.push(whatsappGroupId);
+            sql += ` AND whatsapp_group_id = $${params.length}`;
+        }
+
+        params.push(limit, offset);
+        sql += ` ORDER BY detected_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+        const result = await query(sql, params);
+        return result.rows;
+
+    } catch (error) {
+        console.error(`${formatTimestamp()} ❌ Failed to list flagged messages:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Set the reviewer verdict on the rows matched by `condition` ($1 is its parameter).
+ * Each returned row carries previous_verdict so callers can tell a first review from a re-review.
+ */
+async function updateReviewVerdict(condition, match, verdict, reviewedBy) {
+    const result = await query(`
+        UPDATE offensive_messages AS o
+        SET review_verdict = $2,
+            reviewed_by = $3,
+            reviewed_at = CURRENT_TIMESTAMP
+        FROM (
+            SELECT id, review_verdict AS previous_verdict
+            FROM offensive_messages
+            WHERE ${condition}
+            FOR UPDATE
+        ) AS prev
+        WHERE o.id = prev.id
+        RETURNING o.*, prev.previous_verdict
+    `, [match, verdict, reviewedBy]);
+
+    console.log(`${formatTimestamp()} 📝 Marked ${result.rows.length} flagged message(s) as ${verdict}`);
+    return result.rows;
+}
+
+/**
+ * Record a reviewer verdict on one or more flagged messages
+ *
+ * @param {number[]} ids - offensive_messages row IDs
+ * @param {string} verdict - 'true_positive' | 'false_positive'
+ * @param {string} reviewedBy - Reviewer identifier
+ * @returns {Promise<Array>} - Updated rows (with previous_verdict)
+ */
+async function setReviewVerdict(ids, verdict, reviewedBy) {
+    try {
+        return await updateReviewVerdict('id = ANY($1::int[])', ids, verdict, reviewedBy);
+    } catch (error) {
+        console.error(`${formatTimestamp()} ❌ Failed to record review verdict:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Record a reviewer verdict on a flagged message by its WhatsApp message ID
+ * (the #bullywatch feedback path only knows the message, not the row ID)
+ *
+ * @param {string} messageId - WhatsApp message ID
+ * @param {string} verdict - 'true_positive' | 'false_positive'
+ * @param {string} reviewedBy - Reviewer identifier
+ * @returns {Promise<Object|null>} - Updated row (with previous_verdict), or null if it was never saved
+ */
+async function setReviewVerdictByMessageId(messageId, verdict, reviewedBy) {
+    try {
+        const rows = await updateReviewVerdict('message_id = $1', messageId, verdict, reviewedBy);
+        return rows[0] || null;
+    } catch (error) {
+        console.error(`${formatTimestamp()} ❌ Failed to record review verdict:`, error.message);
+        throw error;
+    }
+}
+
 module.exports = {
     saveOffensiveMessage,
     markMessageAsDeleted,
     getOffensiveMessage,
     getGroupOffensiveMessages,
-    getOffensiveMessageStats
+    getOffensiveMessageStats,
+    listFlaggedMessages,
+    setReviewVerdict,
+    setReviewVerdictByMessageId
 };
@@ -18,6 +18,7 @@ const memoryMonitor = require('./utils/memoryMonitor');
 const memoryLeakDetector = require('./utils/memoryLeakDetector');
 const { queueScan } = require('./services/scanQueueService');
 const { startScanWorker } = require('./services/blacklistScanWorker');
+const { startAdminApi } = require('./services/adminApiService');
 const { extractPhoneNumber } = require('./utils/lidDecoder');
 const { checkUrl: checkUrlSafety } = require('./services/safeBrowsingService');
 const fsPromises = require('fs').promises;
@@ -327,6 +328,9 @@ console.log(`[${getTimestamp()}] 📊 Using PostgreSQL for all services (Firebas
 const blacklistModule = require('./services/blacklistService.postgres');
 const whitelistModule = require('./services/whitelistService');
 const muteModule = require('./services/muteService');
+const roleService = require('./services/roleService');
+const { warningService } = require('./services/warningService');
+const { kickedUserService } = require('./services/kickedUserService');
 
 blacklistService = {
     loadBlacklistCache: blacklistModule.loadBlacklistCache,
@@ -363,18 +367,26 @@ const { sendKickAlert, sendSecurityAlert, sendBlacklistRejoinAlert } = require('
 const { robustKick } = require('./utils/kickHelper');
 const { decodeLIDToPhone } = require('./utils/jidUtils');
 const { decideKick } = require('./utils/kickCooldownPolicy');
+const { COUNTRY_POLICY_OFF, checkCountryPolicy, formatCountryPolicy, describeViolation } = require('./utils/countryPolicy');
 const { enqueueDeferredKick } = require('./utils/deferredKickQueue');
+const { enforceFloodRules } = require('./services/floodService');
+const { CROSS_POST, checkCrossPost, getCrossPostAlert, kickCrossPostSenders } = require('./services/crossPostService');
+const { startProbation, enforceProbation, getProbationAlert, applyProbationDecision } = require('./services/probationService');
+const { startCaptcha, checkCaptchaMessage, startCaptchaSweeper } = require('./services/captchaService');
 const { logInviteOutcome } = require('./utils/inviteLogger');
 const { storePendingRequest, getPendingRequest, removePendingRequest } = require('./utils/blacklistPendingRequests');
-const { isBlockedUrl, addBlockedDomain } = require('./services/urlBlacklistService');
+const { getKickUndo, removeKickUndo } = require('./utils/kickUndoRequests');
+const { matchBlockRule, recordBlockHit, formatBlockRule, addBlockedDomain, loadUrlBlockRules, startUrlBlockRuleSync } = require('./services/urlBlacklistService');
 const { extractPreviewUrls } = require('./utils/urlUtils');
+const { DEFAULT_URL_POLICY, checkResolvedUrlPolicy, findInviteLinks, describeUrlVerdict } = require('./utils/urlPolicy');
+const { resolveUrls } = require('./services/urlResolverService');
 
 // Initialize Database (PostgreSQL + Redis)
 const { initDatabase } = require('./database/connection');
 const { initRedis } = require('./services/redisService');
-const { incrementViolation, getViolations, blacklistUser, getUserByPhone, upsertGroup, isRestrictCountryCodesEnabled, getGroupAutoTranslate } = require('./database/groupService');
-const { isRussian } = require('./utils/languageUtils');
-const { cacheBlacklistedUser, removeFromBlacklistCache } = require('./services/redisService');
+const { incrementViolation, getViolations, blacklistUser, getUserByPhone, upsertGroup, getCountryPolicy, getProbationPolicy, getJoinCaptcha, getUrlPolicy, getGroupAutoTranslate, logAudit } = require('./database/groupService');
+const { detectSourceLanguage } = require('./utils/languageUtils');
+const { cacheBlacklistedUser, removeFromBlacklistCache, markRecentJoin } = require('./services/redisService');
 
 // Initialize databases if URLs are provided
 if (process.env.DATABASE_URL) {
@@ -393,10 +405,10 @@ if (process.env.REDIS_URL) {
 
 // Track kicked users to prevent spam
 const kickCooldown = new Map();
-const pendingUrlAlerts = new Map(); // Map<alertMsgId, {messageKey, senderId, groupId, groupName, url}>
+const pendingUrlAlerts = new Map(); // Map<alertMsgId, {messageKey, senderId, groupId, groupName, url, finalUrl}>
 const urlBlacklist = new Set(); // Global URL blacklist — applies to all groups
 const pendingUrlUnblacklistAlerts = new Map(); // Map<alertMsgId, url> — admin replies 0 to remove
-const pendingImageAlerts = new Map(); // Map<alertMsgId, {messageKey, senderId, groupId, groupName}>
+const pendingImageAlerts = new Map(); // Map<alertMsgId, {messageKey, senderId, groupId, groupName, reason, verdict, confidence}>
 
 // Track reconnection attempts with error-specific handling
 let reconnectAttempts = 0;
@@ -459,6 +471,9 @@ async function startBot() {
     await blacklistService.loadBlacklistCache();
     await whitelistService.loadWhitelistCache();
     await muteService.loadMutedUsers();
+    await roleService.loadRoles();
+    await loadUrlBlockRules();
+    startUrlBlockRuleSync();
     await unblacklistRequestService.loadRequestCache();
     
     // Initialize motivational phrase service
@@ -470,6 +485,15 @@ async function startBot() {
         console.warn('⚠️ Failed to initialize motivational phrase service:', error.message);
     }
     
+    // Initialize invite-link warning ledger (strike policy)
+    try {
+        const { initialize } = require('./services/warningService');
+        await initialize();
+        console.log('✅ Warning service initialized');
+    } catch (error) {
+        console.warn('⚠️ Failed to initialize warning service:', error.message);
+    }
+
     // Initialize kicked user service for rejoin links
     try {
         const { initialize } = require('./services/kickedUserService');
@@ -546,6 +570,13 @@ async function startBot() {
         maxMsgRetryCount: 3, // Limit message retry attempts
     });
     
+    // Local HTTP admin API (started once; later reconnects reuse the running server)
+    try {
+        await startAdminApi();
+    } catch (error) {
+        console.warn('⚠️ Failed to start admin API:', error.message);
+    }
+
     // Save credentials whenever updated
     sock.ev.on('creds.update', saveCreds);
 
@@ -1173,6 +1204,11 @@ async function startBot() {
                 // Bot was added to a new group - send welcome message
                 await handleBotWelcome(sock, id, author);
             } else {
+                // Remember new joiners: copies of the same spam from several of them count as one campaign
+                for (const participant of participants) {
+                    await markRecentJoin(id, [participant?.id || participant, participant?.phoneNumber], CROSS_POST.NEW_JOINER_HOURS * 60 * 60);
+                }
+
                 // Regular users were added - handle normal join logic
                 await handleGroupJoin(sock, id, participants, author);
             }
@@ -1183,6 +1219,9 @@ async function startBot() {
     startScanWorker(sock);
     console.log(`[${getTimestamp()}] 🚀 Blacklist scan worker started`);
 
+    // Remove new members who did not answer their join captcha in time
+    startCaptchaSweeper(sock);
+
     return sock;
 }
 
@@ -1266,6 +1305,35 @@ function isTextAllNonHebrew(text) {
     return hasNonHebrewWords;
 }
 
+/**
+ * Strike policy consequences of an invite-link kick: the sender's warnings start fresh and,
+ * if the group auto-blacklists, they are blacklisted. Each step handles its own errors and
+ * both run before the kick alert, so a failed alert cannot skip them.
+ */
+async function applyInviteLinkKickPolicy(senderId, groupId, groupName, policy) {
+    try {
+        await warningService.clearWarnings(senderId, groupId);
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to clear invite-link warnings:`, error.message);
+    }
+
+    if (!policy.autoBlacklist) return;
+    try {
+        await blacklistService.addToBlacklist(senderId, `Invite link strike policy (${policy.warningsBeforeKick} warning(s) in ${groupName})`);
+        console.log(`[${getTimestamp()}] 🚫 Auto-blacklisted ${senderId} by strike policy`);
+        await logAudit('blacklist', {
+            whatsappGroupId: groupId,
+            targetPhone: senderId,
+            actor: 'auto:invite_link',
+            rule: 'strike_policy',
+            reason: `Auto-blacklist after ${policy.warningsBeforeKick} warning(s)`,
+            metadata: { automatic: true }
+        });
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Strike policy auto-blacklist failed:`, error.message);
+    }
+}
+
 // Handle incoming messages
 async function handleMessage(sock, msg, commandHandler) {
     // TEMP DEBUG: Log every message's key info
@@ -1398,6 +1466,16 @@ async function handleMessage(sock, msg, commandHandler) {
                     originalMessage: msg
                 };
 
+                // Keep recent messages so flags are saved with their context window
+                const reviewQueueService = require('./services/bullywatch/reviewQueueService');
+                reviewQueueService.rememberMessage(chatId, {
+                    id: messageId,
+                    sender: senderPhone,
+                    senderName: msg.pushName || senderPhone,
+                    text: messageText,
+                    timestamp: messageObj.timestamp
+                });
+
                 // Prepare metadata
                 const metadata = {
                     groupSubject,
@@ -1478,7 +1556,16 @@ async function handleMessage(sock, msg, commandHandler) {
                                 emotionalImpact: result.details.gptAnalysis.emotionalImpact || null,
                                 recommendation: result.details.gptAnalysis.recommendation || null,
                                 cost: result.details.gptAnalysis.cost || null
-                            } : null
+                            } : null,
+                            score: result.score,
+                            severity: result.severity,
+                            categories: result.details.categories || null,
+                            scoreBreakdown: result.details.breakdown || null,
+                            contextWindow: {
+                                before: reviewQueueService.getContextWindow(chatId, messageId)?.before || []
+                            },
+                            nanoVerdict: result.details.ensembleVoting || null,
+                            gptVerdict: result.details.gptAnalysis || null
                         });
                         console.log(`   💾 Saved to database (ID: ${msg.key.id})`);
                     } catch (dbError) {
@@ -1515,14 +1602,32 @@ async function handleMessage(sock, msg, commandHandler) {
                     }
 
                     // If NOT in monitor mode and action requires deletion, delete message
+                    let bullyAutoDeleted = false;
                     if (!bullywatch.getStatus().monitorMode && result.action.deleteMessage) {
                         try {
                             await sock.sendMessage(chatId, { delete: msg.key });
+                            bullyAutoDeleted = true;
                             console.log(`   ✅ Message deleted (auto-action enabled)`);
                         } catch (deleteError) {
                             console.error(`   ❌ Failed to delete message:`, deleteError.message);
                         }
                     }
+
+                    await logAudit('bullywatch_alert', {
+                        whatsappGroupId: chatId,
+                        targetPhone: sender,
+                        actor: 'auto:bullywatch',
+                        rule: 'bullywatch',
+                        reason: result.action.description,
+                        messageSnippet: messageText,
+                        metadata: {
+                            score: result.score,
+                            severity: result.severity,
+                            categories: result.details.categories || [],
+                            monitorMode: bullywatch.getStatus().monitorMode,
+                            autoDeleted: bullyAutoDeleted
+                        }
+                    });
                 } else {
                     console.log(`[${getTimestamp()}] ℹ️  BULLYWATCH: No action needed (analyzed=${result.analyzed}, alertAdmin=${result.action?.alertAdmin})`);
                 }
@@ -1605,6 +1710,9 @@ async function handleMessage(sock, msg, commandHandler) {
                                         senderId: sender,
                                         groupId: chatId,
                                         groupName: groupSubject,
+                                        reason: result.reason,
+                                        verdict: result.verdict,
+                                        confidence: result.confidence,
                                     });
                                     setTimeout(() => pendingImageAlerts.delete(alertMsgId), 24 * 60 * 60 * 1000);
                                 }
@@ -1631,15 +1739,12 @@ async function handleMessage(sock, msg, commandHandler) {
         console.log(`   Text: ${messageText || '[No text content]'}`);
         console.log(`   Message Type: ${Object.keys(msg.message || {}).join(', ')}`);
 
-        // Check if it's admin (handle both regular and LID format)
-        const isAdmin = senderPhone === config.ALERT_PHONE ||
-                       senderPhone === config.ADMIN_PHONE ||
-                       senderPhone === config.ADMIN_LID ||
-                       senderId.includes(config.ALERT_PHONE) ||
-                       senderId.includes(config.ADMIN_PHONE) ||
-                       senderId.includes(config.ADMIN_LID);
-        
-        console.log(`   Is Admin: ${isAdmin ? '✅ Yes' : '❌ No'}`);
+        // Check if it's an owner (handle both regular and LID format); other role holders
+        // may send commands, which handleCommand checks against their roles
+        const isAdmin = roleService.isOwner(senderId) || roleService.isOwner(senderPhone);
+        const hasRole = isAdmin || roleService.hasAnyRole(senderId) || roleService.hasAnyRole(senderPhone);
+
+        console.log(`   Is Admin: ${isAdmin ? '✅ Yes' : hasRole ? '👮 Role holder' : '❌ No'}`);
 
         // Handle delete offensive message (reply with 'd' to bullying alert)
         if (isAdmin && messageText && messageText.toLowerCase().trim() === 'd') {
@@ -1695,6 +1800,16 @@ async function handleMessage(sock, msg, commandHandler) {
                         // Mark as deleted in database
                         await offensiveMessageService.markMessageAsDeleted(messageIdToDelete);
 
+                        await logAudit('message_delete', {
+                            whatsappGroupId: groupId,
+                            targetPhone: offensive.sender_jid || offensive.sender_phone,
+                            actor: senderId.split('@')[0],
+                            rule: 'bullywatch',
+                            reason: 'Offensive message deleted from bullywatch alert',
+                            messageSnippet: offensive.message_text,
+                            metadata: { messageId: messageIdToDelete }
+                        });
+
                         await sock.sendMessage(chatId, {
                             text: `✅ Offensive message deleted from "${offensive.group_name}"\n\n` +
                                   `📱 User: ${offensive.sender_name}\n` +
@@ -1726,6 +1841,13 @@ async function handleMessage(sock, msg, commandHandler) {
             }
         }
 
+        // "confirm" / "cancel" answers the sender's own --dry preview of a bulk removal
+        if (messageText && /^(confirm|cancel)$/i.test(messageText.trim()) && commandHandler.hasPendingConfirmation(msg)) {
+            console.log(`   Preview Reply Detected: ${messageText.trim()}`);
+            await commandHandler.handleCommand(msg, messageText.trim().toLowerCase(), [], isAdmin, isAdmin);
+            return;
+        }
+
         // Process commands in private chat
         if (messageText && messageText.startsWith('#')) {
             console.log(`   Command Detected: ${messageText}`);
@@ -1734,10 +1856,10 @@ async function handleMessage(sock, msg, commandHandler) {
             const command = parts[0];
             const args = parts.slice(1); // Keep as array for proper command handling
             
-            // Only admins can use bot commands
-            if (isAdmin) {
-                // #globalban_<phone> — manual global ban by phone number
-                if (command.toLowerCase().startsWith('#globalban_')) {
+            // Only owners and role holders can use bot commands
+            if (hasRole) {
+                // #globalban_<phone> — manual global ban by phone number (global moderators)
+                if (command.toLowerCase().startsWith('#globalban_') && roleService.can(senderId, 'moderate_global')) {
                     // Use full messageText (not just command) so spaces in phone numbers are included
                     const rawPhone = messageText.slice('#globalban_'.length).replace(/\D/g, '');
                     if (!rawPhone || rawPhone.length < 7) {
@@ -1796,17 +1918,58 @@ async function handleMessage(sock, msg, commandHandler) {
             if (quotedMessage && quotedMsgId) {
                 console.log(`   Reply Detected - Quoted Message ID: ${quotedMsgId}`);
 
+                // Cross-group spam alert reply: "kickglobal" removes every sender from all groups
+                if (messageText && messageText.trim().toLowerCase() === 'kickglobal' && getCrossPostAlert(quotedMsgId)) {
+                    await sock.sendMessage(chatId, { text: '🌍 Removing the cross-post sender(s) from all your groups...\n\n⏳ This may take a moment...' });
+                    const reports = await kickCrossPostSenders(sock, quotedMsgId, config.ALERT_PHONE);
+                    for (const report of reports) {
+                        await sock.sendMessage(chatId, { text: report });
+                    }
+                    return;
+                }
+
+                // Kick alert reply: "undo" within 24h reverses the kick
+                if (messageText && messageText.trim().toLowerCase() === 'undo') {
+                    const undoRecord = getKickUndo(quotedMsgId);
+                    if (!undoRecord) {
+                        await sock.sendMessage(chatId, { text: '⏰ This kick can no longer be undone (older than 24h or not a kick alert).\n\nUse #unblacklist <phone> and #rejoinlinks <phone> instead.' });
+                        return;
+                    }
+                    removeKickUndo(quotedMsgId);
+                    removePendingRequest(quotedMsgId);
+                    const undoReport = await commandHandler.undoKick(undoRecord, senderId);
+                    await sock.sendMessage(chatId, { text: undoReport });
+                    return;
+                }
+
+                // Probation alert reply: 1 = approve + repost, 2 = reject, 3 = reject + kick
+                if ((messageText === '1' || messageText === '2' || messageText === '3') && getProbationAlert(quotedMsgId)) {
+                    const probationStatus = await applyProbationDecision(sock, quotedMsgId, messageText, senderId.split('@')[0]);
+                    await sock.sendMessage(chatId, { text: probationStatus });
+                    return;
+                }
+
                 // URL alert reply: 1 = delete only, 2 = delete + kick + blacklist, 3 = 2 + blacklist URL
                 if ((messageText === '1' || messageText === '2' || messageText === '3') && pendingUrlAlerts.has(quotedMsgId)) {
                     const urlPending = pendingUrlAlerts.get(quotedMsgId);
                     pendingUrlAlerts.delete(quotedMsgId);
-                    const { messageKey, senderId: urlSender, groupId: urlGroup, groupName: urlGroupName, groupInviteLink: urlGroupLink, url: detectedUrl } = urlPending;
+                    const { messageKey, senderId: urlSender, groupId: urlGroup, groupName: urlGroupName, groupInviteLink: urlGroupLink, url: detectedUrl, finalUrl: detectedFinalUrl, messageText: urlMessageText } = urlPending;
+                    const urlAudit = {
+                        whatsappGroupId: urlGroup,
+                        targetPhone: urlSender,
+                        actor: senderId.split('@')[0],
+                        rule: 'url_alert',
+                        reason: `URL: ${detectedUrl}`,
+                        messageSnippet: urlMessageText
+                    };
                     const status = [];
                     try {
                         await sock.sendMessage(urlGroup, { delete: messageKey });
                         status.push('🗑️ Message deleted');
+                        await logAudit('url_block', { ...urlAudit, metadata: { url: detectedUrl } });
                     } catch (e) {
                         status.push(`❌ Delete failed: ${e.message}`);
+                        await logAudit('url_block', { ...urlAudit, outcome: 'failed', metadata: { url: detectedUrl } });
                     }
                     if (messageText === '2' || messageText === '3') {
                         try {
@@ -1814,19 +1977,29 @@ async function handleMessage(sock, msg, commandHandler) {
                             await blacklistUser(urlUserPhone, 'URL spam - admin approved');
                             await cacheBlacklistedUser(urlUserPhone);
                             status.push(`🚫 Blacklisted: +${urlUserPhone}`);
+                            await logAudit('blacklist', { ...urlAudit, metadata: { automatic: false } });
                         } catch (e) {
                             status.push(`❌ Blacklist failed: ${e.message}`);
                         }
                         try {
                             await sock.groupParticipantsUpdate(urlGroup, [urlSender], 'remove');
                             status.push(`👢 Kicked from: ${urlGroupName}`);
+                            await logAudit('kick', urlAudit);
                         } catch (e) {
                             status.push(`❌ Kick failed: ${e.message}`);
+                            await logAudit('kick', { ...urlAudit, outcome: 'failed' });
                         }
                     }
                     if (messageText === '3' && detectedUrl) {
                         urlBlacklist.add(detectedUrl);
-                        const addedDomain = addBlockedDomain(detectedUrl);
+                        // For a short link, block where it leads rather than the whole shortener
+                        const addedDomain = await addBlockedDomain(detectedFinalUrl || detectedUrl, { addedBy: senderId.split('@')[0] });
+                        await logAudit('url_block', {
+                            ...urlAudit,
+                            rule: 'url_blocklist_add',
+                            reason: `URL and domain added to block list from ${urlGroupName}`,
+                            metadata: { url: detectedUrl, domain: addedDomain, blacklistedUrl: true }
+                        });
                         const groupRef = urlGroupLink ? `${urlGroupName}\n🔗 ${urlGroupLink}` : urlGroupName;
                         status.push(`🔒 URL globally blacklisted: ${detectedUrl}\n🌐 Domain added to block list: ${addedDomain}\n📍 Detected in: ${groupRef}`);
                     }
@@ -1838,21 +2011,32 @@ async function handleMessage(sock, msg, commandHandler) {
                 if ((messageText === '1' || messageText === '2') && pendingImageAlerts.has(quotedMsgId)) {
                     const imgPending = pendingImageAlerts.get(quotedMsgId);
                     pendingImageAlerts.delete(quotedMsgId);
-                    const { messageKey, senderId: imgSender, groupId: imgGroup, groupName: imgGroupName } = imgPending;
+                    const { messageKey, senderId: imgSender, groupId: imgGroup, groupName: imgGroupName, reason: imgReason, verdict: imgVerdict, confidence: imgConfidence } = imgPending;
+                    const imgAudit = {
+                        whatsappGroupId: imgGroup,
+                        targetPhone: imgSender,
+                        actor: senderId.split('@')[0],
+                        rule: 'image_moderation',
+                        reason: imgReason
+                    };
                     const status = [];
                     try {
                         await sock.sendMessage(imgGroup, { delete: messageKey });
                         status.push('🗑️ Image deleted');
+                        await logAudit('image_delete', { ...imgAudit, metadata: { verdict: imgVerdict, confidence: imgConfidence } });
                     } catch (e) {
                         status.push(`❌ Delete failed: ${e.message}`);
+                        await logAudit('image_delete', { ...imgAudit, outcome: 'failed', metadata: { verdict: imgVerdict, confidence: imgConfidence } });
                     }
                     if (messageText === '2') {
                         try {
                             await sock.groupParticipantsUpdate(imgGroup, [imgSender], 'remove');
                             const imgSenderPhone = imgSender.split('@')[0];
                             status.push(`👢 Removed from group: +${imgSenderPhone}`);
+                            await logAudit('kick', imgAudit);
                         } catch (e) {
                             status.push(`❌ Remove failed: ${e.message}`);
+                            await logAudit('kick', { ...imgAudit, outcome: 'failed' });
                         }
                     }
                     await sock.sendMessage(chatId, { text: `✅ Image moderation action:\n${status.join('\n')}` });
@@ -2002,9 +2186,19 @@ async function handleMessage(sock, msg, commandHandler) {
                             const { unblacklistUser } = require('./database/groupService');
                             await unblacklistUser(pendingRequest.phoneNumber);
                             await removeFromBlacklistCache(pendingRequest.phoneNumber);
+                            await kickedUserService.enableRejoin(pendingRequest.phoneNumber);
+                            await logAudit('unblacklist', {
+                                whatsappGroupId: pendingRequest.groupId,
+                                targetPhone: pendingRequest.phoneNumber,
+                                actor: senderId.split('@')[0],
+                                rule: pendingRequest.reason,
+                                reason: 'Removed from blacklist (#ub reply to alert)',
+                                metadata: { source: 'alert_reply' }
+                            });
+                            const rejoinLinksText = await commandHandler.buildRejoinLinksText(pendingRequest.phoneNumber);
 
                             await sock.sendMessage(chatId, {
-                                text: `✅ User +${pendingRequest.phoneNumber} has been removed from blacklist.`
+                                text: `✅ User +${pendingRequest.phoneNumber} has been removed from blacklist.${rejoinLinksText}`
                             });
 
                             console.log(`✅ Unblacklisted user: ${pendingRequest.phoneNumber}`);
@@ -2030,9 +2224,17 @@ async function handleMessage(sock, msg, commandHandler) {
                                 const { unblacklistUser } = require('./database/groupService');
                                 await unblacklistUser(phoneNumber);
                                 await removeFromBlacklistCache(phoneNumber);
+                                await kickedUserService.enableRejoin(phoneNumber);
+                                await logAudit('unblacklist', {
+                                    targetPhone: phoneNumber,
+                                    actor: senderId.split('@')[0],
+                                    reason: 'Removed from blacklist (#ub)',
+                                    metadata: { source: 'alert_reply' }
+                                });
+                                const rejoinLinksText = await commandHandler.buildRejoinLinksText(phoneNumber);
 
                                 await sock.sendMessage(chatId, {
-                                    text: `✅ User +${phoneNumber} has been removed from blacklist.`
+                                    text: `✅ User +${phoneNumber} has been removed from blacklist.${rejoinLinksText}`
                                 });
 
                                 console.log(`✅ Unblacklisted user: ${phoneNumber}`);
@@ -2072,7 +2274,7 @@ async function handleMessage(sock, msg, commandHandler) {
     const groupId = chatId;
 
     // Check if user is whitelisted (whitelisted users bypass all restrictions)
-    if (await whitelistService.isWhitelisted(senderId)) {
+    if (await whitelistService.isWhitelisted(senderId, groupId)) {
         console.log(`[${getTimestamp()}] ✅ Whitelisted user ${senderId} - bypassing all restrictions`);
         return;
     }
@@ -2103,14 +2305,14 @@ async function handleMessage(sock, msg, commandHandler) {
     }
 
     // Check if user is individually muted
-    const userIsMuted = await muteService.isMuted(senderId);
+    const userIsMuted = await muteService.isMuted(senderId, groupId);
     console.log(`[${getTimestamp()}] 🔍 MUTE DEBUG - senderId: ${senderId}, isMuted: ${userIsMuted}, isAdmin: ${isAdmin}`);
 
     if (userIsMuted && !isAdmin) {
         console.log(`[${getTimestamp()}] 🔇 ATTEMPTING TO DELETE MESSAGE FROM MUTED USER`);
         try {
             await sock.sendMessage(groupId, { delete: msg.key });
-            const msgCount = await muteService.incrementMutedMessageCount(senderId);
+            const msgCount = await muteService.incrementMutedMessageCount(senderId, groupId);
             console.log(`[${getTimestamp()}] 🔇 ✅ SUCCESS: Deleted message from muted user (${msgCount} messages deleted)`);
             
             // Warning at 7 messages — silent, no group message
@@ -2123,6 +2325,22 @@ async function handleMessage(sock, msg, commandHandler) {
                     
                     // Send alert to alert phone
                     const groupMetadata = await sock.groupMetadata(groupId).catch(() => null);
+
+                    await kickedUserService.recordKick(sock, {
+                        userId: senderId,
+                        groupId,
+                        groupMetadata,
+                        reason: `Sent ${msgCount} messages while muted`,
+                        kickedBy: 'auto:mute'
+                    });
+                    await logAudit('kick', {
+                        whatsappGroupId: groupId,
+                        targetPhone: senderId,
+                        actor: 'auto:mute',
+                        rule: 'mute_excessive',
+                        reason: `Sent ${msgCount} messages while muted`,
+                        messageSnippet: messageText
+                    });
                     const userPhone = senderId.split('@')[0];
                     
                     await sendKickAlert(sock, {
@@ -2137,7 +2355,7 @@ async function handleMessage(sock, msg, commandHandler) {
                     
                     // Send bilingual private message to kicked user
                     try {
-                        const remainingTime = await muteService.getRemainingMuteTime(senderId);
+                        const remainingTime = await muteService.getRemainingMuteTime(senderId, groupId);
                         const timeText = remainingTime ? ` (${remainingTime} remaining)` : '';
                         
                         // Send notification to admin instead of user
@@ -2169,6 +2387,27 @@ async function handleMessage(sock, msg, commandHandler) {
         console.log(`[${getTimestamp()}] ⚠️ MUTE SKIP: User is muted but is an admin - allowing message`);
     }
 
+    // Join captcha (#captcha): new members' messages are deleted until they answer the challenge
+    if (!isAdmin && !msg.key.fromMe && await checkCaptchaMessage(sock, msg, { groupId, senderId, messageText })) {
+        return;
+    }
+
+    // Flood rules (#flood): delete messages over the group's limits, then mute/alert repeat offenders
+    if (!isAdmin && !msg.key.fromMe && await enforceFloodRules(sock, msg, { groupId, senderId, messageText })) {
+        return;
+    }
+
+    // Same text/media pasted into several groups: delete everywhere + one alert
+    if (config.FEATURES.CROSS_POST_DETECTION && !isAdmin && !msg.key.fromMe &&
+        await checkCrossPost(sock, msg, { groupId, senderId, messageText })) {
+        return;
+    }
+
+    // New-member probation (#probation): links/media/forwards/mention-all held for admin approval
+    if (!isAdmin && !msg.key.fromMe && await enforceProbation(sock, msg, { groupId, senderId, messageText })) {
+        return;
+    }
+
     // Debug check for any text containing #kick
     if (messageText && messageText.includes('#kick')) {
         console.log(`[${getTimestamp()}] 🎯 DEBUG: Found #kick in messageText at command check`);
@@ -2227,15 +2466,12 @@ async function handleMessage(sock, msg, commandHandler) {
             return;
         }
 
-        // Allow bot owner phones regardless of group admin status
-        const isBotOwner = senderPhone === config.ADMIN_PHONE ||
-                           senderPhone === config.ALERT_PHONE ||
-                           senderId.includes(config.ADMIN_PHONE) ||
-                           senderId.includes(config.ALERT_PHONE) ||
-                           senderId.includes(config.ADMIN_LID);
+        // Allow bot owners and granted roles regardless of group admin status
+        const isBotOwner = roleService.isOwner(senderId);
+        const hasRole = roleService.hasAnyRole(senderId, groupId);
 
-        // Require admin or bot owner for all group commands — silently ignore others
-        if (!isAdmin && !isBotOwner && !msg.key.fromMe) {
+        // Require admin, bot owner or a role for all group commands — silently ignore others
+        if (!isAdmin && !isBotOwner && !hasRole && !msg.key.fromMe) {
             console.log(`   Result: ❌ Non-admin command ignored`);
             return;
         }
@@ -2273,42 +2509,22 @@ async function handleMessage(sock, msg, commandHandler) {
     }
 
     if (messageText && messageText.trimEnd().match(/#ru\s*$/i)) {
-        const isBotOwnerCheck = senderId.includes(config.ADMIN_PHONE) || senderId.includes(config.ALERT_PHONE) || (config.ADMIN_LID && senderId.includes(config.ADMIN_LID));
+        const isBotOwnerCheck = roleService.isOwner(senderId);
         if (isAdmin || isBotOwnerCheck) {
             const cleanText = messageText.replace(/#ru\s*$/i, '').trim();
             if (cleanText) {
                 console.log(`[${getTimestamp()}] #ru trigger detected from ${senderId} in ${chatId}`);
                 try {
                     const { translationService } = require('./services/translationService');
-                    await translationService.initialize();
-                    const result = await translationService.translateText(cleanText, 'ru', null, 'system');
-                    console.log(`[${getTimestamp()}] #ru translation success in ${chatId}, source length: ${cleanText.length}`);
+                    const result = await translationService.translateText(cleanText, 'ru', null, senderId, { groupId: chatId.endsWith('@g.us') ? chatId : null });
+                    console.log(`[${getTimestamp()}] #ru translation success in ${chatId} (${result.provider}), source length: ${cleanText.length}`);
                     if (result.translatedText) {
                         await sock.sendMessage(chatId, { text: result.translatedText, quoted: msg });
                     }
-                } catch (googleError) {
-                    console.log(`[${getTimestamp()}] #ru Google Translate failed (${googleError.message}), trying OpenAI fallback`);
-                    try {
-                        const OpenAI = require('openai');
-                        const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-                        const response = await openai.chat.completions.create({
-                            model: 'gpt-5.4-nano',
-                            messages: [
-                                { role: 'system', content: 'You are a translator. Translate the following text to Russian. Return only the translated text, no explanations, no quotes.' },
-                                { role: 'user', content: cleanText }
-                            ],
-                            max_completion_tokens: 1000
-                        });
-                        const translated = response.choices[0].message.content.trim();
-                        console.log(`[${getTimestamp()}] #ru OpenAI fallback success in ${chatId}`);
-                        if (translated) {
-                            await sock.sendMessage(chatId, { text: translated, quoted: msg });
-                        }
-                    } catch (openaiError) {
-                        console.log(`[${getTimestamp()}] #ru OpenAI fallback also failed: ${openaiError.message}`);
-                        const alertJid = config.ALERT_PHONE + '@s.whatsapp.net';
-                        await sock.sendMessage(alertJid, { text: `❌ #ru translation failed in ${chatId}: Google: ${googleError.message} | OpenAI: ${openaiError.message}` });
-                    }
+                } catch (translateError) {
+                    console.log(`[${getTimestamp()}] #ru translation failed: ${translateError.message}`);
+                    const alertJid = config.ALERT_PHONE + '@s.whatsapp.net';
+                    await sock.sendMessage(alertJid, { text: `❌ #ru translation failed in ${chatId}: ${translateError.message}` });
                 }
                 return;
             }
@@ -2317,37 +2533,31 @@ async function handleMessage(sock, msg, commandHandler) {
         return; // non-admin/non-owner — silently ignore
     }
 
-    // Per-group Russian → Hebrew auto-translation (runs before global flag check)
-    if (chatId && chatId.endsWith('@g.us')) {
+    // Per-group auto-translation from the group's source language(s), both ways in bilingual groups;
+    // mixed-language messages are skipped, and the bot's own output is never translated (no loops).
+    // Runs before the global flag check, and falls through so invite and URL moderation still apply;
+    // messages carrying an invite link are not translated, or the bot would repost the link.
+    let autoTranslated = false;
+    if (chatId && chatId.endsWith('@g.us') && !msg.key.fromMe && !(messageText && messageText.match(config.PATTERNS.INVITE_LINK))) {
         const pa = await getGroupAutoTranslate(chatId).catch(() => null);
-        if (pa && isRussian(messageText)) {
+        const sourceLang = pa ? detectSourceLanguage(messageText, pa.sources) : null;
+        if (sourceLang) {
             try {
-                const OpenAI = require('openai');
-                const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-                const langNames = { ru: 'Russian', he: 'Hebrew', en: 'English', fr: 'French', ar: 'Arabic' };
-                const targetName = langNames[pa.to] || pa.to;
-                const response = await openai.chat.completions.create({
-                    model: 'gpt-5.4-nano',
-                    messages: [
-                        { role: 'system', content: `Translate the following text to ${targetName}. Return ONLY the translated text, no explanations.` },
-                        { role: 'user', content: messageText }
-                    ],
-                    max_completion_tokens: 500
-                });
-                const translated = response.choices[0]?.message?.content?.trim();
-                if (translated) {
-                    await sock.sendMessage(chatId, { text: translated, quoted: msg });
-                    console.log(`[${getTimestamp()}] ✅ Auto-translated (${pa.from}→${pa.to}) in ${chatId}`);
+                const { translationService } = require('./services/translationService');
+                const result = await translationService.translateText(messageText, pa.targets[sourceLang], sourceLang, senderId, { groupId: chatId });
+                if (result.translatedText) {
+                    await sock.sendMessage(chatId, { text: result.translatedText, quoted: msg });
+                    autoTranslated = true;
+                    console.log(`[${getTimestamp()}] ✅ Auto-translated (${sourceLang}→${pa.targets[sourceLang]}) in ${chatId} via ${result.provider}${result.cached ? ' (cached)' : ''}`);
                 }
             } catch (pgE) {
                 console.error(`[${getTimestamp()}] ❌ Per-group auto-translate failed:`, pgE.message);
             }
-            return;
         }
     }
 
     // Check for immediate auto-translation of non-Hebrew messages
-    if (config.FEATURES.AUTO_TRANSLATION && messageText && messageText.trim().length > 5) {
+    if (!autoTranslated && config.FEATURES.AUTO_TRANSLATION && messageText && messageText.trim().length > 5) {
         try {
             // Strict Hebrew detection - ALL words must be non-Hebrew
             const isAllNonHebrew = isTextAllNonHebrew(messageText);
@@ -2374,7 +2584,7 @@ async function handleMessage(sock, msg, commandHandler) {
                         translationService.checkRateLimit(userId);
                         
                         // Translate to Hebrew
-                        const result = await translationService.translateText(messageText, 'he', null, userId);
+                        const result = await translationService.translateText(messageText, 'he', null, userId, { groupId: chatId });
                         
                         console.log(`✅ Auto-translation skipped (silent mode) for ${result.detectedLanguage} text`);
                         
@@ -2458,22 +2668,58 @@ async function handleMessage(sock, msg, commandHandler) {
         return;
     }
 
-    const matches = messageText.match(config.PATTERNS.INVITE_LINK);
+    let matches = messageText.match(config.PATTERNS.INVITE_LINK);
+    let urlResolutions = [];
     if (!matches || matches.length === 0) {
-        const URL_ALLOWED_DOMAINS = [
-            'chat.whatsapp.com', 'facebook.com', 'fb.com', 'm.facebook.com', 'l.facebook.com',
-            'instagram.com', 'tiktok.com', 'vm.tiktok.com', 'youtube.com', 'youtu.be',
-        ];
         const previewUrls = extractPreviewUrls(msg);
         if (previewUrls.length) console.log(`[${getTimestamp()}] 🔗 Link preview URL detected: ${previewUrls.join(', ')}`);
         const urlScanText = previewUrls.length ? messageText + ' ' + previewUrls.join(' ') : messageText;
         const urlMatches = urlScanText.match(/https?:\/\/[^\s<>"]+/gi) || [];
+        if (urlMatches.length === 0) return;
+
+        // Expand shortened links (bit.ly, t.co, ...) so every redirect hop is checked, not just the visible host
+        urlResolutions = await resolveUrls(urlMatches);
+
+        // A short link that redirects to a WhatsApp invite is an invite link: kicked below, not a URL alert
+        matches = findInviteLinks(urlResolutions, config.PATTERNS.INVITE_LINK);
+        if (matches.length) console.log(`[${getTimestamp()}] 🔗 Invite link hidden behind a redirect: ${matches.join(', ')}`);
+    }
+
+    if (matches.length === 0) {
+        const groupMetaForUrl = await sock.groupMetadata(groupId).catch(() => null);
+        const groupNameForUrl = groupMetaForUrl?.subject || groupId;
+        const senderParticipantForUrl = groupMetaForUrl?.participants?.find(p => p.id === senderId);
+        const senderIsAdminForUrl = senderParticipantForUrl && (
+            senderParticipantForUrl.admin === 'admin' || senderParticipantForUrl.admin === 'superadmin'
+        );
+
+        const resolutionFor = url => urlResolutions.find(r => r.url === url);
+        const destinationLine = url => {
+            const resolution = resolutionFor(url);
+            if (resolution?.expanded) return `➡️ Final destination: ${resolution.finalUrl}${resolution.hops.length > 2 ? ` (${resolution.hops.length - 1} redirects)` : ''}`;
+            return resolution?.error ? `⚠️ Short link not expanded: ${resolution.error}` : null;
+        };
 
         // Check URL blacklist first — auto-delete without asking admin
-        const blacklistedUrls = urlMatches.filter(u => isBlockedUrl(u));
-        if (blacklistedUrls.length > 0) {
-            const blAdminId = (config.ALERT_PHONE || '972544345287') + '@s.whatsapp.net';
-            try { await sock.sendMessage(groupId, { delete: msg.key }); } catch (e) { /* silent */ }
+        const blockedMatch = urlResolutions
+            .flatMap(r => r.hops.map(hop => ({ url: r.url, hop, rule: matchBlockRule(hop) })))
+            .find(m => m.rule);
+        if (blockedMatch) {
+            const { url: blockedUrl, hop: blockedHop, rule: blockedRule } = blockedMatch;
+            recordBlockHit(blockedRule);
+            const blAdminId = config.ALERT_PHONE + '@s.whatsapp.net';
+            let blDeleted = true;
+            try { await sock.sendMessage(groupId, { delete: msg.key }); } catch (e) { blDeleted = false; }
+            await logAudit('url_block', {
+                whatsappGroupId: groupId,
+                targetPhone: senderId,
+                actor: 'auto:url_blacklist',
+                rule: 'url_blacklist',
+                reason: `Blocked by ${blockedRule.type} rule ${blockedRule.pattern}: ${blockedHop}`,
+                messageSnippet: messageText,
+                outcome: blDeleted ? 'success' : 'failed',
+                metadata: { url: blockedUrl, finalUrl: resolutionFor(blockedUrl).finalUrl, blacklistedUrl: false, ruleType: blockedRule.type, pattern: blockedRule.pattern }
+            });
             const rawPhone = senderId.split('@')[0];
             const decoded = senderId.endsWith('@lid') ? await decodeLIDToPhone(sock, senderId) : null;
             const phoneDisplay = decoded || rawPhone;
@@ -2483,29 +2729,40 @@ async function handleMessage(sock, msg, commandHandler) {
                         '🚫 *Blocked URL Auto-Deleted*',
                         `👤 User: +${phoneDisplay}`,
                         `📍 Group: ${groupNameForUrl}`,
-                        `🔗 URL: ${blacklistedUrls[0]}`,
+                        `🔗 URL: ${blockedUrl}`,
+                        ...(blockedHop !== blockedUrl ? [`↪️ Redirects to: ${blockedHop}`] : []),
+                        `🧱 Rule: ${formatBlockRule(blockedRule)}`,
                         `🕒 Time: ${getTimestamp()}`,
                         '',
-                        '_Message was deleted automatically (domain is blacklisted)_',
+                        '_Message was deleted automatically (URL matches the block list)_',
                     ].join('\n')
                 });
             } catch (e) { /* silent */ }
             return;
         }
 
-        const blockedUrls = urlMatches.filter(url => {
-            try {
-                const hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
-                return !URL_ALLOWED_DOMAINS.some(d => hostname === d || hostname.endsWith('.' + d));
-            } catch { return false; }
-        });
+        // Per-group URL policy (#urlpolicy) on top of the global block list — alert mode with the default allowed domains unless set
+        const urlPolicy = process.env.DATABASE_URL ? await getUrlPolicy(groupId) : DEFAULT_URL_POLICY;
+        const urlVerdicts = urlResolutions.map(r => ({ url: r.url, ...checkResolvedUrlPolicy(r.hops, urlPolicy) }));
+        const blockedUrls = urlVerdicts.filter(v => v.action === 'alert').map(v => v.url);
 
         // Auto-delete messages containing a globally blacklisted URL, then notify admin
-        const blacklistedMatch = urlMatches.find(u => urlBlacklist.has(u));
+        const blacklistedMatch = urlResolutions.find(r => r.hops.some(hop => urlBlacklist.has(hop)))?.url;
         if (blacklistedMatch) {
             console.log(`[${getTimestamp()}] 🔒 Blacklisted URL auto-deleted in ${groupId}`);
-            try { await sock.sendMessage(groupId, { delete: msg.key }); } catch (e) { /* silent */ }
-            const adminPhone = config.ALERT_PHONE || '972544345287';
+            let urlDeleted = true;
+            try { await sock.sendMessage(groupId, { delete: msg.key }); } catch (e) { urlDeleted = false; }
+            await logAudit('url_block', {
+                whatsappGroupId: groupId,
+                targetPhone: senderId,
+                actor: 'auto:url_blacklist',
+                rule: 'url_blacklist',
+                reason: `Blacklisted URL: ${blacklistedMatch}`,
+                messageSnippet: messageText,
+                outcome: urlDeleted ? 'success' : 'failed',
+                metadata: { url: blacklistedMatch, blacklistedUrl: true }
+            });
+            const adminPhone = config.ALERT_PHONE;
             const adminId = adminPhone + '@s.whatsapp.net';
             const groupMeta = await sock.groupMetadata(groupId).catch(() => null);
             const gName = groupMeta?.subject || groupId;
@@ -2532,15 +2789,46 @@ async function handleMessage(sock, msg, commandHandler) {
             return;
         }
 
+        // Denied in this group (deny list, or any unknown link in delete mode): remove without asking
+        const deniedVerdict = urlVerdicts.find(v => v.action === 'deny' || v.action === 'delete');
+        if (deniedVerdict && !senderIsAdminForUrl) {
+            const policyReason = describeUrlVerdict(deniedVerdict.url, deniedVerdict);
+            console.log(`[${getTimestamp()}] 🚫 URL policy: removed ${deniedVerdict.url} in ${groupId} (${policyReason})`);
+            let policyDeleted = true;
+            try { await sock.sendMessage(groupId, { delete: msg.key }); } catch (e) { policyDeleted = false; }
+            await logAudit('url_block', {
+                whatsappGroupId: groupId,
+                targetPhone: senderId,
+                actor: 'auto:url_policy',
+                rule: 'url_policy',
+                reason: policyReason,
+                messageSnippet: messageText,
+                outcome: policyDeleted ? 'success' : 'failed',
+                metadata: { url: deniedVerdict.url, domain: deniedVerdict.domain, blacklistedUrl: false }
+            });
+            try {
+                await sock.sendMessage(config.ALERT_PHONE + '@s.whatsapp.net', {
+                    text: [
+                        '🚫 *Link Removed by Group URL Policy*',
+                        `👤 User: +${senderId.split('@')[0]}`,
+                        `📍 Group: ${groupNameForUrl}`,
+                        `🔗 URL: ${deniedVerdict.url}`,
+                        ...(destinationLine(deniedVerdict.url) ? [destinationLine(deniedVerdict.url)] : []),
+                        `📋 Reason: ${policyReason}`,
+                        `🕒 Time: ${getTimestamp()}`,
+                        '',
+                        deniedVerdict.reason === 'denied'
+                            ? `_To allow it again: #urlpolicy remove ${deniedVerdict.domain} (in the group)_`
+                            : `_To allow this domain: #urlpolicy allow ${deniedVerdict.domain} (in the group)_`,
+                    ].join('\n')
+                });
+            } catch (e) { /* silent */ }
+            return;
+        }
+
         if (blockedUrls.length > 0) {
-            const adminPhone = config.ALERT_PHONE || '972544345287';
+            const adminPhone = config.ALERT_PHONE;
             const adminId = adminPhone + '@s.whatsapp.net';
-            const groupMetaForUrl = await sock.groupMetadata(groupId).catch(() => null);
-            const groupNameForUrl = groupMetaForUrl?.subject || groupId;
-            const senderParticipantForUrl = groupMetaForUrl?.participants?.find(p => p.id === senderId);
-            const senderIsAdminForUrl = senderParticipantForUrl && (
-                senderParticipantForUrl.admin === 'admin' || senderParticipantForUrl.admin === 'superadmin'
-            );
             if (!senderIsAdminForUrl) {
                 const rawPhone = senderId.split('@')[0];
                 const isLidForUrl = senderId.endsWith('@lid');
@@ -2555,15 +2843,19 @@ async function handleMessage(sock, msg, commandHandler) {
                     const inviteCode = await sock.groupInviteCode(groupId);
                     if (inviteCode) groupInviteLink = `https://chat.whatsapp.com/${inviteCode}`;
                 } catch (_) {}
-                const safetyResult = await checkUrlSafety(blockedUrls[0]);
+                // Safe Browsing on every hop: the first dangerous one wins, otherwise the destination's result
+                const alertedResolution = resolutionFor(blockedUrls[0]);
+                const safetyResults = await Promise.all(alertedResolution.hops.map(hop => checkUrlSafety(hop)));
+                const safetyResult = safetyResults.find(r => r.safe === false) || safetyResults[safetyResults.length - 1];
                 const alertLines = [
                     '🔗 *URL Detected in Group*',
                     `👤 User: +${userPhone}`,
                     `📍 Group: ${groupNameForUrl}`,
                 ];
                 if (groupInviteLink) alertLines.push(`🔗 Join group: ${groupInviteLink}`);
+                alertLines.push(`🔗 URL: ${blockedUrls[0]}`);
+                if (destinationLine(blockedUrls[0])) alertLines.push(destinationLine(blockedUrls[0]));
                 alertLines.push(
-                    `🔗 URL: ${blockedUrls[0]}`,
                     `🛡️ Safety: ${safetyResult.label}`,
                     `💬 Message: "${msgPreview}"`,
                     `🕒 Time: ${getTimestamp()}`,
@@ -2585,6 +2877,8 @@ async function handleMessage(sock, msg, commandHandler) {
                             groupName: groupNameForUrl,
                             groupInviteLink,
                             url: blockedUrls[0],
+                            finalUrl: alertedResolution.finalUrl,
+                            messageText,
                         });
                         setTimeout(() => pendingUrlAlerts.delete(alertMsgId), 24 * 60 * 60 * 1000);
                     }
@@ -2678,9 +2972,20 @@ async function handleMessage(sock, msg, commandHandler) {
             }
         }
 
+        await logAudit('message_delete', {
+            whatsappGroupId: groupId,
+            targetPhone: senderId,
+            actor: 'auto:invite_link',
+            rule: 'invite_link',
+            reason: deletionFailed ? deletionError : `Invite link: ${matches.join(', ')}`,
+            messageSnippet: messageText,
+            outcome: deletionFailed ? 'failed' : 'success',
+            metadata: { messageId: msg.key.id }
+        });
+
         // Send alert to admin if deletion failed
         if (deletionFailed) {
-            const adminPhone = config.ALERT_PHONE || '972544345287';
+            const adminPhone = config.ALERT_PHONE;
             const adminId = adminPhone.startsWith('972') ?
                 adminPhone + '@s.whatsapp.net' :
                 '972' + adminPhone + '@s.whatsapp.net';
@@ -2707,18 +3012,24 @@ async function handleMessage(sock, msg, commandHandler) {
             }
         }
 
-        // Cooldown gate — applies only to the KICK action. Deletion above is already done.
-        // When cooldown is active, the violation+kick+alert+pendingRequest chunk is skipped
-        // entirely. This matches today's pre-bug behavior on the cooldown path (today's early
-        // return at the old line 2444 also skipped all of these). The only behavior change vs
-        // today is that deletion (above) now always runs for non-admin senders.
+        // Apply the group's strike policy: warn until the allowance is used up, then kick.
+        // Decided before the cooldown gate so an immediate and a deferred kick follow the same policy.
+        const violationCheck = await warningService.checkInviteLinkViolation(senderId, groupId);
+        const { warningsBeforeKick, expiryDays } = violationCheck.policy;
+        console.log(`[${getTimestamp()}] ⚖️ Strike policy: ${violationCheck.warningCount}/${warningsBeforeKick} warnings used → ${violationCheck.action}`);
+
+        // Cooldown gate — applies only to the KICK action. Deletion above is already done, and a
+        // warning is sent right away. When cooldown is active, the violation+kick+alert+pendingRequest
+        // chunk is deferred until the cooldown expires. The only behavior change vs the old early
+        // return is that deletion (above) now always runs for non-admin senders.
         const kickDecision = decideKick(kickCooldown, senderId, Date.now(), config.KICK_COOLDOWN);
+        const kickDeferred = violationCheck.action === 'kick' && !kickDecision.shouldKick;
 
         let kicked = false;
         let kickReason = 'not_attempted';
         let userPhone = senderId.split('@')[0];
 
-        if (!kickDecision.shouldKick) {
+        if (kickDeferred) {
             kickReason = kickDecision.reason; // 'cooldown_active'
             console.log(`[${getTimestamp()}] ⏳ User recently kicked elsewhere — message deleted, kick deferred (cooldown ${kickDecision.cooldownExpiresInMs}ms remaining)`);
 
@@ -2727,6 +3038,8 @@ async function handleMessage(sock, msg, commandHandler) {
             const _matches = matches.slice();
             const _groupName = groupMetadata.subject;
             const _canKick = permissions.canKickUsers;
+            const _messageText = messageText;
+            const _policy = violationCheck.policy;
 
             enqueueDeferredKick(_senderId, _groupId, kickDecision.cooldownExpiresInMs, async () => {
                 const recheck = decideKick(kickCooldown, _senderId, Date.now(), config.KICK_COOLDOWN);
@@ -2751,6 +3064,25 @@ async function handleMessage(sock, msg, commandHandler) {
                         console.log(`✅ Deferred kick executed: ${_senderId}`);
                         kickCooldown.set(_senderId, Date.now());
 
+                        await applyInviteLinkKickPolicy(_senderId, _groupId, _groupName, _policy);
+
+                        await kickedUserService.recordKick(sock, {
+                            userId: _senderId,
+                            groupId: _groupId,
+                            groupName: _groupName,
+                            reason: `Sent invite link (${_policy.warningsBeforeKick} warning(s) before kick)`,
+                            kickedBy: 'auto:invite_link'
+                        });
+                        await logAudit('kick', {
+                            whatsappGroupId: _groupId,
+                            targetPhone: _senderId,
+                            actor: 'auto:invite_link',
+                            rule: 'invite_link',
+                            reason: 'Sent invite link (deferred by kick cooldown)',
+                            messageSnippet: _messageText,
+                            metadata: { groupName: _groupName, deferred: true }
+                        });
+
                         let phoneDisplay = _userPhone;
                         if (_isLidFormat) {
                             const decoded = await decodeLIDToPhone(sock, _senderId);
@@ -2788,6 +3120,15 @@ async function handleMessage(sock, msg, commandHandler) {
                         });
                     } catch (e) {
                         console.error(`❌ Deferred kick failed for ${_senderId}:`, e.message);
+                        await logAudit('kick', {
+                            whatsappGroupId: _groupId,
+                            targetPhone: _senderId,
+                            actor: 'auto:invite_link',
+                            rule: 'invite_link',
+                            reason: `Deferred kick failed: ${e.message}`,
+                            messageSnippet: _messageText,
+                            outcome: 'failed'
+                        });
                     }
                 } else {
                     console.log(`⚠️ Deferred kick skipped — bot lacks kick permission in ${_groupId}`);
@@ -2800,61 +3141,134 @@ async function handleMessage(sock, msg, commandHandler) {
 
             console.log(`[${getTimestamp()}] 📊 Processing invite link violation: ${userPhone} - Israeli: ${isIsraeliUser}, LID: ${isLidFormat}`);
 
-            // Increment violation count in database
-            try {
-                const violations = await incrementViolation(userPhone, 'invite_link');
-                console.log(`[${getTimestamp()}] 📊 Violation recorded - Total violations:`, violations);
-            } catch (error) {
-                console.error(`[${getTimestamp()}] ❌ Failed to record violation:`, error.message);
-            }
+            if (violationCheck.action === 'warn') {
+                await warningService.recordWarning(senderId, groupId, groupMetadata.subject, matches.join(', '));
+                const warningNumber = violationCheck.warningCount + 1;
+                kickReason = 'warned';
 
-            // Kick the user (only if bot has permission)
-            if (permissions.canKickUsers) {
+                const warningText = warningService.formatInviteLinkWarning(userPhone, warningNumber, warningsBeforeKick);
                 try {
-                    await sock.groupParticipantsUpdate(groupId, [senderId], 'remove');
-                    console.log('✅ Kicked user for invite link:', senderId);
-                    kickCooldown.set(senderId, Date.now());
-                    kicked = true;
-                    kickReason = 'ok';
-
-                    // Get user violations
-                    const violations = await getViolations(userPhone);
-
-                    // Try to decode LID to real phone number
-                    let phoneDisplay = userPhone;
-                    if (isLidFormat) {
-                        const decoded = await decodeLIDToPhone(sock, senderId);
-                        phoneDisplay = decoded || `${userPhone} (LID - Encrypted ID)`;
+                    if (config.FEATURES.STEALTH_MODE) {
+                        await stealthUtils.sendHumanLikeMessage(sock, groupId, { text: warningText, mentions: [senderId] });
+                    } else {
+                        await sock.sendMessage(groupId, { text: warningText, mentions: [senderId] });
                     }
+                } catch (warnError) {
+                    console.error(`[${getTimestamp()}] ❌ Failed to send invite link warning:`, warnError.message);
+                }
 
-                    // Send alert with NEW format (ask admin to blacklist)
-                    const alertResult = await sendKickAlert(sock, {
-                        userPhone: phoneDisplay,
-                        userId: senderId,
-                        groupName: groupMetadata.subject,
-                        groupId: groupId,
-                        reason: 'invite_link',
-                        spamLink: matches.join(', '),
-                        violations: violations
-                    });
+                await logAudit('warn', {
+                    whatsappGroupId: groupId,
+                    targetPhone: senderId,
+                    actor: 'auto:invite_link',
+                    rule: 'invite_link',
+                    reason: `Warning ${warningNumber}/${warningsBeforeKick}`,
+                    messageSnippet: messageText,
+                    metadata: { warningNumber, warningsBeforeKick, expiryDays }
+                });
 
-                    // Store pending blacklist request with groupId
-                    if (alertResult && alertResult.key) {
-                        storePendingRequest(alertResult.key.id, phoneDisplay, senderId, 'invite_link', groupId);
-                        console.log(`[${getTimestamp()}] 📋 Stored pending blacklist request for: ${phoneDisplay}`);
-                    }
+                await sendSecurityAlert(sock, {
+                    type: 'invite_link_warning',
+                    details: `User ${senderId} posted an invite link (${matches.join(', ')}). ` +
+                             `Warning ${warningNumber}/${warningsBeforeKick} issued, expires in ${expiryDays} days. Message deleted, user not kicked.`,
+                    groupName: groupMetadata.subject,
+                    groupId
+                });
+            } else if (violationCheck.action === 'kick') {
+                // Increment violation count in database
+                try {
+                    const violations = await incrementViolation(userPhone, 'invite_link');
+                    console.log(`[${getTimestamp()}] 📊 Violation recorded - Total violations:`, violations);
+                } catch (error) {
+                    console.error(`[${getTimestamp()}] ❌ Failed to record violation:`, error.message);
+                }
 
-                } catch (kickError) {
-                    // Note: if kicked=true above (kick API call succeeded but a subsequent
-                    // step like sendKickAlert/getViolations threw), kicked stays true while
-                    // kickReason reflects the post-kick error. The kick itself did happen.
-                    console.error('❌ Failed to kick user:', kickError.message);
-                    advancedLogger.logPermissionError('kick_invite_spam_user', groupId, kickError);
-                    kickReason = `error_${(kickError.message || 'unknown').replace(/\s+/g, '_').substring(0, 40)}`;
+                // Kick the user (only if bot has permission)
+                if (permissions.canKickUsers) {
+                    try {
+                        await sock.groupParticipantsUpdate(groupId, [senderId], 'remove');
+                        console.log('✅ Kicked user for invite link:', senderId);
+                        kickCooldown.set(senderId, Date.now());
+                        kicked = true;
+                        kickReason = 'ok';
+
+                        await applyInviteLinkKickPolicy(senderId, groupId, groupMetadata.subject, violationCheck.policy);
+
+                        await kickedUserService.recordKick(sock, {
+                            userId: senderId,
+                            groupId,
+                            groupMetadata,
+                            reason: `Sent invite link (${warningsBeforeKick} warning(s) before kick)`,
+                            kickedBy: 'auto:invite_link'
+                        });
+                        await logAudit('kick', {
+                            whatsappGroupId: groupId,
+                            targetPhone: senderId,
+                            actor: 'auto:invite_link',
+                            rule: 'invite_link',
+                            reason: `Sent invite link (${warningsBeforeKick} warning(s) before kick)`,
+                            messageSnippet: messageText
+                        });
+
+                        // Get user violations
+                        const violations = await getViolations(userPhone);
+
+                        // Try to decode LID to real phone number
+                        let phoneDisplay = userPhone;
+                        if (isLidFormat) {
+                            const decoded = await decodeLIDToPhone(sock, senderId);
+                            phoneDisplay = decoded || `${userPhone} (LID - Encrypted ID)`;
+                        }
+
+                        // Send alert with NEW format (ask admin to blacklist)
+                        const alertResult = await sendKickAlert(sock, {
+                            userPhone: phoneDisplay,
+                            userId: senderId,
+                            groupName: groupMetadata.subject,
+                            groupId: groupId,
+                            reason: 'invite_link',
+                            spamLink: matches.join(', '),
+                            violations: violations
+                        });
+
+                        // Store pending blacklist request with groupId
+                        if (alertResult && alertResult.key) {
+                            storePendingRequest(alertResult.key.id, phoneDisplay, senderId, 'invite_link', groupId);
+                            console.log(`[${getTimestamp()}] 📋 Stored pending blacklist request for: ${phoneDisplay}`);
+                        }
+
+                    } catch (kickError) {
+                        // Note: if kicked=true above (kick API call succeeded but a subsequent
+                        // step like sendKickAlert/getViolations threw), kicked stays true while
+                        // kickReason reflects the post-kick error. The kick itself did happen.
+                        console.error('❌ Failed to kick user:', kickError.message);
+                        advancedLogger.logPermissionError('kick_invite_spam_user', groupId, kickError);
+                        kickReason = `error_${(kickError.message || 'unknown').replace(/\s+/g, '_').substring(0, 40)}`;
+                        if (!kicked) {
+                            await logAudit('kick', {
+                                whatsappGroupId: groupId,
+                                targetPhone: senderId,
+                                actor: 'auto:invite_link',
+                                rule: 'invite_link',
+                                reason: `Kick failed: ${kickError.message}`,
+                                messageSnippet: messageText,
+                                outcome: 'failed'
+                            });
+                        }
+                    }
+                } else {
+                    console.log(`⚠️ Cannot kick user - bot lacks kick permission in ${groupId}`);
+                    kickReason = 'no_kick_permission';
+                    await logAudit('kick', {
+                        whatsappGroupId: groupId,
+                        targetPhone: senderId,
+                        actor: 'auto:invite_link',
+                        rule: 'invite_link',
+                        reason: 'Bot lacks kick permission',
+                        messageSnippet: messageText,
+                        outcome: 'failed'
+                    });
                 }
-            } else {
-                console.log(`⚠️ Cannot kick user - bot lacks kick permission in ${groupId}`);
-                kickReason = 'no_kick_permission';
             }
         }
 
@@ -2879,7 +3293,7 @@ async function handleMessage(sock, msg, commandHandler) {
             deleteReason: deletionFailed ? (deletionError || 'unknown') : 'ok',
             kicked,
             kickReason,
-            cooldownExpiresInMs: kickDecision.shouldKick ? null : kickDecision.cooldownExpiresInMs,
+            cooldownExpiresInMs: kickDeferred ? kickDecision.cooldownExpiresInMs : null,
         });
 
     } catch (error) {
@@ -2924,6 +3338,8 @@ async function handleBotWelcome(sock, groupId, addedBy) {
             `2️⃣ Test bot commands if needed
 ` +
             `3️⃣ Monitor group for first few hours
+` +
+            `4️⃣ Optional: verify new joiners with #captcha math 5 (in the group)
 
 ` +
             `🛡️ *Protection is now active in this group!*`;
@@ -2978,10 +3394,20 @@ async function handleGroupJoin(sock, groupId, participants, addedBy = null) {
             return;
         }
         
-        // Check per-group flag — only auto-kick if #botforeign was run in this group
-        const restrictCountryCodes = process.env.DATABASE_URL
-            ? await isRestrictCountryCodesEnabled(groupId)
-            : false;
+        // Per-group country policy (#countrypolicy / #botforeign) — off unless set in this group
+        const countryPolicy = process.env.DATABASE_URL
+            ? await getCountryPolicy(groupId)
+            : COUNTRY_POLICY_OFF;
+
+        // Per-group new-member probation (#probation) — off unless set in this group
+        const probationPolicy = process.env.DATABASE_URL
+            ? await getProbationPolicy(groupId)
+            : null;
+
+        // Per-group join captcha (#captcha) — off unless set in this group
+        const joinCaptcha = process.env.DATABASE_URL
+            ? await getJoinCaptcha(groupId)
+            : null;
 
         // Check each participant
         for (const _participant of participants) {
@@ -3001,7 +3427,8 @@ async function handleGroupJoin(sock, groupId, participants, addedBy = null) {
             console.log(`👥 New participant: ${phoneNumber} (LID: ${isLidFormat}, length: ${phoneNumber.length})`);
             
             // Check if user is whitelisted first
-            if (await whitelistService.isWhitelisted(participantId)) {
+            if (await whitelistService.isWhitelisted(participantId, groupId) ||
+                (hasRealPhone && await whitelistService.isWhitelisted(phoneNumber, groupId))) {
                 console.log(`✅ Whitelisted user joined: ${participantId}`);
                 continue; // Skip all checks for whitelisted users
             }
@@ -3034,11 +3461,28 @@ async function handleGroupJoin(sock, groupId, participants, addedBy = null) {
             if (!addedByAdmin && isBlacklisted) {
                 console.log(`🚫 Blacklisted user detected: ${participantId} - ATTEMPTING TO KICK`);
 
+                let blacklistKicked = false;
                 try {
                     // Remove the blacklisted user
                     await sock.groupParticipantsUpdate(groupId, [participantId], 'remove');
+                    blacklistKicked = true;
                     console.log('✅ Kicked blacklisted user on rejoin');
 
+                    await kickedUserService.recordKick(sock, {
+                        userId: hasRealPhone ? `${phoneNumber}@s.whatsapp.net` : participantId,
+                        groupId,
+                        groupMetadata,
+                        reason: 'Blacklisted user tried to join',
+                        kickedBy: 'auto:blacklist'
+                    });
+                    await logAudit('kick', {
+                        whatsappGroupId: groupId,
+                        targetPhone: phoneNumber,
+                        actor: 'auto:blacklist',
+                        rule: 'blacklist',
+                        reason: 'Blacklisted user tried to join'
+                    });
+
                     // Send NEW alert format with #ub option
                     const alertResult = await sendBlacklistRejoinAlert(sock, {
                         userPhone: phoneNumber,
@@ -3056,65 +3500,113 @@ async function handleGroupJoin(sock, groupId, participants, addedBy = null) {
 
                 } catch (error) {
                     advancedLogger.logPermissionError('kick_blacklisted_user', groupId, error);
+                    if (!blacklistKicked) await logAudit('kick', {
+                        whatsappGroupId: groupId,
+                        targetPhone: phoneNumber,
+                        actor: 'auto:blacklist',
+                        rule: 'blacklist',
+                        reason: `Kick failed: ${error.message}`,
+                        outcome: 'failed'
+                    });
                 }
                 continue; // Skip further checks for this user
             } else if (addedByAdmin && isBlacklisted) {
                 console.log(`⚠️ Blacklisted user ${participantId} allowed to join - added by admin`);
             }
             
-            // Check if phone number starts with +1 or +6 (or just 1 or 6 without +)
-            // More precise check: US/Canada (+1) has 11 digits, Southeast Asia (+6x) has varying lengths
-            // IMPORTANT: Never kick Israeli numbers (+972)
-            const isIsraeliNumber = phoneNumber.startsWith('972') || phoneNumber.startsWith('+972');
-            
-            if (isIsraeliNumber) {
-                console.log(`🇮🇱 Protecting Israeli number on join: ${phoneNumber}`);
-            }
-            
+            // Same check as #botforeign sweeps (utils/countryPolicy). Never kicks Israeli numbers (+972);
             // LID users without a real phone are exempt — their JID digits are not a phone prefix
-            if (isLidFormat && !hasRealPhone) {
+            const countryCheck = checkCountryPolicy(phoneNumber, countryPolicy, { phoneUnknown: isLidFormat && !hasRealPhone });
+
+            if (countryCheck.reason === 'protected') {
+                console.log(`🇮🇱 Protecting Israeli number on join: ${phoneNumber}`);
+            } else if (countryCheck.reason === 'unknown_phone' && isLidFormat) {
                 console.log(`🔒 LID format user exempt from country restrictions: ${phoneNumber} (encrypted privacy ID, no real phone available)`);
             }
 
-            if (restrictCountryCodes && !isIsraeliNumber && !addedByAdmin && !(isLidFormat && !hasRealPhone) &&
-                ((phoneNumber.startsWith('1') && phoneNumber.length === 11) || // US/Canada format
-                 (phoneNumber.startsWith('+1') && phoneNumber.length === 12) || // US/Canada with +
-                 (phoneNumber.startsWith('6') && phoneNumber.length >= 10 && phoneNumber.length <= 12) || // Southeast Asia
-                 (phoneNumber.startsWith('+6') && phoneNumber.length >= 11 && phoneNumber.length <= 13))) { // Southeast Asia with +
-                
-                console.log(`🚫 Restricted country code detected: ${participantId} (${phoneNumber}, length: ${phoneNumber.length})`);
-                
+            // Members added by an admin are trusted and skip probation and the captcha;
+            // members the country policy is about to remove are not challenged either
+            const removedByCountryPolicy = countryCheck.violates && countryPolicy.action !== 'warn';
+            if (!addedByAdmin && !removedByCountryPolicy) {
+                const memberIds = [participantId, hasRealPhone ? phoneNumber : null];
+                if (probationPolicy) await startProbation(groupId, memberIds, probationPolicy);
+                if (joinCaptcha) await startCaptcha(sock, groupId, memberIds, joinCaptcha);
+            }
+
+            if (countryCheck.violates && addedByAdmin) {
+                console.log(`⚠️ Country policy violator ${participantId} allowed to join - added by admin`);
+            } else if (countryCheck.violates) {
+                const violation = describeViolation(phoneNumber, countryPolicy, countryCheck);
+                console.log(`🚫 Country policy violation: ${participantId} (${phoneNumber}) - ${violation} [${countryPolicy.action}]`);
+
+                // Try to get group invite link
+                let groupLink = 'N/A';
+                try {
+                    const inviteCode = await sock.groupInviteCode(groupId);
+                    groupLink = `https://chat.whatsapp.com/${inviteCode}`;
+                } catch (err) {
+                    console.log('Could not get group invite link:', err.message);
+                }
+
+                // Violators always have a real phone (LIDs without one are exempt)
+                const phoneDisplay = phoneNumber;
+
+                const adminId = config.ALERT_PHONE + '@s.whatsapp.net';
+
+                if (countryPolicy.action === 'warn') {
+                    // Warn-only policy: the user stays, admins decide
+                    await logAudit('join', {
+                        whatsappGroupId: groupId,
+                        targetPhone: phoneNumber,
+                        actor: 'auto:country_code',
+                        rule: 'country_code',
+                        reason: `${violation} (warn only)`
+                    });
+                    await sock.sendMessage(adminId, {
+                        text: `⚠️ *Country Policy Warning*\n\n` +
+                              `📍 Group: ${groupMetadata.subject}\n` +
+                              `🔗 Group Link: ${groupLink}\n` +
+                              `👤 User: ${participantId}\n` +
+                              `📞 Phone: ${phoneDisplay}\n` +
+                              `🌍 Reason: ${violation}\n` +
+                              `📋 Policy: ${formatCountryPolicy(countryPolicy)}\n` +
+                              `⏰ Time: ${getTimestamp()}\n\n` +
+                              `The user was NOT removed. To allow them permanently:\n` +
+                              `#whitelist ${phoneDisplay}`
+                    });
+                    continue;
+                }
+
+                let countryKicked = false;
                 try {
                     // Remove the user
                     await sock.groupParticipantsUpdate(groupId, [participantId], 'remove');
+                    countryKicked = true;
                     console.log('✅ Kicked user with restricted country code');
-                    
-                    
-                    // Alert admin with whitelist option
-                    const adminId = config.ALERT_PHONE + '@s.whatsapp.net';
-
-                    // Try to get group invite link
-                    let groupLink = 'N/A';
-                    try {
-                        const inviteCode = await sock.groupInviteCode(groupId);
-                        groupLink = `https://chat.whatsapp.com/${inviteCode}`;
-                    } catch (err) {
-                        console.log('Could not get group invite link:', err.message);
-                    }
 
-                    // Try to decode LID to real phone number
-                    let phoneDisplay = phoneNumber;
-                    if (isLidFormat) {
-                        const decoded = await decodeLIDToPhone(sock, participantId);
-                        phoneDisplay = decoded || `${phoneNumber} (LID - Encrypted ID)`;
-                    }
+                    await kickedUserService.recordKick(sock, {
+                        userId: hasRealPhone ? `${phoneNumber}@s.whatsapp.net` : participantId,
+                        groupId,
+                        groupMetadata,
+                        reason: violation,
+                        kickedBy: 'auto:country_code'
+                    });
+                    await logAudit('kick', {
+                        whatsappGroupId: groupId,
+                        targetPhone: phoneNumber,
+                        actor: 'auto:country_code',
+                        rule: 'country_code',
+                        reason: violation
+                    });
 
+                    // Alert admin with whitelist option
                     const alert = `🚨 *Restricted Country Code Auto-Kick*\n\n` +
                                 `📍 Group: ${groupMetadata.subject}\n` +
                                 `🔗 Group Link: ${groupLink}\n` +
                                 `👤 User: ${participantId}\n` +
                                 `📞 Phone: ${phoneDisplay}\n` +
-                                `🌍 Reason: Country code starts with +${phoneNumber.charAt(0)}\n` +
+                                `🌍 Reason: ${violation}\n` +
+                                `📋 Policy: ${formatCountryPolicy(countryPolicy)}\n` +
                                 `⏰ Time: ${getTimestamp()}\n\n` +
                                 `To whitelist this user, use:\n` +
                                 `#whitelist ${phoneDisplay}`;
@@ -3122,11 +3614,15 @@ async function handleGroupJoin(sock, groupId, participants, addedBy = null) {
                     
                 } catch (error) {
                     advancedLogger.logPermissionError('kick_restricted_country_code', groupId, error);
+                    if (!countryKicked) await logAudit('kick', {
+                        whatsappGroupId: groupId,
+                        targetPhone: phoneNumber,
+                        actor: 'auto:country_code',
+                        rule: 'country_code',
+                        reason: `Kick failed: ${error.message}`,
+                        outcome: 'failed'
+                    });
                 }
-            } else if (addedByAdmin && restrictCountryCodes && !isIsraeliNumber && !(isLidFormat && !hasRealPhone) &&
-                      ((phoneNumber.startsWith('1') && phoneNumber.length === 11) || 
-                       (phoneNumber.startsWith('6') && phoneNumber.length >= 10 && phoneNumber.length <= 12))) {
-                console.log(`⚠️ Restricted country code user ${participantId} allowed to join - added by admin`);
             }
         }
     } catch (error) {
@@ -3166,7 +3662,7 @@ async function main() {
     console.log(`   • Invite Link Detection: ${config.FEATURES.INVITE_LINK_DETECTION ? '✅' : '❌'}`);
     console.log(`   • Auto-kick Blacklisted: ${config.FEATURES.AUTO_KICK_BLACKLISTED ? '✅' : '❌'}`);
     console.log(`   • Firebase Integration: ${config.FEATURES.FIREBASE_INTEGRATION ? '✅' : '❌'}`);
-    console.log(`   • Restrict +1/+6 Countries: ${config.FEATURES.RESTRICT_COUNTRY_CODES ? '✅' : '❌'}`);
+    console.log(`   • Country Code Policy (per group, #countrypolicy): ${config.FEATURES.RESTRICT_COUNTRY_CODES ? '✅' : '❌'}`);
     
     // Check for existing auth
     const fs = require('fs');
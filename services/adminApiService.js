@@ -0,0 +1,629 @@
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { getTimestamp } = require('../utils/logger');
+const { logAudit } = require('../database/groupService');
+
+/**
+ * Admin API Service
+ * Small authenticated HTTP server for scripting moderation state without typing
+ * # commands into a phone. Every route calls the same service functions as the
+ * matching CommandHandler command, and every write is audited with actor 'api'.
+ *
+ * Routes (JSON in / JSON out, all require "Authorization: Bearer <ADMIN_API_TOKEN>"):
+ *   GET    /api/health
+ *   GET    /api/blacklist                      POST   /api/blacklist {phone|phones, reason}
+ *   DELETE /api/blacklist/:phone
+ *   GET    /api/whitelist?groupId=             POST   /api/whitelist {phone|phones, groupId}
+ *   DELETE /api/whitelist/:phone?groupId=
+ *   GET    /api/mutes?groupId=                 POST   /api/mutes {userId, groupId, minutes, reason}
+ *   DELETE /api/mutes/:groupId/:userId
+ *   GET    /api/url-blocklist                  POST   /api/url-blocklist {domain|domains, expiresAt}
+ *   DELETE /api/url-blocklist/:rule             (domain, encoded pattern, or rule id)
+ *   GET    /api/groups?category=               PUT    /api/groups/:groupId/category {category}
+ *   GET    /api/bullywatch                     PUT    /api/bullywatch {monitorMode}
+ *   PUT    /api/bullywatch/:groupId {enabled, className}
+ *   GET    /api/bullywatch/flags?status=pending|reviewed|all&groupId=&days=&limit=&offset=
+ *   POST   /api/bullywatch/flags/review {ids, verdict: true_positive|false_positive, reviewer}
+ *
+ * GET /dashboard/bullywatch serves the review page without auth (it holds no data and
+ * asks the reviewer for the token before calling the routes above).
+ */
+
+const API_ACTOR = 'api';
+const MAX_BULK_ITEMS = 500;
+const DASHBOARD_FILE = path.join(__dirname, 'bullywatch/dashboard.html');
+
+let server = null;
+
+function apiError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function tokensMatch(provided, expected) {
+    const a = Buffer.from(String(provided || ''));
+    const b = Buffer.from(String(expected || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function isAuthorized(req, token) {
+    const header = req.headers['authorization'] || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return !!match && tokensMatch(match[1].trim(), token);
+}
+
+function readJsonBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        let tooLarge = false;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            // Past the limit the rest is read and dropped, so the socket stays open for the 413
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > maxBytes) {
+                tooLarge = true;
+                chunks.length = 0;
+                reject(apiError(413, 'Request body too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (tooLarge) return;
+            if (chunks.length === 0) return resolve({});
+            try {
+                const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    return reject(apiError(400, 'Body must be a JSON object'));
+                }
+                resolve(body);
+            } catch (error) {
+                reject(apiError(400, 'Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, payload) {
+    const body = JSON.stringify(payload);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store'
+    });
+    res.end(body);
+}
+
+/**
+ * Accept either a single value (`phone`) or a bulk list (`phones`) from the body
+ */
+function listFromBody(body, singleKey, listKey) {
+    let items = body[listKey] !== undefined ? body[listKey] : body[singleKey];
+    if (items === undefined || items === null || items === '') {
+        throw apiError(400, `Provide "${singleKey}" or "${listKey}"`);
+    }
+    if (!Array.isArray(items)) items = [items];
+    if (items.length > MAX_BULK_ITEMS) {
+        throw apiError(400, `At most ${MAX_BULK_ITEMS} items per request`);
+    }
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function barePhone(value) {
+    return String(value).split('@')[0].replace(/[^0-9]/g, '');
+}
+
+function userJid(value) {
+    const id = String(value).trim();
+    return id.includes('@') ? id : `${barePhone(id)}@s.whatsapp.net`;
+}
+
+function requireGroupId(value) {
+    if (!value || !String(value).endsWith('@g.us')) {
+        throw apiError(400, 'groupId must be a WhatsApp group ID (…@g.us)');
+    }
+    return String(value);
+}
+
+// ─── Blacklist ───────────────────────────────────────────────────────────────
+// Uses the PostgreSQL blacklist module - the same cache index.js enforces from
+
+async function listBlacklist() {
+    const { getAllBlacklisted } = require('./blacklistService.postgres');
+    const users = await getAllBlacklisted();
+    return { count: users.length, users };
+}
+
+async function addBlacklist({ body }) {
+    const { addToBlacklist } = require('./blacklistService.postgres');
+    const phones = listFromBody(body, 'phone', 'phones');
+    const reason = body.reason || 'Added via admin API';
+    const results = [];
+
+    for (const input of phones) {
+        const phone = barePhone(input);
+        if (!phone) {
+            results.push({ phone: input, added: false, error: 'Invalid phone number' });
+            continue;
+        }
+        // Same protection as blacklistService.addToBlacklist
+        if (phone.startsWith('972')) {
+            results.push({ phone, added: false, error: 'Israeli numbers are protected' });
+            continue;
+        }
+
+        const added = await addToBlacklist(phone, reason);
+        if (added) {
+            await logAudit('blacklist', {
+                targetPhone: phone,
+                actor: API_ACTOR,
+                rule: 'manual',
+                reason,
+                metadata: { automatic: false }
+            });
+        }
+        results.push({ phone, added });
+    }
+
+    return { results };
+}
+
+async function removeBlacklist({ params }) {
+    const { removeFromBlacklist } = require('./blacklistService.postgres');
+    const phone = barePhone(params[0]);
+    if (!phone) throw apiError(400, 'Invalid phone number');
+
+    const removed = await removeFromBlacklist(phone);
+
+    if (removed && process.env.REDIS_URL) {
+        try {
+            const { removeFromBlacklistCache } = require('./redisService');
+            await removeFromBlacklistCache(phone);
+        } catch (error) {
+            console.error(`[${getTimestamp()}] ❌ Failed to remove from cache:`, error.message);
+        }
+    }
+
+    if (removed) {
+        await logAudit('unblacklist', {
+            targetPhone: phone,
+            actor: API_ACTOR,
+            rule: 'manual',
+            reason: 'Removed via admin API',
+            metadata: { source: 'api' }
+        });
+    }
+
+    return { phone, removed };
+}
+
+// ─── Whitelist ───────────────────────────────────────────────────────────────
+
+async function listWhitelistRoute({ query }) {
+    const { listWhitelist } = require('./whitelistService');
+    const groupId = query.get('groupId') ? requireGroupId(query.get('groupId')) : null;
+    const phones = await listWhitelist(groupId);
+    return { scope: groupId ? 'group' : 'global', groupId, count: phones.length, phones };
+}
+
+async function addWhitelist({ body }) {
+    const { addToWhitelist } = require('./whitelistService');
+    const phones = listFromBody(body, 'phone', 'phones');
+    const groupId = body.groupId ? requireGroupId(body.groupId) : null;
+    const results = [];
+
+    for (const input of phones) {
+        const added = await addToWhitelist(input, groupId, groupId ? API_ACTOR : null);
+        if (added) {
+            await logAudit('whitelist', {
+                whatsappGroupId: groupId,
+                targetPhone: input,
+                actor: API_ACTOR,
+                rule: 'manual',
+                metadata: { scope: groupId ? 'group' : 'global' }
+            });
+        }
+        results.push({ phone: barePhone(input) || input, added });
+    }
+
+    return { scope: groupId ? 'group' : 'global', groupId, results };
+}
+
+async function removeWhitelist({ params, query }) {
+    const { removeFromWhitelist } = require('./whitelistService');
+    const groupId = query.get('groupId') ? requireGroupId(query.get('groupId')) : null;
+    const removed = await removeFromWhitelist(params[0], groupId);
+
+    if (removed) {
+        await logAudit('unwhitelist', {
+            whatsappGroupId: groupId,
+            targetPhone: params[0],
+            actor: API_ACTOR,
+            rule: 'manual',
+            metadata: { scope: groupId ? 'group' : 'global' }
+        });
+    }
+
+    return { phone: barePhone(params[0]) || params[0], groupId, removed };
+}
+
+// ─── Mutes ───────────────────────────────────────────────────────────────────
+
+async function listMutes({ query }) {
+    const { getMutedUsers } = require('./muteService');
+    const groupId = query.get('groupId') ? requireGroupId(query.get('groupId')) : null;
+    const now = Date.now();
+    const mutes = Array.from(getMutedUsers(groupId).values())
+        .filter(record => record.muteUntil > now)
+        .map(record => ({
+            userId: record.userId,
+            groupId: record.groupId,
+            mutedUntil: new Date(record.muteUntil).toISOString(),
+            mutedBy: record.mutedBy,
+            reason: record.reason
+        }));
+    return { count: mutes.length, mutes };
+}
+
+async function addMute({ body }) {
+    const { addMutedUser } = require('./muteService');
+    const groupId = requireGroupId(body.groupId);
+    const minutes = parseInt(body.minutes, 10);
+    if (!body.userId) throw apiError(400, 'Provide "userId"');
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 7 * 24 * 60) {
+        throw apiError(400, 'minutes must be between 1 and 10080');
+    }
+
+    const jid = userJid(body.userId);
+    const muteUntil = Date.now() + minutes * 60000;
+    const muted = await addMutedUser(jid, groupId, muteUntil, { mutedBy: API_ACTOR, reason: body.reason || null });
+
+    if (muted) {
+        await logAudit('mute', {
+            whatsappGroupId: groupId,
+            targetPhone: jid,
+            actor: API_ACTOR,
+            rule: 'manual',
+            reason: body.reason || null,
+            metadata: { scope: 'user', minutes, mutedUntil: new Date(muteUntil) }
+        });
+    }
+
+    return { userId: jid, groupId, muted, mutedUntil: new Date(muteUntil).toISOString() };
+}
+
+async function removeMute({ params }) {
+    const { removeMutedUser } = require('./muteService');
+    const groupId = requireGroupId(params[0]);
+    const jid = userJid(params[1]);
+    const removed = await removeMutedUser(jid, groupId);
+
+    if (removed) {
+        await logAudit('unmute', {
+            whatsappGroupId: groupId,
+            targetPhone: jid,
+            actor: API_ACTOR,
+            rule: 'manual',
+            metadata: { scope: 'user' }
+        });
+    }
+
+    return { userId: jid, groupId, removed };
+}
+
+// ─── URL blocklist ───────────────────────────────────────────────────────────
+
+async function listUrlBlocklist() {
+    const { listBlockedDomains, listBlockRules } = require('./urlBlacklistService');
+    const domains = listBlockedDomains();
+    return { count: domains.length, domains, rules: listBlockRules() };
+}
+
+async function addUrlBlocklist({ body }) {
+    const { addBlockRule, parseBlockRule, isUnsafeRegex } = require('./urlBlacklistService');
+    const inputs = listFromBody(body, 'domain', 'domains');
+    const expiresAt = body.expiresAt ? Date.parse(body.expiresAt) : null;
+    if (Number.isNaN(expiresAt)) throw apiError(400, '"expiresAt" must be an ISO date');
+
+    // The whole list is checked first, so a bad entry leaves nothing half-applied
+    for (const input of inputs) {
+        if (parseBlockRule(input)) continue;
+        const regex = String(input).trim().match(/^\/(.+)\/(i?)$/);
+        if (regex && isUnsafeRegex(regex[1])) {
+            throw apiError(400, `Regex can backtrack catastrophically (nested quantifier, repeated alternation or backreference): ${input}`);
+        }
+        throw apiError(400, `Not a valid domain or block rule: ${input}`);
+    }
+
+    const domains = [];
+    for (const input of inputs) {
+        const rule = await addBlockRule(input, { addedBy: API_ACTOR, expiresAt });
+        await logAudit('url_block', {
+            actor: API_ACTOR,
+            rule: 'url_blocklist_add',
+            reason: `${rule.type} rule added via admin API`,
+            metadata: { domain: rule.type === 'domain' ? rule.pattern : undefined, ruleType: rule.type, pattern: rule.pattern }
+        });
+        domains.push(rule.pattern);
+    }
+
+    return { domains };
+}
+
+async function removeUrlBlocklist({ params }) {
+    const { removeBlockedDomain } = require('./urlBlacklistService');
+    const result = await removeBlockedDomain(params[0]);
+
+    if (result.existed) {
+        await logAudit('url_block', {
+            actor: API_ACTOR,
+            rule: 'url_blocklist_remove',
+            reason: 'Rule removed via admin API',
+            metadata: { pattern: result.domain }
+        });
+    }
+
+    return result;
+}
+
+// ─── Groups ──────────────────────────────────────────────────────────────────
+
+async function listGroups({ query }) {
+    const { getMyGroups } = require('../database/groupService');
+    const groups = await getMyGroups(query.get('category') || null);
+    return { count: groups.length, groups };
+}
+
+async function updateGroupCategory({ params, body }) {
+    const { setCategory } = require('../database/groupService');
+    const groupId = requireGroupId(params[0]);
+    if (!body.category) throw apiError(400, 'Provide "category"');
+
+    const updated = await setCategory(groupId, String(body.category));
+    if (!updated) throw apiError(404, 'Invalid category or group not found');
+
+    const category = String(body.category).toLowerCase();
+    await logAudit('group_category', {
+        whatsappGroupId: groupId,
+        actor: API_ACTOR,
+        rule: 'manual',
+        metadata: { category }
+    });
+
+    return { groupId, category };
+}
+
+// ─── Bullywatch ──────────────────────────────────────────────────────────────
+
+async function getBullywatch() {
+    const bullywatch = require('./bullywatch');
+    const { getBullywatchGroups } = require('../database/groupService');
+    const status = bullywatch.getStatus();
+    return {
+        enabled: status.enabled,
+        monitorMode: status.monitorMode,
+        gptEnabled: status.gptEnabled,
+        nanoPreFilterEnabled: status.nanoPreFilterEnabled,
+        accuracy: status.accuracy,
+        groups: await getBullywatchGroups()
+    };
+}
+
+async function updateBullywatch({ body }) {
+    const bullywatch = require('./bullywatch');
+    if (typeof body.monitorMode !== 'boolean') {
+        throw apiError(400, 'monitorMode must be true or false');
+    }
+
+    bullywatch.monitorMode = body.monitorMode;
+    console.log(`[${getTimestamp()}] 🛡️ Bullywatch monitor mode ${body.monitorMode ? 'ON' : 'OFF'} (admin API)`);
+    await logAudit('bullywatch_toggle', {
+        actor: API_ACTOR,
+        rule: 'manual',
+        metadata: { monitorMode: body.monitorMode }
+    });
+    return { monitorMode: bullywatch.monitorMode };
+}
+
+async function updateBullywatchGroup({ params, body }) {
+    const groupService = require('../database/groupService');
+    const groupId = requireGroupId(params[0]);
+    const audited = async (result) => {
+        await logAudit('bullywatch_toggle', {
+            whatsappGroupId: groupId,
+            actor: API_ACTOR,
+            rule: 'manual',
+            metadata: { enabled: result.enabled, className: result.className }
+        });
+        return result;
+    };
+
+    if (body.enabled === false) {
+        const updated = await groupService.setBullyingMonitoring(groupId, false, null);
+        if (!updated) throw apiError(404, 'Group not found in database');
+        return audited({ groupId, enabled: false });
+    }
+
+    if (body.enabled === true) {
+        // Same rule as #bullywatch on: class name is mandatory
+        if (!body.className) throw apiError(400, 'className is required when enabling');
+        const updated = await groupService.setBullyingMonitoring(groupId, true, String(body.className));
+        if (!updated) throw apiError(404, 'Group not found in database');
+        return audited({ groupId, enabled: true, className: String(body.className) });
+    }
+
+    if (body.className) {
+        if (!(await groupService.isBullyingMonitoringEnabled(groupId))) {
+            throw apiError(409, 'Bullying monitoring is not enabled for this group');
+        }
+        const updated = await groupService.setGroupClassName(groupId, String(body.className));
+        if (!updated) throw apiError(404, 'Group not found in database');
+        return audited({ groupId, enabled: true, className: String(body.className) });
+    }
+
+    throw apiError(400, 'Provide "enabled" and/or "className"');
+}
+
+async function listBullywatchFlags({ query }) {
+    const reviewQueueService = require('./bullywatch/reviewQueueService');
+    const status = query.get('status') || 'pending';
+    if (!['pending', 'reviewed', 'all'].includes(status)) {
+        throw apiError(400, 'status must be pending, reviewed or all');
+    }
+
+    const flags = await reviewQueueService.listFlags({
+        status,
+        groupId: query.get('groupId') ? requireGroupId(query.get('groupId')) : null,
+        days: Math.min(Math.max(parseInt(query.get('days'), 10) || 30, 1), 365),
+        limit: Math.min(Math.max(parseInt(query.get('limit'), 10) || 50, 1), 200),
+        offset: Math.max(parseInt(query.get('offset'), 10) || 0, 0)
+    });
+    return { count: flags.length, flags };
+}
+
+async function reviewBullywatchFlags({ body }) {
+    const reviewQueueService = require('./bullywatch/reviewQueueService');
+    const { REVIEW_VERDICTS } = reviewQueueService;
+
+    if (!REVIEW_VERDICTS.includes(body.verdict)) {
+        throw apiError(400, `verdict must be one of: ${REVIEW_VERDICTS.join(', ')}`);
+    }
+    const ids = listFromBody(body, 'id', 'ids').map(id => parseInt(id, 10));
+    if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+        throw apiError(400, 'ids must be flag IDs');
+    }
+
+    const reviewerName = String(body.reviewer || '').trim().substring(0, 50);
+    const reviewer = reviewerName ? `${API_ACTOR}:${reviewerName}` : API_ACTOR;
+    const result = await reviewQueueService.markFlags(ids, body.verdict, reviewer);
+    return { verdict: body.verdict, reviewer, ...result };
+}
+
+async function serveDashboard() {
+    return { html: fs.readFileSync(DASHBOARD_FILE, 'utf8') };
+}
+
+// ─── Routing ─────────────────────────────────────────────────────────────────
+
+const ROUTES = [
+    { method: 'GET', path: /^\/api\/health$/, handler: async () => ({ ok: true, uptime: Math.round(process.uptime()) }) },
+    { method: 'GET', path: /^\/api\/blacklist$/, handler: listBlacklist },
+    { method: 'POST', path: /^\/api\/blacklist$/, handler: addBlacklist },
+    { method: 'DELETE', path: /^\/api\/blacklist\/([^/]+)$/, handler: removeBlacklist },
+    { method: 'GET', path: /^\/api\/whitelist$/, handler: listWhitelistRoute },
+    { method: 'POST', path: /^\/api\/whitelist$/, handler: addWhitelist },
+    { method: 'DELETE', path: /^\/api\/whitelist\/([^/]+)$/, handler: removeWhitelist },
+    { method: 'GET', path: /^\/api\/mutes$/, handler: listMutes },
+    { method: 'POST', path: /^\/api\/mutes$/, handler: addMute },
+    { method: 'DELETE', path: /^\/api\/mutes\/([^/]+)\/([^/]+)$/, handler: removeMute },
+    { method: 'GET', path: /^\/api\/url-blocklist$/, handler: listUrlBlocklist },
+    { method: 'POST', path: /^\/api\/url-blocklist$/, handler: addUrlBlocklist },
+    { method: 'DELETE', path: /^\/api\/url-blocklist\/([^/]+)$/, handler: removeUrlBlocklist },
+    { method: 'GET', path: /^\/api\/groups$/, handler: listGroups },
+    { method: 'PUT', path: /^\/api\/groups\/([^/]+)\/category$/, handler: updateGroupCategory },
+    { method: 'GET', path: /^\/api\/bullywatch$/, handler: getBullywatch },
+    { method: 'PUT', path: /^\/api\/bullywatch$/, handler: updateBullywatch },
+    { method: 'GET', path: /^\/api\/bullywatch\/flags$/, handler: listBullywatchFlags },
+    { method: 'POST', path: /^\/api\/bullywatch\/flags\/review$/, handler: reviewBullywatchFlags },
+    { method: 'PUT', path: /^\/api\/bullywatch\/([^/]+)$/, handler: updateBullywatchGroup },
+    { method: 'GET', path: /^\/dashboard\/bullywatch\/?$/, handler: serveDashboard, public: true }
+];
+
+// Malformed percent-encoding (/api/blacklist/%E0%A4) is the caller's mistake, not a server error
+function decodePathParam(param) {
+    try {
+        return decodeURIComponent(param);
+    } catch (error) {
+        if (error instanceof URIError) throw apiError(400, `Malformed percent-encoding in path: ${param}`);
+        throw error;
+    }
+}
+
+function createRequestHandler(options) {
+    return async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const pathMatches = ROUTES.filter(route => route.path.test(url.pathname));
+        const route = pathMatches.find(r => r.method === req.method);
+
+        if (!(route && route.public) && !isAuthorized(req, options.token)) {
+            console.warn(`[${getTimestamp()}] 🔒 Admin API: rejected ${req.method} ${url.pathname} (bad or missing token)`);
+            return sendJson(res, 401, { error: 'Unauthorized' });
+        }
+
+        if (!route) {
+            return pathMatches.length > 0
+                ? sendJson(res, 405, { error: 'Method not allowed' })
+                : sendJson(res, 404, { error: 'Not found' });
+        }
+
+        try {
+            const params = url.pathname.match(route.path).slice(1).map(decodePathParam);
+            const body = req.method === 'GET' || req.method === 'DELETE'
+                ? {}
+                : await readJsonBody(req, options.maxBodyBytes);
+            const result = await route.handler({ params, query: url.searchParams, body });
+            if (result && typeof result.html === 'string') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+                return res.end(result.html);
+            }
+            sendJson(res, 200, result);
+        } catch (error) {
+            const status = error.status || 500;
+            if (status >= 500) {
+                console.error(`[${getTimestamp()}] ❌ Admin API ${req.method} ${url.pathname} failed:`, error.message);
+            }
+            sendJson(res, status, { error: status >= 500 ? 'Internal error' : error.message });
+        }
+    };
+}
+
+/**
+ * Start the admin API (idempotent - reconnects of the socket reuse the running server)
+ * @param {Object} overrides - { host, port, token } for tests; defaults come from config.ADMIN_API
+ * @returns {Promise<http.Server|null>} null when no token is configured
+ */
+async function startAdminApi(overrides = {}) {
+    if (server) return server;
+
+    const options = {
+        host: overrides.host || config.ADMIN_API.HOST,
+        port: overrides.port !== undefined ? overrides.port : config.ADMIN_API.PORT,
+        token: overrides.token || config.ADMIN_API.TOKEN,
+        maxBodyBytes: config.ADMIN_API.MAX_BODY_BYTES
+    };
+
+    if (!options.token) {
+        console.log(`[${getTimestamp()}] ⚠️  ADMIN_API_TOKEN not set - admin API disabled`);
+        return null;
+    }
+
+    const instance = http.createServer(createRequestHandler(options));
+    await new Promise((resolve, reject) => {
+        instance.once('error', reject);
+        instance.listen(options.port, options.host, resolve);
+    });
+
+    server = instance;
+    const address = server.address();
+    console.log(`[${getTimestamp()}] ✅ Admin API listening on http://${address.address}:${address.port}`);
+    return server;
+}
+
+async function stopAdminApi() {
+    if (!server) return;
+    const instance = server;
+    server = null;
+    await new Promise(resolve => instance.close(resolve));
+}
+
+module.exports = {
+    startAdminApi,
+    stopAdminApi
+};
@@ -1,6 +1,7 @@
 // Background worker for scanning groups for blacklisted users
 const { getTimestamp } = require('../utils/logger');
-const { getUserByPhone } = require('../database/groupService');
+const { getUserByPhone, logAudit } = require('../database/groupService');
+const { isWhitelisted } = require('./whitelistService');
 const {
     getNextScan,
     updateScanProgress,
@@ -53,10 +54,97 @@ async function notifyGod(sock, message) {
     }
 }
 
+/**
+ * Why a participant is left alone by the scan: 'admin', 'whitelisted' or null
+ */
+function getSkipReason(participant, phoneNumber, groupId) {
+    if (participant.admin === 'admin' || participant.admin === 'superadmin') {
+        return 'admin';
+    }
+    if (isWhitelisted(participant.id, groupId) || isWhitelisted(phoneNumber, groupId)) {
+        return 'whitelisted';
+    }
+    return null;
+}
+
+/**
+ * Look up a user's blacklist record and decide what the scan does with them
+ * @returns {Promise<{ action: 'kick'|'alert', totalViolations: number, violationDetails: string }|null>}
+ *   null when the user is clean
+ */
+async function evaluateUser(phoneNumber) {
+    // Check cache first
+    let userData = await getCachedUserStatus(phoneNumber);
+
+    if (!userData) {
+        // Query database
+        userData = await getUserByPhone(phoneNumber);
+
+        // Cache the result
+        if (userData) {
+            await cacheUserStatus(phoneNumber, userData);
+        }
+    }
+
+    // Check if blacklisted
+    if (!userData || !userData.is_blacklisted) {
+        return null; // User is clean
+    }
+
+    const totalViolations = getTotalViolations(userData.violations);
+    const violationDetails = Object.entries(userData.violations || {})
+        .map(([type, count]) => `${type} (${count}x)`)
+        .join(', ');
+
+    // Threshold check: violations > 1
+    return { action: totalViolations > 1 ? 'kick' : 'alert', totalViolations, violationDetails };
+}
+
+/**
+ * Remove one blacklisted user and record it
+ * @param {string} actor - 'auto:blacklist_scan', or the admin who confirmed a preview
+ * @returns {Promise<boolean>} true when the user was removed
+ */
+async function kickBlacklistedUser(sock, groupId, participantJid, phoneNumber, evaluation, actor = 'auto:blacklist_scan') {
+    const { totalViolations, violationDetails } = evaluation;
+
+    try {
+        await sock.groupParticipantsUpdate(groupId, [participantJid], 'remove');
+
+        await logAudit('kick', {
+            whatsappGroupId: groupId,
+            targetPhone: phoneNumber,
+            actor,
+            rule: 'blacklist',
+            reason: `Blacklist scan: ${violationDetails}`
+        });
+
+        const kickMsg = `🚫 Kicked +${phoneNumber} from group\n` +
+                       `Violations: ${violationDetails}\n` +
+                       `Total: ${totalViolations} violations`;
+
+        await notifyGod(sock, kickMsg);
+        console.log(`[${getTimestamp()}] ✅ Kicked ${phoneNumber} (${totalViolations} violations)`);
+        return true;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to kick ${phoneNumber}:`, error.message);
+        await logAudit('kick', {
+            whatsappGroupId: groupId,
+            targetPhone: phoneNumber,
+            actor,
+            rule: 'blacklist',
+            reason: `Blacklist scan kick failed: ${error.message}`,
+            outcome: 'failed'
+        });
+        return false;
+    }
+}
+
 /**
  * Process a single user in the scan
  */
-async function processUser(sock, groupId, participantJid, scanStats) {
+async function processUser(sock, groupId, participant, scanStats) {
+    const participantJid = participant.id;
     const phoneNumber = extractPhoneNumber(participantJid);
     if (!phoneNumber) {
         console.log(`[${getTimestamp()}] ⚠️ Could not extract phone from ${participantJid}`);
@@ -70,58 +158,30 @@ async function processUser(sock, groupId, participantJid, scanStats) {
 
     scanStats.processed++;
 
-    try {
-        // Check cache first
-        let userData = await getCachedUserStatus(phoneNumber);
-
-        if (!userData) {
-            // Query database
-            userData = await getUserByPhone(phoneNumber);
-
-            // Cache the result
-            if (userData) {
-                await cacheUserStatus(phoneNumber, userData);
-            }
-        }
+    // Admins and whitelisted users are never touched (same rule as the #scan --dry preview)
+    if (getSkipReason(participant, phoneNumber, groupId)) {
+        scanStats.skipped++;
+        return;
+    }
 
-        // Check if blacklisted
-        if (!userData || !userData.is_blacklisted) {
+    try {
+        const evaluation = await evaluateUser(phoneNumber);
+        if (!evaluation) {
             return; // User is clean
         }
 
-        // Calculate total violations
-        const totalViolations = getTotalViolations(userData.violations);
-
+        const { totalViolations, violationDetails } = evaluation;
         console.log(`[${getTimestamp()}] 🚨 Found blacklisted user: ${phoneNumber} (${totalViolations} violations)`);
 
-        // Threshold check: violations > 1
-        if (totalViolations > 1) {
+        if (evaluation.action === 'kick') {
             // KICK USER
-            try {
-                await sock.groupParticipantsUpdate(groupId, [participantJid], 'remove');
+            if (await kickBlacklistedUser(sock, groupId, participantJid, phoneNumber, evaluation)) {
                 scanStats.kicked++;
-
-                const violationDetails = Object.entries(userData.violations || {})
-                    .map(([type, count]) => `${type} (${count}x)`)
-                    .join(', ');
-
-                const kickMsg = `🚫 Kicked +${phoneNumber} from group\n` +
-                               `Violations: ${violationDetails}\n` +
-                               `Total: ${totalViolations} violations`;
-
-                await notifyGod(sock, kickMsg);
-                console.log(`[${getTimestamp()}] ✅ Kicked ${phoneNumber} (${totalViolations} violations)`);
-            } catch (error) {
-                console.error(`[${getTimestamp()}] ❌ Failed to kick ${phoneNumber}:`, error.message);
             }
         } else {
             // Alert only (violations ≤ 1)
             scanStats.alerted++;
 
-            const violationDetails = Object.entries(userData.violations || {})
-                .map(([type, count]) => `${type} (${count}x)`)
-                .join(', ');
-
             const alertMsg = `⚠️ Low-risk blacklisted user in group\n` +
                            `Number: ${phoneNumber}\n` +
                            `Violations: ${violationDetails}\n` +
@@ -149,13 +209,14 @@ async function processScan(sock, scanJob) {
     try {
         // Get group metadata
         const groupMetadata = await sock.groupMetadata(groupId);
-        const participants = groupMetadata.participants.map(p => p.id);
+        const participants = groupMetadata.participants;
 
         const scanStats = {
             total: participants.length,
             processed: 0,
             kicked: 0,
             alerted: 0,
+            skipped: 0,
             startedAt: Date.now()
         };
 
@@ -163,8 +224,8 @@ async function processScan(sock, scanJob) {
         await notifyGod(sock, `✅ Starting scan of ${groupMetadata.subject}\nMembers: ${participants.length}\nEstimated time: ${Math.ceil(participants.length * 2 / 60)} minutes`);
 
         // Process users one by one (2 seconds delay between each)
-        for (const participantJid of participants) {
-            await processUser(sock, groupId, participantJid, scanStats);
+        for (const participant of participants) {
+            await processUser(sock, groupId, participant, scanStats);
 
             // Update progress in Redis
             await updateScanProgress(groupId, scanStats);
@@ -178,7 +239,8 @@ async function processScan(sock, scanJob) {
         const completionMsg = `✅ Scan completed for ${groupMetadata.subject}\n` +
                              `Scanned: ${scanStats.processed} members in ${Math.floor(duration / 60)}m ${duration % 60}s\n` +
                              `🚫 Kicked: ${scanStats.kicked} users\n` +
-                             `⚠️ Alerted: ${scanStats.alerted} users (low violations)`;
+                             `⚠️ Alerted: ${scanStats.alerted} users (low violations)` +
+                             (scanStats.skipped > 0 ? `\n👮 Skipped: ${scanStats.skipped} admins/whitelisted` : '');
 
         await notifyGod(sock, completionMsg);
         console.log(`[${getTimestamp()}] ${completionMsg.replace(/\n/g, ' | ')}`);
@@ -192,6 +254,69 @@ async function processScan(sock, scanJob) {
     }
 }
 
+/**
+ * Dry run of a scan (#scan --dry): who would be kicked or alerted, and who is skipped.
+ * Removes nobody. Unlike processScan there is no per-user delay - it only reads,
+ * mostly from the Redis cache.
+ * @returns {Promise<{ groupName: string, total: number, toKick: Array, toAlert: Array,
+ *                     whitelistedSkipped: string[], adminSkipped: string[] }>}
+ *   toKick / toAlert entries: { id, phone, totalViolations, violationDetails }
+ */
+async function previewScan(sock, groupId) {
+    const groupMetadata = await sock.groupMetadata(groupId);
+    const preview = {
+        groupName: groupMetadata.subject || 'Unknown Group',
+        total: groupMetadata.participants.length,
+        toKick: [],
+        toAlert: [],
+        whitelistedSkipped: [],
+        adminSkipped: []
+    };
+
+    for (const participant of groupMetadata.participants) {
+        const phoneNumber = extractPhoneNumber(participant.id);
+        if (!phoneNumber || isGodNumber(phoneNumber)) continue;
+
+        const evaluation = await evaluateUser(phoneNumber);
+        if (!evaluation) continue;
+
+        const skipReason = getSkipReason(participant, phoneNumber, groupId);
+        if (skipReason === 'admin') {
+            preview.adminSkipped.push(phoneNumber);
+        } else if (skipReason === 'whitelisted') {
+            preview.whitelistedSkipped.push(phoneNumber);
+        } else {
+            const entry = { id: participant.id, phone: phoneNumber, ...evaluation };
+            (evaluation.action === 'kick' ? preview.toKick : preview.toAlert).push(entry);
+        }
+    }
+
+    console.log(`[${getTimestamp()}] 🔍 Scan preview for ${preview.groupName}: ${preview.toKick.length} to kick, ${preview.toAlert.length} to alert`);
+    return preview;
+}
+
+/**
+ * Kick the users listed by previewScan once an admin confirmed them
+ * @param {string} actor - Phone of the confirming admin (audit actor)
+ * @returns {Promise<{ kicked: number, failed: number }>}
+ */
+async function kickPreviewedUsers(sock, groupId, users, actor) {
+    let kicked = 0;
+    let failed = 0;
+
+    for (const user of users) {
+        if (await kickBlacklistedUser(sock, groupId, user.id, user.phone, user, actor)) {
+            kicked++;
+        } else {
+            failed++;
+        }
+        // Same pace as the background scan
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    return { kicked, failed };
+}
+
 /**
  * Start the background scan worker
  */
@@ -231,5 +356,7 @@ function stopScanWorker() {
 
 module.exports = {
     startScanWorker,
-    stopScanWorker
+    stopScanWorker,
+    previewScan,
+    kickPreviewedUsers
 };
@@ -417,6 +417,7 @@ class BullyingMonitoringService {
             try {
                 const flaggedMessageData = {
                     id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                    messageId, // WhatsApp message ID - links the flag to its offensive_messages row
                     timestamp,
                     groupName,
                     groupId,
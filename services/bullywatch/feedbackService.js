@@ -80,6 +80,29 @@ class FeedbackService {
         return true;
     }
 
+    /**
+     * Record a reviewer's verdict on a flagged message.
+     * Shared by #bullywatch feedback (WhatsApp) and the review dashboard so both
+     * feed the same statistics and weight updates.
+     * @param {Object} flag - { messageId, groupId, score, severity, categories }
+     * @param {string} verdict - true_positive | false_positive | low | medium | high
+     *                           (a severity verdict confirms the flag at that severity)
+     */
+    async recordReviewVerdict(flag, verdict, adminId, notes = '') {
+        const severityVerdict = ['low', 'medium', 'high'].includes(verdict);
+
+        return this.recordFeedback({
+            messageId: flag.messageId,
+            groupId: flag.groupId,
+            verdict: severityVerdict ? 'true_positive' : verdict,
+            severity: severityVerdict ? verdict : (flag.severity || null),
+            originalScore: Number(flag.score) || 0,
+            detectedCategories: flag.categories || [],
+            adminId,
+            notes
+        });
+    }
+
     /**
      * Update statistics based on feedback
      */
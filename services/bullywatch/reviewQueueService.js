@@ -0,0 +1,153 @@
+/**
+ * Review Queue Service
+ * Backs the bullywatch dashboard: lists flagged messages (offensive_messages) with their
+ * score breakdown, context window and nano/GPT verdicts, and records reviewer verdicts
+ * in bulk - feeding feedbackService exactly like #bullywatch feedback does.
+ *
+ * Also keeps a short per-group message buffer (memory-only) so each flag can be saved
+ * with the conversation that led up to it. This is deliberately separate from
+ * temporalAnalysisService history so it never changes scoring.
+ */
+
+const feedbackService = require('./feedbackService');
+
+const REVIEW_VERDICTS = ['true_positive', 'false_positive'];
+const CONTEXT_BUFFER_SIZE = 50; // Messages kept per group
+const CONTEXT_BUFFER_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const CONTEXT_WINDOW_SIZE = 5; // Messages before/after a flag
+
+class ReviewQueueService {
+    constructor() {
+        this.recentMessages = new Map(); // groupId -> [{ id, sender, senderName, text, timestamp }]
+    }
+
+    /**
+     * Remember a group message for later context windows
+     */
+    rememberMessage(groupId, message) {
+        if (!groupId || !message || !message.id) return;
+
+        const buffer = this.recentMessages.get(groupId) || [];
+        const cutoff = Date.now() - CONTEXT_BUFFER_TTL;
+
+        buffer.push({
+            id: message.id,
+            sender: message.sender,
+            senderName: message.senderName || null,
+            text: (message.text || '').substring(0, 500),
+            timestamp: message.timestamp || Date.now()
+        });
+
+        while (buffer.length > CONTEXT_BUFFER_SIZE || (buffer.length > 0 && buffer[0].timestamp < cutoff)) {
+            buffer.shift();
+        }
+
+        this.recentMessages.set(groupId, buffer);
+    }
+
+    /**
+     * Messages around a flagged message
+     * @returns {{ before: Array, after: Array }|null} null when the message is no longer buffered
+     */
+    getContextWindow(groupId, messageId, windowSize = CONTEXT_WINDOW_SIZE) {
+        const buffer = this.recentMessages.get(groupId) || [];
+        const index = buffer.findIndex(m => m.id === messageId);
+        if (index === -1) return null;
+
+        return {
+            before: buffer.slice(Math.max(0, index - windowSize), index),
+            after: buffer.slice(index + 1, index + 1 + windowSize)
+        };
+    }
+
+    /**
+     * Shape an offensive_messages row for the dashboard
+     */
+    toFlag(row) {
+        // Prefer the live buffer (includes replies sent after the flag), fall back to the saved snapshot
+        const live = this.getContextWindow(row.whatsapp_group_id, row.message_id);
+        const saved = row.context_window || null;
+
+        return {
+            id: row.id,
+            messageId: row.message_id,
+            groupId: row.whatsapp_group_id,
+            groupName: row.group_name,
+            senderPhone: row.sender_phone,
+            senderName: row.sender_name,
+            messageText: row.message_text,
+            matchedWords: row.matched_words || [],
+            detectedAt: row.detected_at,
+            deleted: row.deleted,
+            score: row.score,
+            severity: row.severity || row.gpt_severity,
+            categories: row.categories || (row.gpt_category ? row.gpt_category.split(', ') : []),
+            scoreBreakdown: row.score_breakdown || null,
+            context: live || saved || { before: [], after: [] },
+            nanoVerdict: row.nano_verdict || null,
+            gptVerdict: row.gpt_verdict || (row.gpt_analyzed ? {
+                severity: row.gpt_severity,
+                confidence: row.gpt_confidence,
+                explanation: row.gpt_explanation,
+                recommendation: row.gpt_recommendation
+            } : null),
+            review: row.review_verdict ? {
+                verdict: row.review_verdict,
+                reviewedBy: row.reviewed_by,
+                reviewedAt: row.reviewed_at
+            } : null
+        };
+    }
+
+    /**
+     * List flagged messages for review
+     * @param {Object} filters - { status: 'pending'|'reviewed'|'all', groupId, days, limit, offset }
+     */
+    async listFlags(filters = {}) {
+        const { listFlaggedMessages } = require('../../database/offensiveMessageService');
+        const rows = await listFlaggedMessages({
+            status: filters.status || 'pending',
+            whatsappGroupId: filters.groupId || null,
+            days: filters.days || 30,
+            limit: filters.limit || 50,
+            offset: filters.offset || 0
+        });
+        return rows.map(row => this.toFlag(row));
+    }
+
+    /**
+     * Mark flags as true/false positives and feed each first review to feedbackService
+     * (re-marking an already reviewed flag updates the row but is not counted again)
+     * @param {number[]} ids - offensive_messages row IDs
+     * @param {string} verdict - true_positive | false_positive
+     * @param {string} reviewer - Who reviewed (recorded on the row and in feedback)
+     * @returns {Promise<{ updated: number[], missing: number[] }>}
+     */
+    async markFlags(ids, verdict, reviewer) {
+        if (!REVIEW_VERDICTS.includes(verdict)) {
+            throw new Error(`Invalid verdict: ${verdict}`);
+        }
+
+        const { setReviewVerdict } = require('../../database/offensiveMessageService');
+        const rows = await setReviewVerdict(ids, verdict, reviewer);
+
+        for (const row of rows.filter(r => !r.previous_verdict)) {
+            await feedbackService.recordReviewVerdict({
+                messageId: row.message_id,
+                groupId: row.whatsapp_group_id,
+                score: row.score,
+                severity: row.severity,
+                categories: row.categories || []
+            }, verdict, reviewer, 'dashboard');
+        }
+
+        const updated = rows.map(row => row.id);
+        return { updated, missing: ids.filter(id => !updated.includes(id)) };
+    }
+}
+
+// Singleton instance
+const reviewQueueService = new ReviewQueueService();
+
+module.exports = reviewQueueService;
+module.exports.REVIEW_VERDICTS = REVIEW_VERDICTS;
@@ -0,0 +1,291 @@
+// services/captchaService.js
+// Opt-in join captcha set with #captcha. Each member who joins (not added by an admin) is
+// @mentioned with a challenge - a math question, "reply to this message", or the group's own
+// question - and has the group's minutes to answer. Until they do, everything they post is
+// deleted; when time runs out (or after MAX_WRONG_ANSWERS) robustKick removes them.
+// Pending challenges live in Redis (captcha:<group>:<phone> + the captcha:deadlines sorted set),
+// so a restart does not forget them; without Redis the captcha is inactive.
+
+const { getTimestamp } = require('../utils/logger');
+const { getRedis, isRedisConnected } = require('./redisService');
+const { logAudit } = require('../database/groupService');
+const { robustKick } = require('../utils/kickHelper');
+const { kickedUserService } = require('./kickedUserService');
+
+// math: "7 + 5 = ?" · reply: reply to the challenge message · question: the group's own question
+const CAPTCHA_TYPES = ['math', 'reply', 'question'];
+
+const DEFAULT_CAPTCHA_MINUTES = 5;
+
+// Wrong answers to a math/group question before the member is removed
+const MAX_WRONG_ANSWERS = 3;
+
+const SWEEP_INTERVAL_MS = 30 * 1000;
+const DEADLINES_KEY = 'captcha:deadlines';
+
+const CAPTCHA_TYPE_LABELS = {
+    math: 'Math question',
+    reply: 'Reply to the challenge',
+    question: 'Group question'
+};
+
+let sweeperInterval = null;
+let currentSock = null;
+
+function captchaKeys(groupId, userId) {
+    return [...new Set([].concat(userId).filter(Boolean)
+        .map(id => `captcha:${groupId}:${String(id).split('@')[0].split(':')[0]}`))];
+}
+
+/**
+ * Letters and digits only, so "Herzl!" matches "herzl" and " 12 " matches "12"
+ */
+function normalizeAnswer(text) {
+    return (text || '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * "Math question, 5 min to answer" for status and confirmations
+ */
+function formatCaptchaSettings(settings) {
+    if (!settings) return 'off';
+    const question = settings.type === 'question' ? ` ("${settings.question}")` : '';
+    return `${CAPTCHA_TYPE_LABELS[settings.type]}${question}, ${settings.minutes} min to answer`;
+}
+
+/**
+ * A fresh challenge for the group's captcha type
+ * @returns {{ prompt: string, answer: string|null }} answer is null for 'reply' challenges
+ */
+function createChallenge(settings) {
+    if (settings.type === 'math') {
+        const a = 2 + Math.floor(Math.random() * 8);
+        const b = 2 + Math.floor(Math.random() * 8);
+        return { prompt: `❓ ${a} + ${b} = ?`, answer: String(a + b) };
+    }
+    if (settings.type === 'question') {
+        return { prompt: `❓ ${settings.question}`, answer: settings.answer };
+    }
+    return { prompt: '↩️ השב/י להודעה הזו · Reply to this message', answer: null };
+}
+
+async function saveChallenge(record) {
+    const redis = getRedis();
+    const ttl = Math.max(60, Math.ceil((record.deadline - Date.now()) / 1000) + 300);
+    for (const key of captchaKeys(record.groupId, record.ids)) {
+        await redis.set(key, JSON.stringify(record), 'EX', ttl);
+    }
+}
+
+async function getChallenge(groupId, userId) {
+    const redis = getRedis();
+    for (const key of captchaKeys(groupId, userId)) {
+        const raw = await redis.get(key);
+        if (raw) return JSON.parse(raw);
+    }
+    return null;
+}
+
+async function clearChallenge(record) {
+    const redis = getRedis();
+    for (const key of captchaKeys(record.groupId, record.ids)) {
+        await redis.del(key);
+    }
+    await redis.zrem(DEADLINES_KEY, `${record.groupId}|${record.ids[0]}`);
+}
+
+/**
+ * Challenge a new member
+ * @param {string} groupId
+ * @param {string|string[]} userId - Member JID, or every form of it (JID to mention/kick first, then the phone)
+ * @param {Object} settings - From groupService.getJoinCaptcha
+ * @returns {Promise<boolean>} true when a challenge was posted
+ */
+async function startCaptcha(sock, groupId, userId, settings) {
+    if (!settings || !isRedisConnected()) return false;
+
+    const ids = [].concat(userId).filter(Boolean);
+    const memberJid = ids[0];
+    const challenge = createChallenge(settings);
+    const text =
+        `👋 @${memberJid.split('@')[0]}\n` +
+        `ברוך/ה הבא/ה! כדי להישאר בקבוצה יש לענות תוך ${settings.minutes} דקות.\n` +
+        `Welcome! To stay in this group, answer within ${settings.minutes} minutes.\n\n` +
+        challenge.prompt;
+
+    try {
+        const sent = await sock.sendMessage(groupId, { text, mentions: [memberJid] });
+        const record = {
+            groupId,
+            ids,
+            type: settings.type,
+            answer: challenge.answer,
+            challengeKey: sent?.key || null,
+            deadline: Date.now() + settings.minutes * 60 * 1000,
+            wrongAnswers: 0
+        };
+        await saveChallenge(record);
+        await getRedis().zadd(DEADLINES_KEY, record.deadline, `${groupId}|${memberJid}`);
+        console.log(`[${getTimestamp()}] 🧩 Captcha posted for ${memberJid} in ${groupId} (${settings.type}, ${settings.minutes} min)`);
+        return true;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to post captcha:`, error.message);
+        return false;
+    }
+}
+
+function answersChallenge(record, msg, messageText) {
+    if (record.type === 'reply') {
+        const message = msg?.message || {};
+        const contextInfo = Object.values(message).find(m => m && typeof m === 'object' && m.contextInfo)?.contextInfo;
+        return !!(record.challengeKey && contextInfo?.stanzaId === record.challengeKey.id);
+    }
+    return normalizeAnswer(messageText) !== '' && normalizeAnswer(messageText) === normalizeAnswer(record.answer);
+}
+
+async function removeUnverified(sock, record, reason) {
+    const memberJid = record.ids[0];
+    const audit = {
+        whatsappGroupId: record.groupId,
+        targetPhone: record.ids[record.ids.length - 1],
+        actor: 'auto:captcha',
+        rule: 'captcha',
+        reason
+    };
+
+    if (record.challengeKey) {
+        await sock.sendMessage(record.groupId, { delete: record.challengeKey }).catch(() => {});
+    }
+    const result = await robustKick(sock, record.groupId, memberJid);
+    if (result.success) {
+        console.log(`[${getTimestamp()}] 🧩 Captcha: removed ${memberJid} from ${record.groupId} (${reason})`);
+        await logAudit('kick', audit);
+        await kickedUserService.recordKick(sock, { userId: memberJid, groupId: record.groupId, reason, kickedBy: 'auto:captcha' });
+    } else {
+        await logAudit('kick', { ...audit, reason: `Kick failed: ${result.error?.message || reason}`, outcome: 'failed' });
+    }
+    return result.success;
+}
+
+/**
+ * Handle a message from a member who may still owe a captcha answer.
+ * The message is always deleted; a correct answer verifies the member.
+ * @returns {Promise<boolean>} true when the sender is unverified - stop processing the message
+ */
+async function checkCaptchaMessage(sock, msg, { groupId, senderId, messageText }) {
+    if (!isRedisConnected()) return false;
+
+    let record;
+    try {
+        record = await getChallenge(groupId, senderId);
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Captcha lookup failed:`, error.message);
+        return false;
+    }
+    if (!record) return false;
+
+    try {
+        await sock.sendMessage(groupId, { delete: msg.key });
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Captcha: failed to delete message:`, error.message);
+    }
+
+    if (answersChallenge(record, msg, messageText)) {
+        await clearChallenge(record);
+        if (record.challengeKey) {
+            await sock.sendMessage(groupId, { delete: record.challengeKey }).catch(() => {});
+        }
+        const memberJid = record.ids[0];
+        await sock.sendMessage(groupId, {
+            text: `✅ @${memberJid.split('@')[0]} אומת/ה - ברוך/ה הבא/ה! · Verified - welcome!`,
+            mentions: [memberJid]
+        }).catch(() => {});
+        await logAudit('join', {
+            whatsappGroupId: groupId,
+            targetPhone: record.ids[record.ids.length - 1],
+            actor: 'auto:captcha',
+            rule: 'captcha',
+            reason: 'Passed the join captcha'
+        });
+        console.log(`[${getTimestamp()}] ✅ Captcha passed by ${memberJid} in ${groupId}`);
+        return true;
+    }
+
+    // Plain chatter doesn't count against a 'reply' challenge; wrong answers to a question do
+    if (record.type === 'reply') return true;
+
+    record.wrongAnswers += 1;
+    if (record.wrongAnswers >= MAX_WRONG_ANSWERS) {
+        await clearChallenge(record);
+        await removeUnverified(sock, record, `Failed the join captcha (${MAX_WRONG_ANSWERS} wrong answers)`);
+    } else {
+        await saveChallenge(record);
+    }
+    return true;
+}
+
+/**
+ * Remove every member whose answer time ran out.
+ * Claims each entry with ZREM first, so only one sweep acts on it.
+ * @returns {Promise<number>} Members removed
+ */
+async function sweepExpiredCaptchas(sock) {
+    if (!isRedisConnected()) return 0;
+
+    const redis = getRedis();
+    let removed = 0;
+    const expired = await redis.zrangebyscore(DEADLINES_KEY, 0, Date.now());
+    for (const entry of expired) {
+        if (!(await redis.zrem(DEADLINES_KEY, entry))) continue;
+
+        const [groupId, memberJid] = entry.split('|');
+        const record = await getChallenge(groupId, memberJid);
+        if (!record) continue; // Verified or already removed
+
+        for (const key of captchaKeys(groupId, record.ids)) {
+            await redis.del(key);
+        }
+        if (await removeUnverified(sock, record, 'Did not answer the join captcha in time')) {
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Start the background sweep that removes members who did not answer in time.
+ * Safe to call on every reconnect - the newest socket is used.
+ */
+function startCaptchaSweeper(sock) {
+    currentSock = sock;
+    if (sweeperInterval) return;
+
+    sweeperInterval = setInterval(async () => {
+        try {
+            await sweepExpiredCaptchas(currentSock);
+        } catch (error) {
+            console.error(`[${getTimestamp()}] ❌ Captcha sweep error:`, error.message);
+        }
+    }, SWEEP_INTERVAL_MS);
+}
+
+function stopCaptchaSweeper() {
+    if (sweeperInterval) {
+        clearInterval(sweeperInterval);
+        sweeperInterval = null;
+    }
+}
+
+module.exports = {
+    CAPTCHA_TYPES,
+    DEFAULT_CAPTCHA_MINUTES,
+    MAX_WRONG_ANSWERS,
+    normalizeAnswer,
+    formatCaptchaSettings,
+    createChallenge,
+    startCaptcha,
+    checkCaptchaMessage,
+    sweepExpiredCaptchas,
+    startCaptchaSweeper,
+    stopCaptchaSweeper
+};
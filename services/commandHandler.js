@@ -1,15 +1,27 @@
 const config = require('../config');
-const OpenAI = require('openai');
+const { AsyncLocalStorage } = require('async_hooks');
 const { addToBlacklist, removeFromBlacklist, listBlacklist, isBlacklisted } = require('./blacklistService');
-const { addBlockedDomain, removeBlockedDomain, listBlockedDomains } = require('./urlBlacklistService');
+const { parseBlockRule, addBlockRule, removeBlockRule, listBlockRules, formatBlockRule } = require('./urlBlacklistService');
 const { addToWhitelist, removeFromWhitelist, listWhitelist, isWhitelisted } = require('./whitelistService');
-const { addMutedUser, removeMutedUser, isMuted, getMutedUsers } = require('./muteService');
+const { addMutedUser, removeMutedUser, isMuted, getMutedUsers, getMuteRecord, getRemainingMuteTime } = require('./muteService');
 const { getTimestamp } = require('../utils/logger');
 const { sendKickAlert } = require('../utils/alertService');
+const { warningService } = require('./warningService');
+const { kickedUserService } = require('./kickedUserService');
 const searchService = require('./searchService');
 const { translationService } = require('./translationService');
+const { PROVIDERS, DEFAULT_PROVIDER_ORDER, LANGUAGE_NAMES } = require('./translationProviders');
+const { DETECTABLE_LANGUAGES } = require('../utils/languageUtils');
+const { parseGlossaryEntry, addGlossaryEntry, removeGlossaryEntry, formatGlossaryEntry } = require('../utils/translationGlossary');
 const groupJokeSettingsService = require('./groupJokeSettingsService');
 const groupService = require('../database/groupService');
+const roleService = require('./roleService');
+const { POLICY_ACTIONS, DEFAULT_COUNTRY_POLICY, COUNTRY_POLICY_OFF, checkCountryPolicy, formatCountryPolicy, describeViolation } = require('../utils/countryPolicy');
+const { FLOOD_TYPES, FLOOD_ACTIONS, DEFAULT_MUTE_MINUTES, formatFloodRules, describeFloodResponse } = require('./floodService');
+const { DEFAULT_PROBATION_HOURS, DEFAULT_PROBATION_MESSAGES, formatProbationPolicy } = require('./probationService');
+const { CAPTCHA_TYPES, DEFAULT_CAPTCHA_MINUTES, MAX_WRONG_ANSWERS, formatCaptchaSettings } = require('./captchaService');
+const { URL_POLICY_MODES, DEFAULT_URL_POLICY, DENY_ALL, parsePolicyDomain, formatUrlPolicy } = require('../utils/urlPolicy');
+const { CONFIRM_WINDOW_MS, storePendingConfirmation, getPendingConfirmation, takePendingConfirmation } = require('../utils/pendingConfirmations');
 const { getRestartHistory } = require('../utils/restartTracker');
 const memoryMonitor = require('../utils/memoryMonitor');
 const memoryLeakDetector = require('../utils/memoryLeakDetector');
@@ -31,13 +43,21 @@ if (config.FEATURES.FIREBASE_INTEGRATION) {
 // Track group mute status
 const groupMuteStatus = new Map();
 
+// Appended when #botforeign could not store the policy, so future joins go unchecked
+const COUNTRY_POLICY_NOT_SAVED = '⚠️ Country policy was not saved - new joins are NOT checked. Is this group registered (and database/add-country-policy.sql applied)?';
+
+// Who the running command replies to (set per command so concurrent commands don't mix)
+const commandReplyContext = new AsyncLocalStorage();
+
 /**
  * Parse #autotranslate command arguments.
  * Module-level so it can be imported and unit-tested without instantiating CommandHandler.
  *
- * @param {string} argsString  The raw args string (e.g. 'on ru,he', 'off', 'status')
- * @returns {{ action: string, from?: string, to?: string } | null}
- *   null for unrecognised/malformed input.
+ * @param {string} argsString  The raw args string (e.g. 'on ru,he', 'on ru+ar,he', 'bilingual he,ru', 'off', 'status', 'provider openai')
+ * @returns {{ action: string, from?: string, to?: string, provider?: string|null } | null}
+ *   null for unrecognised/malformed input. 'provider default' gives provider null; only the real
+ *   providers (DEFAULT_PROVIDER_ORDER) can be chosen, never the offline stub.
+ *   Several source languages stay joined with '+' in from (duplicates dropped).
  */
 function parseAutoTranslateArgs(argsString) {
     if (!argsString || typeof argsString !== 'string') return null;
@@ -46,15 +66,388 @@ function parseAutoTranslateArgs(argsString) {
 
     if (action === 'off')    return { action: 'off' };
     if (action === 'status') return { action: 'status' };
+    if (action === 'provider') {
+        if (parts.length !== 2) return null;
+        if (parts[1] === 'default') return { action: 'provider', provider: null };
+        return DEFAULT_PROVIDER_ORDER.includes(parts[1]) ? { action: 'provider', provider: parts[1] } : null;
+    }
     if (action === 'on') {
         if (!parts[1]) return { action: 'on', from: undefined, to: undefined };
         const pair = parts[1].split(',');
         if (pair.length !== 2 || !pair[0] || !pair[1]) return { action: 'on', from: undefined, to: undefined };
-        return { action: 'on', from: pair[0], to: pair[1] };
+        const sources = [...new Set(pair[0].split('+'))];
+        if (sources.some(code => !code)) return null;
+        return { action: 'on', from: sources.join('+'), to: pair[1] };
     }
+    if (action === 'bilingual') {
+        const pair = (parts[1] || '').split(',');
+        if (pair.length !== 2 || !pair[0] || !pair[1]) return { action: 'bilingual', from: undefined, to: undefined };
+        return { action: 'bilingual', from: pair[0], to: pair[1] };
+    }
+    return null;
+}
+
+/**
+ * Parse #glossary command arguments.
+ * Module-level so it can be imported and unit-tested without instantiating CommandHandler.
+ *
+ * @param {string} argsString  The raw args string (e.g. 'add מורה=учительница', 'remove מורה', 'list', '')
+ * @returns {{ action: 'list'|'add'|'remove', term?: string } | null}
+ *   term keeps its case and inner spaces (add: 'source=target', checked by parseGlossaryEntry).
+ *   null for unrecognised/malformed input.
+ */
+function parseGlossaryArgs(argsString) {
+    const [first = '', ...rest] = (argsString || '').trim().split(/\s+/);
+    const action = first.toLowerCase();
+    const term = rest.join(' ');
+
+    if (!action || action === 'list') return term ? null : { action: 'list' };
+    if (action === 'add' || action === 'remove') return term ? { action, term } : null;
     return null;
 }
 
+/**
+ * Parse #strikepolicy command arguments.
+ * Module-level so it can be imported and unit-tested without instantiating CommandHandler.
+ *
+ * @param {string} argsString  The raw args string (e.g. '2 14 blacklist', 'reset', '')
+ * @returns {{ action: string, warningsBeforeKick?: number, expiryDays?: number, autoBlacklist?: boolean } | null}
+ *   null for unrecognised/malformed input.
+ */
+function parseStrikePolicyArgs(argsString) {
+    const parts = (argsString || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (parts.length === 0 || parts[0] === 'status') return { action: 'status' };
+    if (parts[0] === 'reset') return { action: 'reset' };
+
+    if (!/^\d+$/.test(parts[0]) || (parts[1] && !/^\d+$/.test(parts[1]))) return null;
+
+    const warningsBeforeKick = parseInt(parts[0], 10);
+    const expiryDays = parts[1] ? parseInt(parts[1], 10) : 7;
+    if (warningsBeforeKick > 10 || expiryDays < 1 || expiryDays > 365) return null;
+
+    let autoBlacklist = false;
+    if (parts[2]) {
+        if (['blacklist', 'bl', 'on'].includes(parts[2])) autoBlacklist = true;
+        else if (['noblacklist', 'nobl', 'off'].includes(parts[2])) autoBlacklist = false;
+        else return null;
+    }
+
+    return { action: 'set', warningsBeforeKick, expiryDays, autoBlacklist };
+}
+
+/**
+ * Parse #countrypolicy command arguments.
+ * Module-level so it can be imported and unit-tested without instantiating CommandHandler.
+ *
+ * @param {string} argsString  The raw args string (e.g. 'allow 972,44', 'block 1,6,234 warn', 'warn', 'off', '')
+ * @returns {{ action: 'status'|'off'|'set'|'setAction', mode?: string, prefixes?: string[], policyAction?: string } | null}
+ *   null for unrecognised/malformed input. 'setAction' changes only kick/warn on the current policy.
+ */
+function parseCountryPolicyArgs(argsString) {
+    const parts = (argsString || '').trim().toLowerCase().split(/[\s,]+/).filter(Boolean);
+
+    if (parts.length === 0 || parts[0] === 'status') return parts.length <= 1 ? { action: 'status' } : null;
+    if (parts[0] === 'off') return parts.length === 1 ? { action: 'off' } : null;
+    if (POLICY_ACTIONS.includes(parts[0])) return parts.length === 1 ? { action: 'setAction', policyAction: parts[0] } : null;
+    if (parts[0] !== 'allow' && parts[0] !== 'block') return null;
+
+    const rest = parts.slice(1);
+    let policyAction;
+    if (rest.length > 0 && POLICY_ACTIONS.includes(rest[rest.length - 1])) {
+        policyAction = rest.pop();
+    }
+
+    const prefixes = [];
+    for (const part of rest) {
+        const prefix = part.replace(/^\+/, '');
+        if (!/^\d{1,4}$/.test(prefix)) return null;
+        if (!prefixes.includes(prefix)) prefixes.push(prefix);
+    }
+    if (prefixes.length === 0) return null;
+
+    return { action: 'set', mode: parts[0], prefixes, policyAction };
+}
+
+/**
+ * Parse #flood command arguments.
+ * Module-level so it can be imported and unit-tested without instantiating CommandHandler.
+ *
+ * @param {string} argsString  The raw args string (e.g. '10/60 mute', 'repeat 3/120 delete', 'media 5/30 alert 30', 'off media', '')
+ * @returns {{ action: 'status'|'off'|'set', floodType?: string, count?: number, seconds?: number, response?: string, muteMinutes?: number } | null}
+ *   null for unrecognised/malformed input. floodType defaults to 'messages'; 'off' without a type clears every rule.
+ */
+function parseFloodArgs(argsString) {
+    const parts = (argsString || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (parts.length === 0 || parts[0] === 'status') return parts.length <= 1 ? { action: 'status' } : null;
+    if (parts[0] === 'off') {
+        if (parts.length === 1) return { action: 'off' };
+        return parts.length === 2 && FLOOD_TYPES.includes(parts[1]) ? { action: 'off', floodType: parts[1] } : null;
+    }
+
+    let floodType = 'messages';
+    if (FLOOD_TYPES.includes(parts[0])) floodType = parts.shift();
+
+    const limit = (parts[0] || '').match(/^(\d+)\/(\d+)s?$/);
+    if (!limit || !FLOOD_ACTIONS.includes(parts[1]) || parts.length > 3) return null;
+
+    const count = parseInt(limit[1], 10);
+    const seconds = parseInt(limit[2], 10);
+    if (count < 1 || count > 100 || seconds < 1 || seconds > 3600) return null;
+    // One repeat is normal ("ok", "thanks") - the repeat rule needs at least 2
+    if (floodType === 'repeat' && count < 2) return null;
+
+    const response = parts[1];
+    const parsed = { action: 'set', floodType, count, seconds, response };
+    if (parts[2]) {
+        const minutes = parts[2].match(/^(\d+)m?$/);
+        if (response === 'delete' || !minutes) return null;
+        parsed.muteMinutes = parseInt(minutes[1], 10);
+        if (parsed.muteMinutes < 1 || parsed.muteMinutes > 1440) return null;
+    }
+    return parsed;
+}
+
+/**
+ * Parse #probation command arguments.
+ * Module-level so it can be imported and unit-tested without instantiating CommandHandler.
+ *
+ * @param {string} argsString  The raw args string (e.g. 'on', '24h 5', '48h', '3d 10msgs', 'off', '')
+ * @returns {{ action: 'status'|'off'|'set', hours?: number, messages?: number|null } | null}
+ *   null for unrecognised/malformed input. 'on' alone uses the defaults; a message count alone keeps the default hours.
+ */
+function parseProbationArgs(argsString) {
+    const parts = (argsString || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (parts.length === 0 || parts[0] === 'status') return parts.length <= 1 ? { action: 'status' } : null;
+    if (parts[0] === 'off') return parts.length === 1 ? { action: 'off' } : null;
+    if (parts[0] === 'on') {
+        parts.shift();
+        if (parts.length === 0) {
+            return { action: 'set', hours: DEFAULT_PROBATION_HOURS, messages: DEFAULT_PROBATION_MESSAGES };
+        }
+    }
+    if (parts.length > 2) return null;
+
+    let hours = null;
+    let messages = null;
+    for (const part of parts) {
+        const duration = part.match(/^(\d+)(h|d)$/);
+        const count = part.match(/^(\d+)(msgs?|messages?)?$/);
+        if (duration && hours === null) {
+            hours = parseInt(duration[1], 10) * (duration[2] === 'd' ? 24 : 1);
+        } else if (count && messages === null) {
+            messages = parseInt(count[1], 10);
+        } else {
+            return null;
+        }
+    }
+
+    if (hours === null) hours = DEFAULT_PROBATION_HOURS;
+    if (hours < 1 || hours > 30 * 24) return null;
+    if (messages !== null && (messages < 1 || messages > 100)) return null;
+    return { action: 'set', hours, messages };
+}
+
+/**
+ * Parse #captcha command arguments.
+ * Module-level so it can be imported and unit-tested without instantiating CommandHandler.
+ *
+ * @param {string} argsString  The raw args string (e.g. 'on', 'math 5', 'reply', 'question 10 What is our school called? = Herzl', 'off', '')
+ * @returns {{ action: 'status'|'off'|'set', type?: string, minutes?: number, question?: string, answer?: string } | null}
+ *   null for unrecognised/malformed input. 'on' is a math captcha; minutes default to DEFAULT_CAPTCHA_MINUTES.
+ *   The question keeps its original case; only the type and minutes are case-insensitive.
+ */
+function parseCaptchaArgs(argsString) {
+    const parts = (argsString || '').trim().split(/\s+/).filter(Boolean);
+    const first = (parts[0] || '').toLowerCase();
+
+    if (parts.length === 0 || first === 'status') return parts.length <= 1 ? { action: 'status' } : null;
+    if (first === 'off') return parts.length === 1 ? { action: 'off' } : null;
+    if (first === 'on') return parts.length === 1 ? { action: 'set', type: 'math', minutes: DEFAULT_CAPTCHA_MINUTES } : null;
+    if (!CAPTCHA_TYPES.includes(first)) return null;
+    parts.shift();
+
+    let minutes = DEFAULT_CAPTCHA_MINUTES;
+    const minutesMatch = (parts[0] || '').match(/^(\d+)m?$/i);
+    if (minutesMatch) {
+        minutes = parseInt(minutesMatch[1], 10);
+        parts.shift();
+    }
+    if (minutes < 1 || minutes > 60) return null;
+
+    if (first !== 'question') {
+        return parts.length === 0 ? { action: 'set', type: first, minutes } : null;
+    }
+
+    const qa = parts.join(' ');
+    const separator = qa.lastIndexOf('=');
+    if (separator === -1) return null;
+    const question = qa.slice(0, separator).trim();
+    const answer = qa.slice(separator + 1).trim();
+    if (!question || !answer || question.length > 200 || answer.length > 50) return null;
+    return { action: 'set', type: 'question', minutes, question, answer };
+}
+
+/**
+ * Parse #urlpolicy command arguments.
+ * Module-level so it can be imported and unit-tested without instantiating CommandHandler.
+ *
+ * @param {string} argsString  The raw args string (e.g. 'delete', 'allow edu.gov.il,education.gov.il', 'deny *', 'remove bit.ly', 'reset', '')
+ * @returns {{ action: 'status'|'mode'|'allow'|'deny'|'remove'|'reset', mode?: string, domains?: string[] } | null}
+ *   null for unrecognised/malformed input. '*' (every link) is only valid for deny/remove.
+ */
+function parseUrlPolicyArgs(argsString) {
+    const parts = (argsString || '').trim().toLowerCase().split(/[\s,]+/).filter(Boolean);
+
+    if (parts.length === 0 || parts[0] === 'status') return parts.length <= 1 ? { action: 'status' } : null;
+    if (URL_POLICY_MODES.includes(parts[0])) return parts.length === 1 ? { action: 'mode', mode: parts[0] } : null;
+    if (parts[0] === 'reset') return parts.length === 1 ? { action: 'reset' } : null;
+    if (!['allow', 'deny', 'remove'].includes(parts[0]) || parts.length < 2) return null;
+
+    const action = parts.shift();
+    const domains = [];
+    for (const part of parts) {
+        const domain = parsePolicyDomain(part);
+        if (!domain || (domain === DENY_ALL && action === 'allow')) return null;
+        if (!domains.includes(domain)) domains.push(domain);
+    }
+    return { action, domains };
+}
+
+/**
+ * Parse #urlblock command arguments: a rule pattern, optionally followed by an expiry.
+ * Module-level so it can be imported and unit-tested without instantiating CommandHandler.
+ *
+ * @param {string} argsString  The raw args string (e.g. 'evil.com', '*.spam.tld 7d', 'bit.ly/abc* 24h', '/casino\d+/i')
+ * @returns {{ type: string, pattern: string, expiresInHours: number|null } | null}
+ *   null for unrecognised/malformed input. Expiry is 1h-365d (h = hours, d = days, w = weeks).
+ */
+function parseUrlBlockArgs(argsString) {
+    const parts = (argsString || '').trim().split(/\s+/).filter(Boolean);
+    let expiresInHours = null;
+
+    const expiry = parts.length > 1 ? parts[parts.length - 1].match(/^(\d+)([hdw])$/i) : null;
+    if (expiry) {
+        expiresInHours = parseInt(expiry[1], 10) * { h: 1, d: 24, w: 168 }[expiry[2].toLowerCase()];
+        if (expiresInHours < 1 || expiresInHours > 365 * 24) return null;
+        parts.pop();
+    }
+
+    const rule = parseBlockRule(parts.join(' '));
+    return rule ? { ...rule, expiresInHours } : null;
+}
+
+/**
+ * Parse #audit command arguments.
+ * Module-level so it can be imported and unit-tested without instantiating CommandHandler.
+ *
+ * @param {string} argsString  The raw args string (e.g. '972555123456 30', 'group 7', '14', '')
+ * @returns {{ scope: 'default'|'phone'|'group', phone?: string, days: number } | null}
+ *   null for unrecognised/malformed input.
+ */
+function parseAuditArgs(argsString) {
+    const parts = (argsString || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    let scope = 'default';
+    let phone;
+    let days = 7;
+
+    for (const part of parts) {
+        if (part === 'group' || part === 'here') {
+            if (scope !== 'default') return null;
+            scope = 'group';
+            continue;
+        }
+
+        const digits = part.replace(/[^0-9]/g, '');
+        if (!digits || digits.length !== part.replace(/^\+/, '').length) return null;
+
+        // Short numbers are a day count, long ones a phone number
+        if (digits.length <= 3) {
+            days = parseInt(digits, 10);
+            if (days < 1 || days > 365) return null;
+        } else {
+            if (scope !== 'default' || digits.length < 6) return null;
+            scope = 'phone';
+            phone = digits;
+        }
+    }
+
+    return scope === 'phone' ? { scope, phone, days } : { scope, days };
+}
+
+/**
+ * Parse #grant / #revoke command arguments (tokens in any order).
+ * Module-level so it can be imported and unit-tested without instantiating CommandHandler.
+ *
+ * @param {string} argsString  The raw args string (e.g. '972555123456 moderator', 'reviewer here',
+ *                             '+972555123456 group-admin 120363...@g.us')
+ * @returns {{ phone: string|null, role: string|null, scope: 'global'|'here'|'group'|null, groupId?: string } | null}
+ *   null for unrecognised/malformed input. scope null = not given (caller picks the default).
+ */
+function parseRoleArgs(argsString) {
+    const parts = (argsString || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const result = { phone: null, role: null, scope: null };
+
+    for (const part of parts) {
+        const role = part === 'groupadmin' ? 'group-admin' : part === 'mod' ? 'moderator' : part;
+        if (roleService.ROLES.includes(role)) {
+            if (result.role) return null;
+            result.role = role;
+        } else if (part === 'here' || part === 'global') {
+            if (result.scope) return null;
+            result.scope = part;
+        } else if (part.endsWith('@g.us')) {
+            if (result.scope) return null;
+            result.scope = 'group';
+            result.groupId = part;
+        } else {
+            const digits = part.replace(/^\+/, '');
+            if (!/^\d{6,}$/.test(digits) || result.phone) return null;
+            result.phone = digits;
+        }
+    }
+
+    return result;
+}
+
+// Flags that turn a bulk removal into a preview (#botforeign --dry, #clear --preview)
+const DRY_RUN_FLAGS = ['--dry', '--dry-run', '--preview'];
+
+// Commands #preview accepts (each supports --dry)
+const PREVIEW_COMMANDS = ['#botforeign', '#clear', '#kickglobal', '#scan'];
+
+/**
+ * Split the dry-run flag off command arguments.
+ * Module-level so it can be imported and unit-tested without instantiating CommandHandler.
+ *
+ * @param {string[]|string} args  Command args (e.g. ['--dry'], 'kick --dry')
+ * @returns {{ dryRun: boolean, args: string[] }}  args without the flag
+ */
+function parseDryRunArgs(args) {
+    const list = Array.isArray(args) ? args : (args || '').trim().split(/\s+/).filter(Boolean);
+    const rest = list.filter(arg => !DRY_RUN_FLAGS.includes(arg.toLowerCase()));
+    return { dryRun: rest.length !== list.length, args: rest };
+}
+
+/**
+ * Text of the message an admin replied to (for audit snippets)
+ * @returns {string|null}
+ */
+function getQuotedText(msg) {
+    const message = msg?.message || {};
+    const messageType = Object.keys(message)[0];
+    const quoted = message[messageType]?.contextInfo?.quotedMessage || message.contextInfo?.quotedMessage;
+    if (!quoted) return null;
+
+    return quoted.conversation ||
+           quoted.extendedTextMessage?.text ||
+           quoted.imageMessage?.caption ||
+           quoted.videoMessage?.caption ||
+           null;
+}
+
 class CommandHandler {
     // Track processed messages to prevent duplicates
     static processedMessages = new Set();
@@ -89,8 +482,13 @@ class CommandHandler {
     }
     
     getAdminJid() {
-        const phone = config.ALERT_PHONE || '972544345287';
-        return phone + '@s.whatsapp.net';
+        // Commands from moderators/reviewers answer the person who sent them;
+        // owners (and everything outside a command) use the alert phone
+        const context = commandReplyContext.getStore();
+        if (context && context.replyJid) {
+            return context.replyJid;
+        }
+        return config.ALERT_PHONE + '@s.whatsapp.net';
     }
 
     // TEMPORARY: Use direct API with rate limiting until shared cache is implemented
@@ -134,6 +532,64 @@ class CommandHandler {
             }
         }
 
+        // Role check: the sender needs the permission this command maps to (see roleService)
+        const access = this.checkCommandAccess(msg, cmd, args, isAdmin);
+        if (!access.allowed) {
+            console.log(`[${getTimestamp()}] 🚫 ${cmd} denied for ${access.senderId}: needs ${access.permission}`);
+            await this.sock.sendMessage(access.replyJid, { text: access.message });
+            return true;
+        }
+        if (access.permission) {
+            isAdmin = true;
+            isSuperAdmin = isSuperAdmin || access.owner;
+        }
+
+        return await commandReplyContext.run({ replyJid: access.replyJid }, () =>
+            this.dispatchCommand(msg, cmd, command, args, isAdmin, isSuperAdmin)
+        );
+    }
+
+    /**
+     * Decide whether the sender may run a command
+     * @param {boolean} isAdmin - Caller's admin flag (WhatsApp group admin or bot owner)
+     * @returns {{ allowed: boolean, owner: boolean, permission: string|null, senderId: string,
+     *             replyJid: string|null, message?: string }}
+     *   replyJid is the issuer's chat for non-owners (null = alert phone)
+     */
+    checkCommandAccess(msg, cmd, args, isAdmin) {
+        const senderId = msg.key.participant || msg.key.remoteJid;
+        const isGroup = msg.key.remoteJid.endsWith('@g.us');
+        const groupId = isGroup ? msg.key.remoteJid : null;
+        const owner = !!msg.key.fromMe || roleService.isOwner(senderId);
+        const replyJid = owner ? null : (isGroup ? senderId : msg.key.remoteJid);
+        const permission = roleService.commandPermission(cmd, args);
+
+        if (owner || !permission) {
+            return { allowed: true, owner, permission, senderId, replyJid };
+        }
+
+        // In a group the caller's isAdmin means WhatsApp group admin → implicit group-admin role there
+        const options = { isGroupAdmin: isGroup && isAdmin };
+        if (roleService.can(senderId, permission, groupId, options) ||
+            (options.isGroupAdmin && roleService.isGroupAdminCommand(cmd, args))) {
+            return { allowed: true, owner, permission, senderId, replyJid };
+        }
+
+        const roles = roleService.getRoles(senderId, groupId, options)
+            .map(r => `${r.role}${r.global ? '' : ' (this group)'}`);
+        const globalOnly = roleService.GLOBAL_PERMISSIONS.includes(permission);
+        return {
+            allowed: false,
+            owner,
+            permission,
+            senderId,
+            replyJid: replyJid || this.getAdminJid(),
+            message: `⛔ ${cmd} needs the *${roleService.roleForPermission(permission)}* role${globalOnly ? ' (global grant)' : ''}.\n` +
+                     `Your roles here: ${roles.length > 0 ? roles.join(', ') : 'none'}`
+        };
+    }
+
+    async dispatchCommand(msg, cmd, command, args, isAdmin, isSuperAdmin) {
         try {
             switch (cmd) {
                 case '#help':
@@ -161,9 +617,39 @@ class CommandHandler {
                     
                 case '#unmute':
                     return await this.handleUnmute(msg, args, isAdmin);
+
+                case '#mutes':
+                    return await this.handleMuteList(msg, isAdmin);
+
+                case '#strikepolicy':
+                    return await this.handleStrikePolicy(msg, args, isAdmin);
+
+                case '#warnings':
+                    return await this.handleWarningsView(msg, args, isAdmin);
+
+                case '#clearwarnings':
+                    return await this.handleWarningsClear(msg, args, isAdmin);
+
+                case '#warningstats':
+                    return await this.handleWarningsStats(msg, isAdmin);
+
+                case '#audit':
+                    return await this.handleAudit(msg, args, isAdmin);
                     
                 case '#clear':
-                    return await this.handleClear(msg, isAdmin);
+                    return await this.handleClear(msg, isAdmin, parseDryRunArgs(args));
+
+                case '#scan':
+                    return await this.handleScan(msg, args, isAdmin);
+
+                case '#preview':
+                    return await this.handlePreview(msg, args, isAdmin, isSuperAdmin);
+
+                case 'confirm':
+                    return await this.handleConfirm(msg);
+
+                case 'cancel':
+                    return await this.handleCancelPreview(msg);
 
                 case '#bullywatch':
                     return await this.handleBullyWatch(msg, args, isAdmin);
@@ -175,7 +661,7 @@ class CommandHandler {
                     return await this.handleKick(msg, isAdmin);
 
                 case '#kickglobal':
-                    return await this.handleKickGlobal(msg, isAdmin);
+                    return await this.handleKickGlobal(msg, isAdmin, parseDryRunArgs(args));
 
                 case '#ban':
                     return await this.handleBan(msg, isAdmin);
@@ -217,10 +703,25 @@ class CommandHandler {
                     return await this.handleStats(msg, isAdmin);
                     
                 case '#botforeign':
-                    return await this.handleBotForeign(msg, isAdmin);
+                    return await this.handleBotForeign(msg, isAdmin, parseDryRunArgs(args));
 
                 case '#botforeignoff':
                     return await this.handleBotForeignOff(msg, isAdmin);
+
+                case '#countrypolicy':
+                    return await this.handleCountryPolicy(msg, args, isAdmin);
+
+                case '#flood':
+                    return await this.handleFlood(msg, args, isAdmin);
+
+                case '#probation':
+                    return await this.handleProbation(msg, args, isAdmin);
+
+                case '#captcha':
+                    return await this.handleCaptcha(msg, args, isAdmin);
+
+                case '#urlpolicy':
+                    return await this.handleUrlPolicy(msg, args, isAdmin);
                     
                 case '#sessioncheck':
                     return await this.handleSessionCheck(msg, isAdmin);
@@ -265,6 +766,12 @@ class CommandHandler {
                 case '#autotranslate':
                 case '#translation':
                     return await this.handleTranslationToggle(msg, args);
+
+                case '#glossary':
+                    return await this.handleGlossary(msg, args);
+
+                case '#translatestats':
+                    return await this.handleTranslateStats(msg);
                     
                 case '#jokeson':
                     return await this.handleJokesOn(msg, isAdmin);
@@ -290,6 +797,15 @@ class CommandHandler {
                 case '#categories':
                     return await this.handleCategories(msg, isAdmin);
 
+                case '#grant':
+                    return await this.handleGrant(msg, args);
+
+                case '#revoke':
+                    return await this.handleRevoke(msg, args);
+
+                case '#roles':
+                    return await this.handleRoles(msg, args);
+
                 // #free system removed - use admin #unblacklist instead
 
                 default:
@@ -309,7 +825,7 @@ class CommandHandler {
     }
 
     async handleHelp(msg) {
-        // STRICT SECURITY: #help ONLY works in private chat from 972544345287
+        // STRICT SECURITY: #help ONLY works in private chat from an owner or role holder
         const senderId = msg.key.participant || msg.key.remoteJid;
         const senderPhone = senderId.split('@')[0];
         const isPrivateChat = !msg.key.remoteJid.endsWith('@g.us');
@@ -323,15 +839,8 @@ class CommandHandler {
         console.log(`   config.ADMIN_LID: ${config.ADMIN_LID}`);
         console.log(`   isPrivateChat: ${isPrivateChat}`);
 
-        // Check if it's the authorized admin (same pattern as index.js)
-        // Handles both regular phone format AND LID format
-        const isAuthorizedAdmin =
-            senderPhone === config.ALERT_PHONE ||
-            senderPhone === config.ADMIN_PHONE ||
-            senderPhone === config.ADMIN_LID ||
-            senderId.includes(config.ALERT_PHONE) ||
-            senderId.includes(config.ADMIN_PHONE) ||
-            senderId.includes(config.ADMIN_LID);
+        // Owners (config or granted) and anyone holding a role (handles phone AND LID format)
+        const isAuthorizedAdmin = roleService.hasAnyRole(senderId);
 
         console.log(`   isAuthorizedAdmin: ${isAuthorizedAdmin}`);
 
@@ -356,16 +865,13 @@ class CommandHandler {
 
         // RULE 3: Only reaches here if BOTH conditions met:
         // ✓ Private chat
-        // ✓ From 972544345287 (your number or LID)
+        // ✓ From an owner or role holder (number or LID)
         console.log(`[${getTimestamp()}] ✅ Authorized #help access from admin: ${senderPhone}`);
 
-        // Check if it's specifically the alert phone for detailed help
-        const isAlertPhone =
-            senderPhone === config.ALERT_PHONE ||
-            senderPhone === config.ADMIN_LID ||
-            senderId.includes(config.ALERT_PHONE);
+        // Owners get the full reference, other roles the short list
+        const isAlertPhone = roleService.isOwner(senderId);
 
-        // Special detailed help for alert phone
+        // Special detailed help for owners
         if (isAlertPhone) {
             const detailedHelpText = `📝 *CommGuard Bot - FULL COMMAND REFERENCE*
 
@@ -389,6 +895,9 @@ class CommandHandler {
 • *#kickglobal* - Reply to message → Remove user from multiple groups
 • *#ban* - Reply to message → Kick + blacklist user
 • *#clear* - Scan group and remove all blacklisted users
+• *#scan* - Queue the background blacklist scan for this group
+• Add *--dry* (or use *#preview <command>*) to #botforeign, #clear, #kickglobal, #scan
+  → Lists who would be removed + whitelisted/admin skips; reply *confirm* within ${Math.round(CONFIRM_WINDOW_MS / 60000)} min to run it, *cancel* to drop it
 
 *🛡️ Bullywatch Commands:*
 • *#bullywatch on [class]* - Enable bullying + image monitoring (MANDATORY: include class name)
@@ -407,14 +916,39 @@ class CommandHandler {
 
 *🔇 Mute Commands:*
 • *#mute 30* - Mute entire group for 30 minutes
-• *#mute* (reply) - Mute specific user (auto-deletes their messages)
-• *#unmute* - Unmute group or user
+• *#mute* (reply) - Mute specific user in this group (auto-deletes their messages, survives restarts)
+• *#mute 60 spamming* (reply) - Mute with a reason (stored with the issuing admin)
+• *#mutes* - List active mutes in this group (who muted, why, until when)
+• *#unmute* - Unmute group or user (shows who muted them and why)
 
 *📋 Whitelist Management:*
-• *#whitelist 972555123456* - Add to whitelist (bypasses ALL restrictions)
+• *#whitelist 972555123456* - Add to whitelist (bypasses ALL restrictions, survives restarts)
+• *#whitelist 972555123456 here* - Whitelist in this group only
 • *#unwhitelist 972555123456* - Remove from whitelist
+• *#unwhitelist 972555123456 here* - Remove this group's whitelist entry
 • *#whitelst* - List whitelisted numbers
 
+*⚖️ Invite Link Strikes:*
+• *#strikepolicy* - Show this group's strike policy
+• *#strikepolicy 2 14 blacklist* - 2 warnings before kick, expire after 14 days, auto-blacklist on kick
+• *#strikepolicy reset* - Default: kick on first link, 7 days, no auto-blacklist
+• *#warnings* (reply or phone) - Show a user's active warnings
+• *#clearwarnings* (reply or phone) - Clear warnings (group: this group only, private: all)
+• *#warningstats* - Warning statistics
+
+*📜 Audit Log:*
+• *#audit* - Moderation actions in this group (private chat: all groups), last 7 days
+• *#audit 972555123456 30* - Everything done to a user in the last 30 days (or reply with #audit)
+• *#audit group 14* - This group's actions in the last 14 days
+
+*👥 Roles (owner only):*
+• *#grant 972555123456 moderator* - Moderate all groups (kick, blacklist, kickglobal, settings)
+• *#grant 972555123456 group-admin* - Moderate this group only (send in the group, or add the group ID)
+• *#grant 972555123456 reviewer [here]* - Read-only + bullywatch review
+• *#revoke 972555123456 [role] [here]* - Remove one role, or all of them
+• *#roles [phone]* - List granted roles
+  WhatsApp group admins count as group-admin in their own group
+
 *🚫 Blacklist Management:*
 • *#blacklist 972555123456* - Add to blacklist (auto-kicked on join)
 • *#unblacklist 972555123456* or *#ub 972555123456* - Remove from blacklist
@@ -424,29 +958,72 @@ class CommandHandler {
 
 *🔗 URL Blacklist Management:*
 • *#urlblock <url>* - Add URL to global blacklist (auto-deleted in all groups)
-• *#urlunblock <url>* - Remove URL from global blacklist
-• *#urlblocklist* - Show all blocked URLs
+• Wildcard rule: #urlblock *.spam.tld
+• Path-prefix rule: #urlblock bit.ly/abc*
+• Regex rule (full URL): #urlblock /casino\\d+/i
+• *#urlblock <rule> 7d* - Rule expires after 7 days (h / d / w)
+• *#urlunblock <url>* - Remove URL from global blacklist (or *#urlunblock #id*)
+• *#urlblocklist* - Show all rules with hit counts, who added them and expiry
+
+*🔗 Group URL Policy:*
+• *#urlpolicy alert|delete|off* - Unknown links: alert admins (default), auto-delete, or no checks
+• *#urlpolicy allow edu.gov.il,education.gov.il* - Allow extra domains in this group
+• *#urlpolicy deny bit.ly* - Always delete a domain here (deny * = every link that is not allowed)
+• *#urlpolicy remove <domain>* - Take a domain off both lists · *#urlpolicy reset* - Back to defaults
+• *#urlpolicy* - Show the group's policy
+  The global #urlblock list applies in every group, whatever the policy
 
 *📊 Violation Tracking:*
-• Invite link posted → Kick + violation recorded + admin alert
+• Invite link posted → Deleted + kick (or warnings first, per #strikepolicy) + violation recorded + admin alert
 • Admin kick → Violation recorded + admin alert
 • Reply *1* to alert → Blacklist user
 • Reply *0* to alert → Skip (violation still recorded)
 • Reply *#ub* to alert → Remove from blacklist
+• Reply *undo* to a kick alert (24h) → Unblacklist, clear violations, re-add
+• Reply *kickglobal* to a cross-group spam alert → Remove the sender(s) from all groups
 
 *🌍 Country Restriction:*
-• *#botforeign* - Remove all +1/+6 users + enable auto-kick on future joins
-• *#botforeignoff* - Disable the auto-kick filter
+• *#countrypolicy allow 972,44* - Only these prefixes may join/stay
+• *#countrypolicy block 1,6,234 [warn]* - Remove these prefixes (warn = alert admins, no kick)
+• *#countrypolicy kick|warn|off* - Change the action, or disable · *#countrypolicy* - Show
+• *#botforeign* - Remove current members who break the policy (none set → block +1/+6) + enforce on joins
+• *#botforeignoff* - Disable the policy
   Protects +972 (Israel) — never kicked
 
+*🌊 Flood Protection:*
+• *#flood 10/60 mute* - Over 10 messages per 60s per member → delete the excess, mute 10 min after 3 more
+• *#flood repeat 3/120 delete* - Same text more than 3 times in 2 minutes → delete the repeats
+• *#flood media 5/30 alert 30* - Sticker/media bursts → delete, mute 30 min, alert admins
+• *#flood off [messages|repeat|media]* - Remove one rule or all · *#flood* - Show rules
+  Admins and whitelisted users are never limited (needs Redis)
+
+*🕒 New-Member Probation:*
+• *#probation 24h 5* - New members: for 24h or their first 5 messages, links, media, forwards and mention-all are held for approval
+• *#probation on* - Same with the defaults (24h / 5 messages) · *#probation 48h* - Time limit only
+• *#probation off* - Disable · *#probation* - Show the setting
+  Held messages are alerted to you: reply 1 (approve + repost), 2 (reject) or 3 (reject + kick). Members added by an admin skip probation (needs Redis)
+
+*🧩 Join Captcha:*
+• *#captcha math 5* - New members answer a math question within 5 minutes or are removed
+• *#captcha reply* - New members must reply to the bot's welcome message
+• *#captcha question 10 What is our school called? = Herzl* - Your own question and answer
+• *#captcha on* - Math, ${DEFAULT_CAPTCHA_MINUTES} min · *#captcha off* - Disable · *#captcha* - Show the setting
+  Messages sent before answering are deleted; ${MAX_WRONG_ANSWERS} wrong answers also remove the member. Members added by an admin skip it (needs Redis)
+
 *🌐 Translation Commands:*
 • *#translate <text>* - Translate text (auto-detect source language)
 • *#translate <lang> <text>* - Translate to specific language
 • *#langs* - Show supported language codes
 • *#ru* → Russian  • *#he* → Hebrew  • *#fr* → French  • *#en* → English
 • *#autotranslate on ru,he* - Enable auto-translate Russian→Hebrew in this group
+• *#autotranslate on ru+ar,he* - Several source languages (he, ru, ar, en, fr, am); mixed-language messages are skipped
+• *#autotranslate bilingual he,ru* - Translate both ways: Hebrew → Russian and Russian → Hebrew
 • *#autotranslate off* - Disable auto-translation for this group
 • *#autotranslate status* - Show current setting for this group
+• *#autotranslate provider google|openai|default* - Translation provider for this group (others are the fallback)
+• *#glossary add מורה=учительница* - Term every translation in this group must use (both directions)
+• *#glossary remove מורה* / *#glossary* - Remove a term / list the glossary
+• *#translatestats* - Cache hit rate and API spend (this group; every group in private)
 
 *🎭 Entertainment:*
 • *#jokeson* / *#jokesoff* / *#jokesstatus* - Control Hebrew jokes per group
@@ -476,8 +1053,8 @@ class CommandHandler {
    - Blacklisted user joins → Instant kick + alert
    - Admin override: If admin adds blacklisted user → Allowed to stay
 
-4. **Country Code Auto-Kick** ✅
-   - Auto-kicks +1 and +6x numbers, never +972
+4. **Country Code Policy** ✅ (groups with #countrypolicy / #botforeign)
+   - Allow- or block-list of prefixes per group, kick or warn admins, never +972
 
 5. **Bullywatch AI** 🛡️ (groups with #bullywatch on)
    - 4-layer detection: Lexicon → Temporal → Scoring → gpt-5.4-nano (ambiguous only)
@@ -498,6 +1075,7 @@ class CommandHandler {
 • #help only works in private chat
 • Alert phone: ${config.ALERT_PHONE} (YOU)
 • Admin phone: ${config.ADMIN_PHONE}
+• Granted roles: ${roleService.listRoles().length} (see #roles)
 
 *📱 BOT STATUS:*
 • Version: 2.0 (Baileys)
@@ -532,6 +1110,7 @@ class CommandHandler {
 • *#kickglobal* - Remove user from multiple groups
 • *#ban* - Kick + blacklist user
 • *#clear* - Remove all blacklisted users from current group
+• *#scan* - Queue the blacklist scan · *--dry* / *#preview* on bulk commands → reply *confirm*
 
 *🛡️ Bullywatch (anti-bullying + image moderation):*
 • *#bullywatch on [class]* - Enable (required: class name e.g. ג3)
@@ -543,14 +1122,21 @@ class CommandHandler {
 
 *🔇 Mute Commands:*
 • *#mute 30* - Mute group for 30 minutes
-• *#mute* (reply) - Mute specific user
+• *#mute [minutes] [reason]* (reply) - Mute specific user
+• *#mutes* - Active mutes in this group
 • *#unmute* - Unmute group/user
 
 *📋 Whitelist:*
-• *#whitelist 972555123456* - Bypass all restrictions
-• *#unwhitelist 972555123456* - Remove from whitelist
+• *#whitelist 972555123456 [here]* - Bypass all restrictions (here = this group only)
+• *#unwhitelist 972555123456 [here]* - Remove from whitelist
 • *#whitelst* - List whitelist
 
+*⚖️ Strikes:*
+• *#strikepolicy <warnings> [days] [blacklist]* - Invite link strike policy
+• *#warnings* (reply) - User's warnings · *#clearwarnings* (reply) - Clear them
+• *#audit [phone|group] [days]* - Who was kicked/warned/deleted, by whom and why
+• *#roles* - Your bot roles (moderator, group-admin, reviewer)
+
 *🚫 Blacklist:*
 • *#blacklist 972555123456* - Add to blacklist
 • *#unblacklist 972555123456* or *#ub* - Remove from blacklist
@@ -560,17 +1146,34 @@ class CommandHandler {
 
 *🔗 URL Blacklist:*
 • *#urlblock <url>* / *#urlunblock <url>* / *#urlblocklist*
+  Also *.domain, host/path* and /regex/ rules; add 7d to expire
+• *#urlpolicy alert|delete|off* / *allow|deny|remove <domains>* / *reset* - Per-group link rules
 
 *🌍 Country Restriction:*
-• *#botforeign* - Remove all +1/+6 users + enable auto-kick on future joins
-• *#botforeignoff* - Disable the auto-kick filter
+• *#countrypolicy allow 972* / *block 1,6 [warn]* / *off* - Per-group country policy
+• *#botforeign* - Apply the policy to current members (default: +1/+6) + on future joins
+• *#botforeignoff* - Disable the policy
+
+*🌊 Flood:*
+• *#flood [messages|repeat|media] 10/60 delete|mute|alert [minutes]* - Per-member rate limits
+• *#flood off [type]* / *#flood* - Remove or show rules
+
+*🕒 Probation:*
+• *#probation 24h 5* / *on* / *off* - Hold new members' links, media, forwards and mention-all for approval
+
+*🧩 Captcha:*
+• *#captcha math|reply [minutes]* / *#captcha question [minutes] <question> = <answer>* / *off* - Verify new members
 
 *🌐 Translation:*
 • *#translate <text>* - Translate text
 • *#ru* → Russian  • *#he* → Hebrew  • *#fr* → French  • *#en* → English
 • *#langs* - Show language codes
-• *#autotranslate on ru,he* - Enable Russian→Hebrew auto-translate in this group
+• *#autotranslate on ru,he* - Enable Russian→Hebrew auto-translate in this group (ru+ar,he for several sources)
+• *#autotranslate bilingual he,ru* - Translate Hebrew⇄Russian both ways
 • *#autotranslate off* - Disable · *#autotranslate status* - Current setting
+• *#autotranslate provider google|openai|default* - Provider for this group
+• *#glossary add מורה=учительница* / *remove מורה* - Terms translations must use
+• *#translatestats* - Cache hit rate and API spend
 
 *🎭 Jokes:*
 • *#jokeson* / *#jokesoff* / *#jokesstatus* - Per-group control
@@ -584,13 +1187,17 @@ class CommandHandler {
 • *#sessioncheck* - Session error statistics
 
 *🚨 Auto-Protection:*
-• Invite links → Auto-kick + alert (reply 1/0 to blacklist/skip)
+• Invite links → Auto-kick (warnings first if #strikepolicy sets them) + alert (reply 1/0 to blacklist/skip)
 • Image moderation → NSFW/violent images alerted (bullywatch groups)
 • Blacklisted users → Auto-kicked on join
-• +1 / +6x numbers → Auto-kicked
+• Country policy → Kick or warn per group (#countrypolicy)
+• Flooding → Excess deleted, then mute + alert per group (#flood)
+• Cross-posted spam → Same text/media in 3+ groups within 10 min deleted everywhere + one alert (reply *kickglobal*)
+• New members on probation → Links/media/forwards/mention-all held for approval (#probation)
+• Unverified new members → Messages deleted until they answer; removed when time runs out (#captcha)
 • Whitelisted users → Never kicked
 
-*🔒 #help only works in private chat · Admin only*`;
+*🔒 #help only works in private chat · Role holders only*`;
 
             await this.sock.sendMessage(this.getAdminJid(), { text: helpText });
         }
@@ -720,6 +1327,13 @@ class CommandHandler {
         const muteUntil = Date.now() + (minutes * 60000);
         
         groupMuteStatus.set(groupId, muteUntil);
+        await this.auditAdminAction(msg, 'mute', {
+            targetUserId: null,
+            groupId,
+            reason: 'Group muted (#mute)',
+            messageSnippet: null,
+            metadata: { scope: 'group', minutes, mutedUntil: new Date(muteUntil).toISOString() }
+        });
 
         await this.sock.sendMessage(this.getAdminJid(), { 
             text: `🔇 הקבוצה הושתקה ל-${minutes} דקות\n` +
@@ -739,10 +1353,12 @@ class CommandHandler {
     }
 
     async handleMuteUser(msg, args) {
-        // Implementation for muting specific user
-        const argsString = Array.isArray(args) ? args.join(' ') : args;
-        const parts = argsString.split(' ');
-        const minutes = parseInt(parts[0], 10) || 60; // Default 1 hour
+        // Implementation for muting specific user: #mute [minutes] [reason...]
+        const argsString = Array.isArray(args) ? args.join(' ') : (args || '');
+        const parts = argsString.trim().split(/\s+/).filter(Boolean);
+        const hasMinutesArg = parts.length > 0 && /^-?\d+$/.test(parts[0]);
+        const minutes = hasMinutesArg ? parseInt(parts[0], 10) : 60; // Default 1 hour
+        const reason = (hasMinutesArg ? parts.slice(1) : parts).join(' ').trim() || null;
         
         if (minutes <= 0) {
             await this.sock.sendMessage(this.getAdminJid(), { 
@@ -785,12 +1401,21 @@ class CommandHandler {
 
         // Extract user ID from quoted message
         const userToMute = quotedParticipant;
+        const groupId = msg.key.remoteJid;
+        const mutedBy = msg.key.participant || msg.key.remoteJid;
         const muteUntil = Date.now() + (minutes * 60000);
         
-        // Add user to mute service
-        const success = await addMutedUser(userToMute, muteUntil);
+        // Add user to mute service (scoped to this group, with issuer + reason for audit)
+        const success = await addMutedUser(userToMute, groupId, muteUntil, { mutedBy, reason });
         
         if (success) {
+            await this.auditAdminAction(msg, 'mute', {
+                targetUserId: userToMute,
+                groupId,
+                reason: reason || 'Muted by admin (#mute)',
+                metadata: { scope: 'user', minutes, mutedUntil: new Date(muteUntil).toISOString() }
+            });
+
             const muteEndTime = new Date(muteUntil).toLocaleString('en-GB', {
                 day: '2-digit',
                 month: '2-digit', 
@@ -801,9 +1426,10 @@ class CommandHandler {
             
             await this.sock.sendMessage(this.getAdminJid(), { 
                 text: `🔇 User muted for ${minutes} minutes until ${muteEndTime}\n` +
-                      `🗑️ All their messages will be automatically deleted\n\n` +
+                      `🗑️ All their messages in this group will be automatically deleted\n` +
+                      `${reason ? `📝 Reason: ${reason}\n` : ''}\n` +
                       `🔇 המשתמש הושתק ל-${minutes} דקות עד ${muteEndTime}\n` +
-                      `🗑️ כל ההודעות שלו יימחקו אוטומטית`
+                      `🗑️ כל ההודעות שלו בקבוצה זו יימחקו אוטומטית`
             });
         } else {
             await this.sock.sendMessage(this.getAdminJid(), { 
@@ -827,7 +1453,38 @@ class CommandHandler {
         return true;
     }
 
-    async handleStats(msg, isAdmin) {
+    formatMuteTime(timestamp) {
+        return new Date(timestamp).toLocaleString('en-GB', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    formatStrikePolicy(policy) {
+        const kickText = policy.warningsBeforeKick === 0
+            ? 'Kick on first invite link'
+            : `${policy.warningsBeforeKick} warning(s), then kick`;
+        return `⚖️ ${kickText}\n` +
+               `⏳ Warnings expire after ${policy.expiryDays} day(s)\n` +
+               `🚫 Auto-blacklist on kick: ${policy.autoBlacklist ? 'ON' : 'OFF'}`;
+    }
+
+    /**
+     * Resolve the target of a warnings command: replied-to participant, or a phone argument.
+     */
+    getWarningsTarget(msg, args) {
+        const quotedParticipant = msg.message?.extendedTextMessage?.contextInfo?.participant;
+        if (quotedParticipant) return quotedParticipant;
+
+        const phone = (Array.isArray(args) ? args[0] : String(args || '').split(/\s+/)[0]) || '';
+        const digits = phone.replace(/[^0-9]/g, '');
+        return digits ? `${digits}@s.whatsapp.net` : null;
+    }
+
+    async handleStrikePolicy(msg, args, isAdmin) {
         if (!isAdmin) {
             await this.sock.sendMessage(this.getAdminJid(), { 
                 text: 'מה אני עובד אצלך?!' 
@@ -835,229 +1492,702 @@ class CommandHandler {
             return true;
         }
 
-        // Check if in private chat
         if (this.isPrivateChat(msg)) {
-            // Show general bot statistics
-            const { blacklistCache } = require('./blacklistService');
-            const { listWhitelist } = require('./whitelistService');
-            const mutedUsers = getMutedUsers();
-            const activeMutes = Array.from(mutedUsers.entries()).filter(([id, muteUntil]) => Date.now() < muteUntil).length;
-            
-            // Get whitelist count
-            const whitelistCount = (await listWhitelist()).length;
-            
-            // Get group information
-            let totalGroups = 0;
-            let adminGroups = 0;
-            try {
-                const groups = await this.sock.groupFetchAllParticipating();
-                totalGroups = Object.keys(groups).length;
-                
-                // Count groups where bot is admin
-                for (const groupId in groups) {
-                    const group = groups[groupId];
-                    const botId = this.sock.user.id;
-                    const botParticipant = group.participants.find(p => {
-                        // Check various ID formats
-                        return p.id === botId || 
-                               p.id === '171012763213843@lid' || // Known bot LID
-                               p.id.includes(botId.split(':')[0].split('@')[0]);
-                    });
-                    
-                    if (botParticipant && (botParticipant.admin === 'admin' || botParticipant.admin === 'superadmin')) {
-                        adminGroups++;
-                    }
-                }
-            } catch (error) {
-                console.error('Error fetching groups:', error);
-            }
-            
-            const statsText = `📊 *Bot Statistics*
-
-👥 *Total Groups:* ${totalGroups}
-👮 *Admin in Groups:* ${adminGroups}
-🚫 *Blacklisted Users:* ${blacklistCache.size}
-✅ *Whitelisted Users:* ${whitelistCount}
-🔇 *Currently Muted:* ${activeMutes}
-🔥 *Firebase:* ${global.FIREBASE_QUOTA_EXHAUSTED ? 'Quota Exhausted (Memory-only)' : 'Connected'} (${config.FEATURES.FIREBASE_INTEGRATION ? 'Enabled' : 'Disabled'})
-🌍 *Country Filter:* ${config.FEATURES.RESTRICT_COUNTRY_CODES ? 'Active' : 'Inactive'}
-
-⏰ *Generated:* ${getTimestamp()}`;
-
-            await this.sock.sendMessage(this.getAdminJid(), { text: statsText });
+            await this.sendGroupOnlyMessage(msg, '#strikepolicy');
             return true;
         }
 
-        // Group statistics
-        try {
-            const groupMetadata = await this.getCachedGroupMetadata(msg.key.remoteJid);
-            const participants = groupMetadata.participants;
-            
-            const adminCount = participants.filter(p => p.admin === 'admin' || p.admin === 'superadmin').length;
-            const memberCount = participants.length;
-            
-            const mutedUsers = getMutedUsers();
-            const activeMutes = Array.from(mutedUsers.entries()).filter(([id, muteUntil]) => Date.now() < muteUntil).length;
+        const groupId = msg.key.remoteJid;
+        const argsString = Array.isArray(args) ? args.join(' ') : (args || '');
+        const parsed = parseStrikePolicyArgs(argsString);
 
-            const statsText = `📊 *Group Statistics*
+        if (!parsed) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '⚠️ Usage: #strikepolicy <warnings> [days] [blacklist|noblacklist]\n\n' +
+                      'Examples:\n' +
+                      '• #strikepolicy 2 14 - Two warnings, third invite link kicks; warnings expire after 14 days\n' +
+                      '• #strikepolicy 0 7 blacklist - Kick and blacklist on the first invite link\n' +
+                      '• #strikepolicy reset - Back to default (kick on the first link, 7 days, no auto-blacklist)\n' +
+                      '• #strikepolicy - Show current policy'
+            });
+            return true;
+        }
 
-👥 *Members:* ${memberCount}
-👮 *Admins:* ${adminCount}
-🔇 *Muted Users:* ${activeMutes}
-📝 *Group Name:* ${groupMetadata.subject}
-🆔 *Group ID:* ${groupMetadata.id}
+        if (parsed.action === 'status') {
+            const policy = await groupService.getStrikePolicy(groupId);
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: `📋 *Invite Link Strike Policy*\n\n${this.formatStrikePolicy(policy)}`
+            });
+            return true;
+        }
 
-⏰ *Generated:* ${getTimestamp()}`;
+        const policy = parsed.action === 'reset'
+            ? { ...groupService.DEFAULT_STRIKE_POLICY }
+            : { warningsBeforeKick: parsed.warningsBeforeKick, expiryDays: parsed.expiryDays, autoBlacklist: parsed.autoBlacklist };
 
-            await this.sock.sendMessage(this.getAdminJid(), { text: statsText });
-        } catch (error) {
-            await this.sock.sendMessage(this.getAdminJid(), { 
-                text: '❌ Failed to get group statistics.' 
+        const ok = await groupService.setStrikePolicy(groupId, policy);
+        if (ok) {
+            await this.auditAdminAction(msg, 'strike_policy', {
+                targetUserId: null,
+                groupId,
+                rule: 'invite_link',
+                reason: parsed.action === 'reset' ? 'Strike policy reset to default' : 'Strike policy updated',
+                messageSnippet: null,
+                metadata: policy
             });
         }
-        
-        return true;
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: ok
+                ? `✅ *Strike policy updated*\n\n${this.formatStrikePolicy(policy)}`
+                : '❌ Failed to update strike policy. Is this group registered in the database?'
+        });
+        return true;
     }
 
-    // Add more command handlers here...
-    async handleKick(msg, isAdmin) {
-        console.log(`[${require('../utils/logger').getTimestamp()}] 🔍 #kick command received from ${isAdmin ? 'admin' : 'user'}`);
-
-        // Debug log the entire message structure
-        console.log(`[${require('../utils/logger').getTimestamp()}] 📦 Message structure:`, {
-            messageKeys: Object.keys(msg.message || {}),
-            hasExtendedText: !!msg.message?.extendedTextMessage,
-            contextInfoKeys: msg.message?.extendedTextMessage?.contextInfo ? Object.keys(msg.message.extendedTextMessage.contextInfo) : []
-        });
+    async handleWarningsView(msg, args, isAdmin) {
+        if (!isAdmin) {
+            await this.sock.sendMessage(this.getAdminJid(), { 
+                text: 'מה אני עובד אצלך?!' 
+            });
+            return true;
+        }
 
-        // Check if user is admin (allow both manual admin kicks and automated bot kicks)
-        if (!isAdmin && !msg.key.fromMe) {
+        const target = this.getWarningsTarget(msg, args);
+        if (!target) {
             await this.sock.sendMessage(this.getAdminJid(), {
-                text: '❌ Only admins can kick users.'
+                text: '⚠️ Reply to a user\'s message with #warnings, or use #warnings 972555123456'
             });
             return true;
         }
 
-        // Check if in private chat
-        if (this.isPrivateChat(msg)) {
+        const phone = target.split('@')[0];
+        const warnings = await warningService.getUserWarnings(target);
+        const groupId = this.isPrivateChat(msg) ? null : msg.key.remoteJid;
+
+        let text = `⚠️ *Invite Link Warnings* - +${phone}\n\n`;
+        if (warnings.length === 0) {
+            text += '✅ No active warnings.';
+        } else {
+            text += warnings.map(w => {
+                const here = groupId && w.groupId === groupId ? ' 📍' : '';
+                return `• ${w.groupName || w.groupId}${here}\n` +
+                       `   Count: ${w.warningCount} · Last: ${this.formatMuteTime(w.lastWarned)}\n` +
+                       `   Expires: ${this.formatMuteTime(w.expiresAt)}`;
+            }).join('\n');
+        }
+
+        if (groupId) {
+            const policy = await groupService.getStrikePolicy(groupId);
+            text += `\n\n📋 *This group's policy:*\n${this.formatStrikePolicy(policy)}`;
+        }
+
+        await this.sock.sendMessage(this.getAdminJid(), { text });
+        return true;
+    }
+
+    async handleWarningsClear(msg, args, isAdmin) {
+        if (!isAdmin) {
+            await this.sock.sendMessage(this.getAdminJid(), { 
+                text: 'מה אני עובד אצלך?!' 
+            });
+            return true;
+        }
+
+        const target = this.getWarningsTarget(msg, args);
+        if (!target) {
             await this.sock.sendMessage(this.getAdminJid(), {
-                text: '⚠️ The #kick command can only be used in groups.\n\nUsage: Reply to a user\'s message in a group and type #kick'
+                text: '⚠️ Reply to a user\'s message with #clearwarnings, or use #clearwarnings 972555123456'
             });
             return true;
         }
 
-        // Check if this is a reply to another message - updated detection logic
-        let quotedMsg = null;
-        let targetUserId = null;
-        let messageId = null;
+        // In a group: clear only this group's strikes. In private: clear everywhere.
+        const groupId = this.isPrivateChat(msg) ? null : msg.key.remoteJid;
+        const cleared = await warningService.clearWarnings(target, groupId);
 
-        // Method 1: extendedTextMessage with contextInfo (most common for text replies)
-        if (msg.message?.extendedTextMessage?.contextInfo) {
-            const contextInfo = msg.message.extendedTextMessage.contextInfo;
-            targetUserId = contextInfo.participant;
-            messageId = contextInfo.stanzaId;
-            quotedMsg = contextInfo;
-            console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Found quoted message via extendedTextMessage`);
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: `✅ Cleared ${cleared} warning record(s) for +${target.split('@')[0]}${groupId ? ' in this group' : ' in all groups'}.`
+        });
+        return true;
+    }
+
+    async handleWarningsStats(msg, isAdmin) {
+        if (!isAdmin) {
+            await this.sock.sendMessage(this.getAdminJid(), { 
+                text: 'מה אני עובד אצלך?!' 
+            });
+            return true;
         }
-        // Method 2: Regular conversation message with contextInfo (alternative format)
-        else if (msg.message?.conversation && msg.message?.contextInfo) {
-            const contextInfo = msg.message.contextInfo;
-            targetUserId = contextInfo.participant;
-            messageId = contextInfo.stanzaId;
-            quotedMsg = contextInfo;
-            console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Found quoted message via conversation contextInfo`);
+
+        const stats = await warningService.getWarningStats();
+        const topGroups = stats.topGroups.length > 0
+            ? stats.topGroups.map(([name, count], i) => `${i + 1}. ${name || 'Unknown'}: ${count}`).join('\n')
+            : 'None';
+
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: `📊 *Warning Statistics*\n\n` +
+                  `⚠️ Active warnings: ${stats.totalActiveWarnings}\n` +
+                  `⏳ Expiring within 24h: ${stats.expiringSoon}\n` +
+                  `📅 Default expiry: ${stats.warningExpiryDays} days\n\n` +
+                  `*Top groups:*\n${topGroups}`
+        });
+        return true;
+    }
+
+    async handleAudit(msg, args, isAdmin) {
+        if (!isAdmin) {
+            await this.sock.sendMessage(this.getAdminJid(), { 
+                text: 'מה אני עובד אצלך?!' 
+            });
+            return true;
         }
-        // Method 3: imageMessage, videoMessage, etc. with contextInfo
-        else {
-            const messageType = Object.keys(msg.message || {})[0];
-            if (msg.message?.[messageType]?.contextInfo) {
-                const contextInfo = msg.message[messageType].contextInfo;
-                if (contextInfo.quotedMessage || contextInfo.participant) {
-                    targetUserId = contextInfo.participant;
-                    messageId = contextInfo.stanzaId;
-                    quotedMsg = contextInfo;
-                    console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Found quoted message via ${messageType} contextInfo`);
+
+        const argsString = Array.isArray(args) ? args.join(' ') : (args || '');
+        const parsed = parseAuditArgs(argsString);
+
+        if (!parsed) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '⚠️ Usage: #audit [phone|group] [days]\n\n' +
+                      'Examples:\n' +
+                      '• #audit 972555123456 30 - Everything done to this user in the last 30 days\n' +
+                      '• #audit group 14 - Actions in this group in the last 14 days\n' +
+                      '• #audit - This group (or all groups, in private chat) for the last 7 days\n' +
+                      '• Reply to a user\'s message with #audit - That user\'s history'
+            });
+            return true;
+        }
+
+        const isPrivate = this.isPrivateChat(msg);
+        if (parsed.scope === 'group' && isPrivate) {
+            await this.sendGroupOnlyMessage(msg, '#audit group');
+            return true;
+        }
+
+        const filters = { days: parsed.days, limit: 20 };
+        let title;
+
+        const quotedParticipant = msg.message?.extendedTextMessage?.contextInfo?.participant;
+        if (parsed.scope === 'phone' || (parsed.scope === 'default' && quotedParticipant)) {
+            filters.targetPhone = parsed.phone || quotedParticipant.split('@')[0];
+            title = `+${filters.targetPhone}`;
+        } else if (!isPrivate) {
+            filters.whatsappGroupId = msg.key.remoteJid;
+            const groupMetadata = await this.getCachedGroupMetadata(msg.key.remoteJid).catch(() => null);
+            title = groupMetadata?.subject || msg.key.remoteJid;
+        } else {
+            title = 'All groups';
+        }
+
+        const rows = await groupService.getAuditLog(filters);
+
+        let text = `📜 *Audit Log* - ${title}\n` +
+                   `🗓️ Last ${parsed.days} day(s)\n\n`;
+
+        if (rows.length === 0) {
+            text += '✅ No moderation actions recorded.';
+        } else {
+            text += rows.map(row => {
+                const outcome = row.outcome === 'failed' ? ' ❌' : '';
+                let line = `• ${this.formatMuteTime(row.timestamp)} - *${row.action.replace(/_/g, ' ').toUpperCase()}*${outcome}\n`;
+                if (!filters.targetPhone && row.target_phone) line += `   👤 +${row.target_phone}\n`;
+                if (!filters.whatsappGroupId && (row.group_name || row.whatsapp_group_id)) {
+                    line += `   📍 ${row.group_name || row.whatsapp_group_id}\n`;
                 }
+                line += `   ⚖️ ${row.rule || 'unknown'} · 👮 ${this.formatKickedBy(row.actor || row.admin_phone)}`;
+                if (row.reason) line += `\n   📝 ${row.reason}`;
+                if (row.message_snippet) line += `\n   💬 "${row.message_snippet}"`;
+                return line;
+            }).join('\n\n');
+
+            if (rows.length >= filters.limit) {
+                text += `\n\n_Showing the ${filters.limit} most recent entries_`;
             }
         }
 
-        console.log(`[${require('../utils/logger').getTimestamp()}] 🔍 Kick command analysis:`, {
-            hasQuotedMsg: !!quotedMsg,
-            hasParticipant: !!targetUserId,
-            participant: targetUserId,
-            messageId: messageId,
-            messageType: Object.keys(msg.message || {})[0],
-            fullMessageKeys: Object.keys(msg.message || {})
+        await this.sock.sendMessage(this.getAdminJid(), { text });
+        return true;
+    }
+
+    /**
+     * Resolve the group a #grant / #revoke applies to
+     * @returns {{ groupId?: string|null, error?: string }} groupId null = global, undefined = any scope
+     */
+    resolveRoleScope(msg, parsed, defaultScope) {
+        const scope = parsed.scope || defaultScope;
+        const isGroup = msg.key.remoteJid.endsWith('@g.us');
+
+        if (scope === 'here') {
+            if (!isGroup) return { error: '⚠️ "here" only works inside a group. Use the group ID in private chat.' };
+            return { groupId: msg.key.remoteJid };
+        }
+        if (scope === 'group') return { groupId: parsed.groupId };
+        if (scope === 'global') return { groupId: null };
+        return { groupId: undefined };
+    }
+
+    describeRoleGrant(grant) {
+        return `*${grant.role}*${grant.groupId ? ` in ${grant.groupId}` : ' (all groups)'}`;
+    }
+
+    async handleGrant(msg, args) {
+        const argsString = Array.isArray(args) ? args.join(' ') : (args || '');
+        const parsed = parseRoleArgs(argsString);
+        const quotedParticipant = msg.message?.extendedTextMessage?.contextInfo?.participant;
+        const phone = parsed?.phone || (quotedParticipant ? roleService.roleKey(quotedParticipant) : null);
+
+        if (!parsed || !parsed.role || !phone) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '⚠️ Usage: #grant <phone> <role> [here|global|groupId]\n\n' +
+                      `Roles: ${roleService.ROLES.join(', ')}\n\n` +
+                      'Examples:\n' +
+                      '• #grant 972555123456 moderator - Moderate all groups\n' +
+                      '• #grant 972555123456 group-admin - Moderate this group (send in the group)\n' +
+                      '• #grant 972555123456 reviewer here - Review bullywatch flags in this group\n' +
+                      '• Reply to a user\'s message with #grant moderator'
+            });
+            return true;
+        }
+
+        // group-admin defaults to the current group, everything else to all groups
+        const scope = this.resolveRoleScope(msg, parsed, parsed.role === 'group-admin' ? 'here' : 'global');
+        const error = scope.error || roleService.validateGrant(parsed.role, scope.groupId);
+        if (error) {
+            await this.sock.sendMessage(this.getAdminJid(), { text: `❌ ${error}` });
+            return true;
+        }
+
+        const grantedBy = roleService.roleKey(msg.key.participant || msg.key.remoteJid);
+        const added = await roleService.grantRole(phone, parsed.role, scope.groupId, grantedBy);
+        const grant = { role: parsed.role, groupId: scope.groupId };
+
+        if (!added) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: `ℹ️ +${phone} already has ${this.describeRoleGrant(grant)}`
+            });
+            return true;
+        }
+
+        await this.auditAdminAction(msg, 'role_grant', {
+            targetUserId: phone,
+            groupId: scope.groupId,
+            rule: 'roles',
+            reason: `Granted ${parsed.role}${scope.groupId ? '' : ' (global)'}`,
+            messageSnippet: null,
+            metadata: { role: parsed.role, scope: scope.groupId ? 'group' : 'global' }
         });
 
-        if (!quotedMsg || !targetUserId) {
-            // Send warning message to the group
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: `✅ Granted ${this.describeRoleGrant(grant)} to +${phone}`
+        });
+        return true;
+    }
+
+    async handleRevoke(msg, args) {
+        const argsString = Array.isArray(args) ? args.join(' ') : (args || '');
+        const parsed = parseRoleArgs(argsString);
+        const quotedParticipant = msg.message?.extendedTextMessage?.contextInfo?.participant;
+        const phone = parsed?.phone || (quotedParticipant ? roleService.roleKey(quotedParticipant) : null);
+
+        if (!parsed || !phone) {
             await this.sock.sendMessage(this.getAdminJid(), {
-                text: '⚠️ Please reply to a message from the user you want to kick.\n\nUsage: Reply to a user\'s message and type #kick'
+                text: '⚠️ Usage: #revoke <phone> [role] [here|global|groupId]\n\n' +
+                      'Without a role, every role of that user is removed.\n' +
+                      'Example: #revoke 972555123456 moderator'
             });
+            return true;
+        }
 
-            // Also send detailed alert to main admin phone for debugging
-            const senderJid = msg.key.participant || msg.key.remoteJid;
-            const senderPhone = senderJid.split('@')[0];
-            const groupId = msg.key.remoteJid;
+        if (roleService.isConfigOwner(phone)) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: `❌ +${phone} is an owner from config (ADMIN_PHONE / ALERT_PHONE / ADMIN_LID) and cannot be revoked.`
+            });
+            return true;
+        }
 
-            // Get group name
-            let groupName = 'Unknown';
-            try {
-                const groupMetadata = await this.getCachedGroupMetadata(groupId);
-                groupName = groupMetadata.subject || 'Unknown';
-            } catch (e) {
-                // Ignore metadata errors
-            }
+        const scope = this.resolveRoleScope(msg, parsed, null);
+        if (scope.error) {
+            await this.sock.sendMessage(this.getAdminJid(), { text: scope.error });
+            return true;
+        }
 
-            // Send alert to main admin
-            const alertPhone = this.config.ALERT_PHONE + '@s.whatsapp.net';
-            await this.sock.sendMessage(alertPhone, {
-                text: `⚠️ COMMAND ERROR ALERT\n\n` +
-                      `Command: #kick\n` +
-                      `User: ${senderPhone}\n` +
-                      `Group: ${groupName}\n` +
-                      `Error: No message reply detected\n` +
-                      `MessageType: ${Object.keys(msg.message || {})[0]}\n` +
-                      `Time: ${new Date().toLocaleString('en-GB')}`
+        const removed = await roleService.revokeRole(phone, parsed.role, scope.groupId);
+        if (removed.length === 0) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: `ℹ️ +${phone} has no matching role.`
+            });
+            return true;
+        }
+
+        for (const grant of removed) {
+            await this.auditAdminAction(msg, 'role_revoke', {
+                targetUserId: phone,
+                groupId: grant.groupId,
+                rule: 'roles',
+                reason: `Revoked ${grant.role}${grant.groupId ? '' : ' (global)'}`,
+                messageSnippet: null,
+                metadata: { role: grant.role, scope: grant.groupId ? 'group' : 'global' }
+            });
+        }
+
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: `✅ Revoked from +${phone}:\n${removed.map(g => `• ${this.describeRoleGrant(g)}`).join('\n')}`
+        });
+        return true;
+    }
+
+    async handleRoles(msg, args) {
+        const senderId = msg.key.participant || msg.key.remoteJid;
+        const isOwner = !!msg.key.fromMe || roleService.isOwner(senderId);
+        const argsString = Array.isArray(args) ? args.join(' ') : (args || '');
+        const parsed = parseRoleArgs(argsString);
+
+        // Only owners can look at other people's roles
+        const phone = isOwner ? (parsed?.phone || null) : roleService.roleKey(senderId);
+        const grants = roleService.listRoles(phone);
+
+        let text = `👮 *Bot Roles*${phone ? ` - +${phone}` : ''}\n\n`;
+
+        if (!phone) {
+            const owners = [...new Set([config.ADMIN_PHONE, config.ALERT_PHONE].filter(Boolean))];
+            text += `🔑 Config owners: ${owners.map(p => `+${p}`).join(', ')}\n\n`;
+        } else if (roleService.isConfigOwner(phone)) {
+            text += '🔑 Owner (from config)\n\n';
+        }
+
+        if (grants.length === 0) {
+            text += phone ? 'No granted roles.' : 'No granted roles. Use #grant <phone> <role>.';
+        } else {
+            text += grants
+                .sort((a, b) => a.phone.localeCompare(b.phone) || a.role.localeCompare(b.role))
+                .map(g => `• ${phone ? '' : `+${g.phone} - `}${this.describeRoleGrant(g)}` +
+                          (g.grantedBy ? ` · by +${g.grantedBy}` : ''))
+                .join('\n');
+        }
+
+        await this.sock.sendMessage(this.getAdminJid(), { text });
+        return true;
+    }
+
+    async handleMuteList(msg, isAdmin) {
+        if (!isAdmin) {
+            await this.sock.sendMessage(this.getAdminJid(), { 
+                text: 'מה אני עובד אצלך?!' 
             });
             return true;
         }
 
+        // Mutes are per group, so the list is only meaningful inside a group
+        if (this.isPrivateChat(msg)) {
+            await this.sendGroupOnlyMessage(msg, '#mutes');
+            return true;
+        }
+
         const groupId = msg.key.remoteJid;
-        // targetUserId already assigned above
-        
+        const activeMutes = Array.from(getMutedUsers(groupId).values())
+            .filter(record => Date.now() < record.muteUntil)
+            .sort((a, b) => a.muteUntil - b.muteUntil);
+
+        let groupName = groupId;
         try {
-            // Get group metadata to check permissions
             const groupMetadata = await this.getCachedGroupMetadata(groupId);
-            
-            // Check if target user is admin
-            const targetParticipant = groupMetadata.participants.find(p => p.id === targetUserId);
-            if (targetParticipant && (targetParticipant.admin === 'admin' || targetParticipant.admin === 'superadmin')) {
-                await this.sock.sendMessage(this.getAdminJid(), { 
-                    text: '❌ Cannot kick admin users.' 
-                });
-                return true;
-            }
+            groupName = groupMetadata.subject || groupId;
+        } catch (e) {
+            // Ignore metadata errors
+        }
 
-            // Check if target user is still in group
-            if (!targetParticipant) {
-                await this.sock.sendMessage(this.getAdminJid(), { 
-                    text: '❌ User is not in this group.' 
-                });
-                return true;
-            }
+        if (activeMutes.length === 0) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: `🔊 No active mutes in ${groupName}.\n` +
+                      `🔊 אין משתמשים מושתקים בקבוצה זו.`
+            });
+            return true;
+        }
 
-            console.log(`[${require('../utils/logger').getTimestamp()}] 👢 Admin kick: ${targetUserId} from ${groupId}`);
+        const lines = activeMutes.map((record, index) => {
+            const remaining = getRemainingMuteTime(record.userId, groupId) || 'expiring';
+            return `${index + 1}. +${record.userId.split('@')[0]}\n` +
+                   `   ⏰ Until ${this.formatMuteTime(record.muteUntil)} (${remaining} left)\n` +
+                   `   👮 By: ${record.mutedBy ? '+' + record.mutedBy.split('@')[0] : 'Unknown'}` +
+                   `${record.createdAt ? ` · 🕒 ${this.formatMuteTime(record.createdAt)}` : ''}\n` +
+                   `   📝 ${record.reason || 'No reason given'}`;
+        });
 
-            // Delete the replied-to message first
-            if (messageId) {
-                try {
-                    await this.sock.sendMessage(this.getAdminJid(), {
-                        delete: {
-                            remoteJid: groupId,
-                            fromMe: false,
-                            id: messageId,
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: `🔇 *Active Mutes — ${groupName}* (${activeMutes.length})\n\n${lines.join('\n\n')}`
+        });
+        return true;
+    }
+
+    async handleStats(msg, isAdmin) {
+        if (!isAdmin) {
+            await this.sock.sendMessage(this.getAdminJid(), { 
+                text: 'מה אני עובד אצלך?!' 
+            });
+            return true;
+        }
+
+        // Check if in private chat
+        if (this.isPrivateChat(msg)) {
+            // Show general bot statistics
+            const { blacklistCache } = require('./blacklistService');
+            const { listWhitelist } = require('./whitelistService');
+            const mutedUsers = getMutedUsers();
+            const activeMutes = Array.from(mutedUsers.values()).filter(record => Date.now() < record.muteUntil).length;
+            
+            // Get whitelist count
+            const whitelistCount = (await listWhitelist()).length;
+            
+            // Get group information
+            let totalGroups = 0;
+            let adminGroups = 0;
+            try {
+                const groups = await this.sock.groupFetchAllParticipating();
+                totalGroups = Object.keys(groups).length;
+                
+                // Count groups where bot is admin
+                for (const groupId in groups) {
+                    const group = groups[groupId];
+                    const botId = this.sock.user.id;
+                    const botParticipant = group.participants.find(p => {
+                        // Check various ID formats
+                        return p.id === botId || 
+                               p.id === '171012763213843@lid' || // Known bot LID
+                               p.id.includes(botId.split(':')[0].split('@')[0]);
+                    });
+                    
+                    if (botParticipant && (botParticipant.admin === 'admin' || botParticipant.admin === 'superadmin')) {
+                        adminGroups++;
+                    }
+                }
+            } catch (error) {
+                console.error('Error fetching groups:', error);
+            }
+            
+            const statsText = `📊 *Bot Statistics*
+
+👥 *Total Groups:* ${totalGroups}
+👮 *Admin in Groups:* ${adminGroups}
+🚫 *Blacklisted Users:* ${blacklistCache.size}
+✅ *Whitelisted Users:* ${whitelistCount}
+🔇 *Currently Muted:* ${activeMutes}
+🔥 *Firebase:* ${global.FIREBASE_QUOTA_EXHAUSTED ? 'Quota Exhausted (Memory-only)' : 'Connected'} (${config.FEATURES.FIREBASE_INTEGRATION ? 'Enabled' : 'Disabled'})
+🌍 *Country Filter:* ${config.FEATURES.RESTRICT_COUNTRY_CODES ? 'Active' : 'Inactive'}
+
+⏰ *Generated:* ${getTimestamp()}`;
+
+            await this.sock.sendMessage(this.getAdminJid(), { text: statsText });
+            return true;
+        }
+
+        // Group statistics
+        try {
+            const groupMetadata = await this.getCachedGroupMetadata(msg.key.remoteJid);
+            const participants = groupMetadata.participants;
+            
+            const adminCount = participants.filter(p => p.admin === 'admin' || p.admin === 'superadmin').length;
+            const memberCount = participants.length;
+            
+            const mutedUsers = getMutedUsers(msg.key.remoteJid);
+            const activeMutes = Array.from(mutedUsers.values()).filter(record => Date.now() < record.muteUntil).length;
+
+            const statsText = `📊 *Group Statistics*
+
+👥 *Members:* ${memberCount}
+👮 *Admins:* ${adminCount}
+🔇 *Muted Users:* ${activeMutes}
+📝 *Group Name:* ${groupMetadata.subject}
+🆔 *Group ID:* ${groupMetadata.id}
+
+⏰ *Generated:* ${getTimestamp()}`;
+
+            await this.sock.sendMessage(this.getAdminJid(), { text: statsText });
+        } catch (error) {
+            await this.sock.sendMessage(this.getAdminJid(), { 
+                text: '❌ Failed to get group statistics.' 
+            });
+        }
+        
+        return true;
+    }
+
+    // Add more command handlers here...
+    /**
+     * Record an admin-issued kick in the rejoin registry (invite link + admins at kick time)
+     * and in the audit log
+     */
+    async recordAdminKick(msg, targetUserId, groupId, groupMetadata, reason, rule = 'manual') {
+        await kickedUserService.recordKick(this.sock, {
+            userId: targetUserId,
+            groupId,
+            groupMetadata,
+            reason,
+            kickedBy: msg.key.participant || msg.key.remoteJid
+        });
+        await this.auditAdminAction(msg, 'kick', {
+            targetUserId,
+            groupId,
+            rule,
+            reason,
+            metadata: { groupName: groupMetadata?.subject }
+        });
+    }
+
+    /**
+     * Write an audit row for an admin-issued action (actor = issuing admin's phone)
+     * @param {string} action - One of groupService.AUDIT_ACTIONS
+     * @param {Object} details - { targetUserId, groupId, rule, reason, messageSnippet, outcome, metadata }
+     */
+    async auditAdminAction(msg, action, details) {
+        await groupService.logAudit(action, {
+            whatsappGroupId: details.groupId,
+            targetPhone: details.targetUserId,
+            actor: (msg.key.participant || msg.key.remoteJid || '').split('@')[0],
+            rule: details.rule || 'manual',
+            reason: details.reason,
+            messageSnippet: details.messageSnippet !== undefined ? details.messageSnippet : getQuotedText(msg),
+            outcome: details.outcome,
+            metadata: details.metadata
+        });
+    }
+
+    async handleKick(msg, isAdmin) {
+        console.log(`[${require('../utils/logger').getTimestamp()}] 🔍 #kick command received from ${isAdmin ? 'admin' : 'user'}`);
+
+        // Debug log the entire message structure
+        console.log(`[${require('../utils/logger').getTimestamp()}] 📦 Message structure:`, {
+            messageKeys: Object.keys(msg.message || {}),
+            hasExtendedText: !!msg.message?.extendedTextMessage,
+            contextInfoKeys: msg.message?.extendedTextMessage?.contextInfo ? Object.keys(msg.message.extendedTextMessage.contextInfo) : []
+        });
+
+        // Check if user is admin (allow both manual admin kicks and automated bot kicks)
+        if (!isAdmin && !msg.key.fromMe) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '❌ Only admins can kick users.'
+            });
+            return true;
+        }
+
+        // Check if in private chat
+        if (this.isPrivateChat(msg)) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '⚠️ The #kick command can only be used in groups.\n\nUsage: Reply to a user\'s message in a group and type #kick'
+            });
+            return true;
+        }
+
+        // Check if this is a reply to another message - updated detection logic
+        let quotedMsg = null;
+        let targetUserId = null;
+        let messageId = null;
+
+        // Method 1: extendedTextMessage with contextInfo (most common for text replies)
+        if (msg.message?.extendedTextMessage?.contextInfo) {
+            const contextInfo = msg.message.extendedTextMessage.contextInfo;
+            targetUserId = contextInfo.participant;
+            messageId = contextInfo.stanzaId;
+            quotedMsg = contextInfo;
+            console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Found quoted message via extendedTextMessage`);
+        }
+        // Method 2: Regular conversation message with contextInfo (alternative format)
+        else if (msg.message?.conversation && msg.message?.contextInfo) {
+            const contextInfo = msg.message.contextInfo;
+            targetUserId = contextInfo.participant;
+            messageId = contextInfo.stanzaId;
+            quotedMsg = contextInfo;
+            console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Found quoted message via conversation contextInfo`);
+        }
+        // Method 3: imageMessage, videoMessage, etc. with contextInfo
+        else {
+            const messageType = Object.keys(msg.message || {})[0];
+            if (msg.message?.[messageType]?.contextInfo) {
+                const contextInfo = msg.message[messageType].contextInfo;
+                if (contextInfo.quotedMessage || contextInfo.participant) {
+                    targetUserId = contextInfo.participant;
+                    messageId = contextInfo.stanzaId;
+                    quotedMsg = contextInfo;
+                    console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Found quoted message via ${messageType} contextInfo`);
+                }
+            }
+        }
+
+        console.log(`[${require('../utils/logger').getTimestamp()}] 🔍 Kick command analysis:`, {
+            hasQuotedMsg: !!quotedMsg,
+            hasParticipant: !!targetUserId,
+            participant: targetUserId,
+            messageId: messageId,
+            messageType: Object.keys(msg.message || {})[0],
+            fullMessageKeys: Object.keys(msg.message || {})
+        });
+
+        if (!quotedMsg || !targetUserId) {
+            // Send warning message to the group
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '⚠️ Please reply to a message from the user you want to kick.\n\nUsage: Reply to a user\'s message and type #kick'
+            });
+
+            // Also send detailed alert to main admin phone for debugging
+            const senderJid = msg.key.participant || msg.key.remoteJid;
+            const senderPhone = senderJid.split('@')[0];
+            const groupId = msg.key.remoteJid;
+
+            // Get group name
+            let groupName = 'Unknown';
+            try {
+                const groupMetadata = await this.getCachedGroupMetadata(groupId);
+                groupName = groupMetadata.subject || 'Unknown';
+            } catch (e) {
+                // Ignore metadata errors
+            }
+
+            // Send alert to main admin
+            const alertPhone = this.config.ALERT_PHONE + '@s.whatsapp.net';
+            await this.sock.sendMessage(alertPhone, {
+                text: `⚠️ COMMAND ERROR ALERT\n\n` +
+                      `Command: #kick\n` +
+                      `User: ${senderPhone}\n` +
+                      `Group: ${groupName}\n` +
+                      `Error: No message reply detected\n` +
+                      `MessageType: ${Object.keys(msg.message || {})[0]}\n` +
+                      `Time: ${new Date().toLocaleString('en-GB')}`
+            });
+            return true;
+        }
+
+        const groupId = msg.key.remoteJid;
+        // targetUserId already assigned above
+        
+        try {
+            // Get group metadata to check permissions
+            const groupMetadata = await this.getCachedGroupMetadata(groupId);
+            
+            // Check if target user is admin
+            const targetParticipant = groupMetadata.participants.find(p => p.id === targetUserId);
+            if (targetParticipant && (targetParticipant.admin === 'admin' || targetParticipant.admin === 'superadmin')) {
+                await this.sock.sendMessage(this.getAdminJid(), { 
+                    text: '❌ Cannot kick admin users.' 
+                });
+                return true;
+            }
+
+            // Check if target user is still in group
+            if (!targetParticipant) {
+                await this.sock.sendMessage(this.getAdminJid(), { 
+                    text: '❌ User is not in this group.' 
+                });
+                return true;
+            }
+
+            console.log(`[${require('../utils/logger').getTimestamp()}] 👢 Admin kick: ${targetUserId} from ${groupId}`);
+
+            // Delete the replied-to message first
+            if (messageId) {
+                try {
+                    await this.sock.sendMessage(this.getAdminJid(), {
+                        delete: {
+                            remoteJid: groupId,
+                            fromMe: false,
+                            id: messageId,
                             participant: targetUserId
                         }
                     });
@@ -1139,12 +2269,20 @@ class CommandHandler {
             
             if (!kickSuccessful) {
                 console.error(`[${require('../utils/logger').getTimestamp()}] ❌ Failed to kick user after ${maxRetries} attempts`);
+                await this.auditAdminAction(msg, 'kick', {
+                    targetUserId,
+                    groupId,
+                    reason: `Kick failed: ${kickError?.message || 'Unknown error'}`,
+                    outcome: 'failed'
+                });
                 await this.sock.sendMessage(this.getAdminJid(), { 
                     text: `⚠️ Failed to kick user after ${maxRetries} attempts. This sometimes happens in large groups.\n\nError: ${kickError?.message || 'Unknown error'}\n\nPlease try again or kick manually.` 
                 });
                 return true;
             }
 
+            await this.recordAdminKick(msg, targetUserId, groupId, groupMetadata, 'Kicked by admin (#kick)');
+
             // Track violation in database (NEW)
             const userPhone = targetUserId.split('@')[0];
             let violations = {};
@@ -1188,7 +2326,7 @@ class CommandHandler {
         return true;
     }
 
-    async handleKickGlobal(msg, isAdmin) {
+    async handleKickGlobal(msg, isAdmin, options = {}) {
         console.log(`[${require('../utils/logger').getTimestamp()}] 🌍 #kickglobal command received from ${isAdmin ? 'admin' : 'user'}`);
 
         // Check if user is admin
@@ -1254,7 +2392,26 @@ class CommandHandler {
 
             // Check if target user is admin
             const targetParticipant = groupMetadata.participants.find(p => p.id === targetUserId);
-            if (targetParticipant && (targetParticipant.admin === 'admin' || targetParticipant.admin === 'superadmin')) {
+            const targetIsAdmin = !!targetParticipant && (targetParticipant.admin === 'admin' || targetParticipant.admin === 'superadmin');
+            const targetPhone = (targetParticipant?.phoneNumber || targetUserId).split('@')[0];
+            const targetWhitelisted = isWhitelisted(targetUserId, groupId) || isWhitelisted(targetPhone, groupId);
+
+            // --dry: report what would happen, run it on "confirm"
+            if (options.dryRun && targetParticipant) {
+                const skipped = targetIsAdmin || targetWhitelisted;
+                return await this.sendRemovalPreview(msg, {
+                    command: '#kickglobal',
+                    groupId,
+                    groupName: groupMetadata.subject,
+                    notes: ['Deletes the replied-to message, removes the user here, then asks which of your other groups to ban them from.'],
+                    targets: skipped ? [] : [{ phone: targetPhone, reason: 'Global ban by admin' }],
+                    whitelistedSkipped: !targetIsAdmin && targetWhitelisted ? [targetPhone] : [],
+                    adminSkipped: targetIsAdmin ? [targetPhone] : [],
+                    execute: () => this.handleKickGlobal(msg, true)
+                });
+            }
+
+            if (targetIsAdmin) {
                 await this.sock.sendMessage(this.getAdminJid(), {
                     text: '❌ Cannot kick admin users.'
                 });
@@ -1269,6 +2426,13 @@ class CommandHandler {
                 return true;
             }
 
+            if (targetWhitelisted) {
+                await this.sock.sendMessage(this.getAdminJid(), {
+                    text: `❌ +${targetPhone} is whitelisted. Use #unwhitelist first.`
+                });
+                return true;
+            }
+
             console.log(`[${require('../utils/logger').getTimestamp()}] 🌍 Global kick initiated: ${targetUserId}`);
 
             // Delete the replied-to message first
@@ -1323,12 +2487,21 @@ class CommandHandler {
             }
 
             if (!kickSuccessful) {
+                await this.auditAdminAction(msg, 'kick', {
+                    targetUserId,
+                    groupId,
+                    rule: 'global_ban',
+                    reason: 'Kick from current group failed (#kickglobal)',
+                    outcome: 'failed'
+                });
                 await this.sock.sendMessage(this.getAdminJid(), {
                     text: `⚠️ Failed to kick user from this group. Cannot proceed with global ban.`
                 });
                 return true;
             }
 
+            await this.recordAdminKick(msg, targetUserId, groupId, groupMetadata, 'Global ban by admin (#kickglobal)', 'global_ban');
+
             // Send "processing" message to admin
             const adminPhone = this.config.ALERT_PHONE;
             const adminJid = `${adminPhone}@s.whatsapp.net`;
@@ -1392,7 +2565,7 @@ class CommandHandler {
         return true;
     }
 
-    async handleClear(msg, isAdmin) {
+    async handleClear(msg, isAdmin, options = {}) {
         console.log(`[${require('../utils/logger').getTimestamp()}] 🧹 #clear command received (clean blacklisted users)`);
 
         if (!isAdmin) {
@@ -1424,18 +2597,24 @@ class CommandHandler {
 
             // Find blacklisted users in this group
             const blacklistedInGroup = [];
+            const whitelistedSkipped = [];
+            const adminSkipped = [];
             for (const participant of groupMetadata.participants) {
                 const participantId = participant.id;
                 const participantPhone = participantId.split('@')[0];
 
-                // Skip admins
-                if (participant.admin) {
+                // Check if blacklisted
+                const isBlacklisted = await blacklistService.isBlacklisted(participantId);
+                if (!isBlacklisted) {
                     continue;
                 }
 
-                // Check if blacklisted
-                const isBlacklisted = await blacklistService.isBlacklisted(participantId);
-                if (isBlacklisted) {
+                // Skip admins and whitelisted users
+                if (participant.admin) {
+                    adminSkipped.push(participantPhone);
+                } else if (isWhitelisted(participantId, groupId)) {
+                    whitelistedSkipped.push(participantPhone);
+                } else {
                     blacklistedInGroup.push({
                         id: participantId,
                         phone: participantPhone
@@ -1443,6 +2622,18 @@ class CommandHandler {
                 }
             }
 
+            if (options.dryRun) {
+                return await this.sendRemovalPreview(msg, {
+                    command: '#clear',
+                    groupId,
+                    groupName,
+                    targets: blacklistedInGroup.map(user => ({ phone: user.phone, reason: 'Blacklisted' })),
+                    whitelistedSkipped,
+                    adminSkipped,
+                    execute: () => this.removeBlacklistedMembers(msg, groupId, groupName, blacklistedInGroup)
+                });
+            }
+
             if (blacklistedInGroup.length === 0) {
                 await this.sock.sendMessage(this.getAdminJid(), {
                     text: '✅ No blacklisted users found in this group.\n\nGroup is clean!'
@@ -1451,74 +2642,284 @@ class CommandHandler {
                 return true;
             }
 
-            // Send start message
+            await this.removeBlacklistedMembers(msg, groupId, groupName, blacklistedInGroup);
+
+        } catch (error) {
+            console.error(`[${require('../utils/logger').getTimestamp()}] ❌ Failed to clean group:`, error);
             await this.sock.sendMessage(this.getAdminJid(), {
-                text: `🧹 *Cleaning Group*\n\n` +
-                      `Found ${blacklistedInGroup.length} blacklisted user(s)\n` +
-                      `⏳ Removing them now...`
+                text: '❌ Failed to clean group. Check logs for details.'
             });
+        }
 
-            // Remove blacklisted users with delays
-            let removed = 0;
-            let failed = 0;
+        return true;
+    }
 
-            for (let i = 0; i < blacklistedInGroup.length; i++) {
-                const user = blacklistedInGroup[i];
+    /**
+     * Remove the blacklisted members #clear found (directly, or after "confirm" on a preview)
+     * @param {Array<{ id: string, phone: string }>} blacklistedInGroup
+     */
+    async removeBlacklistedMembers(msg, groupId, groupName, blacklistedInGroup) {
+        // Send start message
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: `🧹 *Cleaning Group*\n\n` +
+                  `Found ${blacklistedInGroup.length} blacklisted user(s)\n` +
+                  `⏳ Removing them now...`
+        });
 
-                try {
-                    console.log(`[${require('../utils/logger').getTimestamp()}] 🗑️ Removing blacklisted user: ${user.phone}`);
+        // Remove blacklisted users with delays
+        let removed = 0;
+        let failed = 0;
 
-                    await this.sock.groupParticipantsUpdate(groupId, [user.id], 'remove');
-                    removed++;
+        for (let i = 0; i < blacklistedInGroup.length; i++) {
+            const user = blacklistedInGroup[i];
 
-                    console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Removed ${user.phone}`);
+            try {
+                console.log(`[${require('../utils/logger').getTimestamp()}] 🗑️ Removing blacklisted user: ${user.phone}`);
+
+                await this.sock.groupParticipantsUpdate(groupId, [user.id], 'remove');
+                removed++;
+                await this.auditAdminAction(msg, 'kick', {
+                    targetUserId: user.id,
+                    groupId,
+                    rule: 'blacklist',
+                    reason: 'Blacklisted user removed (#clear)',
+                    messageSnippet: null
+                });
 
-                    // Progress update every 5 users
-                    if ((i + 1) % 5 === 0 && (i + 1) < blacklistedInGroup.length) {
-                        await this.sock.sendMessage(this.getAdminJid(), {
-                            text: `🧹 Progress: ${i + 1}/${blacklistedInGroup.length} removed...`
-                        });
-                    }
+                console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Removed ${user.phone}`);
 
-                    // SAFE: 2 second delay between kicks
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+                // Progress update every 5 users
+                if ((i + 1) % 5 === 0 && (i + 1) < blacklistedInGroup.length) {
+                    await this.sock.sendMessage(this.getAdminJid(), {
+                        text: `🧹 Progress: ${i + 1}/${blacklistedInGroup.length} removed...`
+                    });
+                }
 
-                } catch (error) {
-                    failed++;
-                    console.error(`[${require('../utils/logger').getTimestamp()}] ❌ Failed to remove ${user.phone}: ${error.message}`);
+                // SAFE: 2 second delay between kicks
+                await new Promise(resolve => setTimeout(resolve, 2000));
 
-                    // Continue with next user
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
+            } catch (error) {
+                failed++;
+                console.error(`[${require('../utils/logger').getTimestamp()}] ❌ Failed to remove ${user.phone}: ${error.message}`);
+                await this.auditAdminAction(msg, 'kick', {
+                    targetUserId: user.id,
+                    groupId,
+                    rule: 'blacklist',
+                    reason: `Removal failed (#clear): ${error.message}`,
+                    messageSnippet: null,
+                    outcome: 'failed'
+                });
+
+                // Continue with next user
+                await new Promise(resolve => setTimeout(resolve, 1000));
             }
+        }
 
-            // Send completion report
-            const report = `✅ *Group Cleaned!*\n\n` +
-                          `📊 Results:\n` +
-                          `   • Successfully removed: ${removed}\n` +
-                          (failed > 0 ? `   • Failed to remove: ${failed}\n` : '') +
-                          `   • Group: ${groupName}`;
+        // Send completion report
+        const report = `✅ *Group Cleaned!*\n\n` +
+                      `📊 Results:\n` +
+                      `   • Successfully removed: ${removed}\n` +
+                      (failed > 0 ? `   • Failed to remove: ${failed}\n` : '') +
+                      `   • Group: ${groupName}`;
 
-            await this.sock.sendMessage(this.getAdminJid(), { text: report });
+        await this.sock.sendMessage(this.getAdminJid(), { text: report });
+
+        // Send detailed private report to admin (0544345287)
+        const adminJid = '0544345287@s.whatsapp.net';
+        const detailedReport = `🧹 *Group Cleanup Report*\n\n` +
+                              `📍 Group: ${groupName}\n` +
+                              `📊 Successfully removed ${removed} blacklisted user(s):\n\n` +
+                              (blacklistedInGroup.length > 0
+                                  ? blacklistedInGroup.map(u => `   • +${u.phone}`).join('\n')
+                                  : '   (none found)') +
+                              (failed > 0 ? `\n\n⚠️ Failed to remove: ${failed}` : '');
+
+        await this.sock.sendMessage(adminJid, { text: detailedReport });
+
+        console.log(`[${require('../utils/logger').getTimestamp()}] 🏁 Clean complete: ${removed} removed, ${failed} failed`);
+    }
+
+    /**
+     * Who may answer a --dry preview: owners share one slot (their replies all go to the
+     * alert phone), everyone else only confirms their own previews
+     */
+    confirmationKey(msg) {
+        const senderId = msg.key.participant || msg.key.remoteJid;
+        return (msg.key.fromMe || roleService.isOwner(senderId)) ? 'owner' : roleService.roleKey(senderId);
+    }
+
+    hasPendingConfirmation(msg) {
+        return !!getPendingConfirmation(this.confirmationKey(msg));
+    }
+
+    /**
+     * Report what a bulk removal would do (--dry / #preview) and hold it until the issuer replies "confirm"
+     * @param {Object} preview - { command, groupId, groupName, notes?: string[], targets: [{ phone, reason }],
+     *                             whitelistedSkipped: string[], adminSkipped: string[], execute: async () => void }
+     */
+    async sendRemovalPreview(msg, preview) {
+        const { command, groupId, groupName, targets } = preview;
+        const whitelistedSkipped = preview.whitelistedSkipped || [];
+        const adminSkipped = preview.adminSkipped || [];
+        const listLines = (lines) => {
+            const shown = lines.slice(0, 50);
+            return shown.join('\n') + (lines.length > shown.length ? `\n…and ${lines.length - shown.length} more` : '');
+        };
 
-            // Send detailed private report to admin (0544345287)
-            const adminJid = '0544345287@s.whatsapp.net';
-            const detailedReport = `🧹 *Group Cleanup Report*\n\n` +
-                                  `📍 Group: ${groupName}\n` +
-                                  `📊 Successfully removed ${removed} blacklisted user(s):\n\n` +
-                                  (blacklistedInGroup.length > 0
-                                      ? blacklistedInGroup.map(u => `   • +${u.phone}`).join('\n')
-                                      : '   (none found)') +
-                                  (failed > 0 ? `\n\n⚠️ Failed to remove: ${failed}` : '');
+        let text = `🔍 *Preview: ${command}* (nothing was changed)\n\n` +
+                   `📍 Group: ${groupName || 'Unknown Group'}\n`;
+        for (const note of preview.notes || []) {
+            text += `${note}\n`;
+        }
+
+        text += `\n🚫 Would remove ${targets.length} user(s)` +
+                (targets.length > 0 ? `:\n${listLines(targets.map(t => `• +${t.phone} - ${t.reason}`))}` : '');
+        if (whitelistedSkipped.length > 0) {
+            text += `\n\n✅ Whitelisted, skipped (${whitelistedSkipped.length}):\n${listLines(whitelistedSkipped.map(p => `• +${p}`))}`;
+        }
+        if (adminSkipped.length > 0) {
+            text += `\n\n👮 Admins, skipped (${adminSkipped.length}):\n${listLines(adminSkipped.map(p => `• +${p}`))}`;
+        }
+
+        if (targets.length > 0 && preview.execute) {
+            storePendingConfirmation(this.confirmationKey(msg), {
+                command,
+                groupId,
+                groupName,
+                targetCount: targets.length,
+                execute: preview.execute
+            });
+            text += `\n\nReply *confirm* within ${Math.round(CONFIRM_WINDOW_MS / 60000)} minutes to remove exactly these users, or *cancel*.`;
+        } else {
+            text += `\n\nNothing to confirm.`;
+        }
+
+        console.log(`[${getTimestamp()}] 🔍 ${command} preview in ${groupName}: ${targets.length} would be removed`);
+        await this.sock.sendMessage(this.getAdminJid(), { text });
+        return true;
+    }
+
+    /**
+     * #preview <command> [args] - same as <command> --dry
+     */
+    async handlePreview(msg, args, isAdmin, isSuperAdmin) {
+        const target = args && args[0] ? `#${args[0].toLowerCase().replace(/^#/, '')}` : null;
 
-            await this.sock.sendMessage(adminJid, { text: detailedReport });
+        if (!target || !PREVIEW_COMMANDS.includes(target)) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: `⚠️ Usage: #preview <command>\n\n` +
+                      `Commands: ${PREVIEW_COMMANDS.map(c => c.slice(1)).join(', ')}\n` +
+                      `Same as adding --dry, e.g. #botforeign --dry`
+            });
+            return true;
+        }
 
-            console.log(`[${require('../utils/logger').getTimestamp()}] 🏁 Clean complete: ${removed} removed, ${failed} failed`);
+        return await this.dispatchCommand(msg, target, target, [...args.slice(1), '--dry'], isAdmin, isSuperAdmin);
+    }
+
+    /**
+     * "confirm" - run the action the sender previewed, if it is still within the window.
+     * Not role-checked here: only an issuer who passed the check for the previewed command has an entry.
+     */
+    async handleConfirm(msg) {
+        const pending = takePendingConfirmation(this.confirmationKey(msg));
+        if (!pending) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: `⚠️ Nothing to confirm. Previews expire after ${Math.round(CONFIRM_WINDOW_MS / 60000)} minutes - run the command with --dry again.`
+            });
+            return true;
+        }
 
+        console.log(`[${getTimestamp()}] ✅ ${pending.command} confirmed for ${pending.groupName} (${pending.targetCount} users)`);
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: `✅ Confirmed - running ${pending.command} in ${pending.groupName} (${pending.targetCount} user(s))...`
+        });
+
+        try {
+            await pending.execute();
         } catch (error) {
-            console.error(`[${require('../utils/logger').getTimestamp()}] ❌ Failed to clean group:`, error);
+            console.error(`[${getTimestamp()}] ❌ Confirmed ${pending.command} failed:`, error);
             await this.sock.sendMessage(this.getAdminJid(), {
-                text: '❌ Failed to clean group. Check logs for details.'
+                text: `❌ ${pending.command} failed: ${error.message}`
+            });
+        }
+        return true;
+    }
+
+    async handleCancelPreview(msg) {
+        const pending = takePendingConfirmation(this.confirmationKey(msg));
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: pending
+                ? `🛑 Cancelled ${pending.command} in ${pending.groupName}. Nobody was removed.`
+                : '⚠️ Nothing to cancel.'
+        });
+        return true;
+    }
+
+    /**
+     * #scan - queue the blacklist scan (services/blacklistScanWorker.js) for this group.
+     * #scan --dry lists who it would kick; "confirm" kicks exactly those users.
+     */
+    async handleScan(msg, args, isAdmin) {
+        if (!isAdmin) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '❌ Only admins can use #scan'
+            });
+            return true;
+        }
+
+        if (this.isPrivateChat(msg)) {
+            await this.sendGroupOnlyMessage(msg, '#scan');
+            return true;
+        }
+
+        const groupId = msg.key.remoteJid;
+        const { dryRun } = parseDryRunArgs(args);
+
+        try {
+            if (!dryRun) {
+                const { queueScan } = require('./scanQueueService');
+                const groupMetadata = await this.getCachedGroupMetadata(groupId);
+                const adminList = groupMetadata.participants
+                    .filter(p => p.admin === 'admin' || p.admin === 'superadmin')
+                    .map(p => p.id.split('@')[0].split(':')[0]);
+
+                const queued = await queueScan(groupId, groupMetadata.participants.length, adminList);
+                await this.sock.sendMessage(this.getAdminJid(), {
+                    text: queued
+                        ? `📋 Blacklist scan queued for ${groupMetadata.subject}.\nUsers with more than 1 violation will be removed. Use #scan --dry to preview first.`
+                        : '⚠️ Scan not queued (Redis unavailable, or this group is exempt).'
+                });
+                return true;
+            }
+
+            const { previewScan, kickPreviewedUsers } = require('./blacklistScanWorker');
+            const preview = await previewScan(this.sock, groupId);
+            const actor = (msg.key.participant || msg.key.remoteJid || '').split('@')[0];
+            const notes = preview.toAlert.length > 0
+                ? [`⚠️ Alert only (1 violation, not removed): ${preview.toAlert.map(u => `+${u.phone}`).join(', ')}`]
+                : [];
+
+            return await this.sendRemovalPreview(msg, {
+                command: '#scan',
+                groupId,
+                groupName: preview.groupName,
+                notes,
+                targets: preview.toKick.map(user => ({ phone: user.phone, reason: `Blacklisted: ${user.violationDetails}` })),
+                whitelistedSkipped: preview.whitelistedSkipped,
+                adminSkipped: preview.adminSkipped,
+                execute: async () => {
+                    const { kicked, failed } = await kickPreviewedUsers(this.sock, groupId, preview.toKick, actor);
+                    await this.sock.sendMessage(this.getAdminJid(), {
+                        text: `✅ Blacklist scan removals in ${preview.groupName}\n🚫 Removed: ${kicked}` +
+                              (failed > 0 ? `\n❌ Failed: ${failed}` : '')
+                    });
+                }
+            });
+        } catch (error) {
+            console.error(`[${getTimestamp()}] ❌ #scan failed:`, error);
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '❌ Failed to scan group. Check logs for details.'
             });
         }
 
@@ -1531,22 +2932,8 @@ class CommandHandler {
 
         console.log(`[${getTimestamp()}] 🛡️ #bullywatch command received`);
 
-        // ADMIN ONLY - check using same pattern as rest of bot
-        const senderId = msg.key.participant || msg.key.remoteJid;
-        const senderPhone = senderId.split('@')[0];
-
-        // Check if it's the authorized admin (handles multiple formats)
-        const isAuthorizedAdmin =
-            senderPhone === config.ALERT_PHONE ||
-            senderPhone === config.ADMIN_PHONE ||
-            senderPhone === config.ADMIN_LID ||
-            senderId.includes(config.ALERT_PHONE) ||
-            senderId.includes(config.ADMIN_PHONE) ||
-            senderId.includes(config.ADMIN_LID);
-
-        console.log(`[${getTimestamp()}] 🔍 Admin check: sender=${senderPhone}, authorized=${isAuthorizedAdmin}`);
-
-        if (!isAuthorizedAdmin) {
+        // Role-checked in handleCommand (review sub-commands: reviewer+, settings: moderator+, on/off: also WhatsApp group admins)
+        if (!isAdmin) {
             await this.sock.sendMessage(this.getAdminJid(), {
                 text: '❌ Only the bot administrator can use this command.',
                 quoted: msg
@@ -1760,22 +3147,8 @@ class CommandHandler {
 
         console.log(`[${getTimestamp()}] 🔔 #bullyalert command received`);
 
-        // ADMIN ONLY - check using same pattern as bullywatch
-        const senderId = msg.key.participant || msg.key.remoteJid;
-        const senderPhone = senderId.split('@')[0];
-
-        // Check if it's the authorized admin (handles multiple formats)
-        const isAuthorizedAdmin =
-            senderPhone === config.ALERT_PHONE ||
-            senderPhone === config.ADMIN_PHONE ||
-            senderPhone === config.ADMIN_LID ||
-            senderId.includes(config.ALERT_PHONE) ||
-            senderId.includes(config.ADMIN_PHONE) ||
-            senderId.includes(config.ADMIN_LID);
-
-        console.log(`[${getTimestamp()}] 🔍 Admin check: sender=${senderPhone}, authorized=${isAuthorizedAdmin}`);
-
-        if (!isAuthorizedAdmin) {
+        // Role-checked in handleCommand (moderator+)
+        if (!isAdmin) {
             await this.sock.sendMessage(this.getAdminJid(), {
                 text: '❌ Only the bot administrator can use this command.',
                 quoted: msg
@@ -1904,21 +3277,43 @@ class CommandHandler {
             return true;
         }
 
-        if (!args) {
+        // #whitelist <phone> [here] — "here" limits the entry to the current group
+        const parts = Array.isArray(args) ? args : String(args || '').split(/\s+/);
+        const phone = (parts[0] || '').trim();
+        const groupScoped = (parts[1] || '').toLowerCase() === 'here';
+
+        if (!phone) {
             await this.sock.sendMessage(this.getAdminJid(), { 
-                text: '⚠️ Please provide a phone number. Example: #whitelist 972555123456' 
+                text: '⚠️ Please provide a phone number. Example: #whitelist 972555123456\n' +
+                      'Add "here" inside a group to whitelist only in that group: #whitelist 972555123456 here' 
             });
             return true;
         }
 
-        const success = await addToWhitelist(args);
+        if (groupScoped && this.isPrivateChat(msg)) {
+            await this.sendGroupOnlyMessage(msg, '#whitelist <phone> here');
+            return true;
+        }
+
+        const groupId = groupScoped ? msg.key.remoteJid : null;
+        const addedBy = msg.key.participant || msg.key.remoteJid;
+        const success = await addToWhitelist(phone, groupId, addedBy);
         if (success) {
+            await this.auditAdminAction(msg, 'whitelist', {
+                targetUserId: phone.replace(/[^0-9]/g, ''),
+                groupId,
+                reason: 'Whitelisted by admin (#whitelist)',
+                messageSnippet: null,
+                metadata: { scope: groupScoped ? 'group' : 'global' }
+            });
             await this.sock.sendMessage(this.getAdminJid(), { 
-                text: `✅ Added ${args} to whitelist.` 
+                text: groupScoped
+                    ? `✅ Added ${phone} to whitelist of this group only.`
+                    : `✅ Added ${phone} to whitelist.` 
             });
         } else {
             await this.sock.sendMessage(this.getAdminJid(), { 
-                text: `❌ Failed to add ${args} to whitelist (may already exist).` 
+                text: `❌ Failed to add ${phone} to whitelist (may already exist).` 
             });
         }
         return true;
@@ -1933,15 +3328,23 @@ class CommandHandler {
         }
 
         const whitelisted = await listWhitelist();
-        if (whitelisted.length === 0) {
+        const groupWhitelisted = this.isPrivateChat(msg) ? [] : await listWhitelist(msg.key.remoteJid);
+
+        if (whitelisted.length === 0 && groupWhitelisted.length === 0) {
             await this.sock.sendMessage(this.getAdminJid(), { 
                 text: '📝 Whitelist is empty.' 
             });
         } else {
-            const list = whitelisted.map((num, index) => `${index + 1}. ${num}`).join('\n');
-            await this.sock.sendMessage(this.getAdminJid(), { 
-                text: `📝 *Whitelisted Users:*\n\n${list}` 
-            });
+            let text = '';
+            if (whitelisted.length > 0) {
+                const list = whitelisted.map((num, index) => `${index + 1}. ${num}`).join('\n');
+                text += `📝 *Whitelisted Users:*\n\n${list}`;
+            }
+            if (groupWhitelisted.length > 0) {
+                const list = groupWhitelisted.map((num, index) => `${index + 1}. ${num}`).join('\n');
+                text += `${text ? '\n\n' : ''}📍 *Whitelisted in this group only:*\n\n${list}`;
+            }
+            await this.sock.sendMessage(this.getAdminJid(), { text });
         }
         return true;
     }
@@ -2067,6 +3470,15 @@ class CommandHandler {
                 } catch (err) {
                     console.log('Could not get group invite link:', err.message);
                 }
+
+                await kickedUserService.recordKick(this.sock, {
+                    userId: targetUserId,
+                    groupId,
+                    groupMetadata,
+                    groupInviteLink,
+                    reason: 'Banned by admin (#ban)',
+                    kickedBy: msg.key.participant || msg.key.remoteJid
+                });
                 
                 await sendKickAlert(this.sock, {
                     userPhone: userPhone,
@@ -2102,10 +3514,23 @@ class CommandHandler {
                 });
             }
 
+            await this.auditAdminAction(msg, 'ban', {
+                targetUserId,
+                groupId,
+                reason: 'Banned by admin (#ban)',
+                metadata: { inGroup: !!targetParticipant }
+            });
+
             console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Successfully banned user: ${targetUserId}`);
 
         } catch (error) {
             console.error(`[${require('../utils/logger').getTimestamp()}] ❌ Failed to ban user:`, error);
+            await this.auditAdminAction(msg, 'ban', {
+                targetUserId,
+                groupId,
+                reason: `Ban failed: ${error.message}`,
+                outcome: 'failed'
+            });
             await this.sock.sendMessage(this.getAdminJid(), { 
                 text: '❌ Need to be an admin' 
             });
@@ -2115,7 +3540,7 @@ class CommandHandler {
     }
 
 
-    async handleBotForeign(msg, isAdmin) {
+    async handleBotForeign(msg, isAdmin, options = {}) {
         if (!isAdmin) {
             await this.sock.sendMessage(this.getAdminJid(), { 
                 text: 'מה אני עובד אצלך?!' 
@@ -2126,7 +3551,7 @@ class CommandHandler {
         // Check if in private chat
         if (this.isPrivateChat(msg)) {
             await this.sock.sendMessage(this.getAdminJid(), { 
-                text: '⚠️ The #botforeign command can only be used in groups.\n\nUsage: In a group, type #botforeign to remove all users with +1 or +6 country codes' 
+                text: '⚠️ The #botforeign command can only be used in groups.\n\nUsage: In a group, type #botforeign to remove all users who break the group\'s #countrypolicy (default: +1/+6)' 
             });
             return true;
         }
@@ -2137,10 +3562,19 @@ class CommandHandler {
             // Get group metadata
             const groupMetadata = await this.getCachedGroupMetadata(groupId);
             const participants = groupMetadata.participants;
+
+            // Sweep with the same policy the join handler enforces; groups without one get +1/+6
+            let policy = await groupService.getCountryPolicy(groupId);
+            if (policy.mode === 'off') {
+                policy = { ...DEFAULT_COUNTRY_POLICY, prefixes: [...DEFAULT_COUNTRY_POLICY.prefixes] };
+            }
+            const policyText = formatCountryPolicy(policy);
+            console.log(`🌍 #botforeign sweep with country policy: ${policyText}`);
             
-            // Find all users with +1 or +6 country codes
+            // Find all users that break the policy
             const usersToKick = [];
             const whitelistedSkipped = [];
+            const adminSkipped = [];
             
             for (const participant of participants) {
                 const userId = participant.id;
@@ -2153,196 +3587,620 @@ class CommandHandler {
                     console.log(`📞 Extracted real phone from LID participant: ${phoneNumber}`);
                 }
 
-                // Debug: Log all phone numbers to see format
-                console.log(`🔍 Checking participant: ${phoneNumber} (length: ${phoneNumber.length}, LID: ${isLidFormat})`);
-                
+                // LID users without a real phone are exempt — their JID digits are not a phone prefix
+                const phoneUnknown = isLidFormat && !hasRealPhone;
+                // 10-digit US format without the +1, as the old hard-coded sweep matched it
+                const isTenDigitUSNumber = !phoneUnknown && phoneNumber.length === 10 && /^[2-9]\d{9}$/.test(phoneNumber);
+                const policyPhone = isTenDigitUSNumber ? `1${phoneNumber}` : phoneNumber;
+                const result = checkCountryPolicy(policyPhone, policy, { phoneUnknown });
+
                 // Skip bot and admins
                 if (participant.admin === 'admin' || participant.admin === 'superadmin') {
                     console.log(`👮 Skipping admin: ${phoneNumber}`);
+                    if (result.violates) {
+                        adminSkipped.push(phoneNumber);
+                    }
                     continue;
                 }
                 
-                // Check if user is whitelisted
-                if (await isWhitelisted(userId)) {
-                    if (phoneNumber.startsWith('1') || phoneNumber.startsWith('6') || 
-                        phoneNumber.startsWith('+1') || phoneNumber.startsWith('+6')) {
+                // Check if user is whitelisted (globally or in this group)
+                if (isWhitelisted(userId, groupId) || (hasRealPhone && isWhitelisted(phoneNumber, groupId))) {
+                    if (result.violates) {
                         whitelistedSkipped.push(phoneNumber);
                     }
                     continue;
                 }
-                
-                // Check if phone number starts with +1 or +6
-                // More precise check: US/Canada (+1) has 11 digits, Southeast Asia (+6x) has varying lengths
-                // IMPORTANT: Never kick Israeli numbers (+972)
-                const isIsraeliNumber = phoneNumber.startsWith('972') || phoneNumber.startsWith('+972');
-                
-                // Debug: Show detailed condition checking
-                const startsWithOne = phoneNumber.startsWith('1');
-                const startsWithPlusOne = phoneNumber.startsWith('+1');
-                const startsWithSix = phoneNumber.startsWith('6');
-                const startsWithPlusSix = phoneNumber.startsWith('+6');
-                const lengthEleven = phoneNumber.length === 11;
-                const lengthTwelve = phoneNumber.length === 12;
-                const lengthTenToTwelve = phoneNumber.length >= 10 && phoneNumber.length <= 12;
-                const lengthElevenToThirteen = phoneNumber.length >= 11 && phoneNumber.length <= 13;
-                
-                // Also check for US numbers stored as 10 digits (without country code)
-                const isTenDigitUSNumber = phoneNumber.length === 10 && /^[2-9]\d{9}$/.test(phoneNumber); // US format without +1
-                
-                console.log(`📊 ${phoneNumber}: starts1=${startsWithOne}, starts+1=${startsWithPlusOne}, starts6=${startsWithSix}, starts+6=${startsWithPlusSix}, len=${phoneNumber.length}, israeli=${isIsraeliNumber}, 10digitUS=${isTenDigitUSNumber}, isLID=${isLidFormat}`);
-                
-                // LID users without a real phone are exempt — their JID digits are not a phone prefix
-                if (isLidFormat && !hasRealPhone) {
-                    console.log(`🔒 LID format user exempt from country restrictions: ${phoneNumber} (encrypted privacy ID, no real phone available)`);
-                }
 
-                // Only match if it's clearly a US/Canada or Southeast Asian number AND NOT Israeli AND NOT LID without real phone
-                if (!isIsraeliNumber && !(isLidFormat && !hasRealPhone) &&
-                    ((startsWithOne && lengthEleven) || // US/Canada format with 1
-                     (startsWithPlusOne && lengthTwelve) || // US/Canada with +1
-                     isTenDigitUSNumber || // US format without country code (10 digits)
-                     (startsWithSix && lengthTenToTwelve) || // Southeast Asia
-                     (startsWithPlusSix && lengthElevenToThirteen))) { // Southeast Asia with +
-                    
-                    console.log(`🌍 Adding to kick list: ${phoneNumber} (length: ${phoneNumber.length})`);
+                if (result.violates) {
+                    console.log(`🌍 Adding to kick list: ${phoneNumber} (${result.reason})`);
                     usersToKick.push({
                         id: userId,
                         phone: phoneNumber,
-                        countryCode: phoneNumber.startsWith('+') ? phoneNumber.substring(0, 2) : phoneNumber.charAt(0)
+                        reason: describeViolation(policyPhone, policy, result)
                     });
-                } else if (isIsraeliNumber) {
+                } else if (result.reason === 'protected') {
                     console.log(`🇮🇱 Protecting Israeli number: ${phoneNumber}`);
-                } else {
-                    console.log(`❌ No match for ${phoneNumber} - not US/Canada/SE Asia format`);
+                } else if (result.reason === 'unknown_phone') {
+                    console.log(`🔒 Exempt from country policy: ${phoneNumber} (LID without real phone, or not a phone number)`);
                 }
             }
             
+            // --dry: list who would go, kick them on "confirm"
+            if (options.dryRun) {
+                const warnOnly = policy.action === 'warn';
+                return await this.sendRemovalPreview(msg, {
+                    command: '#botforeign',
+                    groupId,
+                    groupName: groupMetadata.subject,
+                    notes: [`📋 Policy: ${policyText}`].concat(warnOnly
+                        ? [`⚠️ Warn-only policy - these ${usersToKick.length} member(s) would be reported, not removed`]
+                        : []),
+                    targets: warnOnly ? [] : usersToKick,
+                    whitelistedSkipped,
+                    adminSkipped,
+                    execute: () => this.removeForeignMembers(msg, groupId, groupMetadata, policy, usersToKick, whitelistedSkipped)
+                });
+            }
+
             if (usersToKick.length === 0) {
-                // Still persist the flag so future joins are auto-kicked
-                await groupService.setRestrictCountryCodes(groupId, true);
-                let message = '🛡️ הקבוצה מוגנת מכניסה של בוטים מסוג scam.\nמספרים זרים (+1, +6) יוסרו אוטומטית בכניסה.';
+                // Still persist the policy so future joins are checked
+                const saved = await groupService.setCountryPolicy(groupId, policy);
+                let message = `🛡️ הקבוצה מוגנת מכניסה של בוטים מסוג scam.\nמדיניות מספרים זרים: ${policyText}`;
                 if (whitelistedSkipped.length > 0) {
                     message += `\n\nℹ️ ${whitelistedSkipped.length} משתמשים ברשימת ההיתרים נדלגו.`;
                 }
+                if (!saved) {
+                    message += `\n\n${COUNTRY_POLICY_NOT_SAVED}`;
+                }
+                await this.sock.sendMessage(this.getAdminJid(), { text: message });
+                return true;
+            }
+
+            // Warn-only policy: report the members, remove nobody
+            if (policy.action === 'warn') {
+                const saved = await groupService.setCountryPolicy(groupId, policy);
+                const shown = usersToKick.slice(0, 50);
+                let message = `⚠️ *Country policy (warn only)*\n\n` +
+                              `📍 Group: ${groupMetadata.subject}\n` +
+                              `📋 Policy: ${policyText}\n\n` +
+                              `${usersToKick.length} member(s) break the policy:\n` +
+                              shown.map(user => `• +${user.phone} - ${user.reason}`).join('\n');
+                if (usersToKick.length > shown.length) {
+                    message += `\n…and ${usersToKick.length - shown.length} more`;
+                }
+                message += `\n\nNobody was removed. Use #kick or #whitelist <phone>, or switch to #countrypolicy kick.`;
+                if (!saved) {
+                    message += `\n\n${COUNTRY_POLICY_NOT_SAVED}`;
+                }
                 await this.sock.sendMessage(this.getAdminJid(), { text: message });
                 return true;
             }
             
-            // Send initial message
-            await this.sock.sendMessage(this.getAdminJid(), {
-                text: `🧹 מסיר ${usersToKick.length} מספרים זרים מהקבוצה...`
-            });
-            
-            // Kick users in batches with delay
-            let successCount = 0;
-            let failCount = 0;
+            await this.removeForeignMembers(msg, groupId, groupMetadata, policy, usersToKick, whitelistedSkipped);
             
-            for (const user of usersToKick) {
+        } catch (error) {
+            console.error('❌ Error in botforeign command:', error);
+            await this.sock.sendMessage(this.getAdminJid(), { 
+                text: '❌ Need to be an admin' 
+            });
+        }
+        
+        return true;
+    }
+
+    /**
+     * Kick the members #botforeign found and turn the policy on for future joins
+     * (directly, or after "confirm" on a preview)
+     * @param {Array<{ id: string, phone: string, reason: string }>} usersToKick
+     */
+    async removeForeignMembers(msg, groupId, groupMetadata, policy, usersToKick, whitelistedSkipped) {
+        const policyText = formatCountryPolicy(policy);
+
+        // Send initial message
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: `🧹 מסיר ${usersToKick.length} מספרים זרים מהקבוצה...`
+        });
+        
+        // Kick users in batches with delay
+        let successCount = 0;
+        let failCount = 0;
+        
+        for (const user of usersToKick) {
+            try {
+                await this.sock.groupParticipantsUpdate(groupId, [user.id], 'remove');
+                successCount++;
+                console.log(`✅ Kicked foreign user: ${user.phone}`);
+
+                await this.recordAdminKick(msg, user.id, groupId, groupMetadata, `${user.reason} (#botforeign)`, 'country_code');
+                
+                // Send alert to alert phone
+                await sendKickAlert(this.sock, {
+                    userPhone: user.phone,
+                    userName: `User ${user.phone}`,
+                    groupName: groupMetadata?.subject || 'Unknown Group',
+                    groupId: groupId,
+                    reason: 'country_code',
+                    additionalInfo: `Country policy: ${user.reason}`,
+                    groupInviteLink: 'N/A' // Will be obtained by alert service
+                });
+                
+                // Send notification to admin instead of user
                 try {
-                    await this.sock.groupParticipantsUpdate(groupId, [user.id], 'remove');
-                    successCount++;
-                    console.log(`✅ Kicked foreign user: ${user.phone}`);
-                    
-                    // Send alert to alert phone
-                    await sendKickAlert(this.sock, {
-                        userPhone: user.phone,
-                        userName: `User ${user.phone}`,
-                        groupName: groupMetadata?.subject || 'Unknown Group',
-                        groupId: groupId,
-                        reason: 'country_code',
-                        additionalInfo: `Foreign country code restriction (+1/+6)`,
-                        groupInviteLink: 'N/A' // Will be obtained by alert service
+                    await this.sock.sendMessage(`${config.ADMIN_PHONE}@s.whatsapp.net`, {
+                        text: `🌍 Country code restriction kick\n\n` +
+                              `👤 User: ${user.phone}\n` +
+                              `📍 Group: ${groupMetadata?.subject || 'Unknown Group'}\n` +
+                              `📱 Reason: ${user.reason}\n` +
+                              `⏰ Time: ${new Date().toLocaleString()}`
                     });
-                    
-                    // Send notification to admin instead of user
-                    try {
-                        await this.sock.sendMessage(`${config.ADMIN_PHONE}@s.whatsapp.net`, {
-                            text: `🌍 Country code restriction kick\n\n` +
-                                  `👤 User: ${user.phone}\n` +
-                                  `📍 Group: ${groupMetadata?.subject || 'Unknown Group'}\n` +
-                                  `📱 Reason: +1/+6 country code not allowed\n` +
-                                  `⏰ Time: ${new Date().toLocaleString()}`
-                        });
-                    } catch (notificationError) {
-                        console.error(`Failed to send admin notification:`, notificationError.message);
-                    }
-                    
-                    // Small delay to avoid rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                } catch (error) {
-                    failCount++;
-                    console.error(`❌ Failed to kick ${user.phone}:`, error.message);
+                } catch (notificationError) {
+                    console.error(`Failed to send admin notification:`, notificationError.message);
                 }
+                
+                // Small delay to avoid rate limiting
+                await new Promise(resolve => setTimeout(resolve, 500));
+            } catch (error) {
+                failCount++;
+                console.error(`❌ Failed to kick ${user.phone}:`, error.message);
+                await this.auditAdminAction(msg, 'kick', {
+                    targetUserId: user.id,
+                    groupId,
+                    rule: 'country_code',
+                    reason: `Country policy kick failed (#botforeign): ${error.message}`,
+                    outcome: 'failed'
+                });
             }
-            
-            // Send summary
-            let summaryMessage = `🛡️ *הקבוצה מוגנת מכניסה של בוטים מסוג scam*\n\n`;
-            summaryMessage += `✅ הוסרו: ${successCount} משתמשים\n`;
-            if (failCount > 0) {
-                summaryMessage += `❌ נכשל: ${failCount} משתמשים\n`;
+        }
+        
+        // Send summary
+        let summaryMessage = `🛡️ *הקבוצה מוגנת מכניסה של בוטים מסוג scam*\n\n`;
+        summaryMessage += `✅ הוסרו: ${successCount} משתמשים\n`;
+        if (failCount > 0) {
+            summaryMessage += `❌ נכשל: ${failCount} משתמשים\n`;
+        }
+        if (whitelistedSkipped.length > 0) {
+            summaryMessage += `ℹ️ ברשימת היתרים: ${whitelistedSkipped.length} משתמשים\n`;
+        }
+
+        // Enforce the policy on join for this group going forward
+        const saved = await groupService.setCountryPolicy(groupId, policy);
+        summaryMessage += saved
+            ? `\n🔒 מעכשיו המדיניות נאכפת גם בכניסה: ${policyText}`
+            : `\n${COUNTRY_POLICY_NOT_SAVED}`;
+
+        await this.sock.sendMessage(this.getAdminJid(), { text: summaryMessage });
+
+        // Alert admin
+        const adminId = config.ALERT_PHONE + '@s.whatsapp.net';
+        
+        // Try to get group invite link
+        let groupLink = 'N/A';
+        try {
+            const inviteCode = await this.sock.groupInviteCode(groupId);
+            groupLink = `https://chat.whatsapp.com/${inviteCode}`;
+        } catch (err) {
+            console.log('Could not get group invite link:', err.message);
+        }
+        
+        const alertMessage = `🌍 *Botforeign Command Executed*\n\n` +
+                           `📍 Group: ${groupMetadata.subject}\n` +
+                           `🔗 Group Link: ${groupLink}\n` +
+                           `📋 Policy: ${policyText}\n` +
+                           `👮 Executed by: Admin\n` +
+                           `✅ Removed: ${successCount} users\n` +
+                           `❌ Failed: ${failCount} users\n` +
+                           `ℹ️ Whitelisted skipped: ${whitelistedSkipped.length}\n` +
+                           `⏰ Time: ${getTimestamp()}`;
+        
+        await this.sock.sendMessage(adminId, { text: alertMessage });
+    }
+
+    async handleBotForeignOff(msg, isAdmin) {
+        if (!isAdmin) return true; // silently ignore
+
+        if (this.isPrivateChat(msg)) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '⚠️ השתמש בפקודה זו בתוך הקבוצה.'
+            });
+            return true;
+        }
+
+        const groupId = msg.key.remoteJid;
+        try {
+            const saved = await groupService.setCountryPolicy(groupId, { ...COUNTRY_POLICY_OFF, prefixes: [] });
+            if (!saved) {
+                await this.sock.sendMessage(this.getAdminJid(), {
+                    text: '❌ Failed to turn off the country policy. Is this group registered in the database?'
+                });
+                return true;
             }
-            if (whitelistedSkipped.length > 0) {
-                summaryMessage += `ℹ️ ברשימת היתרים: ${whitelistedSkipped.length} משתמשים\n`;
+            await this.auditAdminAction(msg, 'country_policy', {
+                targetUserId: null,
+                groupId,
+                rule: 'country_code',
+                reason: 'Country policy turned off (#botforeignoff)',
+                messageSnippet: null,
+                metadata: { mode: 'off', prefixes: '', policyAction: 'kick' }
+            });
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '🔓 ההגנה מפני מספרים זרים כובתה.\nכל המספרים יוכלו להצטרף לקבוצה.'
+            });
+        } catch (error) {
+            console.error('❌ Error in botforeignoff:', error);
+        }
+        return true;
+    }
+
+    async handleCountryPolicy(msg, args, isAdmin) {
+        if (!isAdmin) {
+            await this.sock.sendMessage(this.getAdminJid(), { 
+                text: 'מה אני עובד אצלך?!' 
+            });
+            return true;
+        }
+
+        if (this.isPrivateChat(msg)) {
+            await this.sendGroupOnlyMessage(msg, '#countrypolicy');
+            return true;
+        }
+
+        const groupId = msg.key.remoteJid;
+        const argsString = Array.isArray(args) ? args.join(' ') : (args || '');
+        const parsed = parseCountryPolicyArgs(argsString);
+
+        if (!parsed) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '⚠️ Usage: #countrypolicy allow|block <prefixes> [kick|warn]\n\n' +
+                      'Examples:\n' +
+                      '• #countrypolicy allow 972,44 - Only +972 and +44 may stay\n' +
+                      '• #countrypolicy block 1,6,234 - Remove +1, +6x and +234\n' +
+                      '• #countrypolicy block 1,6 warn - Alert admins instead of kicking\n' +
+                      '• #countrypolicy warn / kick - Change only what happens to violators\n' +
+                      '• #countrypolicy off - No country filtering\n' +
+                      '• #countrypolicy - Show current policy\n\n' +
+                      '🇮🇱 +972 is never removed.'
+            });
+            return true;
+        }
+
+        const current = await groupService.getCountryPolicy(groupId);
+
+        if (parsed.action === 'status') {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: `🌍 *Country Policy*\n\n📋 ${formatCountryPolicy(current)}\n🇮🇱 +972 is never removed`
+            });
+            return true;
+        }
+
+        let policy;
+        if (parsed.action === 'off') {
+            policy = { ...COUNTRY_POLICY_OFF, prefixes: [] };
+        } else if (parsed.action === 'setAction') {
+            if (current.mode === 'off') {
+                await this.sock.sendMessage(this.getAdminJid(), {
+                    text: '⚠️ No country policy in this group yet. Set one first: #countrypolicy allow 972 or #countrypolicy block 1,6'
+                });
+                return true;
             }
-            summaryMessage += `\n🔒 מעכשיו מספרים זרים (+1, +6) יוסרו אוטומטית בכניסה.`;
+            policy = { ...current, action: parsed.policyAction };
+        } else {
+            policy = { mode: parsed.mode, prefixes: parsed.prefixes, action: parsed.policyAction || current.action || 'kick' };
+        }
 
-            await this.sock.sendMessage(this.getAdminJid(), { text: summaryMessage });
+        const ok = await groupService.setCountryPolicy(groupId, policy);
+        if (ok) {
+            await this.auditAdminAction(msg, 'country_policy', {
+                targetUserId: null,
+                groupId,
+                rule: 'country_code',
+                reason: `Country policy: ${formatCountryPolicy(policy)}`,
+                messageSnippet: null,
+                metadata: { mode: policy.mode, prefixes: policy.prefixes.join(','), policyAction: policy.action }
+            });
+        }
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: ok
+                ? `✅ *Country policy updated*\n\n📋 ${formatCountryPolicy(policy)}` +
+                  (policy.mode === 'off' ? '' : '\n\nChecked on every join. Run #botforeign to apply it to current members.')
+                : '❌ Failed to update country policy. Is this group registered in the database?'
+        });
+        return true;
+    }
+
+    async handleFlood(msg, args, isAdmin) {
+        if (!isAdmin) {
+            await this.sock.sendMessage(this.getAdminJid(), { 
+                text: 'מה אני עובד אצלך?!' 
+            });
+            return true;
+        }
 
-            // Enable auto-kick on join for this group going forward
-            await groupService.setRestrictCountryCodes(groupId, true);
+        if (this.isPrivateChat(msg)) {
+            await this.sendGroupOnlyMessage(msg, '#flood');
+            return true;
+        }
 
-            // Alert admin
-            const adminId = config.ALERT_PHONE + '@s.whatsapp.net';
-            
-            // Try to get group invite link
-            let groupLink = 'N/A';
-            try {
-                const inviteCode = await this.sock.groupInviteCode(groupId);
-                groupLink = `https://chat.whatsapp.com/${inviteCode}`;
-            } catch (err) {
-                console.log('Could not get group invite link:', err.message);
+        const groupId = msg.key.remoteJid;
+        const argsString = Array.isArray(args) ? args.join(' ') : (args || '');
+        const parsed = parseFloodArgs(argsString);
+
+        if (!parsed) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '⚠️ Usage: #flood [messages|repeat|media] <count>/<seconds> <delete|mute|alert> [mute minutes]\n\n' +
+                      'Examples:\n' +
+                      '• #flood 10/60 mute - More than 10 messages a minute: delete the excess, then mute\n' +
+                      '• #flood repeat 3/120 delete - Delete a text repeated more than 3 times in 2 minutes\n' +
+                      '• #flood media 5/30 alert 30 - Sticker/media bursts: delete, mute 30 min, alert admins\n' +
+                      '• #flood off media - Remove one rule · #flood off - Remove all\n' +
+                      '• #flood - Show current rules\n\n' +
+                      `delete = remove messages over the limit · mute = also mute for ${DEFAULT_MUTE_MINUTES} min (or the minutes given) · alert = also alert the admins`
+            });
+            return true;
+        }
+
+        const current = await groupService.getFloodRules(groupId);
+        const redisWarning = require('./redisService').isRedisConnected()
+            ? ''
+            : '\n\n⚠️ Redis is not connected - flood rules are saved but not enforced.';
+
+        if (parsed.action === 'status') {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: `🌊 *Flood Rules*\n\n${formatFloodRules(current)}${redisWarning}`
+            });
+            return true;
+        }
+
+        const rules = { ...current };
+        let metadata;
+        if (parsed.action === 'off') {
+            if (parsed.floodType) {
+                delete rules[parsed.floodType];
+            } else {
+                FLOOD_TYPES.forEach(type => delete rules[type]);
             }
-            
-            const alertMessage = `🌍 *Botforeign Command Executed*\n\n` +
-                               `📍 Group: ${groupMetadata.subject}\n` +
-                               `🔗 Group Link: ${groupLink}\n` +
-                               `👮 Executed by: Admin\n` +
-                               `✅ Removed: ${successCount} users\n` +
-                               `❌ Failed: ${failCount} users\n` +
-                               `ℹ️ Whitelisted skipped: ${whitelistedSkipped.length}\n` +
-                               `⏰ Time: ${getTimestamp()}`;
-            
-            await this.sock.sendMessage(adminId, { text: alertMessage });
-            
-        } catch (error) {
-            console.error('❌ Error in botforeign command:', error);
+            metadata = { floodType: parsed.floodType || 'all', response: 'off' };
+        } else {
+            const rule = { count: parsed.count, seconds: parsed.seconds, action: parsed.response };
+            if (parsed.response !== 'delete') {
+                rule.muteMinutes = parsed.muteMinutes || DEFAULT_MUTE_MINUTES;
+            }
+            rules[parsed.floodType] = rule;
+            metadata = {
+                floodType: parsed.floodType,
+                limit: rule.count,
+                windowSeconds: rule.seconds,
+                response: rule.action,
+                muteMinutes: rule.muteMinutes
+            };
+        }
+
+        const ok = await groupService.setFloodRules(groupId, rules);
+        if (ok) {
+            await this.auditAdminAction(msg, 'flood_policy', {
+                targetUserId: null,
+                groupId,
+                rule: 'flood',
+                reason: parsed.action === 'off'
+                    ? `Flood rule removed: ${parsed.floodType || 'all'}`
+                    : `Flood rule: ${parsed.floodType} ${parsed.count}/${parsed.seconds}s → ${describeFloodResponse(rules[parsed.floodType])}`,
+                messageSnippet: null,
+                metadata
+            });
+        }
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: ok
+                ? `✅ *Flood rules updated*\n\n${formatFloodRules(rules)}${redisWarning}`
+                : '❌ Failed to update flood rules. Is this group registered in the database?'
+        });
+        return true;
+    }
+
+    async handleProbation(msg, args, isAdmin) {
+        if (!isAdmin) {
             await this.sock.sendMessage(this.getAdminJid(), { 
-                text: '❌ Need to be an admin' 
+                text: 'מה אני עובד אצלך?!' 
+            });
+            return true;
+        }
+
+        if (this.isPrivateChat(msg)) {
+            await this.sendGroupOnlyMessage(msg, '#probation');
+            return true;
+        }
+
+        const groupId = msg.key.remoteJid;
+        const argsString = Array.isArray(args) ? args.join(' ') : (args || '');
+        const parsed = parseProbationArgs(argsString);
+
+        if (!parsed) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '⚠️ Usage: #probation [<hours>h|<days>d] [<messages>] | on | off\n\n' +
+                      'Examples:\n' +
+                      '• #probation 24h 5 - New members are on probation for 24h or their first 5 messages\n' +
+                      `• #probation on - Same with the defaults (${DEFAULT_PROBATION_HOURS}h / ${DEFAULT_PROBATION_MESSAGES} messages)\n` +
+                      '• #probation 3d - Time limit only\n' +
+                      '• #probation off - Disable · #probation - Show the setting\n\n' +
+                      'During probation, links, media, forwards and mention-all messages are deleted and held until an admin approves them.'
+            });
+            return true;
+        }
+
+        const redisWarning = require('./redisService').isRedisConnected()
+            ? ''
+            : '\n\n⚠️ Redis is not connected - probation is saved but not enforced.';
+
+        if (parsed.action === 'status') {
+            const current = await groupService.getProbationPolicy(groupId);
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: `🕒 *New-Member Probation*\n\n${formatProbationPolicy(current)}${redisWarning}`
+            });
+            return true;
+        }
+
+        const policy = parsed.action === 'off' ? null : { hours: parsed.hours, messages: parsed.messages };
+        const ok = await groupService.setProbationPolicy(groupId, policy);
+        if (ok) {
+            await this.auditAdminAction(msg, 'probation_policy', {
+                targetUserId: null,
+                groupId,
+                rule: 'probation',
+                reason: `Probation: ${formatProbationPolicy(policy)}`,
+                messageSnippet: null,
+                metadata: policy ? { hours: policy.hours, messages: policy.messages } : { hours: 0 }
+            });
+        }
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: ok
+                ? (policy
+                    ? `✅ *Probation enabled*\n\nNew members: ${formatProbationPolicy(policy)}.\nTheir links, media, forwards and mention-all messages are held for your approval.${redisWarning}`
+                    : '✅ *Probation disabled* - new members are treated like everyone else')
+                : '❌ Failed to update probation. Is this group registered in the database?'
+        });
+        return true;
+    }
+
+    async handleCaptcha(msg, args, isAdmin) {
+        if (!isAdmin) {
+            await this.sock.sendMessage(this.getAdminJid(), { 
+                text: 'מה אני עובד אצלך?!' 
+            });
+            return true;
+        }
+
+        if (this.isPrivateChat(msg)) {
+            await this.sendGroupOnlyMessage(msg, '#captcha');
+            return true;
+        }
+
+        const groupId = msg.key.remoteJid;
+        const argsString = Array.isArray(args) ? args.join(' ') : (args || '');
+        const parsed = parseCaptchaArgs(argsString);
+
+        if (!parsed) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '⚠️ Usage: #captcha math|reply [minutes] | question [minutes] <question> = <answer> | on | off\n\n' +
+                      'Examples:\n' +
+                      '• #captcha math 5 - Answer a math question within 5 minutes\n' +
+                      '• #captcha reply - Reply to the welcome message\n' +
+                      '• #captcha question 10 What is our school called? = Herzl - Your own question\n' +
+                      '• #captcha off - Disable · #captcha - Show the setting\n\n' +
+                      `Minutes: 1-60 (default ${DEFAULT_CAPTCHA_MINUTES}). Members who don't answer in time are removed.`
+            });
+            return true;
+        }
+
+        const redisWarning = require('./redisService').isRedisConnected()
+            ? ''
+            : '\n\n⚠️ Redis is not connected - the captcha is saved but not enforced.';
+
+        if (parsed.action === 'status') {
+            const current = await groupService.getJoinCaptcha(groupId);
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: `🧩 *Join Captcha*\n\n${formatCaptchaSettings(current)}${redisWarning}`
             });
+            return true;
         }
-        
+
+        let settings = null;
+        if (parsed.action === 'set') {
+            settings = { type: parsed.type, minutes: parsed.minutes };
+            if (parsed.type === 'question') {
+                settings.question = parsed.question;
+                settings.answer = parsed.answer;
+            }
+        }
+
+        const ok = await groupService.setJoinCaptcha(groupId, settings);
+        if (ok) {
+            await this.auditAdminAction(msg, 'captcha_policy', {
+                targetUserId: null,
+                groupId,
+                rule: 'captcha',
+                reason: `Join captcha: ${formatCaptchaSettings(settings)}`,
+                messageSnippet: null,
+                metadata: settings ? { challenge: settings.type, minutes: settings.minutes } : { challenge: 'off' }
+            });
+        }
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: ok
+                ? (settings
+                    ? `✅ *Join captcha enabled*\n\n${formatCaptchaSettings(settings)}.\nNew members' messages are deleted until they answer; members who don't answer in time are removed.${redisWarning}`
+                    : '✅ *Join captcha disabled*')
+                : '❌ Failed to update the join captcha. Is this group registered in the database?'
+        });
         return true;
     }
 
-    async handleBotForeignOff(msg, isAdmin) {
-        if (!isAdmin) return true; // silently ignore
+    async handleUrlPolicy(msg, args, isAdmin) {
+        if (!isAdmin) {
+            await this.sock.sendMessage(this.getAdminJid(), { 
+                text: 'מה אני עובד אצלך?!' 
+            });
+            return true;
+        }
 
         if (this.isPrivateChat(msg)) {
+            await this.sendGroupOnlyMessage(msg, '#urlpolicy');
+            return true;
+        }
+
+        const groupId = msg.key.remoteJid;
+        const argsString = Array.isArray(args) ? args.join(' ') : (args || '');
+        const parsed = parseUrlPolicyArgs(argsString);
+
+        if (!parsed) {
             await this.sock.sendMessage(this.getAdminJid(), {
-                text: '⚠️ השתמש בפקודה זו בתוך הקבוצה.'
+                text: '⚠️ Usage: #urlpolicy alert|delete|off | allow|deny|remove <domains> | reset\n\n' +
+                      'Examples:\n' +
+                      '• #urlpolicy delete - Delete unknown links instead of alerting\n' +
+                      '• #urlpolicy allow edu.gov.il,education.gov.il - Allow these domains here\n' +
+                      '• #urlpolicy deny * - Delete every link that is not allowed\n' +
+                      '• #urlpolicy remove bit.ly - Take a domain off the lists\n' +
+                      '• #urlpolicy - Show the policy'
             });
             return true;
         }
 
-        const groupId = msg.key.remoteJid;
-        try {
-            await groupService.setRestrictCountryCodes(groupId, false);
+        const current = await groupService.getUrlPolicy(groupId);
+
+        if (parsed.action === 'status') {
             await this.sock.sendMessage(this.getAdminJid(), {
-                text: '🔓 ההגנה מפני מספרים זרים כובתה.\nמספרי +1 ו-+6 יוכלו להצטרף לקבוצה.'
+                text: `🔗 *Group URL Policy*\n\n${formatUrlPolicy(current)}`
+            });
+            return true;
+        }
+
+        const policy = { mode: current.mode, allow: [...current.allow], deny: [...current.deny] };
+        if (parsed.action === 'reset') {
+            Object.assign(policy, { mode: DEFAULT_URL_POLICY.mode, allow: [], deny: [] });
+        } else if (parsed.action === 'mode') {
+            policy.mode = parsed.mode;
+        } else {
+            // A domain sits on one list at a time: allowing it un-denies it and vice versa
+            policy.allow = policy.allow.filter(d => !parsed.domains.includes(d));
+            policy.deny = policy.deny.filter(d => !parsed.domains.includes(d));
+            if (parsed.action === 'allow') policy.allow.push(...parsed.domains);
+            if (parsed.action === 'deny') policy.deny.push(...parsed.domains);
+        }
+
+        const ok = await groupService.setUrlPolicy(groupId, policy);
+        if (ok) {
+            await this.auditAdminAction(msg, 'url_policy', {
+                targetUserId: null,
+                groupId,
+                rule: 'url_policy',
+                reason: parsed.domains
+                    ? `URL policy ${parsed.action}: ${parsed.domains.join(', ')}`
+                    : `URL policy ${parsed.action === 'reset' ? 'reset' : `mode: ${parsed.mode}`}`,
+                messageSnippet: null,
+                metadata: { mode: policy.mode, allow: policy.allow.join(','), deny: policy.deny.join(',') }
             });
-        } catch (error) {
-            console.error('❌ Error in botforeignoff:', error);
         }
+        await this.sock.sendMessage(this.getAdminJid(), {
+            text: ok
+                ? `✅ *URL policy updated*\n\n${formatUrlPolicy(policy)}`
+                : '❌ Failed to update the URL policy. Is this group registered in the database?'
+        });
         return true;
     }
 
@@ -2369,10 +4227,31 @@ class CommandHandler {
             const quotedParticipant = msg.message?.extendedTextMessage?.contextInfo?.participant;
             
             if (quotedParticipant) {
-                await removeMutedUser(quotedParticipant);
+                const muteRecord = getMuteRecord(quotedParticipant, groupId);
+                await removeMutedUser(quotedParticipant, groupId);
+                await this.auditAdminAction(msg, 'unmute', {
+                    targetUserId: quotedParticipant,
+                    groupId,
+                    reason: muteRecord ? `Mute lifted (was: ${muteRecord.reason || 'no reason'})` : 'No active mute found',
+                    messageSnippet: null,
+                    metadata: { scope: 'user' }
+                });
+
+                let auditText = '';
+                if (muteRecord) {
+                    auditText = `\n👤 User: +${muteRecord.userId.split('@')[0]}\n` +
+                                `👮 Muted by: ${muteRecord.mutedBy ? '+' + muteRecord.mutedBy.split('@')[0] : 'Unknown'}\n` +
+                                `📝 Reason: ${muteRecord.reason || 'No reason given'}\n` +
+                                `🕒 Muted at: ${muteRecord.createdAt ? this.formatMuteTime(muteRecord.createdAt) : 'Unknown'}\n` +
+                                `⏰ Was due to end: ${this.formatMuteTime(muteRecord.muteUntil)}\n`;
+                } else {
+                    auditText = `\nℹ️ No active mute record was found for this user in this group.\n`;
+                }
+
                 await this.sock.sendMessage(this.getAdminJid(), { 
                     text: `🔊 User has been unmuted.\n` +
-                          `🔊 המשתמש שוחרר מההשתקה.`
+                          `🔊 המשתמש שוחרר מההשתקה.\n` +
+                          auditText
                 });
             } else {
                 await this.sock.sendMessage(this.getAdminJid(), { 
@@ -2384,6 +4263,13 @@ class CommandHandler {
             // Unmute entire group
             if (groupMuteStatus.has(groupId)) {
                 groupMuteStatus.delete(groupId);
+                await this.auditAdminAction(msg, 'unmute', {
+                    targetUserId: null,
+                    groupId,
+                    reason: 'Group unmuted (#unmute)',
+                    messageSnippet: null,
+                    metadata: { scope: 'group' }
+                });
                 await this.sock.sendMessage(this.getAdminJid(), { 
                     text: `🔊 Group has been unmuted. Everyone can now send messages.\n` +
                           `🔊 הקבוצה שוחררה מההשתקה. כולם יכולים לשלוח הודעות עכשיו.`
@@ -2406,21 +4292,39 @@ class CommandHandler {
             return true;
         }
 
-        if (!args) {
+        const parts = Array.isArray(args) ? args : String(args || '').split(/\s+/);
+        const phone = (parts[0] || '').trim();
+        const groupScoped = (parts[1] || '').toLowerCase() === 'here';
+
+        if (!phone) {
             await this.sock.sendMessage(this.getAdminJid(), { 
                 text: '⚠️ Please provide a phone number. Example: #unwhitelist 972555123456' 
             });
             return true;
         }
 
-        const success = await removeFromWhitelist(args);
+        if (groupScoped && this.isPrivateChat(msg)) {
+            await this.sendGroupOnlyMessage(msg, '#unwhitelist <phone> here');
+            return true;
+        }
+
+        const success = await removeFromWhitelist(phone, groupScoped ? msg.key.remoteJid : null);
         if (success) {
+            await this.auditAdminAction(msg, 'unwhitelist', {
+                targetUserId: phone.replace(/[^0-9]/g, ''),
+                groupId: groupScoped ? msg.key.remoteJid : null,
+                reason: 'Removed from whitelist (#unwhitelist)',
+                messageSnippet: null,
+                metadata: { scope: groupScoped ? 'group' : 'global' }
+            });
             await this.sock.sendMessage(this.getAdminJid(), { 
-                text: `✅ Removed ${args} from whitelist.` 
+                text: groupScoped
+                    ? `✅ Removed ${phone} from this group's whitelist.`
+                    : `✅ Removed ${phone} from whitelist.` 
             });
         } else {
             await this.sock.sendMessage(this.getAdminJid(), { 
-                text: `❌ Failed to remove ${args} from whitelist (may not exist).` 
+                text: `❌ Failed to remove ${phone} from whitelist (may not exist).` 
             });
         }
         return true;
@@ -2443,6 +4347,13 @@ class CommandHandler {
         const { addToBlacklist } = require('./blacklistService');
         const success = await addToBlacklist(args, 'Added by admin command');
         if (success) {
+            await this.auditAdminAction(msg, 'blacklist', {
+                targetUserId: String(Array.isArray(args) ? args[0] : args).replace(/[^0-9]/g, ''),
+                groupId: this.isPrivateChat(msg) ? null : msg.key.remoteJid,
+                reason: 'Added by admin command (#blacklist)',
+                messageSnippet: null,
+                metadata: { automatic: false }
+            });
             await this.sock.sendMessage(this.getAdminJid(), { 
                 text: `✅ Added ${args} to blacklist.` 
             });
@@ -2494,38 +4405,19 @@ class CommandHandler {
             return true;
         }
 
-        // Remove from Firebase blacklist
-        const { removeFromBlacklist } = require('./blacklistService');
-        const firebaseSuccess = await removeFromBlacklist(phoneNumber);
-
-        // Remove from PostgreSQL database if available
-        let dbSuccess = false;
-        if (process.env.DATABASE_URL) {
-            try {
-                const { unblacklistUser } = require('../database/groupService');
-                await unblacklistUser(phoneNumber);
-                dbSuccess = true;
-                console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Removed ${phoneNumber} from PostgreSQL blacklist`);
-            } catch (error) {
-                console.error(`[${require('../utils/logger').getTimestamp()}] ❌ Failed to remove from database:`, error.message);
-            }
-        }
-
-        // Remove from Redis cache if available
-        if (process.env.REDIS_URL) {
-            try {
-                const { removeFromBlacklistCache } = require('../services/redisService');
-                await removeFromBlacklistCache(phoneNumber);
-                console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Removed ${phoneNumber} from Redis cache`);
-            } catch (error) {
-                console.error(`[${require('../utils/logger').getTimestamp()}] ❌ Failed to remove from cache:`, error.message);
-            }
-        }
-
-        const success = firebaseSuccess || dbSuccess;
+        const success = await this.removeFromAllBlacklists(phoneNumber);
         if (success) {
+            await this.auditAdminAction(msg, 'unblacklist', {
+                targetUserId: phoneNumber.replace(/[^0-9]/g, ''),
+                groupId: this.isPrivateChat(msg) ? null : msg.key.remoteJid,
+                reason: 'Removed from blacklist (#unblacklist)',
+                messageSnippet: null,
+                metadata: { source: 'command' }
+            });
+            // removeFromBlacklist already marked the user's kick records as rejoin-eligible
+            const rejoinLinksText = await this.buildRejoinLinksText(phoneNumber);
             await this.sock.sendMessage(this.getAdminJid(), {
-                text: `✅ Removed +${phoneNumber} from blacklist.\n\nViolation history preserved for record keeping.`
+                text: `✅ Removed +${phoneNumber} from blacklist.\n\nViolation history preserved for record keeping.${rejoinLinksText}`
             });
         } else {
             await this.sock.sendMessage(this.getAdminJid(), {
@@ -2584,15 +4476,38 @@ class CommandHandler {
             await this.sock.sendMessage(this.getAdminJid(), { text: 'מה אני עובד אצלך?!' });
             return true;
         }
-        if (!args || !args.trim()) {
+        const argsString = Array.isArray(args) ? args.join(' ') : (args || '');
+        const parsed = parseUrlBlockArgs(argsString);
+        if (!parsed) {
             await this.sock.sendMessage(this.getAdminJid(), {
-                text: '❌ Usage: #urlblock <domain>\nExample: #urlblock evil.com'
+                text: '❌ Usage: #urlblock <domain|*.wildcard|host/path*|/regex/> [expiry]\n\n' +
+                      'Examples:\n' +
+                      '• #urlblock evil.com - The domain and its subdomains\n' +
+                      '• #urlblock *.spam.tld - Any matching hostname\n' +
+                      '• #urlblock bit.ly/abc* 7d - Links under a path, for 7 days\n' +
+                      '• #urlblock /casino\\d+/i - Any URL matching the regex\n\n' +
+                      'Regexes may not repeat a group that already repeats or alternates, like (a+)+ or (a|ab)*, nor use backreferences'
             });
             return true;
         }
-        const domain = addBlockedDomain(args.trim());
+
+        const addedBy = (msg.key.participant || msg.key.remoteJid || '').split('@')[0];
+        const expiresAt = parsed.expiresInHours ? Date.now() + parsed.expiresInHours * 60 * 60 * 1000 : null;
+        const rule = await addBlockRule(parsed.pattern, { addedBy, expiresAt });
+
+        await this.auditAdminAction(msg, 'url_block', {
+            targetUserId: null,
+            groupId: null,
+            rule: 'url_blocklist_add',
+            reason: `${rule.type} rule added to the URL block list`,
+            messageSnippet: null,
+            metadata: { ruleType: rule.type, pattern: rule.pattern }
+        });
+
         await this.sock.sendMessage(this.getAdminJid(), {
-            text: `✅ Domain blacklisted: *${domain}*\nAny URL from this domain will be auto-deleted.`
+            text: `✅ URL block rule added: *${rule.pattern}* (${rule.type})\n` +
+                  (rule.expiresAt ? `⏰ Expires: ${new Date(rule.expiresAt).toISOString().slice(0, 16).replace('T', ' ')} UTC\n` : '') +
+                  'Matching URLs will be auto-deleted in all groups.'
         });
         return true;
     }
@@ -2602,17 +4517,18 @@ class CommandHandler {
             await this.sock.sendMessage(this.getAdminJid(), { text: 'מה אני עובד אצלך?!' });
             return true;
         }
-        if (!args || !args.trim()) {
+        const argsString = (Array.isArray(args) ? args.join(' ') : (args || '')).trim();
+        if (!argsString) {
             await this.sock.sendMessage(this.getAdminJid(), {
-                text: '❌ Usage: #urlunblock <domain>\nExample: #urlunblock evil.com'
+                text: '❌ Usage: #urlunblock <pattern|#id>\nExample: #urlunblock evil.com or #urlunblock #3 (ids in #urlblocklist)'
             });
             return true;
         }
-        const { existed, domain } = removeBlockedDomain(args.trim());
+        const { existed, pattern } = await removeBlockRule(argsString);
         await this.sock.sendMessage(this.getAdminJid(), {
             text: existed
-                ? `✅ Removed from URL blacklist: *${domain}*`
-                : `⚠️ Domain not found in URL blacklist: *${domain}*`
+                ? `✅ Removed from URL blacklist: *${pattern}*`
+                : `⚠️ Rule not found in URL blacklist: *${pattern}*`
         });
         return true;
     }
@@ -2622,10 +4538,10 @@ class CommandHandler {
             await this.sock.sendMessage(this.getAdminJid(), { text: 'מה אני עובד אצלך?!' });
             return true;
         }
-        const domains = listBlockedDomains();
+        const rules = listBlockRules();
         await this.sock.sendMessage(this.getAdminJid(), {
-            text: domains.length
-                ? `🚫 *Blocked Domains (${domains.length}):*\n${domains.map(d => `• ${d}`).join('\n')}`
+            text: rules.length
+                ? `🚫 *URL Block Rules (${rules.length}):*\n${rules.map(r => `• #${r.id} ${formatBlockRule(r)}`).join('\n')}`
                 : '📋 URL blacklist is empty.'
         });
         return true;
@@ -2703,6 +4619,12 @@ class CommandHandler {
                     await this.sock.groupParticipantsUpdate(groupId, [user.id], 'remove');
                     successCount++;
                     console.log(`✅ Kicked blacklisted user: ${user.phone}`);
+                    await this.auditAdminAction(msg, 'kick', {
+                        targetUserId: user.id,
+                        groupId,
+                        rule: 'blacklist',
+                        reason: 'Blacklisted user removed (#botkick)'
+                    });
                     
                     // Send alert to alert phone
                     await sendKickAlert(this.sock, {
@@ -2733,6 +4655,13 @@ class CommandHandler {
                 } catch (error) {
                     failCount++;
                     console.error(`❌ Failed to kick ${user.phone}:`, error.message);
+                    await this.auditAdminAction(msg, 'kick', {
+                        targetUserId: user.id,
+                        groupId,
+                        rule: 'blacklist',
+                        reason: `Blacklisted user removal failed (#botkick): ${error.message}`,
+                        outcome: 'failed'
+                    });
                 }
             }
             
@@ -2933,7 +4862,7 @@ class CommandHandler {
         } catch (error) {
             console.error(`[${getTimestamp()}] ❌ Search failed:`, error);
             await this.sock.sendMessage(this.getAdminJid(), { 
-                text: `❌ Search failed: ${error.message}\n\n💡 Note: MCP Chrome search requires setup. See MCP_SETUP.md for instructions.` 
+                text: `❌ Search failed: ${error.message}\n\n💡 Set SEARXNG_URL, or SEARCH_BACKEND=mcp with a search server from mcp.json. See MCP_SETUP.md for instructions.` 
             });
         }
 
@@ -3084,7 +5013,8 @@ class CommandHandler {
                 text: `🌐 Translating to ${translationService.getSupportedLanguages()[targetLang] || targetLang}...` 
             });
             
-            const result = await translationService.translateText(textToTranslate, targetLang, null, userId);
+            const groupId = this.isPrivateChat(msg) ? null : msg.key.remoteJid;
+            const result = await translationService.translateText(textToTranslate, targetLang, null, userId, { groupId });
             
             // Simple clean response - just the translation
             const response = result.translatedText;
@@ -3097,7 +5027,7 @@ class CommandHandler {
         } catch (error) {
             console.error(`[${getTimestamp()}] ❌ Translation failed:`, error);
             await this.sock.sendMessage(this.getAdminJid(), { 
-                text: `❌ Translation failed: ${error.message}\n\n💡 Note: Translation requires Google Translate API setup. Add GOOGLE_TRANSLATE_API_KEY to your environment.` 
+                text: `❌ Translation failed: ${error.message}\n\n💡 Note: Translation needs GOOGLE_TRANSLATE_API_KEY or OPENAI_API_KEY in the environment.` 
             });
         }
         
@@ -3105,13 +5035,8 @@ class CommandHandler {
     }
 
     async _translateShortcut(msg, langCode, langName) {
-        const adminPhone = config.ADMIN_PHONE;
-        const adminJid = `${adminPhone}@s.whatsapp.net`;
-        const sender = msg.key.participant || msg.key.remoteJid;
-        const senderPhone = sender.split('@')[0].split(':')[0];
-        const adminLid = config.ADMIN_LID || '';
-        const isAdmin = senderPhone === adminPhone || senderPhone === adminLid;
-        if (!isAdmin) return true;
+        // Role-checked in handleCommand; errors go to whoever asked
+        const adminJid = this.getAdminJid();
 
         const quotedMessage = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
         const textToTranslate = quotedMessage?.conversation ||
@@ -3125,19 +5050,11 @@ class CommandHandler {
         }
 
         try {
-            const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-            const response = await openai.chat.completions.create({
-                model: 'gpt-5.4-nano',
-                messages: [
-                    { role: 'system', content: `Translate the following text to ${langName}. Return ONLY the translated text, no explanations.` },
-                    { role: 'user', content: textToTranslate }
-                ],
-                max_completion_tokens: 500
-            });
-            const translation = response.choices[0]?.message?.content?.trim();
-            if (!translation) throw new Error('Empty response from OpenAI');
-            await this.sock.sendMessage(msg.key.remoteJid, { text: translation });
-            console.log(`[${getTimestamp()}] ✅ #${langCode} translation sent`);
+            const userId = msg.key.participant || msg.key.remoteJid;
+            const groupId = this.isPrivateChat(msg) ? null : msg.key.remoteJid;
+            const result = await translationService.translateText(textToTranslate, langCode, null, userId, { groupId });
+            await this.sock.sendMessage(msg.key.remoteJid, { text: result.translatedText });
+            console.log(`[${getTimestamp()}] ✅ #${langCode} translation sent (${result.provider}${result.cached ? ', cached' : ''})`);
         } catch (error) {
             console.error(`[${getTimestamp()}] ❌ #${langCode} translation failed:`, error);
             await this.sock.sendMessage(adminJid, { text: `❌ #${langCode} error: ${error.message}` });
@@ -3190,7 +5107,7 @@ class CommandHandler {
     }
 
     /**
-     * Handle #autotranslate command — per-group Russian → Hebrew auto-translation.
+     * Handle #autotranslate command — per-group auto-translation, one-way (ru → he) or bilingual (he ⇄ ru).
      * Admins (group admin or bot owner) can toggle per-group; no global config flag touched.
      */
     async handleTranslationToggle(msg, args) {
@@ -3209,27 +5126,121 @@ class CommandHandler {
         const langParts  = argsString.includes(',') ? argsString.split(',') : [];
 
         try {
-            if (parsed.action === 'on') {
-                const from = parsed.from || 'ru';
-                const to   = parsed.to   || 'he';
-                const ok   = await groupService.setGroupAutoTranslate(groupId, from, to);
+            if (parsed.action === 'provider') {
+                const ok = await groupService.setTranslateProvider(groupId, parsed.provider);
+                if (ok) {
+                    await this.auditAdminAction(msg, 'translate_toggle', {
+                        targetUserId: null,
+                        groupId,
+                        rule: 'autotranslate',
+                        reason: `Translation provider: ${parsed.provider || 'default'}`,
+                        messageSnippet: null,
+                        metadata: { provider: parsed.provider || 'default' }
+                    });
+                    const available = !DEFAULT_PROVIDER_ORDER.includes(parsed.provider) || PROVIDERS[parsed.provider].isAvailable();
+                    await this.sock.sendMessage(groupId, {
+                        text: `✅ *Translation provider:* ${parsed.provider || 'default (Google, then OpenAI)'}\n\n` +
+                              'Used for auto-translate, #translate and #ru/#he/#fr/#en in this group; the other configured providers are the fallback.' +
+                              (available ? '' : `\n\n⚠️ ${parsed.provider} is not configured on this bot - the fallback will be used.`)
+                    });
+                } else {
+                    await this.sock.sendMessage(groupId, {
+                        text: '❌ Failed to set the translation provider. Is this group registered (and database/add-translate-provider.sql applied)?'
+                    });
+                }
+
+            } else if (parsed.action === 'on') {
+                const from    = parsed.from || 'ru';
+                const to      = parsed.to   || 'he';
+                const sources = from.split('+');
+                const unsupported = sources.filter(code => !DETECTABLE_LANGUAGES.includes(code));
+                if (unsupported.length > 0 || sources.includes(to)) {
+                    await this.sock.sendMessage(groupId, {
+                        text: (unsupported.length > 0
+                            ? `❌ Can't detect ${unsupported.join(', ')} messages.`
+                            : `❌ ${to} can't be both a source and the target.`) + '\n\n' +
+                              `Source languages: ${DETECTABLE_LANGUAGES.join(', ')}\n` +
+                              'Usage: `#autotranslate on ru,he` or `#autotranslate on ru+ar,he`'
+                    });
+                    return true;
+                }
+                const sourceNames = sources.map(code => LANGUAGE_NAMES[code] || code).join(' or ');
+                const ok      = await groupService.setGroupAutoTranslate(groupId, from, to);
                 if (ok) {
+                    await this.auditAdminAction(msg, 'translate_toggle', {
+                        targetUserId: null,
+                        groupId,
+                        rule: 'autotranslate',
+                        reason: `Auto-translate ON (${from} → ${to})`,
+                        messageSnippet: null,
+                        metadata: { enabled: true, from, to }
+                    });
                     await this.sock.sendMessage(groupId, {
                         text: `✅ *Auto-Translation ENABLED*\n\n` +
                               `🌐 Source: ${from.toUpperCase()} → Target: ${to.toUpperCase()}\n` +
-                              `Every ${from === 'ru' ? 'Russian' : from} message in this group will be translated to ${to === 'he' ? 'Hebrew' : to}.\n\n` +
+                              `Every ${sourceNames} message in this group will be translated to ${LANGUAGE_NAMES[to] || to}.\n` +
+                              `Mixed-language messages are skipped.\n\n` +
                               `Use \`#autotranslate off\` to disable.`
                     });
                     console.log(`[${getTimestamp()}] ✅ Auto-translate ON for ${groupId}: ${from} → ${to}`);
                 } else {
                     await this.sock.sendMessage(groupId, {
-                        text: '❌ Failed to enable auto-translation. Is this group registered in the database?'
+                        text: '❌ Failed to enable auto-translation. Is this group registered in the database' +
+                              (sources.length > 1 ? ' (and database/add-auto-translate-sources.sql applied)?' : '?')
+                    });
+                }
+
+            } else if (parsed.action === 'bilingual') {
+                const from = parsed.from || 'he';
+                const to   = parsed.to   || 'ru';
+                const unsupported = [from, to].filter(code => !DETECTABLE_LANGUAGES.includes(code));
+                if (unsupported.length > 0 || from === to) {
+                    await this.sock.sendMessage(groupId, {
+                        text: (unsupported.length > 0
+                            ? `❌ Can't detect ${unsupported.join(', ')} messages.`
+                            : '❌ Bilingual mode needs two different languages.') + '\n\n' +
+                              `Languages: ${DETECTABLE_LANGUAGES.join(', ')}\n` +
+                              'Usage: `#autotranslate bilingual he,ru`'
+                    });
+                    return true;
+                }
+                const fromName = LANGUAGE_NAMES[from] || from;
+                const toName   = LANGUAGE_NAMES[to] || to;
+                const ok = await groupService.setGroupAutoTranslate(groupId, from, to, true);
+                if (ok) {
+                    await this.auditAdminAction(msg, 'translate_toggle', {
+                        targetUserId: null,
+                        groupId,
+                        rule: 'autotranslate',
+                        reason: `Auto-translate BILINGUAL (${from} ⇄ ${to})`,
+                        messageSnippet: null,
+                        metadata: { enabled: true, from, to, bilingual: true }
+                    });
+                    await this.sock.sendMessage(groupId, {
+                        text: `✅ *Bilingual Auto-Translation ENABLED*\n\n` +
+                              `🌐 ${from.toUpperCase()} ⇄ ${to.toUpperCase()}\n` +
+                              `${fromName} messages get a ${toName} translation and ${toName} messages a ${fromName} one.\n` +
+                              `Mixed-language messages are skipped.\n\n` +
+                              `Use \`#autotranslate off\` to disable.`
+                    });
+                    console.log(`[${getTimestamp()}] ✅ Auto-translate BILINGUAL for ${groupId}: ${from} ⇄ ${to}`);
+                } else {
+                    await this.sock.sendMessage(groupId, {
+                        text: '❌ Failed to enable bilingual auto-translation. Is this group registered (and database/add-auto-translate-bilingual.sql applied)?'
                     });
                 }
 
             } else if (parsed.action === 'off') {
                 const ok = await groupService.disableGroupAutoTranslate(groupId);
                 if (ok) {
+                    await this.auditAdminAction(msg, 'translate_toggle', {
+                        targetUserId: null,
+                        groupId,
+                        rule: 'autotranslate',
+                        reason: 'Auto-translate OFF',
+                        messageSnippet: null,
+                        metadata: { enabled: false }
+                    });
                     await this.sock.sendMessage(groupId, {
                         text: '⏸️ *Auto-Translation DISABLED*\n\nNo more automatic translations in this group.'
                     });
@@ -3243,12 +5254,15 @@ class CommandHandler {
             } else {
                 // status (default)
                 const setting = await groupService.getGroupAutoTranslate(groupId);
+                const provider = await groupService.getTranslateProvider(groupId);
                 if (setting) {
                     await this.sock.sendMessage(groupId, {
                         text: `🌐 *Auto-Translation Status*\n\n` +
                               `✅ Enabled\n` +
-                              `Source: ${setting.from.toUpperCase()}\n` +
-                              `Target: ${setting.to.toUpperCase()}\n\n` +
+                              (setting.bilingual
+                                  ? `Bilingual: ${setting.from.toUpperCase()} ⇄ ${setting.to.toUpperCase()}\n`
+                                  : `Source: ${setting.from.toUpperCase()}\nTarget: ${setting.to.toUpperCase()}\n`) +
+                              `Provider: ${provider || 'default'}\n\n` +
                               `Use \`#autotranslate off\` to disable.`
                     });
                 } else {
@@ -3270,6 +5284,133 @@ class CommandHandler {
         return true;
     }
 
+    /**
+     * Handle #glossary command — per-group terms that every translation in the group must use.
+     */
+    async handleGlossary(msg, args) {
+        if (this.isPrivateChat(msg)) {
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '⚠️ #glossary can only be used inside a group.'
+            });
+            return true;
+        }
+
+        const groupId = msg.key.remoteJid;
+        const parsed  = parseGlossaryArgs(Array.isArray(args) ? args.join(' ') : (args || ''));
+        if (!parsed) {
+            await this.sock.sendMessage(groupId, {
+                text: '📖 *Translation Glossary*\n\n' +
+                      '• `#glossary add מורה=учительница` - Always translate מורה as учительница (and back)\n' +
+                      '• `#glossary remove מורה` - Remove a term\n' +
+                      '• `#glossary` - List the terms'
+            });
+            return true;
+        }
+
+        try {
+            const glossary = await groupService.getTranslationGlossary(groupId);
+
+            if (parsed.action === 'list') {
+                await this.sock.sendMessage(groupId, {
+                    text: glossary.length > 0
+                        ? `📖 *Translation Glossary (${glossary.length}):*\n${glossary.map(e => `• ${formatGlossaryEntry(e)}`).join('\n')}`
+                        : '📖 The glossary is empty.\n\nAdd a term: `#glossary add מורה=учительница`'
+                });
+                return true;
+            }
+
+            let next;
+            let entry;
+            let replaced = false;
+            if (parsed.action === 'add') {
+                const parsedEntry = parseGlossaryEntry(parsed.term, msg.key.participant || msg.key.remoteJid);
+                const added = parsedEntry.error ? parsedEntry : addGlossaryEntry(glossary, parsedEntry.entry);
+                if (added.error) {
+                    await this.sock.sendMessage(groupId, { text: `❌ ${added.error}` });
+                    return true;
+                }
+                ({ glossary: next, replaced } = added);
+                entry = parsedEntry.entry;
+            } else {
+                const { glossary: remaining, removed } = removeGlossaryEntry(glossary, parsed.term);
+                if (!removed) {
+                    await this.sock.sendMessage(groupId, { text: `⚠️ "${parsed.term}" is not in the glossary.` });
+                    return true;
+                }
+                next = remaining;
+                entry = removed;
+            }
+
+            const ok = await groupService.setTranslationGlossary(groupId, next);
+            if (!ok) {
+                await this.sock.sendMessage(groupId, {
+                    text: '❌ Failed to save the glossary. Is this group registered (and database/add-translation-glossary.sql applied)?'
+                });
+                return true;
+            }
+
+            await this.auditAdminAction(msg, 'translate_toggle', {
+                targetUserId: null,
+                groupId,
+                rule: 'glossary',
+                reason: `Glossary ${parsed.action}: ${entry.source} = ${entry.target}`,
+                messageSnippet: null,
+                metadata: { glossary: parsed.action, term: entry.source, translation: entry.target }
+            });
+            await this.sock.sendMessage(groupId, {
+                text: parsed.action === 'add'
+                    ? `✅ *Glossary ${replaced ? 'updated' : 'term added'}:* ${formatGlossaryEntry(entry)}\n\n` +
+                      `Translations in this group will use "${entry.target}" for "${entry.source}".`
+                    : `🗑️ *Removed from the glossary:* ${formatGlossaryEntry(entry)}`
+            });
+            console.log(`[${getTimestamp()}] 📖 Glossary ${parsed.action} in ${groupId}: ${entry.source} = ${entry.target}`);
+        } catch (error) {
+            console.error(`[${getTimestamp()}] ❌ Glossary update failed:`, error);
+            await this.sock.sendMessage(this.getAdminJid(), {
+                text: '❌ Failed to update the glossary. Check logs.'
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Handle #translatestats — translation cache hit rate and API spend (kept in Redis across
+     * restarts), for this group, or for every group when sent in private.
+     */
+    async handleTranslateStats(msg) {
+        const { translationService } = require('./translationService');
+        const stats = await translationService.getUsageStats();
+        const line = (bucket) => {
+            const total = bucket.requests + bucket.cacheHits;
+            const hitRate = total > 0 ? Math.round((bucket.cacheHits / total) * 100) : 0;
+            return `${total} translations · ${hitRate}% from cache · ${bucket.requests} API calls · $${bucket.costUsd.toFixed(4)}`;
+        };
+        let text = `📊 *Translation Stats* (since ${this.formatMuteTime(stats.since)})\n\n`;
+
+        if (!this.isPrivateChat(msg)) {
+            const bucket = stats.groups[msg.key.remoteJid];
+            text += bucket
+                ? `${line(bucket)}\n${bucket.characters} characters sent to providers`
+                : 'No translations in this group yet.';
+        } else {
+            const groups = Object.entries(stats.groups).sort(([, a], [, b]) => b.costUsd - a.costUsd);
+            if (groups.length === 0) {
+                text += 'No translations yet.';
+            } else {
+                for (const [groupId, bucket] of groups.slice(0, 10)) {
+                    const group = await groupService.getGroupByWhatsAppId(groupId).catch(() => null);
+                    text += `• *${group?.name || groupId}*\n  ${line(bucket)}\n`;
+                }
+                if (groups.length > 10) text += `…and ${groups.length - 10} more groups\n`;
+                text += `\n*By provider:*\n${Object.entries(stats.providers).map(([name, bucket]) => `• ${name}: ${line(bucket)}`).join('\n')}`;
+            }
+        }
+
+        await this.sock.sendMessage(this.getAdminJid(), { text });
+        return true;
+    }
+
     // #free system removed - users must contact admin directly
 
     /**
@@ -3479,6 +5620,168 @@ class CommandHandler {
         return true;
     }
 
+    formatKickedBy(kickedBy) {
+        if (!kickedBy) return 'Unknown';
+        if (kickedBy.startsWith('auto:')) return `Automatic (${kickedBy.slice(5)})`;
+        return `+${kickedBy.split('@')[0]}`;
+    }
+
+    /**
+     * Remove a user from the Firebase blacklist, the PostgreSQL blacklist and the Redis cache
+     * (removeFromBlacklist also marks their kick records as rejoin-eligible)
+     * @returns {Promise<boolean>} true when either blacklist store accepted the removal
+     */
+    async removeFromAllBlacklists(phoneNumber) {
+        const { removeFromBlacklist } = require('./blacklistService');
+        const firebaseSuccess = await removeFromBlacklist(phoneNumber);
+
+        // Remove from PostgreSQL database if available
+        let dbSuccess = false;
+        if (process.env.DATABASE_URL) {
+            try {
+                const { unblacklistUser } = require('../database/groupService');
+                await unblacklistUser(phoneNumber);
+                dbSuccess = true;
+                console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Removed ${phoneNumber} from PostgreSQL blacklist`);
+            } catch (error) {
+                console.error(`[${require('../utils/logger').getTimestamp()}] ❌ Failed to remove from database:`, error.message);
+            }
+        }
+
+        // Remove from Redis cache if available
+        if (process.env.REDIS_URL) {
+            try {
+                const { removeFromBlacklistCache } = require('../services/redisService');
+                await removeFromBlacklistCache(phoneNumber);
+                console.log(`[${require('../utils/logger').getTimestamp()}] ✅ Removed ${phoneNumber} from Redis cache`);
+            } catch (error) {
+                console.error(`[${require('../utils/logger').getTimestamp()}] ❌ Failed to remove from cache:`, error.message);
+            }
+        }
+
+        return firebaseSuccess || dbSuccess;
+    }
+
+    /**
+     * Reverse a kick from its alert (admin replied "undo" within 24h): unblacklist, clear
+     * violations and re-add the user - or DM them the group link when WhatsApp refuses the add.
+     * @param {Object} record - Stored undo data (see utils/kickUndoRequests)
+     * @param {string} actor - Phone of the admin who replied
+     * @returns {Promise<string>} Report for the admin
+     */
+    async undoKick(record, actor) {
+        const { userId, groupId, reason } = record;
+        const groupName = record.groupName || 'Unknown Group';
+        const phoneNumber = record.userPhone ||
+            (userId && userId.endsWith('@s.whatsapp.net') ? userId.split('@')[0] : '');
+        const status = [];
+        let violationsCleared = false;
+        let readded = false;
+        let rejoinLinkSent = false;
+
+        if (phoneNumber) {
+            const unblacklisted = await this.removeFromAllBlacklists(phoneNumber);
+            status.push(unblacklisted ? '✅ Removed from blacklist' : 'ℹ️ Blacklist unchanged');
+            try {
+                violationsCleared = await groupService.clearViolations(phoneNumber);
+                status.push(violationsCleared ? '🧽 Violations cleared' : 'ℹ️ No violation record to clear');
+            } catch (error) {
+                status.push(`⚠️ Violations not cleared: ${error.message}`);
+            }
+        } else {
+            status.push('⚠️ Real phone unknown (LID) - blacklist and violations unchanged');
+        }
+
+        try {
+            if (await kickedUserService.removeKickRecord(phoneNumber || userId, groupId)) {
+                status.push('🗂️ Kick record removed');
+            }
+        } catch (error) {
+            status.push(`⚠️ Kick record not removed: ${error.message}`);
+        }
+
+        // LIDs cannot be added back; WhatsApp needs the phone JID
+        const addJid = phoneNumber ? `${phoneNumber}@s.whatsapp.net` : userId;
+        try {
+            const result = await this.sock.groupParticipantsUpdate(groupId, [addJid], 'add');
+            const addStatus = String(result?.[0]?.status ?? '200');
+            readded = addStatus === '200';
+            if (!readded) {
+                status.push(`⚠️ WhatsApp refused the re-add (status ${addStatus})`);
+            }
+        } catch (error) {
+            status.push(`⚠️ Re-add failed: ${error.message}`);
+        }
+
+        if (readded) {
+            status.push(`👥 Re-added to ${groupName}`);
+        } else if (phoneNumber) {
+            // Privacy settings often block direct adds - send the link instead
+            let groupLink = record.groupInviteLink;
+            try {
+                groupLink = `https://chat.whatsapp.com/${await this.sock.groupInviteCode(groupId)}`;
+            } catch (error) {
+                // Fall back to the link captured with the alert
+            }
+            if (groupLink && groupLink !== 'N/A') {
+                try {
+                    await this.sock.sendMessage(addJid, {
+                        text: `👋 הוסרת מהקבוצה "${groupName}" בטעות. אפשר להצטרף שוב:\n` +
+                              `You were removed from "${groupName}" by mistake. You can rejoin here:\n\n` +
+                              groupLink
+                    });
+                    rejoinLinkSent = true;
+                    status.push('🔗 Rejoin link sent to the user');
+                } catch (error) {
+                    status.push(`❌ Could not send the rejoin link: ${error.message}`);
+                }
+            } else {
+                status.push('❌ No group link available - add the user manually');
+            }
+        }
+
+        await groupService.logAudit('kick_undo', {
+            whatsappGroupId: groupId,
+            targetPhone: phoneNumber || userId,
+            actor: roleService.roleKey(actor) || null,
+            rule: reason || null,
+            reason: 'Kick undone from alert',
+            outcome: readded ? 'success' : (rejoinLinkSent ? 'partial' : 'failed'),
+            metadata: { kickReason: reason || '', readded, rejoinLinkSent, violationsCleared }
+        });
+
+        console.log(`[${getTimestamp()}] ↩️ Kick undone for ${phoneNumber || userId} in ${groupName} by ${actor}`);
+        return `↩️ *Kick undone* - ${phoneNumber ? `+${phoneNumber}` : userId}\n` +
+               `📍 Group: ${groupName}\n\n` +
+               status.join('\n');
+    }
+
+    /**
+     * Build the rejoin-links block offered after a user is unblacklisted
+     * @returns {Promise<string>} Empty string when there is nothing to offer
+     */
+    async buildRejoinLinksText(phoneNumber) {
+        try {
+            const digits = String(phoneNumber).replace(/[^0-9]/g, '');
+            const kicks = await kickedUserService.getRejoinInfo(`${digits}@s.whatsapp.net`, false);
+            const withLinks = kicks.filter(k => k.groupInviteLink && k.groupInviteLink !== 'N/A');
+            if (withLinks.length === 0) return '';
+
+            let text = `\n\n🔗 *Rejoin links (${withLinks.length}):*\n`;
+            withLinks.slice(0, 5).forEach((kick, index) => {
+                text += `${index + 1}. ${kick.groupName} (${new Date(kick.kickedAt).toLocaleDateString()})\n   ${kick.groupInviteLink}\n`;
+            });
+            if (withLinks.length > 5) {
+                text += `...and ${withLinks.length - 5} more - use #rejoinlinks ${digits}\n`;
+            }
+            text += `\nForward these to the user if they should return.`;
+            return text;
+        } catch (error) {
+            console.warn('⚠️ Failed to build rejoin links:', error.message);
+            return '';
+        }
+    }
+
     async handleRejoinLinks(msg, args, isAdmin) {
         if (!isAdmin) {
             await this.sock.sendMessage(this.getAdminJid(), { 
@@ -3498,10 +5801,8 @@ class CommandHandler {
             const argsString = Array.isArray(args) ? args.join(' ') : args;
             const phoneNumber = argsString.trim();
             const userId = `${phoneNumber}@s.whatsapp.net`;
-            const { kickedUserService } = require('./kickedUserService');
-
-            // Get all kick records for this user
-            const allKicks = await kickedUserService.getRejoinInfo(userId, false); // Get all, not just recent
+            // Get all kick records for this user (any age, including ones still pending approval)
+            const allKicks = await kickedUserService.getRejoinInfo(userId, false, null, true);
             
             if (!allKicks || allKicks.length === 0) {
                 await this.sock.sendMessage(this.getAdminJid(), { 
@@ -3519,6 +5820,7 @@ class CommandHandler {
                 report += `${index + 1}️⃣ *${kick.groupName}*\n`;
                 report += `   📅 Kicked: ${kickDate}\n`;
                 report += `   🔍 Reason: ${kick.reason}\n`;
+                report += `   👮 By: ${this.formatKickedBy(kick.kickedBy)}\n`;
                 report += `   🎯 Status: ${canRejoinStatus}\n`;
                 
                 if (kick.canRejoin && kick.groupInviteLink && kick.groupInviteLink !== 'N/A') {
@@ -4430,6 +6732,8 @@ Example: #setcategory family`
 
         try {
             let updated = false;
+            let reviewedFlag = null;
+            let alreadyReviewed = false;
             let source = 'memory';
 
             // Try Redis first, fallback to in-memory
@@ -4447,6 +6751,7 @@ Example: #setcategory family`
 
                         if (message.id === messageId) {
                             // Update verdict and timestamp
+                            alreadyReviewed = Boolean(message.verdict);
                             message.verdict = verdict;
                             message.feedbackTimestamp = Date.now();
 
@@ -4461,6 +6766,7 @@ Example: #setcategory family`
                             }));
 
                             updated = true;
+                            reviewedFlag = message;
                             source = 'Redis';
                             break;
                         }
@@ -4473,18 +6779,47 @@ Example: #setcategory family`
 
                 const message = global.bullywatchFlagged.find(m => m.id === messageId);
                 if (message) {
+                    alreadyReviewed = Boolean(message.verdict);
                     message.verdict = verdict;
                     message.feedbackTimestamp = Date.now();
                     updated = true;
+                    reviewedFlag = message;
                 }
             }
 
             if (updated) {
+                const reviewer = (msg.key.participant || msg.key.remoteJid || '').split('@')[0];
+
+                // Mark the saved flag too, so the dashboard stops listing it as pending
+                // (flags stored before the WhatsApp message ID was kept can't be matched)
+                if (reviewedFlag.messageId) {
+                    try {
+                        const { setReviewVerdictByMessageId } = require('../database/offensiveMessageService');
+                        const reviewVerdict = verdict === 'false_positive' ? 'false_positive' : 'true_positive';
+                        const row = await setReviewVerdictByMessageId(reviewedFlag.messageId, reviewVerdict, reviewer);
+                        if (row && row.previous_verdict) alreadyReviewed = true;
+                    } catch (dbError) {
+                        console.error(`[${getTimestamp()}] ⚠️  Failed to mark flagged message as reviewed:`, dbError.message);
+                    }
+                }
+
+                // Feed the accuracy statistics (same path as the review dashboard) - first review only
+                if (!alreadyReviewed) {
+                    const feedbackService = require('./bullywatch/feedbackService');
+                    await feedbackService.recordReviewVerdict({
+                        messageId,
+                        groupId: reviewedFlag.groupId,
+                        severity: reviewedFlag.severity,
+                        categories: reviewedFlag.categories
+                    }, verdict, reviewer, 'whatsapp');
+                }
+
                 await this.sock.sendMessage(this.getAdminJid(), {
                     text: `✅ Feedback recorded!\n\n` +
                           `🆔 Message ID: ${messageId}\n` +
                           `📊 Verdict: ${verdict}\n` +
                           `💾 Stored in: ${source}\n\n` +
+                          (alreadyReviewed ? `ℹ️ Already reviewed - verdict updated, accuracy stats unchanged.\n` : '') +
                           `Use #bullywatch metrics to view accuracy stats.`,
                     quoted: msg
                 });
@@ -4938,4 +7273,15 @@ Example: #setcategory family`
 }
 
 module.exports = CommandHandler;
-module.exports.parseAutoTranslateArgs = parseAutoTranslateArgs;
\ No newline at end of file
+module.exports.parseAutoTranslateArgs = parseAutoTranslateArgs;
+module.exports.parseStrikePolicyArgs = parseStrikePolicyArgs;
+module.exports.parseAuditArgs = parseAuditArgs;
+module.exports.parseRoleArgs = parseRoleArgs;
+module.exports.parseCountryPolicyArgs = parseCountryPolicyArgs;
+module.exports.parseDryRunArgs = parseDryRunArgs;
+module.exports.parseFloodArgs = parseFloodArgs;
+module.exports.parseProbationArgs = parseProbationArgs;
+module.exports.parseCaptchaArgs = parseCaptchaArgs;
+module.exports.parseUrlPolicyArgs = parseUrlPolicyArgs;
+module.exports.parseUrlBlockArgs = parseUrlBlockArgs;
+module.exports.parseGlossaryArgs = parseGlossaryArgs;
\ No newline at end of file
@@ -0,0 +1,241 @@
+// services/crossPostService.js
+// Cross-group duplicate spam: the same promo text or media pasted into many of our groups.
+// Each message gets a fingerprint (normalized text hash, or the media file hash) and every
+// sighting is kept in Redis for CROSS_POST.WINDOW_MINUTES. When the same content from the same
+// sender - or from members who all joined recently - reaches CROSS_POST.GROUPS_THRESHOLD groups,
+// it is deleted everywhere and the admin gets ONE alert with a "kickglobal" reply option.
+
+const crypto = require('crypto');
+const config = require('../config');
+const { getTimestamp } = require('../utils/logger');
+const { getRedis, isRedisConnected, getRecentJoin } = require('./redisService');
+const { logAudit } = require('../database/groupService');
+const { formatPhoneForAlert } = require('../utils/alertService');
+
+const CROSS_POST = {
+    GROUPS_THRESHOLD: 3,
+    WINDOW_MINUTES: 10,
+    MIN_TEXT_LENGTH: 20,
+    NEW_JOINER_HOURS: 24,
+    ...(config.CROSS_POST || {})
+};
+
+const ALERT_REPLY_WINDOW_MS = 24 * 60 * 60 * 1000; // "kickglobal" reply accepted for 24h
+
+// Stickers are left out on purpose: the same popular sticker is posted in many groups legitimately
+const FINGERPRINTED_MEDIA = ['imageMessage', 'videoMessage', 'documentMessage', 'audioMessage'];
+
+// Alert message ID → { fingerprint, snippet, senders: [{ userId, phone }], groups: [{ groupId, groupName }], createdAt }
+const crossPostAlerts = new Map();
+
+/**
+ * Text reduced to letters and digits, so spacing, punctuation and emoji tweaks still match
+ */
+function normalizeText(text) {
+    return (text || '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function mediaContent(msg) {
+    const message = msg?.message || {};
+    const documentWithCaption = message.documentWithCaptionMessage?.message?.documentMessage;
+    if (documentWithCaption) return documentWithCaption;
+    const type = FINGERPRINTED_MEDIA.find(t => message[t]);
+    return type ? message[type] : null;
+}
+
+/**
+ * Fingerprints of a message: one for its text (if long enough), one for its media file
+ * @returns {string[]} e.g. ['text:3f2a…', 'media:9b1c…']
+ */
+function getFingerprints(msg, messageText) {
+    const fingerprints = [];
+
+    const normalized = normalizeText(messageText);
+    if (normalized.length >= CROSS_POST.MIN_TEXT_LENGTH) {
+        fingerprints.push(`text:${crypto.createHash('sha1').update(normalized).digest('hex')}`);
+    }
+
+    const fileSha256 = mediaContent(msg)?.fileSha256;
+    if (fileSha256 && fileSha256.length) {
+        const hash = typeof fileSha256 === 'string' ? fileSha256 : Buffer.from(fileSha256).toString('base64');
+        fingerprints.push(`media:${crypto.createHash('sha1').update(hash).digest('hex')}`);
+    }
+
+    return fingerprints;
+}
+
+/**
+ * Sightings that belong to the same campaign as the current one:
+ * same sender, or - when the current sender is a new joiner - any other new joiner
+ */
+function campaignSightings(sightings, current) {
+    return sightings.filter(s => s.senderId === current.senderId || (current.newJoiner && s.newJoiner));
+}
+
+async function deleteSighting(sock, sighting, reason) {
+    const audit = {
+        whatsappGroupId: sighting.groupId,
+        targetPhone: sighting.senderId,
+        actor: 'auto:cross_post',
+        rule: 'cross_post',
+        reason,
+        messageSnippet: sighting.snippet || null
+    };
+    try {
+        await sock.sendMessage(sighting.groupId, { delete: sighting.messageKey });
+        await logAudit('message_delete', { ...audit, metadata: { messageId: sighting.messageKey.id } });
+        return true;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Cross-post: failed to delete in ${sighting.groupId}:`, error.message);
+        await logAudit('message_delete', { ...audit, outcome: 'failed', metadata: { messageId: sighting.messageKey.id } });
+        return false;
+    }
+}
+
+async function groupNameOf(sock, groupId) {
+    const metadata = await sock.groupMetadata(groupId).catch(() => null);
+    return metadata?.subject || groupId;
+}
+
+async function sendCrossPostAlert(sock, fingerprint, sightings) {
+    if (!config.ALERT_PHONE) return null;
+
+    const senders = [];
+    for (const s of sightings) {
+        if (!senders.some(x => x.userId === s.senderId)) {
+            senders.push({ userId: s.senderId, phone: s.senderId.split('@')[0] });
+        }
+    }
+    const groups = [];
+    for (const s of sightings) {
+        if (!groups.some(g => g.groupId === s.groupId)) {
+            groups.push({ groupId: s.groupId, groupName: await groupNameOf(sock, s.groupId) });
+        }
+    }
+    const snippet = sightings.find(s => s.snippet)?.snippet || (fingerprint.startsWith('media:') ? '[media]' : '');
+
+    const alertMessage =
+        `📢 *Cross-Group Spam Detected*\n\n` +
+        `The same ${fingerprint.startsWith('media:') ? 'media' : 'message'} was posted in ${groups.length} groups within ${CROSS_POST.WINDOW_MINUTES} minutes.\n\n` +
+        `👤 Sender${senders.length > 1 ? 's (new joiners)' : ''}:\n` +
+        senders.map(s => `  • +${s.phone}`).join('\n') + '\n\n' +
+        `📍 Groups:\n` +
+        groups.map(g => `  • ${g.groupName}`).join('\n') + '\n\n' +
+        (snippet ? `💬 "${snippet}"\n\n` : '') +
+        `🗑️ Deleted everywhere (later copies are deleted too)\n\n` +
+        `Reply *kickglobal* to remove ${senders.length > 1 ? 'these senders' : 'the sender'} from all your groups`;
+
+    try {
+        const sent = await sock.sendMessage(formatPhoneForAlert(config.ALERT_PHONE), { text: alertMessage });
+        if (sent?.key?.id) {
+            crossPostAlerts.set(sent.key.id, { fingerprint, snippet, senders, groups, createdAt: Date.now() });
+        }
+        console.log(`[${getTimestamp()}] 📢 Cross-post alert sent (${groups.length} groups, ${senders.length} sender(s))`);
+        return sent?.key?.id || null;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to send cross-post alert:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Record a group message and act if it completes a cross-group campaign.
+ * Call for non-admin, non-whitelisted members only.
+ * @returns {Promise<boolean>} true when the message was deleted as cross-posted spam - stop processing it
+ */
+async function checkCrossPost(sock, msg, { groupId, senderId, messageText }) {
+    if (!isRedisConnected()) return false;
+
+    const fingerprints = getFingerprints(msg, messageText);
+    if (fingerprints.length === 0) return false;
+
+    const redis = getRedis();
+    const windowSeconds = CROSS_POST.WINDOW_MINUTES * 60;
+    const current = {
+        groupId,
+        senderId,
+        messageKey: msg.key,
+        newJoiner: !!(await getRecentJoin(groupId, senderId)),
+        snippet: (messageText || '').substring(0, 100),
+        at: Date.now()
+    };
+
+    try {
+        for (const fingerprint of fingerprints) {
+            const key = `crosspost:${fingerprint}`;
+            await redis.rpush(key, JSON.stringify(current));
+            await redis.expire(key, windowSeconds);
+
+            const sightings = (await redis.lrange(key, 0, -1)).map(raw => JSON.parse(raw));
+            const campaign = campaignSightings(sightings, current);
+            const groupCount = new Set(campaign.map(s => s.groupId)).size;
+            if (groupCount < CROSS_POST.GROUPS_THRESHOLD) continue;
+
+            const reason = `Same content posted in ${groupCount} groups within ${CROSS_POST.WINDOW_MINUTES} min`;
+            // First message to cross the threshold owns the alert; later copies join it
+            const first = await redis.set(`${key}:alerted`, 'pending', 'EX', windowSeconds, 'NX');
+            if (first) {
+                console.log(`[${getTimestamp()}] 📢 Cross-post campaign: ${fingerprint} in ${groupCount} groups`);
+                for (const sighting of campaign) {
+                    await deleteSighting(sock, sighting, reason);
+                }
+                const alertId = await sendCrossPostAlert(sock, fingerprint, campaign);
+                if (alertId) {
+                    await redis.set(`${key}:alerted`, alertId, 'EX', windowSeconds);
+                }
+            } else {
+                await deleteSighting(sock, current, reason);
+                const alert = crossPostAlerts.get(await redis.get(`${key}:alerted`));
+                if (alert && !alert.senders.some(s => s.userId === senderId)) {
+                    alert.senders.push({ userId: senderId, phone: senderId.split('@')[0] });
+                }
+            }
+            return true;
+        }
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Cross-post check failed:`, error.message);
+    }
+    return false;
+}
+
+function getCrossPostAlert(alertMessageId) {
+    const alert = crossPostAlerts.get(alertMessageId);
+    if (!alert) return null;
+    if (Date.now() - alert.createdAt >= ALERT_REPLY_WINDOW_MS) {
+        crossPostAlerts.delete(alertMessageId);
+        return null;
+    }
+    return alert;
+}
+
+/**
+ * "kickglobal" reply: remove every sender of the campaign from all groups the admin manages
+ * @returns {Promise<string[]>} One report per sender
+ */
+async function kickCrossPostSenders(sock, alertMessageId, adminPhone = config.ALERT_PHONE) {
+    const alert = getCrossPostAlert(alertMessageId);
+    if (!alert) return [];
+    crossPostAlerts.delete(alertMessageId);
+
+    const { removeUserFromAllAdminGroups, formatGlobalBanReport } = require('../utils/globalBanHelper');
+    const reports = [];
+    for (const sender of alert.senders) {
+        try {
+            const report = await removeUserFromAllAdminGroups(sock, sender.userId, adminPhone, sender.phone);
+            reports.push(formatGlobalBanReport(report));
+        } catch (error) {
+            console.error(`[${getTimestamp()}] ❌ Cross-post kickglobal failed for ${sender.userId}:`, error.message);
+            reports.push(`❌ Global ban failed for +${sender.phone}: ${error.message}`);
+        }
+    }
+    return reports;
+}
+
+module.exports = {
+    CROSS_POST,
+    normalizeText,
+    getFingerprints,
+    checkCrossPost,
+    getCrossPostAlert,
+    kickCrossPostSenders
+};
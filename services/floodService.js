@@ -0,0 +1,182 @@
+// services/floodService.js
+// Per-group flood protection set with #flood. Counts each member's messages, repeated texts
+// and media bursts in Redis (redisService.isRateLimited) and answers with a graduated response:
+// delete the excess → mute for a few minutes → alert the admins.
+
+const crypto = require('crypto');
+const { getTimestamp } = require('../utils/logger');
+const { isRateLimited, isRedisConnected } = require('./redisService');
+const { addMutedUser } = require('./muteService');
+const { getFloodRules, logAudit } = require('../database/groupService');
+const { sendAlert } = require('../utils/alertService');
+
+// messages: any message · repeat: the same text again · media: stickers, images, video, audio, files
+const FLOOD_TYPES = ['messages', 'repeat', 'media'];
+
+// Highest step of the response ladder: each action includes the ones before it
+const FLOOD_ACTIONS = ['delete', 'mute', 'alert'];
+
+const DEFAULT_MUTE_MINUTES = 10;
+
+// Messages over the limit within one window before 'mute' / 'alert' rules mute the member
+const ESCALATE_AFTER_EXCESS = 3;
+
+const MEDIA_MESSAGE_TYPES = [
+    'stickerMessage', 'imageMessage', 'videoMessage', 'audioMessage',
+    'documentMessage', 'documentWithCaptionMessage', 'ptvMessage'
+];
+
+const FLOOD_TYPE_LABELS = {
+    messages: 'Messages',
+    repeat: 'Repeated text',
+    media: 'Media / stickers'
+};
+
+function isMediaMessage(msg) {
+    const message = msg?.message || {};
+    return MEDIA_MESSAGE_TYPES.some(type => message[type]);
+}
+
+/**
+ * "delete excess, mute 10 min, alert admins" for a rule
+ */
+function describeFloodResponse(rule) {
+    const steps = ['delete excess'];
+    if (rule.action === 'mute' || rule.action === 'alert') {
+        steps.push(`mute ${rule.muteMinutes || DEFAULT_MUTE_MINUTES} min`);
+    }
+    if (rule.action === 'alert') {
+        steps.push('alert admins');
+    }
+    return steps.join(', ');
+}
+
+/**
+ * Human-readable rules, one line per configured type ('off' when none)
+ */
+function formatFloodRules(rules) {
+    const lines = FLOOD_TYPES.filter(type => rules && rules[type]).map(type => {
+        const rule = rules[type];
+        return `• ${FLOOD_TYPE_LABELS[type]}: ${rule.count} per ${rule.seconds}s → ${describeFloodResponse(rule)}`;
+    });
+    return lines.length > 0 ? lines.join('\n') : 'off';
+}
+
+/**
+ * Count a message against the group's rules.
+ * Every applicable counter is bumped, so a burst is tracked even while another rule fires.
+ *
+ * @param {string} groupId
+ * @param {string} senderId - Sender JID (phone or LID)
+ * @param {Object} msg - Baileys message (used to detect media)
+ * @param {string} messageText - Extracted text ('' for media without caption)
+ * @param {Object} rules - { messages?, repeat?, media? } from groupService.getFloodRules
+ * @returns {Promise<{ type: string, rule: Object, escalate: boolean } | null>} First rule exceeded, or null
+ */
+async function checkFlood(groupId, senderId, msg, messageText, rules) {
+    if (!rules || !isRedisConnected()) return null;
+
+    const user = String(senderId).split('@')[0].split(':')[0];
+    const text = (messageText || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+    const counters = [];
+    if (rules.messages) {
+        counters.push({ type: 'messages', key: `flood:${groupId}:${user}:messages` });
+    }
+    if (rules.repeat && text) {
+        const hash = crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+        counters.push({ type: 'repeat', key: `flood:${groupId}:${user}:repeat:${hash}` });
+    }
+    if (rules.media && isMediaMessage(msg)) {
+        counters.push({ type: 'media', key: `flood:${groupId}:${user}:media` });
+    }
+
+    let breach = null;
+    for (const { type, key } of counters) {
+        const rule = rules[type];
+        const limited = await isRateLimited(key, rule.count, rule.seconds);
+        if (limited && !breach) {
+            breach = { type, key, rule };
+        }
+    }
+    if (!breach) return null;
+
+    let escalate = false;
+    if (breach.rule.action === 'mute' || breach.rule.action === 'alert') {
+        escalate = await isRateLimited(`${breach.key}:excess`, ESCALATE_AFTER_EXCESS - 1, breach.rule.seconds);
+    }
+    return { type: breach.type, rule: breach.rule, escalate };
+}
+
+/**
+ * Apply the group's flood rules to one message from a non-admin member.
+ * @returns {Promise<boolean>} true when the message was over a limit (and deleted) - stop processing it
+ */
+async function enforceFloodRules(sock, msg, { groupId, senderId, messageText, groupName = null }) {
+    const rules = await getFloodRules(groupId);
+    if (!rules || Object.keys(rules).length === 0) return false;
+
+    const breach = await checkFlood(groupId, senderId, msg, messageText, rules);
+    if (!breach) return false;
+
+    const { type, rule, escalate } = breach;
+    const reason = `${FLOOD_TYPE_LABELS[type]} over ${rule.count} per ${rule.seconds}s`;
+    const audit = {
+        whatsappGroupId: groupId,
+        targetPhone: senderId,
+        actor: 'auto:flood',
+        rule: `flood_${type}`,
+        reason,
+        messageSnippet: messageText || null
+    };
+
+    try {
+        await sock.sendMessage(groupId, { delete: msg.key });
+        console.log(`[${getTimestamp()}] 🌊 Flood: deleted message from ${senderId} (${reason})`);
+        await logAudit('message_delete', { ...audit, metadata: { messageId: msg.key.id } });
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Flood: failed to delete message:`, error.message);
+        await logAudit('message_delete', { ...audit, outcome: 'failed', metadata: { messageId: msg.key.id } });
+    }
+
+    if (!escalate) return true;
+
+    const minutes = rule.muteMinutes || DEFAULT_MUTE_MINUTES;
+    const muteUntil = Date.now() + minutes * 60 * 1000;
+    const muted = await addMutedUser(senderId, groupId, muteUntil, { mutedBy: 'auto:flood', reason });
+    await logAudit('mute', {
+        ...audit,
+        outcome: muted ? 'success' : 'failed',
+        metadata: { scope: 'user', minutes, mutedUntil: new Date(muteUntil).toISOString() }
+    });
+    console.log(`[${getTimestamp()}] 🔇 Flood: muted ${senderId} in ${groupId} for ${minutes} min`);
+
+    if (rule.action === 'alert') {
+        let name = groupName;
+        if (!name) {
+            const metadata = await sock.groupMetadata(groupId).catch(() => null);
+            name = metadata?.subject || 'Unknown Group';
+        }
+        await sendAlert(sock,
+            `🌊 *Flood Detected*\n\n` +
+            `👤 User: +${senderId.split('@')[0]}\n` +
+            `📍 Group: ${name}\n` +
+            `⚠️ ${reason}\n` +
+            `🔇 Muted for ${minutes} minutes (excess messages deleted)`
+        );
+    }
+
+    return true;
+}
+
+module.exports = {
+    FLOOD_TYPES,
+    FLOOD_ACTIONS,
+    DEFAULT_MUTE_MINUTES,
+    ESCALATE_AFTER_EXCESS,
+    isMediaMessage,
+    describeFloodResponse,
+    formatFloodRules,
+    checkFlood,
+    enforceFloodRules
+};
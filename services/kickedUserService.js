@@ -1,9 +1,10 @@
 const { getTimestamp } = require('../utils/logger');
+const { query } = require('../database/connection');
 
 /**
  * Kicked User Service
  * Manages kicked users with group rejoin links for easy return after unblacklisting
- * Memory-only storage
+ * Persisted to the PostgreSQL `kicked_users` table and cached in memory
  */
 
 class KickedUserService {
@@ -12,23 +13,62 @@ class KickedUserService {
         this.cacheLoaded = false;
     }
 
+    normalizeUserId(userId) {
+        return userId.replace('@s.whatsapp.net', '').replace('@c.us', '').replace('@lid', '');
+    }
+
     /**
-     * Load kicked user data into cache
+     * Load kicked user data from PostgreSQL into cache
      */
     async loadKickedUserCache() {
-        // Memory-only mode
+        try {
+            const result = await query(`
+                SELECT user_phone, user_jid, whatsapp_group_id, group_name, group_invite_link,
+                       admin_list, reason, kicked_by, kicked_at, can_rejoin, approved_at, rejoined_at
+                FROM kicked_users
+            `);
+
+            this.kickedUserCache.clear();
+            for (const row of result.rows) {
+                this.kickedUserCache.set(`${row.user_phone}:${row.whatsapp_group_id}`, {
+                    userId: row.user_phone,
+                    originalId: row.user_jid,
+                    groupId: row.whatsapp_group_id,
+                    groupName: row.group_name,
+                    groupInviteLink: row.group_invite_link,
+                    adminList: row.admin_list || [],
+                    kickedAt: new Date(row.kicked_at).toISOString(),
+                    reason: row.reason || 'Unknown',
+                    kickedBy: row.kicked_by,
+                    canRejoin: row.can_rejoin,
+                    approvedAt: row.approved_at ? new Date(row.approved_at).toISOString() : undefined,
+                    rejoinedAt: row.rejoined_at ? new Date(row.rejoined_at).toISOString() : null,
+                    notes: `Kicked from ${row.group_name} for: ${row.reason}`
+                });
+            }
+
+            console.log(`💾 Loaded ${this.kickedUserCache.size} kick records from PostgreSQL`);
+        } catch (error) {
+            console.warn(`⚠️ Could not load kick records from PostgreSQL (${error.message}) - using memory-only cache`);
+        }
+
         this.cacheLoaded = true;
-        console.log(`💾 Kicked user service using memory-only cache - ${this.kickedUserCache.size} records`);
         return true;
     }
 
     /**
      * Record a kicked user with their group information for easy rejoin
+     * @param {string} kickedBy - Admin JID, or 'auto:<rule>' for automatic kicks
      */
-    async recordKickedUser(userId, groupId, groupName, groupInviteLink, reason = 'Unknown', adminList = []) {
-        const normalizedUserId = userId.replace('@s.whatsapp.net', '').replace('@c.us', '').replace('@lid', '');
+    async recordKickedUser(userId, groupId, groupName, groupInviteLink, reason = 'Unknown', adminList = [], kickedBy = null) {
+        const normalizedUserId = this.normalizeUserId(userId);
         const now = new Date();
 
+        // Hydrate first so a later lazy load can't wipe this record from the cache
+        if (!this.cacheLoaded) {
+            await this.loadKickedUserCache();
+        }
+
         const kickRecord = {
             userId: normalizedUserId,
             originalId: userId,
@@ -38,6 +78,7 @@ class KickedUserService {
             adminList: adminList,
             kickedAt: now.toISOString(),
             reason: reason,
+            kickedBy: kickedBy,
             canRejoin: false,
             rejoinedAt: null,
             notes: `Kicked from ${groupName} for: ${reason}`
@@ -47,15 +88,79 @@ class KickedUserService {
         const cacheKey = `${normalizedUserId}:${groupId}`;
         this.kickedUserCache.set(cacheKey, kickRecord);
 
+        // Persist to PostgreSQL (latest kick per user per group)
+        try {
+            await query(`
+                INSERT INTO kicked_users (user_phone, user_jid, whatsapp_group_id, group_name, group_invite_link,
+                                          admin_list, reason, kicked_by, kicked_at, can_rejoin, approved_at, rejoined_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, false, NULL, NULL)
+                ON CONFLICT (user_phone, whatsapp_group_id)
+                DO UPDATE SET
+                    user_jid = EXCLUDED.user_jid,
+                    group_name = EXCLUDED.group_name,
+                    group_invite_link = EXCLUDED.group_invite_link,
+                    admin_list = EXCLUDED.admin_list,
+                    reason = EXCLUDED.reason,
+                    kicked_by = EXCLUDED.kicked_by,
+                    kicked_at = EXCLUDED.kicked_at,
+                    can_rejoin = false,
+                    approved_at = NULL,
+                    rejoined_at = NULL
+            `, [normalizedUserId, userId, groupId, groupName, groupInviteLink, JSON.stringify(adminList || []), reason, kickedBy, now]);
+        } catch (dbError) {
+            console.warn(`⚠️ Kick record for ${normalizedUserId} kept in memory only (DB unavailable): ${dbError.message}`);
+        }
+
         console.log(`✅ Recorded kick: ${normalizedUserId} from ${groupName} (${reason})`);
         return true;
     }
 
+    /**
+     * Record a kick, capturing the group's invite link and admin list at kick time.
+     * Safe to call from any kick path - never throws.
+     * @param {object} sock - Baileys socket
+     * @param {object} kick - { userId, groupId, reason, kickedBy, groupName?, groupMetadata?, groupInviteLink? }
+     */
+    async recordKick(sock, { userId, groupId, reason, kickedBy = null, groupName = null, groupMetadata = null, groupInviteLink = null }) {
+        try {
+            let inviteLink = groupInviteLink && groupInviteLink !== 'N/A' ? groupInviteLink : null;
+            if (!inviteLink) {
+                try {
+                    const inviteCode = await sock.groupInviteCode(groupId);
+                    if (inviteCode) inviteLink = `https://chat.whatsapp.com/${inviteCode}`;
+                } catch (err) {
+                    // Bot may not be allowed to read the invite code
+                }
+            }
+
+            const adminList = (groupMetadata?.participants || [])
+                .filter(p => p.admin === 'admin' || p.admin === 'superadmin')
+                .map(p => {
+                    const isLID = p.id.endsWith('@lid');
+                    const phone = (isLID && p.phoneNumber ? p.phoneNumber : p.id).split('@')[0];
+                    return { name: p.name || p.notify || `+${phone}`, phone, isLID };
+                });
+
+            return await this.recordKickedUser(
+                userId,
+                groupId,
+                groupName || groupMetadata?.subject || 'Unknown Group',
+                inviteLink || 'N/A',
+                reason,
+                adminList,
+                kickedBy
+            );
+        } catch (error) {
+            console.error(`[${getTimestamp()}] ❌ Failed to record kick for ${userId}:`, error.message);
+            return false;
+        }
+    }
+
     /**
      * Get rejoin information for a user
      */
-    async getRejoinInfo(userId, recentOnly = true, reason = null) {
-        const normalizedUserId = userId.replace('@s.whatsapp.net', '').replace('@c.us', '').replace('@lid', '');
+    async getRejoinInfo(userId, recentOnly = true, reason = null, includePending = false) {
+        const normalizedUserId = this.normalizeUserId(userId);
 
         if (!this.cacheLoaded) {
             await this.loadKickedUserCache();
@@ -65,7 +170,7 @@ class KickedUserService {
         const thirtyDaysAgo = new Date(Date.now() - (30 * 24 * 60 * 60 * 1000));
 
         for (const [key, record] of this.kickedUserCache.entries()) {
-            if (record.userId === normalizedUserId && record.canRejoin) {
+            if (record.userId === normalizedUserId && (record.canRejoin || includePending)) {
                 if (recentOnly) {
                     const kickDate = new Date(record.kickedAt);
                     if (kickDate < thirtyDaysAgo) continue;
@@ -87,7 +192,7 @@ class KickedUserService {
      * Mark user as eligible for rejoin (called when they're unblacklisted)
      */
     async enableRejoin(userId) {
-        const normalizedUserId = userId.replace('@s.whatsapp.net', '').replace('@c.us', '').replace('@lid', '');
+        const normalizedUserId = this.normalizeUserId(userId);
         let recordsUpdated = 0;
 
         for (const [key, record] of this.kickedUserCache.entries()) {
@@ -99,6 +204,18 @@ class KickedUserService {
             }
         }
 
+        try {
+            const result = await query(`
+                UPDATE kicked_users
+                SET can_rejoin = true,
+                    approved_at = NOW()
+                WHERE user_phone = $1
+            `, [normalizedUserId]);
+            recordsUpdated = Math.max(recordsUpdated, result.rowCount || 0);
+        } catch (dbError) {
+            console.warn(`⚠️ Failed to persist rejoin approval for ${normalizedUserId}: ${dbError.message}`);
+        }
+
         console.log(`✅ Enabled rejoin for ${normalizedUserId} (${recordsUpdated} groups)`);
         return recordsUpdated > 0;
     }
@@ -107,7 +224,7 @@ class KickedUserService {
      * Record when user rejoins a group
      */
     async recordRejoin(userId, groupId) {
-        const normalizedUserId = userId.replace('@s.whatsapp.net', '').replace('@c.us', '').replace('@lid', '');
+        const normalizedUserId = this.normalizeUserId(userId);
         const cacheKey = `${normalizedUserId}:${groupId}`;
 
         if (this.kickedUserCache.has(cacheKey)) {
@@ -116,7 +233,47 @@ class KickedUserService {
             record.canRejoin = false;
             this.kickedUserCache.set(cacheKey, record);
             console.log(`✅ Recorded rejoin: ${normalizedUserId} back to ${record.groupName}`);
+
+            try {
+                await query(`
+                    UPDATE kicked_users
+                    SET rejoined_at = NOW(),
+                        can_rejoin = false
+                    WHERE user_phone = $1 AND whatsapp_group_id = $2
+                `, [normalizedUserId, groupId]);
+            } catch (dbError) {
+                console.warn(`⚠️ Failed to persist rejoin for ${normalizedUserId}: ${dbError.message}`);
+            }
+        }
+    }
+
+    /**
+     * Forget a kick that was undone, so the user no longer shows as kicked from the group
+     * @returns {Promise<boolean>} Whether there was a record to remove
+     */
+    async removeKickRecord(userId, groupId) {
+        const normalizedUserId = this.normalizeUserId(userId);
+
+        if (!this.cacheLoaded) {
+            await this.loadKickedUserCache();
+        }
+
+        let removed = this.kickedUserCache.delete(`${normalizedUserId}:${groupId}`);
+
+        try {
+            const result = await query(`
+                DELETE FROM kicked_users
+                WHERE user_phone = $1 AND whatsapp_group_id = $2
+            `, [normalizedUserId, groupId]);
+            removed = removed || (result.rowCount || 0) > 0;
+        } catch (dbError) {
+            console.warn(`⚠️ Failed to remove persisted kick record for ${normalizedUserId}: ${dbError.message}`);
+        }
+
+        if (removed) {
+            console.log(`✅ Removed kick record: ${normalizedUserId} from ${groupId}`);
         }
+        return removed;
     }
 
     /**
@@ -134,6 +291,15 @@ class KickedUserService {
             }
         }
 
+        try {
+            await query(`
+                DELETE FROM kicked_users
+                WHERE kicked_at < $1 AND rejoined_at IS NOT NULL
+            `, [cutoffDate]);
+        } catch (dbError) {
+            console.warn(`⚠️ Failed to clean up persisted kick records: ${dbError.message}`);
+        }
+
         if (cleaned > 0) {
             console.log(`✅ Cleaned up ${cleaned} old kick records`);
         }
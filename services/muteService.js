@@ -1,19 +1,59 @@
 const { jidKey } = require('../utils/jidUtils');
+const { query } = require('../database/connection');
 
-// In-memory mute storage for fast access
+// In-memory mute cache for fast access (write-through to PostgreSQL `mutes` table)
+// Keyed by `${jid}:${groupId}` — mutes are scoped per group
+// Value: { userId, groupId, muteUntil, mutedBy, reason, createdAt }
 const mutedUsers = new Map();
 const mutedMessageCounts = new Map();
 
-async function addMutedUser(userId, muteUntil) {
+function muteKey(jid, groupId) {
+    return `${jid}:${groupId}`;
+}
+
+/**
+ * Mute a user in a group
+ * @param {string} userId - User JID or phone
+ * @param {string} groupId - WhatsApp group ID the mute applies to
+ * @param {number} muteUntil - Expiry timestamp (ms)
+ * @param {Object} details - { mutedBy: admin JID, reason: free text }
+ * @returns {Promise<boolean>} Success status
+ */
+async function addMutedUser(userId, groupId, muteUntil, details = {}) {
     try {
         const jid = jidKey(userId);
-        if (!jid) return false;
+        if (!jid || !groupId) return false;
+
+        const key = muteKey(jid, groupId);
 
         // Add to memory
-        mutedUsers.set(jid, muteUntil);
-        mutedMessageCounts.set(jid, 0);
+        mutedUsers.set(key, {
+            userId: jid,
+            groupId,
+            muteUntil,
+            mutedBy: details.mutedBy || null,
+            reason: details.reason || null,
+            createdAt: Date.now()
+        });
+        mutedMessageCounts.set(key, 0);
+
+        // Persist to PostgreSQL
+        try {
+            await query(`
+                INSERT INTO mutes (whatsapp_group_id, user_jid, muted_until, muted_by, reason)
+                VALUES ($1, $2, to_timestamp($3 / 1000.0), $4, $5)
+                ON CONFLICT (whatsapp_group_id, user_jid)
+                DO UPDATE SET
+                    muted_until = EXCLUDED.muted_until,
+                    muted_by = EXCLUDED.muted_by,
+                    reason = EXCLUDED.reason,
+                    created_at = NOW()
+            `, [groupId, jid, muteUntil, details.mutedBy || null, details.reason || null]);
+            console.log(`✅ User ${jid} muted in ${groupId} until ${new Date(muteUntil).toLocaleString()}`);
+        } catch (dbError) {
+            console.warn(`⚠️ Mute for ${jid} kept in memory only (DB unavailable): ${dbError.message}`);
+        }
 
-        console.log(`✅ User ${jid} muted until ${new Date(muteUntil).toLocaleString()} [memory-only]`);
         return true;
     } catch (error) {
         console.error('❌ Failed to add muted user:', error.message);
@@ -21,16 +61,28 @@ async function addMutedUser(userId, muteUntil) {
     }
 }
 
-async function removeMutedUser(userId) {
+async function removeMutedUser(userId, groupId) {
     try {
         const jid = jidKey(userId);
-        if (!jid) return false;
+        if (!jid || !groupId) return false;
+
+        const key = muteKey(jid, groupId);
 
         // Remove from memory
-        mutedUsers.delete(jid);
-        mutedMessageCounts.delete(jid);
+        mutedUsers.delete(key);
+        mutedMessageCounts.delete(key);
+
+        // Remove from PostgreSQL
+        try {
+            await query(`
+                DELETE FROM mutes
+                WHERE whatsapp_group_id = $1 AND user_jid = $2
+            `, [groupId, jid]);
+        } catch (dbError) {
+            console.warn(`⚠️ Failed to delete persisted mute for ${jid}: ${dbError.message}`);
+        }
 
-        console.log(`✅ User ${jid} unmuted [memory-only]`);
+        console.log(`✅ User ${jid} unmuted in ${groupId}`);
         return true;
     } catch (error) {
         console.error('❌ Failed to remove muted user:', error.message);
@@ -39,59 +91,109 @@ async function removeMutedUser(userId) {
 }
 
 async function loadMutedUsers() {
-    // Memory-only mode - no Firebase
-    console.log(`💾 Mute service using memory-only storage - ${mutedUsers.size} users loaded`);
+    try {
+        // Drop expired mutes so they don't pile up across restarts
+        await query(`DELETE FROM mutes WHERE muted_until <= NOW()`);
+
+        const result = await query(`
+            SELECT whatsapp_group_id, user_jid, muted_by, reason,
+                   (EXTRACT(EPOCH FROM muted_until) * 1000)::bigint AS muted_until_ms,
+                   (EXTRACT(EPOCH FROM created_at) * 1000)::bigint AS created_at_ms
+            FROM mutes
+        `);
+
+        mutedUsers.clear();
+        for (const row of result.rows) {
+            mutedUsers.set(muteKey(row.user_jid, row.whatsapp_group_id), {
+                userId: row.user_jid,
+                groupId: row.whatsapp_group_id,
+                muteUntil: Number(row.muted_until_ms),
+                mutedBy: row.muted_by || null,
+                reason: row.reason || null,
+                createdAt: row.created_at_ms ? Number(row.created_at_ms) : null
+            });
+        }
+
+        console.log(`💾 Loaded ${mutedUsers.size} active mutes from PostgreSQL`);
+    } catch (error) {
+        console.warn(`⚠️ Could not load mutes from PostgreSQL (${error.message}) - using memory-only storage`);
+    }
     return mutedUsers;
 }
 
-function isMuted(userId) {
+function isMuted(userId, groupId) {
     const jid = jidKey(userId);
-    if (!jid) return false;
+    if (!jid || !groupId) return false;
 
-    const muteUntil = mutedUsers.get(jid);
-    if (!muteUntil) return false;
+    const record = mutedUsers.get(muteKey(jid, groupId));
+    if (!record) return false;
 
     const now = Date.now();
-    if (now >= muteUntil) {
+    if (now >= record.muteUntil) {
         // Mute expired, remove it
-        removeMutedUser(userId);
+        removeMutedUser(userId, groupId);
         return false;
     }
 
     return true;
 }
 
-function incrementMutedMessageCount(userId) {
+function incrementMutedMessageCount(userId, groupId) {
     const jid = jidKey(userId);
-    if (!jid) return 0;
+    if (!jid || !groupId) return 0;
 
-    const count = (mutedMessageCounts.get(jid) || 0) + 1;
-    mutedMessageCounts.set(jid, count);
+    const key = muteKey(jid, groupId);
+    const count = (mutedMessageCounts.get(key) || 0) + 1;
+    mutedMessageCounts.set(key, count);
     return count;
 }
 
-function getMutedMessageCount(userId) {
+function getMutedMessageCount(userId, groupId) {
+    const jid = jidKey(userId);
+    return mutedMessageCounts.get(muteKey(jid, groupId)) || 0;
+}
+
+/**
+ * Get the mute record for a user in a group (who muted them, why, until when)
+ * @param {string} userId - User JID or phone
+ * @param {string} groupId - WhatsApp group ID
+ * @returns {Object|null} { userId, groupId, muteUntil, mutedBy, reason, createdAt } or null
+ */
+function getMuteRecord(userId, groupId) {
     const jid = jidKey(userId);
-    return mutedMessageCounts.get(jid) || 0;
+    if (!jid || !groupId) return null;
+
+    const record = mutedUsers.get(muteKey(jid, groupId));
+    return record ? { ...record } : null;
 }
 
-function getMutedUsers() {
-    return new Map(mutedUsers);
+/**
+ * Get active mutes, optionally limited to one group
+ * @param {string|null} groupId - WhatsApp group ID, or null for all groups
+ * @returns {Map<string, Object>} `${jid}:${groupId}` → mute record
+ */
+function getMutedUsers(groupId = null) {
+    if (!groupId) {
+        return new Map(mutedUsers);
+    }
+
+    const suffix = `:${groupId}`;
+    return new Map(Array.from(mutedUsers.entries()).filter(([key]) => key.endsWith(suffix)));
 }
 
-function getRemainingMuteTime(userId) {
+function getRemainingMuteTime(userId, groupId) {
     const jid = jidKey(userId);
-    if (!jid) return null;
+    if (!jid || !groupId) return null;
 
-    const muteUntil = mutedUsers.get(jid);
-    if (!muteUntil) return null;
+    const record = mutedUsers.get(muteKey(jid, groupId));
+    if (!record) return null;
 
     const now = Date.now();
-    if (now >= muteUntil) {
+    if (now >= record.muteUntil) {
         return null; // Expired
     }
 
-    const remainingMs = muteUntil - now;
+    const remainingMs = record.muteUntil - now;
     const minutes = Math.ceil(remainingMs / 60000);
 
     if (minutes < 60) {
@@ -115,5 +217,6 @@ module.exports = {
     incrementMutedMessageCount,
     getMutedMessageCount,
     getMutedUsers,
+    getMuteRecord,
     getRemainingMuteTime
 };
@@ -0,0 +1,289 @@
+// services/probationService.js
+// New-member probation set with #probation. Members who join (not added by an admin) stay on
+// probation for the group's probation_hours, or until they have sent probation_messages clean
+// messages. While on probation their links, media, forwards and mention-all messages are deleted
+// and held; the admin gets an alert and replies 1 (approve + repost), 2 (reject) or 3 (reject + kick).
+// State lives in Redis (probation:<group>:<phone>); without Redis probation is inactive.
+
+const config = require('../config');
+const { getTimestamp } = require('../utils/logger');
+const { cache, getCached, deleteCached, isRedisConnected } = require('./redisService');
+const { logAudit } = require('../database/groupService');
+const { formatPhoneForAlert } = require('../utils/alertService');
+const { extractPreviewUrls } = require('../utils/urlUtils');
+const { kickedUserService } = require('./kickedUserService');
+
+const DEFAULT_PROBATION_HOURS = 24;
+const DEFAULT_PROBATION_MESSAGES = 5;
+
+const ALERT_REPLY_WINDOW_MS = 24 * 60 * 60 * 1000; // held messages can be approved for 24h
+
+// Mentioning this many members in one message counts as mention-all
+const MENTION_ALL_MIN = 5;
+
+const URL_PATTERN = /(https?:\/\/|www\.)[^\s<>"]+/i;
+const MENTION_ALL_PATTERN = /(^|\s)@(all|everyone|here|כולם)(?=\s|$)/i;
+
+const HELD_MEDIA_TYPES = [
+    'imageMessage', 'videoMessage', 'audioMessage', 'documentMessage',
+    'documentWithCaptionMessage', 'stickerMessage', 'ptvMessage'
+];
+
+const HELD_REASON_LABELS = {
+    link: 'Link',
+    media: 'Media',
+    forward: 'Forwarded message',
+    mention_all: 'Mention-all'
+};
+
+// Alert message ID → { msg, groupId, senderId, reason, messageText, createdAt }
+const heldMessages = new Map();
+
+function probationKeys(groupId, userId) {
+    return [].concat(userId).filter(Boolean)
+        .map(id => `probation:${groupId}:${String(id).split('@')[0].split(':')[0]}`);
+}
+
+/**
+ * "24h or 5 messages" for status and confirmations
+ */
+function formatProbationPolicy(policy) {
+    if (!policy) return 'off';
+    return policy.messages
+        ? `${policy.hours}h or ${policy.messages} messages, whichever comes first`
+        : `${policy.hours}h`;
+}
+
+/**
+ * Put a new member on probation
+ * @param {string} groupId
+ * @param {string|string[]} userId - Member JID, or every form of it (LID and phone JID)
+ * @param {{hours: number, messages: number|null}} policy - From groupService.getProbationPolicy
+ */
+async function startProbation(groupId, userId, policy) {
+    if (!policy || !isRedisConnected()) return;
+
+    const record = {
+        ids: [].concat(userId).filter(Boolean),
+        joinedAt: Date.now(),
+        until: Date.now() + policy.hours * 60 * 60 * 1000,
+        messagesLeft: policy.messages || null
+    };
+    for (const key of probationKeys(groupId, userId)) {
+        await cache(key, record, policy.hours * 60 * 60);
+    }
+    console.log(`[${getTimestamp()}] 🕒 Probation started in ${groupId}: ${record.ids.join(' / ')} (${formatProbationPolicy(policy)})`);
+}
+
+/**
+ * The member's probation record, or null when not on probation
+ */
+async function getProbation(groupId, userId) {
+    for (const key of probationKeys(groupId, userId)) {
+        const record = await getCached(key);
+        if (record && record.until > Date.now()) return record;
+    }
+    return null;
+}
+
+/**
+ * End probation for every form of the member's ID recorded at join
+ */
+async function endProbation(groupId, userId) {
+    const record = await getProbation(groupId, userId);
+    for (const key of probationKeys(groupId, [].concat(userId, record?.ids || []))) {
+        await deleteCached(key);
+    }
+}
+
+/**
+ * Count a clean message; probation ends when the message allowance is used up
+ */
+async function recordCleanMessage(groupId, userId, record) {
+    if (!record.messagesLeft) return;
+
+    const messagesLeft = record.messagesLeft - 1;
+    if (messagesLeft <= 0) {
+        await endProbation(groupId, userId);
+        console.log(`[${getTimestamp()}] ✅ Probation ended in ${groupId} for ${userId} (message allowance reached)`);
+        return;
+    }
+    const ttl = Math.max(1, Math.ceil((record.until - Date.now()) / 1000));
+    for (const key of probationKeys(groupId, [].concat(userId, record.ids || []))) {
+        await cache(key, { ...record, messagesLeft }, ttl);
+    }
+}
+
+/**
+ * Why a message must be held during probation
+ * @returns {'link'|'media'|'forward'|'mention_all'|null}
+ */
+function classifyRestricted(msg, messageText) {
+    const message = msg?.message || {};
+    const contextInfo = Object.values(message).find(m => m && typeof m === 'object' && m.contextInfo)?.contextInfo || {};
+    const text = messageText || '';
+
+    // WhatsApp invite links are left to the invite-link detector, which kicks the sender
+    const inviteLink = new RegExp(config.PATTERNS.INVITE_LINK.source, 'i');
+    if ((URL_PATTERN.test(text) && !inviteLink.test(text)) || extractPreviewUrls(msg).some(url => !inviteLink.test(url))) {
+        return 'link';
+    }
+    if (contextInfo.isForwarded || contextInfo.forwardingScore > 0) {
+        return 'forward';
+    }
+    if (HELD_MEDIA_TYPES.some(type => message[type])) {
+        return 'media';
+    }
+    if ((contextInfo.mentionedJid || []).length >= MENTION_ALL_MIN ||
+        (contextInfo.groupMentions || []).length > 0 ||
+        MENTION_ALL_PATTERN.test(text)) {
+        return 'mention_all';
+    }
+    return null;
+}
+
+async function sendHeldAlert(sock, held, groupName) {
+    if (!config.ALERT_PHONE) return null;
+
+    const snippet = held.messageText.length > 80 ? held.messageText.substring(0, 80) + '…' : held.messageText;
+    const alertMessage =
+        `🕒 *Probation: Message Held*\n\n` +
+        `👤 User: +${held.senderId.split('@')[0]}\n` +
+        `📍 Group: ${groupName}\n` +
+        `⚠️ ${HELD_REASON_LABELS[held.reason]} from a member on probation\n` +
+        (snippet ? `💬 "${snippet}"\n` : '') +
+        `\nReply with:\n` +
+        `1️⃣ Approve - repost it and end this member's probation\n` +
+        `2️⃣ Reject - keep it deleted\n` +
+        `3️⃣ Reject + kick the member`;
+
+    try {
+        const sent = await sock.sendMessage(formatPhoneForAlert(config.ALERT_PHONE), { text: alertMessage });
+        return sent?.key?.id || null;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to send probation alert:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Apply probation to one message from a non-admin member.
+ * Clean messages count towards the message allowance; restricted ones are deleted and held.
+ * @returns {Promise<boolean>} true when the message was held - stop processing it
+ */
+async function enforceProbation(sock, msg, { groupId, senderId, messageText }) {
+    if (!isRedisConnected()) return false;
+
+    const record = await getProbation(groupId, senderId);
+    if (!record) return false;
+
+    const reason = classifyRestricted(msg, messageText);
+    if (!reason) {
+        await recordCleanMessage(groupId, senderId, record);
+        return false;
+    }
+
+    const audit = {
+        whatsappGroupId: groupId,
+        targetPhone: senderId,
+        actor: 'auto:probation',
+        rule: 'probation',
+        reason: `${HELD_REASON_LABELS[reason]} during probation - held for approval`,
+        messageSnippet: messageText || null
+    };
+    try {
+        await sock.sendMessage(groupId, { delete: msg.key });
+        console.log(`[${getTimestamp()}] 🕒 Probation: held ${reason} from ${senderId} in ${groupId}`);
+        await logAudit('message_delete', { ...audit, metadata: { messageId: msg.key.id, heldReason: reason } });
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Probation: failed to delete message:`, error.message);
+        await logAudit('message_delete', { ...audit, outcome: 'failed', metadata: { messageId: msg.key.id, heldReason: reason } });
+        return false;
+    }
+
+    const metadata = await sock.groupMetadata(groupId).catch(() => null);
+    const groupName = metadata?.subject || groupId;
+    const held = { msg, groupId, groupName, senderId, reason, messageText: messageText || '', createdAt: Date.now() };
+    const alertId = await sendHeldAlert(sock, held, groupName);
+    if (alertId) {
+        heldMessages.set(alertId, held);
+    }
+    return true;
+}
+
+function getProbationAlert(alertMessageId) {
+    const held = heldMessages.get(alertMessageId);
+    if (!held) return null;
+    if (Date.now() - held.createdAt >= ALERT_REPLY_WINDOW_MS) {
+        heldMessages.delete(alertMessageId);
+        return null;
+    }
+    return held;
+}
+
+/**
+ * Admin reply to a held-message alert
+ * @param {string} choice - '1' approve + repost, '2' reject, '3' reject + kick
+ * @param {string} actor - Admin phone
+ * @returns {Promise<string|null>} Status text for the admin, or null if the alert is unknown/expired
+ */
+async function applyProbationDecision(sock, alertMessageId, choice, actor) {
+    const held = getProbationAlert(alertMessageId);
+    if (!held) return null;
+    heldMessages.delete(alertMessageId);
+
+    const { msg, groupId, groupName, senderId, reason, messageText } = held;
+    const senderPhone = senderId.split('@')[0];
+    const audit = {
+        whatsappGroupId: groupId,
+        targetPhone: senderId,
+        actor,
+        rule: 'probation',
+        messageSnippet: messageText || null
+    };
+    const status = [];
+
+    if (choice === '1') {
+        try {
+            await sock.sendMessage(groupId, { text: `✅ Approved by an admin - message from @${senderPhone}:`, mentions: [senderId] });
+            await sock.sendMessage(groupId, { forward: msg });
+            status.push(`📤 Reposted in ${groupName}`);
+            await logAudit('probation_approve', { ...audit, reason: 'Held message approved', metadata: { heldReason: reason } });
+        } catch (error) {
+            status.push(`❌ Repost failed: ${error.message}`);
+            await logAudit('probation_approve', { ...audit, reason: 'Held message approved', outcome: 'failed', metadata: { heldReason: reason } });
+        }
+        await endProbation(groupId, senderId);
+        status.push(`🕒 Probation ended for +${senderPhone}`);
+        return `✅ Probation Approval:\n${status.join('\n')}`;
+    }
+
+    status.push('🗑️ Message stays deleted');
+    if (choice === '3') {
+        const kickReason = `${HELD_REASON_LABELS[reason]} during probation - rejected by admin`;
+        try {
+            await sock.groupParticipantsUpdate(groupId, [senderId], 'remove');
+            status.push(`👢 Kicked from: ${groupName}`);
+            await logAudit('kick', { ...audit, reason: kickReason });
+            await kickedUserService.recordKick(sock, { userId: senderId, groupId, groupName, reason: kickReason, kickedBy: actor });
+        } catch (error) {
+            status.push(`❌ Kick failed: ${error.message}`);
+            await logAudit('kick', { ...audit, reason: kickReason, outcome: 'failed' });
+        }
+        await endProbation(groupId, senderId);
+    }
+    return `✅ Probation Decision:\n${status.join('\n')}`;
+}
+
+module.exports = {
+    DEFAULT_PROBATION_HOURS,
+    DEFAULT_PROBATION_MESSAGES,
+    formatProbationPolicy,
+    startProbation,
+    getProbation,
+    endProbation,
+    classifyRestricted,
+    enforceProbation,
+    getProbationAlert,
+    applyProbationDecision
+};
@@ -301,6 +301,54 @@ async function unmute(userId) {
     }
 }
 
+// =============================================================================
+// RECENT JOINS
+// =============================================================================
+
+function joinKeys(groupId, userId) {
+    return [].concat(userId).filter(Boolean)
+        .map(id => `joined:${groupId}:${String(id).split('@')[0].split(':')[0]}`);
+}
+
+/**
+ * Remember when a member joined a group
+ * @param {string} groupId - Group ID
+ * @param {string|string[]} userId - Member JID, or every form of it (LID and phone JID)
+ * @param {number} seconds - How long the member counts as new
+ */
+async function markRecentJoin(groupId, userId, seconds = 24 * 60 * 60) {
+    if (!isRedisConnected()) return;
+
+    try {
+        for (const key of joinKeys(groupId, userId)) {
+            await redisClient.setex(key, seconds, Date.now().toString());
+        }
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to record join:`, error.message);
+    }
+}
+
+/**
+ * When a member joined, if still within the window given to markRecentJoin
+ * @param {string} groupId - Group ID
+ * @param {string|string[]} userId - Member JID, or every form of it
+ * @returns {Promise<number|null>} Join time (ms), or null if not a recent joiner
+ */
+async function getRecentJoin(groupId, userId) {
+    if (!isRedisConnected()) return null;
+
+    try {
+        for (const key of joinKeys(groupId, userId)) {
+            const joinedAt = await redisClient.get(key);
+            if (joinedAt) return parseInt(joinedAt, 10);
+        }
+        return null;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to read join time:`, error.message);
+        return null;
+    }
+}
+
 // =============================================================================
 // GENERAL CACHE (LRU for PostgreSQL queries)
 // =============================================================================
@@ -354,6 +402,57 @@ async function deleteCached(key) {
     }
 }
 
+// =============================================================================
+// COUNTERS
+// =============================================================================
+
+/**
+ * Add to numeric hash fields in one round trip: whole numbers with HINCRBY, fractions with HINCRBYFLOAT
+ * @param {string} key - Hash key
+ * @param {Object<string, number>} increments - field -> amount (zero amounts are skipped)
+ * @param {Object<string, string>} initialFields - Fields set only if missing (HSETNX)
+ * @returns {Promise<boolean>} True when written
+ */
+async function incrementHashFields(key, increments, initialFields = {}) {
+    if (!isRedisConnected()) return false;
+
+    try {
+        const pipeline = redisClient.pipeline();
+        for (const [field, value] of Object.entries(initialFields)) {
+            pipeline.hsetnx(key, field, value);
+        }
+        for (const [field, amount] of Object.entries(increments)) {
+            if (!amount) continue;
+            if (Number.isInteger(amount)) {
+                pipeline.hincrby(key, field, amount);
+            } else {
+                pipeline.hincrbyfloat(key, field, amount);
+            }
+        }
+        await pipeline.exec();
+        return true;
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to increment counters:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Get every field of a hash
+ * @param {string} key - Hash key
+ * @returns {Promise<Object<string, string>|null>} Fields, or null when Redis is unavailable
+ */
+async function getHashFields(key) {
+    if (!isRedisConnected()) return null;
+
+    try {
+        return await redisClient.hgetall(key);
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to read counters:`, error.message);
+        return null;
+    }
+}
+
 // =============================================================================
 // STATISTICS
 // =============================================================================
@@ -416,11 +515,19 @@ module.exports = {
     isMuted,
     unmute,
 
+    // Recent joins
+    markRecentJoin,
+    getRecentJoin,
+
     // General cache
     cache,
     getCached,
     deleteCached,
 
+    // Counters
+    incrementHashFields,
+    getHashFields,
+
     // Statistics
     getRedisStats
 };
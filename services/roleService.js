@@ -0,0 +1,376 @@
+const config = require('../config');
+const { query } = require('../database/connection');
+
+/**
+ * Role-based permissions for bot commands.
+ *
+ * Roles live in the PostgreSQL `admin_roles` table (write-through, cached in memory).
+ * A grant is either global (groupId null) or scoped to one WhatsApp group.
+ * config.ADMIN_PHONE / ALERT_PHONE / ADMIN_LID are always owners and cannot be revoked,
+ * so the bot stays controllable even with an empty table.
+ * WhatsApp group admins are implicitly `group-admin` in their own group.
+ */
+
+const ROLES = ['owner', 'moderator', 'group-admin', 'reviewer'];
+
+const ROLE_PERMISSIONS = {
+    owner:         ['manage_roles', 'system', 'configure', 'moderate_global', 'moderate', 'review', 'view'],
+    moderator:     ['configure', 'moderate_global', 'moderate', 'review', 'view'],
+    'group-admin': ['moderate', 'review', 'view'],
+    reviewer:      ['review', 'view']
+};
+
+// Permissions that reach beyond one group - a group-scoped grant never satisfies them
+const GLOBAL_PERMISSIONS = ['manage_roles', 'system', 'configure', 'moderate_global'];
+
+// #bullywatch sub-commands that only read or label flags
+const BULLYWATCH_REVIEW_ACTIONS = ['status', 'review', 'feedback', 'metrics', 'export'];
+
+// Permission each command needs (a function gets the command args)
+const COMMAND_PERMISSIONS = {
+    '#help': 'view',
+    '#status': 'view',
+    '#stats': 'view',
+    '#botadmin': 'view',
+    '#audit': 'view',
+    '#mutes': 'view',
+    '#warnings': 'view',
+    '#warningstats': 'view',
+    '#whitelst': 'view',
+    '#blacklst': 'view',
+    '#blklst': 'view',
+    '#urlblocklist': 'view',
+    '#jokestats': 'view',
+    '#jokesstatus': 'view',
+    '#mygroups': 'view',
+    '#categories': 'view',
+    '#search': 'view',
+    '#verify': 'view',
+    '#translate': 'view',
+    '#langs': 'view',
+    '#translatestats': 'view',
+    '#ru': 'view',
+    '#he': 'view',
+    '#fr': 'view',
+    '#en': 'view',
+    '#roles': 'view',
+
+    '#bullywatch': args => BULLYWATCH_REVIEW_ACTIONS.includes(((args && args[0]) || '').toLowerCase()) ? 'review' : 'configure',
+    // #preview <command> needs what the previewed command needs ("confirm"/"cancel" are checked by the preview itself)
+    '#preview': args => commandPermission(`#${((args && args[0]) || '').toLowerCase().replace(/^#/, '')}`, (args || []).slice(1)) || 'view',
+
+    '#kick': 'moderate',
+    '#ban': 'moderate',
+    '#mute': 'moderate',
+    '#unmute': 'moderate',
+    '#clear': 'moderate',
+    '#scan': 'moderate',
+    '#clearwarnings': 'moderate',
+    '#strikepolicy': 'moderate',
+    '#botkick': 'moderate',
+    '#botforeign': 'moderate',
+    '#botforeignoff': 'moderate',
+    '#countrypolicy': 'moderate',
+    '#flood': 'moderate',
+    '#probation': 'moderate',
+    '#captcha': 'moderate',
+    '#urlpolicy': 'moderate',
+    '#msg1': 'moderate',
+    '#jokeson': 'moderate',
+    '#jokesoff': 'moderate',
+    '#autotranslate': 'moderate',
+    '#translation': 'moderate',
+    // Anyone who can view may list the glossary; changing it moderates the group
+    '#glossary': args => ['add', 'remove'].includes(((args && args[0]) || '').toLowerCase()) ? 'moderate' : 'view',
+
+    '#kickglobal': 'moderate_global',
+    '#blacklist': 'moderate_global',
+    '#unblacklist': 'moderate_global',
+    '#ub': 'moderate_global',
+    '#whitelist': 'moderate_global',
+    '#unwhitelist': 'moderate_global',
+    '#urlblock': 'moderate_global',
+    '#urlunblock': 'moderate_global',
+    '#rejoinlinks': 'moderate_global',
+    'yes': 'moderate_global',
+    'no': 'moderate_global',
+
+    '#bullyalert': 'configure',
+    '#setcategory': 'configure',
+
+    '#markmine': 'system',
+    '#unmarkmine': 'system',
+    '#restarthistory': 'system',
+    '#memory': 'system',
+    '#memcheck': 'system',
+    '#memreport': 'system',
+    '#gc': 'system',
+    '#clearmem': 'system',
+    '#sessioncheck': 'system',
+
+    '#grant': 'manage_roles',
+    '#revoke': 'manage_roles'
+};
+
+// Commands WhatsApp group admins could already run in their own group before roles existed.
+// They reach beyond the group, but a WhatsApp group admin keeps them there (granted roles still need the permission).
+const GROUP_ADMIN_COMMANDS = {
+    '#kickglobal': true,
+    '#blacklist': true,
+    '#unblacklist': true,
+    '#ub': true,
+    '#whitelist': true,
+    '#unwhitelist': true,
+    '#bullywatch': args => ['on', 'off'].includes(((args && args[0]) || '').toLowerCase())
+};
+
+// In-memory cache of `admin_roles`: phone → [{ phone, role, groupId, grantedBy, grantedAt }]
+const roleGrants = new Map();
+
+/**
+ * Bare identifier used for role lookups: phone number or LID digits
+ * ('972501234567:12@s.whatsapp.net' → '972501234567')
+ */
+function roleKey(ref) {
+    if (!ref) return '';
+    return String(ref).split('@')[0].split(':')[0].replace(/\D/g, '');
+}
+
+function getConfigOwners() {
+    return [config.ADMIN_PHONE, config.ALERT_PHONE, config.ADMIN_LID].map(roleKey).filter(Boolean);
+}
+
+/**
+ * Check a grant before storing it
+ * @returns {string|null} Error message, or null when the grant is valid
+ */
+function validateGrant(role, groupId) {
+    if (!ROLES.includes(role)) {
+        return `Unknown role "${role}". Roles: ${ROLES.join(', ')}`;
+    }
+    if (role === 'group-admin' && !groupId) {
+        return 'group-admin must be granted for a specific group';
+    }
+    if (role === 'owner' && groupId) {
+        return 'owner is always global';
+    }
+    return null;
+}
+
+async function loadRoles() {
+    try {
+        const result = await query(`
+            SELECT phone, role, whatsapp_group_id, granted_by,
+                   (EXTRACT(EPOCH FROM granted_at) * 1000)::bigint AS granted_at_ms
+            FROM admin_roles
+        `);
+
+        roleGrants.clear();
+        for (const row of result.rows) {
+            const grants = roleGrants.get(row.phone) || [];
+            grants.push({
+                phone: row.phone,
+                role: row.role,
+                groupId: row.whatsapp_group_id || null,
+                grantedBy: row.granted_by || null,
+                grantedAt: row.granted_at_ms ? Number(row.granted_at_ms) : null
+            });
+            roleGrants.set(row.phone, grants);
+        }
+
+        console.log(`💾 Loaded ${result.rows.length} role grants from PostgreSQL`);
+    } catch (error) {
+        console.warn(`⚠️ Could not load role grants from PostgreSQL (${error.message}) - using cached grants (config owners always active)`);
+    }
+    return roleGrants;
+}
+
+/**
+ * Grant a role, globally or in one group
+ * @param {string} userId - Phone, LID or JID
+ * @param {string} role - One of ROLES
+ * @param {string|null} groupId - WhatsApp group ID, or null for a global grant
+ * @param {string|null} grantedBy - Phone of the owner granting it
+ * @returns {Promise<boolean>} true when the grant was added, false if invalid or already held
+ */
+async function grantRole(userId, role, groupId = null, grantedBy = null) {
+    const phone = roleKey(userId);
+    if (!phone || validateGrant(role, groupId)) return false;
+
+    const grants = roleGrants.get(phone) || [];
+    if (grants.some(g => g.role === role && g.groupId === (groupId || null))) {
+        return false;
+    }
+
+    grants.push({ phone, role, groupId: groupId || null, grantedBy: grantedBy || null, grantedAt: Date.now() });
+    roleGrants.set(phone, grants);
+
+    try {
+        await query(`
+            INSERT INTO admin_roles (phone, role, whatsapp_group_id, granted_by)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (phone, role, (COALESCE(whatsapp_group_id, ''))) DO NOTHING
+        `, [phone, role, groupId || null, grantedBy || null]);
+        console.log(`✅ Granted ${role} to ${phone}${groupId ? ` in ${groupId}` : ' (global)'}`);
+    } catch (dbError) {
+        console.warn(`⚠️ Role ${role} for ${phone} kept in memory only (DB unavailable): ${dbError.message}`);
+    }
+
+    return true;
+}
+
+/**
+ * Revoke grants from a user
+ * @param {string} userId - Phone, LID or JID
+ * @param {string|null} role - Role to revoke, or null for every role
+ * @param {string|null|undefined} groupId - Group ID, null for global grants only, undefined for any scope
+ * @returns {Promise<Array>} The grants that were removed
+ */
+async function revokeRole(userId, role = null, groupId = undefined) {
+    const phone = roleKey(userId);
+    const grants = roleGrants.get(phone) || [];
+
+    const matches = g => (!role || g.role === role) && (groupId === undefined || g.groupId === (groupId || null));
+    const removed = grants.filter(matches);
+    if (removed.length === 0) return [];
+
+    const remaining = grants.filter(g => !matches(g));
+    if (remaining.length > 0) {
+        roleGrants.set(phone, remaining);
+    } else {
+        roleGrants.delete(phone);
+    }
+
+    try {
+        for (const grant of removed) {
+            await query(`
+                DELETE FROM admin_roles
+                WHERE phone = $1 AND role = $2 AND COALESCE(whatsapp_group_id, '') = COALESCE($3, '')
+            `, [phone, grant.role, grant.groupId]);
+        }
+        console.log(`✅ Revoked ${removed.map(g => g.role).join(', ')} from ${phone}`);
+    } catch (dbError) {
+        console.warn(`⚠️ Failed to delete persisted roles for ${phone}: ${dbError.message}`);
+    }
+
+    return removed;
+}
+
+/**
+ * List stored grants (config owners are not included)
+ * @param {string|null} userId - Limit to one user
+ */
+function listRoles(userId = null) {
+    if (userId) {
+        return (roleGrants.get(roleKey(userId)) || []).map(g => ({ ...g }));
+    }
+    return Array.from(roleGrants.values()).flat().map(g => ({ ...g }));
+}
+
+function isConfigOwner(userId) {
+    const key = roleKey(userId);
+    return !!key && getConfigOwners().includes(key);
+}
+
+function isOwner(userId) {
+    const key = roleKey(userId);
+    if (!key) return false;
+    return isConfigOwner(key) || (roleGrants.get(key) || []).some(g => g.role === 'owner');
+}
+
+/**
+ * Roles that apply to a user in a context
+ * @param {string} userId - Phone, LID or JID
+ * @param {string|null} groupId - Group the command runs in (null in private chat)
+ * @param {Object} options - { isGroupAdmin: WhatsApp admin of groupId }
+ * @returns {Array<{ role: string, global: boolean }>}
+ */
+function getRoles(userId, groupId = null, options = {}) {
+    const key = roleKey(userId);
+    const roles = [];
+
+    if (isConfigOwner(key)) {
+        roles.push({ role: 'owner', global: true });
+    }
+    for (const grant of roleGrants.get(key) || []) {
+        if (!grant.groupId || grant.groupId === groupId) {
+            roles.push({ role: grant.role, global: !grant.groupId });
+        }
+    }
+    if (options.isGroupAdmin && groupId) {
+        roles.push({ role: 'group-admin', global: false });
+    }
+
+    return roles;
+}
+
+/**
+ * Whether the user holds any grant that applies here (used to let role holders reach handleCommand)
+ * @param {string|null} groupId - Group chat, or null to accept a grant in any group
+ */
+function hasAnyRole(userId, groupId = null) {
+    if (isOwner(userId)) return true;
+    const grants = roleGrants.get(roleKey(userId)) || [];
+    return groupId ? grants.some(g => !g.groupId || g.groupId === groupId) : grants.length > 0;
+}
+
+/**
+ * Check a permission for a user in a context
+ * @param {string} userId - Phone, LID or JID
+ * @param {string} permission - e.g. 'moderate', 'moderate_global', 'manage_roles'
+ * @param {string|null} groupId - Group the command runs in (null in private chat)
+ * @param {Object} options - { isGroupAdmin }
+ */
+function can(userId, permission, groupId = null, options = {}) {
+    const globalOnly = GLOBAL_PERMISSIONS.includes(permission);
+
+    return getRoles(userId, groupId, options).some(({ role, global }) =>
+        (global || !globalOnly) && (ROLE_PERMISSIONS[role] || []).includes(permission)
+    );
+}
+
+/**
+ * Permission a command needs, or null for commands the role model does not know
+ */
+function commandPermission(cmd, args = []) {
+    const rule = COMMAND_PERMISSIONS[(cmd || '').toLowerCase()];
+    if (!rule) return null;
+    return typeof rule === 'function' ? rule(args) : rule;
+}
+
+/**
+ * Whether a WhatsApp group admin may run this command in their own group whatever its permission
+ */
+function isGroupAdminCommand(cmd, args = []) {
+    const rule = GROUP_ADMIN_COMMANDS[(cmd || '').toLowerCase()];
+    return typeof rule === 'function' ? rule(args) : !!rule;
+}
+
+/**
+ * Lowest role that carries a permission (for "you need ..." replies)
+ */
+function roleForPermission(permission) {
+    return ['reviewer', 'group-admin', 'moderator', 'owner'].find(role => ROLE_PERMISSIONS[role].includes(permission)) || 'owner';
+}
+
+module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    GLOBAL_PERMISSIONS,
+    COMMAND_PERMISSIONS,
+    GROUP_ADMIN_COMMANDS,
+    roleKey,
+    validateGrant,
+    loadRoles,
+    grantRole,
+    revokeRole,
+    listRoles,
+    isConfigOwner,
+    isOwner,
+    getRoles,
+    hasAnyRole,
+    can,
+    commandPermission,
+    isGroupAdminCommand,
+    roleForPermission
+};
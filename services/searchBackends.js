@@ -0,0 +1,348 @@
+/**
+ * Search Backends
+ * Where services/searchService sends #search queries. Each backend has the same shape:
+ *   name                           - what SEARCH_BACKEND=<name> selects
+ *   isAvailable()                  - configured
+ *   connect()                      - optional, called by searchService.initialize()
+ *   search({ query, maxResults })  -> { items: [{ title, snippet, link }], total }
+ * Rate limiting, caching and formatting live in searchService, not here.
+ *
+ * searxng - any SearXNG-compatible endpoint (SEARXNG_URL, with the json format enabled)
+ * mcp     - a search tool on an MCP server from mcp.json (SEARCH_MCP_SERVER, default web-search),
+ *           spawned and spoken to over stdio; SEARCH_MCP_TOOL picks the tool
+ * stub    - offline canned results for tests and local development
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { version } = require('../package.json');
+
+const SEARCH_TIMEOUT_MS = 8000;
+const MCP_PROTOCOL_VERSION = '2025-06-18';
+
+// Argument names MCP search tools use for the query and the result count
+const MCP_QUERY_ARGUMENTS = ['query', 'q', 'search', 'searchTerm'];
+const MCP_COUNT_ARGUMENTS = ['count', 'maxResults', 'max_results', 'num', 'numResults', 'limit'];
+
+function getJson(url, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.request(url, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json', 'User-Agent': `CommGuard/${version} search` }
+        }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => {
+                if (res.statusCode === 403) {
+                    reject(new Error('SearXNG refused JSON output - add json to search.formats in its settings.yml'));
+                    return;
+                }
+                if (res.statusCode !== 200) {
+                    reject(new Error(`SearXNG returned HTTP ${res.statusCode}`));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    reject(new Error('Failed to parse SearXNG response'));
+                }
+            });
+        });
+
+        req.on('error', (error) => reject(new Error(`SearXNG request failed: ${error.message}`)));
+        req.setTimeout(timeoutMs, () => {
+            req.destroy();
+            reject(new Error('SearXNG request timed out'));
+        });
+        req.end();
+    });
+}
+
+const searxngBackend = {
+    name: 'searxng',
+
+    isAvailable() {
+        return !!process.env.SEARXNG_URL;
+    },
+
+    async search({ query, maxResults }) {
+        const base = process.env.SEARXNG_URL.replace(/\/?$/, '/');
+        const url = new URL('search', base);
+        url.searchParams.set('q', query);
+        url.searchParams.set('format', 'json');
+        url.searchParams.set('safesearch', '1');
+
+        const response = await getJson(url.toString(), SEARCH_TIMEOUT_MS);
+        const results = Array.isArray(response.results) ? response.results : [];
+        return {
+            items: results.slice(0, maxResults).map(r => ({ title: r.title, snippet: r.content, link: r.url })),
+            total: Math.max(response.number_of_results || 0, results.length)
+        };
+    }
+};
+
+/**
+ * Newline-delimited JSON-RPC over a spawned MCP server's stdin/stdout
+ */
+class McpStdioClient {
+    constructor(server, timeoutMs) {
+        this.server = server;
+        this.timeoutMs = timeoutMs;
+        this.child = null;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.buffer = '';
+    }
+
+    get isRunning() {
+        return !!this.child;
+    }
+
+    start() {
+        const child = spawn(this.server.command, this.server.args || [], {
+            env: { ...process.env, ...(this.server.env || {}) },
+            stdio: ['pipe', 'pipe', 'ignore']
+        });
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', (chunk) => this.onData(chunk));
+        child.stdin.on('error', () => {}); // EPIPE after the server died - reported by 'exit'
+        child.on('error', (error) => {
+            if (this.child === child) this.child = null;
+            this.failAll(new Error(`MCP server failed to start: ${error.message}`));
+        });
+        child.on('exit', (code) => {
+            if (this.child === child) this.child = null;
+            this.failAll(new Error(`MCP server exited (code ${code})`));
+        });
+        this.child = child;
+    }
+
+    onData(chunk) {
+        this.buffer += chunk;
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, newline).trim();
+            this.buffer = this.buffer.slice(newline + 1);
+            if (!line) continue;
+
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch {
+                continue; // Some servers log to stdout
+            }
+
+            // Notifications and requests from the server are not needed for search
+            const pending = message.id !== undefined && this.pending.get(message.id);
+            if (!pending) continue;
+            this.pending.delete(message.id);
+            clearTimeout(pending.timer);
+            if (message.error) {
+                pending.reject(new Error(message.error.message || 'MCP request failed'));
+            } else {
+                pending.resolve(message.result || {});
+            }
+        }
+    }
+
+    request(method, params = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.child) {
+                reject(new Error('MCP server is not running'));
+                return;
+            }
+            const id = this.nextId++;
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`MCP ${method} timed out`));
+            }, this.timeoutMs);
+            this.pending.set(id, { resolve, reject, timer });
+            this.child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+        });
+    }
+
+    notify(method) {
+        if (this.child) this.child.stdin.write(JSON.stringify({ jsonrpc: '2.0', method }) + '\n');
+    }
+
+    failAll(error) {
+        for (const pending of this.pending.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    close() {
+        const child = this.child;
+        this.child = null;
+        if (child) child.kill();
+        this.failAll(new Error('MCP server closed'));
+    }
+}
+
+function loadMcpServer() {
+    const configPath = process.env.SEARCH_MCP_CONFIG || path.join(__dirname, '../mcp.json');
+    try {
+        const servers = JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers || {};
+        const server = servers[process.env.SEARCH_MCP_SERVER || 'web-search'];
+        return server && server.command ? server : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * SEARCH_MCP_TOOL if set, otherwise the first tool with "search" in its name
+ */
+function pickSearchTool(tools, preferred) {
+    if (preferred) return tools.find(t => t.name === preferred) || null;
+    return tools.find(t => /search/i.test(t.name)) || null;
+}
+
+/**
+ * Results from a tools/call response: structuredContent, a JSON text block, or
+ * "Title: / URL: / Description:" text blocks (the format most search servers print)
+ */
+function parseMcpResults(result) {
+    const fromList = (list) => list.map(r => ({
+        title: r.title || r.name,
+        snippet: r.snippet || r.description || r.content,
+        link: r.url || r.link || r.href
+    }));
+
+    const structured = result.structuredContent;
+    if (structured) {
+        const list = Array.isArray(structured) ? structured : structured.results || structured.items;
+        if (Array.isArray(list)) return fromList(list);
+    }
+
+    const text = (result.content || []).filter(c => c.type === 'text').map(c => c.text).join('\n\n');
+    try {
+        const parsed = JSON.parse(text);
+        const list = Array.isArray(parsed) ? parsed : parsed.results || parsed.items;
+        if (Array.isArray(list)) return fromList(list);
+    } catch {
+        // Plain text - parsed below
+    }
+
+    const items = [];
+    for (const block of text.split(/\n\s*\n/)) {
+        const field = (...labels) => {
+            const match = block.match(new RegExp(`^\\s*(?:${labels.join('|')})\\s*:\\s*(.+)$`, 'im'));
+            return match ? match[1].trim() : null;
+        };
+        const link = field('URL', 'Link') || (block.match(/https?:\/\/\S+/) || [])[0];
+        if (!link) continue;
+        const firstLine = block.trim().split('\n')[0].replace(/https?:\/\/\S+/, '').trim();
+        items.push({
+            title: field('Title') || firstLine || link,
+            snippet: field('Description', 'Snippet', 'Content'),
+            link
+        });
+    }
+    return items;
+}
+
+const mcpBackend = {
+    name: 'mcp',
+    client: null,
+    tool: null,
+
+    isAvailable() {
+        return !!loadMcpServer();
+    },
+
+    async connect() {
+        if (this.client && this.client.isRunning) return;
+
+        const server = loadMcpServer();
+        if (!server) throw new Error(`MCP server "${process.env.SEARCH_MCP_SERVER || 'web-search'}" not found in mcp.json`);
+
+        const client = new McpStdioClient(server, SEARCH_TIMEOUT_MS);
+        client.start();
+        try {
+            await client.request('initialize', {
+                protocolVersion: MCP_PROTOCOL_VERSION,
+                capabilities: {},
+                clientInfo: { name: 'commguard', version }
+            });
+            client.notify('notifications/initialized');
+
+            const { tools = [] } = await client.request('tools/list');
+            const tool = pickSearchTool(tools, process.env.SEARCH_MCP_TOOL);
+            if (!tool) throw new Error(`No search tool on the MCP server (tools: ${tools.map(t => t.name).join(', ') || 'none'})`);
+
+            this.client = client;
+            this.tool = tool;
+        } catch (error) {
+            client.close();
+            throw error;
+        }
+    },
+
+    async search({ query, maxResults }) {
+        await this.connect(); // Restarts the server if it exited since the last search
+
+        const properties = (this.tool.inputSchema && this.tool.inputSchema.properties) || {};
+        const queryArgument = MCP_QUERY_ARGUMENTS.find(name => name in properties) || 'query';
+        const countArgument = MCP_COUNT_ARGUMENTS.find(name => name in properties);
+        const args = { [queryArgument]: query };
+        if (countArgument) args[countArgument] = maxResults;
+
+        const result = await this.client.request('tools/call', { name: this.tool.name, arguments: args });
+        if (result.isError) {
+            const message = (result.content || []).filter(c => c.type === 'text').map(c => c.text).join(' ');
+            throw new Error(message || 'MCP search tool failed');
+        }
+
+        const items = parseMcpResults(result);
+        return { items: items.slice(0, maxResults), total: items.length };
+    },
+
+    close() {
+        if (this.client) this.client.close();
+        this.client = null;
+        this.tool = null;
+    }
+};
+
+// Offline backend for tests and local development: no network
+const stubBackend = {
+    name: 'stub',
+
+    isAvailable() {
+        return true;
+    },
+
+    async search({ query, maxResults }) {
+        const items = [1, 2, 3, 4, 5].map(n => ({
+            title: `Result ${n} for ${query}`,
+            snippet: `Offline stub result ${n}.`,
+            link: `https://example.com/${n}`
+        }));
+        return { items: items.slice(0, maxResults), total: items.length };
+    }
+};
+
+const BACKENDS = {
+    searxng: searxngBackend,
+    mcp: mcpBackend,
+    stub: stubBackend
+};
+
+// Picked in this order when SEARCH_BACKEND is not set. MCP needs SEARCH_BACKEND=mcp, since
+// mcp.json ships with placeholder servers; the stub is never a fallback.
+const DEFAULT_BACKEND_ORDER = ['searxng'];
+
+module.exports = {
+    BACKENDS,
+    DEFAULT_BACKEND_ORDER,
+    SEARCH_TIMEOUT_MS,
+    parseMcpResults
+};
@@ -1,33 +1,91 @@
 const { getTimestamp } = require('../utils/logger');
+const { BACKENDS, DEFAULT_BACKEND_ORDER } = require('./searchBackends');
 
 /**
- * Search Service - Web search functionality using MCP
+ * Search Service - Web search through a configurable backend (see searchBackends.js)
  */
 
+const DEFAULT_MAX_RESULTS = 10;
+const TITLE_MAX_LENGTH = 80;
+const SNIPPET_MAX_LENGTH = 160;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+/**
+ * Plain text for a WhatsApp message: no HTML, no *_~` that WhatsApp would read as formatting
+ */
+function plainText(text) {
+    return String(text || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(amp|lt|gt|quot|apos|nbsp|#39);/g, (match, name) => HTML_ENTITIES[name])
+        .replace(/[*_~`]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.slice(0, maxLength - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:-]+$/, '') + '…';
+}
+
+function domainOf(link) {
+    try {
+        return new URL(link).hostname.replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
 class SearchService {
     constructor() {
-        this.mcpClient = null;
+        this.backend = null;
+        this.lastError = null;
         this.isConnected = false;
         this.searchHistory = new Map(); // Cache recent searches
         this.rateLimiter = new Map(); // Rate limiting per user
     }
 
     /**
-     * Initialize MCP connection
+     * The backend to use: the named one if it is configured, otherwise the first configured default
+     * @param {string|null} name - searxng, mcp or stub
+     * @returns {Object|null}
+     */
+    getBackend(name) {
+        if (name) {
+            const backend = BACKENDS[name];
+            return backend && backend.isAvailable() ? backend : null;
+        }
+        return DEFAULT_BACKEND_ORDER.map(n => BACKENDS[n]).find(b => b.isAvailable()) || null;
+    }
+
+    /**
+     * Connect to the search backend (SEARCH_BACKEND, or the first configured one)
+     * @param {string} [backendName]
+     * @returns {Promise<boolean>} whether searches can be made
      */
-    async initialize() {
+    async initialize(backendName = process.env.SEARCH_BACKEND) {
         try {
-            // In a real implementation, you would import and use the actual MCP client
-            // const { MCPClient } = require('@modelcontextprotocol/client');
-            // this.mcpClient = new MCPClient();
-            // await this.mcpClient.connect('chrome-search');
-            
+            const backend = this.getBackend(backendName);
+            if (!backend) {
+                throw new Error(backendName
+                    ? `Search backend "${backendName}" is not configured`
+                    : 'No search backend configured - set SEARXNG_URL, or SEARCH_BACKEND=mcp');
+            }
+            if (backend.connect) await backend.connect();
+
+            if (this.backend && this.backend !== backend && this.backend.close) this.backend.close();
+            this.backend = backend;
+            this.lastError = null;
             this.isConnected = true;
-            console.log(`[${getTimestamp()}] ✅ Search service initialized`);
+            console.log(`[${getTimestamp()}] ✅ Search service initialized (${backend.name})`);
         } catch (error) {
             console.error(`[${getTimestamp()}] ❌ Failed to initialize search service:`, error.message);
+            this.lastError = error.message;
             this.isConnected = false;
         }
+        return this.isConnected;
     }
 
     /**
@@ -58,11 +116,11 @@ class SearchService {
      */
     async search(query, options = {}) {
         if (!this.isConnected) {
-            throw new Error('Search service not connected');
+            throw new Error(`Search service not connected${this.lastError ? `: ${this.lastError}` : ''}`);
         }
 
         // Check cache first
-        const cacheKey = `${query}_${JSON.stringify(options)}`;
+        const cacheKey = `${this.backend.name}:${query}_${JSON.stringify(options)}`;
         const cached = this.searchHistory.get(cacheKey);
         if (cached && Date.now() - cached.timestamp < 300000) { // 5 minute cache
             console.log(`[${getTimestamp()}] 📋 Returning cached search results for: ${query}`);
@@ -70,27 +128,27 @@ class SearchService {
         }
 
         try {
-            console.log(`[${getTimestamp()}] 🔍 Searching for: ${query}`);
-            
-            // In a real implementation, this would use the MCP client
-            // const results = await this.mcpClient.search(query, options);
-            
-            // For now, return mock results
+            console.log(`[${getTimestamp()}] 🔍 Searching for: ${query} (${this.backend.name})`);
+
+            const response = await this.backend.search({
+                query,
+                maxResults: options.maxResults || DEFAULT_MAX_RESULTS
+            });
+
+            // Only http(s) links, so every result is clickable in WhatsApp
+            const items = (response.items || [])
+                .filter(item => item && /^https?:\/\//i.test(item.link || ''))
+                .map(item => ({
+                    title: plainText(item.title) || domainOf(item.link),
+                    snippet: plainText(item.snippet),
+                    link: item.link
+                }));
+
             const results = {
                 query: query,
-                resultCount: 5,
-                items: [
-                    {
-                        title: `Result 1 for ${query}`,
-                        snippet: 'This is a sample search result snippet...',
-                        link: 'https://example.com/1'
-                    },
-                    {
-                        title: `Result 2 for ${query}`,
-                        snippet: 'Another search result snippet...',
-                        link: 'https://example.com/2'
-                    }
-                ]
+                resultCount: Math.max(response.total || 0, items.length),
+                items,
+                backend: this.backend.name
             };
 
             // Cache the results
@@ -149,27 +207,33 @@ class SearchService {
     }
 
     /**
-     * Format search results for WhatsApp message
+     * Format search results for WhatsApp message: one bold title per result, a short
+     * snippet, the site and the bare link on its own line so WhatsApp previews it
      */
     formatSearchResults(results, maxResults = 3) {
         if (!results || !results.items || results.items.length === 0) {
-            return '❌ No search results found';
+            return `❌ No search results found${results && results.query ? ` for "${plainText(results.query)}"` : ''}`;
         }
 
-        let message = `🔍 Search Results for "${results.query}":\n\n`;
-        
+        let message = `🔍 *Search results:* ${truncate(plainText(results.query), TITLE_MAX_LENGTH)}\n\n`;
+
         const itemsToShow = results.items.slice(0, maxResults);
         itemsToShow.forEach((item, index) => {
-            message += `${index + 1}. *${item.title}*\n`;
-            message += `   ${item.snippet}\n`;
-            message += `   🔗 ${item.link}\n\n`;
+            const title = truncate(plainText(item.title), TITLE_MAX_LENGTH);
+            const snippet = truncate(plainText(item.snippet), SNIPPET_MAX_LENGTH);
+            const domain = domainOf(item.link);
+
+            message += `*${index + 1}. ${title}*\n`;
+            if (snippet) message += `${snippet}\n`;
+            message += `${domain ? `🌐 ${domain}\n` : ''}🔗 ${item.link}\n\n`;
         });
 
-        if (results.items.length > maxResults) {
-            message += `\n📊 Showing ${maxResults} of ${results.items.length} results`;
+        const total = Math.max(results.resultCount || 0, results.items.length);
+        if (total > itemsToShow.length) {
+            message += `📊 Showing ${itemsToShow.length} of ${total} results`;
         }
 
-        return message;
+        return message.trim();
     }
 
     /**
@@ -178,6 +242,7 @@ class SearchService {
     getStats() {
         return {
             connected: this.isConnected,
+            backend: this.backend ? this.backend.name : null,
             cachedSearches: this.searchHistory.size,
             rateLimitedUsers: this.rateLimiter.size
         };
@@ -0,0 +1,145 @@
+/**
+ * Translation Providers
+ * Backends behind services/translationService. Each provider has the same shape:
+ *   name              - what #autotranslate provider <name> selects
+ *   isAvailable()     - configured (API key present)
+ *   translate({ text, to, from }) -> { translatedText, detectedLanguage, costUsd }
+ * Caching, rate limiting, fallback and cost tracking live in translationService, not here.
+ */
+
+const https = require('https');
+
+const LANGUAGE_NAMES = {
+    en: 'English', he: 'Hebrew', ar: 'Arabic', ru: 'Russian', fr: 'French', am: 'Amharic',
+    es: 'Spanish', de: 'German', it: 'Italian', pt: 'Portuguese', uk: 'Ukrainian'
+};
+
+// Google Cloud Translation list price: $20 per million characters
+const GOOGLE_USD_PER_CHAR = 20 / 1e6;
+
+// OpenAI list prices per token for the translation model (update together with OPENAI_TRANSLATE_MODEL)
+const OPENAI_TRANSLATE_MODEL = process.env.OPENAI_TRANSLATE_MODEL || 'gpt-5.4-nano';
+const OPENAI_USD_PER_INPUT_TOKEN = 0.20 / 1e6;
+const OPENAI_USD_PER_OUTPUT_TOKEN = 1.25 / 1e6;
+
+const googleProvider = {
+    name: 'google',
+
+    isAvailable() {
+        const apiKey = process.env.GOOGLE_TRANSLATE_API_KEY;
+        return !!apiKey && apiKey !== 'your-translate-api-key';
+    },
+
+    translate({ text, to, from = null }) {
+        return new Promise((resolve, reject) => {
+            const postData = JSON.stringify({
+                q: text,
+                target: to,
+                source: from, // null for auto-detection
+                format: 'text'
+            });
+
+            const req = https.request({
+                hostname: 'translation.googleapis.com',
+                path: `/language/translate/v2?key=${process.env.GOOGLE_TRANSLATE_API_KEY}`,
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(postData)
+                }
+            }, (res) => {
+                let data = '';
+                res.on('data', (chunk) => { data += chunk; });
+                res.on('end', () => {
+                    try {
+                        const response = JSON.parse(data);
+                        if (response.error) {
+                            reject(new Error(response.error.message));
+                            return;
+                        }
+                        const translation = response.data.translations[0];
+                        resolve({
+                            translatedText: translation.translatedText,
+                            detectedLanguage: translation.detectedSourceLanguage || from,
+                            costUsd: text.length * GOOGLE_USD_PER_CHAR
+                        });
+                    } catch (error) {
+                        reject(new Error('Failed to parse translation response'));
+                    }
+                });
+            });
+
+            req.on('error', (error) => reject(new Error(`Translation request failed: ${error.message}`)));
+            req.setTimeout(10000, () => {
+                req.destroy();
+                reject(new Error('Translation request timed out'));
+            });
+            req.write(postData);
+            req.end();
+        });
+    }
+};
+
+const openaiProvider = {
+    name: 'openai',
+
+    isAvailable() {
+        return !!process.env.OPENAI_API_KEY;
+    },
+
+    async translate({ text, to, from = null }) {
+        const OpenAI = require('openai');
+        const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+        const targetName = LANGUAGE_NAMES[to] || to;
+        const sourceHint = from ? ` from ${LANGUAGE_NAMES[from] || from}` : '';
+
+        const response = await openai.chat.completions.create({
+            model: OPENAI_TRANSLATE_MODEL,
+            messages: [
+                { role: 'system', content: `Translate the following text${sourceHint} to ${targetName}. Return ONLY the translated text, no explanations, no quotes.` },
+                { role: 'user', content: text }
+            ],
+            max_completion_tokens: 1000
+        });
+
+        const translatedText = response.choices[0]?.message?.content?.trim();
+        if (!translatedText) throw new Error('Empty response from OpenAI');
+
+        const usage = response.usage || {};
+        return {
+            translatedText,
+            detectedLanguage: from,
+            costUsd: (usage.prompt_tokens || 0) * OPENAI_USD_PER_INPUT_TOKEN +
+                (usage.completion_tokens || 0) * OPENAI_USD_PER_OUTPUT_TOKEN
+        };
+    }
+};
+
+// Offline provider for tests and local development: no network, no cost
+const stubProvider = {
+    name: 'stub',
+
+    isAvailable() {
+        return true;
+    },
+
+    async translate({ text, to, from = null }) {
+        return { translatedText: `[${to}] ${text}`, detectedLanguage: from, costUsd: 0 };
+    }
+};
+
+const PROVIDERS = {
+    google: googleProvider,
+    openai: openaiProvider,
+    stub: stubProvider
+};
+
+// Tried in this order when a group has no provider of its own; the stub is never a fallback
+const DEFAULT_PROVIDER_ORDER = ['google', 'openai'];
+
+module.exports = {
+    PROVIDERS,
+    DEFAULT_PROVIDER_ORDER,
+    LANGUAGE_NAMES,
+    OPENAI_TRANSLATE_MODEL
+};
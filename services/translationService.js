@@ -1,44 +1,89 @@
 /**
  * Translation Service
- * Handles Google Translate API integration for text translation
- * Support for multiple languages with auto-detection
+ * One entry point for every translation path (#translate, #ru/#he/#fr/#en, per-group auto-translate).
+ * Providers (Google, OpenAI, offline stub) live in translationProviders.js; this layer adds
+ * provider selection per group with fallback, the group's glossary, caching (in memory, then
+ * Redis), rate limiting and cost tracking (Redis counters, so it survives restarts).
  */
 
-const https = require('https');
+const crypto = require('crypto');
 const { getTimestamp } = require('../utils/logger');
+const { PROVIDERS, DEFAULT_PROVIDER_ORDER } = require('./translationProviders');
+const { cache, getCached, incrementHashFields, getHashFields } = require('./redisService');
+const { applyGlossary } = require('../utils/translationGlossary');
+
+const CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+// Redis keeps translations longer than memory, and across restarts ("homework for tomorrow" is posted daily)
+const REDIS_CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// One Redis hash holds every usage counter: provider:<name>:<counter>, group:<groupId>:<counter>
+// and since (when counting started). this.usage mirrors it in memory for when Redis is down.
+const USAGE_KEY = 'translate:usage';
+const USAGE_COUNTERS = ['requests', 'cacheHits', 'characters', 'costUsd'];
 
 class TranslationService {
     constructor() {
-        this.apiKey = process.env.GOOGLE_TRANSLATE_API_KEY || 'your-translate-api-key';
-        this.baseUrl = 'https://translation.googleapis.com/language/translate/v2';
+        this.providers = PROVIDERS;
         this.initialized = false;
         this.rateLimiter = {
             requests: [],
             maxRequests: 10, // 10 translations per minute
             windowMs: 60 * 1000 // 1 minute
         };
+        this.cache = new Map(); // key -> { value, expiresAt }
+        this.usage = { since: new Date().toISOString(), providers: {}, groups: {} };
     }
 
     /**
      * Initialize the translation service
+     * @returns {boolean} true when at least one provider is configured
      */
     async initialize() {
         if (this.initialized) return true;
-        
-        try {
-            // Check if API key is configured
-            if (!this.apiKey || this.apiKey === 'your-translate-api-key') {
-                console.log(`[${getTimestamp()}] ⚠️  Translation service: API key not configured`);
-                return false;
-            }
-            
-            console.log(`[${getTimestamp()}] 🔤 Translation service initialized`);
-            this.initialized = true;
-            return true;
-        } catch (error) {
-            console.error(`[${getTimestamp()}] ❌ Translation service initialization failed:`, error.message);
+
+        const available = this.getProviderChain(process.env.TRANSLATION_PROVIDER);
+        if (available.length === 0) {
+            console.log(`[${getTimestamp()}] ⚠️  Translation service: no provider configured (GOOGLE_TRANSLATE_API_KEY / OPENAI_API_KEY)`);
             return false;
         }
+
+        console.log(`[${getTimestamp()}] 🔤 Translation service initialized (${available.map(p => p.name).join(' → ')})`);
+        this.initialized = true;
+        return true;
+    }
+
+    /**
+     * Providers to try, in order: the preferred one, then the other configured ones.
+     * The offline stub is only used when asked for by name.
+     * @param {string|null} preferred - Provider name, e.g. a group's choice
+     */
+    getProviderChain(preferred = null) {
+        if (preferred === 'stub') return [this.providers.stub];
+        const names = [...new Set([preferred, ...DEFAULT_PROVIDER_ORDER].filter(name => name && name !== 'stub'))];
+        // Names come from the database, so only the providers' own keys count (not 'constructor' etc.)
+        return names.filter(name => Object.hasOwn(this.providers, name)).map(name => this.providers[name]).filter(provider => provider.isAvailable());
+    }
+
+    /**
+     * The provider a group chose with #autotranslate provider, or the TRANSLATION_PROVIDER default
+     */
+    async getPreferredProvider(groupId) {
+        if (groupId && process.env.DATABASE_URL) {
+            const { getTranslateProvider } = require('../database/groupService');
+            const provider = await getTranslateProvider(groupId);
+            if (provider) return provider;
+        }
+        return process.env.TRANSLATION_PROVIDER || null;
+    }
+
+    /**
+     * A group's #glossary entries (none without a database)
+     */
+    async getGlossary(groupId) {
+        if (!groupId || !process.env.DATABASE_URL) return [];
+        const { getTranslationGlossary } = require('../database/groupService');
+        return getTranslationGlossary(groupId);
     }
 
     /**
@@ -70,77 +115,137 @@ class TranslationService {
         return true;
     }
 
+    // Text hash and language pair, per provider: a group that chose OpenAI should not get Google's
+    // cached wording. The text is hashed after glossary substitution, so glossary edits never hit stale entries.
+    cacheKey(providerName, text, targetLang, sourceLang) {
+        const hash = crypto.createHash('sha1').update(text).digest('hex');
+        return `translate:${providerName}:${sourceLang || 'auto'}:${targetLang}:${hash}`;
+    }
+
     /**
-     * Translate text using Google Translate API
+     * Memory first, then Redis (a Redis hit is kept in memory too)
      */
-    async translateText(text, targetLang = 'en', sourceLang = null, userId = 'system') {
-        if (!this.initialized) {
-            await this.initialize();
+    async getCachedTranslation(key) {
+        const entry = this.cache.get(key);
+        if (entry && entry.expiresAt > Date.now()) return entry.value;
+        if (entry) this.cache.delete(key);
+
+        const value = await getCached(key);
+        if (value) this.rememberTranslation(key, value);
+        return value;
+    }
+
+    async setCachedTranslation(key, value) {
+        this.rememberTranslation(key, value);
+        await cache(key, value, REDIS_CACHE_TTL_SECONDS);
+    }
+
+    rememberTranslation(key, value) {
+        if (this.cache.size >= CACHE_MAX_ENTRIES) {
+            this.cache.delete(this.cache.keys().next().value); // Oldest first
         }
-        
-        if (!this.initialized) {
-            throw new Error('Translation service not available. API key not configured.');
+        this.cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    }
+
+    /**
+     * Count a translation against its provider and group, in memory and in Redis
+     */
+    async recordUsage(providerName, groupId, { characters = 0, costUsd = 0, cacheHit = false } = {}) {
+        const increments = {
+            requests: cacheHit ? 0 : 1,
+            cacheHits: cacheHit ? 1 : 0,
+            characters: cacheHit ? 0 : characters,
+            costUsd
+        };
+        const buckets = { [`provider:${providerName}`]: this.usage.providers[providerName] = this.usage.providers[providerName] || {} };
+        if (groupId) buckets[`group:${groupId}`] = this.usage.groups[groupId] = this.usage.groups[groupId] || {};
+
+        const fields = {};
+        for (const [prefix, bucket] of Object.entries(buckets)) {
+            for (const counter of USAGE_COUNTERS) {
+                bucket[counter] = (bucket[counter] || 0) + increments[counter];
+                fields[`${prefix}:${counter}`] = increments[counter];
+            }
         }
-        
+        await incrementHashFields(USAGE_KEY, fields, { since: this.usage.since });
+    }
+
+    /**
+     * Translations, cache hits, characters and estimated spend per provider and per group -
+     * from Redis (across restarts), or since startup when Redis is unavailable
+     * @returns {Promise<{ since: string, providers: Object, groups: Object }>} each bucket { requests, cacheHits, characters, costUsd }
+     */
+    async getUsageStats() {
+        const fields = await getHashFields(USAGE_KEY);
+        if (!fields || Object.keys(fields).length === 0) return JSON.parse(JSON.stringify(this.usage));
+
+        const stats = { since: fields.since || this.usage.since, providers: {}, groups: {} };
+        for (const [field, value] of Object.entries(fields)) {
+            // Group IDs contain no ':', so the counter is always the last segment
+            const match = field.match(/^(provider|group):(.+):(\w+)$/);
+            if (!match || !USAGE_COUNTERS.includes(match[3])) continue;
+            const [, kind, id, counter] = match;
+            const buckets = kind === 'provider' ? stats.providers : stats.groups;
+            buckets[id] = buckets[id] || { requests: 0, cacheHits: 0, characters: 0, costUsd: 0 };
+            buckets[id][counter] = Number(value);
+        }
+        return stats;
+    }
+
+    /**
+     * Translate text with the group's provider, falling back to the other configured providers
+     * @param {string} text
+     * @param {string} targetLang - ISO 639-1 code
+     * @param {string|null} sourceLang - null for auto-detection
+     * @param {string} userId - Rate-limit bucket (sender or 'system')
+     * @param {Object} options - { groupId, provider } - provider overrides the group's choice
+     * @returns {Promise<{ originalText, translatedText, detectedLanguage, targetLanguage, provider, cached, glossaryTerms }>}
+     *   glossaryTerms: how many of the group's glossary entries were applied
+     */
+    async translateText(text, targetLang = 'en', sourceLang = null, userId = 'system', options = {}) {
+        const { groupId = null } = options;
+        const preferred = options.provider || await this.getPreferredProvider(groupId);
+        const chain = this.getProviderChain(preferred);
+
+        if (chain.length === 0) {
+            throw new Error('Translation service not available. No translation provider configured.');
+        }
+
+        const glossary = await this.getGlossary(groupId);
+        const { text: prepared, applied } = applyGlossary(text, glossary, { from: sourceLang, to: targetLang });
+
+        const key = this.cacheKey(chain[0].name, prepared, targetLang, sourceLang);
+        const cached = await this.getCachedTranslation(key);
+        if (cached) {
+            await this.recordUsage(cached.provider, groupId, { cacheHit: true });
+            return { ...cached, originalText: text, cached: true, glossaryTerms: applied.length };
+        }
+
         // Check rate limiting
         this.checkRateLimit(userId);
-        
-        return new Promise((resolve, reject) => {
-            const postData = JSON.stringify({
-                q: text,
-                target: targetLang,
-                source: sourceLang, // null for auto-detection
-                format: 'text'
-            });
-            
-            const options = {
-                hostname: 'translation.googleapis.com',
-                path: `/language/translate/v2?key=${this.apiKey}`,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(postData)
-                }
-            };
-            
-            const req = https.request(options, (res) => {
-                let data = '';
-                
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-                
-                res.on('end', () => {
-                    try {
-                        const response = JSON.parse(data);
-                        
-                        if (response.error) {
-                            reject(new Error(response.error.message));
-                            return;
-                        }
-                        
-                        const translation = response.data.translations[0];
-                        const result = {
-                            originalText: text,
-                            translatedText: translation.translatedText,
-                            detectedLanguage: translation.detectedSourceLanguage || sourceLang,
-                            targetLanguage: targetLang
-                        };
-                        
-                        resolve(result);
-                    } catch (error) {
-                        reject(new Error('Failed to parse translation response'));
-                    }
-                });
-            });
-            
-            req.on('error', (error) => {
-                reject(new Error(`Translation request failed: ${error.message}`));
-            });
-            
-            req.write(postData);
-            req.end();
-        });
+
+        const errors = [];
+        for (const provider of chain) {
+            try {
+                const translation = await provider.translate({ text: prepared, to: targetLang, from: sourceLang });
+                const result = {
+                    originalText: text,
+                    translatedText: translation.translatedText,
+                    detectedLanguage: translation.detectedLanguage || sourceLang,
+                    targetLanguage: targetLang,
+                    provider: provider.name,
+                    cached: false,
+                    glossaryTerms: applied.length
+                };
+                await this.recordUsage(provider.name, groupId, { characters: prepared.length, costUsd: translation.costUsd || 0 });
+                await this.setCachedTranslation(key, result);
+                return result;
+            } catch (error) {
+                console.log(`[${getTimestamp()}] ⚠️ ${provider.name} translation failed: ${error.message}`);
+                errors.push(`${provider.name}: ${error.message}`);
+            }
+        }
+        throw new Error(errors.join(' | '));
     }
 
     /**
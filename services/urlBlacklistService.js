@@ -1,8 +1,30 @@
 const fs = require('fs');
 const path = require('path');
+const { query } = require('../database/connection');
 
+// Global URL block list (#urlblock, admin API, URL alert reply 3). Rules are kept in memory for
+// the message hot path and written through to PostgreSQL (url_block_rules) so every instance
+// shares one list; without DATABASE_URL they are stored in url_blacklist.json.
+//
+// Rule types:
+//   domain   evil.com          - the domain and all its subdomains
+//   wildcard *.spam.tld        - hostname glob ('*' = one or more characters)
+//   path     bit.ly/abc*       - one host, URLs whose path starts with the prefix (case-sensitive)
+//   regex    /casino\d+/i      - tested against the full URL; patterns that can backtrack
+//                                catastrophically ((a+)+$, (a|ab)*, backreferences) are refused,
+//                                since every URL in every message runs through them
 const BLACKLIST_FILE = path.join(__dirname, '../url_blacklist.json');
-let blockedDomains = new Set();
+const RULE_TYPES = ['domain', 'wildcard', 'path', 'regex'];
+const MAX_REGEX_LENGTH = 200;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+let rules = []; // { id, type, pattern, addedBy, addedAt, expiresAt, hitCount, lastHitAt } - times in ms
+const matchers = new Map(); // `${type}:${pattern}` -> compiled test function
+let syncInterval = null;
+
+function usePostgres() {
+  return !!process.env.DATABASE_URL;
+}
 
 function normalizeDomain(input) {
   try {
@@ -13,46 +35,420 @@ function normalizeDomain(input) {
   }
 }
 
-function loadBlockedDomains() {
+// Quantifier at body[i] ('*', '+', '?', '{n}', '{n,}', '{n,m}', each optionally lazy):
+// its length, and whether it repeats (can match its atom more than once)
+function readQuantifier(body, i) {
+  let length;
+  let repeats;
+  if (body[i] === '*' || body[i] === '+') {
+    length = 1;
+    repeats = true;
+  } else if (body[i] === '?') {
+    length = 1;
+    repeats = false;
+  } else {
+    const braces = body.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!braces) return null;
+    length = braces[0].length;
+    const max = braces[2] === undefined ? Number(braces[1]) : braces[3] === '' ? Infinity : Number(braces[3]);
+    repeats = max > 1;
+  }
+  if (body[i + length] === '?') length++;
+  return { length, repeats };
+}
+
+/**
+ * Whether a regex body can backtrack catastrophically: a repeated group that itself contains a
+ * quantifier ((a+)+, (\w*)*, (x?){2,}) or an alternation ((a|ab)*), or a backreference.
+ * @param {string} body - Pattern without the slashes and flags
+ * @returns {boolean}
+ */
+function isUnsafeRegex(body) {
+  const groups = [{ quantified: false, alternation: false }];
+  const top = () => groups[groups.length - 1];
+
+  // After an atom: consume its quantifier, if any, and note it on the enclosing group
+  const quantify = (end, inner = null) => {
+    const quantifier = readQuantifier(body, end + 1);
+    if (inner && quantifier && quantifier.repeats && (inner.quantified || inner.alternation)) return null;
+    if (quantifier || (inner && inner.quantified)) top().quantified = true;
+    if (inner && inner.alternation) top().alternation = top().alternation || !!quantifier;
+    return end + (quantifier ? quantifier.length : 0);
+  };
+
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    let end = i;
+    let inner = null;
+
+    if (ch === '\\') {
+      if (/[1-9k]/.test(body[i + 1])) return true; // Backreference
+      end = i + 1;
+    } else if (ch === '[') {
+      end = i + 1;
+      if (body[end] === '^') end++;
+      if (body[end] === ']') end++;
+      while (end < body.length && body[end] !== ']') end += body[end] === '\\' ? 2 : 1;
+    } else if (ch === '(') {
+      groups.push({ quantified: false, alternation: false });
+      if (body[i + 1] === '?') {
+        // (?: (?= (?! (?<= (?<! (?<name> - skip the prefix so its '?' is not read as a quantifier
+        const prefix = body.slice(i).match(/^\(\?(?:[:=!]|<[=!]|<[^>]*>)/);
+        if (prefix) i += prefix[0].length - 1;
+      }
+      continue;
+    } else if (ch === '|') {
+      top().alternation = true;
+      continue;
+    } else if (ch === ')') {
+      if (groups.length === 1) return false; // Unbalanced - new RegExp() rejects it
+      inner = groups.pop();
+    }
+
+    const next = quantify(end, inner);
+    if (next === null) return true;
+    i = next;
+  }
+  return false;
+}
+
+/**
+ * Turn admin input into a rule, or null if it is not a valid pattern.
+ * A plain domain or URL (no '*') is a domain rule, as before rule types existed.
+ * @returns {{ type: string, pattern: string }|null}
+ */
+function parseBlockRule(input) {
+  const text = String(input || '').trim();
+  if (!text) return null;
+
+  const regex = text.match(/^\/(.+)\/(i?)$/);
+  if (regex) {
+    if (text.length > MAX_REGEX_LENGTH) return null;
+    try {
+      new RegExp(regex[1], regex[2]);
+    } catch {
+      return null;
+    }
+    if (isUnsafeRegex(regex[1])) return null;
+    return { type: 'regex', pattern: text };
+  }
+
+  const bare = text.replace(/^https?:\/\//i, '');
+  if (bare.includes('*')) {
+    const slash = bare.indexOf('/');
+    if (slash !== -1) {
+      const host = bare.slice(0, slash).toLowerCase().replace(/^www\./, '');
+      const prefix = bare.slice(slash);
+      if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host)) return null;
+      if (!prefix.endsWith('*') || prefix.slice(0, -1).includes('*') || prefix === '/*') return null;
+      return { type: 'path', pattern: host + prefix };
+    }
+    const glob = bare.toLowerCase();
+    if (!/^[a-z0-9*-]+(\.[a-z0-9*-]+)+$/.test(glob) || !/[a-z0-9-]\.[a-z0-9-]+$/.test(glob)) return null;
+    return { type: 'wildcard', pattern: glob };
+  }
+
+  const domain = normalizeDomain(text);
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? { type: 'domain', pattern: domain } : null;
+}
+
+function compileRule(rule) {
+  const { type, pattern } = rule;
+  if (type === 'domain') {
+    return (url, hostname) => hostname === pattern || hostname.endsWith('.' + pattern);
+  }
+  if (type === 'wildcard') {
+    const re = new RegExp('^' + pattern.replace(/\./g, '\\.').replace(/\*/g, '.+') + '$');
+    return (url, hostname) => re.test(hostname);
+  }
+  if (type === 'path') {
+    const slash = pattern.indexOf('/');
+    const host = pattern.slice(0, slash);
+    const prefix = pattern.slice(slash, -1);
+    return (url, hostname, parsed) => hostname === host && (parsed.pathname + parsed.search).startsWith(prefix);
+  }
+  const [, body, flags] = pattern.match(/^\/(.+)\/(i?)$/);
+  // Rules stored before unsafe patterns were refused never run (getMatcher turns this into no match)
+  if (isUnsafeRegex(body)) throw new Error(`Unsafe regex rule ${pattern}`);
+  const re = new RegExp(body, flags);
+  return (url) => re.test(url);
+}
+
+function getMatcher(rule) {
+  const key = `${rule.type}:${rule.pattern}`;
+  if (!matchers.has(key)) {
+    try {
+      matchers.set(key, compileRule(rule));
+    } catch {
+      matchers.set(key, () => false);
+    }
+  }
+  return matchers.get(key);
+}
+
+function isActive(rule, now = Date.now()) {
+  return !rule.expiresAt || rule.expiresAt > now;
+}
+
+function ruleFromRow(row) {
+  return {
+    id: row.id,
+    type: row.rule_type,
+    pattern: row.pattern,
+    addedBy: row.added_by || null,
+    addedAt: row.created_at_ms ? Number(row.created_at_ms) : null,
+    expiresAt: row.expires_at_ms ? Number(row.expires_at_ms) : null,
+    hitCount: Number(row.hit_count) || 0,
+    lastHitAt: row.last_hit_at_ms ? Number(row.last_hit_at_ms) : null
+  };
+}
+
+const RULE_COLUMNS = `
+  id, rule_type, pattern, added_by, hit_count,
+  (EXTRACT(EPOCH FROM created_at) * 1000)::bigint AS created_at_ms,
+  (EXTRACT(EPOCH FROM expires_at) * 1000)::bigint AS expires_at_ms,
+  (EXTRACT(EPOCH FROM last_hit_at) * 1000)::bigint AS last_hit_at_ms`;
+
+function readRulesFile() {
   try {
     const data = JSON.parse(fs.readFileSync(BLACKLIST_FILE, 'utf8'));
-    blockedDomains = new Set(data);
+    // Older files are a flat array of domains
+    return data.map((entry, i) => typeof entry === 'string'
+      ? { id: i + 1, type: 'domain', pattern: entry, addedBy: null, addedAt: null, expiresAt: null, hitCount: 0, lastHitAt: null }
+      : entry);
   } catch {
-    blockedDomains = new Set();
+    return [];
   }
 }
 
-function saveBlockedDomains() {
-  fs.writeFileSync(BLACKLIST_FILE, JSON.stringify([...blockedDomains], null, 2));
+function saveRulesFile() {
+  fs.writeFileSync(BLACKLIST_FILE, JSON.stringify(rules, null, 2));
 }
 
-function addBlockedDomain(input) {
-  const domain = normalizeDomain(input);
-  blockedDomains.add(domain);
-  saveBlockedDomains();
-  return domain;
+// Insert or refresh a rule in PostgreSQL, taking the row's id and counters; throws if the database is down
+async function persistRule(rule) {
+  const result = await query(`
+    INSERT INTO url_block_rules (rule_type, pattern, added_by, expires_at)
+    VALUES ($1, $2, $3, to_timestamp($4 / 1000.0))
+    ON CONFLICT (rule_type, pattern)
+    DO UPDATE SET
+      added_by = COALESCE(EXCLUDED.added_by, url_block_rules.added_by),
+      expires_at = EXCLUDED.expires_at
+    RETURNING ${RULE_COLUMNS}
+  `, [rule.type, rule.pattern, rule.addedBy, rule.expiresAt]);
+  if (result.rows[0]) Object.assign(rule, ruleFromRow(result.rows[0]));
+  delete rule.unsynced;
 }
 
-function removeBlockedDomain(input) {
-  const domain = normalizeDomain(input);
-  const existed = blockedDomains.delete(domain);
-  if (existed) saveBlockedDomains();
-  return { existed, domain };
+/**
+ * Load the rules from PostgreSQL (dropping expired ones), or from url_blacklist.json without a database.
+ * The first PostgreSQL load imports an existing url_blacklist.json and renames it. Rules added while the
+ * database was down are written first, and kept (not dropped by the reload) until that succeeds.
+ */
+async function loadUrlBlockRules() {
+  if (!usePostgres()) {
+    rules = readRulesFile().filter(rule => isActive(rule));
+    return rules;
+  }
+
+  try {
+    const legacy = fs.existsSync(BLACKLIST_FILE) ? readRulesFile() : [];
+    for (const rule of legacy) {
+      await query(`
+        INSERT INTO url_block_rules (rule_type, pattern, added_by, expires_at, hit_count)
+        VALUES ($1, $2, $3, to_timestamp($4 / 1000.0), $5)
+        ON CONFLICT (rule_type, pattern) DO NOTHING
+      `, [rule.type, rule.pattern, rule.addedBy, rule.expiresAt, rule.hitCount || 0]);
+    }
+    if (legacy.length > 0) {
+      fs.renameSync(BLACKLIST_FILE, BLACKLIST_FILE + '.imported');
+      console.log(`💾 Imported ${legacy.length} URL block rules from url_blacklist.json`);
+    }
+
+    const unsynced = rules.filter(rule => rule.unsynced && isActive(rule));
+    for (const rule of unsynced) {
+      try {
+        await persistRule(rule);
+      } catch (error) {
+        console.warn(`⚠️ URL block rule ${rule.pattern} still not saved to PostgreSQL: ${error.message}`);
+      }
+    }
+
+    await query(`DELETE FROM url_block_rules WHERE expires_at <= NOW()`);
+    const result = await query(`SELECT ${RULE_COLUMNS} FROM url_block_rules ORDER BY id`);
+    const loaded = result.rows.map(ruleFromRow);
+    const pending = unsynced.filter(rule => rule.unsynced && !loaded.some(r => r.type === rule.type && r.pattern === rule.pattern));
+    rules = [...loaded, ...pending];
+    console.log(`💾 Loaded ${loaded.length} URL block rules from PostgreSQL${pending.length ? ` (+${pending.length} not saved yet)` : ''}`);
+  } catch (error) {
+    console.warn(`⚠️ Could not load URL block rules from PostgreSQL (${error.message}) - keeping ${rules.length} cached rules`);
+  }
+  return rules;
 }
 
-function listBlockedDomains() {
-  return [...blockedDomains].sort();
+/**
+ * Reload from PostgreSQL periodically so rules (and hit counts) added on other instances show up.
+ */
+function startUrlBlockRuleSync() {
+  if (syncInterval || !usePostgres()) return;
+  syncInterval = setInterval(() => loadUrlBlockRules(), SYNC_INTERVAL_MS);
+  syncInterval.unref();
 }
 
-function isBlockedUrl(url) {
+function stopUrlBlockRuleSync() {
+  if (syncInterval) {
+    clearInterval(syncInterval);
+    syncInterval = null;
+  }
+}
+
+/**
+ * The first active rule that blocks this URL, or null
+ */
+function matchBlockRule(url) {
+  let parsed;
   try {
-    const hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
-    return blockedDomains.has(hostname) || [...blockedDomains].some(d => hostname.endsWith('.' + d));
+    parsed = new URL(url);
   } catch {
-    return false;
+    return null;
+  }
+  const hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const now = Date.now();
+  return rules.find(rule => isActive(rule, now) && getMatcher(rule)(url, hostname, parsed)) || null;
+}
+
+function isBlockedUrl(url) {
+  return !!matchBlockRule(url);
+}
+
+/**
+ * Count a match against a rule. Fire-and-forget - never delays the message handler.
+ */
+function recordBlockHit(rule) {
+  rule.hitCount = (rule.hitCount || 0) + 1;
+  rule.lastHitAt = Date.now();
+
+  if (!usePostgres()) {
+    try { saveRulesFile(); } catch { /* counter only */ }
+    return;
+  }
+  query(`UPDATE url_block_rules SET hit_count = hit_count + 1, last_hit_at = NOW() WHERE id = $1`, [rule.id])
+    .catch(error => console.warn(`⚠️ Could not record URL block hit (${error.message})`));
+}
+
+/**
+ * Add (or refresh) a block rule
+ * @param {string} input - Domain, URL, *.wildcard, host/path* or /regex/
+ * @param {Object} options - { addedBy: phone/actor, expiresAt: ms timestamp or null }
+ * @returns {Promise<Object|null>} The rule, or null if the input is not a valid pattern
+ */
+async function addBlockRule(input, { addedBy = null, expiresAt = null } = {}) {
+  const parsed = parseBlockRule(input);
+  if (!parsed) return null;
+
+  let rule = rules.find(r => r.type === parsed.type && r.pattern === parsed.pattern);
+  if (rule) {
+    Object.assign(rule, { addedBy: addedBy || rule.addedBy, expiresAt });
+  } else {
+    rule = { id: null, ...parsed, addedBy, addedAt: Date.now(), expiresAt, hitCount: 0, lastHitAt: null };
+    rules.push(rule);
+  }
+
+  if (!usePostgres()) {
+    rule.id = rule.id || Math.max(0, ...rules.map(r => r.id || 0)) + 1;
+    saveRulesFile();
+    return rule;
+  }
+
+  try {
+    await persistRule(rule);
+  } catch (error) {
+    rule.unsynced = true; // Written by the next sync (loadUrlBlockRules)
+    console.warn(`⚠️ URL block rule ${rule.pattern} kept in memory until the database is back: ${error.message}`);
+  }
+  return rule;
+}
+
+/**
+ * Remove a rule by pattern (as typed when added) or by id ("12" / "#12")
+ * @returns {Promise<{ existed: boolean, pattern: string, rule: Object|null }>}
+ */
+async function removeBlockRule(input) {
+  const text = String(input || '').trim();
+  const idMatch = text.match(/^#?(\d+)$/);
+  const parsed = idMatch ? null : parseBlockRule(text);
+  const rule = idMatch
+    ? rules.find(r => String(r.id) === idMatch[1])
+    : parsed && rules.find(r => r.type === parsed.type && r.pattern === parsed.pattern);
+  const pattern = rule ? rule.pattern : (parsed ? parsed.pattern : normalizeDomain(text));
+
+  if (!rule) return { existed: false, pattern, rule: null };
+
+  rules = rules.filter(r => r !== rule);
+  if (!usePostgres()) {
+    saveRulesFile();
+  } else {
+    try {
+      await query(`DELETE FROM url_block_rules WHERE rule_type = $1 AND pattern = $2`, [rule.type, rule.pattern]);
+    } catch (error) {
+      console.warn(`⚠️ URL block rule ${rule.pattern} removed from memory only (DB unavailable): ${error.message}`);
+    }
   }
+  return { existed: true, pattern, rule };
+}
+
+/**
+ * Active rules, most-hit first
+ */
+function listBlockRules() {
+  return rules.filter(rule => isActive(rule))
+    .sort((a, b) => (b.hitCount || 0) - (a.hitCount || 0) || a.pattern.localeCompare(b.pattern));
+}
+
+/**
+ * "*.spam.tld (wildcard) · 12 hits · by 972501234567 · until 2026-05-01" for lists and alerts
+ */
+function formatBlockRule(rule) {
+  const parts = [`${rule.pattern} (${rule.type})`, `${rule.hitCount || 0} hits`];
+  if (rule.addedBy) parts.push(`by ${rule.addedBy}`);
+  if (rule.expiresAt) parts.push(`until ${new Date(rule.expiresAt).toISOString().slice(0, 16).replace('T', ' ')}`);
+  return parts.join(' · ');
+}
+
+// ─── Domain-only API (kept for existing callers) ─────────────────────────────
+
+async function addBlockedDomain(input, options) {
+  const rule = await addBlockRule(input, options);
+  return rule ? rule.pattern : null;
+}
+
+async function removeBlockedDomain(input) {
+  const { existed, pattern } = await removeBlockRule(input);
+  return { existed, domain: pattern };
+}
+
+function listBlockedDomains() {
+  return listBlockRules().map(rule => rule.pattern).sort();
 }
 
-loadBlockedDomains();
+rules = readRulesFile().filter(rule => isActive(rule));
 
-module.exports = { addBlockedDomain, removeBlockedDomain, listBlockedDomains, isBlockedUrl };
+module.exports = {
+  RULE_TYPES,
+  normalizeDomain,
+  parseBlockRule,
+  isUnsafeRegex,
+  loadUrlBlockRules,
+  startUrlBlockRuleSync,
+  stopUrlBlockRuleSync,
+  matchBlockRule,
+  isBlockedUrl,
+  recordBlockHit,
+  addBlockRule,
+  removeBlockRule,
+  listBlockRules,
+  formatBlockRule,
+  addBlockedDomain,
+  removeBlockedDomain,
+  listBlockedDomains
+};
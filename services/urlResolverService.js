@@ -0,0 +1,198 @@
+// services/urlResolverService.js
+// Expands shortened links (bit.ly, tinyurl, t.co, ...) by following their redirects ourselves - no
+// third-party expander API - so the block list, URL policy and Safe Browsing see every hop instead of
+// just the visible hostname. Only links on a known shortener are expanded (every redirect after that is
+// followed); the chain stops at private addresses - literal ones and hostnames that resolve to one -
+// after MAX_REDIRECTS hops or when RESOLVE_TIMEOUT_MS runs out. Complete results are cached in Redis.
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
+const crypto = require('crypto');
+const { getTimestamp } = require('../utils/logger');
+const { cache, getCached } = require('./redisService');
+
+const SHORTENER_DOMAINS = Object.freeze([
+    'bit.ly', 'bitly.com', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly',
+    'cutt.ly', 'shorturl.at', 'rb.gy', 'tiny.cc', 't.ly', 's.id', 'lnkd.in', 'bl.ink', 'short.io',
+    'v.gd', 'tr.im', 'shorte.st', 'adf.ly', 'qr.ae', 'did.li', 'surl.li'
+]);
+
+// Budget for the whole chain, not per hop
+const RESOLVE_TIMEOUT_MS = 4000;
+const MAX_REDIRECTS = 5;
+const CACHE_TTL_SECONDS = 24 * 60 * 60;
+
+function hostnameOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
+function isShortenerUrl(url, shorteners = SHORTENER_DOMAINS) {
+    const hostname = hostnameOf(url);
+    return !!hostname && shorteners.includes(hostname);
+}
+
+/**
+ * Loopback, private, link-local and cloud-metadata addresses - never fetched
+ */
+function isPrivateHost(hostname) {
+    const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+    }
+    if (net.isIPv6(host)) {
+        return host === '::1' || host === '::' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || host.startsWith('::ffff:');
+    }
+    return false;
+}
+
+/**
+ * A lookup for http(s).request that refuses hostnames resolving to a private address. The check
+ * runs on the address the socket actually connects to, so a public-looking name pointed at
+ * 127.0.0.1 or 10.x (or re-pointed between checks) is never fetched.
+ * @param {Function} lookup - dns.lookup-compatible resolver
+ */
+function privateAddressGuard(lookup = dns.lookup) {
+    return (hostname, options, callback) => {
+        lookup(hostname, options, (error, address, family) => {
+            if (error) return callback(error);
+            const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+            if (addresses.some(isPrivateHost)) {
+                const privateError = new Error('resolves to a private address');
+                privateError.code = 'EPRIVATEADDRESS';
+                return callback(privateError);
+            }
+            callback(null, address, family);
+        });
+    };
+}
+
+/**
+ * One request; resolves with the status and Location header without reading the body
+ * @param {Function|null} lookup - privateAddressGuard(), or null to connect anywhere
+ */
+function fetchRedirect(url, timeoutMs, lookup = null) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.request(url, {
+            method: 'GET',
+            ...(lookup ? { lookup } : {}),
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; CommGuard link check)', 'Accept': '*/*' }
+        }, (res) => {
+            resolve({ status: res.statusCode, location: res.headers.location || null });
+            res.destroy();
+        });
+        req.on('error', (error) => reject(error));
+        req.setTimeout(timeoutMs, () => {
+            req.destroy();
+            reject(new Error('timeout'));
+        });
+        req.end();
+    });
+}
+
+/**
+ * Follow a shortened link to its destination
+ * @param {string} url
+ * @param {Object} options - { timeoutMs, maxRedirects, shorteners, allowPrivateHosts, lookup }
+ *   lookup replaces dns.lookup (tests)
+ * @returns {Promise<{ url: string, finalUrl: string, hops: string[], expanded: boolean, error: string|null }>}
+ *   hops starts with url and ends with finalUrl; error says why the chain stopped early
+ */
+async function resolveUrl(url, options = {}) {
+    const {
+        timeoutMs = RESOLVE_TIMEOUT_MS,
+        maxRedirects = MAX_REDIRECTS,
+        shorteners = SHORTENER_DOMAINS,
+        allowPrivateHosts = false,
+        lookup = dns.lookup
+    } = options;
+    const guardedLookup = allowPrivateHosts ? null : privateAddressGuard(lookup);
+
+    if (!isShortenerUrl(url, shorteners)) {
+        return { url, finalUrl: url, hops: [url], expanded: false, error: null };
+    }
+
+    const cacheKey = `urlresolve:${crypto.createHash('sha1').update(url).digest('hex')}`;
+    const cached = await getCached(cacheKey);
+    if (cached) return cached;
+
+    const deadline = Date.now() + timeoutMs;
+    const hops = [url];
+    let error = null;
+
+    while (true) {
+        const current = hops[hops.length - 1];
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+            error = 'timeout';
+            break;
+        }
+
+        let response;
+        try {
+            response = await fetchRedirect(current, remaining, guardedLookup);
+        } catch (e) {
+            error = e.message;
+            break;
+        }
+        if (response.status < 300 || response.status >= 400 || !response.location) break;
+
+        let next;
+        try {
+            next = new URL(response.location, current).href;
+        } catch {
+            error = 'invalid redirect';
+            break;
+        }
+        if (hops.includes(next)) {
+            error = 'redirect loop';
+            break;
+        }
+        if (hops.length > maxRedirects) {
+            error = 'too many redirects';
+            break;
+        }
+        hops.push(next);
+
+        const nextUrl = new URL(next);
+        if (!['http:', 'https:'].includes(nextUrl.protocol)) break;
+        if (!allowPrivateHosts && isPrivateHost(nextUrl.hostname)) {
+            error = 'redirects to a private address';
+            break;
+        }
+    }
+
+    const result = { url, finalUrl: hops[hops.length - 1], hops, expanded: hops.length > 1, error };
+    if (error) {
+        console.log(`[${getTimestamp()}] ⚠️ Short link ${url} not fully expanded (${error})`);
+    } else {
+        await cache(cacheKey, result, CACHE_TTL_SECONDS);
+    }
+    return result;
+}
+
+/**
+ * resolveUrl for every URL in a message, in parallel
+ */
+function resolveUrls(urls, options) {
+    return Promise.all(urls.map(url => resolveUrl(url, options)));
+}
+
+module.exports = {
+    SHORTENER_DOMAINS,
+    RESOLVE_TIMEOUT_MS,
+    MAX_REDIRECTS,
+    isShortenerUrl,
+    isPrivateHost,
+    resolveUrl,
+    resolveUrls
+};
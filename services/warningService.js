@@ -1,33 +1,74 @@
 const { getTimestamp } = require('../utils/logger');
+const { query } = require('../database/connection');
+const { getStrikePolicy, DEFAULT_STRIKE_POLICY } = require('../database/groupService');
 
 /**
  * Warning Service
- * Manages user warnings for invite links - first warning, second strike kicks
- * Memory-only storage
+ * Manages user warnings for invite links using the group's strike policy
+ * (warnings allowed before a kick, expiry window, auto-blacklist).
+ * Warnings are persisted to the PostgreSQL `warnings` ledger and cached in memory.
  */
 
 class WarningService {
     constructor() {
         this.warningCache = new Map();
         this.cacheLoaded = false;
-        this.WARNING_EXPIRY_DAYS = 7; // Warnings expire after 7 days
+        this.WARNING_EXPIRY_DAYS = DEFAULT_STRIKE_POLICY.expiryDays; // Default when a group has no policy
+    }
+
+    normalizeUserId(userId) {
+        return userId.replace('@s.whatsapp.net', '').replace('@c.us', '').replace('@lid', '');
     }
 
     /**
-     * Load warning data into cache
+     * Load active warnings from PostgreSQL into cache
      */
     async loadWarningCache() {
-        // Memory-only mode
+        try {
+            const result = await query(`
+                SELECT user_phone, whatsapp_group_id,
+                       COUNT(*)::int AS warning_count,
+                       MAX(warned_at) AS last_warned,
+                       MIN(warned_at) AS first_warned,
+                       MAX(expires_at) AS expires_at,
+                       (ARRAY_AGG(user_jid ORDER BY warned_at DESC))[1] AS user_jid,
+                       (ARRAY_AGG(group_name ORDER BY warned_at DESC))[1] AS group_name,
+                       (ARRAY_AGG(invite_link ORDER BY warned_at DESC))[1] AS invite_link
+                FROM warnings
+                WHERE expires_at > NOW()
+                GROUP BY user_phone, whatsapp_group_id
+            `);
+
+            this.warningCache.clear();
+            for (const row of result.rows) {
+                this.warningCache.set(`${row.user_phone}:${row.whatsapp_group_id}`, {
+                    userId: row.user_phone,
+                    originalId: row.user_jid,
+                    groupId: row.whatsapp_group_id,
+                    groupName: row.group_name,
+                    inviteLink: row.invite_link,
+                    lastWarned: new Date(row.last_warned).toISOString(),
+                    warningCount: row.warning_count,
+                    expiresAt: new Date(row.expires_at).toISOString(),
+                    createdAt: new Date(row.first_warned).toISOString()
+                });
+            }
+
+            console.log(`💾 Loaded ${this.warningCache.size} active warnings from PostgreSQL`);
+        } catch (error) {
+            console.warn(`⚠️ Could not load warnings from PostgreSQL (${error.message}) - using memory-only cache`);
+        }
+
         this.cacheLoaded = true;
-        console.log('💾 Warning system using memory-only cache');
         return true;
     }
 
     /**
      * Check if user should be warned or kicked for invite link violation
+     * @returns {Promise<{action: 'warn'|'kick', warningCount: number, isFirstWarning: boolean, policy: Object}>}
      */
     async checkInviteLinkViolation(userId, groupId) {
-        const normalizedUserId = userId.replace('@s.whatsapp.net', '').replace('@c.us', '').replace('@lid', '');
+        const normalizedUserId = this.normalizeUserId(userId);
 
         if (!this.cacheLoaded) {
             await this.loadWarningCache();
@@ -36,47 +77,42 @@ class WarningService {
         // Clean up expired warnings first
         await this.cleanupExpiredWarnings();
 
+        const policy = await getStrikePolicy(groupId);
+
         // Check current warning count for this user in this group
         const warningKey = `${normalizedUserId}:${groupId}`;
         const existingWarning = this.warningCache.get(warningKey);
+        const isActive = existingWarning && new Date() <= new Date(existingWarning.expiresAt);
+        const warningCount = isActive ? existingWarning.warningCount : 0;
 
-        if (!existingWarning) {
-            // First violation - give warning
+        if (warningCount < policy.warningsBeforeKick) {
+            // Still within the group's allowance - give warning
             return {
                 action: 'warn',
-                warningCount: 0,
-                isFirstWarning: true
+                warningCount,
+                isFirstWarning: warningCount === 0,
+                policy
             };
-        } else {
-            // Check if warning is still valid (not expired)
-            const warningDate = new Date(existingWarning.lastWarned);
-            const expiryDate = new Date(warningDate.getTime() + (this.WARNING_EXPIRY_DAYS * 24 * 60 * 60 * 1000));
-
-            if (new Date() > expiryDate) {
-                // Warning expired - treat as first violation
-                return {
-                    action: 'warn',
-                    warningCount: 0,
-                    isFirstWarning: true
-                };
-            } else {
-                // Second violation within warning period - kick
-                return {
-                    action: 'kick',
-                    warningCount: existingWarning.warningCount,
-                    isFirstWarning: false
-                };
-            }
         }
+
+        // Allowance used up (or policy kicks on first link) - kick
+        return {
+            action: 'kick',
+            warningCount,
+            isFirstWarning: false,
+            policy
+        };
     }
 
     /**
      * Record a warning for a user
      */
     async recordWarning(userId, groupId, groupName, inviteLink) {
-        const normalizedUserId = userId.replace('@s.whatsapp.net', '').replace('@c.us', '').replace('@lid', '');
+        const normalizedUserId = this.normalizeUserId(userId);
         const warningKey = `${normalizedUserId}:${groupId}`;
         const now = new Date();
+        const policy = await getStrikePolicy(groupId);
+        const expiresAt = new Date(now.getTime() + (policy.expiryDays * 24 * 60 * 60 * 1000));
 
         const warningRecord = {
             userId: normalizedUserId,
@@ -86,19 +122,30 @@ class WarningService {
             inviteLink: inviteLink,
             lastWarned: now.toISOString(),
             warningCount: 1,
-            expiresAt: new Date(now.getTime() + (this.WARNING_EXPIRY_DAYS * 24 * 60 * 60 * 1000)).toISOString(),
+            expiresAt: expiresAt.toISOString(),
             createdAt: now.toISOString()
         };
 
-        // Update existing warning if it exists
+        // Update existing warning if it is still active
         const existingWarning = this.warningCache.get(warningKey);
-        if (existingWarning) {
+        if (existingWarning && now <= new Date(existingWarning.expiresAt)) {
             warningRecord.warningCount = existingWarning.warningCount + 1;
             warningRecord.createdAt = existingWarning.createdAt;
         }
 
         // Update cache
         this.warningCache.set(warningKey, warningRecord);
+
+        // Append to PostgreSQL ledger
+        try {
+            await query(`
+                INSERT INTO warnings (whatsapp_group_id, user_phone, user_jid, group_name, invite_link, warned_at, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+            `, [groupId, normalizedUserId, userId, groupName, inviteLink, now, expiresAt]);
+        } catch (dbError) {
+            console.warn(`⚠️ Warning for ${normalizedUserId} kept in memory only (DB unavailable): ${dbError.message}`);
+        }
+
         console.log(`⚠️ Warning recorded: ${normalizedUserId} in ${groupName} (Count: ${warningRecord.warningCount})`);
         return true;
     }
@@ -107,12 +154,13 @@ class WarningService {
      * Clear warnings for a user
      */
     async clearWarnings(userId, groupId = null) {
-        const normalizedUserId = userId.replace('@s.whatsapp.net', '').replace('@c.us', '').replace('@lid', '');
+        const normalizedUserId = this.normalizeUserId(userId);
+        let cleared = 0;
 
         if (groupId) {
             // Clear warning for specific group
             const warningKey = `${normalizedUserId}:${groupId}`;
-            this.warningCache.delete(warningKey);
+            if (this.warningCache.delete(warningKey)) cleared = 1;
             console.log(`✅ Cleared warning for ${normalizedUserId} in group ${groupId}`);
         } else {
             // Clear all warnings for user
@@ -124,8 +172,21 @@ class WarningService {
             }
 
             keysToDelete.forEach(key => this.warningCache.delete(key));
+            cleared = keysToDelete.length;
             console.log(`✅ Cleared ${keysToDelete.length} warnings for ${normalizedUserId}`);
         }
+
+        try {
+            if (groupId) {
+                await query(`DELETE FROM warnings WHERE user_phone = $1 AND whatsapp_group_id = $2`, [normalizedUserId, groupId]);
+            } else {
+                await query(`DELETE FROM warnings WHERE user_phone = $1`, [normalizedUserId]);
+            }
+        } catch (dbError) {
+            console.warn(`⚠️ Failed to clear persisted warnings for ${normalizedUserId}: ${dbError.message}`);
+        }
+
+        return cleared;
     }
 
     /**
@@ -143,6 +204,7 @@ class WarningService {
         }
 
         if (expiredKeys.length > 0) {
+            // Ledger rows stay in PostgreSQL as history; they simply stop counting
             expiredKeys.forEach(key => this.warningCache.delete(key));
             console.log(`🧹 Cleaned up ${expiredKeys.length} expired warnings`);
         }
@@ -188,12 +250,14 @@ class WarningService {
      * Get warnings for a specific user
      */
     async getUserWarnings(userId) {
-        const normalizedUserId = userId.replace('@s.whatsapp.net', '').replace('@c.us', '').replace('@lid', '');
+        const normalizedUserId = this.normalizeUserId(userId);
 
         if (!this.cacheLoaded) {
             await this.loadWarningCache();
         }
 
+        await this.cleanupExpiredWarnings();
+
         const userWarnings = [];
         for (const [key, record] of this.warningCache.entries()) {
             if (record.userId === normalizedUserId) {
@@ -203,6 +267,33 @@ class WarningService {
 
         return userWarnings.sort((a, b) => new Date(b.lastWarned) - new Date(a.lastWarned));
     }
+
+    /**
+     * Group message for an invite-link warning (Hebrew, then English). Only the last warning
+     * says the next link means removal; earlier ones say how many warnings are left.
+     * @param {string} userPhone - mentioned as @userPhone
+     * @param {number} warningNumber - 1-based
+     * @param {number} warningsBeforeKick
+     * @returns {string}
+     */
+    formatInviteLinkWarning(userPhone, warningNumber, warningsBeforeKick) {
+        const remaining = warningsBeforeKick - warningNumber;
+        let hebrew;
+        let english;
+        if (remaining <= 0) {
+            hebrew = 'בפעם הבאה תוסר/י מהקבוצה.';
+            english = 'next time you will be removed.';
+        } else if (remaining === 1) {
+            hebrew = 'נותרה עוד אזהרה אחת לפני הסרה מהקבוצה.';
+            english = '1 more warning before you are removed.';
+        } else {
+            hebrew = `נותרו עוד ${remaining} אזהרות לפני הסרה מהקבוצה.`;
+            english = `${remaining} more warnings before you are removed.`;
+        }
+        return `⚠️ @${userPhone}\n` +
+               `קישורי הזמנה לקבוצות אחרות אסורים כאן. אזהרה ${warningNumber}/${warningsBeforeKick} - ${hebrew}\n` +
+               `Invite links to other groups are not allowed. Warning ${warningNumber}/${warningsBeforeKick} - ${english}`;
+    }
 }
 
 // Export singleton instance
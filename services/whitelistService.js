@@ -1,59 +1,178 @@
 const { jidKey } = require('../utils/jidUtils');
+const {
+    getWhitelistedUsers,
+    whitelistUser,
+    unwhitelistUser,
+    getGroupWhitelistEntries,
+    addGroupWhitelist,
+    removeGroupWhitelist
+} = require('../database/groupService');
 
-// In-memory whitelist cache for fast access
+// In-memory whitelist cache for fast access (write-through to PostgreSQL)
+// Keys are bare phone numbers / LIDs (no @domain) so c.us, s.whatsapp.net and raw
+// phone inputs all match the same entry
 const whitelistCache = new Set();
 
-async function addToWhitelist(phoneNumber) {
+// Per-group whitelist: groupId → Set of bare phone numbers / LIDs
+const groupWhitelistCache = new Map();
+
+function whitelistId(phoneNumber) {
     const jid = jidKey(phoneNumber);
-    if (!jid) return false;
+    if (!jid) return '';
+    return jid.split('@')[0];
+}
+
+/**
+ * Whitelist a user globally, or in a single group when groupId is given
+ * @param {string} phoneNumber - Phone number or JID
+ * @param {string|null} groupId - WhatsApp group ID for a per-group entry
+ * @param {string|null} addedBy - JID of the admin adding the entry (per-group only)
+ * @returns {Promise<boolean>} False if invalid or already whitelisted
+ */
+async function addToWhitelist(phoneNumber, groupId = null, addedBy = null) {
+    const id = whitelistId(phoneNumber);
+    if (!id) return false;
+
+    if (groupId) {
+        const groupSet = groupWhitelistCache.get(groupId) || new Set();
+        if (groupSet.has(id)) {
+            return false; // Already whitelisted in this group
+        }
 
-    if (whitelistCache.has(jid)) {
+        groupSet.add(id);
+        groupWhitelistCache.set(groupId, groupSet);
+
+        try {
+            await addGroupWhitelist(groupId, id, addedBy);
+        } catch (dbError) {
+            console.warn(`⚠️ Group whitelist for ${id} kept in memory only (DB unavailable): ${dbError.message}`);
+        }
+
+        console.log(`✅ Added ${id} to whitelist of ${groupId}`);
+        return true;
+    }
+
+    if (whitelistCache.has(id)) {
         return false; // Already whitelisted
     }
 
-    // Add to cache
-    whitelistCache.add(jid);
-    console.log(`✅ Added ${jid} to whitelist [memory-only]`);
+    whitelistCache.add(id);
+
+    try {
+        await whitelistUser(id);
+    } catch (dbError) {
+        console.warn(`⚠️ Whitelist for ${id} kept in memory only (DB unavailable): ${dbError.message}`);
+    }
+
+    console.log(`✅ Added ${id} to whitelist`);
     return true;
 }
 
-async function removeFromWhitelist(phoneNumber) {
-    const jid = jidKey(phoneNumber);
-    if (!jid) return false;
+/**
+ * Remove a user from the global whitelist, or from one group's whitelist
+ * @param {string} phoneNumber - Phone number or JID
+ * @param {string|null} groupId - WhatsApp group ID for a per-group entry
+ * @returns {Promise<boolean>} False if invalid or not whitelisted
+ */
+async function removeFromWhitelist(phoneNumber, groupId = null) {
+    const id = whitelistId(phoneNumber);
+    if (!id) return false;
+
+    if (groupId) {
+        const groupSet = groupWhitelistCache.get(groupId);
+        if (!groupSet || !groupSet.has(id)) {
+            return false; // Not whitelisted in this group
+        }
+
+        groupSet.delete(id);
+        if (groupSet.size === 0) {
+            groupWhitelistCache.delete(groupId);
+        }
 
-    if (!whitelistCache.has(jid)) {
+        try {
+            await removeGroupWhitelist(groupId, id);
+        } catch (dbError) {
+            console.warn(`⚠️ Failed to delete persisted group whitelist for ${id}: ${dbError.message}`);
+        }
+
+        console.log(`✅ Removed ${id} from whitelist of ${groupId}`);
+        return true;
+    }
+
+    if (!whitelistCache.has(id)) {
         return false; // Not whitelisted
     }
 
-    // Remove from cache
-    whitelistCache.delete(jid);
-    console.log(`✅ Removed ${jid} from whitelist [memory-only]`);
+    whitelistCache.delete(id);
+
+    try {
+        await unwhitelistUser(id);
+    } catch (dbError) {
+        console.warn(`⚠️ Failed to persist whitelist removal for ${id}: ${dbError.message}`);
+    }
+
+    console.log(`✅ Removed ${id} from whitelist`);
     return true;
 }
 
-async function listWhitelist() {
+/**
+ * List whitelisted numbers
+ * @param {string|null} groupId - Return this group's entries instead of the global list
+ * @returns {Promise<string[]>}
+ */
+async function listWhitelist(groupId = null) {
+    if (groupId) {
+        return Array.from(groupWhitelistCache.get(groupId) || []);
+    }
     return Array.from(whitelistCache);
 }
 
 async function loadWhitelistCache() {
-    // Memory-only mode
-    console.log(`💾 Whitelist using memory-only cache - ${whitelistCache.size} users`);
+    try {
+        const users = await getWhitelistedUsers();
+        const groupEntries = await getGroupWhitelistEntries();
+
+        whitelistCache.clear();
+        for (const user of users) {
+            whitelistCache.add(user.phone_number);
+            if (user.lid) {
+                whitelistCache.add(user.lid);
+            }
+        }
+
+        groupWhitelistCache.clear();
+        for (const entry of groupEntries) {
+            const groupSet = groupWhitelistCache.get(entry.whatsapp_group_id) || new Set();
+            groupSet.add(entry.phone_number);
+            groupWhitelistCache.set(entry.whatsapp_group_id, groupSet);
+        }
+
+        console.log(`💾 Loaded ${users.length} whitelisted users and ${groupEntries.length} per-group entries from PostgreSQL`);
+    } catch (error) {
+        console.warn(`⚠️ Could not load whitelist from PostgreSQL (${error.message}) - using memory-only cache (${whitelistCache.size} users)`);
+    }
     return whitelistCache;
 }
 
-function isWhitelisted(phoneNumber) {
-    const jid = jidKey(phoneNumber);
-    if (!jid) return false;
+/**
+ * Check whether a user bypasses moderation
+ * @param {string} phoneNumber - Phone number or JID
+ * @param {string|null} groupId - Also honor this group's whitelist
+ * @returns {boolean}
+ */
+function isWhitelisted(phoneNumber, groupId = null) {
+    const id = whitelistId(phoneNumber);
+    if (!id) return false;
 
-    // Check cache first
-    if (whitelistCache.has(jid)) {
+    if (whitelistCache.has(id)) {
         return true;
     }
 
-    // Legacy support for raw phone ids
-    const legacyId = jid.includes('@') ? jid.split('@')[0] : jid;
-    if (legacyId !== jid && whitelistCache.has(legacyId)) {
-        return true;
+    if (groupId) {
+        const groupSet = groupWhitelistCache.get(groupId);
+        if (groupSet && groupSet.has(id)) {
+            return true;
+        }
     }
 
     return false;
@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the local HTTP admin API (services/adminApiService.js).
+ * Stubs database/connection and bullywatch, starts the server on an ephemeral port.
+ * Run: node tests/testAdminApi.js
+ */
+
+const path = require('path');
+const http = require('http');
+const fs = require('fs');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/FROM users/i.test(sql) && /is_blacklisted = true/i.test(sql)) {
+                return { rows: [{ phone_number: '15551234567', lid: null, blacklisted_at: null, notes: 'spam' }] };
+            }
+            if (/UPDATE groups/i.test(sql) && /SET category/i.test(sql)) {
+                return { rows: params[0] === GROUP ? [{ name: 'Test Group' }] : [] };
+            }
+            if (/UPDATE groups/i.test(sql) && /SET bullying_monitoring/i.test(sql)) {
+                return { rows: params[0] === GROUP ? [{ name: 'Test Group', bullying_monitoring: params[1], class_name: params[2] }] : [] };
+            }
+            if (/FROM groups/i.test(sql) && /bullying_monitoring = true/i.test(sql)) {
+                return { rows: [{ whatsapp_group_id: GROUP, name: 'Test Group', class_name: 'ג3' }] };
+            }
+            return { rows: [] };
+        }
+    }
+};
+
+// Bullywatch pulls in the OpenAI client; a plain object is enough for the settings routes
+const bullywatchPath = require.resolve('../services/bullywatch');
+const bullywatchStub = {
+    monitorMode: true,
+    getStatus() {
+        return { enabled: true, initialized: true, monitorMode: this.monitorMode, gptEnabled: false, nanoPreFilterEnabled: false, enabledGroups: [], accuracy: null, nanoStats: {} };
+    }
+};
+require.cache[bullywatchPath] = { id: bullywatchPath, filename: bullywatchPath, loaded: true, exports: bullywatchStub };
+
+const GROUP = '120363000000000001@g.us';
+const TOKEN = 'test-token-123';
+const URL_BLACKLIST_FILE = path.join(__dirname, '../url_blacklist.json');
+const urlBlacklistBackup = fs.existsSync(URL_BLACKLIST_FILE) ? fs.readFileSync(URL_BLACKLIST_FILE) : null;
+
+const config = require('../config');
+const { startAdminApi, stopAdminApi } = require('../services/adminApiService');
+const whitelistService = require('../services/whitelistService');
+const muteService = require('../services/muteService');
+
+let port = 0;
+
+function request(method, urlPath, body, token = TOKEN) {
+    return new Promise((resolve, reject) => {
+        const payload = body === undefined ? null : JSON.stringify(body);
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (payload) headers['Content-Length'] = Buffer.byteLength(payload);
+
+        const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, res => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                let json = null;
+                try { json = JSON.parse(data); } catch (e) { /* not JSON */ }
+                resolve({ status: res.statusCode, body: json });
+            });
+        });
+        req.on('error', reject);
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
+function auditInserts() {
+    return queries.filter(q => /INSERT INTO audit_log/i.test(q.sql));
+}
+
+async function runTests() {
+    console.log('🧪 Testing admin API\n');
+
+    // Test 1: no token configured → server stays off
+    {
+        const server = await startAdminApi({ port: 0, token: '' });
+        assert('Not started without a token', server === null);
+    }
+
+    const server = await startAdminApi({ port: 0, token: TOKEN });
+    port = server.address().port;
+
+    // Test 2: authentication
+    {
+        assert('Bound to loopback', server.address().address === '127.0.0.1');
+        const again = await startAdminApi({ port: 0, token: TOKEN });
+        assert('Second start reuses the running server', again === server);
+
+        let res = await request('GET', '/api/health', undefined, null);
+        assert('Missing token → 401', res.status === 401);
+        res = await request('GET', '/api/health', undefined, 'wrong-token');
+        assert('Wrong token → 401', res.status === 401);
+        res = await request('GET', '/api/health');
+        assert('Valid token → 200', res.status === 200 && res.body.ok === true);
+        res = await request('GET', '/api/nope');
+        assert('Unknown route → 404', res.status === 404);
+        res = await request('PATCH', '/api/blacklist');
+        assert('Wrong method → 405', res.status === 405);
+    }
+
+    // Test 3: blacklist - bulk add, Israeli protection, list, remove
+    {
+        queries.length = 0;
+        let res = await request('POST', '/api/blacklist', { phones: ['+1 555 000 1111', '972501234567'], reason: 'spam ring' });
+        assert('Bulk add returns per-item results', res.status === 200 && res.body.results.length === 2);
+        assert('Foreign number added', res.body.results[0].phone === '15550001111' && res.body.results[0].added === true);
+        assert('Israeli number refused', res.body.results[1].added === false);
+        const upsert = queries.find(q => /INSERT INTO users/i.test(q.sql));
+        assert('Written to PostgreSQL', upsert && upsert.params[0] === '15550001111');
+        const audit = auditInserts();
+        assert('One audit row with actor api', audit.length === 1 && audit[0].params[0] === 'blacklist' && audit[0].params[8] === 'api');
+
+        res = await request('GET', '/api/blacklist');
+        assert('List returns DB rows', res.status === 200 && res.body.count === 1 && res.body.users[0].phone_number === '15551234567');
+
+        queries.length = 0;
+        res = await request('DELETE', '/api/blacklist/15550001111');
+        assert('Remove reports success', res.status === 200 && res.body.removed === true);
+        assert('Unblacklist audited', auditInserts().some(q => q.params[0] === 'unblacklist'));
+
+        res = await request('POST', '/api/blacklist', {});
+        assert('Missing phone → 400', res.status === 400);
+    }
+
+    // Test 4: whitelist, global and per-group
+    {
+        let res = await request('POST', '/api/whitelist', { phone: '972555123456', groupId: GROUP });
+        assert('Per-group whitelist added', res.status === 200 && res.body.scope === 'group' && res.body.results[0].added === true);
+        assert('Whitelist service sees the entry', whitelistService.isWhitelisted('972555123456@s.whatsapp.net', GROUP) === true);
+
+        res = await request('GET', `/api/whitelist?groupId=${encodeURIComponent(GROUP)}`);
+        assert('Group list returned', res.body.phones.includes('972555123456'));
+
+        res = await request('DELETE', `/api/whitelist/972555123456?groupId=${encodeURIComponent(GROUP)}`);
+        assert('Per-group whitelist removed', res.body.removed === true && !whitelistService.isWhitelisted('972555123456', GROUP));
+
+        res = await request('GET', '/api/whitelist?groupId=not-a-group');
+        assert('Bad groupId → 400', res.status === 400);
+    }
+
+    // Test 5: mutes
+    {
+        queries.length = 0;
+        let res = await request('POST', '/api/mutes', { userId: '972555123456', groupId: GROUP, minutes: 30, reason: 'flooding' });
+        assert('Mute created', res.status === 200 && res.body.muted === true);
+        assert('Mute is live in muteService', muteService.isMuted('972555123456@s.whatsapp.net', GROUP) === true);
+        const record = muteService.getMuteRecord('972555123456@s.whatsapp.net', GROUP);
+        assert('Mute issuer is api', record && record.mutedBy === 'api' && record.reason === 'flooding');
+        const audit = auditInserts().find(q => q.params[0] === 'mute');
+        assert('Mute audited with minutes', audit && JSON.parse(audit.params[5]).minutes === 30);
+
+        res = await request('GET', `/api/mutes?groupId=${encodeURIComponent(GROUP)}`);
+        assert('Mute listed', res.body.count === 1 && res.body.mutes[0].reason === 'flooding');
+
+        res = await request('POST', '/api/mutes', { userId: '972555123456', groupId: GROUP, minutes: 0 });
+        assert('Invalid duration → 400', res.status === 400);
+
+        res = await request('DELETE', `/api/mutes/${encodeURIComponent(GROUP)}/972555123456`);
+        assert('Mute removed', res.body.removed === true && !muteService.isMuted('972555123456@s.whatsapp.net', GROUP));
+    }
+
+    // Test 6: URL blocklist
+    {
+        let res = await request('POST', '/api/url-blocklist', { domain: 'https://www.Scam-Example.test/login' });
+        assert('Domain normalized and added', res.status === 200 && res.body.domains[0] === 'scam-example.test');
+        res = await request('GET', '/api/url-blocklist');
+        assert('Domain listed', res.body.domains.includes('scam-example.test'));
+        res = await request('DELETE', '/api/url-blocklist/scam-example.test');
+        assert('Domain removed', res.body.existed === true);
+        const removal = auditInserts().find(q => q.params[0] === 'url_block' && q.params[9] === 'url_blocklist_remove');
+        assert('Removal audited with actor api', removal && removal.params[8] === 'api' && JSON.parse(removal.params[5]).pattern === 'scam-example.test');
+
+        res = await request('POST', '/api/url-blocklist', { domains: ['first-ok.test', 'not a domain', 'second-ok.test'] });
+        assert('Bulk list with a bad entry rejected', res.status === 400 && /not a domain/.test(res.body.error), JSON.stringify(res.body));
+        res = await request('GET', '/api/url-blocklist');
+        assert('Nothing from the rejected list applied', !res.body.domains.includes('first-ok.test') && !res.body.domains.includes('second-ok.test'));
+        res = await request('POST', '/api/url-blocklist', { domain: '/(a+)+$/' });
+        assert('Backtracking regex rejected', res.status === 400 && /backtrack/.test(res.body.error), JSON.stringify(res.body));
+        res = await request('DELETE', '/api/url-blocklist/%E0%A4');
+        assert('Malformed percent-encoding rejected', res.status === 400 && /percent-encoding/.test(res.body.error), JSON.stringify(res.body));
+    }
+
+    // Test 7: groups and bullywatch
+    {
+        let res = await request('PUT', `/api/groups/${encodeURIComponent(GROUP)}/category`, { category: 'Education' });
+        assert('Category set', res.status === 200 && res.body.category === 'education');
+        const categoryAudit = auditInserts().find(q => q.params[0] === 'group_category');
+        assert('Category change audited', categoryAudit && categoryAudit.params[8] === 'api' && categoryAudit.params[6] === GROUP &&
+            JSON.parse(categoryAudit.params[5]).category === 'education');
+        res = await request('PUT', `/api/groups/${encodeURIComponent(GROUP)}/category`, { category: 'pirates' });
+        assert('Invalid category rejected', res.status === 404);
+        res = await request('GET', '/api/groups?category=education');
+        const select = [...queries].reverse().find(q => /FROM groups/i.test(q.sql) && q.params.includes('education'));
+        assert('Groups listed with category filter', res.status === 200 && !!select);
+
+        res = await request('GET', '/api/bullywatch');
+        assert('Bullywatch status and groups returned', res.body.monitorMode === true && res.body.groups[0].class_name === 'ג3');
+        res = await request('PUT', '/api/bullywatch', { monitorMode: false });
+        assert('Monitor mode switched off', res.body.monitorMode === false && bullywatchStub.monitorMode === false);
+        assert('Monitor mode change audited', auditInserts().some(q => q.params[0] === 'bullywatch_toggle' && q.params[8] === 'api' &&
+            JSON.parse(q.params[5]).monitorMode === false));
+        res = await request('PUT', `/api/bullywatch/${encodeURIComponent(GROUP)}`, { enabled: true });
+        assert('Enabling requires a class name', res.status === 400);
+        res = await request('PUT', `/api/bullywatch/${encodeURIComponent(GROUP)}`, { enabled: true, className: 'ג3' });
+        const groupToggle = auditInserts().find(q => q.params[0] === 'bullywatch_toggle' && q.params[6] === GROUP);
+        assert('Group monitoring change audited', res.status === 200 && groupToggle &&
+            JSON.parse(groupToggle.params[5]).enabled === true && JSON.parse(groupToggle.params[5]).className === 'ג3');
+
+        res = await request('POST', '/api/groups', '{');
+        assert('Unknown POST route → 405', res.status === 405);
+    }
+
+    // Test 8: oversized body gets a 413 response, not a reset connection
+    {
+        const res = await request('POST', '/api/blacklist', { phones: 'x'.repeat(config.ADMIN_API.MAX_BODY_BYTES + 1024) }).catch(error => ({ error }));
+        assert('413 sent for an oversized body', res.status === 413 && res.body.error === 'Request body too large', res.error ? res.error.message : JSON.stringify(res.body));
+    }
+
+    await stopAdminApi();
+    if (urlBlacklistBackup) fs.writeFileSync(URL_BLACKLIST_FILE, urlBlacklistBackup);
+    else fs.rmSync(URL_BLACKLIST_FILE, { force: true });
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(async error => {
+    console.error('❌ Test run crashed:', error);
+    await stopAdminApi();
+    process.exit(1);
+});
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the structured audit log (logAudit / getAuditLog) and #audit.
+ * Stubs database/connection so no live PostgreSQL is needed.
+ * Run: node tests/testAuditLog.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+let auditRows = [];
+let dbDown = false;
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            if (dbDown) throw new Error('Database not initialized');
+            queries.push({ sql, params });
+            if (/SELECT/i.test(sql) && /FROM audit_log/i.test(sql)) {
+                return { rows: auditRows };
+            }
+            return { rows: [] };
+        }
+    }
+};
+
+const groupService = require('../database/groupService');
+const CommandHandler = require('../services/commandHandler');
+const { parseAuditArgs } = CommandHandler;
+
+const USER = '972555123456@s.whatsapp.net';
+const ADMIN = '972501111111@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+function lastInsert() {
+    return [...queries].reverse().find(q => /INSERT INTO audit_log/i.test(q.sql));
+}
+
+async function runTests() {
+    console.log('🧪 Testing structured audit log\n');
+
+    // Test 1: logAudit writes actor, target, group, rule, snippet and outcome
+    {
+        queries.length = 0;
+        await groupService.logAudit('kick', {
+            whatsappGroupId: GROUP,
+            targetPhone: USER,
+            actor: 'auto:invite_link',
+            rule: 'invite_link',
+            reason: 'Sent invite link',
+            messageSnippet: 'join https://chat.whatsapp.com/abc'
+        });
+        const insert = lastInsert();
+        assert('INSERT INTO audit_log issued', !!insert);
+        assert('Action stored', insert && insert.params[0] === 'kick');
+        assert('Group JID stored', insert && insert.params[6] === GROUP);
+        assert('Target stored as bare phone', insert && insert.params[7] === '972555123456');
+        assert('Actor stored', insert && insert.params[8] === 'auto:invite_link');
+        assert('Rule stored', insert && insert.params[9] === 'invite_link');
+        assert('Snippet stored', insert && insert.params[10] === 'join https://chat.whatsapp.com/abc');
+        assert('Outcome defaults to success', insert && insert.params[11] === 'success');
+        assert('Group/user FKs resolved from JID/phone', insert && /SELECT id FROM groups/i.test(insert.sql) && /SELECT id FROM users/i.test(insert.sql));
+    }
+
+    // Test 2: long messages are truncated, failures are recorded as such
+    {
+        await groupService.logAudit('url_block', {
+            whatsappGroupId: GROUP,
+            targetPhone: USER,
+            rule: 'url_blacklist',
+            messageSnippet: 'x'.repeat(500),
+            outcome: 'failed'
+        });
+        const insert = lastInsert();
+        assert('Snippet truncated to 200 chars', insert && insert.params[10].length === 201 && insert.params[10].endsWith('…'));
+        assert('Failed outcome kept', insert && insert.params[11] === 'failed');
+    }
+
+    // Test 3: a DB outage never breaks the enforcement path
+    {
+        dbDown = true;
+        let threw = false;
+        try {
+            await groupService.logAudit('kick', { targetPhone: USER });
+        } catch (e) {
+            threw = true;
+        }
+        assert('logAudit swallows DB errors', threw === false);
+        const rows = await groupService.getAuditLog({ targetPhone: USER });
+        assert('getAuditLog returns [] with DB down', Array.isArray(rows) && rows.length === 0);
+        dbDown = false;
+    }
+
+    // Test 4: getAuditLog filters by phone / group and look-back window
+    {
+        queries.length = 0;
+        await groupService.getAuditLog({ targetPhone: USER, days: 30 });
+        let select = queries.find(q => /FROM audit_log/i.test(q.sql));
+        assert('Days passed as first param', select && select.params[0] === 30);
+        assert('Phone filter uses bare phone', select && select.params.includes('972555123456') && /target_phone = \$2/.test(select.sql));
+        assert('No group filter when not asked', select && !/a\.whatsapp_group_id = \$/.test(select.sql));
+
+        queries.length = 0;
+        await groupService.getAuditLog({ whatsappGroupId: GROUP });
+        select = queries.find(q => /FROM audit_log/i.test(q.sql));
+        assert('Default window is 7 days', select && select.params[0] === 7);
+        assert('Group filter applied', select && select.params[1] === GROUP && /a\.whatsapp_group_id = \$2/.test(select.sql));
+        assert('Default limit is 20', select && select.params[select.params.length - 1] === 20);
+    }
+
+    // Test 5: typed metadata per action
+    {
+        const meta = groupService.buildAuditMetadata('mute', { scope: 'user', minutes: '30', mutedUntil: new Date(0) });
+        assert('Metadata carries schema version', meta && meta.v === 1);
+        assert('Numeric field coerced', meta && meta.minutes === 30);
+        assert('String field kept', meta && meta.scope === 'user');
+        assert('Date stored as ISO string', meta && meta.mutedUntil === '1970-01-01T00:00:00.000Z');
+
+        const bully = groupService.buildAuditMetadata('bullywatch_alert', {
+            score: 14, severity: 'HIGH', categories: ['insult', 'threat'], monitorMode: 'true', debugInfo: { raw: 1 }
+        });
+        assert('Array field joined into string', bully && bully.categories === 'insult, threat');
+        assert('Boolean field coerced', bully && bully.monitorMode === true);
+        assert('Undeclared field kept under extra', bully && bully.extra && bully.extra.debugInfo.raw === 1);
+
+        const bad = groupService.buildAuditMetadata('image_delete', { confidence: 'high' });
+        assert('Wrongly typed value moved to extra', bad && bad.confidence === undefined && bad.extra.confidence === 'high');
+        assert('Unknown action has no schema', groupService.buildAuditMetadata('teleport', {}) === null);
+
+        for (const action of ['mute', 'url_block', 'image_delete', 'bullywatch_alert', 'translate_toggle']) {
+            assert(`Action '${action}' is registered`, !!groupService.AUDIT_ACTIONS[action]);
+        }
+
+        queries.length = 0;
+        const ok = await groupService.logAudit('translate_toggle', {
+            whatsappGroupId: GROUP,
+            actor: '972501111111',
+            metadata: { enabled: true, from: 'ru', to: 'he' }
+        });
+        const insert = lastInsert();
+        const stored = insert && JSON.parse(insert.params[5]);
+        assert('logAudit reports success', ok === true);
+        assert('Typed metadata persisted', stored && stored.v === 1 && stored.enabled === true && stored.from === 'ru');
+
+        queries.length = 0;
+        const rejected = await groupService.logAudit('teleport', { targetPhone: USER });
+        assert('Unknown action rejected without a query', rejected === false && queries.length === 0);
+    }
+
+    // Test 6: migration re-labels legacy rows before re-adding the constraint
+    {
+        const fs = require('fs');
+        const sql = fs.readFileSync(path.join(__dirname, '../database/add-audit-action-types.sql'), 'utf8');
+        const dropAt = sql.indexOf('DROP CONSTRAINT IF EXISTS action_type_check');
+        const relabelAt = sql.indexOf("SET action = 'message_delete'");
+        const addAt = sql.indexOf('ADD CONSTRAINT action_type_check');
+        assert('Migration drops, re-labels, then re-adds the constraint', dropAt >= 0 && dropAt < relabelAt && relabelAt < addAt);
+        // The newest migration that re-defines the constraint must cover every action
+        const latest = fs.readFileSync(path.join(__dirname, '../database/add-admin-api-audit-actions.sql'), 'utf8');
+        const latestAddAt = latest.indexOf('ADD CONSTRAINT action_type_check');
+        const missing = Object.keys(groupService.AUDIT_ACTIONS).filter(a => !latest.slice(latestAddAt).includes(`'${a}'`));
+        assert('Constraint allows every AUDIT_ACTIONS key', latestAddAt >= 0 && missing.length === 0, `missing: ${missing.join(', ')}`);
+    }
+
+    // Test 7: parseAuditArgs
+    {
+        const t = (input, expected) => {
+            const got = parseAuditArgs(input);
+            assert(`parseAuditArgs('${input}')`, JSON.stringify(got) === JSON.stringify(expected), `got ${JSON.stringify(got)}`);
+        };
+        t('', { scope: 'default', days: 7 });
+        t('972555123456', { scope: 'phone', phone: '972555123456', days: 7 });
+        t('+972555123456 30', { scope: 'phone', phone: '972555123456', days: 30 });
+        t('group 14', { scope: 'group', days: 14 });
+        t('here', { scope: 'group', days: 7 });
+        t('3', { scope: 'default', days: 3 });
+        t('0', null);
+        t('group 972555123456', null);
+        t('bogus', null);
+    }
+
+    // Test 8: #audit replies with a readable history; admin-only
+    {
+        const sent = [];
+        const sock = {
+            sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: 'x' } }; },
+            groupMetadata: async () => ({ subject: 'Test Group', participants: [] })
+        };
+        const handler = new CommandHandler(sock);
+
+        auditRows = [{
+            timestamp: new Date('2026-01-05T10:00:00Z'),
+            action: 'kick',
+            whatsapp_group_id: GROUP,
+            group_name: 'Test Group',
+            target_phone: '972555123456',
+            actor: 'auto:invite_link',
+            rule: 'invite_link',
+            reason: 'Sent invite link',
+            message_snippet: 'join my group',
+            outcome: 'success'
+        }];
+
+        const privateMsg = { key: { remoteJid: ADMIN, id: 'm1' }, message: { conversation: '#audit 972555123456' } };
+        await handler.handleAudit(privateMsg, ['972555123456'], true);
+        const reply = sent[sent.length - 1]?.content?.text || '';
+        assert('Reply names the target', reply.includes('+972555123456'));
+        assert('Reply shows action', reply.includes('KICK'));
+        assert('Reply shows rule and actor', reply.includes('invite_link') && reply.includes('Automatic (invite_link)'));
+        assert('Reply shows group and snippet', reply.includes('Test Group') && reply.includes('join my group'));
+
+        sent.length = 0;
+        await handler.handleAudit(privateMsg, ['972555123456'], false);
+        assert('Non-admin is refused', sent.length === 1 && !sent[0].content.text.includes('Audit Log'));
+    }
+
+    // Test 9: admin actions are attributed to the issuing admin with the quoted text
+    {
+        const sock = { sendMessage: async () => ({}) };
+        const handler = new CommandHandler(sock);
+        const msg = {
+            key: { remoteJid: GROUP, participant: ADMIN, id: 'm2' },
+            message: {
+                extendedTextMessage: {
+                    text: '#kick',
+                    contextInfo: { participant: USER, stanzaId: 'q1', quotedMessage: { conversation: 'buy crypto now' } }
+                }
+            }
+        };
+        queries.length = 0;
+        await handler.auditAdminAction(msg, 'kick', { targetUserId: USER, groupId: GROUP, reason: 'Kicked by admin (#kick)' });
+        const insert = lastInsert();
+        assert('Actor is the admin phone', insert && insert.params[8] === '972501111111');
+        assert('Rule defaults to manual', insert && insert.params[9] === 'manual');
+        assert('Snippet is the quoted message', insert && insert.params[10] === 'buy crypto now');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for bilingual auto-translation (#autotranslate bilingual he,ru).
+ * Stubs database/connection - no database needed.
+ * Run: node tests/testBilingualTranslate.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+const row = { auto_translate_from: null, auto_translate_to: null, auto_translate_bilingual: false };
+let bilingualColumn = true;
+
+function undefinedColumn() {
+    const error = new Error('column "auto_translate_bilingual" does not exist');
+    error.code = '42703';
+    return error;
+}
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (!bilingualColumn && /auto_translate_bilingual/i.test(sql)) throw undefinedColumn();
+            if (/SELECT auto_translate_from/i.test(sql)) {
+                return { rows: [bilingualColumn ? { ...row } : { auto_translate_from: row.auto_translate_from, auto_translate_to: row.auto_translate_to }] };
+            }
+            if (/SET auto_translate_from/i.test(sql)) {
+                row.auto_translate_from = params[1];
+                row.auto_translate_to = params[2];
+                if (params.length > 3) row.auto_translate_bilingual = params[3];
+                return { rows: [{ whatsapp_group_id: params[0] }] };
+            }
+            return { rows: [], rowCount: 1 };
+        }
+    }
+};
+
+const groupService = require('../database/groupService');
+const CommandHandler = require('../services/commandHandler');
+const { parseAutoTranslateArgs } = CommandHandler;
+const { detectSourceLanguage } = require('../utils/languageUtils');
+const config = require('../config');
+
+const GROUP = '120363000000000003@g.us';
+
+function groupMsg(text) {
+    return { key: { remoteJid: GROUP, participant: `${config.ALERT_PHONE}@s.whatsapp.net`, id: `b${Date.now()}` }, message: { conversation: text } };
+}
+
+function makeHandler() {
+    const sent = [];
+    const sock = { sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: `out${sent.length}` } }; } };
+    return { handler: new CommandHandler(sock), sent };
+}
+
+async function runTests() {
+    console.log('🧪 Testing bilingual auto-translation\n');
+
+    // Test 1: parseAutoTranslateArgs
+    {
+        const t = (input, expected) => {
+            const got = parseAutoTranslateArgs(input);
+            assert(`parseAutoTranslateArgs('${input}')`, JSON.stringify(got) === JSON.stringify(expected), `got ${JSON.stringify(got)}`);
+        };
+        t('bilingual he,ru', { action: 'bilingual', from: 'he', to: 'ru' });
+        t('BILINGUAL HE,RU', { action: 'bilingual', from: 'he', to: 'ru' });
+        t('bilingual', { action: 'bilingual' });
+        t('bilingual he', { action: 'bilingual' });
+    }
+
+    // Test 2: #autotranslate bilingual stores both languages with the flag; the lookup maps each to the other
+    {
+        const { handler, sent } = makeHandler();
+        await handler.handleCommand(groupMsg('#autotranslate bilingual he,ru'), '#autotranslate', ['bilingual', 'he,ru'], true, true);
+        const update = queries.find(q => /SET auto_translate_from/i.test(q.sql));
+        assert('Stored he/ru with bilingual = true', update && update.params.slice(1).join() === 'he,ru,true');
+        assert('Reply explains both directions', /Hebrew messages get a Russian translation and Russian messages a Hebrew one/.test(sent[sent.length - 1].content.text), sent[sent.length - 1]?.content.text);
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        assert('Audited as bilingual', audit && audit.params[0] === 'translate_toggle' && JSON.parse(audit.params[5]).bilingual === true);
+
+        const setting = await groupService.getGroupAutoTranslate(GROUP);
+        assert('Both languages are sources', setting.bilingual && setting.sources.join() === 'he,ru');
+        assert('Each language translates into the other', setting.targets.he === 'ru' && setting.targets.ru === 'he');
+        assert('Hebrew message detected as a source', detectSourceLanguage('שלום לכולם, מה נשמע?', setting.sources) === 'he');
+        assert('Russian message detected as a source', detectSourceLanguage('Привет всем, как дела?', setting.sources) === 'ru');
+        assert('Mixed message skipped', detectSourceLanguage('שלום עולם Привет мир', setting.sources) === null);
+
+        await handler.handleCommand(groupMsg('#autotranslate status'), '#autotranslate', ['status'], true, true);
+        assert('Status shows bilingual mode', /Bilingual: HE ⇄ RU/.test(sent[sent.length - 1].content.text));
+    }
+
+    // Test 3: one-way mode resets the flag; invalid pairs refused
+    {
+        const { handler, sent } = makeHandler();
+        await handler.handleCommand(groupMsg('#autotranslate on ru,he'), '#autotranslate', ['on', 'ru,he'], true, true);
+        const setting = await groupService.getGroupAutoTranslate(GROUP);
+        assert('One-way clears bilingual', !setting.bilingual && setting.sources.join() === 'ru' && setting.targets.ru === 'he' && !setting.targets.he);
+
+        queries.length = 0;
+        await handler.handleCommand(groupMsg('#autotranslate bilingual he,he'), '#autotranslate', ['bilingual', 'he,he'], true, true);
+        assert('Same language twice refused', /two different languages/.test(sent[sent.length - 1].content.text) && !queries.some(q => /SET auto_translate_from/i.test(q.sql)));
+        await handler.handleCommand(groupMsg('#autotranslate bilingual he,es'), '#autotranslate', ['bilingual', 'he,es'], true, true);
+        assert('Undetectable language refused', /Can't detect es/.test(sent[sent.length - 1].content.text) && !queries.some(q => /SET auto_translate_from/i.test(q.sql)));
+    }
+
+    // Test 4: before database/add-auto-translate-bilingual.sql is applied
+    {
+        bilingualColumn = false;
+        const { handler, sent } = makeHandler();
+        await handler.handleCommand(groupMsg('#autotranslate on ar,he'), '#autotranslate', ['on', 'ar,he'], true, true);
+        const setting = await groupService.getGroupAutoTranslate(GROUP);
+        assert('One-way still works without the column', setting && setting.from === 'ar' && !setting.bilingual && setting.targets.ar === 'he');
+        await handler.handleCommand(groupMsg('#autotranslate bilingual he,ru'), '#autotranslate', ['bilingual', 'he,ru'], true, true);
+        assert('Bilingual reports the missing migration', /add-auto-translate-bilingual\.sql/.test(sent[sent.length - 1].content.text));
+        bilingualColumn = true;
+    }
+
+    // Test 5: index.js never translates the bot's own messages and uses the per-language target
+    {
+        const indexContent = fs.readFileSync(path.join(__dirname, '../index.js'), 'utf8');
+        const start = indexContent.indexOf('await getGroupAutoTranslate');
+        const block = indexContent.slice(indexContent.lastIndexOf('if (chatId', start), start + 800);
+        assert('Per-group block skips fromMe messages', /!msg\.key\.fromMe/.test(block));
+        assert('Target looked up per source language', /pa\.targets\[sourceLang\]/.test(block));
+    }
+
+    // Test 6: in a bilingual group every message is in a source language - invite spam must still be moderated
+    {
+        const invite = 'https://chat.whatsapp.com/AbCdEfGhIjKl';
+        Object.assign(row, { auto_translate_from: 'ru', auto_translate_to: 'he', auto_translate_bilingual: true });
+        const { sources } = await groupService.getGroupAutoTranslate('120363000000000004@g.us');
+        assert('Hebrew invite spam is a source language', detectSourceLanguage(`הצטרפו לקבוצה החדשה שלנו ${invite}`, sources) === 'he');
+        assert('Russian invite spam is a source language', detectSourceLanguage(`Вступайте в нашу новую группу ${invite}`, sources) === 'ru');
+
+        const indexContent = fs.readFileSync(path.join(__dirname, '../index.js'), 'utf8');
+        const start = indexContent.lastIndexOf('if (chatId', indexContent.indexOf('await getGroupAutoTranslate'));
+        const end = indexContent.indexOf('// Check for immediate auto-translation', start);
+        const block = indexContent.slice(start, end);
+        assert('Invite links are never auto-translated', /!\(messageText && messageText\.match\(config\.PATTERNS\.INVITE_LINK\)\)/.test(block));
+        assert('Translated messages still reach moderation', !/\breturn\b/.test(block) && indexContent.indexOf('messageText.match(config.PATTERNS.INVITE_LINK)', end) > end);
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
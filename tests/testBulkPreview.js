@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for --dry / #preview on bulk removals (#botforeign, #clear, #kickglobal, #scan)
+ * and the "confirm" / "cancel" replies.
+ * Stubs database/connection and the Redis scan queue so no live services are needed.
+ * Run: node tests/testBulkPreview.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+let groupRow = { country_policy_mode: 'block', country_policy_prefixes: ['234'], country_policy_action: 'kick', restrict_country_codes: true };
+const users = {};
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/country_policy_mode/i.test(sql) && /SELECT/i.test(sql)) {
+                return { rows: [groupRow] };
+            }
+            if (/FROM users/i.test(sql) && /phone_number = \$1/i.test(sql)) {
+                return { rows: users[params[0]] ? [users[params[0]]] : [] };
+            }
+            return { rows: [], rowCount: 1 };
+        }
+    }
+};
+
+// ─── Stub the Redis scan queue (the worker only reads the user cache through it) ───
+const scanQueuePath = path.join(__dirname, '../services/scanQueueService.js');
+require.cache[scanQueuePath] = {
+    id: scanQueuePath,
+    filename: scanQueuePath,
+    loaded: true,
+    exports: {
+        getNextScan: async () => null,
+        updateScanProgress: async () => {},
+        clearScanProgress: async () => {},
+        cacheUserStatus: async () => {},
+        getCachedUserStatus: async () => null,
+        queueScan: async () => true,
+        isGodNumber: phone => phone === '972544345287',
+        GOD_NUMBER: '0544345287',
+        GOD_NUMBER_INTL: '972544345287'
+    }
+};
+
+const config = require('../config');
+const roleService = require('../services/roleService');
+const whitelistService = require('../services/whitelistService');
+const blacklistService = require('../services/blacklistService');
+const CommandHandler = require('../services/commandHandler');
+const { parseDryRunArgs } = CommandHandler;
+const { CONFIRM_WINDOW_MS } = require('../utils/pendingConfirmations');
+
+const OWNER = config.ALERT_PHONE;
+const GROUP = '120363000000000001@g.us';
+const MOD = '972501110001';
+
+function makeHandler(participants) {
+    const sent = [];
+    const removed = [];
+    const sock = {
+        sendMessage: async (jid, content) => { sent.push({ jid, text: content.text }); return { key: { id: `s${sent.length}` } }; },
+        groupMetadata: async () => ({ id: GROUP, subject: 'Test Group', participants }),
+        groupParticipantsUpdate: async (groupId, ids) => { removed.push(...ids); return []; },
+        groupInviteCode: async () => 'abc123'
+    };
+    const handler = new CommandHandler(sock);
+    handler.getCachedGroupMetadata = async () => ({ id: GROUP, subject: 'Test Group', participants });
+    return { handler, sent, removed };
+}
+
+function groupMsg(sender, text, quoted) {
+    const msg = { key: { remoteJid: GROUP, participant: `${sender}@s.whatsapp.net`, id: `m${Date.now()}` }, message: { conversation: text } };
+    if (quoted) {
+        msg.message = { extendedTextMessage: { text, contextInfo: { participant: quoted, stanzaId: 'q1', quotedMessage: { conversation: 'spam' } } } };
+    }
+    return msg;
+}
+
+function privateMsg(sender, text) {
+    return { key: { remoteJid: `${sender}@s.whatsapp.net`, id: `p${Date.now()}` }, message: { conversation: text } };
+}
+
+const preview = sent => sent.find(m => /Preview:/.test(m.text || ''));
+const updatesGroupPolicy = () => queries.some(q => /UPDATE groups/i.test(q.sql) && /country_policy_mode/i.test(q.sql));
+
+async function runTests() {
+    console.log('🧪 Testing dry-run previews of bulk removals\n');
+
+    // Test 1: parseDryRunArgs / #preview permissions
+    {
+        assert('--dry detected', parseDryRunArgs(['--dry']).dryRun && parseDryRunArgs(['--dry']).args.length === 0);
+        assert('--preview detected, other args kept', JSON.stringify(parseDryRunArgs('kick --PREVIEW')) === JSON.stringify({ dryRun: true, args: ['kick'] }));
+        assert('No flag → not a dry run', !parseDryRunArgs([]).dryRun && !parseDryRunArgs(undefined).dryRun);
+        assert('#preview kickglobal needs moderate_global', roleService.commandPermission('#preview', ['kickglobal']) === 'moderate_global');
+        assert('#preview clear needs moderate', roleService.commandPermission('#preview', ['#clear']) === 'moderate');
+        assert('#scan needs moderate', roleService.commandPermission('#scan') === 'moderate');
+    }
+
+    // Test 2: #botforeign --dry lists violators and skips, removes nobody
+    const participants = [
+        { id: '2348012345678@s.whatsapp.net' },
+        { id: '2348099999999@s.whatsapp.net' },
+        { id: '2348077777777@s.whatsapp.net', admin: 'admin' },
+        { id: '447700900123@s.whatsapp.net' },
+        { id: '972501234567@s.whatsapp.net' }
+    ];
+    await whitelistService.addToWhitelist('2348099999999', GROUP, OWNER);
+    {
+        const { handler, sent, removed } = makeHandler(participants);
+        queries.length = 0;
+        await handler.handleCommand(groupMsg(OWNER, '#botforeign --dry'), '#botforeign', ['--dry'], true, true);
+        const report = preview(sent);
+        assert('Nobody removed by the preview', removed.length === 0);
+        assert('Preview lists the violator with reason', report && /\+2348012345678 - Country code \+234 is blocked/.test(report.text));
+        assert('Preview lists whitelisted skip', report && /Whitelisted, skipped \(1\):\n• \+2348099999999/.test(report.text));
+        assert('Preview lists admin skip', report && /Admins, skipped \(1\):\n• \+2348077777777/.test(report.text));
+        assert('Preview does not list members within the policy', report && !report.text.includes('447700900123') && !report.text.includes('972501234567'));
+        assert('Preview asks for confirm', report && /Reply \*confirm\* within 5 minutes/.test(report.text));
+        assert('Preview does not persist the policy', !updatesGroupPolicy());
+
+        // Owner confirms from private chat
+        sent.length = 0;
+        const confirmMsg = privateMsg(OWNER, 'confirm');
+        assert('Pending confirmation visible to index.js', handler.hasPendingConfirmation(confirmMsg));
+        await handler.handleCommand(confirmMsg, 'confirm', [], true, true);
+        assert('Confirm removes exactly the previewed user', removed.length === 1 && removed[0] === '2348012345678@s.whatsapp.net');
+        assert('Confirm enforces the policy on joins', updatesGroupPolicy());
+        assert('Removal audited as kick', queries.some(q => /INSERT INTO audit_log/i.test(q.sql) && q.params[0] === 'kick' && q.params[7] === '2348012345678'));
+
+        sent.length = 0;
+        await handler.handleCommand(confirmMsg, 'confirm', [], true, true);
+        assert('Second confirm finds nothing', /Nothing to confirm/.test(sent[0].text) && removed.length === 1);
+    }
+
+    // Test 3: #preview alias, cancel, and the confirm window
+    {
+        const { handler, sent, removed } = makeHandler(participants);
+        await handler.handleCommand(groupMsg(OWNER, '#preview botforeign'), '#preview', ['botforeign'], true, true);
+        assert('#preview botforeign previews', !!preview(sent) && removed.length === 0);
+
+        sent.length = 0;
+        await handler.handleCommand(privateMsg(OWNER, 'cancel'), 'cancel', [], true, true);
+        assert('Cancel drops the preview', /Cancelled #botforeign/.test(sent[0].text) && !handler.hasPendingConfirmation(privateMsg(OWNER, 'confirm')));
+
+        await handler.handleCommand(groupMsg(OWNER, '#botforeign --dry'), '#botforeign', ['--dry'], true, true);
+        const realNow = Date.now;
+        Date.now = () => realNow() + CONFIRM_WINDOW_MS + 1000;
+        sent.length = 0;
+        await handler.handleCommand(privateMsg(OWNER, 'confirm'), 'confirm', [], true, true);
+        Date.now = realNow;
+        assert('Expired preview is not run', /Nothing to confirm/.test(sent[0].text) && removed.length === 0);
+
+        sent.length = 0;
+        await handler.handleCommand(groupMsg(OWNER, '#preview nothing'), '#preview', ['nothing'], true, true);
+        assert('#preview of unknown command shows usage', /Usage: #preview/.test(sent[0].text));
+    }
+
+    // Test 4: previews belong to their issuer
+    {
+        await roleService.grantRole(MOD, 'moderator', null, OWNER);
+        const { handler, sent, removed } = makeHandler(participants);
+        await handler.handleCommand(groupMsg(MOD, '#botforeign --dry'), '#botforeign', ['--dry'], false, false);
+        assert('Moderator preview sent to the moderator', preview(sent) && preview(sent).jid === `${MOD}@s.whatsapp.net`);
+        assert('Other users cannot confirm it', !handler.hasPendingConfirmation(privateMsg('972501110099', 'confirm')));
+        assert('Owner slot is separate', !handler.hasPendingConfirmation(privateMsg(OWNER, 'confirm')));
+
+        await handler.handleCommand(privateMsg(MOD, 'confirm'), 'confirm', [], false, false);
+        assert('Moderator confirms own preview', removed.length === 1);
+    }
+
+    // Test 5: #clear --dry
+    {
+        await blacklistService.loadBlacklistCache();
+        blacklistService.blacklistCache.add('15551234567');
+        blacklistService.blacklistCache.add('15550000000');
+        blacklistService.blacklistCache.add('15559999999');
+        await whitelistService.addToWhitelist('15559999999', GROUP, OWNER);
+        const { handler, sent, removed } = makeHandler([
+            { id: '15551234567@s.whatsapp.net' },
+            { id: '15550000000@s.whatsapp.net', admin: 'superadmin' },
+            { id: '15559999999@s.whatsapp.net' },
+            { id: '447700900123@s.whatsapp.net' }
+        ]);
+        await handler.handleCommand(groupMsg(OWNER, '#clear --dry'), '#clear', ['--dry'], true, true);
+        const report = preview(sent);
+        assert('#clear preview removes nobody', removed.length === 0);
+        assert('#clear preview lists the blacklisted member', report && /Would remove 1 user\(s\):\n• \+15551234567 - Blacklisted/.test(report.text));
+        assert('#clear preview lists skips', report && /\+15559999999/.test(report.text) && /Admins, skipped \(1\)/.test(report.text));
+
+        await handler.handleCommand(privateMsg(OWNER, 'confirm'), 'confirm', [], true, true);
+        assert('#clear confirm removes only the previewed member', removed.length === 1 && removed[0] === '15551234567@s.whatsapp.net');
+        ['15551234567', '15550000000', '15559999999'].forEach(id => blacklistService.blacklistCache.delete(id));
+    }
+
+    // Test 6: #kickglobal --dry
+    {
+        const { handler, sent, removed } = makeHandler([
+            { id: '15557777777@s.whatsapp.net' },
+            { id: '15558888888@s.whatsapp.net', admin: 'admin' }
+        ]);
+        await handler.handleCommand(groupMsg(OWNER, '#kickglobal --dry', '15557777777@s.whatsapp.net'), '#kickglobal', ['--dry'], true, true);
+        assert('#kickglobal preview names the target', preview(sent) && /\+15557777777 - Global ban/.test(preview(sent).text) && removed.length === 0);
+        assert('#kickglobal preview is confirmable', handler.hasPendingConfirmation(privateMsg(OWNER, 'confirm')));
+        await handler.handleCommand(privateMsg(OWNER, 'cancel'), 'cancel', [], true, true);
+
+        sent.length = 0;
+        await handler.handleCommand(groupMsg(OWNER, '#kickglobal --dry', '15558888888@s.whatsapp.net'), '#kickglobal', ['--dry'], true, true);
+        assert('Admin target listed as skipped, nothing to confirm',
+            /Admins, skipped/.test(preview(sent).text) && /Nothing to confirm/.test(preview(sent).text) &&
+            !handler.hasPendingConfirmation(privateMsg(OWNER, 'confirm')));
+    }
+
+    // Test 7: #scan --dry uses the blacklist scan's own rules
+    {
+        users['15551111111'] = { is_blacklisted: true, violations: { invite_link: 2, spam: 1 } };
+        users['15552222222'] = { is_blacklisted: true, violations: { invite_link: 1 } };
+        users['15553333333'] = { is_blacklisted: true, violations: { invite_link: 3 } };
+        users['447700900123'] = { is_blacklisted: false, violations: {} };
+        const { handler, sent, removed } = makeHandler([
+            { id: '15551111111@s.whatsapp.net' },
+            { id: '15552222222@s.whatsapp.net' },
+            { id: '15553333333@s.whatsapp.net', admin: 'admin' },
+            { id: '447700900123@s.whatsapp.net' }
+        ]);
+        await handler.handleCommand(groupMsg(OWNER, '#scan --dry'), '#scan', ['--dry'], true, true);
+        const report = preview(sent);
+        assert('#scan preview lists users over the threshold', report && /Would remove 1 user\(s\):\n• \+15551111111 - Blacklisted: invite_link \(2x\), spam \(1x\)/.test(report.text));
+        assert('#scan preview notes alert-only users', report && /Alert only .*\+15552222222/.test(report.text));
+        assert('#scan preview lists admin skip', report && /Admins, skipped \(1\):\n• \+15553333333/.test(report.text));
+
+        queries.length = 0;
+        await handler.handleCommand(privateMsg(OWNER, 'confirm'), 'confirm', [], true, true);
+        assert('#scan confirm kicks the previewed user', removed.length === 1 && removed[0] === '15551111111@s.whatsapp.net');
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        assert('Scan kick audited with the confirming admin', audit && audit.params[0] === 'kick' && audit.params[8] === OWNER);
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
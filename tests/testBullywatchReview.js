@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the bullywatch review queue and dashboard routes.
+ * Stubs database/connection and redisService; starts the admin API on an ephemeral port.
+ * Run: node tests/testBullywatchReview.js
+ */
+
+const path = require('path');
+const http = require('http');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+const GROUP = '120363000000000001@g.us';
+const TOKEN = 'review-token';
+
+// ─── Stub database/connection ────────────────────────────────────────────────
+const queries = [];
+let reviewColumnsMissing = false;
+
+const flagRows = [
+    {
+        id: 7, message_id: 'MSG7', whatsapp_group_id: GROUP, group_name: 'Class 3',
+        sender_phone: '972555000111', sender_name: 'Dan', message_text: 'you are stupid',
+        matched_words: ['stupid'], detected_at: new Date('2026-03-01T10:00:00Z'), deleted: false,
+        score: 21, severity: 'RED-1', categories: ['insult'],
+        score_breakdown: { baseScore: 12, addOns: 2, behaviorPoints: 0, formula: '(12 + 2) × 1.5 × 1 × 1 + 0 = 21' },
+        context_window: { before: [{ sender: '972555000222', senderName: 'Noa', text: 'saved context' }] },
+        nano_verdict: { votes: { nano: { verdict: 'harmful', confidence: 0.9 } } },
+        gpt_verdict: null, gpt_analyzed: false, review_verdict: null
+    },
+    {
+        id: 8, message_id: 'MSG8', whatsapp_group_id: GROUP, group_name: 'Class 3',
+        sender_phone: '972555000333', sender_name: 'Tal', message_text: 'that movie was killer',
+        matched_words: ['killer'], detected_at: new Date('2026-03-01T11:00:00Z'), deleted: false,
+        score: 12, severity: 'MONITOR', categories: ['threat'],
+        score_breakdown: null, context_window: null, nano_verdict: null,
+        gpt_verdict: null, gpt_analyzed: false, review_verdict: null
+    }
+];
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/INSERT INTO offensive_messages/i.test(sql)) {
+                if (reviewColumnsMissing && /score_breakdown/i.test(sql)) {
+                    const error = new Error('column "score" of relation "offensive_messages" does not exist');
+                    error.code = '42703';
+                    throw error;
+                }
+                return { rows: [{ id: 99 }] };
+            }
+            if (/UPDATE offensive_messages/i.test(sql) && /review_verdict/i.test(sql)) {
+                const matches = Array.isArray(params[0])
+                    ? row => params[0].includes(row.id)
+                    : row => row.message_id === params[0];
+                return {
+                    rows: flagRows.filter(matches).map(row => {
+                        const previous_verdict = row.review_verdict;
+                        Object.assign(row, { review_verdict: params[1], reviewed_by: params[2] });
+                        return { ...row, previous_verdict };
+                    })
+                };
+            }
+            if (/FROM offensive_messages/i.test(sql)) {
+                return { rows: flagRows };
+            }
+            return { rows: [] };
+        }
+    }
+};
+
+// ─── Stub redisService (WhatsApp #bullywatch feedback path) ──────────────────
+const redisList = [
+    JSON.stringify({ id: 'msg_1', groupId: GROUP, severity: 'moderate', messageText: 'x', matchedWords: [] }),
+    JSON.stringify({ id: 'msg_2', messageId: 'MSG20', groupId: GROUP, severity: 'moderate', messageText: 'y', matchedWords: [] }),
+    JSON.stringify({ id: 'msg_3', messageId: 'MSG7', groupId: GROUP, severity: 'moderate', messageText: 'z', matchedWords: [] })
+];
+const redisStub = {
+    isRedisConnected: () => true,
+    getRedis: () => ({
+        lrange: async () => redisList.slice(),
+        lset: async (key, index, value) => { redisList[index] = value; },
+        hset: async () => 1
+    })
+};
+const redisPath = require.resolve('../services/redisService');
+require.cache[redisPath] = { id: redisPath, filename: redisPath, loaded: true, exports: redisStub };
+
+const reviewQueueService = require('../services/bullywatch/reviewQueueService');
+const feedbackService = require('../services/bullywatch/feedbackService');
+const offensiveMessageService = require('../database/offensiveMessageService');
+const { startAdminApi, stopAdminApi } = require('../services/adminApiService');
+const CommandHandler = require('../services/commandHandler');
+
+let port = 0;
+
+function request(method, urlPath, body, token = TOKEN) {
+    return new Promise((resolve, reject) => {
+        const payload = body === undefined ? null : JSON.stringify(body);
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (payload) headers['Content-Length'] = Buffer.byteLength(payload);
+
+        const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, res => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                let json = null;
+                try { json = JSON.parse(data); } catch (e) { /* HTML */ }
+                resolve({ status: res.statusCode, body: json, text: data, type: res.headers['content-type'] });
+            });
+        });
+        req.on('error', reject);
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing bullywatch review queue\n');
+
+    // Test 1: context buffer gives messages before and after a flag
+    {
+        const base = Date.now();
+        ['a', 'b', 'MSG7', 'c'].forEach((id, i) => reviewQueueService.rememberMessage(GROUP, {
+            id, sender: `97255500000${i}`, senderName: `User ${i}`, text: `text ${id}`, timestamp: base + i
+        }));
+        const ctx = reviewQueueService.getContextWindow(GROUP, 'MSG7');
+        assert('Context has messages before', ctx && ctx.before.map(m => m.id).join(',') === 'a,b');
+        assert('Context has messages after', ctx && ctx.after.length === 1 && ctx.after[0].id === 'c');
+        assert('Unknown message has no live context', reviewQueueService.getContextWindow(GROUP, 'nope') === null);
+
+        for (let i = 0; i < 60; i++) reviewQueueService.rememberMessage('other@g.us', { id: `m${i}`, text: 't' });
+        assert('Buffer is capped per group', reviewQueueService.getContextWindow('other@g.us', 'm0') === null &&
+            reviewQueueService.getContextWindow('other@g.us', 'm59') !== null);
+    }
+
+    // Test 2: flags carry breakdown, context and verdicts
+    {
+        const flags = await reviewQueueService.listFlags({ status: 'pending' });
+        const flag = flags.find(f => f.id === 7);
+        assert('Score and severity mapped', flag && flag.score === 21 && flag.severity === 'RED-1');
+        assert('Score breakdown included', flag && flag.scoreBreakdown.formula.includes('= 21'));
+        assert('Live context preferred over saved snapshot', flag && flag.context.after.length === 1);
+        assert('Nano verdict included', flag && flag.nanoVerdict.votes.nano.verdict === 'harmful');
+        const other = flags.find(f => f.id === 8);
+        assert('Empty context when none saved', other && other.context.before.length === 0);
+
+        const select = queries.find(q => /FROM offensive_messages/i.test(q.sql));
+        assert('Pending filter applied in SQL', select && /review_verdict IS NULL/.test(select.sql));
+    }
+
+    // Test 3: saveOffensiveMessage persists bullywatch details, falls back on old schema
+    {
+        queries.length = 0;
+        await offensiveMessageService.saveOffensiveMessage({
+            messageId: 'MSG9', whatsappGroupId: GROUP, senderPhone: '972555000111', messageText: 'hi',
+            score: 18.6, severity: 'RED-1', scoreBreakdown: { baseScore: 10 }, contextWindow: { before: [] }
+        });
+        const insert = queries.find(q => /INSERT INTO offensive_messages/i.test(q.sql));
+        assert('Score stored rounded', insert && insert.params[16] === 19);
+        assert('Breakdown stored as JSON', insert && JSON.parse(insert.params[19]).baseScore === 10);
+
+        reviewColumnsMissing = true;
+        queries.length = 0;
+        const id = await offensiveMessageService.saveOffensiveMessage({
+            messageId: 'MSG10', whatsappGroupId: GROUP, senderPhone: '972555000111', messageText: 'hi', score: 5
+        });
+        const inserts = queries.filter(q => /INSERT INTO offensive_messages/i.test(q.sql));
+        assert('Legacy insert used when columns are missing', id === 99 && inserts.length === 2 && inserts[1].params.length === 16);
+        reviewColumnsMissing = false;
+    }
+
+    const server = await startAdminApi({ port: 0, token: TOKEN });
+    port = server.address().port;
+
+    // Test 4: dashboard page is public, data routes are not
+    {
+        let res = await request('GET', '/dashboard/bullywatch', undefined, null);
+        assert('Dashboard HTML served without token', res.status === 200 && /text\/html/.test(res.type) && res.text.includes('Bullywatch Review'));
+        res = await request('GET', '/api/bullywatch/flags', undefined, null);
+        assert('Flags require the token', res.status === 401);
+        res = await request('GET', '/api/bullywatch/flags?status=all&days=7');
+        assert('Flags listed through the API', res.status === 200 && res.body.count === 2);
+        res = await request('GET', '/api/bullywatch/flags?status=bogus');
+        assert('Invalid status → 400', res.status === 400);
+    }
+
+    // Test 5: bulk review feeds feedbackService
+    {
+        const before = feedbackService.getAccuracyMetrics().breakdown;
+        let res = await request('POST', '/api/bullywatch/flags/review', { ids: [7, 8, 404], verdict: 'false_positive', reviewer: 'Rina' });
+        assert('Bulk review updates found flags', res.status === 200 && res.body.updated.join(',') === '7,8');
+        assert('Unknown IDs reported as missing', res.body.missing.join(',') === '404');
+        assert('Reviewer recorded', res.body.reviewer === 'api:Rina');
+        const after = feedbackService.getAccuracyMetrics().breakdown;
+        assert('Each verdict fed to feedbackService', after.falsePositives - before.falsePositives === 2);
+
+        const update = queries.find(q => /UPDATE offensive_messages/i.test(q.sql));
+        assert('Verdict persisted on the rows', update && update.params[1] === 'false_positive' && update.params[2] === 'api:Rina');
+
+        res = await request('POST', '/api/bullywatch/flags/review', { ids: [7], verdict: 'true_positive', reviewer: 'Rina' });
+        const again = feedbackService.getAccuracyMetrics().breakdown;
+        assert('Re-review updates the row', res.status === 200 && res.body.updated.join(',') === '7' && flagRows[0].review_verdict === 'true_positive');
+        assert('Re-review not counted again', again.truePositives === after.truePositives && again.falsePositives === after.falsePositives);
+
+        res = await request('POST', '/api/bullywatch/flags/review', { ids: [7], verdict: 'maybe' });
+        assert('Invalid verdict → 400', res.status === 400);
+        res = await request('POST', '/api/bullywatch/flags/review', { ids: ['x'], verdict: 'true_positive' });
+        assert('Non-numeric IDs → 400', res.status === 400);
+    }
+
+    // Test 6: #bullywatch feedback feeds the same statistics
+    {
+        const sock = { sendMessage: async () => ({}) };
+        const handler = new CommandHandler(sock);
+        const msg = { key: { remoteJid: GROUP, participant: '972501111111@s.whatsapp.net', id: 'm1' }, message: { conversation: '#bullywatch feedback msg_1 high' } };
+        const before = feedbackService.getAccuracyMetrics().breakdown.truePositives;
+        await handler.handleBullywatchFeedback(msg, ['feedback', 'msg_1', 'high'], GROUP);
+        assert('WhatsApp severity verdict counted as true positive', feedbackService.getAccuracyMetrics().breakdown.truePositives === before + 1);
+        assert('Redis flag updated as before', JSON.parse(redisList[0]).verdict === 'high');
+
+        flagRows.push({ ...flagRows[1], id: 20, message_id: 'MSG20', review_verdict: null });
+        const feedback = async (id, verdict) => handler.handleBullywatchFeedback(msg, ['feedback', id, verdict], GROUP);
+        let counts = feedbackService.getAccuracyMetrics().breakdown;
+        await feedback('msg_2', 'medium');
+        const saved = flagRows.find(row => row.id === 20);
+        assert('WhatsApp feedback sets review_verdict on the saved flag', saved.review_verdict === 'true_positive' && saved.reviewed_by === '972501111111');
+        assert('First WhatsApp review counted', feedbackService.getAccuracyMetrics().breakdown.truePositives === counts.truePositives + 1);
+
+        counts = feedbackService.getAccuracyMetrics().breakdown;
+        await feedback('msg_2', 'false_positive');
+        let now = feedbackService.getAccuracyMetrics().breakdown;
+        assert('WhatsApp re-review updates the verdict', saved.review_verdict === 'false_positive' && JSON.parse(redisList[1]).verdict === 'false_positive');
+        assert('WhatsApp re-review not counted again', now.truePositives === counts.truePositives && now.falsePositives === counts.falsePositives);
+
+        await feedback('msg_3', 'false_positive');
+        now = feedbackService.getAccuracyMetrics().breakdown;
+        assert('Flag reviewed on the dashboard not counted again from WhatsApp', now.falsePositives === counts.falsePositives && flagRows[0].review_verdict === 'false_positive');
+    }
+
+    await stopAdminApi();
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(async error => {
+    console.error('❌ Test run crashed:', error);
+    await stopAdminApi();
+    process.exit(1);
+});
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the join captcha (services/captchaService, #captcha).
+ * Stubs database/connection and services/redisService (in-memory keys and sorted set).
+ * Run: node tests/testCaptcha.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+function stubModule(relativePath, exports) {
+    const modulePath = path.join(__dirname, relativePath);
+    require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports };
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+let captchaRow = null;
+
+stubModule('../database/connection.js', {
+    query: async (sql, params = []) => {
+        queries.push({ sql, params });
+        if (/SELECT join_captcha/i.test(sql)) {
+            return { rows: [{ join_captcha: captchaRow }] };
+        }
+        if (/SET join_captcha/i.test(sql)) {
+            captchaRow = params[1] ? JSON.parse(params[1]) : null;
+            return { rows: [{ name: 'Test Group' }] };
+        }
+        return { rows: [], rowCount: 1 };
+    }
+});
+
+// ─── Stub Redis: keys and one sorted set in memory (TTLs are not simulated) ──
+const store = new Map();
+const deadlines = new Map(); // member → score
+let redisUp = true;
+
+const fakeRedis = {
+    set: async (key, value) => { store.set(key, value); return 'OK'; },
+    get: async key => store.has(key) ? store.get(key) : null,
+    del: async key => store.delete(key) ? 1 : 0,
+    zadd: async (key, score, member) => { deadlines.set(member, score); return 1; },
+    zrem: async (key, member) => deadlines.delete(member) ? 1 : 0,
+    zrangebyscore: async (key, min, max) => [...deadlines].filter(([, score]) => score >= min && score <= max).map(([member]) => member)
+};
+
+stubModule('../services/redisService.js', {
+    isRedisConnected: () => redisUp,
+    getRedis: () => fakeRedis,
+    isRateLimited: async () => false,
+    removeFromBlacklistCache: async () => {}
+});
+
+const {
+    startCaptcha, checkCaptchaMessage, sweepExpiredCaptchas, createChallenge,
+    normalizeAnswer, formatCaptchaSettings, MAX_WRONG_ANSWERS
+} = require('../services/captchaService');
+const groupService = require('../database/groupService');
+const CommandHandler = require('../services/commandHandler');
+const { parseCaptchaArgs } = CommandHandler;
+const config = require('../config');
+
+const GROUP = '120363000000000001@g.us';
+const NEWBIE = '15551234567@s.whatsapp.net';
+const NEWBIE_LID = '987654321098765@lid';
+const ADMIN_JID = `${config.ALERT_PHONE}@s.whatsapp.net`;
+
+function makeSock() {
+    const sent = [];
+    const removed = [];
+    const sock = {
+        sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: `out${sent.length}`, remoteJid: jid } }; },
+        groupMetadata: async () => ({ id: GROUP, subject: 'Test Group', participants: [] }),
+        groupParticipantsUpdate: async (groupId, users, action) => { removed.push({ groupId, users, action }); return [{ status: '200' }]; },
+        groupInviteCode: async () => 'INVITE123'
+    };
+    return { sock, sent, removed };
+}
+
+let messageCount = 0;
+function groupMessage(text, senderId = NEWBIE, quotedId = null) {
+    messageCount++;
+    const message = quotedId
+        ? { extendedTextMessage: { text, contextInfo: { stanzaId: quotedId } } }
+        : { conversation: text };
+    return { key: { remoteJid: GROUP, participant: senderId, id: `msg${messageCount}` }, message };
+}
+
+async function say(sock, text, senderId = NEWBIE, quotedId = null) {
+    const msg = groupMessage(text, senderId, quotedId);
+    const handled = await checkCaptchaMessage(sock, msg, { groupId: GROUP, senderId, messageText: text });
+    return { msg, handled };
+}
+
+function pendingRecord(userId = NEWBIE) {
+    const raw = store.get(`captcha:${GROUP}:${userId.split('@')[0]}`);
+    return raw ? JSON.parse(raw) : null;
+}
+
+function reset() {
+    store.clear();
+    deadlines.clear();
+}
+
+async function runTests() {
+    console.log('🧪 Testing join captcha\n');
+
+    // Test 1: parseCaptchaArgs
+    {
+        const t = (input, expected) => {
+            const got = parseCaptchaArgs(input);
+            assert(`parseCaptchaArgs('${input}')`, JSON.stringify(got) === JSON.stringify(expected), `got ${JSON.stringify(got)}`);
+        };
+        t('', { action: 'status' });
+        t('off', { action: 'off' });
+        t('on', { action: 'set', type: 'math', minutes: 5 });
+        t('math 3', { action: 'set', type: 'math', minutes: 3 });
+        t('Reply 10m', { action: 'set', type: 'reply', minutes: 10 });
+        t('question What is our school called? = Herzl', { action: 'set', type: 'question', minutes: 5, question: 'What is our school called?', answer: 'Herzl' });
+        t('question 2 Which city? = Tel Aviv', { action: 'set', type: 'question', minutes: 2, question: 'Which city?', answer: 'Tel Aviv' });
+        t('question What is our school called?', null);
+        t('math 0', null);
+        t('math 90', null);
+        t('math 5 extra', null);
+        t('emoji', null);
+    }
+
+    // Test 2: challenges and answer matching
+    {
+        const math = createChallenge({ type: 'math', minutes: 5 });
+        const [, a, b] = math.prompt.match(/(\d+) \+ (\d+)/);
+        assert('Math challenge answer is the sum', math.answer === String(Number(a) + Number(b)));
+        assert('Reply challenge has no typed answer', createChallenge({ type: 'reply', minutes: 5 }).answer === null);
+        assert('Group question uses the configured answer', createChallenge({ type: 'question', minutes: 5, question: 'Q?', answer: 'Herzl' }).answer === 'Herzl');
+        assert('Answers compared without case or punctuation', normalizeAnswer(' Herzl! ') === normalizeAnswer('herzl') && normalizeAnswer('תל-אביב') === normalizeAnswer('תל אביב'));
+        assert('Settings described', formatCaptchaSettings({ type: 'math', minutes: 5 }) === 'Math question, 5 min to answer' && formatCaptchaSettings(null) === 'off');
+    }
+
+    // Test 3: challenge posted; chatter deleted; correct answer verifies
+    {
+        reset();
+        const { sock, sent } = makeSock();
+        await startCaptcha(sock, GROUP, [NEWBIE, '15551234567'], { type: 'question', minutes: 5, question: 'What is our school called?', answer: 'Herzl' });
+        assert('Challenge @mentions the new member', sent[0].jid === GROUP && sent[0].content.mentions[0] === NEWBIE && /What is our school called\?/.test(sent[0].content.text));
+        assert('Deadline scheduled', deadlines.has(`${GROUP}|${NEWBIE}`));
+
+        const chatter = await say(sock, 'hi everyone, check my profile');
+        assert('Message before verifying deleted', chatter.handled && sent[1].content.delete.id === chatter.msg.key.id);
+        assert('Wrong answer counted', pendingRecord().wrongAnswers === 1);
+
+        queries.length = 0;
+        const answer = await say(sock, 'herzl!');
+        assert('Correct answer accepted', answer.handled && pendingRecord() === null && !deadlines.has(`${GROUP}|${NEWBIE}`));
+        assert('Challenge message cleaned up', sent.some(m => m.content.delete && m.content.delete.id === 'out1'));
+        assert('Verified member welcomed', sent.some(m => /Verified/.test(m.content.text || '') && m.content.mentions[0] === NEWBIE));
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        assert('Verification audited as a captcha join', audit && audit.params[0] === 'join' && audit.params[8] === 'auto:captcha');
+
+        assert('Verified member no longer filtered', (await say(sock, 'thanks!')).handled === false);
+    }
+
+    // Test 4: reply challenge passes only by replying to the challenge
+    {
+        reset();
+        const { sock } = makeSock();
+        await startCaptcha(sock, GROUP, [NEWBIE_LID, '15551234567'], { type: 'reply', minutes: 5 });
+        for (let i = 0; i < MAX_WRONG_ANSWERS + 1; i++) {
+            await say(sock, `spam ${i}`, NEWBIE_LID);
+        }
+        assert('Unrelated messages never count as wrong answers', pendingRecord(NEWBIE_LID).wrongAnswers === 0);
+        await say(sock, '👍', NEWBIE_LID, 'some-other-message');
+        assert('Reply to another message does not verify', pendingRecord(NEWBIE_LID) !== null);
+        const reply = await say(sock, '👍', NEWBIE, 'out1');
+        assert('Reply to the challenge verifies (matched by phone too)', reply.handled && pendingRecord(NEWBIE_LID) === null && pendingRecord(NEWBIE) === null);
+    }
+
+    // Test 5: too many wrong answers → removed
+    {
+        reset();
+        const { sock, removed } = makeSock();
+        await startCaptcha(sock, GROUP, NEWBIE, { type: 'math', minutes: 5 });
+        queries.length = 0;
+        for (let i = 0; i < MAX_WRONG_ANSWERS; i++) {
+            await say(sock, 'no idea');
+        }
+        assert(`Removed after ${MAX_WRONG_ANSWERS} wrong answers`, removed.length === 1 && removed[0].users[0] === NEWBIE && removed[0].action === 'remove');
+        const kick = queries.find(q => /INSERT INTO audit_log/i.test(q.sql) && q.params[0] === 'kick');
+        assert('Removal audited', kick && kick.params[8] === 'auto:captcha' && /wrong answers/.test(kick.params[4]));
+        assert('Challenge cleared after removal', pendingRecord() === null && deadlines.size === 0);
+    }
+
+    // Test 6: the sweep removes members who ran out of time, once
+    {
+        reset();
+        const { sock, sent, removed } = makeSock();
+        await startCaptcha(sock, GROUP, NEWBIE, { type: 'math', minutes: 5 });
+        await startCaptcha(sock, GROUP, '972501112233@s.whatsapp.net', { type: 'math', minutes: 5 });
+        assert('Nothing removed before the deadline', await sweepExpiredCaptchas(sock) === 0 && removed.length === 0);
+
+        deadlines.set(`${GROUP}|${NEWBIE}`, Date.now() - 1000);
+        assert('Expired member removed', await sweepExpiredCaptchas(sock) === 1 && removed.length === 1 && removed[0].users[0] === NEWBIE);
+        assert('Their challenge message deleted', sent.some(m => m.content.delete && m.content.delete.id === 'out1'));
+        assert('Second sweep does nothing', await sweepExpiredCaptchas(sock) === 0 && removed.length === 1);
+        assert('Other newcomer still pending', pendingRecord('972501112233@s.whatsapp.net') !== null);
+    }
+
+    // Test 7: no Redis → captcha inactive
+    {
+        reset();
+        redisUp = false;
+        const { sock, sent } = makeSock();
+        assert('No challenge posted without Redis', await startCaptcha(sock, GROUP, NEWBIE, { type: 'math', minutes: 5 }) === false && sent.length === 0);
+        assert('Messages pass without Redis', (await say(sock, 'hello')).handled === false);
+        redisUp = true;
+    }
+
+    // Test 8: #captcha sets, shows and disables the setting
+    {
+        const { sock, sent } = makeSock();
+        const handler = new CommandHandler(sock);
+        const adminMsg = text => ({ key: { remoteJid: GROUP, participant: ADMIN_JID, id: `c${Date.now()}` }, message: { conversation: text } });
+        queries.length = 0;
+
+        await handler.handleCommand(adminMsg('#captcha question 10 What is our school called? = Herzl'), '#captcha',
+            ['question', '10', 'What', 'is', 'our', 'school', 'called?', '=', 'Herzl'], true, true);
+        const settings = await groupService.getJoinCaptcha(GROUP);
+        assert('Settings stored with the question', settings && settings.type === 'question' && settings.minutes === 10 && settings.answer === 'Herzl');
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        const metadata = audit ? JSON.parse(audit.params[5]) : {};
+        assert('captcha_policy audited', audit && audit.params[0] === 'captcha_policy' && metadata.challenge === 'question' && metadata.minutes === 10);
+
+        redisUp = false;
+        await handler.handleCommand(adminMsg('#captcha'), '#captcha', [], true, true);
+        assert('Status shows the setting and warns when Redis is down', /Group question/.test(sent[sent.length - 1].content.text) && /not enforced/.test(sent[sent.length - 1].content.text));
+        redisUp = true;
+
+        await handler.handleCommand(adminMsg('#captcha off'), '#captcha', ['off'], true, true);
+        assert('#captcha off disables it', await groupService.getJoinCaptcha(GROUP) === null);
+
+        await handler.handleCommand(adminMsg('#captcha emoji'), '#captcha', ['emoji'], true, true);
+        assert('Bad input shows usage', /Usage: #captcha/.test(sent[sent.length - 1].content.text));
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
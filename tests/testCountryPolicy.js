@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the per-group country-code policy (utils/countryPolicy, #countrypolicy, #botforeign).
+ * Stubs database/connection so no live PostgreSQL is needed.
+ * Run: node tests/testCountryPolicy.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+let groupRow = null;
+let policyColumnsMissing = false;
+let policyWriteFails = false;
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/country_policy_mode/i.test(sql) && /SELECT/i.test(sql)) {
+                if (policyColumnsMissing) {
+                    const error = new Error('column "country_policy_mode" does not exist');
+                    error.code = '42703';
+                    throw error;
+                }
+                return { rows: groupRow ? [groupRow] : [] };
+            }
+            if (/SELECT restrict_country_codes/i.test(sql)) {
+                return { rows: groupRow ? [{ restrict_country_codes: groupRow.restrict_country_codes }] : [] };
+            }
+            if (/UPDATE groups/i.test(sql) && /country_policy_mode/i.test(sql)) {
+                if (policyWriteFails) {
+                    const error = new Error('column "country_policy_mode" of relation "groups" does not exist');
+                    error.code = '42703';
+                    throw error;
+                }
+                groupRow = {
+                    country_policy_mode: params[1],
+                    country_policy_prefixes: params[2],
+                    country_policy_action: params[3],
+                    restrict_country_codes: params[4]
+                };
+                return { rows: [{ name: 'Test Group' }] };
+            }
+            return { rows: [] };
+        }
+    }
+};
+
+const { checkCountryPolicy, formatCountryPolicy, DEFAULT_COUNTRY_POLICY } = require('../utils/countryPolicy');
+const groupService = require('../database/groupService');
+const CommandHandler = require('../services/commandHandler');
+const { parseCountryPolicyArgs } = CommandHandler;
+
+const GROUP = '120363000000000001@g.us';
+const OWNER = require('../config').ALERT_PHONE;
+
+function makeHandler(participants) {
+    const sent = [];
+    const removed = [];
+    const sock = {
+        sendMessage: async (jid, content) => { sent.push({ jid, text: content.text }); return { key: { id: `s${sent.length}` } }; },
+        groupMetadata: async () => ({ id: GROUP, subject: 'Test Group', participants }),
+        groupParticipantsUpdate: async (groupId, ids, action) => { removed.push(...ids); return []; },
+        groupInviteCode: async () => 'abc123'
+    };
+    const handler = new CommandHandler(sock);
+    handler.getCachedGroupMetadata = async () => ({ id: GROUP, subject: 'Test Group', participants });
+    return { handler, sent, removed };
+}
+
+function groupMsg(text) {
+    return { key: { remoteJid: GROUP, participant: `${OWNER}@s.whatsapp.net`, id: `m${Date.now()}` }, message: { conversation: text } };
+}
+
+async function runTests() {
+    console.log('🧪 Testing country-code policy\n');
+
+    // Test 1: checkCountryPolicy
+    {
+        const block = { mode: 'block', prefixes: ['1', '6', '234'], action: 'kick' };
+        const allow = { mode: 'allow', prefixes: ['44'], action: 'warn' };
+
+        assert('Block list matches +1', checkCountryPolicy('15551234567', block).violates);
+        assert('Block list matches +234', checkCountryPolicy('+2348012345678', block).prefix === '234');
+        assert('Block list ignores +44', !checkCountryPolicy('447700900123', block).violates);
+        assert('Allow list rejects other prefixes', checkCountryPolicy('15551234567', allow).reason === 'not_allowed');
+        assert('Allow list accepts listed prefix', !checkCountryPolicy('447700900123', allow).violates);
+        assert('+972 always protected (allow)', checkCountryPolicy('972501234567', allow).reason === 'protected');
+        assert('+972 always protected (block 9)', !checkCountryPolicy('972501234567', { mode: 'block', prefixes: ['9'], action: 'kick' }).violates);
+        assert('LID without phone exempt', checkCountryPolicy('15551234567', block, { phoneUnknown: true }).reason === 'unknown_phone');
+        assert('Too-short numbers not judged', !checkCountryPolicy('12345', block).violates);
+        assert('Off policy never violates', checkCountryPolicy('15551234567', { mode: 'off', prefixes: [] }).reason === 'off');
+        assert('Default policy is the old +1/+6 rule', formatCountryPolicy(DEFAULT_COUNTRY_POLICY) === 'block +1, +6 (kick)');
+        assert('Allow policy formatted', formatCountryPolicy(allow) === 'allow only +44 (warn admins)');
+    }
+
+    // Test 2: parseCountryPolicyArgs
+    {
+        const t = (input, expected) => {
+            const got = parseCountryPolicyArgs(input);
+            assert(`parseCountryPolicyArgs('${input}')`, JSON.stringify(got) === JSON.stringify(expected), `got ${JSON.stringify(got)}`);
+        };
+        t('', { action: 'status' });
+        t('status', { action: 'status' });
+        t('off', { action: 'off' });
+        t('warn', { action: 'setAction', policyAction: 'warn' });
+        t('allow 972,44', { action: 'set', mode: 'allow', prefixes: ['972', '44'] });
+        t('block +1, +6 234 warn', { action: 'set', mode: 'block', prefixes: ['1', '6', '234'], policyAction: 'warn' });
+        t('block 1,1', { action: 'set', mode: 'block', prefixes: ['1'] });
+        t('block', null);
+        t('block us', null);
+        t('allow 12345', null);
+        t('maybe 1', null);
+    }
+
+    // Test 3: storage - legacy flag, missing columns, write-through
+    {
+        groupRow = { restrict_country_codes: true, country_policy_mode: null };
+        let policy = await groupService.getCountryPolicy('legacy@g.us');
+        assert('Legacy restrict flag → +1/+6 block', policy.mode === 'block' && policy.prefixes.join(',') === '1,6');
+
+        policyColumnsMissing = true;
+        groupRow = { restrict_country_codes: false };
+        policy = await groupService.getCountryPolicy('old-schema@g.us');
+        assert('Missing columns fall back to the flag', policy.mode === 'off');
+        policyColumnsMissing = false;
+
+        await groupService.setCountryPolicy(GROUP, { mode: 'allow', prefixes: ['972', '44'], action: 'kick' });
+        const update = queries.find(q => /UPDATE groups/i.test(q.sql) && /country_policy_mode/i.test(q.sql));
+        assert('Policy saved with restrict flag in step', update && update.params[1] === 'allow' && update.params[4] === true);
+        policy = await groupService.getCountryPolicy(GROUP);
+        assert('Saved policy read back', policy.mode === 'allow' && policy.prefixes.join(',') === '972,44');
+    }
+
+    // Test 4: #countrypolicy updates the policy and audits it
+    {
+        const { handler, sent } = makeHandler([]);
+        queries.length = 0;
+        await handler.handleCommand(groupMsg('#countrypolicy block 1,6,234 warn'), '#countrypolicy', ['block', '1,6,234', 'warn'], true, true);
+        const policy = await groupService.getCountryPolicy(GROUP);
+        assert('Block policy stored', policy.mode === 'block' && policy.prefixes.join(',') === '1,6,234' && policy.action === 'warn');
+        assert('Confirmation mentions the policy', /block \+1, \+6, \+234 \(warn admins\)/.test(sent[0].text));
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        assert('country_policy audited', audit && audit.params[0] === 'country_policy' && JSON.parse(audit.params[5]).prefixes === '1,6,234');
+
+        sent.length = 0;
+        await handler.handleCommand(groupMsg('#countrypolicy kick'), '#countrypolicy', ['kick'], true, true);
+        const updated = await groupService.getCountryPolicy(GROUP);
+        assert('Action-only change keeps prefixes', updated.action === 'kick' && updated.prefixes.join(',') === '1,6,234');
+
+        sent.length = 0;
+        await handler.handleCommand(groupMsg('#countrypolicy allow us'), '#countrypolicy', ['allow', 'us'], true, true);
+        assert('Bad input shows usage', /Usage: #countrypolicy/.test(sent[0].text));
+    }
+
+    // Test 5: #botforeign sweeps with the same policy as the join handler
+    {
+        const participants = [
+            { id: '15551234567@s.whatsapp.net' },
+            { id: '447700900123@s.whatsapp.net' },
+            { id: '972501234567@s.whatsapp.net' },
+            { id: '123456789012345@lid' },
+            { id: '99999@lid', phoneNumber: '2348012345678@s.whatsapp.net' },
+            { id: '15550000000@s.whatsapp.net', admin: 'admin' }
+        ];
+
+        await groupService.setCountryPolicy(GROUP, { mode: 'allow', prefixes: ['44'], action: 'warn' });
+        let { handler, sent, removed } = makeHandler(participants);
+        await handler.handleCommand(groupMsg('#botforeign'), '#botforeign', [], true, true);
+        assert('Warn policy removes nobody', removed.length === 0);
+        const report = sent.find(m => /warn only/.test(m.text || ''));
+        assert('Warn report lists violators', report && report.text.includes('+15551234567') && report.text.includes('+2348012345678') && !report.text.includes('+447700900123'));
+
+        await groupService.setCountryPolicy(GROUP, { mode: 'block', prefixes: ['234'], action: 'kick' });
+        ({ handler, sent, removed } = makeHandler(participants));
+        await handler.handleCommand(groupMsg('#botforeign'), '#botforeign', [], true, true);
+        assert('Block policy kicks only the listed prefix', removed.length === 1 && removed[0] === '99999@lid');
+        assert('Summary names the policy', sent.some(m => (m.text || '').includes('block +234 (kick)')));
+
+        groupRow = null;
+        await groupService.setCountryPolicy(GROUP, { mode: 'off', prefixes: [], action: 'kick' });
+        ({ handler, sent, removed } = makeHandler(participants));
+        await handler.handleCommand(groupMsg('#botforeign'), '#botforeign', [], true, true);
+        assert('No policy → default +1/+6 sweep', removed.length === 1 && removed[0] === '15551234567@s.whatsapp.net');
+        const stored = await groupService.getCountryPolicy(GROUP);
+        assert('Default policy enforced on future joins', stored.mode === 'block' && stored.prefixes.join(',') === '1,6');
+
+        await handler.handleCommand(groupMsg('#botforeignoff'), '#botforeignoff', [], true, true);
+        assert('#botforeignoff turns the policy off', (await groupService.getCountryPolicy(GROUP)).mode === 'off');
+    }
+
+    // Test 6: 10-digit US numbers without the +1 still count as +1
+    {
+        const participants = [
+            { id: '2025550123@s.whatsapp.net' },
+            { id: '0501234567@s.whatsapp.net' },
+            { id: '2025550199@lid' }
+        ];
+        await groupService.setCountryPolicy(GROUP, { mode: 'block', prefixes: ['1'], action: 'kick' });
+        const { handler, sent, removed } = makeHandler(participants);
+        await handler.handleCommand(groupMsg('#botforeign'), '#botforeign', [], true, true);
+        assert('10-digit US number kicked under +1 block', removed.length === 1 && removed[0] === '2025550123@s.whatsapp.net', `removed ${removed.join(',')}`);
+        assert('Kick reason names +1', sent.some(m => (m.text || '').includes('Country code +1 is blocked')));
+    }
+
+    // Test 7: #botforeign tells the admin when the policy could not be saved
+    {
+        const participants = [{ id: '15551234567@s.whatsapp.net' }, { id: '447700900123@s.whatsapp.net' }];
+        groupRow = null;
+        policyWriteFails = true;
+
+        let { handler, sent, removed } = makeHandler(participants);
+        await handler.handleCommand(groupMsg('#botforeign'), '#botforeign', [], true, true);
+        const summary = sent.find(m => /✅ הוסרו/.test(m.text || ''));
+        assert('Sweep still kicks when saving fails', removed.length === 1);
+        assert('Summary warns the policy was not saved', summary && /not saved/.test(summary.text) && !/נאכפת גם בכניסה/.test(summary.text));
+
+        ({ handler, sent, removed } = makeHandler([{ id: '447700900123@s.whatsapp.net' }]));
+        await handler.handleCommand(groupMsg('#botforeign'), '#botforeign', [], true, true);
+        assert('Nothing-to-kick reply warns the policy was not saved', sent.some(m => /not saved/.test(m.text || '')));
+
+        policyWriteFails = false;
+        await groupService.setCountryPolicy(GROUP, { mode: 'block', prefixes: ['1'], action: 'warn' });
+        policyWriteFails = true;
+        ({ handler, sent, removed } = makeHandler(participants));
+        await handler.handleCommand(groupMsg('#botforeign'), '#botforeign', [], true, true);
+        assert('Warn-only report warns the policy was not saved', removed.length === 0 && sent.some(m => /warn only/.test(m.text || '') && /not saved/.test(m.text)));
+
+        queries.length = 0;
+        ({ handler, sent } = makeHandler(participants));
+        await handler.handleCommand(groupMsg('#botforeignoff'), '#botforeignoff', [], true, true);
+        assert('#botforeignoff reports the failure', sent.length === 1 && /Failed to turn off/.test(sent[0].text));
+        assert('Failed #botforeignoff not audited', !queries.some(q => /INSERT INTO audit_log/i.test(q.sql)));
+        policyWriteFails = false;
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
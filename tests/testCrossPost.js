@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for cross-group duplicate spam detection (services/crossPostService).
+ * Stubs database/connection, services/redisService (in-memory lists) and the global-ban helper.
+ * Run: node tests/testCrossPost.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+function stubModule(relativePath, exports) {
+    const modulePath = path.join(__dirname, relativePath);
+    require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports };
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+stubModule('../database/connection.js', {
+    query: async (sql, params = []) => {
+        queries.push({ sql, params });
+        return { rows: [], rowCount: 1 };
+    }
+});
+
+// ─── Stub Redis with in-memory lists and keys (TTLs are not simulated) ───────
+const store = new Map();
+const recentJoins = new Set();
+let redisUp = true;
+
+const fakeRedis = {
+    rpush: async (key, value) => { const list = store.get(key) || []; list.push(value); store.set(key, list); return list.length; },
+    expire: async () => 1,
+    lrange: async key => [...(store.get(key) || [])],
+    get: async key => store.has(key) ? store.get(key) : null,
+    set: async (key, value, ...options) => {
+        if (options.includes('NX') && store.has(key)) return null;
+        store.set(key, value);
+        return 'OK';
+    }
+};
+
+stubModule('../services/redisService.js', {
+    isRedisConnected: () => redisUp,
+    getRedis: () => fakeRedis,
+    getRecentJoin: async (groupId, userId) => recentJoins.has(`${groupId}|${userId}`) ? Date.now() : null
+});
+
+// ─── Stub the global-ban helper used by the "kickglobal" reply ───────────────
+const globalBans = [];
+stubModule('../utils/globalBanHelper.js', {
+    removeUserFromAllAdminGroups: async (sock, userJid, adminPhone, phone) => {
+        globalBans.push({ userJid, adminPhone, phone });
+        return { userJid, removed: 2 };
+    },
+    formatGlobalBanReport: report => `🌍 Global Ban Complete: ${report.userJid} (${report.removed} groups)`
+});
+
+const { getFingerprints, normalizeText, checkCrossPost, getCrossPostAlert, kickCrossPostSenders, CROSS_POST } = require('../services/crossPostService');
+const config = require('../config');
+
+const SPAM = '🔥 Earn $500 a day from home!!! Message me now for details';
+const SPAMMER = '15551234567@s.whatsapp.net';
+const GROUPS = ['120363000000000001@g.us', '120363000000000002@g.us', '120363000000000003@g.us', '120363000000000004@g.us'];
+
+function makeSock() {
+    const sent = [];
+    const sock = {
+        sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: `alert${sent.length}` } }; },
+        groupMetadata: async groupId => ({ id: groupId, subject: `Group ${groupId.slice(-6, -5)}`, participants: [] })
+    };
+    return { sock, sent };
+}
+
+let messageCount = 0;
+function groupMessage(groupId, senderId, message) {
+    messageCount++;
+    return { key: { remoteJid: groupId, participant: senderId, id: `msg${messageCount}` }, message };
+}
+
+async function post(sock, groupId, senderId, text, message = { conversation: text }) {
+    const msg = groupMessage(groupId, senderId, message);
+    const deleted = await checkCrossPost(sock, msg, { groupId, senderId, messageText: text });
+    return { msg, deleted };
+}
+
+async function runTests() {
+    console.log('🧪 Testing cross-group spam detection\n');
+
+    // Test 1: fingerprints
+    {
+        assert('Punctuation, spacing and emoji ignored', normalizeText('Earn $500 a DAY!!! 🔥') === normalizeText('earn 500 a day'));
+        assert('Same text → same fingerprint', getFingerprints({}, SPAM)[0] === getFingerprints({}, SPAM.toUpperCase() + ' 💰')[0]);
+        assert('Short text not fingerprinted', getFingerprints({}, 'good morning').length === 0);
+        const image = { message: { imageMessage: { fileSha256: Buffer.from('same-image'), caption: '' } } };
+        assert('Image fingerprinted by file hash', /^media:/.test(getFingerprints(image, '')[0]));
+        const sticker = { message: { stickerMessage: { fileSha256: Buffer.from('popular-sticker') } } };
+        assert('Stickers not fingerprinted', getFingerprints(sticker, '').length === 0);
+    }
+
+    // Test 2: same sender in K groups → deleted everywhere + one alert
+    {
+        const { sock, sent } = makeSock();
+        queries.length = 0;
+        const results = [];
+        for (const groupId of GROUPS.slice(0, CROSS_POST.GROUPS_THRESHOLD)) {
+            results.push(await post(sock, groupId, SPAMMER, SPAM));
+        }
+        assert('Copies below the threshold pass', results.slice(0, -1).every(r => !r.deleted));
+        assert('Copy reaching the threshold is handled', results[results.length - 1].deleted === true);
+
+        const deletes = sent.filter(m => m.content.delete);
+        assert('Every copy deleted in its own group', deletes.length === CROSS_POST.GROUPS_THRESHOLD &&
+            deletes.every((d, i) => d.jid === GROUPS[i] && d.content.delete.id === results[i].msg.key.id));
+        const alerts = sent.filter(m => m.jid === `${config.ALERT_PHONE}@s.whatsapp.net`);
+        assert('One consolidated alert', alerts.length === 1);
+        assert('Alert lists sender, groups and reply option', /\+15551234567/.test(alerts[0].content.text) &&
+            /Group 1/.test(alerts[0].content.text) && /Group 3/.test(alerts[0].content.text) && /kickglobal/.test(alerts[0].content.text));
+        const audits = queries.filter(q => /INSERT INTO audit_log/i.test(q.sql) && q.params[0] === 'message_delete');
+        assert('Each deletion audited as cross_post', audits.length === CROSS_POST.GROUPS_THRESHOLD && audits.every(q => q.params[8] === 'auto:cross_post'));
+
+        sent.length = 0;
+        const late = await post(sock, GROUPS[3], SPAMMER, SPAM);
+        assert('Later copy deleted without a second alert', late.deleted && sent.length === 1 && sent[0].content.delete);
+    }
+
+    // Test 3: different established members posting the same text are left alone
+    {
+        store.clear();
+        const { sock, sent } = makeSock();
+        const announcement = 'Reminder: the school trip leaves at 8am tomorrow from the main gate';
+        for (let i = 0; i < GROUPS.length; i++) {
+            await post(sock, GROUPS[i], `97250000000${i}@s.whatsapp.net`, announcement);
+        }
+        assert('Forwarded announcement by different members not flagged', sent.length === 0);
+    }
+
+    // Test 4: different new joiners count as one campaign; "kickglobal" removes them all
+    {
+        store.clear();
+        const { sock, sent } = makeSock();
+        const joiners = ['15550000001@s.whatsapp.net', '15550000002@s.whatsapp.net', '15550000003@s.whatsapp.net'];
+        joiners.forEach((jid, i) => recentJoins.add(`${GROUPS[i]}|${jid}`));
+        const image = { imageMessage: { fileSha256: Buffer.from('crypto-scam.jpg'), caption: '' } };
+
+        const results = [];
+        for (let i = 0; i < joiners.length; i++) {
+            results.push(await post(sock, GROUPS[i], joiners[i], '', image));
+        }
+        assert('Image from 3 new joiners flagged', results[2].deleted && sent.filter(m => m.content.delete).length === 3);
+        const alert = sent.find(m => m.jid === `${config.ALERT_PHONE}@s.whatsapp.net`);
+        assert('Alert names all new joiners', alert && joiners.every(j => alert.content.text.includes(`+${j.split('@')[0]}`)) && /media/.test(alert.content.text));
+
+        const alertId = `alert${sent.indexOf(alert) + 1}`;
+        assert('Alert stored for the kickglobal reply', getCrossPostAlert(alertId)?.senders.length === 3);
+        const reports = await kickCrossPostSenders(sock, alertId, '972500000000');
+        assert('kickglobal removes every sender', globalBans.length === 3 && globalBans.every(b => b.adminPhone === '972500000000') && reports.length === 3);
+        assert('Alert consumed after kickglobal', getCrossPostAlert(alertId) === null);
+        assert('Unknown alert → nothing kicked', (await kickCrossPostSenders(sock, 'nope')).length === 0 && globalBans.length === 3);
+    }
+
+    // Test 5: no Redis → feature inactive
+    {
+        store.clear();
+        redisUp = false;
+        const { sock, sent } = makeSock();
+        for (const groupId of GROUPS) {
+            await post(sock, groupId, SPAMMER, SPAM);
+        }
+        assert('Nothing recorded or deleted without Redis', store.size === 0 && sent.length === 0);
+        redisUp = true;
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
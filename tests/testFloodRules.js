@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for per-group flood rules (services/floodService, #flood).
+ * Stubs database/connection and services/redisService (in-memory counters) so no live services are needed.
+ * Run: node tests/testFloodRules.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+let floodRulesRow = {};
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/SELECT flood_rules/i.test(sql)) {
+                return { rows: [{ flood_rules: floodRulesRow }] };
+            }
+            if (/SET flood_rules/i.test(sql)) {
+                floodRulesRow = JSON.parse(params[1]);
+                return { rows: [{ name: 'Test Group' }] };
+            }
+            return { rows: [], rowCount: 1 };
+        }
+    }
+};
+
+// ─── Stub Redis: isRateLimited with in-memory counters (windows never expire in a test run) ───
+const counters = new Map();
+let redisUp = true;
+
+const redisPath = path.join(__dirname, '../services/redisService.js');
+require.cache[redisPath] = {
+    id: redisPath,
+    filename: redisPath,
+    loaded: true,
+    exports: {
+        isRedisConnected: () => redisUp,
+        isRateLimited: async (key, limit) => {
+            if (!redisUp) return false;
+            const current = (counters.get(key) || 0) + 1;
+            counters.set(key, current);
+            return current > limit;
+        },
+        removeFromBlacklistCache: async () => {}
+    }
+};
+
+const floodService = require('../services/floodService');
+const { checkFlood, enforceFloodRules, formatFloodRules, ESCALATE_AFTER_EXCESS } = floodService;
+const muteService = require('../services/muteService');
+const groupService = require('../database/groupService');
+const CommandHandler = require('../services/commandHandler');
+const { parseFloodArgs } = CommandHandler;
+const config = require('../config');
+
+const GROUP = '120363000000000001@g.us';
+const USER = '972501112233@s.whatsapp.net';
+const OWNER = config.ALERT_PHONE;
+
+function textMsg(text, id = `m${Math.random()}`) {
+    return { key: { remoteJid: GROUP, participant: USER, id }, message: { conversation: text } };
+}
+
+function stickerMsg(id = `s${Math.random()}`) {
+    return { key: { remoteJid: GROUP, participant: USER, id }, message: { stickerMessage: {} } };
+}
+
+function makeSock() {
+    const sent = [];
+    const sock = {
+        sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: `out${sent.length}` } }; },
+        groupMetadata: async () => ({ id: GROUP, subject: 'Test Group', participants: [] })
+    };
+    return { sock, sent };
+}
+
+function groupMsg(text) {
+    return { key: { remoteJid: GROUP, participant: `${OWNER}@s.whatsapp.net`, id: `c${Date.now()}` }, message: { conversation: text } };
+}
+
+async function runTests() {
+    console.log('🧪 Testing flood rules\n');
+
+    // Test 1: parseFloodArgs
+    {
+        const t = (input, expected) => {
+            const got = parseFloodArgs(input);
+            assert(`parseFloodArgs('${input}')`, JSON.stringify(got) === JSON.stringify(expected), `got ${JSON.stringify(got)}`);
+        };
+        t('', { action: 'status' });
+        t('status', { action: 'status' });
+        t('off', { action: 'off' });
+        t('off media', { action: 'off', floodType: 'media' });
+        t('10/60 mute', { action: 'set', floodType: 'messages', count: 10, seconds: 60, response: 'mute' });
+        t('repeat 3/120s delete', { action: 'set', floodType: 'repeat', count: 3, seconds: 120, response: 'delete' });
+        t('media 5/30 alert 30m', { action: 'set', floodType: 'media', count: 5, seconds: 30, response: 'alert', muteMinutes: 30 });
+        t('10/60 delete 5', null);
+        t('10/60 kick', null);
+        t('0/60 mute', null);
+        t('repeat 1/60 delete', null);
+        t('10 mute', null);
+        t('off spam', null);
+    }
+
+    // Test 2: formatting
+    {
+        assert('No rules → off', formatFloodRules({}) === 'off');
+        const text = formatFloodRules({ messages: { count: 10, seconds: 60, action: 'alert', muteMinutes: 15 }, repeat: { count: 3, seconds: 120, action: 'delete' } });
+        assert('Rules listed with their ladder', text.includes('Messages: 10 per 60s → delete excess, mute 15 min, alert admins') && text.includes('Repeated text: 3 per 120s → delete excess'), text);
+    }
+
+    // Test 3: checkFlood counts messages, repeats and media separately
+    {
+        counters.clear();
+        const rules = {
+            messages: { count: 5, seconds: 60, action: 'mute', muteMinutes: 10 },
+            repeat: { count: 2, seconds: 60, action: 'delete' },
+            media: { count: 2, seconds: 30, action: 'delete' }
+        };
+        assert('First repeat allowed', await checkFlood(GROUP, USER, textMsg('Buy now'), 'Buy now', rules) === null);
+        assert('Second repeat allowed', await checkFlood(GROUP, USER, textMsg('buy  NOW'), 'buy  NOW', rules) === null);
+        const repeat = await checkFlood(GROUP, USER, textMsg('buy now'), 'buy now', rules);
+        assert('Third identical text breaks the repeat rule', repeat && repeat.type === 'repeat' && repeat.escalate === false);
+
+        counters.clear();
+        await checkFlood(GROUP, USER, stickerMsg(), '', rules);
+        await checkFlood(GROUP, USER, stickerMsg(), '', rules);
+        const media = await checkFlood(GROUP, USER, stickerMsg(), '', rules);
+        assert('Sticker burst breaks the media rule', media && media.type === 'media');
+
+        counters.clear();
+        const results = [];
+        for (let i = 0; i < 5 + ESCALATE_AFTER_EXCESS; i++) {
+            results.push(await checkFlood(GROUP, USER, textMsg(`msg ${i}`), `msg ${i}`, rules));
+        }
+        assert('Messages within the limit pass', results.slice(0, 5).every(r => r === null));
+        assert('Excess deleted before escalating', results[5].type === 'messages' && !results[5].escalate && !results[6].escalate);
+        assert(`Escalates on excess #${ESCALATE_AFTER_EXCESS}`, results[5 + ESCALATE_AFTER_EXCESS - 1].escalate === true);
+
+        redisUp = false;
+        assert('No Redis → never limited', await checkFlood(GROUP, USER, textMsg('x'), 'x', rules) === null);
+        redisUp = true;
+    }
+
+    // Test 4: enforceFloodRules deletes, mutes and alerts
+    {
+        counters.clear();
+        floodRulesRow = { messages: { count: 2, seconds: 60, action: 'alert', muteMinutes: 15 } };
+        await groupService.setFloodRules(GROUP, floodRulesRow);
+        const { sock, sent } = makeSock();
+        queries.length = 0;
+
+        const handled = [];
+        for (let i = 0; i < 2 + ESCALATE_AFTER_EXCESS; i++) {
+            handled.push(await enforceFloodRules(sock, textMsg(`hello ${i}`, `id${i}`), { groupId: GROUP, senderId: USER, messageText: `hello ${i}` }));
+        }
+        assert('Messages under the limit untouched', handled[0] === false && handled[1] === false);
+        const deletes = sent.filter(m => m.jid === GROUP && m.content.delete);
+        assert('Every excess message deleted', handled.slice(2).every(Boolean) && deletes.length === ESCALATE_AFTER_EXCESS && deletes[0].content.delete.id === 'id2');
+        assert('Member muted via muteService', muteService.isMuted(USER, GROUP) && muteService.getMuteRecord(USER, GROUP).mutedBy === 'auto:flood');
+
+        const audits = queries.filter(q => /INSERT INTO audit_log/i.test(q.sql));
+        assert('Each delete audited', audits.filter(q => q.params[0] === 'message_delete').length === ESCALATE_AFTER_EXCESS);
+        const muteAudit = audits.find(q => q.params[0] === 'mute');
+        assert('Mute audited with minutes', muteAudit && JSON.parse(muteAudit.params[5]).minutes === 15 && muteAudit.params[8] === 'auto:flood');
+        const alert = sent.find(m => m.jid === `${config.ALERT_PHONE}@s.whatsapp.net`);
+        assert('Admins alerted', alert && /Flood Detected/.test(alert.content.text) && alert.content.text.includes('Test Group'));
+
+        await muteService.removeMutedUser(USER, GROUP);
+    }
+
+    // Test 5: 'delete' rules never mute; no rules → nothing happens
+    {
+        counters.clear();
+        await groupService.setFloodRules(GROUP, { media: { count: 1, seconds: 30, action: 'delete' } });
+        const { sock, sent } = makeSock();
+        for (let i = 0; i < 6; i++) {
+            await enforceFloodRules(sock, stickerMsg(), { groupId: GROUP, senderId: USER, messageText: '' });
+        }
+        assert('Delete-only rule deletes the burst', sent.filter(m => m.content.delete).length === 5);
+        assert('Delete-only rule never mutes', !muteService.isMuted(USER, GROUP) && !sent.some(m => m.content.text));
+
+        await groupService.setFloodRules(GROUP, {});
+        assert('No rules → message passes', await enforceFloodRules(sock, textMsg('hi'), { groupId: GROUP, senderId: USER, messageText: 'hi' }) === false);
+    }
+
+    // Test 6: #flood sets, shows and removes rules
+    {
+        const { sock, sent } = makeSock();
+        const handler = new CommandHandler(sock);
+        queries.length = 0;
+
+        await handler.handleCommand(groupMsg('#flood 10/60 mute'), '#flood', ['10/60', 'mute'], true, true);
+        let rules = await groupService.getFloodRules(GROUP);
+        assert('Message rule stored with default mute', rules.messages && rules.messages.count === 10 && rules.messages.muteMinutes === 10);
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        const metadata = audit ? JSON.parse(audit.params[5]) : {};
+        assert('flood_policy audited', audit && audit.params[0] === 'flood_policy' && metadata.limit === 10 && metadata.windowSeconds === 60 && metadata.response === 'mute');
+
+        await handler.handleCommand(groupMsg('#flood media 5/30 delete'), '#flood', ['media', '5/30', 'delete'], true, true);
+        rules = await groupService.getFloodRules(GROUP);
+        assert('Second rule kept alongside the first', rules.messages && rules.media && rules.media.muteMinutes === undefined);
+        assert('Confirmation lists both rules', /Messages: 10 per 60s/.test(sent[sent.length - 1].content.text) && /Media \/ stickers: 5 per 30s/.test(sent[sent.length - 1].content.text));
+
+        await handler.handleCommand(groupMsg('#flood off messages'), '#flood', ['off', 'messages'], true, true);
+        rules = await groupService.getFloodRules(GROUP);
+        assert('#flood off <type> removes one rule', !rules.messages && rules.media);
+
+        redisUp = false;
+        await handler.handleCommand(groupMsg('#flood'), '#flood', [], true, true);
+        assert('Status warns when Redis is down', /not enforced/.test(sent[sent.length - 1].content.text));
+        redisUp = true;
+
+        await handler.handleCommand(groupMsg('#flood off'), '#flood', ['off'], true, true);
+        assert('#flood off clears every rule', Object.keys(await groupService.getFloodRules(GROUP)).length === 0);
+
+        await handler.handleCommand(groupMsg('#flood 10 mute'), '#flood', ['10', 'mute'], true, true);
+        assert('Bad input shows usage', /Usage: #flood/.test(sent[sent.length - 1].content.text));
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
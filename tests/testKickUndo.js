@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the 24h "undo" reply on kick alerts (utils/kickUndoRequests, sendKickAlert, CommandHandler.undoKick).
+ * Stubs database/connection and services/blacklistService so no live PostgreSQL is needed
+ * and the tracked blacklist_cache.json is never written; undo requests go to a temp file.
+ * Run: node tests/testKickUndo.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Before utils/kickUndoRequests loads, so the bot's own kick_undo_requests.json is never touched
+const STORE_FILE = path.join(os.tmpdir(), `commguard-kick-undo-${process.pid}.json`);
+process.env.KICK_UNDO_FILE = STORE_FILE;
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/UPDATE users/i.test(sql) && /violations = '\{\}'/i.test(sql)) {
+                return { rows: [], rowCount: params[0] === '972501112233' ? 1 : 0 };
+            }
+            if (/DELETE FROM kicked_users/i.test(sql)) {
+                return { rows: [], rowCount: params[0] === '972501112233' ? 1 : 0 };
+            }
+            return { rows: [], rowCount: 0 };
+        }
+    }
+};
+
+// ─── Stub services/blacklistService: its saveLocalCache() writes blacklist_cache.json ───
+const blacklistRemovals = [];
+
+const blacklistServicePath = path.join(__dirname, '../services/blacklistService.js');
+require.cache[blacklistServicePath] = {
+    id: blacklistServicePath,
+    filename: blacklistServicePath,
+    loaded: true,
+    exports: {
+        loadBlacklistCache: async () => true,
+        isBlacklisted: async () => false,
+        addToBlacklist: async () => true,
+        removeFromBlacklist: async (userId) => { blacklistRemovals.push(userId); return true; },
+        blacklistCache: new Set()
+    }
+};
+
+const BLACKLIST_CACHE_FILE = path.join(__dirname, '../blacklist_cache.json');
+const blacklistCacheBefore = fs.existsSync(BLACKLIST_CACHE_FILE) ? fs.readFileSync(BLACKLIST_CACHE_FILE, 'utf8') : null;
+
+const { storeKickUndo, getKickUndo, removeKickUndo, UNDO_WINDOW_MS } = require('../utils/kickUndoRequests');
+const { sendKickAlert } = require('../utils/alertService');
+const CommandHandler = require('../services/commandHandler');
+const { kickedUserService } = require('../services/kickedUserService');
+
+const GROUP = '120363000000000001@g.us';
+
+function makeSock({ addStatus = '200', addThrows = false } = {}) {
+    const sent = [];
+    const updates = [];
+    const sock = {
+        sendMessage: async (jid, content) => {
+            const id = `alert${sent.length + 1}-${Date.now()}`;
+            sent.push({ jid, text: content.text, id });
+            return { key: { id } };
+        },
+        groupParticipantsUpdate: async (groupId, ids, action) => {
+            updates.push({ groupId, ids, action });
+            if (addThrows) throw new Error('not-authorized');
+            return ids.map(jid => ({ jid, status: addStatus }));
+        },
+        groupInviteCode: async () => 'abc123'
+    };
+    return { sock, sent, updates };
+}
+
+async function runTests() {
+    console.log('🧪 Testing kick undo\n');
+
+    // Test 1: every kick alert offers undo and is remembered for 24h
+    {
+        const { sock, sent } = makeSock();
+        for (const reason of ['invite_link', 'kicked_by_admin', 'blacklisted']) {
+            sent.length = 0;
+            const result = await sendKickAlert(sock, {
+                userPhone: '972501112233',
+                userName: 'Spammer',
+                groupName: 'Test Group',
+                groupId: GROUP,
+                reason,
+                userId: '972501112233@s.whatsapp.net'
+            });
+            const alert = sent[sent.length - 1];
+            assert(`${reason} alert mentions undo`, alert && /undo/i.test(alert.text), alert && alert.text);
+
+            const stored = alert ? getKickUndo(alert.id) : null;
+            assert(`${reason} alert stored for undo`, stored && stored.userPhone === '972501112233' && stored.groupId === GROUP && stored.reason === reason);
+            assert(`${reason} alert keeps the group link`, stored && stored.groupInviteLink === 'https://chat.whatsapp.com/abc123');
+            if (reason === 'blacklisted') {
+                assert('Default alert still returns true', result === true);
+            }
+        }
+    }
+
+    // Test 2: records expire after 24h and can be removed
+    {
+        storeKickUndo('old-alert', { userId: '1@s.whatsapp.net', userPhone: '1', groupId: GROUP, reason: 'x' });
+        const saved = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+        assert('Undo record persisted to disk', !!saved['old-alert']);
+
+        const realNow = Date.now;
+        Date.now = () => realNow() + UNDO_WINDOW_MS + 1000;
+        assert('Record expires after 24h', getKickUndo('old-alert') === null);
+        Date.now = realNow;
+
+        storeKickUndo('removed-alert', { userId: '1@s.whatsapp.net', userPhone: '1', groupId: GROUP, reason: 'x' });
+        removeKickUndo('removed-alert');
+        assert('Removed record is gone', getKickUndo('removed-alert') === null);
+    }
+
+    // Test 3: undo re-adds the user, clears violations and audits
+    {
+        const { sock, sent, updates } = makeSock();
+        const handler = new CommandHandler(sock);
+        await kickedUserService.recordKickedUser('972501112233@s.whatsapp.net', GROUP, 'Test Group', 'N/A', 'invite_link');
+        queries.length = 0;
+        const report = await handler.undoKick({
+            userId: '972501112233@s.whatsapp.net',
+            userPhone: '972501112233',
+            groupId: GROUP,
+            groupName: 'Test Group',
+            groupInviteLink: 'https://chat.whatsapp.com/old',
+            reason: 'invite_link'
+        }, '972509999999@s.whatsapp.net');
+
+        const add = updates.find(u => u.action === 'add');
+        assert('Blacklist removal goes through blacklistService', blacklistRemovals.includes('972501112233'), JSON.stringify(blacklistRemovals));
+        assert('User re-added by phone JID', add && add.groupId === GROUP && add.ids[0] === '972501112233@s.whatsapp.net');
+        assert('Violations cleared', queries.some(q => /UPDATE users/i.test(q.sql) && q.params[0] === '972501112233'));
+        assert('No DM when the add works', sent.length === 0);
+        assert('Report lists each step', /Removed from blacklist/.test(report) && /Violations cleared/.test(report) && /Re-added to Test Group/.test(report));
+        assert('Kick record removed', !kickedUserService.kickedUserCache.has(`972501112233:${GROUP}`) && /Kick record removed/.test(report) &&
+            queries.some(q => /DELETE FROM kicked_users/i.test(q.sql) && q.params[0] === '972501112233' && q.params[1] === GROUP));
+
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        const metadata = audit ? JSON.parse(audit.params[5]) : {};
+        assert('kick_undo audited', audit && audit.params[0] === 'kick_undo' && audit.params[7] === '972501112233' && audit.params[8] === '972509999999');
+        assert('Audit metadata records the outcome', metadata.readded === true && metadata.rejoinLinkSent === false && metadata.violationsCleared === true && metadata.kickReason === 'invite_link');
+    }
+
+    // Test 4: refused add falls back to a DM with the rejoin link
+    {
+        const { sock, sent } = makeSock({ addStatus: '403' });
+        const handler = new CommandHandler(sock);
+        queries.length = 0;
+        const report = await handler.undoKick({
+            userId: '123456789@lid',
+            userPhone: '972504445566',
+            groupId: GROUP,
+            groupName: 'Test Group',
+            reason: 'blacklisted'
+        }, '972509999999');
+
+        const dm = sent.find(m => m.jid === '972504445566@s.whatsapp.net');
+        assert('Rejoin link DMed to the user', dm && dm.text.includes('https://chat.whatsapp.com/abc123'));
+        assert('DM lines are not indented', dm && dm.text.split('\n').every(line => !/^\s/.test(line)) &&
+            dm.text.endsWith('rejoin here:\n\nhttps://chat.whatsapp.com/abc123'), dm && JSON.stringify(dm.text));
+        assert('Report explains the refusal', /status 403/.test(report) && /Rejoin link sent/.test(report));
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        const metadata = audit ? JSON.parse(audit.params[5]) : {};
+        assert('Audit marks the fallback', metadata.readded === false && metadata.rejoinLinkSent === true);
+    }
+
+    // Test 5: add error and no link available
+    {
+        const { sock, sent } = makeSock({ addThrows: true });
+        sock.groupInviteCode = async () => { throw new Error('not-admin'); };
+        const handler = new CommandHandler(sock);
+        const report = await handler.undoKick({
+            userId: '972507778899@s.whatsapp.net',
+            userPhone: '972507778899',
+            groupId: GROUP,
+            groupName: 'Test Group',
+            groupInviteLink: 'N/A',
+            reason: 'kicked_by_admin'
+        }, '972509999999');
+        assert('No DM without a link', sent.length === 0);
+        assert('Admin told to add manually', /Re-add failed: not-authorized/.test(report) && /add the user manually/.test(report));
+    }
+
+    try { fs.unlinkSync(STORE_FILE); } catch (e) { /* already gone */ }
+
+    const blacklistCacheAfter = fs.existsSync(BLACKLIST_CACHE_FILE) ? fs.readFileSync(BLACKLIST_CACHE_FILE, 'utf8') : null;
+    assert('blacklist_cache.json left untouched', blacklistCacheAfter === blacklistCacheBefore);
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
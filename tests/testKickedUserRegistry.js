@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the kicked-user rejoin registry (kicked_users table).
+ * Stubs database/connection so no live PostgreSQL is needed.
+ * Run: node tests/testKickedUserRegistry.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before kickedUserService loads it ──────────────
+const queries = [];
+let dbRows = [];
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/SELECT/i.test(sql)) return { rows: dbRows };
+            return { rows: [], rowCount: 0 };
+        }
+    }
+};
+
+const { kickedUserService } = require('../services/kickedUserService');
+
+const USER = '972555123456@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+const ADMIN = '972501111111@s.whatsapp.net';
+
+const fakeSock = {
+    groupInviteCode: async () => 'ABCDEF123'
+};
+
+const groupMetadata = {
+    subject: 'Parents Group',
+    participants: [
+        { id: ADMIN, admin: 'superadmin', notify: 'Dana' },
+        { id: '123456789012345@lid', admin: 'admin', phoneNumber: '972502222222@s.whatsapp.net' },
+        { id: USER, admin: null }
+    ]
+};
+
+async function runTests() {
+    console.log('🧪 Testing kicked-user rejoin registry\n');
+
+    // Test 1: recordKick captures invite link, admins, reason and kicking admin
+    {
+        const ok = await kickedUserService.recordKick(fakeSock, {
+            userId: USER,
+            groupId: GROUP,
+            groupMetadata,
+            reason: 'Sent invite link',
+            kickedBy: ADMIN
+        });
+        const insert = queries.find(q => /INSERT INTO kicked_users/i.test(q.sql));
+        assert('recordKick succeeds', ok === true);
+        assert('Row persisted to kicked_users', !!insert);
+        assert('Invite link captured at kick time', insert && insert.params[4] === 'https://chat.whatsapp.com/ABCDEF123');
+        const admins = insert ? JSON.parse(insert.params[5]) : [];
+        assert('Admin list captured (admins only)', admins.length === 2 && admins[0].name === 'Dana');
+        assert('LID admin shows real phone', admins[1] && admins[1].isLID === true && admins[1].phone === '972502222222');
+        assert('Reason + kicking admin persisted', insert && insert.params[6] === 'Sent invite link' && insert.params[7] === ADMIN);
+    }
+
+    // Test 2: recordKick never throws when the invite code is unavailable
+    {
+        const ok = await kickedUserService.recordKick({ groupInviteCode: async () => { throw new Error('not-authorized'); } }, {
+            userId: '972509999999@s.whatsapp.net',
+            groupId: GROUP,
+            reason: 'Restricted country code (+1)',
+            kickedBy: 'auto:country_code'
+        });
+        const rows = await kickedUserService.getRejoinInfo('972509999999', false, null, true);
+        assert('Kick recorded without invite link', ok === true && rows[0].groupInviteLink === 'N/A');
+        assert('Automatic rule stored as kickedBy', rows[0].kickedBy === 'auto:country_code');
+    }
+
+    // Test 3: pending kicks are hidden from users until unblacklisted, visible to admins
+    {
+        assert('Not offered before approval', (await kickedUserService.getRejoinInfo(USER, false)).length === 0);
+        assert('Visible with includePending', (await kickedUserService.getRejoinInfo(USER, false, null, true)).length === 1);
+
+        queries.length = 0;
+        await kickedUserService.enableRejoin(USER);
+        const update = queries.find(q => /UPDATE kicked_users/i.test(q.sql) && /can_rejoin = true/i.test(q.sql));
+        assert('enableRejoin persisted', update && update.params[0] === '972555123456');
+        const ready = await kickedUserService.getRejoinInfo(USER, true, 'invite link');
+        assert('Offered after approval (reason filter matches)', ready.length === 1 && ready[0].canRejoin === true);
+    }
+
+    // Test 4: kicks from weeks ago are restored after a restart
+    {
+        const sixWeeksAgo = new Date(Date.now() - 42 * 24 * 60 * 60 * 1000);
+        dbRows = [{
+            user_phone: '972507777777',
+            user_jid: '972507777777@s.whatsapp.net',
+            whatsapp_group_id: GROUP,
+            group_name: 'Parents Group',
+            group_invite_link: 'https://chat.whatsapp.com/OLDLINK',
+            admin_list: [{ name: 'Dana', phone: '972501111111', isLID: false }],
+            reason: 'Kicked by admin (#kick)',
+            kicked_by: ADMIN,
+            kicked_at: sixWeeksAgo,
+            can_rejoin: true,
+            approved_at: new Date(),
+            rejoined_at: null
+        }];
+        await kickedUserService.loadKickedUserCache();
+        const all = await kickedUserService.getRejoinInfo('972507777777', false);
+        assert('Old kick restored from DB', all.length === 1 && all[0].groupInviteLink === 'https://chat.whatsapp.com/OLDLINK');
+        assert('Old kick keeps kicking admin', all[0].kickedBy === ADMIN);
+        assert('recentOnly hides kicks older than 30 days', (await kickedUserService.getRejoinInfo('972507777777', true)).length === 0);
+    }
+
+    // Test 5: rejoin is persisted
+    {
+        queries.length = 0;
+        await kickedUserService.recordRejoin('972507777777@s.whatsapp.net', GROUP);
+        const update = queries.find(q => /UPDATE kicked_users/i.test(q.sql) && /rejoined_at = NOW\(\)/i.test(q.sql));
+        assert('recordRejoin persisted', update && update.params[1] === GROUP);
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
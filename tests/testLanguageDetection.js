@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for local language detection (utils/languageUtils) and multi-source #autotranslate.
+ * Stubs database/connection - no database needed.
+ * Run: node tests/testLanguageDetection.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+let storedFrom = null;
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/SELECT auto_translate_from/i.test(sql)) {
+                return { rows: [{ auto_translate_from: storedFrom, auto_translate_to: storedFrom ? 'he' : null }] };
+            }
+            if (/SET auto_translate_from/i.test(sql)) {
+                storedFrom = params[1];
+                return { rows: [{ whatsapp_group_id: params[0] }] };
+            }
+            return { rows: [], rowCount: 1 };
+        }
+    }
+};
+
+const { detectLanguage, detectSourceLanguage, DETECTABLE_LANGUAGES, AUTO_TRANSLATE_MIN_CONFIDENCE } = require('../utils/languageUtils');
+const groupService = require('../database/groupService');
+const CommandHandler = require('../services/commandHandler');
+const { parseAutoTranslateArgs } = CommandHandler;
+const config = require('../config');
+
+const GROUP = '120363000000000002@g.us';
+
+function groupMsg(text) {
+    return { key: { remoteJid: GROUP, participant: `${config.ALERT_PHONE}@s.whatsapp.net`, id: `l${Date.now()}` }, message: { conversation: text } };
+}
+
+async function runTests() {
+    console.log('🧪 Testing language detection\n');
+
+    // Test 1: one language per script, plus en/fr by stop words
+    {
+        const cases = [
+            ['שלום לכולם, מה נשמע?', 'he'],
+            ['Привет всем, как дела?', 'ru'],
+            ['مرحبا كيف حالك يا صديقي', 'ar'],
+            ['ሰላም እንዴት ነህ', 'am'],
+            ['Hello everyone, see you tonight', 'en'],
+            ['Bonjour à tous, merci pour la photo', 'fr']
+        ];
+        for (const [text, expected] of cases) {
+            const result = detectLanguage(text);
+            assert(`${expected}: "${text}"`, result.language === expected && result.confidence >= AUTO_TRANSLATE_MIN_CONFIDENCE,
+                `got ${result.language} ${result.confidence.toFixed(2)}`);
+        }
+        assert('All six languages detectable', ['he', 'ru', 'ar', 'en', 'fr', 'am'].every(lang => DETECTABLE_LANGUAGES.includes(lang)));
+    }
+
+    // Test 2: mixed and unknown text
+    {
+        const mixed = detectLanguage('Hello привет');
+        assert('Mixed Latin/Cyrillic below the threshold', mixed.confidence < AUTO_TRANSLATE_MIN_CONFIDENCE, `got ${mixed.confidence.toFixed(2)}`);
+        const half = detectLanguage('שלום עולם Привет мир');
+        assert('Half Hebrew, half Russian below the threshold', half.confidence < AUTO_TRANSLATE_MIN_CONFIDENCE, `got ${half.confidence.toFixed(2)}`);
+        const mostly = detectLanguage('שלום, как у тебя дела сегодня?');
+        assert('Mostly Russian with a Hebrew greeting is Russian', mostly.language === 'ru' && mostly.confidence >= AUTO_TRANSLATE_MIN_CONFIDENCE);
+        assert('Latin text without clues is undecided', detectLanguage('Good morning').language === null);
+        assert('Emoji and numbers only', detectLanguage('😀 123 !!').language === null && detectLanguage('😀 123 !!').confidence === 0);
+        assert('Empty and null input', detectLanguage('').language === null && detectLanguage(null).language === null);
+        assert('URLs and mentions ignored', detectLanguage('@972501234567 Привет https://example.com/page').language === 'ru' &&
+            detectLanguage('Привет https://example.com/page').confidence === 1);
+        const scores = detectLanguage('Bonjour à tous').scores;
+        assert('Scores cover every language and sum to 1', DETECTABLE_LANGUAGES.every(lang => lang in scores) &&
+            Math.abs(Object.values(scores).reduce((a, b) => a + b, 0) - 1) < 1e-9);
+    }
+
+    // Test 3: detectSourceLanguage gates auto-translate
+    {
+        assert('Configured source returned', detectSourceLanguage('مرحبا كيف حالك', ['ru', 'ar']) === 'ar');
+        assert('Other languages ignored', detectSourceLanguage('שלום לכולם', ['ru', 'ar']) === null);
+        assert('Mixed text ignored', detectSourceLanguage('שלום עולם Привет мир', ['ru']) === null);
+        assert('Threshold can be lowered', detectSourceLanguage('שלום עולם Привет мир', ['ru'], 0.5) === 'ru');
+    }
+
+    // Test 4: parseAutoTranslateArgs with several sources
+    {
+        const t = (input, expected) => {
+            const got = parseAutoTranslateArgs(input);
+            assert(`parseAutoTranslateArgs('${input}')`, JSON.stringify(got) === JSON.stringify(expected), `got ${JSON.stringify(got)}`);
+        };
+        t('on ru+ar,he', { action: 'on', from: 'ru+ar', to: 'he' });
+        t('on RU+AR+RU,HE', { action: 'on', from: 'ru+ar', to: 'he' });
+        t('on ru+,he', null);
+        t('on ar,he', { action: 'on', from: 'ar', to: 'he' });
+    }
+
+    // Test 5: #autotranslate on stores the sources; getGroupAutoTranslate splits them
+    {
+        const sent = [];
+        const sock = { sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: `out${sent.length}` } }; } };
+        const handler = new CommandHandler(sock);
+
+        await handler.handleCommand(groupMsg('#autotranslate on ru+ar,he'), '#autotranslate', ['on', 'ru+ar,he'], true, true);
+        const update = queries.find(q => /SET auto_translate_from/i.test(q.sql));
+        assert('Sources stored joined with +', update && update.params[1] === 'ru+ar' && update.params[2] === 'he');
+        assert('Reply names every source', /Russian or Arabic/.test(sent[sent.length - 1].content.text), sent[sent.length - 1]?.content.text);
+
+        const setting = await groupService.getGroupAutoTranslate(GROUP);
+        assert('getGroupAutoTranslate returns the source list', setting.from === 'ru+ar' && setting.sources.join() === 'ru,ar' && setting.to === 'he');
+
+        queries.length = 0;
+        await handler.handleCommand(groupMsg('#autotranslate on es,he'), '#autotranslate', ['on', 'es,he'], true, true);
+        assert('Undetectable source refused', /Can't detect es/.test(sent[sent.length - 1].content.text) && !queries.some(q => /SET auto_translate_from/i.test(q.sql)));
+        await handler.handleCommand(groupMsg('#autotranslate on ru+he,he'), '#autotranslate', ['on', 'ru+he,he'], true, true);
+        assert('Target as a source refused', /both a source and the target/.test(sent[sent.length - 1].content.text) && !queries.some(q => /SET auto_translate_from/i.test(q.sql)));
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
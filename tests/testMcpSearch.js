@@ -13,7 +13,8 @@ async function testSearchService() {
     
     console.log('1. Testing service initialization...');
     try {
-        await searchService.initialize();
+        // Offline stub unless a real backend is configured
+        await searchService.initialize(process.env.SEARCH_BACKEND || (process.env.SEARXNG_URL ? 'searxng' : 'stub'));
         console.log('   ✅ Service initialized');
         console.log(`   Connected: ${searchService.isConnected}`);
     } catch (error) {
@@ -95,6 +96,7 @@ async function testSearchService() {
     console.log('\n7. Service statistics:');
     const stats = searchService.getStats();
     console.log(`   Connected: ${stats.connected}`);
+    console.log(`   Backend: ${stats.backend}`);
     console.log(`   Cached searches: ${stats.cachedSearches}`);
     console.log(`   Rate limited users: ${stats.rateLimitedUsers}`);
     
@@ -12,25 +12,26 @@ async function testMuteFunctionality() {
     console.log(`[${getTimestamp()}] 🧪 Testing Mute Functionality\n`);
     
     const testUserId = '972555123456@s.whatsapp.net';
+    const testGroupId = '120363000000000000@g.us';
     const muteMinutes = 30;
     const muteUntil = Date.now() + (muteMinutes * 60000);
     
     try {
         console.log('1. Testing addMutedUser...');
-        const addResult = await addMutedUser(testUserId, muteUntil);
+        const addResult = await addMutedUser(testUserId, testGroupId, muteUntil);
         console.log(`   ✅ Add result: ${addResult}`);
         
         console.log('\n2. Testing isMuted...');
-        const isUserMuted = isMuted(testUserId);
+        const isUserMuted = isMuted(testUserId, testGroupId);
         console.log(`   ✅ Is muted: ${isUserMuted}`);
         
         console.log('\n3. Testing getRemainingMuteTime...');
-        const remainingTime = getRemainingMuteTime(testUserId);
+        const remainingTime = getRemainingMuteTime(testUserId, testGroupId);
         console.log(`   ✅ Remaining time: ${remainingTime}`);
         
         console.log('\n4. Testing message count increment...');
         for (let i = 1; i <= 10; i++) {
-            const count = incrementMutedMessageCount(testUserId);
+            const count = incrementMutedMessageCount(testUserId, testGroupId);
             console.log(`   Message ${i}: Count = ${count}`);
             
             if (count === 7) {
@@ -45,15 +46,15 @@ async function testMuteFunctionality() {
         }
         
         console.log('\n5. Testing final message count...');
-        const finalCount = getMutedMessageCount(testUserId);
+        const finalCount = getMutedMessageCount(testUserId, testGroupId);
         console.log(`   ✅ Final count: ${finalCount}`);
         
         console.log('\n6. Testing removeMutedUser...');
-        const removeResult = await removeMutedUser(testUserId);
+        const removeResult = await removeMutedUser(testUserId, testGroupId);
         console.log(`   ✅ Remove result: ${removeResult}`);
         
         console.log('\n7. Testing after removal...');
-        const isStillMuted = isMuted(testUserId);
+        const isStillMuted = isMuted(testUserId, testGroupId);
         console.log(`   ✅ Still muted: ${isStillMuted}`);
         
         console.log(`\n[${getTimestamp()}] ✅ All mute functionality tests completed successfully!`);
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for muteService persistence and per-group scoping.
+ * Stubs database/connection so no live PostgreSQL is needed.
+ * Run: node tests/testMutePersistence.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before muteService loads it ───────────────────
+const queries = [];
+let dbRows = [];
+let dbDown = false;
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            if (dbDown) throw new Error('Database not initialized');
+            queries.push({ sql, params });
+            if (/SELECT/i.test(sql)) return { rows: dbRows };
+            return { rows: [] };
+        }
+    }
+};
+
+const muteService = require('../services/muteService');
+
+const USER = '972555123456@s.whatsapp.net';
+const GROUP_A = '120363000000000001@g.us';
+const GROUP_B = '120363000000000002@g.us';
+
+async function runTests() {
+    console.log('🧪 Testing muteService persistence\n');
+
+    // Test 1: mute is scoped to the group it was issued in
+    {
+        await muteService.addMutedUser(USER, GROUP_A, Date.now() + 60000);
+        assert('Muted in group A', muteService.isMuted(USER, GROUP_A) === true);
+        assert('Not muted in group B', muteService.isMuted(USER, GROUP_B) === false);
+    }
+
+    // Test 2: mute is written through to PostgreSQL
+    {
+        const insert = queries.find(q => /INSERT INTO mutes/i.test(q.sql));
+        assert('INSERT INTO mutes issued', !!insert);
+        assert('INSERT carries group + normalized JID', insert && insert.params[0] === GROUP_A && insert.params[1] === USER);
+    }
+
+    // Test 3: unmute deletes the persisted row for that group only
+    {
+        await muteService.addMutedUser(USER, GROUP_B, Date.now() + 60000);
+        queries.length = 0;
+        await muteService.removeMutedUser(USER, GROUP_A);
+        const del = queries.find(q => /DELETE FROM mutes/i.test(q.sql));
+        assert('DELETE FROM mutes issued', !!del);
+        assert('DELETE scoped to group A', del && del.params[0] === GROUP_A);
+        assert('Still muted in group B', muteService.isMuted(USER, GROUP_B) === true);
+        await muteService.removeMutedUser(USER, GROUP_B);
+    }
+
+    // Test 4: loadMutedUsers hydrates the cache after a "restart"
+    {
+        dbRows = [
+            { whatsapp_group_id: GROUP_A, user_jid: USER, muted_until_ms: String(Date.now() + 120000) }
+        ];
+        await muteService.loadMutedUsers();
+        assert('Mute restored from DB', muteService.isMuted(USER, GROUP_A) === true);
+        assert('Restored mute stays group-scoped', muteService.isMuted(USER, GROUP_B) === false);
+        assert('Remaining time reported', muteService.getRemainingMuteTime(USER, GROUP_A) === '2 minutes');
+        assert('getMutedUsers(groupId) filters by group', muteService.getMutedUsers(GROUP_B).size === 0 && muteService.getMutedUsers(GROUP_A).size === 1);
+    }
+
+    // Test 5: message counters are per group
+    {
+        muteService.incrementMutedMessageCount(USER, GROUP_A);
+        muteService.incrementMutedMessageCount(USER, GROUP_A);
+        assert('Counter increments in group A', muteService.getMutedMessageCount(USER, GROUP_A) === 2);
+        assert('Counter untouched in group B', muteService.getMutedMessageCount(USER, GROUP_B) === 0);
+    }
+
+    // Test 6: DB outage falls back to memory instead of failing the mute
+    {
+        dbDown = true;
+        const ok = await muteService.addMutedUser(USER, GROUP_B, Date.now() + 60000);
+        assert('addMutedUser succeeds with DB down', ok === true);
+        assert('Memory mute active with DB down', muteService.isMuted(USER, GROUP_B) === true);
+        dbDown = false;
+    }
+
+    // Test 7: expired mute is treated as unmuted
+    {
+        await muteService.addMutedUser(USER, GROUP_A, Date.now() - 1000);
+        assert('Expired mute → not muted', muteService.isMuted(USER, GROUP_A) === false);
+    }
+
+    // Test 8: mute record keeps issuing admin + reason and persists them
+    {
+        const ADMIN = '972501111111@s.whatsapp.net';
+        queries.length = 0;
+        await muteService.addMutedUser(USER, GROUP_A, Date.now() + 60000, { mutedBy: ADMIN, reason: 'flooding' });
+        const record = muteService.getMuteRecord(USER, GROUP_A);
+        assert('Record carries groupId', record && record.groupId === GROUP_A);
+        assert('Record carries issuing admin', record && record.mutedBy === ADMIN);
+        assert('Record carries reason', record && record.reason === 'flooding');
+        assert('Record carries creation time', record && typeof record.createdAt === 'number');
+        const insert = queries.find(q => /INSERT INTO mutes/i.test(q.sql));
+        assert('INSERT persists muted_by + reason', insert && insert.params[3] === ADMIN && insert.params[4] === 'flooding');
+        assert('No record in other group', muteService.getMuteRecord(USER, GROUP_B) === null || muteService.getMuteRecord(USER, GROUP_B).mutedBy !== ADMIN);
+    }
+
+    // Test 9: issuer/reason/created_at survive a restart
+    {
+        const createdAt = Date.now() - 300000;
+        dbRows = [
+            {
+                whatsapp_group_id: GROUP_A,
+                user_jid: USER,
+                muted_by: '972502222222@s.whatsapp.net',
+                reason: 'links',
+                muted_until_ms: String(Date.now() + 60000),
+                created_at_ms: String(createdAt)
+            }
+        ];
+        await muteService.loadMutedUsers();
+        const record = muteService.getMuteRecord(USER, GROUP_A);
+        assert('Hydrated record has issuer', record && record.mutedBy === '972502222222@s.whatsapp.net');
+        assert('Hydrated record has reason', record && record.reason === 'links');
+        assert('Hydrated record has creation time', record && record.createdAt === createdAt);
+        assert('Unmuted user has no record', (await muteService.removeMutedUser(USER, GROUP_A)) && muteService.getMuteRecord(USER, GROUP_A) === null);
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -314,6 +314,22 @@ if (indexContent) {
         : '';
     assert(/quoted.*msg|msg.*quoted/.test(perGroupBlock),
         'translation sendMessage in index.js quotes the original message');
+
+    // Invite spam in a source language must reach invite-link moderation, not be translated and reposted
+    const { detectSourceLanguage } = require('../utils/languageUtils');
+    const { PATTERNS } = require('../config');
+    const spam = 'הצטרפו לקבוצה החדשה שלנו https://chat.whatsapp.com/AbCdEfGhIjKl';
+    assert(detectSourceLanguage(spam, ['he', 'ru']) === 'he' && spam.match(PATTERNS.INVITE_LINK),
+        'invite spam is in a source language and matches INVITE_LINK');
+    const blockStart = indexContent.lastIndexOf('if (chatId', perGroupCallIdx);
+    const blockEnd = indexContent.indexOf('// Check for immediate auto-translation', blockStart);
+    const fullBlock = indexContent.slice(blockStart, blockEnd);
+    assert(!/\breturn\b/.test(fullBlock),
+        'per-group block falls through to invite and URL moderation');
+    assert(/!\(messageText && messageText\.match\(config\.PATTERNS\.INVITE_LINK\)\)/.test(fullBlock),
+        'messages with an invite link are not auto-translated');
+    assert(indexContent.indexOf('messageText.match(config.PATTERNS.INVITE_LINK)', blockEnd) > blockEnd,
+        'invite-link detection runs after the per-group block');
 }
 
 // ─── 7. commandHandler — per-group scope, not global config ─────────────────
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for new-member probation (services/probationService, #probation).
+ * Stubs database/connection and services/redisService (in-memory cache) so no live services are needed.
+ * Run: node tests/testProbation.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+function stubModule(relativePath, exports) {
+    const modulePath = path.join(__dirname, relativePath);
+    require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports };
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+let probationRow = { probation_hours: null, probation_messages: null };
+
+stubModule('../database/connection.js', {
+    query: async (sql, params = []) => {
+        queries.push({ sql, params });
+        if (/SELECT probation_hours/i.test(sql)) {
+            return { rows: [probationRow] };
+        }
+        if (/SET probation_hours/i.test(sql)) {
+            probationRow = { probation_hours: params[1], probation_messages: params[2] };
+            return { rows: [{ name: 'Test Group' }] };
+        }
+        return { rows: [], rowCount: 1 };
+    }
+});
+
+// ─── Stub Redis: the general cache in memory (TTLs are not simulated) ────────
+const store = new Map();
+let redisUp = true;
+
+stubModule('../services/redisService.js', {
+    isRedisConnected: () => redisUp,
+    cache: async (key, value) => { if (redisUp) store.set(key, JSON.stringify(value)); },
+    getCached: async key => redisUp && store.has(key) ? JSON.parse(store.get(key)) : null,
+    deleteCached: async key => { store.delete(key); },
+    isRateLimited: async () => false,
+    removeFromBlacklistCache: async () => {}
+});
+
+const {
+    startProbation, getProbation, classifyRestricted, enforceProbation,
+    getProbationAlert, applyProbationDecision, formatProbationPolicy
+} = require('../services/probationService');
+const groupService = require('../database/groupService');
+const CommandHandler = require('../services/commandHandler');
+const { parseProbationArgs } = CommandHandler;
+const config = require('../config');
+
+const GROUP = '120363000000000001@g.us';
+const NEWBIE = '15551234567@s.whatsapp.net';
+const NEWBIE_LID = '987654321098765@lid';
+const POLICY = { hours: 24, messages: 3 };
+const ADMIN_JID = `${config.ALERT_PHONE}@s.whatsapp.net`;
+
+function makeSock() {
+    const sent = [];
+    const removed = [];
+    const sock = {
+        sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: `out${sent.length}` } }; },
+        groupMetadata: async () => ({ id: GROUP, subject: 'Test Group', participants: [] }),
+        groupParticipantsUpdate: async (groupId, users, action) => { removed.push({ groupId, users, action }); return [{ status: '200' }]; },
+        groupInviteCode: async () => 'INVITE123'
+    };
+    return { sock, sent, removed };
+}
+
+let messageCount = 0;
+function groupMessage(message, senderId = NEWBIE) {
+    messageCount++;
+    return { key: { remoteJid: GROUP, participant: senderId, id: `msg${messageCount}` }, message };
+}
+
+function groupMsg(text) {
+    return { key: { remoteJid: GROUP, participant: ADMIN_JID, id: `c${Date.now()}` }, message: { conversation: text } };
+}
+
+async function runTests() {
+    console.log('🧪 Testing new-member probation\n');
+
+    // Test 1: parseProbationArgs
+    {
+        const t = (input, expected) => {
+            const got = parseProbationArgs(input);
+            assert(`parseProbationArgs('${input}')`, JSON.stringify(got) === JSON.stringify(expected), `got ${JSON.stringify(got)}`);
+        };
+        t('', { action: 'status' });
+        t('status', { action: 'status' });
+        t('off', { action: 'off' });
+        t('on', { action: 'set', hours: 24, messages: 5 });
+        t('24h 5', { action: 'set', hours: 24, messages: 5 });
+        t('on 48h', { action: 'set', hours: 48, messages: null });
+        t('3d 10msgs', { action: 'set', hours: 72, messages: 10 });
+        t('10', { action: 'set', hours: 24, messages: 10 });
+        t('0h', null);
+        t('24h 0', null);
+        t('24h 12h', null);
+        t('forever', null);
+        t('off now', null);
+    }
+
+    // Test 2: what counts as restricted
+    {
+        assert('Plain text allowed', classifyRestricted({ message: { conversation: 'hi all' } }, 'hi all') === null);
+        assert('Link held', classifyRestricted({ message: { conversation: 'see www.example.com' } }, 'see www.example.com') === 'link');
+        const preview = { message: { extendedTextMessage: { text: 'look', matchedText: 'https://spam.example/x' } } };
+        assert('Link preview held', classifyRestricted(preview, 'look') === 'link');
+        const invite = 'join https://chat.whatsapp.com/AbCdEf123456';
+        assert('Invite links left to the invite detector', classifyRestricted({ message: { conversation: invite } }, invite) === null);
+        assert('Image held', classifyRestricted({ message: { imageMessage: { caption: '' } } }, '') === 'media');
+        assert('Sticker held', classifyRestricted({ message: { stickerMessage: {} } }, '') === 'media');
+        const forward = { message: { extendedTextMessage: { text: 'news', contextInfo: { isForwarded: true, forwardingScore: 1 } } } };
+        assert('Forward held', classifyRestricted(forward, 'news') === 'forward');
+        const mentions = { message: { extendedTextMessage: { text: 'hey', contextInfo: { mentionedJid: ['1@s', '2@s', '3@s', '4@s', '5@s'] } } } };
+        assert('Mass mention held', classifyRestricted(mentions, 'hey') === 'mention_all');
+        assert('@everyone held', classifyRestricted({ message: { conversation: 'hello @everyone' } }, 'hello @everyone') === 'mention_all');
+        const oneMention = { message: { extendedTextMessage: { text: 'hey', contextInfo: { mentionedJid: ['1@s'] } } } };
+        assert('Single mention allowed', classifyRestricted(oneMention, 'hey') === null);
+    }
+
+    // Test 3: restricted message deleted, held and alerted; reject keeps it deleted
+    {
+        store.clear();
+        await startProbation(GROUP, [NEWBIE_LID, '15551234567'], POLICY);
+        assert('Probation stored under LID and phone', await getProbation(GROUP, NEWBIE_LID) && await getProbation(GROUP, NEWBIE));
+
+        const { sock, sent } = makeSock();
+        queries.length = 0;
+        const msg = groupMessage({ conversation: 'Buy here https://spam.example/deal' }, NEWBIE_LID);
+        const held = await enforceProbation(sock, msg, { groupId: GROUP, senderId: NEWBIE_LID, messageText: 'Buy here https://spam.example/deal' });
+        assert('Link from member on probation held', held === true);
+        assert('Message deleted', sent[0].jid === GROUP && sent[0].content.delete.id === msg.key.id);
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        assert('Deletion audited with the probation rule', audit && audit.params[0] === 'message_delete' && audit.params[8] === 'auto:probation');
+        const alert = sent.find(m => m.jid === ADMIN_JID);
+        assert('Admin alerted with reply options', alert && /Probation: Message Held/.test(alert.content.text) && /1️⃣/.test(alert.content.text) && /3️⃣/.test(alert.content.text));
+
+        const alertId = `out${sent.indexOf(alert) + 1}`;
+        assert('Held message stored for the reply', getProbationAlert(alertId)?.reason === 'link');
+        const status = await applyProbationDecision(sock, alertId, '2', '972500000000');
+        assert('Reject keeps it deleted', /stays deleted/.test(status) && !sent.some(m => m.content.forward));
+        assert('Alert consumed after a decision', getProbationAlert(alertId) === null && await applyProbationDecision(sock, alertId, '1', 'x') === null);
+        assert('Probation continues after a reject', await getProbation(GROUP, NEWBIE_LID) !== null);
+    }
+
+    // Test 4: approve reposts the message and ends probation
+    {
+        const { sock, sent } = makeSock();
+        const msg = groupMessage({ imageMessage: { caption: 'my dog' } });
+        await enforceProbation(sock, msg, { groupId: GROUP, senderId: NEWBIE, messageText: 'my dog' });
+        const alertId = `out${sent.findIndex(m => m.jid === ADMIN_JID) + 1}`;
+
+        queries.length = 0;
+        const status = await applyProbationDecision(sock, alertId, '1', '972500000000');
+        const repost = sent.find(m => m.content.forward);
+        assert('Approved message reposted in the group', repost && repost.jid === GROUP && repost.content.forward === msg);
+        assert('Repost credited to the member', sent.some(m => m.jid === GROUP && /Approved by an admin/.test(m.content.text || '') && m.content.mentions[0] === NEWBIE));
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        assert('Approval audited', audit && audit.params[0] === 'probation_approve' && JSON.parse(audit.params[5]).heldReason === 'media' && audit.params[8] === '972500000000');
+        assert('Approval ends probation', /Probation ended/.test(status) && await getProbation(GROUP, NEWBIE) === null && await getProbation(GROUP, NEWBIE_LID) === null);
+
+        const after = await enforceProbation(sock, groupMessage({ stickerMessage: {} }), { groupId: GROUP, senderId: NEWBIE, messageText: '' });
+        assert('Media allowed once probation ended', after === false);
+    }
+
+    // Test 5: reject + kick removes the member
+    {
+        store.clear();
+        await startProbation(GROUP, NEWBIE, POLICY);
+        const { sock, sent, removed } = makeSock();
+        const forward = { extendedTextMessage: { text: 'FWD promo', contextInfo: { isForwarded: true } } };
+        await enforceProbation(sock, groupMessage(forward), { groupId: GROUP, senderId: NEWBIE, messageText: 'FWD promo' });
+        const alertId = `out${sent.findIndex(m => m.jid === ADMIN_JID) + 1}`;
+
+        queries.length = 0;
+        const status = await applyProbationDecision(sock, alertId, '3', '972500000000');
+        assert('Member kicked', removed.length === 1 && removed[0].users[0] === NEWBIE && removed[0].action === 'remove' && /Kicked from: Test Group/.test(status));
+        const kickAudit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql) && q.params[0] === 'kick');
+        assert('Kick audited', kickAudit && kickAudit.params[8] === '972500000000');
+    }
+
+    // Test 6: clean messages use up the allowance; other members are unaffected
+    {
+        store.clear();
+        await startProbation(GROUP, NEWBIE, POLICY);
+        const { sock, sent } = makeSock();
+        for (let i = 0; i < POLICY.messages - 1; i++) {
+            await enforceProbation(sock, groupMessage({ conversation: `hello ${i}` }), { groupId: GROUP, senderId: NEWBIE, messageText: `hello ${i}` });
+        }
+        assert('Still on probation before the last clean message', (await getProbation(GROUP, NEWBIE))?.messagesLeft === 1);
+        await enforceProbation(sock, groupMessage({ conversation: 'hello again' }), { groupId: GROUP, senderId: NEWBIE, messageText: 'hello again' });
+        assert(`Probation ends after ${POLICY.messages} clean messages`, await getProbation(GROUP, NEWBIE) === null);
+
+        const other = await enforceProbation(sock, groupMessage({ imageMessage: {} }, '972501112233@s.whatsapp.net'), { groupId: GROUP, senderId: '972501112233@s.whatsapp.net', messageText: '' });
+        assert('Members not on probation untouched', other === false && sent.length === 0);
+
+        await startProbation(GROUP, NEWBIE, { hours: 1, messages: null });
+        for (let i = 0; i < 10; i++) {
+            await enforceProbation(sock, groupMessage({ conversation: 'hi' }), { groupId: GROUP, senderId: NEWBIE, messageText: 'hi' });
+        }
+        assert('Time-only probation not ended by messages', await getProbation(GROUP, NEWBIE) !== null);
+    }
+
+    // Test 7: no Redis → probation inactive
+    {
+        store.clear();
+        redisUp = false;
+        await startProbation(GROUP, NEWBIE, POLICY);
+        const { sock, sent } = makeSock();
+        const held = await enforceProbation(sock, groupMessage({ imageMessage: {} }), { groupId: GROUP, senderId: NEWBIE, messageText: '' });
+        assert('Nothing stored or held without Redis', store.size === 0 && held === false && sent.length === 0);
+        redisUp = true;
+    }
+
+    // Test 8: #probation sets, shows and disables the policy
+    {
+        const { sock, sent } = makeSock();
+        const handler = new CommandHandler(sock);
+        queries.length = 0;
+
+        await handler.handleCommand(groupMsg('#probation 24h 5'), '#probation', ['24h', '5'], true, true);
+        const policy = await groupService.getProbationPolicy(GROUP);
+        assert('Policy stored', policy && policy.hours === 24 && policy.messages === 5);
+        assert('Confirmation shows the policy', /24h or 5 messages/.test(sent[sent.length - 1].content.text));
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        const metadata = audit ? JSON.parse(audit.params[5]) : {};
+        assert('probation_policy audited', audit && audit.params[0] === 'probation_policy' && metadata.hours === 24 && metadata.messages === 5);
+
+        redisUp = false;
+        await handler.handleCommand(groupMsg('#probation'), '#probation', [], true, true);
+        assert('Status warns when Redis is down', /24h or 5 messages/.test(sent[sent.length - 1].content.text) && /not enforced/.test(sent[sent.length - 1].content.text));
+        redisUp = true;
+
+        await handler.handleCommand(groupMsg('#probation off'), '#probation', ['off'], true, true);
+        assert('#probation off disables it', await groupService.getProbationPolicy(GROUP) === null && formatProbationPolicy(null) === 'off');
+
+        await handler.handleCommand(groupMsg('#probation forever'), '#probation', ['forever'], true, true);
+        assert('Bad input shows usage', /Usage: #probation/.test(sent[sent.length - 1].content.text));
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
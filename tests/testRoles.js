@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for role-based command permissions (roleService, #grant / #revoke / #roles).
+ * Stubs database/connection so no live PostgreSQL is needed.
+ * Run: node tests/testRoles.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+let dbDown = false;
+let storedRoles = [];
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (dbDown) throw new Error('connection refused');
+            if (/FROM admin_roles/i.test(sql)) return { rows: storedRoles };
+            return { rows: [], rowCount: 1 };
+        }
+    }
+};
+
+const config = require('../config');
+const roleService = require('../services/roleService');
+const CommandHandler = require('../services/commandHandler');
+const { parseRoleArgs } = CommandHandler;
+
+const OWNER = config.ALERT_PHONE;
+const GROUP = '120363000000000001@g.us';
+const OTHER_GROUP = '120363000000000002@g.us';
+const MOD = '972501110001';
+const GROUP_ADMIN = '972501110002';
+const REVIEWER = '972501110003';
+
+function makeHandler() {
+    const sent = [];
+    const sock = {
+        sendMessage: async (jid, content) => { sent.push({ jid, text: content.text }); return {}; },
+        groupMetadata: async () => ({ subject: 'Test Group', participants: [] })
+    };
+    return { handler: new CommandHandler(sock), sent };
+}
+
+function groupMsg(sender, text) {
+    return { key: { remoteJid: GROUP, participant: `${sender}@s.whatsapp.net`, id: `m${Date.now()}` }, message: { conversation: text } };
+}
+
+function privateMsg(sender, text) {
+    return { key: { remoteJid: `${sender}@s.whatsapp.net`, id: `p${Date.now()}` }, message: { conversation: text } };
+}
+
+async function runTests() {
+    console.log('🧪 Testing roles and permissions\n');
+
+    // Test 1: parseRoleArgs
+    {
+        const t = (input, expected) => {
+            const got = parseRoleArgs(input);
+            assert(`parseRoleArgs('${input}')`, JSON.stringify(got) === JSON.stringify(expected), `got ${JSON.stringify(got)}`);
+        };
+        t('972555123456 moderator', { phone: '972555123456', role: 'moderator', scope: null });
+        t('+972555123456 group-admin here', { phone: '972555123456', role: 'group-admin', scope: 'here' });
+        t('reviewer 972555123456 global', { phone: '972555123456', role: 'reviewer', scope: 'global' });
+        t(`972555123456 groupadmin ${OTHER_GROUP}`, { phone: '972555123456', role: 'group-admin', scope: 'group', groupId: OTHER_GROUP });
+        t('mod', { phone: null, role: 'moderator', scope: null });
+        t('972555123456', { phone: '972555123456', role: null, scope: null });
+        t('972555123456 superuser', null);
+        t('972555123456 moderator reviewer', null);
+        t('here global', null);
+    }
+
+    // Test 2: config owners are always owners
+    {
+        assert('ALERT_PHONE is owner', roleService.isOwner(`${OWNER}@s.whatsapp.net`));
+        assert('ADMIN_LID is owner', !config.ADMIN_LID || roleService.isOwner(`${config.ADMIN_LID}@lid`));
+        assert('Owner can manage roles', roleService.can(OWNER, 'manage_roles'));
+        assert('Unknown user has no roles', !roleService.hasAnyRole(`${MOD}@s.whatsapp.net`) && !roleService.can(MOD, 'view'));
+    }
+
+    // Test 3: grants are validated and written through
+    {
+        queries.length = 0;
+        assert('Moderator granted', await roleService.grantRole(`${MOD}@s.whatsapp.net`, 'moderator', null, OWNER));
+        const insert = queries.find(q => /INSERT INTO admin_roles/i.test(q.sql));
+        assert('Grant persisted', insert && insert.params[0] === MOD && insert.params[1] === 'moderator' && insert.params[2] === null);
+        assert('Duplicate grant refused', !(await roleService.grantRole(MOD, 'moderator', null, OWNER)));
+        assert('Global group-admin refused', !(await roleService.grantRole(GROUP_ADMIN, 'group-admin', null, OWNER)));
+        assert('validateGrant explains group-admin scope', /specific group/.test(roleService.validateGrant('group-admin', null)));
+        assert('Unknown role refused', /Unknown role/.test(roleService.validateGrant('boss', null)));
+
+        await roleService.grantRole(GROUP_ADMIN, 'group-admin', GROUP, OWNER);
+        dbDown = true;
+        assert('Grant kept in memory when DB is down', await roleService.grantRole(REVIEWER, 'reviewer', null, OWNER));
+        dbDown = false;
+    }
+
+    // Test 4: permissions by role and scope
+    {
+        assert('Moderator can kickglobal', roleService.can(MOD, 'moderate_global', GROUP));
+        assert('Moderator cannot manage roles', !roleService.can(MOD, 'manage_roles'));
+        assert('Group-admin moderates own group', roleService.can(GROUP_ADMIN, 'moderate', GROUP));
+        assert('Group-admin not in other groups', !roleService.can(GROUP_ADMIN, 'moderate', OTHER_GROUP));
+        assert('Group-admin grant never global', !roleService.can(GROUP_ADMIN, 'moderate_global', GROUP));
+        assert('Reviewer can review', roleService.can(REVIEWER, 'review', GROUP));
+        assert('Reviewer cannot moderate', !roleService.can(REVIEWER, 'moderate', GROUP));
+        assert('WhatsApp group admin is implicit group-admin', roleService.can('972509999999', 'moderate', GROUP, { isGroupAdmin: true }));
+        assert('WhatsApp group admin cannot blacklist globally', !roleService.can('972509999999', 'moderate_global', GROUP, { isGroupAdmin: true }));
+
+        await roleService.grantRole('972501110004', 'moderator', GROUP, OWNER);
+        assert('Group-scoped moderator limited to group permissions',
+            roleService.can('972501110004', 'moderate', GROUP) && !roleService.can('972501110004', 'moderate_global', GROUP));
+        assert('hasAnyRole honours scope', roleService.hasAnyRole(GROUP_ADMIN, GROUP) && !roleService.hasAnyRole(GROUP_ADMIN, OTHER_GROUP));
+
+        assert('#kick maps to moderate', roleService.commandPermission('#KICK') === 'moderate');
+        assert('#bullywatch review maps to review', roleService.commandPermission('#bullywatch', ['review']) === 'review');
+        assert('#bullywatch on maps to configure', roleService.commandPermission('#bullywatch', ['on', 'x']) === 'configure');
+        assert('Unknown command has no permission', roleService.commandPermission('#nope') === null);
+    }
+
+    // Test 5: handleCommand enforces roles and replies to the issuer
+    {
+        const { handler, sent } = makeHandler();
+
+        await handler.handleCommand(groupMsg(REVIEWER, '#kick'), '#kick', [], false, false);
+        assert('Reviewer #kick denied', sent.length === 1 && /needs the \*group-admin\* role/.test(sent[0].text));
+        assert('Denial sent to the issuer', sent[0].jid === `${REVIEWER}@s.whatsapp.net`);
+
+        const access = (sender, cmd, args, isAdmin) => handler.checkCommandAccess(groupMsg(sender, cmd), cmd, args, isAdmin).allowed;
+        assert('WhatsApp group admin keeps #blacklist, #whitelist and #kickglobal',
+            ['#blacklist', '#whitelist', '#kickglobal'].every(cmd => access('972509999999', cmd, ['15551234567'], true)));
+        assert('WhatsApp group admin keeps #bullywatch on/off', access('972509999999', '#bullywatch', ['on'], true) && access('972509999999', '#bullywatch', ['off'], true));
+        assert('WhatsApp group admin still cannot #urlblock or #bullywatch class',
+            !access('972509999999', '#urlblock', ['example.com'], true) && !access('972509999999', '#bullywatch', ['class', 'x'], true));
+        assert('Granted group-admin still needs a global grant for #blacklist', !access(GROUP_ADMIN, '#blacklist', ['15551234567'], false));
+
+        sent.length = 0;
+        await handler.handleCommand(groupMsg(GROUP_ADMIN, '#blacklist 15551234567'), '#blacklist', ['15551234567'], false, false);
+        assert('Granted group-admin #blacklist denied', sent.length === 1 && /moderator\* role \(global grant\)/.test(sent[0].text));
+
+        sent.length = 0;
+        await handler.handleCommand(privateMsg(MOD, '#grant 972501110005 reviewer'), '#grant', ['972501110005', 'reviewer'], false, false);
+        assert('Moderator cannot #grant', sent.length === 1 && /owner/.test(sent[0].text) && !roleService.hasAnyRole('972501110005'));
+
+        sent.length = 0;
+        await handler.handleCommand(privateMsg(REVIEWER, '#roles'), '#roles', [], false, false);
+        assert('Reviewer #roles answered in their chat', sent.length === 1 && sent[0].jid === `${REVIEWER}@s.whatsapp.net`);
+        assert('Non-owner only sees own roles', /reviewer/.test(sent[0].text) && !sent[0].text.includes(MOD));
+
+        assert('Outside a command replies go to the alert phone', handler.getAdminJid() === `${OWNER}@s.whatsapp.net`);
+    }
+
+    // Test 6: #grant / #revoke by the owner, with audit rows
+    {
+        const { handler, sent } = makeHandler();
+        queries.length = 0;
+
+        await handler.handleCommand(groupMsg(OWNER, '#grant 972501110006 group-admin'), '#grant', ['972501110006', 'group-admin'], true, true);
+        assert('group-admin defaults to the current group', roleService.can('972501110006', 'moderate', GROUP) && !roleService.can('972501110006', 'moderate', OTHER_GROUP));
+        assert('Owner gets the reply on the alert phone', sent.length === 1 && sent[0].jid === `${OWNER}@s.whatsapp.net` && /Granted/.test(sent[0].text));
+        const grantAudit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql) && q.params[0] === 'role_grant');
+        assert('role_grant audited', grantAudit && grantAudit.params[7] === '972501110006' && JSON.parse(grantAudit.params[5]).role === 'group-admin');
+
+        sent.length = 0;
+        await handler.handleCommand(privateMsg(OWNER, '#grant 972501110007 group-admin here'), '#grant', ['972501110007', 'group-admin', 'here'], true, true);
+        assert('"here" rejected in private chat', /only works inside a group/.test(sent[0].text) && !roleService.hasAnyRole('972501110007'));
+
+        sent.length = 0;
+        await handler.handleCommand(privateMsg(OWNER, `#revoke ${OWNER}`), '#revoke', [OWNER], true, true);
+        assert('Config owner cannot be revoked', /cannot be revoked/.test(sent[0].text) && roleService.isOwner(OWNER));
+
+        sent.length = 0;
+        queries.length = 0;
+        await handler.handleCommand(privateMsg(OWNER, `#revoke ${MOD}`), '#revoke', [MOD], true, true);
+        assert('Revoke without role removes every grant', !roleService.hasAnyRole(MOD) && /moderator/.test(sent[0].text));
+        assert('Revoke deletes the row', queries.some(q => /DELETE FROM admin_roles/i.test(q.sql) && q.params[0] === MOD));
+        assert('role_revoke audited', queries.some(q => /INSERT INTO audit_log/i.test(q.sql) && q.params[0] === 'role_revoke'));
+
+        sent.length = 0;
+        await handler.handleCommand(privateMsg(OWNER, `#revoke ${MOD}`), '#revoke', [MOD], true, true);
+        assert('Nothing left to revoke', /no matching role/.test(sent[0].text));
+    }
+
+    // Test 7: loadRoles rebuilds the cache from PostgreSQL
+    {
+        storedRoles = [
+            { phone: '972501110008', role: 'moderator', whatsapp_group_id: null, granted_by: OWNER, granted_at_ms: '1700000000000' },
+            { phone: '972501110009', role: 'group-admin', whatsapp_group_id: GROUP, granted_by: OWNER, granted_at_ms: null }
+        ];
+        await roleService.loadRoles();
+        assert('Loaded grants replace the cache', roleService.listRoles().length === 2 && !roleService.hasAnyRole(GROUP_ADMIN));
+        assert('Loaded global grant active', roleService.can('972501110008', 'moderate_global'));
+        assert('Loaded group grant scoped', roleService.can('972501110009', 'moderate', GROUP) && !roleService.can('972501110009', 'moderate', OTHER_GROUP));
+
+        dbDown = true;
+        await roleService.loadRoles();
+        dbDown = false;
+        assert('Failed load keeps the cache', roleService.listRoles().length === 2);
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for #search backends (services/searchService + searchBackends).
+ * Runs a local HTTP server as the SearXNG endpoint and a child process as the MCP server,
+ * and stubs database/connection - no network or database needed.
+ * Run: node tests/testSearchBackends.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: { query: async () => ({ rows: [], rowCount: 0 }) }
+};
+
+delete process.env.SEARCH_BACKEND;
+delete process.env.SEARXNG_URL;
+delete process.env.SEARCH_MCP_SERVER;
+delete process.env.SEARCH_MCP_TOOL;
+
+const searchService = require('../services/searchService');
+const { BACKENDS, parseMcpResults } = require('../services/searchBackends');
+const CommandHandler = require('../services/commandHandler');
+const config = require('../config');
+
+// A minimal MCP server: newline-delimited JSON-RPC on stdin/stdout
+const FAKE_MCP_SERVER = `
+const readline = require('readline');
+const send = (message) => process.stdout.write(JSON.stringify(message) + '\\n');
+console.log('fake MCP server starting');
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    const message = JSON.parse(line);
+    if (message.id === undefined) return;
+    if (message.method === 'initialize') {
+        send({ jsonrpc: '2.0', id: message.id, result: { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'fake', version: '1' } } });
+    } else if (message.method === 'tools/list') {
+        send({ jsonrpc: '2.0', id: message.id, result: { tools: [
+            { name: 'fetch_page', inputSchema: { properties: { url: {} } } },
+            { name: 'web_search', inputSchema: { properties: { query: {}, count: {} } } }
+        ] } });
+    } else if (message.method === 'tools/call') {
+        const { query, count } = message.params.arguments;
+        if (query === 'fail') {
+            send({ jsonrpc: '2.0', id: message.id, result: { isError: true, content: [{ type: 'text', text: 'quota exceeded' }] } });
+            return;
+        }
+        const text = 'Title: First for ' + query + ' (count ' + count + ')\\nDescription: <b>One</b>\\nURL: https://one.example/a\\n\\n' +
+            'Title: Second\\nDescription: Two\\nURL: https://two.example/b';
+        send({ jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'searching' } });
+        send({ jsonrpc: '2.0', id: message.id, result: { content: [{ type: 'text', text }] } });
+    }
+});
+`;
+
+function startSearxng() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url);
+        if (url.searchParams.get('q') === 'forbidden') {
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            number_of_results: 0,
+            results: [
+                { title: 'Secure *WhatsApp* groups', url: 'https://www.security.example/whatsapp', content: '<p>Keep &amp; protect your <b>groups</b></p>' },
+                { title: 'Not a web link', url: 'ftp://files.example/x', content: 'skipped' },
+                { title: 'Second', url: 'https://second.example/page', content: 'More' }
+            ]
+        }));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+async function runTests() {
+    console.log('🧪 Testing search backends\n');
+
+    // Test 1: backend selection
+    {
+        assert('Nothing configured → no backend', searchService.getBackend(null) === null);
+        assert('initialize() reports no backend', (await searchService.initialize()) === false && /No search backend configured/.test(searchService.lastError));
+        await assertRejects('Search without a backend explains why', searchService.search('hello'), /not connected: No search backend configured/);
+        assert('Stub only when asked for', searchService.getBackend('stub') === BACKENDS.stub);
+        process.env.SEARXNG_URL = 'http://127.0.0.1:1';
+        assert('SEARXNG_URL picks SearXNG', searchService.getBackend(null) === BACKENDS.searxng);
+        assert('Unknown backend ignored', searchService.getBackend('google') === null);
+        delete process.env.SEARXNG_URL;
+        process.env.SEARCH_MCP_CONFIG = path.join(os.tmpdir(), 'commguard-missing-mcp.json');
+        assert('MCP needs its server in mcp.json', searchService.getBackend('mcp') === null);
+    }
+
+    // Test 2: offline stub, cache and rate limit
+    {
+        assert('Stub initializes', (await searchService.initialize('stub')) === true && searchService.getStats().backend === 'stub');
+        const results = await searchService.search('whatsapp bots', { maxResults: 3 });
+        assert('Stub results', results.items.length === 3 && results.resultCount === 5 && results.backend === 'stub');
+        const again = await searchService.search('whatsapp bots', { maxResults: 3 });
+        assert('Repeat served from cache', again === results);
+
+        for (let i = 0; i < 5; i++) searchService.checkRateLimit('searcher');
+        assert('6th search in a minute is refused', searchService.checkRateLimit('searcher').allowed === false);
+    }
+
+    // Test 3: SearXNG over HTTP
+    {
+        const { server, requests } = await startSearxng();
+        process.env.SEARXNG_URL = `http://127.0.0.1:${server.address().port}/searx`;
+        assert('SearXNG initializes', (await searchService.initialize()) === true && searchService.getStats().backend === 'searxng');
+
+        const results = await searchService.search('group security');
+        const request = requests[0];
+        assert('Query sent as JSON search under the base path', request.pathname === '/searx/search' &&
+            request.searchParams.get('q') === 'group security' && request.searchParams.get('format') === 'json');
+        assert('Non-http links dropped', results.items.length === 2 && results.items.every(item => item.link.startsWith('https:')), JSON.stringify(results.items));
+        assert('HTML and formatting characters stripped', results.items[0].snippet === 'Keep & protect your groups' &&
+            results.items[0].title === 'Secure WhatsApp groups', JSON.stringify(results.items[0]));
+
+        await assertRejects('JSON format disabled → clear error', searchService.search('forbidden'), /enable|search\.formats/);
+
+        await new Promise(resolve => server.close(resolve));
+        delete process.env.SEARXNG_URL;
+    }
+
+    // Test 4: MCP server over stdio
+    {
+        const configPath = path.join(os.tmpdir(), `commguard-mcp-${process.pid}.json`);
+        fs.writeFileSync(configPath, JSON.stringify({ mcpServers: { 'web-search': { command: process.execPath, args: ['-e', FAKE_MCP_SERVER] } } }));
+        process.env.SEARCH_MCP_CONFIG = configPath;
+
+        assert('MCP initializes', (await searchService.initialize('mcp')) === true && BACKENDS.mcp.tool.name === 'web_search');
+        const results = await searchService.search('invite links', { maxResults: 5 });
+        assert('Search tool called with its own argument names', results.items[0].title === 'First for invite links (count 5)', results.items[0]?.title);
+        assert('Text results parsed', results.items.length === 2 && results.items[1].link === 'https://two.example/b' && results.items[0].snippet === 'One');
+        await assertRejects('Tool errors surface', searchService.search('fail'), /quota exceeded/);
+
+        BACKENDS.mcp.client.child.kill();
+        await new Promise(resolve => setTimeout(resolve, 300));
+        const restarted = await searchService.search('after restart');
+        assert('Server restarted after it exited', restarted.items.length === 2);
+
+        BACKENDS.mcp.close();
+        fs.unlinkSync(configPath);
+        delete process.env.SEARCH_MCP_CONFIG;
+    }
+
+    // Test 5: parseMcpResults formats
+    {
+        const structured = parseMcpResults({ structuredContent: { results: [{ title: 'A', url: 'https://a.example', description: 'x' }] } });
+        assert('structuredContent results', structured.length === 1 && structured[0].link === 'https://a.example' && structured[0].snippet === 'x');
+        const json = parseMcpResults({ content: [{ type: 'text', text: JSON.stringify([{ name: 'B', link: 'https://b.example' }]) }] });
+        assert('JSON text results', json.length === 1 && json[0].title === 'B');
+        const bare = parseMcpResults({ content: [{ type: 'text', text: 'Some page https://c.example/page\n\nNo link here' }] });
+        assert('Unlabelled blocks use their link', bare.length === 1 && bare[0].title === 'Some page' && bare[0].link === 'https://c.example/page');
+    }
+
+    // Test 6: WhatsApp-friendly formatting
+    {
+        const long = 'word '.repeat(60).trim();
+        const message = searchService.formatSearchResults({
+            query: 'safe *groups*',
+            resultCount: 40,
+            items: [
+                { title: `A *bold* <i>title</i> ${long}`, snippet: long, link: 'https://www.news.example/story?id=1' },
+                { title: 'Two', snippet: '', link: 'https://two.example' },
+                { title: 'Three', snippet: 'c', link: 'https://three.example' },
+                { title: 'Four', snippet: 'd', link: 'https://four.example' }
+            ]
+        });
+        const lines = message.split('\n');
+        assert('Header is bold once', lines[0] === '🔍 *Search results:* safe groups', lines[0]);
+        assert('Title bold, stripped and shortened', /^\*1\. A bold title word( word)*…\*$/.test(lines[2]) && lines[2].length <= 84, lines[2]);
+        assert('Snippet shortened', lines[3].endsWith('…') && lines[3].length <= 160, `${lines[3].length}`);
+        assert('Domain and bare link on their own lines', lines[4] === '🌐 news.example' && lines[5] === '🔗 https://www.news.example/story?id=1');
+        assert('Empty snippet skipped', lines[7] === '*2. Two*' && lines[8] === '🌐 two.example');
+        assert('Only three results shown, out of the total', !message.includes('Four') && message.endsWith('📊 Showing 3 of 40 results'));
+        assert('No results', searchService.formatSearchResults({ query: 'x', items: [] }) === '❌ No search results found for "x"');
+    }
+
+    // Test 7: #search goes through the backend and replies to the admin
+    {
+        const sent = [];
+        const sock = { sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: `out${sent.length}` } }; } };
+        const handler = new CommandHandler(sock);
+        const msg = { key: { remoteJid: `${config.ADMIN_PHONE}@s.whatsapp.net`, id: 's1' }, message: { conversation: '#search group rules' } };
+
+        searchService.isConnected = false;
+        process.env.SEARCH_BACKEND = 'stub';
+        await handler.handleSearch(msg, ['group', 'rules'], true);
+        const reply = sent[sent.length - 1];
+        assert('#search initializes the configured backend', searchService.getStats().backend === 'stub');
+        assert('Results sent to the admin', reply.jid === handler.getAdminJid() && reply.content.text.startsWith('🔍 *Search results:* group rules') &&
+            reply.content.text.includes('🔗 https://example.com/1'), reply.content.text);
+
+        searchService.isConnected = false;
+        process.env.SEARCH_BACKEND = 'searxng';
+        await handler.handleSearch(msg, ['more', 'rules'], true);
+        assert('Unconfigured backend explained', /not configured[\s\S]*SEARXNG_URL/.test(sent[sent.length - 1].content.text), sent[sent.length - 1].content.text);
+        delete process.env.SEARCH_BACKEND;
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+async function assertRejects(label, promise, pattern) {
+    try {
+        await promise;
+        assert(label, false, 'did not throw');
+    } catch (error) {
+        assert(label, pattern.test(error.message), error.message);
+    }
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
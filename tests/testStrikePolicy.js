@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the persistent invite-link warning ledger and per-group strike policy.
+ * Stubs database/connection so no live PostgreSQL is needed.
+ * Run: node tests/testStrikePolicy.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+const policyRows = {};   // groupId -> groups row
+let ledgerRows = [];
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/FROM groups/i.test(sql)) {
+                return { rows: policyRows[params[0]] ? [policyRows[params[0]]] : [] };
+            }
+            if (/UPDATE groups/i.test(sql)) {
+                return { rows: [{ whatsapp_group_id: params[0] }] };
+            }
+            if (/SELECT/i.test(sql) && /FROM warnings/i.test(sql)) {
+                return { rows: ledgerRows };
+            }
+            return { rows: [] };
+        }
+    }
+};
+
+const { warningService } = require('../services/warningService');
+const groupService = require('../database/groupService');
+const { parseStrikePolicyArgs } = require('../services/commandHandler');
+
+const USER = '972555123456@s.whatsapp.net';
+const STRICT_GROUP = '120363000000000001@g.us';
+const LENIENT_GROUP = '120363000000000002@g.us';
+const DEFAULT_GROUP = '120363000000000003@g.us';
+
+policyRows[STRICT_GROUP] = { strike_warnings_before_kick: 0, strike_expiry_days: 7, strike_auto_blacklist: true };
+policyRows[LENIENT_GROUP] = { strike_warnings_before_kick: 2, strike_expiry_days: 30, strike_auto_blacklist: false };
+
+async function runTests() {
+    console.log('🧪 Testing strike policy + warning ledger\n');
+
+    // Test 1: #strikepolicy argument parsing
+    {
+        assert('Empty args → status', parseStrikePolicyArgs('').action === 'status');
+        assert('reset', parseStrikePolicyArgs('reset').action === 'reset');
+        const full = parseStrikePolicyArgs('2 14 blacklist');
+        assert('Full policy parsed', full && full.warningsBeforeKick === 2 && full.expiryDays === 14 && full.autoBlacklist === true);
+        const short = parseStrikePolicyArgs('3');
+        assert('Days default to 7', short && short.expiryDays === 7 && short.autoBlacklist === false);
+        assert('Garbage rejected', parseStrikePolicyArgs('lots') === null);
+        assert('Zero-day expiry rejected', parseStrikePolicyArgs('1 0') === null);
+        assert('Unknown blacklist flag rejected', parseStrikePolicyArgs('1 7 maybe') === null);
+    }
+
+    // Test 2: groups without a policy row use the default (kick on the first link)
+    {
+        const first = await warningService.checkInviteLinkViolation(USER, DEFAULT_GROUP);
+        assert('Default: first link kicks', first.action === 'kick' && first.warningCount === 0);
+        assert('Default: no auto-blacklist', first.policy.warningsBeforeKick === 0 && first.policy.autoBlacklist === false);
+        await warningService.recordWarning(USER, DEFAULT_GROUP, 'Default Group', 'https://chat.whatsapp.com/abc');
+        const second = await warningService.checkInviteLinkViolation(USER, DEFAULT_GROUP);
+        assert('Default: still kicks with a warning on record', second.action === 'kick' && second.warningCount === 1);
+    }
+
+    // Test 3: lenient group allows two warnings and uses its own expiry window
+    {
+        queries.length = 0;
+        for (let i = 0; i < 2; i++) {
+            const check = await warningService.checkInviteLinkViolation(USER, LENIENT_GROUP);
+            assert(`Lenient: link ${i + 1} warns`, check.action === 'warn' && check.warningCount === i);
+            await warningService.recordWarning(USER, LENIENT_GROUP, 'Lenient Group', 'https://chat.whatsapp.com/xyz');
+        }
+        const third = await warningService.checkInviteLinkViolation(USER, LENIENT_GROUP);
+        assert('Lenient: third link kicks', third.action === 'kick' && third.warningCount === 2);
+        assert('Policy returned with decision', third.policy.warningsBeforeKick === 2 && third.policy.autoBlacklist === false);
+
+        const inserts = queries.filter(q => /INSERT INTO warnings/i.test(q.sql));
+        assert('Each warning appended to ledger', inserts.length === 2);
+        const expiryMs = new Date(inserts[0].params[6]) - new Date(inserts[0].params[5]);
+        assert('Ledger expiry follows group policy (30 days)', expiryMs === 30 * 24 * 60 * 60 * 1000);
+    }
+
+    // Test 4: strict group kicks (and flags auto-blacklist) on the first link
+    {
+        const check = await warningService.checkInviteLinkViolation(USER, STRICT_GROUP);
+        assert('Strict: first link kicks', check.action === 'kick' && check.isFirstWarning === false);
+        assert('Strict: auto-blacklist flagged', check.policy.autoBlacklist === true);
+    }
+
+    // Test 5: strikes are per group
+    {
+        const warnings = await warningService.getUserWarnings(USER);
+        assert('User has warnings in two groups', warnings.length === 2);
+        await warningService.clearWarnings(USER, LENIENT_GROUP);
+        const del = queries.find(q => /DELETE FROM warnings/i.test(q.sql));
+        assert('Clear deletes ledger rows for that group', del && del.params[1] === LENIENT_GROUP);
+        const after = await warningService.checkInviteLinkViolation(USER, LENIENT_GROUP);
+        assert('Cleared group starts fresh', after.action === 'warn' && after.warningCount === 0);
+        const other = await warningService.checkInviteLinkViolation(USER, DEFAULT_GROUP);
+        assert('Other group keeps its strike', other.action === 'kick');
+    }
+
+    // Test 6: active strikes survive a restart
+    {
+        const now = Date.now();
+        ledgerRows = [{
+            user_phone: '972501234567',
+            whatsapp_group_id: LENIENT_GROUP,
+            warning_count: 2,
+            last_warned: new Date(now - 60000),
+            first_warned: new Date(now - 120000),
+            expires_at: new Date(now + 86400000),
+            user_jid: '972501234567@s.whatsapp.net',
+            group_name: 'Lenient Group',
+            invite_link: 'https://chat.whatsapp.com/restart'
+        }];
+        await warningService.loadWarningCache();
+        const check = await warningService.checkInviteLinkViolation('972501234567@s.whatsapp.net', LENIENT_GROUP);
+        assert('Hydrated strikes count toward the policy', check.action === 'kick' && check.warningCount === 2);
+    }
+
+    // Test 7: setStrikePolicy invalidates the cached policy
+    {
+        policyRows[DEFAULT_GROUP] = { strike_warnings_before_kick: 3, strike_expiry_days: 7, strike_auto_blacklist: false };
+        await groupService.setStrikePolicy(DEFAULT_GROUP, { warningsBeforeKick: 3, expiryDays: 7, autoBlacklist: false });
+        const policy = await groupService.getStrikePolicy(DEFAULT_GROUP);
+        assert('New policy visible immediately', policy.warningsBeforeKick === 3);
+    }
+
+    // Test 8: warning text only threatens removal on the last warning
+    {
+        const first = warningService.formatInviteLinkWarning('972555123456', 1, 3);
+        assert('1/3 counts the warnings left', /אזהרה 1\/3 - נותרו עוד 2 אזהרות/.test(first) && /Warning 1\/3 - 2 more warnings before you are removed/.test(first), first);
+        assert('1/3 does not say next time', !/next time/.test(first) && !/בפעם הבאה/.test(first));
+        const second = warningService.formatInviteLinkWarning('972555123456', 2, 3);
+        assert('2/3 has one warning left', /Warning 2\/3 - 1 more warning before/.test(second) && /נותרה עוד אזהרה אחת/.test(second), second);
+        const last = warningService.formatInviteLinkWarning('972555123456', 3, 3);
+        assert('3/3 says next time means removal', /Warning 3\/3 - next time you will be removed/.test(last) && /בפעם הבאה תוסר\/י/.test(last), last);
+        assert('Sender mentioned', last.startsWith('⚠️ @972555123456\n'));
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the translation glossary (utils/translationGlossary), the Redis translation cache
+ * and #glossary / #translatestats.
+ * Uses the offline stub provider; stubs database/connection and services/redisService.
+ * Run: node tests/testTranslationGlossary.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection and services/redisService before the services load them ───
+const queries = [];
+let storedGlossary = [];
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/SELECT translation_glossary/i.test(sql)) return { rows: [{ translation_glossary: storedGlossary }] };
+            if (/SET translation_glossary/i.test(sql)) {
+                storedGlossary = JSON.parse(params[1]);
+                return { rows: [{ name: 'Parents Group' }] };
+            }
+            if (/SELECT \* FROM groups/i.test(sql)) return { rows: [{ name: 'Parents Group' }] };
+            return { rows: [], rowCount: 1 };
+        }
+    }
+};
+
+const redisCache = new Map();
+const redisHashes = new Map();
+const redisPath = path.join(__dirname, '../services/redisService.js');
+require.cache[redisPath] = {
+    id: redisPath,
+    filename: redisPath,
+    loaded: true,
+    exports: {
+        cache: async (key, value, ttl) => { redisCache.set(key, { value: JSON.stringify(value), ttl }); },
+        getCached: async (key) => (redisCache.has(key) ? JSON.parse(redisCache.get(key).value) : null),
+        incrementHashFields: async (key, increments, initialFields = {}) => {
+            const hash = redisHashes.get(key) || {};
+            for (const [field, value] of Object.entries(initialFields)) {
+                if (!(field in hash)) hash[field] = String(value);
+            }
+            for (const [field, amount] of Object.entries(increments)) {
+                if (amount) hash[field] = String(Number(hash[field] || 0) + amount);
+            }
+            redisHashes.set(key, hash);
+            return true;
+        },
+        getHashFields: async (key) => ({ ...(redisHashes.get(key) || {}) })
+    }
+};
+
+delete process.env.GOOGLE_TRANSLATE_API_KEY;
+delete process.env.OPENAI_API_KEY;
+delete process.env.TRANSLATION_PROVIDER;
+process.env.DATABASE_URL = 'postgres://stub';
+
+const { parseGlossaryEntry, addGlossaryEntry, removeGlossaryEntry, applyGlossary, GLOSSARY_MAX_ENTRIES } = require('../utils/translationGlossary');
+const { translationService } = require('../services/translationService');
+const CommandHandler = require('../services/commandHandler');
+const { parseGlossaryArgs } = CommandHandler;
+const roleService = require('../services/roleService');
+const config = require('../config');
+
+const GROUP = '120363000000000004@g.us';
+
+function groupMsg(text) {
+    return { key: { remoteJid: GROUP, participant: `${config.ALERT_PHONE}@s.whatsapp.net`, id: `g${Date.now()}` }, message: { conversation: text } };
+}
+
+function privateMsg(text) {
+    return { key: { remoteJid: `${config.ALERT_PHONE}@s.whatsapp.net`, id: `p${Date.now()}` }, message: { conversation: text } };
+}
+
+async function runTests() {
+    console.log('🧪 Testing translation glossary and cache\n');
+
+    const teacher = parseGlossaryEntry('מורה=учительница', 'admin').entry;
+
+    // Test 1: entries
+    {
+        assert('Entry parsed with detected languages', teacher.source === 'מורה' && teacher.target === 'учительница' &&
+            teacher.sourceLang === 'he' && teacher.targetLang === 'ru' && teacher.addedBy === 'admin');
+        assert('Spaces around = trimmed', parseGlossaryEntry(' בית  ספר = школа ').entry.source === 'בית ספר');
+        assert('Missing = rejected', !!parseGlossaryEntry('מורה').error);
+        assert('Empty side rejected', !!parseGlossaryEntry('מורה=').error);
+        assert('Same term rejected', !!parseGlossaryEntry('Dana=dana').error);
+
+        const { glossary, replaced } = addGlossaryEntry([teacher], parseGlossaryEntry('מורה=педагог').entry);
+        assert('Same source term replaced', replaced && glossary.length === 1 && glossary[0].target === 'педагог');
+        const full = Array.from({ length: GLOSSARY_MAX_ENTRIES }, (_, i) => ({ source: `t${i}`, target: `x${i}` }));
+        assert('Glossary size capped', !!addGlossaryEntry(full, teacher).error);
+        const { glossary: rest, removed } = removeGlossaryEntry([teacher], 'מורה');
+        assert('Entry removed', removed === teacher && rest.length === 0);
+        assert('Unknown term not removed', removeGlossaryEntry([teacher], 'שולחן').removed === null);
+    }
+
+    // Test 2: applyGlossary
+    {
+        const forward = applyGlossary('מחר המורה לא תגיע, מורה מחליפה תבוא', [teacher], { from: 'he', to: 'ru' });
+        assert('Whole words substituted', forward.text === 'מחר המורה לא תגיע, учительница מחליפה תבוא' && forward.applied.length === 1, forward.text);
+        const back = applyGlossary('Наша учительница заболела', [teacher], { from: 'ru', to: 'he' });
+        assert('Entry applies in the other direction', back.text === 'Наша מורה заболела');
+        assert('Other target languages untouched', applyGlossary('מורה', [teacher], { from: 'he', to: 'en' }).applied.length === 0);
+
+        const school = parseGlossaryEntry('בית ספר=школа').entry;
+        const house = parseGlossaryEntry('בית=дом').entry;
+        const both = applyGlossary('בית ספר ליד בית', [house, school], { from: null, to: 'ru' });
+        assert('Longest term first, no double substitution', both.text === 'школа ליד дом' && both.applied.length === 2, both.text);
+
+        const names = [{ source: 'Dana', target: 'Дана', sourceLang: null, targetLang: 'ru' }];
+        assert('Case-insensitive match', applyGlossary('Thanks dana!', names, { from: 'en', to: 'ru' }).text === 'Thanks Дана!');
+        assert('Empty glossary is a no-op', applyGlossary('hello', [], { to: 'he' }).text === 'hello');
+    }
+
+    // Test 3: the translation layer enforces the group glossary
+    {
+        storedGlossary = [teacher];
+        const result = await translationService.translateText('מורה חדשה', 'ru', 'he', 'user1', { provider: 'stub', groupId: GROUP });
+        assert('Provider gets the glossary term', result.translatedText === '[ru] учительница חדשה' && result.glossaryTerms === 1, result.translatedText);
+        assert('Original text returned unchanged', result.originalText === 'מורה חדשה');
+        assert('Glossary read from groups.translation_glossary', queries.some(q => /SELECT translation_glossary/i.test(q.sql) && q.params[0] === GROUP));
+    }
+
+    // Test 4: Redis cache by text hash and language pair
+    {
+        const keys = [...redisCache.keys()];
+        assert('Stored in Redis', keys.length === 1 && /^translate:stub:he:ru:[0-9a-f]{40}$/.test(keys[0]), keys.join());
+        assert('Kept for a week', redisCache.get(keys[0]).ttl === 7 * 24 * 60 * 60);
+
+        translationService.cache.clear(); // As after a restart
+        const again = await translationService.translateText('מורה חדשה', 'ru', 'he', 'user1', { provider: 'stub', groupId: GROUP });
+        assert('Served from Redis after a restart', again.cached === true && again.translatedText === '[ru] учительница חדשה');
+        assert('Redis hit kept in memory', translationService.cache.size === 1);
+
+        const other = await translationService.translateText('מורה חדשה', 'en', 'he', 'user1', { provider: 'stub', groupId: GROUP });
+        assert('Other language pair is a separate entry', other.cached === false && redisCache.size === 2);
+    }
+
+    // Test 5: #glossary
+    {
+        const sent = [];
+        const sock = { sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: `out${sent.length}` } }; } };
+        const handler = new CommandHandler(sock);
+
+        assert('parseGlossaryArgs add', JSON.stringify(parseGlossaryArgs('add בית ספר=школа')) === JSON.stringify({ action: 'add', term: 'בית ספר=школа' }));
+        assert('parseGlossaryArgs list/remove/invalid', parseGlossaryArgs('').action === 'list' && parseGlossaryArgs('REMOVE Dana').term === 'Dana' &&
+            parseGlossaryArgs('add') === null && parseGlossaryArgs('clear') === null);
+
+        queries.length = 0;
+        await handler.handleCommand(groupMsg('#glossary add בית ספר=школа'), '#glossary', ['add', 'בית', 'ספר=школа'], true, true);
+        assert('Term saved', storedGlossary.length === 2 && storedGlossary[1].source === 'בית ספר' && storedGlossary[1].target === 'школа');
+        assert('Reply confirms the term', /Glossary term added/.test(sent[sent.length - 1].content.text) && sent[sent.length - 1].jid === GROUP);
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        assert('Change audited', audit && audit.params[0] === 'translate_toggle' && JSON.parse(audit.params[5]).glossary === 'add' && JSON.parse(audit.params[5]).term === 'בית ספר');
+
+        await handler.handleCommand(groupMsg('#glossary add מורה=педагог'), '#glossary', ['add', 'מורה=педагог'], true, true);
+        assert('Existing term updated', storedGlossary.length === 2 && /Glossary updated/.test(sent[sent.length - 1].content.text));
+
+        await handler.handleCommand(groupMsg('#glossary'), '#glossary', [], true, true);
+        assert('List shows the terms', /Translation Glossary \(2\)/.test(sent[sent.length - 1].content.text) &&
+            /בית ספר = школа \(he→ru\)/.test(sent[sent.length - 1].content.text));
+
+        await handler.handleCommand(groupMsg('#glossary remove מורה'), '#glossary', ['remove', 'מורה'], true, true);
+        assert('Term removed', storedGlossary.length === 1 && /Removed from the glossary/.test(sent[sent.length - 1].content.text));
+        await handler.handleCommand(groupMsg('#glossary remove שולחן'), '#glossary', ['remove', 'שולחן'], true, true);
+        assert('Unknown term reported', /not in the glossary/.test(sent[sent.length - 1].content.text));
+
+        assert('Listing needs view, changes need moderate', roleService.commandPermission('#glossary', []) === 'view' &&
+            roleService.commandPermission('#glossary', ['add', 'x=y']) === 'moderate');
+    }
+
+    // Test 6: #translatestats, read back from the Redis counters after a restart
+    {
+        const usage = redisHashes.get('translate:usage') || {};
+        assert('Counters kept in one Redis hash per group and provider', usage[`group:${GROUP}:requests`] === '2' &&
+            usage[`group:${GROUP}:cacheHits`] === '1' && usage['provider:stub:requests'] !== undefined && !!usage.since, JSON.stringify(usage));
+        translationService.usage = { since: new Date().toISOString(), providers: {}, groups: {} }; // Restart
+
+        const sent = [];
+        const sock = { sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: `out${sent.length}` } }; } };
+        const handler = new CommandHandler(sock);
+
+        await handler.handleCommand(groupMsg('#translatestats'), '#translatestats', [], true, true);
+        const groupText = sent[sent.length - 1].content.text;
+        assert('Group view: hit rate and spend', /3 translations · 33% from cache · 2 API calls · \$0\.0000/.test(groupText), groupText);
+
+        await handler.handleCommand(privateMsg('#translatestats'), '#translatestats', [], true, true);
+        const privateText = sent[sent.length - 1].content.text;
+        assert('Private view lists groups by name', /Parents Group/.test(privateText) && /By provider:/.test(privateText), privateText);
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the translation provider layer (services/translationService + translationProviders).
+ * Uses the offline stub provider and stubs database/connection - no API keys or database needed.
+ * Run: node tests/testTranslationProviders.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+let groupProvider = null;
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/SELECT translate_provider/i.test(sql)) {
+                return { rows: [{ translate_provider: groupProvider }] };
+            }
+            if (/SET translate_provider/i.test(sql)) {
+                groupProvider = params[1];
+                return { rows: [{ name: 'Test Group' }] };
+            }
+            return { rows: [], rowCount: 1 };
+        }
+    }
+};
+
+delete process.env.GOOGLE_TRANSLATE_API_KEY;
+delete process.env.OPENAI_API_KEY;
+delete process.env.TRANSLATION_PROVIDER;
+delete process.env.DATABASE_URL;
+
+const { translationService } = require('../services/translationService');
+const { PROVIDERS } = require('../services/translationProviders');
+const CommandHandler = require('../services/commandHandler');
+const { parseAutoTranslateArgs } = CommandHandler;
+const config = require('../config');
+
+const GROUP = '120363000000000001@g.us';
+
+function makeSock() {
+    const sent = [];
+    const sock = {
+        sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: `out${sent.length}` } }; }
+    };
+    return { sock, sent };
+}
+
+function groupMsg(text, quotedText) {
+    const message = quotedText
+        ? { extendedTextMessage: { text, contextInfo: { quotedMessage: { conversation: quotedText } } } }
+        : { conversation: text };
+    return { key: { remoteJid: GROUP, participant: `${config.ALERT_PHONE}@s.whatsapp.net`, id: `c${Date.now()}` }, message };
+}
+
+async function runTests() {
+    console.log('🧪 Testing translation providers\n');
+
+    // Test 1: provider chain
+    {
+        assert('No keys → no providers', translationService.getProviderChain(null).length === 0);
+        assert('Stub only when asked for', translationService.getProviderChain('stub').map(p => p.name).join() === 'stub');
+        assert('initialize() reports no provider', (await translationService.initialize()) === false);
+
+        process.env.GOOGLE_TRANSLATE_API_KEY = 'test-key';
+        process.env.OPENAI_API_KEY = 'test-key';
+        assert('Default order: Google, then OpenAI', translationService.getProviderChain(null).map(p => p.name).join() === 'google,openai');
+        assert('Preferred provider goes first', translationService.getProviderChain('openai').map(p => p.name).join() === 'openai,google');
+        assert('Unknown provider ignored', translationService.getProviderChain('deepl').map(p => p.name).join() === 'google,openai');
+        assert('Prototype keys ignored', translationService.getProviderChain('constructor').map(p => p.name).join() === 'google,openai');
+        delete process.env.GOOGLE_TRANSLATE_API_KEY;
+        assert('Unconfigured providers skipped', translationService.getProviderChain('google').map(p => p.name).join() === 'openai');
+        delete process.env.OPENAI_API_KEY;
+
+        await assertRejects('No provider → clear error', translationService.translateText('hello', 'he'), /No translation provider configured/);
+    }
+
+    // Test 2: offline stub, cache and usage
+    {
+        const first = await translationService.translateText('שלום', 'ru', 'he', 'user1', { provider: 'stub', groupId: GROUP });
+        assert('Stub translation', first.translatedText === '[ru] שלום' && first.provider === 'stub' && first.cached === false);
+        const second = await translationService.translateText('שלום', 'ru', 'he', 'user1', { provider: 'stub', groupId: GROUP });
+        assert('Repeat served from cache', second.cached === true && second.translatedText === '[ru] שלום');
+
+        const stats = await translationService.getUsageStats();
+        assert('Usage tracked per provider', stats.providers.stub.requests === 1 && stats.providers.stub.cacheHits === 1 && stats.providers.stub.characters === 4);
+        assert('Usage tracked per group', stats.groups[GROUP].requests === 1 && stats.groups[GROUP].cacheHits === 1);
+        stats.groups[GROUP].requests = 99;
+        assert('Stats are a copy', (await translationService.getUsageStats()).groups[GROUP].requests === 1);
+    }
+
+    // Test 3: fallback and cost tracking
+    {
+        process.env.GOOGLE_TRANSLATE_API_KEY = 'test-key';
+        process.env.OPENAI_API_KEY = 'test-key';
+        const google = PROVIDERS.google.translate;
+        const openai = PROVIDERS.openai.translate;
+        PROVIDERS.google.translate = async () => { throw new Error('quota exceeded'); };
+        PROVIDERS.openai.translate = async ({ text, to }) => ({ translatedText: `openai:${to}:${text}`, detectedLanguage: null, costUsd: 0.0002 });
+
+        const result = await translationService.translateText('Привет', 'he', null, 'user2', { groupId: GROUP });
+        assert('Falls back to the next provider', result.provider === 'openai' && result.translatedText === 'openai:he:Привет');
+        const stats = await translationService.getUsageStats();
+        assert('Cost recorded for the provider that answered', Math.abs(stats.providers.openai.costUsd - 0.0002) < 1e-9 && !stats.providers.google);
+        assert('Cost added to the group', Math.abs(stats.groups[GROUP].costUsd - 0.0002) < 1e-9);
+
+        PROVIDERS.openai.translate = async () => { throw new Error('timeout'); };
+        await assertRejects('All providers failing reports each error', translationService.translateText('Пока', 'he', null, 'user2'), /google: quota exceeded \| openai: timeout/);
+
+        PROVIDERS.google.translate = google;
+        PROVIDERS.openai.translate = openai;
+        delete process.env.GOOGLE_TRANSLATE_API_KEY;
+        delete process.env.OPENAI_API_KEY;
+    }
+
+    // Test 4: shared rate limit
+    {
+        for (let i = 0; i < 10; i++) {
+            await translationService.translateText(`message ${i}`, 'he', null, 'flooder', { provider: 'stub' });
+        }
+        await assertRejects('11th translation in a minute is refused', translationService.translateText('message 10', 'he', null, 'flooder', { provider: 'stub' }), /Rate limit exceeded/);
+        const cached = await translationService.translateText('message 3', 'he', null, 'flooder', { provider: 'stub' });
+        assert('Cache hits do not count against the limit', cached.cached === true);
+    }
+
+    // Test 5: per-group provider from the database
+    {
+        process.env.DATABASE_URL = 'postgres://stub';
+        groupProvider = 'stub';
+        const result = await translationService.translateText('Bonjour', 'he', null, 'user3', { groupId: GROUP });
+        assert('Group provider used', result.provider === 'stub');
+        assert('Provider read from groups.translate_provider', queries.some(q => /SELECT translate_provider/i.test(q.sql) && q.params[0] === GROUP));
+        delete process.env.DATABASE_URL;
+    }
+
+    // Test 6: parseAutoTranslateArgs provider action
+    {
+        const t = (input, expected) => {
+            const got = parseAutoTranslateArgs(input);
+            assert(`parseAutoTranslateArgs('${input}')`, JSON.stringify(got) === JSON.stringify(expected), `got ${JSON.stringify(got)}`);
+        };
+        t('provider openai', { action: 'provider', provider: 'openai' });
+        t('provider Google', { action: 'provider', provider: 'google' });
+        t('provider default', { action: 'provider', provider: null });
+        t('provider deepl', null);
+        t('provider constructor', null);
+        t('provider __proto__', null);
+        t('provider stub', null);
+        t('provider', null);
+        t('on ru,he', { action: 'on', from: 'ru', to: 'he' });
+    }
+
+    // Test 7: #autotranslate provider and #he route through the service
+    {
+        const { sock, sent } = makeSock();
+        const handler = new CommandHandler(sock);
+
+        queries.length = 0;
+        await handler.handleCommand(groupMsg('#autotranslate provider openai'), '#autotranslate', ['provider', 'openai'], true, true);
+        const update = queries.find(q => /SET translate_provider/i.test(q.sql));
+        assert('#autotranslate provider stores the choice', update && update.params[0] === GROUP && update.params[1] === 'openai');
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        assert('Provider change audited', audit && audit.params[0] === 'translate_toggle' && JSON.parse(audit.params[5]).provider === 'openai');
+        assert('Unconfigured provider warned about', /not configured/.test(sent[sent.length - 1].content.text));
+
+        process.env.DATABASE_URL = 'postgres://stub';
+        groupProvider = 'stub';
+        await handler.handleCommand(groupMsg('#he', 'Good morning'), '#he', [], true, true);
+        assert('#he translates through the group provider', sent[sent.length - 1].jid === GROUP && sent[sent.length - 1].content.text === '[he] Good morning');
+        delete process.env.DATABASE_URL;
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+async function assertRejects(label, promise, pattern) {
+    try {
+        await promise;
+        assert(label, false, 'did not throw');
+    } catch (error) {
+        assert(label, pattern.test(error.message), error.message);
+    }
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for URL block rules (services/urlBlacklistService, #urlblock).
+ * Stubs database/connection so no live database is needed; url_blacklist.json is backed up and restored.
+ * Run: node tests/testUrlBlockRules.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+let ruleRows = [];
+let insertsFail = false;
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/SELECT[\s\S]*FROM url_block_rules/i.test(sql)) {
+                return { rows: ruleRows };
+            }
+            if (/INSERT INTO url_block_rules[\s\S]*RETURNING/i.test(sql)) {
+                if (insertsFail) throw new Error('connection refused');
+                return { rows: [{ id: 41, rule_type: params[0], pattern: params[1], added_by: params[2], hit_count: 0, created_at_ms: '1700000000000', expires_at_ms: params[3] ? String(params[3]) : null, last_hit_at_ms: null }] };
+            }
+            return { rows: [], rowCount: 1 };
+        }
+    }
+};
+
+const BLACKLIST_FILE = path.join(__dirname, '../url_blacklist.json');
+const backup = fs.existsSync(BLACKLIST_FILE) ? fs.readFileSync(BLACKLIST_FILE, 'utf8') : null;
+const savedDatabaseUrl = process.env.DATABASE_URL;
+delete process.env.DATABASE_URL;
+fs.writeFileSync(BLACKLIST_FILE, '[]');
+
+const urlBlacklist = require('../services/urlBlacklistService');
+const { parseBlockRule, matchBlockRule, isBlockedUrl, recordBlockHit, addBlockRule, removeBlockRule, listBlockRules, formatBlockRule, loadUrlBlockRules } = urlBlacklist;
+const CommandHandler = require('../services/commandHandler');
+const { parseUrlBlockArgs } = CommandHandler;
+const config = require('../config');
+
+function makeSock() {
+    const sent = [];
+    const sock = {
+        sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: `out${sent.length}` } }; }
+    };
+    return { sock, sent };
+}
+
+function privateMsg(text) {
+    return { key: { remoteJid: `${config.ALERT_PHONE}@s.whatsapp.net`, id: `c${Date.now()}` }, message: { conversation: text } };
+}
+
+function restoreFiles() {
+    if (backup === null) {
+        if (fs.existsSync(BLACKLIST_FILE)) fs.unlinkSync(BLACKLIST_FILE);
+    } else {
+        fs.writeFileSync(BLACKLIST_FILE, backup);
+    }
+    if (fs.existsSync(BLACKLIST_FILE + '.imported')) fs.unlinkSync(BLACKLIST_FILE + '.imported');
+    if (savedDatabaseUrl !== undefined) process.env.DATABASE_URL = savedDatabaseUrl;
+}
+
+async function runTests() {
+    console.log('🧪 Testing URL block rules\n');
+
+    // Test 1: parseBlockRule
+    {
+        const t = (input, expected) => {
+            const got = parseBlockRule(input);
+            assert(`parseBlockRule('${input}')`, JSON.stringify(got) === JSON.stringify(expected), `got ${JSON.stringify(got)}`);
+        };
+        t('https://www.Evil.com/login', { type: 'domain', pattern: 'evil.com' });
+        t('*.Spam.tld', { type: 'wildcard', pattern: '*.spam.tld' });
+        t('promo-*.example.org', { type: 'wildcard', pattern: 'promo-*.example.org' });
+        t('https://www.bit.ly/AbC*', { type: 'path', pattern: 'bit.ly/AbC*' });
+        t('/casino\\d+/i', { type: 'regex', pattern: '/casino\\d+/i' });
+        t('*.com', null);
+        t('bit.ly/a*b*', null);
+        t('bit.ly/*', null);
+        t('/(unclosed/', null);
+        t('/(www\\.)?casino\\d+/i', { type: 'regex', pattern: '/(www\\.)?casino\\d+/i' });
+        t('/(?:bet|win)\\d+/', { type: 'regex', pattern: '/(?:bet|win)\\d+/' });
+        t('/[+*]+\\(a+\\)+/', { type: 'regex', pattern: '/[+*]+\\(a+\\)+/' });
+        t('/(a+)+$/', null);
+        t('/(?:\\w*)*x/', null);
+        t('/((a+))+/', null);
+        t('/([a-z]+\\.){2,}com/', null);
+        t('/(a|aa)+b/', null);
+        t('/(x)\\1/', null);
+        t('not a domain', null);
+        t('', null);
+    }
+
+    // Test 2: matching each rule type (file storage, no DATABASE_URL)
+    {
+        await addBlockRule('evil.com', { addedBy: '972501111111' });
+        await addBlockRule('*.spam.tld');
+        await addBlockRule('bit.ly/abc*');
+        await addBlockRule('/casino\\d+/i');
+
+        assert('Domain rule matches subdomains', matchBlockRule('https://login.evil.com/x')?.pattern === 'evil.com');
+        assert('Domain rule does not match look-alikes', !isBlockedUrl('https://notevil.com'));
+        assert('Wildcard matches a subdomain', matchBlockRule('https://win.spam.tld/prize')?.type === 'wildcard');
+        assert('Wildcard needs a subdomain', !isBlockedUrl('https://spam.tld'));
+        assert('Path prefix matches', matchBlockRule('https://bit.ly/abcXYZ')?.type === 'path');
+        assert('Path prefix is case-sensitive', !isBlockedUrl('https://bit.ly/ABCxyz'));
+        assert('Other short links on the host pass', !isBlockedUrl('https://bit.ly/other'));
+        assert('Regex matches the full URL', matchBlockRule('https://shop.example.org/?ref=CASINO77')?.type === 'regex');
+        assert('Unparseable URL is not blocked', !isBlockedUrl('not a url'));
+    }
+
+    // Test 3: hit counters, expiry, listing
+    {
+        const rule = matchBlockRule('https://evil.com');
+        recordBlockHit(rule);
+        recordBlockHit(rule);
+        assert('Hits counted', rule.hitCount === 2 && rule.lastHitAt > 0);
+        const saved = JSON.parse(fs.readFileSync(BLACKLIST_FILE, 'utf8'));
+        assert('Hits saved to the file', saved.find(r => r.pattern === 'evil.com').hitCount === 2);
+        assert('Most-hit rule listed first', listBlockRules()[0].pattern === 'evil.com');
+        assert('Rule formatted with hits and adder', formatBlockRule(rule) === 'evil.com (domain) · 2 hits · by 972501111111');
+
+        await addBlockRule('temp.example', { expiresAt: Date.now() - 1000 });
+        assert('Expired rule is ignored', !isBlockedUrl('https://temp.example') && !listBlockRules().some(r => r.pattern === 'temp.example'));
+        await addBlockRule('temp.example', { expiresAt: Date.now() + 60000 });
+        assert('Re-adding refreshes the expiry', isBlockedUrl('https://temp.example'));
+
+        const { existed } = await removeBlockRule('*.spam.tld');
+        assert('Rule removed by pattern', existed && !isBlockedUrl('https://win.spam.tld'));
+        const byId = await removeBlockRule(`#${matchBlockRule('https://bit.ly/abc1').id}`);
+        assert('Rule removed by id', byId.existed && byId.pattern === 'bit.ly/abc*');
+    }
+
+    // Test 4: legacy url_blacklist.json (flat list of domains) still loads
+    {
+        fs.writeFileSync(BLACKLIST_FILE, JSON.stringify(['old-scam.test']));
+        await loadUrlBlockRules();
+        assert('Legacy domains load as domain rules', matchBlockRule('https://www.old-scam.test/x')?.type === 'domain');
+
+        // A backtracking rule saved before they were refused must not run against URLs
+        fs.writeFileSync(BLACKLIST_FILE, JSON.stringify([{ id: 1, type: 'regex', pattern: '/(a+)+$/', addedBy: null, addedAt: Date.now(), expiresAt: null, hitCount: 0, lastHitAt: null }]));
+        await loadUrlBlockRules();
+        const started = Date.now();
+        const blocked = isBlockedUrl(`https://x.test/${'a'.repeat(40)}!`);
+        assert('Stored unsafe regex never matches', !blocked && Date.now() - started < 1000, `${Date.now() - started}ms`);
+    }
+
+    // Test 5: parseUrlBlockArgs
+    {
+        const t = (input, expected) => {
+            const got = parseUrlBlockArgs(input);
+            assert(`parseUrlBlockArgs('${input}')`, JSON.stringify(got) === JSON.stringify(expected), `got ${JSON.stringify(got)}`);
+        };
+        t('evil.com', { type: 'domain', pattern: 'evil.com', expiresInHours: null });
+        t('*.spam.tld 7d', { type: 'wildcard', pattern: '*.spam.tld', expiresInHours: 168 });
+        t('bit.ly/abc* 24h', { type: 'path', pattern: 'bit.ly/abc*', expiresInHours: 24 });
+        t('/free\\s+money/i 2w', { type: 'regex', pattern: '/free\\s+money/i', expiresInHours: 336 });
+        t('7d', null);
+        t('evil.com 400d', null);
+        t('', null);
+    }
+
+    // Test 6: PostgreSQL storage
+    {
+        process.env.DATABASE_URL = 'postgres://stub';
+        queries.length = 0;
+        fs.writeFileSync(BLACKLIST_FILE, JSON.stringify(['imported.test']));
+        ruleRows = [
+            { id: 7, rule_type: 'wildcard', pattern: '*.shared.tld', added_by: '972502222222', hit_count: 3, created_at_ms: '1700000000000', expires_at_ms: null, last_hit_at_ms: null },
+            { id: 8, rule_type: 'domain', pattern: 'imported.test', added_by: null, hit_count: 0, created_at_ms: '1700000000000', expires_at_ms: null, last_hit_at_ms: null }
+        ];
+        await loadUrlBlockRules();
+        const imported = queries.find(q => /INSERT INTO url_block_rules/i.test(q.sql));
+        assert('Legacy file imported into PostgreSQL', imported && imported.params[0] === 'domain' && imported.params[1] === 'imported.test');
+        assert('Imported file renamed', !fs.existsSync(BLACKLIST_FILE) && fs.existsSync(BLACKLIST_FILE + '.imported'));
+        assert('Expired rows purged on load', queries.some(q => /DELETE FROM url_block_rules WHERE expires_at <= NOW\(\)/i.test(q.sql)));
+        const shared = matchBlockRule('https://a.shared.tld');
+        assert('Rules loaded from PostgreSQL', shared && shared.id === 7 && shared.hitCount === 3 && shared.addedBy === '972502222222');
+
+        queries.length = 0;
+        recordBlockHit(shared);
+        const update = queries.find(q => /UPDATE url_block_rules SET hit_count = hit_count \+ 1/i.test(q.sql));
+        assert('Hit written to PostgreSQL', update && update.params[0] === 7 && shared.hitCount === 4);
+
+        const expiresAt = Date.now() + 3600000;
+        const rule = await addBlockRule('t.co/x*', { addedBy: '972503333333', expiresAt });
+        const insert = queries.find(q => /INSERT INTO url_block_rules[\s\S]*RETURNING/i.test(q.sql));
+        assert('Rule inserted with adder and expiry', insert && insert.params[0] === 'path' && insert.params[2] === '972503333333' && insert.params[3] === expiresAt);
+        assert('Inserted rule takes the database id', rule.id === 41 && isBlockedUrl('https://t.co/xyz'));
+
+        const removed = await removeBlockRule('t.co/x*');
+        assert('Rule deleted from PostgreSQL', removed.existed && queries.some(q => /DELETE FROM url_block_rules WHERE rule_type = \$1 AND pattern = \$2/i.test(q.sql)));
+
+        // Added while the database was down: kept through syncs until it is written
+        insertsFail = true;
+        const offline = await addBlockRule('offline.test');
+        assert('Rule kept in memory when the insert fails', offline.unsynced === true && isBlockedUrl('https://offline.test'));
+        await loadUrlBlockRules();
+        assert('Unsaved rule survives a sync', isBlockedUrl('https://offline.test') && isBlockedUrl('https://a.shared.tld'));
+        insertsFail = false;
+        queries.length = 0;
+        await loadUrlBlockRules();
+        const retried = queries.find(q => /INSERT INTO url_block_rules[\s\S]*RETURNING/i.test(q.sql) && q.params[1] === 'offline.test');
+        assert('Unsaved rule written on the next sync', retried && offline.unsynced === undefined && offline.id === 41);
+        ruleRows = ruleRows.concat({ id: 41, rule_type: 'domain', pattern: 'offline.test', added_by: null, hit_count: 0, created_at_ms: '1700000000000', expires_at_ms: null, last_hit_at_ms: null });
+        await loadUrlBlockRules();
+        assert('Saved rule comes back from PostgreSQL once', listBlockRules().filter(r => r.pattern === 'offline.test').length === 1);
+        delete process.env.DATABASE_URL;
+    }
+
+    // Test 7: #urlblock / #urlblocklist / #urlunblock
+    {
+        fs.writeFileSync(BLACKLIST_FILE, '[]');
+        await loadUrlBlockRules();
+        const { sock, sent } = makeSock();
+        const handler = new CommandHandler(sock);
+
+        queries.length = 0;
+        await handler.handleCommand(privateMsg('#urlblock *.promo.tld 7d'), '#urlblock', ['*.promo.tld', '7d'], true, true);
+        const rule = matchBlockRule('https://x.promo.tld');
+        assert('#urlblock adds a rule with expiry and adder', rule && rule.expiresAt > Date.now() && rule.addedBy === config.ALERT_PHONE);
+        assert('Confirmation names the rule', /\*\.promo\.tld.*wildcard/.test(sent[sent.length - 1].content.text) && /Expires/.test(sent[sent.length - 1].content.text));
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        const metadata = audit ? JSON.parse(audit.params[5]) : {};
+        assert('url_block audited with the rule', audit && audit.params[0] === 'url_block' && metadata.ruleType === 'wildcard' && metadata.pattern === '*.promo.tld');
+
+        await handler.handleCommand(privateMsg('#urlblocklist'), '#urlblocklist', [], true, true);
+        assert('#urlblocklist shows id, type and hits', new RegExp(`#${rule.id} \\*\\.promo\\.tld \\(wildcard\\) · 0 hits`).test(sent[sent.length - 1].content.text));
+
+        await handler.handleCommand(privateMsg(`#urlunblock #${rule.id}`), '#urlunblock', [`#${rule.id}`], true, true);
+        assert('#urlunblock removes by id', !isBlockedUrl('https://x.promo.tld') && /Removed/.test(sent[sent.length - 1].content.text));
+
+        await handler.handleCommand(privateMsg('#urlblock *.com'), '#urlblock', ['*.com'], true, true);
+        assert('Bad pattern shows usage', /Usage: #urlblock/.test(sent[sent.length - 1].content.text));
+    }
+
+    restoreFiles();
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    restoreFiles();
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
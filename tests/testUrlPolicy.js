@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for per-group URL policies (utils/urlPolicy, #urlpolicy).
+ * Stubs database/connection so no live database is needed.
+ * Run: node tests/testUrlPolicy.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before the services load it ───────────────────
+const queries = [];
+let policyRow = { url_policy_mode: null, url_allow_domains: null, url_deny_domains: null };
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            if (/SELECT url_policy_mode/i.test(sql)) {
+                return { rows: [policyRow] };
+            }
+            if (/SET url_policy_mode/i.test(sql)) {
+                policyRow = { url_policy_mode: params[1], url_allow_domains: params[2], url_deny_domains: params[3] };
+                return { rows: [{ name: 'Test Group' }] };
+            }
+            return { rows: [], rowCount: 1 };
+        }
+    }
+};
+
+const { checkUrlPolicy, formatUrlPolicy, describeUrlVerdict, DEFAULT_URL_POLICY } = require('../utils/urlPolicy');
+const groupService = require('../database/groupService');
+const CommandHandler = require('../services/commandHandler');
+const { parseUrlPolicyArgs } = CommandHandler;
+const config = require('../config');
+
+const GROUP = '120363000000000001@g.us';
+
+function makeSock() {
+    const sent = [];
+    const sock = {
+        sendMessage: async (jid, content) => { sent.push({ jid, content }); return { key: { id: `out${sent.length}` } }; },
+        groupMetadata: async () => ({ id: GROUP, subject: 'Test Group', participants: [] })
+    };
+    return { sock, sent };
+}
+
+function groupMsg(text) {
+    return { key: { remoteJid: GROUP, participant: `${config.ALERT_PHONE}@s.whatsapp.net`, id: `c${Date.now()}` }, message: { conversation: text } };
+}
+
+async function runTests() {
+    console.log('🧪 Testing per-group URL policy\n');
+
+    // Test 1: parseUrlPolicyArgs
+    {
+        const t = (input, expected) => {
+            const got = parseUrlPolicyArgs(input);
+            assert(`parseUrlPolicyArgs('${input}')`, JSON.stringify(got) === JSON.stringify(expected), `got ${JSON.stringify(got)}`);
+        };
+        t('', { action: 'status' });
+        t('delete', { action: 'mode', mode: 'delete' });
+        t('OFF', { action: 'mode', mode: 'off' });
+        t('reset', { action: 'reset' });
+        t('allow edu.gov.il,education.gov.il', { action: 'allow', domains: ['edu.gov.il', 'education.gov.il'] });
+        t('allow https://www.Gov.il/he/page', { action: 'allow', domains: ['gov.il'] });
+        t('deny *', { action: 'deny', domains: ['*'] });
+        t('remove bit.ly', { action: 'remove', domains: ['bit.ly'] });
+        t('allow *', null);
+        t('allow', null);
+        t('deny not_a_domain', null);
+        t('delete now', null);
+    }
+
+    // Test 2: default policy keeps the old behaviour
+    {
+        assert('Default allowed domain passes', checkUrlPolicy('https://www.youtube.com/watch?v=1', DEFAULT_URL_POLICY).action === 'allow');
+        assert('Subdomain of an allowed domain passes', checkUrlPolicy('https://m.tiktok.com/x', DEFAULT_URL_POLICY).action === 'allow');
+        assert('Unknown domain alerts', checkUrlPolicy('https://shop.example.com/deal', DEFAULT_URL_POLICY).action === 'alert');
+        assert('Unparseable URL ignored', checkUrlPolicy('https://', DEFAULT_URL_POLICY).action === 'allow');
+    }
+
+    // Test 3: school group — ministry domains allowed, the rest still alerted
+    {
+        const school = { mode: 'alert', allow: ['education.gov.il'], deny: [] };
+        const verdict = checkUrlPolicy('https://pop.education.gov.il/tochniyot', school);
+        assert('Group-allowed subdomain passes', verdict.action === 'allow' && verdict.reason === 'group_allowed');
+        assert('Other domains still alerted', checkUrlPolicy('https://shop.example.com', school).action === 'alert');
+    }
+
+    // Test 4: marketplace group — no links at all, with a specific exception
+    {
+        const market = { mode: 'alert', allow: ['yad2.co.il'], deny: ['*'] };
+        const youtube = checkUrlPolicy('https://youtu.be/abc', market);
+        assert('deny * overrides the default allowed domains', youtube.action === 'deny' && youtube.reason === 'deny_all');
+        assert('Group allow list beats deny *', checkUrlPolicy('https://www.yad2.co.il/item/1', market).action === 'allow');
+        assert('deny * explained', describeUrlVerdict('https://youtu.be/abc', youtube) === 'Links are not allowed in this group');
+    }
+
+    // Test 5: specific deny beats everything; modes
+    {
+        const policy = { mode: 'delete', allow: ['bit.ly'], deny: ['bit.ly', 'facebook.com'] };
+        assert('Specific deny beats the allow list', checkUrlPolicy('https://bit.ly/x', policy).action === 'deny');
+        const fb = checkUrlPolicy('https://l.facebook.com/l.php', policy);
+        assert('Specific deny beats a default allowed domain', fb.action === 'deny' && fb.domain === 'facebook.com');
+        assert('Delete mode deletes unknown links', checkUrlPolicy('https://example.org', policy).action === 'delete');
+        assert('Off mode allows everything', checkUrlPolicy('https://bit.ly/x', { ...policy, mode: 'off' }).action === 'allow');
+    }
+
+    // Test 6: formatting
+    {
+        assert('Off described', formatUrlPolicy({ mode: 'off', allow: [], deny: [] }) === 'off (global block list only)');
+        const text = formatUrlPolicy({ mode: 'delete', allow: ['gov.il'], deny: ['*'] });
+        assert('Lists and mode described', /auto-delete/.test(text) && /Allowed: gov\.il/.test(text) && /all other links/.test(text), text);
+    }
+
+    // Test 7: #urlpolicy updates the stored policy
+    {
+        const { sock, sent } = makeSock();
+        const handler = new CommandHandler(sock);
+
+        assert('Unconfigured group gets the default policy', (await groupService.getUrlPolicy(GROUP)).mode === 'alert');
+
+        queries.length = 0;
+        await handler.handleCommand(groupMsg('#urlpolicy allow edu.gov.il,education.gov.il'), '#urlpolicy', ['allow', 'edu.gov.il,education.gov.il'], true, true);
+        let policy = await groupService.getUrlPolicy(GROUP);
+        assert('Domains added to the allow list', JSON.stringify(policy.allow) === JSON.stringify(['edu.gov.il', 'education.gov.il']));
+        const audit = queries.find(q => /INSERT INTO audit_log/i.test(q.sql));
+        const metadata = audit ? JSON.parse(audit.params[5]) : {};
+        assert('url_policy audited', audit && audit.params[0] === 'url_policy' && metadata.allow === 'edu.gov.il,education.gov.il' && metadata.mode === 'alert');
+
+        await handler.handleCommand(groupMsg('#urlpolicy deny edu.gov.il'), '#urlpolicy', ['deny', 'edu.gov.il'], true, true);
+        policy = await groupService.getUrlPolicy(GROUP);
+        assert('Denying a domain moves it off the allow list', !policy.allow.includes('edu.gov.il') && policy.deny.includes('edu.gov.il'));
+
+        await handler.handleCommand(groupMsg('#urlpolicy delete'), '#urlpolicy', ['delete'], true, true);
+        policy = await groupService.getUrlPolicy(GROUP);
+        assert('Mode changed, lists kept', policy.mode === 'delete' && policy.allow.includes('education.gov.il') && policy.deny.length === 1);
+        assert('Confirmation shows the policy', /auto-delete/.test(sent[sent.length - 1].content.text));
+
+        await handler.handleCommand(groupMsg('#urlpolicy remove edu.gov.il'), '#urlpolicy', ['remove', 'edu.gov.il'], true, true);
+        assert('remove takes a domain off the lists', (await groupService.getUrlPolicy(GROUP)).deny.length === 0);
+
+        await handler.handleCommand(groupMsg('#urlpolicy reset'), '#urlpolicy', ['reset'], true, true);
+        policy = await groupService.getUrlPolicy(GROUP);
+        assert('reset restores the defaults', policy.mode === 'alert' && policy.allow.length === 0 && policy.deny.length === 0);
+
+        await handler.handleCommand(groupMsg('#urlpolicy allow *'), '#urlpolicy', ['allow', '*'], true, true);
+        assert('Bad input shows usage', /Usage: #urlpolicy/.test(sent[sent.length - 1].content.text));
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for short-link expansion (services/urlResolverService) against a local stub HTTP server.
+ * Stubs services/redisService with an in-memory cache.
+ * Run: node tests/testUrlResolver.js
+ */
+
+const http = require('http');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub services/redisService before the resolver loads it ─────────────────
+const redisCache = new Map();
+
+const redisPath = path.join(__dirname, '../services/redisService.js');
+require.cache[redisPath] = {
+    id: redisPath,
+    filename: redisPath,
+    loaded: true,
+    exports: {
+        cache: async (key, value) => { redisCache.set(key, JSON.stringify(value)); },
+        getCached: async (key) => (redisCache.has(key) ? JSON.parse(redisCache.get(key)) : null)
+    }
+};
+
+const { resolveUrl, resolveUrls, isShortenerUrl, isPrivateHost } = require('../services/urlResolverService');
+const { checkResolvedUrlPolicy, findInviteLinks } = require('../utils/urlPolicy');
+const config = require('../config');
+
+// ─── Stub shortener ──────────────────────────────────────────────────────────
+const requests = [];
+let base;
+
+const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const redirect = (status, location) => {
+        res.writeHead(status, { Location: location });
+        res.end();
+    };
+
+    if (req.url === '/abc') return redirect(301, '/hop');
+    if (req.url === '/hop') return redirect(302, `${base}/watch?v=1`);
+    if (req.url === '/direct') return redirect(307, `${base}/login`);
+    if (req.url === '/loop1') return redirect(302, '/loop2');
+    if (req.url === '/loop2') return redirect(302, '/loop1');
+    if (req.url.startsWith('/chain')) return redirect(302, `/chain${Number(req.url.slice(6) || 0) + 1}`);
+    if (req.url === '/internal') return redirect(302, 'http://169.254.169.254/latest/meta-data');
+    if (req.url === '/to-intranet') return redirect(302, `http://intranet.example:${server.address().port}/admin`);
+    if (req.url === '/slow') return; // Never answers
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('not a redirect');
+});
+
+const options = (extra = {}) => ({ shorteners: ['127.0.0.1'], allowPrivateHosts: true, timeoutMs: 1000, ...extra });
+
+async function runTests() {
+    console.log('🧪 Testing short-link expansion\n');
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+
+    // Test 1: shortener detection and private addresses
+    {
+        assert('bit.ly is a shortener', isShortenerUrl('https://bit.ly/abc'));
+        assert('www.tinyurl.com is a shortener', isShortenerUrl('https://www.tinyurl.com/x'));
+        assert('youtube.com is not', !isShortenerUrl('https://youtube.com/watch'));
+        assert('Loopback is private', isPrivateHost('127.0.0.1') && isPrivateHost('localhost') && isPrivateHost('[::1]'));
+        assert('Metadata and RFC 1918 addresses are private', isPrivateHost('169.254.169.254') && isPrivateHost('10.1.2.3') && isPrivateHost('172.20.0.1') && isPrivateHost('192.168.1.1'));
+        assert('Public addresses are not', !isPrivateHost('8.8.8.8') && !isPrivateHost('172.32.0.1') && !isPrivateHost('bit.ly'));
+    }
+
+    // Test 2: non-shortened links are never fetched
+    {
+        requests.length = 0;
+        const result = await resolveUrl('https://example.com/page', options({ shorteners: ['bit.ly'] }));
+        assert('Ordinary link returned as-is', !result.expanded && result.finalUrl === 'https://example.com/page' && result.hops.length === 1);
+        assert('No request made', requests.length === 0);
+    }
+
+    // Test 3: redirect chain followed to the destination
+    {
+        requests.length = 0;
+        const result = await resolveUrl(`${base}/abc`, options());
+        assert('Final destination found', result.finalUrl === `${base}/watch?v=1`, JSON.stringify(result));
+        assert('Every hop recorded', result.hops.length === 3 && result.hops[1] === `${base}/hop`);
+        assert('Expanded without error', result.expanded && result.error === null);
+        assert('Each hop requested once', requests.join(',') === '/abc,/hop,/watch?v=1', `requests: ${requests.join(', ')}`);
+    }
+
+    // Test 4: Redis cache
+    {
+        requests.length = 0;
+        const result = await resolveUrl(`${base}/abc`, options());
+        assert('Second lookup served from cache', requests.length === 0 && result.finalUrl === `${base}/watch?v=1`);
+        assert('Cache key is a hash of the URL', [...redisCache.keys()].every(k => /^urlresolve:[0-9a-f]{40}$/.test(k)));
+    }
+
+    // Test 5: loops, redirect cap, timeout, private hops
+    {
+        const loop = await resolveUrl(`${base}/loop1`, options());
+        assert('Redirect loop stopped', loop.error === 'redirect loop' && loop.hops.length === 2);
+
+        const chain = await resolveUrl(`${base}/chain`, options({ maxRedirects: 3 }));
+        assert('Redirect cap enforced', chain.error === 'too many redirects' && chain.hops.length === 4, JSON.stringify(chain.hops));
+
+        const started = Date.now();
+        const slow = await resolveUrl(`${base}/slow`, options({ timeoutMs: 200 }));
+        assert('Timeout stops the lookup', slow.error === 'timeout' && !slow.expanded && Date.now() - started < 1000);
+
+        requests.length = 0;
+        const internal = await resolveUrl(`${base}/internal`, options({ allowPrivateHosts: false }));
+        assert('Private hop recorded but not fetched', internal.error === 'redirects to a private address' && internal.finalUrl === 'http://169.254.169.254/latest/meta-data' && requests.length === 1);
+
+        assert('Failed lookups are not cached', !redisCache.has(`urlresolve:${require('crypto').createHash('sha1').update(`${base}/slow`).digest('hex')}`));
+
+        // Hostnames that resolve to private addresses, with a stub resolver standing in for DNS
+        const fakeDns = { 'intranet.example': '127.0.0.1', 'short.example': '10.0.0.7' };
+        const lookup = (hostname, lookupOptions, callback) => {
+            const address = fakeDns[hostname];
+            if (!address) return callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' }));
+            if (lookupOptions && lookupOptions.all) return callback(null, [{ address, family: 4 }]);
+            callback(null, address, 4);
+        };
+
+        requests.length = 0;
+        const rebound = await resolveUrl(`${base}/to-intranet`, options({ allowPrivateHosts: false, lookup }));
+        assert('Redirect to a name resolving to loopback not fetched', rebound.error === 'resolves to a private address' &&
+            rebound.finalUrl === `http://intranet.example:${server.address().port}/admin` && requests.join(',') === '/to-intranet', JSON.stringify(rebound) + ` requests: ${requests.join(', ')}`);
+
+        const shortener = await resolveUrl('http://short.example/x', options({ shorteners: ['short.example'], allowPrivateHosts: false, lookup }));
+        assert('Shortener resolving to 10.x not fetched', shortener.error === 'resolves to a private address' && !shortener.expanded, JSON.stringify(shortener));
+
+        const plain = await resolveUrl(`${base}/plain`, options());
+        assert('Non-redirect response ends the chain', !plain.expanded && plain.error === null);
+    }
+
+    // Test 6: several links at once, and policy checks on every hop
+    {
+        const [first, second] = await resolveUrls([`${base}/direct`, 'https://example.org'], options());
+        assert('resolveUrls resolves each link', first.finalUrl === `${base}/login` && second.hops.length === 1);
+
+        const hops = [`${base}/abc`, `${base}/hop`, 'https://www.youtube.com/watch?v=1'];
+        const policy = { mode: 'delete', allow: [], deny: [] };
+        assert('Destination decides when no hop is denied', checkResolvedUrlPolicy(hops, policy).action === 'allow');
+        const denyShortener = { mode: 'alert', allow: [], deny: ['127.0.0.1'] };
+        assert('Any denied hop denies the link', checkResolvedUrlPolicy(hops, denyShortener).action === 'deny');
+        const noLinks = { mode: 'alert', allow: ['youtube.com'], deny: ['*'] };
+        assert('Allowed destination passes deny *', checkResolvedUrlPolicy(hops, noLinks).action === 'allow');
+        assert('Unknown destination alerted', checkResolvedUrlPolicy(['https://bit.ly/x', 'https://shop.example'], { mode: 'alert', allow: [], deny: [] }).action === 'alert');
+
+        // A shortener hiding a WhatsApp invite goes to the invite-link kick path, and is never default-allowed
+        const hiddenInvite = ['https://bit.ly/abc', 'https://chat.whatsapp.com/AbCdEfGhIjKl'];
+        const verdict = checkResolvedUrlPolicy(hiddenInvite, { mode: 'alert', allow: [], deny: [] });
+        assert('Invite destination not default-allowed', verdict.action === 'alert' && verdict.reason === 'not_allowed', JSON.stringify(verdict));
+        const invites = findInviteLinks([{ hops: hiddenInvite }, { hops: ['https://example.org'] }], config.PATTERNS.INVITE_LINK);
+        assert('Invite found among the hops', invites.length === 1 && invites[0] === 'https://chat.whatsapp.com/AbCdEfGhIjKl', JSON.stringify(invites));
+        assert('No invite, no match', findInviteLinks([{ hops }], config.PATTERNS.INVITE_LINK).length === 0);
+    }
+
+    server.close();
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    server.close();
+    console.error('❌ Test run crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for whitelistService persistence and per-group whitelisting.
+ * Stubs database/connection so no live PostgreSQL is needed.
+ * Run: node tests/testWhitelistPersistence.js
+ */
+
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition, detail) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${label}${detail ? ' — ' + detail : ''}`);
+        failed++;
+    }
+}
+
+// ─── Stub database/connection before whitelistService loads it ──────────────
+const queries = [];
+let userRows = [];
+let groupRows = [];
+let dbDown = false;
+
+const connectionPath = path.join(__dirname, '../database/connection.js');
+require.cache[connectionPath] = {
+    id: connectionPath,
+    filename: connectionPath,
+    loaded: true,
+    exports: {
+        query: async (sql, params = []) => {
+            if (dbDown) throw new Error('Database not initialized');
+            queries.push({ sql, params });
+            if (/FROM users/i.test(sql) && /SELECT/i.test(sql)) return { rows: userRows };
+            if (/FROM group_whitelist/i.test(sql) && /SELECT/i.test(sql)) return { rows: groupRows };
+            return { rows: [] };
+        }
+    }
+};
+
+const whitelistService = require('../services/whitelistService');
+
+const PHONE = '972555123456';
+const GROUP_A = '120363000000000001@g.us';
+const GROUP_B = '120363000000000002@g.us';
+
+async function runTests() {
+    console.log('🧪 Testing whitelistService persistence\n');
+
+    // Test 1: global whitelist writes users.is_whitelisted and matches every JID form
+    {
+        const ok = await whitelistService.addToWhitelist(PHONE);
+        const upsert = queries.find(q => /INSERT INTO users/i.test(q.sql) && /is_whitelisted/i.test(q.sql));
+        assert('addToWhitelist succeeds', ok === true);
+        assert('users upsert sets is_whitelisted', !!upsert && upsert.params[0] === PHONE);
+        assert('Matches raw phone', whitelistService.isWhitelisted(PHONE));
+        assert('Matches @s.whatsapp.net JID', whitelistService.isWhitelisted(`${PHONE}@s.whatsapp.net`));
+        assert('Matches @c.us JID', whitelistService.isWhitelisted(`${PHONE}@c.us`));
+        assert('Global entry applies in any group', whitelistService.isWhitelisted(PHONE, GROUP_B));
+        assert('Duplicate add returns false', (await whitelistService.addToWhitelist(PHONE)) === false);
+    }
+
+    // Test 2: removal clears the flag in PostgreSQL
+    {
+        queries.length = 0;
+        const ok = await whitelistService.removeFromWhitelist(`${PHONE}@s.whatsapp.net`);
+        const update = queries.find(q => /UPDATE users/i.test(q.sql) && /is_whitelisted = false/i.test(q.sql));
+        assert('removeFromWhitelist succeeds', ok === true);
+        assert('UPDATE clears is_whitelisted', !!update && update.params[0] === PHONE);
+        assert('No longer whitelisted', !whitelistService.isWhitelisted(PHONE));
+    }
+
+    // Test 3: per-group whitelist only applies in that group
+    {
+        queries.length = 0;
+        await whitelistService.addToWhitelist(PHONE, GROUP_A, '972501111111@s.whatsapp.net');
+        const insert = queries.find(q => /INSERT INTO group_whitelist/i.test(q.sql));
+        assert('group_whitelist row inserted', !!insert && insert.params[0] === GROUP_A && insert.params[1] === PHONE);
+        assert('Whitelisted in group A', whitelistService.isWhitelisted(PHONE, GROUP_A));
+        assert('Not whitelisted in group B', !whitelistService.isWhitelisted(PHONE, GROUP_B));
+        assert('Not whitelisted without group', !whitelistService.isWhitelisted(PHONE));
+        const listed = await whitelistService.listWhitelist(GROUP_A);
+        assert('listWhitelist(group) returns entry', listed.length === 1 && listed[0] === PHONE);
+        assert('Global list unaffected', (await whitelistService.listWhitelist()).length === 0);
+
+        await whitelistService.removeFromWhitelist(PHONE, GROUP_A);
+        const del = queries.find(q => /DELETE FROM group_whitelist/i.test(q.sql));
+        assert('group_whitelist row deleted', !!del && del.params[0] === GROUP_A);
+        assert('Removed from group A', !whitelistService.isWhitelisted(PHONE, GROUP_A));
+    }
+
+    // Test 4: loadWhitelistCache hydrates both scopes after a "restart"
+    {
+        userRows = [{ phone_number: '972544345287', lid: '77709346664559' }];
+        groupRows = [{ whatsapp_group_id: GROUP_B, phone_number: PHONE }];
+        await whitelistService.loadWhitelistCache();
+        assert('Global entry restored', whitelistService.isWhitelisted('972544345287@s.whatsapp.net'));
+        assert('LID of global entry restored', whitelistService.isWhitelisted('77709346664559@lid'));
+        assert('Group entry restored', whitelistService.isWhitelisted(PHONE, GROUP_B));
+        assert('Group entry stays scoped', !whitelistService.isWhitelisted(PHONE, GROUP_A));
+    }
+
+    // Test 5: DB outage falls back to memory instead of failing the command
+    {
+        dbDown = true;
+        const ok = await whitelistService.addToWhitelist('972509999999');
+        assert('addToWhitelist succeeds with DB down', ok === true);
+        assert('Memory entry active with DB down', whitelistService.isWhitelisted('972509999999'));
+        await whitelistService.loadWhitelistCache();
+        assert('Failed reload keeps memory cache', whitelistService.isWhitelisted('972509999999'));
+        dbDown = false;
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
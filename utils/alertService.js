@@ -1,6 +1,7 @@
 const config = require('../config');
 const { getTimestamp } = require('./logger');
 const { decodeLIDToPhone } = require('./jidUtils');
+const { storeKickUndo } = require('./kickUndoRequests');
 
 /**
  * Alert Service - Send notifications to alert phone
@@ -27,6 +28,19 @@ async function sendAlert(sock, message) {
     }
 }
 
+/**
+ * Send a kick alert to the alert phone and remember it for 24h so the admin can reply "undo"
+ * (see CommandHandler.undoKick)
+ * @returns {Promise<Object>} The sent message (its key.id is the undo handle)
+ */
+async function sendUndoableKickAlert(sock, alertMessage, undoData) {
+    const sent = await sock.sendMessage(formatPhoneForAlert(config.ALERT_PHONE), { text: alertMessage });
+    if (sent?.key?.id) {
+        storeKickUndo(sent.key.id, undoData);
+    }
+    return sent;
+}
+
 async function sendKickAlert(sock, { userPhone, userName, groupName, groupId, reason, additionalInfo = '', spamLink = '', groupInviteLink = '', userId = '', violations = {}, autoBlacklisted = false }) {
     // Get group invite link if not provided
     if (!groupInviteLink || groupInviteLink === 'N/A') {
@@ -67,6 +81,14 @@ async function sendKickAlert(sock, { userPhone, userName, groupName, groupId, re
 
     let alertTitle = '🚨 WhatsApp Invite Spam - ACTION REQUIRED';
     let kickedUserJid = userId || `${userPhone}@s.whatsapp.net`;
+    const undoData = {
+        userId: kickedUserJid,
+        userPhone: String(realPhone || '').replace(/\D/g, ''),
+        groupId,
+        groupName: groupName || 'Unknown Group',
+        groupInviteLink,
+        reason
+    };
 
     // For invite link spam with NEW flow (ask admin before blacklisting)
     if (reason === 'invite_link') {
@@ -85,10 +107,11 @@ async function sendKickAlert(sock, { userPhone, userName, groupName, groupId, re
             `  1️⃣ = Blacklist Only (prevent rejoin)\n` +
             `  2️⃣ = Global Ban Only (kick from all your groups)\n` +
             `  3️⃣ = Blacklist + Global Ban (both!)\n` +
-            `  0️⃣ = Ignore (do nothing)`;
+            `  0️⃣ = Ignore (do nothing)\n` +
+            `  ↩️ undo = Reverse the kick within 24h (unblacklist, clear violations, re-add)`;
 
         // Send alert and return the message info for reply handling
-        return await sock.sendMessage(formatPhoneForAlert(config.ALERT_PHONE), { text: alertMessage });
+        return await sendUndoableKickAlert(sock, alertMessage, undoData);
     }
 
     // For admin kick command (#kick)
@@ -107,9 +130,10 @@ async function sendKickAlert(sock, { userPhone, userName, groupName, groupId, re
             `  1️⃣ = Blacklist Only (prevent rejoin)\n` +
             `  2️⃣ = Global Ban Only (kick from all your groups)\n` +
             `  3️⃣ = Blacklist + Global Ban (both!)\n` +
-            `  0️⃣ = Ignore (do nothing)`;
+            `  0️⃣ = Ignore (do nothing)\n` +
+            `  ↩️ undo = Reverse the kick within 24h (unblacklist, clear violations, re-add)`;
 
-        return await sock.sendMessage(formatPhoneForAlert(config.ALERT_PHONE), { text: alertMessage });
+        return await sendUndoableKickAlert(sock, alertMessage, undoData);
     }
 
     // For other reasons (auto-blacklist cases like country code, already blacklisted)
@@ -135,9 +159,16 @@ async function sendKickAlert(sock, { userPhone, userName, groupName, groupId, re
         `⏰ Time: ${timestamp}\n` +
         (additionalInfo ? `ℹ️ Details: ${additionalInfo}\n` : '') +
         `⚠️ Violations: ${violationsText}\n\n` +
-        `✅ User was automatically removed`;
+        `✅ User was automatically removed\n\n` +
+        `↩️ Reply "undo" within 24h to reverse it (unblacklist, clear violations, re-add)`;
 
-    await sendAlert(sock, alertMessage);
+    try {
+        await sendUndoableKickAlert(sock, alertMessage, undoData);
+        console.log(`[${getTimestamp()}] 🚨 Kick alert sent to ${config.ALERT_PHONE}`);
+    } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Failed to send kick alert:`, error.message);
+        return false;
+    }
     return true;
 }
 
@@ -0,0 +1,84 @@
+/**
+ * Per-group country-code policy, shared by the join handler and #botforeign sweeps
+ * so both apply exactly the same rule.
+ *
+ * A policy is { mode, prefixes, action }:
+ *   mode     'off'   - no country filtering
+ *            'block' - phones starting with one of `prefixes` violate the policy
+ *            'allow' - phones NOT starting with one of `prefixes` violate the policy
+ *   prefixes Country calling-code prefixes without '+' (e.g. ['972', '44'])
+ *   action   'kick'  - remove the user
+ *            'warn'  - leave the user in the group and alert the admins
+ *
+ * Israeli numbers (+972) are never a violation, whatever the policy says.
+ */
+
+const PROTECTED_PREFIXES = ['972'];
+
+const POLICY_MODES = ['off', 'allow', 'block'];
+const POLICY_ACTIONS = ['kick', 'warn'];
+
+// What #botforeign used to hard-code: kick +1 (US/Canada) and +6x (Southeast Asia)
+const DEFAULT_COUNTRY_POLICY = Object.freeze({ mode: 'block', prefixes: Object.freeze(['1', '6']), action: 'kick' });
+const COUNTRY_POLICY_OFF = Object.freeze({ mode: 'off', prefixes: Object.freeze([]), action: 'kick' });
+
+/**
+ * Check one phone number against a policy.
+ *
+ * @param {string} phoneNumber               Digits of the phone (a leading '+' is ignored)
+ * @param {{mode: string, prefixes: string[], action: string}} policy
+ * @param {{ phoneUnknown?: boolean }} options  phoneUnknown: LID without a real phone - its digits are not a phone prefix
+ * @returns {{ violates: boolean, reason: string, prefix?: string }}
+ *   reason: 'off' | 'protected' | 'unknown_phone' | 'blocked_prefix' | 'not_allowed' | 'ok'
+ */
+function checkCountryPolicy(phoneNumber, policy, options = {}) {
+    if (!policy || policy.mode === 'off') {
+        return { violates: false, reason: 'off' };
+    }
+
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    if (PROTECTED_PREFIXES.some(p => digits.startsWith(p))) {
+        return { violates: false, reason: 'protected' };
+    }
+    // E.164 numbers are 8-15 digits; anything else can't be matched to a country reliably
+    if (options.phoneUnknown || digits.length < 8 || digits.length > 15) {
+        return { violates: false, reason: 'unknown_phone' };
+    }
+
+    const prefix = (policy.prefixes || []).find(p => digits.startsWith(p));
+    if (policy.mode === 'block') {
+        return prefix ? { violates: true, reason: 'blocked_prefix', prefix } : { violates: false, reason: 'ok' };
+    }
+    return prefix ? { violates: false, reason: 'ok', prefix } : { violates: true, reason: 'not_allowed' };
+}
+
+/**
+ * Human-readable policy, e.g. "block +1, +6 (kick)" or "allow only +972, +44 (warn admins)"
+ */
+function formatCountryPolicy(policy) {
+    if (!policy || policy.mode === 'off') return 'off';
+    const prefixes = (policy.prefixes || []).map(p => `+${p}`).join(', ');
+    const action = policy.action === 'warn' ? 'warn admins' : 'kick';
+    return policy.mode === 'allow' ? `allow only ${prefixes} (${action})` : `block ${prefixes} (${action})`;
+}
+
+/**
+ * Why a phone violates a policy, for alerts and audit rows
+ */
+function describeViolation(phoneNumber, policy, result) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    return result.reason === 'blocked_prefix'
+        ? `Country code +${result.prefix} is blocked`
+        : `+${digits.substring(0, 3)}… is not in the allowed list (${(policy.prefixes || []).map(p => `+${p}`).join(', ')})`;
+}
+
+module.exports = {
+    PROTECTED_PREFIXES,
+    POLICY_MODES,
+    POLICY_ACTIONS,
+    DEFAULT_COUNTRY_POLICY,
+    COUNTRY_POLICY_OFF,
+    checkCountryPolicy,
+    formatCountryPolicy,
+    describeViolation
+};
@@ -5,6 +5,8 @@ const { getTimestamp } = require('./logger');
 const { jidKey, decodeLIDToPhone } = require('./jidUtils');
 const { robustKick } = require('./kickHelper');
 const globalBanTracker = require('../services/globalBanTracker');
+const { kickedUserService } = require('../services/kickedUserService');
+const { logAudit } = require('../database/groupService');
 
 /**
  * Remove a user from ALL groups where the specified admin is an admin
@@ -247,6 +249,21 @@ async function removeUserFromAllAdminGroups(sock, userJid, adminPhone, userPhone
                     // Use robustKick for reliability
                     await robustKick(sock, groupId, [userParticipant.id]);
 
+                    await kickedUserService.recordKick(sock, {
+                        userId: userParticipant.id,
+                        groupId,
+                        groupMetadata: metadata,
+                        reason: 'Global ban by admin',
+                        kickedBy: `${adminPhone}@s.whatsapp.net`
+                    });
+                    await logAudit('kick', {
+                        whatsappGroupId: groupId,
+                        targetPhone: userParticipant.id,
+                        actor: adminPhone,
+                        rule: 'global_ban',
+                        reason: 'Global ban by admin'
+                    });
+
                     report.successfulKicks++;
                     report.details.push({
                         groupId,
@@ -270,6 +287,14 @@ async function removeUserFromAllAdminGroups(sock, userJid, adminPhone, userPhone
                     });
 
                     console.error(`[${getTimestamp()}] ❌ Failed to kick from ${groupName}: ${kickError.message}`);
+                    await logAudit('kick', {
+                        whatsappGroupId: groupId,
+                        targetPhone: userParticipant.id,
+                        actor: adminPhone,
+                        rule: 'global_ban',
+                        reason: `Global ban kick failed: ${kickError.message}`,
+                        outcome: 'failed'
+                    });
                 }
 
             } catch (groupError) {
@@ -543,6 +568,21 @@ async function executeGlobalBanOnSelectedGroups(sock, userJid, selectedGroupIds,
             console.log(`[${getTimestamp()}] 🎯 Kicking from: ${groupName}`);
             await robustKick(sock, groupId, [userParticipant.id]);
 
+            await kickedUserService.recordKick(sock, {
+                userId: userParticipant.id,
+                groupId,
+                groupMetadata: metadata,
+                reason: 'Global ban by admin (selected groups)',
+                kickedBy: null // Issuing admin is not passed down to this helper
+            });
+            await logAudit('kick', {
+                whatsappGroupId: groupId,
+                targetPhone: userParticipant.id,
+                actor: null,
+                rule: 'global_ban',
+                reason: 'Global ban by admin (selected groups)'
+            });
+
             report.successfulKicks++;
             report.details.push({
                 groupName,
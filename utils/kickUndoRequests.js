@@ -0,0 +1,76 @@
+// utils/kickUndoRequests.js
+// Kick alerts that can still be undone (alert message ID → kicked user and group)
+// Persisted to disk so the 24h undo window survives bot restarts
+
+const fs = require('fs');
+const path = require('path');
+
+// KICK_UNDO_FILE moves the store (tests point it at a temp file so live undo requests are never touched)
+const STORE_FILE = process.env.KICK_UNDO_FILE || path.join(__dirname, '..', 'kick_undo_requests.json');
+const UNDO_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const kickUndoRequests = new Map();
+
+function _save() {
+    const obj = {};
+    for (const [id, data] of kickUndoRequests) {
+        obj[id] = data;
+    }
+    try {
+        fs.writeFileSync(STORE_FILE, JSON.stringify(obj, null, 2));
+    } catch (e) {
+        console.error('[KickUndo] Failed to save:', e.message);
+    }
+}
+
+function _load() {
+    try {
+        if (!fs.existsSync(STORE_FILE)) return;
+        const raw = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+        const now = Date.now();
+        for (const [id, data] of Object.entries(raw)) {
+            if (now - data.timestamp < UNDO_WINDOW_MS) {
+                kickUndoRequests.set(id, data);
+            }
+        }
+        console.log(`[KickUndo] Loaded ${kickUndoRequests.size} undoable kicks from disk`);
+    } catch (e) {
+        console.error('[KickUndo] Failed to load:', e.message);
+    }
+}
+
+// Load on startup
+_load();
+
+/**
+ * @param {string} messageId - ID of the kick alert sent to the alert phone
+ * @param {Object} data - { userId, userPhone, groupId, groupName, groupInviteLink, reason }
+ */
+function storeKickUndo(messageId, data) {
+    kickUndoRequests.set(messageId, { ...data, timestamp: Date.now() });
+    _save();
+}
+
+function getKickUndo(messageId) {
+    const data = kickUndoRequests.get(messageId);
+    if (!data) return null;
+    // Expire stale entries on read
+    if (Date.now() - data.timestamp >= UNDO_WINDOW_MS) {
+        kickUndoRequests.delete(messageId);
+        _save();
+        return null;
+    }
+    return data;
+}
+
+function removeKickUndo(messageId) {
+    kickUndoRequests.delete(messageId);
+    _save();
+}
+
+module.exports = {
+    UNDO_WINDOW_MS,
+    storeKickUndo,
+    getKickUndo,
+    removeKickUndo
+};
@@ -16,4 +16,134 @@ function isRussian(text) {
     return /[Ѐ-ӿ]/.test(text);
 }
 
-module.exports = { isRussian };
+// Languages detectLanguage() can tell apart. Languages that share a script (en/fr) are
+// split by stop words and hint characters; the others are decided by their script alone.
+const LANGUAGE_PROFILES = {
+    he: {
+        script: 'hebrew',
+        stopWords: ['של', 'את', 'זה', 'זאת', 'לא', 'על', 'עם', 'גם', 'אני', 'הוא', 'היא', 'אנחנו', 'הם', 'אתה',
+            'מה', 'יש', 'אין', 'כל', 'אם', 'או', 'כי', 'רק', 'אבל', 'לי', 'לך', 'שלי', 'היה', 'כן', 'עוד',
+            'מי', 'איך', 'למה', 'פה', 'כאן', 'טוב', 'תודה']
+    },
+    ru: {
+        script: 'cyrillic',
+        stopWords: ['и', 'в', 'во', 'не', 'на', 'я', 'что', 'с', 'со', 'по', 'это', 'как', 'а', 'то', 'все', 'всё',
+            'он', 'она', 'так', 'но', 'да', 'ты', 'вы', 'мы', 'у', 'к', 'из', 'за', 'для', 'от', 'же', 'когда',
+            'уже', 'или', 'нет', 'есть', 'был', 'была', 'меня', 'мне', 'если', 'только', 'спасибо']
+    },
+    ar: {
+        script: 'arabic',
+        stopWords: ['في', 'من', 'على', 'إلى', 'الى', 'عن', 'مع', 'هذا', 'هذه', 'ما', 'لا', 'هل', 'كان', 'هو', 'هي',
+            'كل', 'أنا', 'انا', 'نحن', 'أن', 'ان', 'لم', 'لن', 'قد', 'يا', 'الذي', 'التي', 'شكرا']
+    },
+    am: {
+        script: 'ethiopic',
+        stopWords: ['እና', 'ነው', 'ላይ', 'ውስጥ', 'ይህ', 'ያ', 'ነበር', 'እኔ', 'አንተ', 'አንቺ', 'እሱ', 'እሷ', 'እኛ',
+            'ምን', 'ወደ', 'ግን', 'ደግሞ', 'ሁሉ', 'አለ', 'የለም', 'አዎ', 'እንዴት', 'አመሰግናለሁ']
+    },
+    en: {
+        script: 'latin',
+        stopWords: ['the', 'and', 'is', 'are', 'was', 'to', 'of', 'in', 'it', 'you', 'that', 'for', 'on', 'with',
+            'this', 'have', 'has', 'be', 'at', 'not', 'we', 'i', 'what', 'will', 'can', 'my', 'your', 'do',
+            "don't", "i'm", 'please', 'thanks', 'hi', 'hello', 'from', 'they', 'there', 'just', 'but', 'so']
+    },
+    fr: {
+        script: 'latin',
+        stopWords: ['le', 'la', 'les', 'de', 'des', 'du', 'et', 'est', 'un', 'une', 'pour', 'pas', 'que', 'qui',
+            'dans', 'vous', 'nous', 'je', 'il', 'elle', 'sur', 'au', 'aux', 'ce', 'cette', 'avec', 'mais', 'ou',
+            'où', 'sont', 'bonjour', 'merci', 'oui', 'très', 'tout', "c'est", "j'ai", 'ne', 'ça', 'mon', 'ma', 'mes'],
+        hint: /[àâçéèêëîïôûùœ]/
+    }
+};
+
+const DETECTABLE_LANGUAGES = Object.freeze(Object.keys(LANGUAGE_PROFILES));
+
+// Below this share of the message's letters the text counts as mixed and is not auto-translated
+const AUTO_TRANSLATE_MIN_CONFIDENCE = 0.6;
+
+const STOP_WORDS = Object.fromEntries(
+    Object.entries(LANGUAGE_PROFILES).map(([lang, profile]) => [lang, new Set(profile.stopWords)])
+);
+
+function scriptOf(code) {
+    if ((code >= 0x0590 && code <= 0x05FF) || (code >= 0xFB1D && code <= 0xFB4F)) return 'hebrew';
+    if (code >= 0x0400 && code <= 0x04FF) return 'cyrillic';
+    if ((code >= 0x0600 && code <= 0x06FF) || (code >= 0x0750 && code <= 0x077F) ||
+        (code >= 0x08A0 && code <= 0x08FF) || (code >= 0xFB50 && code <= 0xFDFF) || (code >= 0xFE70 && code <= 0xFEFF)) return 'arabic';
+    if (code >= 0x1200 && code <= 0x137F) return 'ethiopic';
+    if ((code >= 0x41 && code <= 0x5A) || (code >= 0x61 && code <= 0x7A) ||
+        (code >= 0xC0 && code <= 0x24F && code !== 0xD7 && code !== 0xF7)) return 'latin';
+    return null;
+}
+
+/**
+ * Detect the language of a message from its letters' scripts, then stop words for
+ * languages that share a script. URLs and @mentions are ignored.
+ * @param {string} text
+ * @returns {{ language: string|null, confidence: number, scores: Object<string, number> }}
+ *   scores maps each language to its share of the letters (0..1); confidence is the winner's share.
+ *   language is null when there are fewer than two letters or the top languages tie.
+ */
+function detectLanguage(text) {
+    const scores = Object.fromEntries(DETECTABLE_LANGUAGES.map(lang => [lang, 0]));
+    if (!text || typeof text !== 'string') return { language: null, confidence: 0, scores };
+
+    const cleaned = text
+        .replace(/https?:\/\/\S+|www\.\S+/gi, ' ')
+        .replace(/@\d+/g, ' ')
+        .replace(/’/g, "'")
+        .toLowerCase();
+
+    const letters = {};
+    let total = 0;
+    for (const char of cleaned) {
+        const script = scriptOf(char.codePointAt(0));
+        if (!script) continue;
+        letters[script] = (letters[script] || 0) + 1;
+        total++;
+    }
+    if (total < 2) return { language: null, confidence: 0, scores };
+
+    const hits = Object.fromEntries(DETECTABLE_LANGUAGES.map(lang => [lang, 0]));
+    for (const word of cleaned.split(/[^\p{L}\p{M}']+/u)) {
+        if (!word) continue;
+        for (const lang of DETECTABLE_LANGUAGES) {
+            if (STOP_WORDS[lang].has(word) || LANGUAGE_PROFILES[lang].hint?.test(word)) hits[lang]++;
+        }
+    }
+
+    // Each script's letters are shared among its languages in proportion to their (smoothed) hits
+    for (const lang of DETECTABLE_LANGUAGES) {
+        const script = LANGUAGE_PROFILES[lang].script;
+        if (!letters[script]) continue;
+        const rivals = DETECTABLE_LANGUAGES.filter(other => LANGUAGE_PROFILES[other].script === script);
+        const rivalHits = rivals.reduce((sum, other) => sum + hits[other], 0);
+        scores[lang] = (letters[script] / total) * ((hits[lang] + 1) / (rivalHits + rivals.length));
+    }
+
+    const ranked = [...DETECTABLE_LANGUAGES].sort((a, b) => scores[b] - scores[a]);
+    const [best, runnerUp] = ranked;
+    if (scores[best] === scores[runnerUp]) return { language: null, confidence: scores[best], scores };
+    return { language: best, confidence: scores[best], scores };
+}
+
+/**
+ * The language to auto-translate text from: the detected language if it is one of sources
+ * and clears minConfidence.
+ * @param {string} text
+ * @param {string[]} sources  e.g. ['ru', 'ar']
+ * @param {number} [minConfidence]
+ * @returns {string|null} null for other languages and mixed-language text
+ */
+function detectSourceLanguage(text, sources, minConfidence = AUTO_TRANSLATE_MIN_CONFIDENCE) {
+    const { language, confidence } = detectLanguage(text);
+    return language && sources.includes(language) && confidence >= minConfidence ? language : null;
+}
+
+module.exports = {
+    isRussian,
+    detectLanguage,
+    detectSourceLanguage,
+    DETECTABLE_LANGUAGES,
+    AUTO_TRANSLATE_MIN_CONFIDENCE
+};
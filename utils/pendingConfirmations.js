@@ -0,0 +1,46 @@
+// utils/pendingConfirmations.js
+// Bulk removals previewed with --dry / #preview, waiting for the admin to reply "confirm".
+// In memory only: a preview is short-lived and must be re-run after a restart.
+
+const config = require('../config');
+
+const CONFIRM_WINDOW_MS = config.BULK_CONFIRM_WINDOW || 5 * 60 * 1000;
+
+// issuer key → { command, groupId, groupName, targetCount, execute, createdAt }
+const pendingConfirmations = new Map();
+
+/**
+ * Store a previewed action; replaces any earlier preview by the same issuer
+ *
+ * @param {string} issuerKey - Who may confirm (see CommandHandler.confirmationKey)
+ * @param {Object} entry - { command, groupId, groupName, targetCount, execute: async () => void }
+ */
+function storePendingConfirmation(issuerKey, entry) {
+    pendingConfirmations.set(issuerKey, { ...entry, createdAt: Date.now() });
+}
+
+function getPendingConfirmation(issuerKey) {
+    const entry = pendingConfirmations.get(issuerKey);
+    if (!entry) return null;
+    if (Date.now() - entry.createdAt >= CONFIRM_WINDOW_MS) {
+        pendingConfirmations.delete(issuerKey);
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Remove and return the issuer's pending action (null if none or expired)
+ */
+function takePendingConfirmation(issuerKey) {
+    const entry = getPendingConfirmation(issuerKey);
+    pendingConfirmations.delete(issuerKey);
+    return entry;
+}
+
+module.exports = {
+    CONFIRM_WINDOW_MS,
+    storePendingConfirmation,
+    getPendingConfirmation,
+    takePendingConfirmation
+};
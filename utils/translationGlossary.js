@@ -0,0 +1,136 @@
+/**
+ * Per-group translation glossary (#glossary add מורה=учительница), enforced by
+ * services/translationService on every translation in the group.
+ *
+ * An entry is { source, target, sourceLang, targetLang, addedBy, addedAt }. The languages are
+ * detected from the terms when the entry is added (null when the term's script is shared,
+ * e.g. English/French) and decide the direction: translating into targetLang swaps source for
+ * target, translating into sourceLang swaps target back for source - so one entry serves
+ * both directions of a bilingual group.
+ *
+ * Terms match whole words, case-insensitively, and are substituted into the text before it
+ * goes to the provider; machine translation leaves words already in the target language alone.
+ */
+
+const { detectLanguage } = require('./languageUtils');
+
+const GLOSSARY_MAX_ENTRIES = 100;
+const GLOSSARY_MAX_TERM_LENGTH = 60;
+
+/**
+ * Parse "source=target" into a glossary entry
+ * @param {string} input
+ * @param {string|null} addedBy
+ * @returns {{ entry?: Object, error?: string }}
+ */
+function parseGlossaryEntry(input, addedBy = null) {
+    const separator = (input || '').indexOf('=');
+    if (separator === -1) return { error: 'Use source=target, e.g. מורה=учительница' };
+
+    const source = input.slice(0, separator).trim().replace(/\s+/g, ' ');
+    const target = input.slice(separator + 1).trim().replace(/\s+/g, ' ');
+    if (!source || !target) return { error: 'Both sides of = are needed' };
+    if (source.length > GLOSSARY_MAX_TERM_LENGTH || target.length > GLOSSARY_MAX_TERM_LENGTH) {
+        return { error: `Terms are limited to ${GLOSSARY_MAX_TERM_LENGTH} characters` };
+    }
+    if (source.toLowerCase() === target.toLowerCase()) return { error: 'The term and its translation are the same' };
+
+    return {
+        entry: {
+            source,
+            target,
+            sourceLang: detectLanguage(source).language,
+            targetLang: detectLanguage(target).language,
+            addedBy,
+            addedAt: new Date().toISOString()
+        }
+    };
+}
+
+function sameTerm(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Add or replace (same source term) an entry
+ * @returns {{ glossary?: Object[], replaced?: boolean, error?: string }}
+ */
+function addGlossaryEntry(glossary, entry) {
+    const existing = glossary.findIndex(e => sameTerm(e.source, entry.source));
+    if (existing === -1 && glossary.length >= GLOSSARY_MAX_ENTRIES) {
+        return { error: `The glossary is full (${GLOSSARY_MAX_ENTRIES} terms) - remove one first` };
+    }
+    const next = glossary.filter((e, i) => i !== existing);
+    next.push(entry);
+    return { glossary: next, replaced: existing !== -1 };
+}
+
+/**
+ * Remove the entry for a source term
+ * @returns {{ glossary: Object[], removed: Object|null }}
+ */
+function removeGlossaryEntry(glossary, source) {
+    const removed = glossary.find(e => sameTerm(e.source, source)) || null;
+    return { glossary: glossary.filter(e => e !== removed), removed };
+}
+
+// Whole word: not preceded or followed by a letter or digit (\b only knows ASCII)
+function termPattern(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Substitute glossary terms into text about to be translated
+ * @param {string} text
+ * @param {Object[]} glossary
+ * @param {{ from: string|null, to: string }} languages - from null = auto-detect
+ * @returns {{ text: string, applied: Object[] }} applied lists the entries that matched
+ */
+function applyGlossary(text, glossary, { from = null, to }) {
+    if (!text || !glossary || glossary.length === 0) return { text, applied: [] };
+
+    // Longest terms first so "בית ספר" wins over "בית"
+    const entries = [...glossary].sort((a, b) => b.source.length - a.source.length);
+    const replacements = [];
+    const applied = [];
+    let result = text;
+
+    for (const entry of entries) {
+        let find = null;
+        let replace = null;
+        if ((!entry.targetLang || entry.targetLang === to) && (!from || !entry.sourceLang || entry.sourceLang === from)) {
+            [find, replace] = [entry.source, entry.target];
+        } else if (entry.sourceLang === to && (!from || !entry.targetLang || entry.targetLang === from)) {
+            [find, replace] = [entry.target, entry.source];
+        }
+        if (!find) continue;
+
+        const pattern = termPattern(find);
+        if (!pattern.test(result)) continue;
+
+        // Placeholders first, so a substituted term is never matched by a shorter entry
+        const token = `\u0000${replacements.length}\u0000`;
+        result = result.replace(termPattern(find), (match, lead) => lead + token);
+        replacements.push(replace);
+        applied.push(entry);
+    }
+
+    result = result.replace(/\u0000(\d+)\u0000/g, (match, index) => replacements[Number(index)]);
+    return { text: result, applied };
+}
+
+function formatGlossaryEntry(entry) {
+    const languages = entry.sourceLang && entry.targetLang ? ` (${entry.sourceLang}→${entry.targetLang})` : '';
+    return `${entry.source} = ${entry.target}${languages}`;
+}
+
+module.exports = {
+    GLOSSARY_MAX_ENTRIES,
+    GLOSSARY_MAX_TERM_LENGTH,
+    parseGlossaryEntry,
+    addGlossaryEntry,
+    removeGlossaryEntry,
+    applyGlossary,
+    formatGlossaryEntry
+};
@@ -0,0 +1,143 @@
+/**
+ * Per-group URL policy, applied to links in group messages on top of the global
+ * block list (services/urlBlacklistService), which always wins.
+ *
+ * A policy is { mode, allow, deny }:
+ *   mode   'alert'  - links outside the allowed domains are alerted to the admins (reply 1/2/3)
+ *          'delete' - links outside the allowed domains are deleted automatically
+ *          'off'    - the group's URL policy is not applied (global block list only)
+ *   allow  Extra domains allowed in this group, on top of DEFAULT_ALLOWED_DOMAINS
+ *   deny   Domains always deleted in this group; '*' = every link not explicitly allowed
+ *
+ * Domains match themselves and their subdomains (gov.il matches edu.gov.il).
+ */
+
+const { normalizeDomain } = require('../services/urlBlacklistService');
+
+const URL_POLICY_MODES = ['alert', 'delete', 'off'];
+
+// Links every group may share without an alert (what handleMessage used to hard-code)
+const DEFAULT_ALLOWED_DOMAINS = Object.freeze([
+    'chat.whatsapp.com', 'facebook.com', 'fb.com', 'm.facebook.com', 'l.facebook.com',
+    'instagram.com', 'tiktok.com', 'vm.tiktok.com', 'youtube.com', 'youtu.be'
+]);
+
+const DEFAULT_URL_POLICY = Object.freeze({ mode: 'alert', allow: Object.freeze([]), deny: Object.freeze([]) });
+
+const DENY_ALL = '*';
+
+// WhatsApp invites are kicked by the invite-link path, so their host is never a harmless default
+const INVITE_DOMAIN = 'chat.whatsapp.com';
+
+function matchesDomain(hostname, domains) {
+    return domains.find(d => d !== DENY_ALL && (hostname === d || hostname.endsWith('.' + d))) || null;
+}
+
+/**
+ * Check one URL against a group's policy.
+ * Precedence: a specific deny entry, then the group's allow list, then deny '*',
+ * then the default allowed domains, then the mode.
+ *
+ * @param {string} url
+ * @param {{mode: string, allow: string[], deny: string[]}} policy
+ * @returns {{ action: 'allow'|'deny'|'alert'|'delete', reason: string, domain?: string }}
+ *   reason: 'off' | 'invalid' | 'denied' | 'group_allowed' | 'deny_all' | 'default_allowed' | 'not_allowed'
+ */
+function checkUrlPolicy(url, policy) {
+    if (!policy || policy.mode === 'off') {
+        return { action: 'allow', reason: 'off' };
+    }
+
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return { action: 'allow', reason: 'invalid' };
+    }
+
+    const deny = policy.deny || [];
+    const denied = matchesDomain(hostname, deny);
+    if (denied) return { action: 'deny', reason: 'denied', domain: denied };
+
+    const allowed = matchesDomain(hostname, policy.allow || []);
+    if (allowed) return { action: 'allow', reason: 'group_allowed', domain: allowed };
+
+    if (deny.includes(DENY_ALL)) return { action: 'deny', reason: 'deny_all', domain: hostname };
+
+    const defaultAllowed = matchesDomain(hostname, DEFAULT_ALLOWED_DOMAINS);
+    if (defaultAllowed) return { action: 'allow', reason: 'default_allowed', domain: defaultAllowed };
+
+    return { action: policy.mode, reason: 'not_allowed', domain: hostname };
+}
+
+/**
+ * Check a link that redirects (see services/urlResolverService): a denied hop denies the link,
+ * otherwise the final destination decides - a bit.ly link to youtube.com is a youtube.com link.
+ * A chat.whatsapp.com hop is not default-allowed, so a link hiding an invite is never waved through.
+ * @param {string[]} hops - The URL as posted, then every redirect
+ * @returns {{ action: string, reason: string, domain?: string }} As checkUrlPolicy
+ */
+function checkResolvedUrlPolicy(hops, policy) {
+    const verdicts = hops.map(url => {
+        const verdict = checkUrlPolicy(url, policy);
+        return verdict.reason === 'default_allowed' && verdict.domain === INVITE_DOMAIN
+            ? { action: policy.mode, reason: 'not_allowed', domain: INVITE_DOMAIN }
+            : verdict;
+    });
+    return verdicts.find(v => v.action === 'deny' && v.reason === 'denied') || verdicts[verdicts.length - 1];
+}
+
+/**
+ * WhatsApp invite links anywhere in resolved links' redirect chains, for the invite-link kick path
+ * @param {{hops: string[]}[]} resolutions - From services/urlResolverService.resolveUrls
+ * @param {RegExp} pattern - config.PATTERNS.INVITE_LINK
+ * @returns {string[]}
+ */
+function findInviteLinks(resolutions, pattern) {
+    return resolutions.flatMap(r => r.hops.flatMap(hop => hop.match(pattern) || []));
+}
+
+/**
+ * A domain (or URL) as stored in allow/deny lists, or null if it is not a domain
+ */
+function parsePolicyDomain(input) {
+    if (input === DENY_ALL) return DENY_ALL;
+    const domain = normalizeDomain(String(input || ''));
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(domain) ? domain : null;
+}
+
+/**
+ * Human-readable policy, e.g. "alert admins · allowed: gov.il · denied: bit.ly"
+ */
+function formatUrlPolicy(policy) {
+    if (!policy || policy.mode === 'off') return 'off (global block list only)';
+    const mode = policy.mode === 'delete' ? 'auto-delete unknown links' : 'alert admins on unknown links';
+    const lines = [`Mode: ${mode}`];
+    if ((policy.allow || []).length) lines.push(`Allowed: ${policy.allow.join(', ')}`);
+    if ((policy.deny || []).length) {
+        lines.push(`Denied: ${policy.deny.map(d => d === DENY_ALL ? 'all other links' : d).join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Why a URL was denied, for alerts and audit rows
+ */
+function describeUrlVerdict(url, verdict) {
+    if (verdict.reason === 'denied') return `Domain ${verdict.domain} is denied in this group`;
+    if (verdict.reason === 'deny_all') return 'Links are not allowed in this group';
+    return `${verdict.domain} is not on this group's allowed list`;
+}
+
+module.exports = {
+    URL_POLICY_MODES,
+    DEFAULT_ALLOWED_DOMAINS,
+    DEFAULT_URL_POLICY,
+    DENY_ALL,
+    checkUrlPolicy,
+    checkResolvedUrlPolicy,
+    findInviteLinks,
+    parsePolicyDomain,
+    formatUrlPolicy,
+    describeUrlVerdict
+};